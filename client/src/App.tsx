@@ -13,8 +13,13 @@ import { useI18n } from "./lib/i18n";
 const Dashboard = lazy(async () => ({ default: (await import('./pages/Dashboard')).Dashboard }));
 const Alerts = lazy(async () => ({ default: (await import('./pages/Alerts')).Alerts }));
 const Decisions = lazy(async () => ({ default: (await import('./pages/Decisions')).Decisions }));
+const DecisionDrift = lazy(async () => ({ default: (await import('./pages/DecisionDrift')).DecisionDrift }));
+const Incidents = lazy(async () => ({ default: (await import('./pages/Incidents')).Incidents }));
+const Allowlists = lazy(async () => ({ default: (await import('./pages/Allowlists')).Allowlists }));
+const IpProfile = lazy(async () => ({ default: (await import('./pages/IpProfile')).IpProfile }));
 const Metrics = lazy(async () => ({ default: (await import('./pages/Metrics')).Metrics }));
 const Notifications = lazy(async () => ({ default: (await import('./pages/Notifications')).Notifications }));
+const Audit = lazy(async () => ({ default: (await import('./pages/Audit')).Audit }));
 const Settings = lazy(async () => ({ default: (await import('./pages/Settings')).Settings }));
 const Login = lazy(async () => ({ default: (await import('./pages/Login')).Login }));
 const Setup = lazy(async () => ({ default: (await import('./pages/Setup')).Setup }));
@@ -69,6 +74,38 @@ function ProtectedAppShell() {
               </Suspense>
             )}
           />
+          <Route
+            path="decisions/drift"
+            element={(
+              <Suspense fallback={<RouteFallback />}>
+                <DecisionDrift />
+              </Suspense>
+            )}
+          />
+          <Route
+            path="incidents"
+            element={(
+              <Suspense fallback={<RouteFallback />}>
+                <Incidents />
+              </Suspense>
+            )}
+          />
+          <Route
+            path="allowlists"
+            element={(
+              <Suspense fallback={<RouteFallback />}>
+                <Allowlists />
+              </Suspense>
+            )}
+          />
+          <Route
+            path="ip/:value"
+            element={(
+              <Suspense fallback={<RouteFallback />}>
+                <IpProfile />
+              </Suspense>
+            )}
+          />
           <Route
             path="metrics"
             element={(
@@ -85,6 +122,14 @@ function ProtectedAppShell() {
               </Suspense>
             )}
           />
+          <Route
+            path="audit"
+            element={(
+              <Suspense fallback={<RouteFallback />}>
+                <Audit />
+              </Suspense>
+            )}
+          />
           <Route
             path="settings"
             element={(
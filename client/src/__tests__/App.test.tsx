@@ -43,7 +43,9 @@ describe('App lazy routes', () => {
         removeEventListener: vi.fn(),
       })),
     );
-    vi.stubGlobal('fetch', vi.fn(async () => Response.json({ update_available: false })));
+    vi.stubGlobal('fetch', vi.fn(async (input: string | URL | Request) => (
+      String(input).includes('/api/saved-searches') ? Response.json([]) : Response.json({ update_available: false })
+    )));
     window.history.pushState({}, '', '/');
   });
 
@@ -0,0 +1,194 @@
+import { useEffect, useMemo, useState } from 'react';
+import type { FormEvent } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertCircle } from 'lucide-react';
+import { addAllowlistItems, fetchAllowlists } from '../lib/api';
+import { ALLOWLIST_EXPIRATIONS, type AllowlistExpiration } from '../lib/allowlists';
+import { useI18n } from '../lib/i18n';
+import { useOptionalToast } from '../contexts/useToast';
+import type { AddAllowlistItemsRequest } from '../types';
+import { Modal } from './ui/Modal';
+
+const FIELD_CLASS_NAME = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+interface AllowlistValueModalProps {
+    isOpen: boolean;
+    value: string;
+    /** Instance the alert or decision came from; only set when several instances are configured. */
+    instanceId?: string;
+    onClose: () => void;
+    onAllowlisted?: () => void | Promise<void>;
+}
+
+export function AllowlistValueModal({ isOpen, value, instanceId, onClose, onAllowlisted }: AllowlistValueModalProps) {
+    const { t } = useI18n();
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={t('components.allowlistValue.title')} maxWidth="max-w-lg">
+            <AllowlistValueModalContent value={value} instanceId={instanceId} onClose={onClose} onAllowlisted={onAllowlisted} />
+        </Modal>
+    );
+}
+
+function AllowlistValueModalContent({ value, instanceId, onClose, onAllowlisted }: Omit<AllowlistValueModalProps, 'isOpen'>) {
+    const { t } = useI18n();
+    const toast = useOptionalToast();
+    const [names, setNames] = useState<string[] | null>(null);
+    const [name, setName] = useState('');
+    const [expiration, setExpiration] = useState<AllowlistExpiration>('');
+    const [description, setDescription] = useState('');
+    const [cleanup, setCleanup] = useState(true);
+    const [inProgress, setInProgress] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchAllowlists(instanceId || 'all')
+            .then((response) => {
+                if (cancelled) return;
+                const available = Array.from(new Set(response.allowlists
+                    .filter((allowlist) => !allowlist.console_managed)
+                    .map((allowlist) => allowlist.name)));
+                setNames(available);
+                setName(available[0] || '');
+            })
+            .catch((loadError: unknown) => {
+                if (cancelled) return;
+                setNames([]);
+                setError(loadError instanceof Error ? loadError.message : t('pages.allowlists.fetchFailed'));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [instanceId, t]);
+
+    const target = useMemo<Pick<AddAllowlistItemsRequest, 'scope' | 'instance_id'>>(
+        () => (instanceId ? { scope: 'instance', instance_id: instanceId } : {}),
+        [instanceId],
+    );
+
+    const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+        event.preventDefault();
+        if (!name) return;
+        setInProgress(true);
+        setError(null);
+        try {
+            const response = await addAllowlistItems(name, {
+                values: [value],
+                ...(description.trim() ? { description: description.trim() } : {}),
+                ...(expiration ? { expiration } : {}),
+                cleanup,
+                ...target,
+            });
+            const failures = response.results.filter((result) => !result.success);
+            if (failures.length > 0) {
+                setError(failures.map((failure) => `${failure.instance_name}: ${failure.error}`).join('; '));
+                return;
+            }
+            toast?.addToast(t('components.allowlistValue.added', { value, name }), 'success');
+            await onAllowlisted?.();
+            onClose();
+        } catch (submitError) {
+            setError(submitError instanceof Error ? submitError.message : t('components.allowlistValue.failed'));
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+                {t('components.allowlistValue.description')} <span className="font-mono font-semibold text-gray-900 dark:text-gray-100">{value}</span>
+            </p>
+
+            {names === null ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">{t('app.loading')}</p>
+            ) : names.length === 0 && !error ? (
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {t('components.allowlistValue.noAllowlists')}{' '}
+                    <Link to="/allowlists" onClick={onClose} className="text-primary-600 hover:underline dark:text-primary-400">
+                        {t('components.allowlistValue.manageAllowlists')}
+                    </Link>
+                </p>
+            ) : names.length > 0 && (
+                <>
+                    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                        <div>
+                            <label htmlFor="allowlist-value-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('pages.allowlists.allowlist')}</label>
+                            <select
+                                id="allowlist-value-name"
+                                disabled={inProgress}
+                                className={FIELD_CLASS_NAME}
+                                value={name}
+                                onChange={(event) => setName(event.target.value)}
+                            >
+                                {names.map((option) => <option key={option} value={option}>{option}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="allowlist-value-expiration" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('pages.allowlists.expiration')}</label>
+                            <select
+                                id="allowlist-value-expiration"
+                                disabled={inProgress}
+                                className={FIELD_CLASS_NAME}
+                                value={expiration}
+                                onChange={(event) => setExpiration(event.target.value as AllowlistExpiration)}
+                            >
+                                {ALLOWLIST_EXPIRATIONS.map((option) => (
+                                    <option key={option} value={option}>{option || t('pages.allowlists.never')}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+                    <div>
+                        <label htmlFor="allowlist-value-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('pages.allowlists.entryDescription')}</label>
+                        <input
+                            id="allowlist-value-description"
+                            type="text"
+                            maxLength={256}
+                            disabled={inProgress}
+                            className={FIELD_CLASS_NAME}
+                            value={description}
+                            onChange={(event) => setDescription(event.target.value)}
+                        />
+                    </div>
+                    <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                            type="checkbox"
+                            className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                            checked={cleanup}
+                            disabled={inProgress}
+                            onChange={(event) => setCleanup(event.target.checked)}
+                        />
+                        <span>{t('components.allowlistValue.cleanup')}</span>
+                    </label>
+                </>
+            )}
+
+            {error && (
+                <div role="alert" className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 flex items-center gap-2 text-red-700 dark:text-red-300">
+                    <AlertCircle size={16} className="flex-shrink-0" />
+                    <span className="text-sm">{error}</span>
+                </div>
+            )}
+
+            <div className="flex justify-end gap-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onClose}
+                    disabled={inProgress}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white dark:bg-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {t('common.cancel')}
+                </button>
+                <button
+                    type="submit"
+                    disabled={inProgress || !name}
+                    className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {inProgress ? t('components.allowlistValue.working') : t('components.allowlistValue.submit')}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -0,0 +1,239 @@
+import { useEffect, useState } from 'react';
+import type { FormEvent, KeyboardEvent } from 'react';
+import { AlertCircle, Trash2, X } from 'lucide-react';
+import { addAnnotationNote, deleteAnnotationNote, fetchAnnotation, updateAnnotation } from '../lib/api';
+import { useDateTime } from '../lib/dateTime';
+import { useI18n } from '../lib/i18n';
+import type { Annotation, AnnotationTarget, TriageStatus, UpdateAnnotationRequest } from '../types';
+import { TRIAGE_STATUSES } from '../../../shared/contracts';
+import { Badge } from './ui/Badge';
+
+const FIELD_CLASS_NAME = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+const STATUS_BADGE_VARIANTS: Record<TriageStatus, 'info' | 'warning' | 'secondary' | 'success'> = {
+    new: 'info',
+    acknowledged: 'warning',
+    false_positive: 'secondary',
+    resolved: 'success',
+};
+
+export function TriageStatusBadge({ status }: { status: TriageStatus }) {
+    const { t } = useI18n();
+    return <Badge variant={STATUS_BADGE_VARIANTS[status]}>{t(`components.annotation.statuses.${status}`)}</Badge>;
+}
+
+interface AnnotationPanelProps {
+    target: AnnotationTarget;
+    instanceId: string;
+    id: string | number;
+    canEdit: boolean;
+    /** Called after every saved change so the surrounding list can pick up the new status and tags. */
+    onChange?: (annotation: Annotation) => void;
+}
+
+/** Callers key the panel by record so switching records starts from a fresh load. */
+export function AnnotationPanel({ target, instanceId, id, canEdit, onChange }: AnnotationPanelProps) {
+    const { t } = useI18n();
+    const { formatDateTime } = useDateTime();
+    const [annotation, setAnnotation] = useState<Annotation | null>(null);
+    const [tagDraft, setTagDraft] = useState('');
+    const [noteDraft, setNoteDraft] = useState('');
+    const [inProgress, setInProgress] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchAnnotation(target, instanceId, id)
+            .then((response) => {
+                if (!cancelled) setAnnotation(response);
+            })
+            .catch((loadError: unknown) => {
+                if (!cancelled) setError(loadError instanceof Error ? loadError.message : t('components.annotation.failed'));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [target, instanceId, id, t]);
+
+    const apply = async (request: () => Promise<Annotation>): Promise<boolean> => {
+        setInProgress(true);
+        setError(null);
+        try {
+            const next = await request();
+            setAnnotation(next);
+            onChange?.(next);
+            return true;
+        } catch (requestError) {
+            setError(requestError instanceof Error ? requestError.message : t('components.annotation.failed'));
+            return false;
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    const save = (data: UpdateAnnotationRequest) => apply(() => updateAnnotation(target, instanceId, id, data));
+
+    const addTag = async () => {
+        const tag = tagDraft.trim().toLowerCase();
+        if (!annotation || !tag || annotation.tags.includes(tag)) {
+            setTagDraft('');
+            return;
+        }
+        if (await save({ tags: [...annotation.tags, tag] })) setTagDraft('');
+    };
+
+    const handleTagKeyDown = (event: KeyboardEvent<HTMLInputElement>) => {
+        if (event.key === 'Enter' || event.key === ',') {
+            event.preventDefault();
+            void addTag();
+        }
+    };
+
+    const handleNoteSubmit = async (event: FormEvent<HTMLFormElement>) => {
+        event.preventDefault();
+        const body = noteDraft.trim();
+        if (!body) return;
+        if (await apply(() => addAnnotationNote(target, instanceId, id, { body }))) setNoteDraft('');
+    };
+
+    if (!annotation) {
+        return error ? (
+            <div role="alert" className="flex items-center gap-2 text-sm text-red-700 dark:text-red-300">
+                <AlertCircle size={16} className="flex-shrink-0" />
+                {error}
+            </div>
+        ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('app.loading')}</p>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                    <label htmlFor={`annotation-status-${target}-${id}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        {t('components.annotation.status')}
+                    </label>
+                    {canEdit ? (
+                        <select
+                            id={`annotation-status-${target}-${id}`}
+                            className={FIELD_CLASS_NAME}
+                            value={annotation.status}
+                            disabled={inProgress}
+                            onChange={(event) => void save({ status: event.target.value as TriageStatus })}
+                        >
+                            {TRIAGE_STATUSES.map((status) => (
+                                <option key={status} value={status}>{t(`components.annotation.statuses.${status}`)}</option>
+                            ))}
+                        </select>
+                    ) : (
+                        <TriageStatusBadge status={annotation.status} />
+                    )}
+                </div>
+                <div>
+                    <label htmlFor={`annotation-tag-${target}-${id}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        {t('components.annotation.tags')}
+                    </label>
+                    <div className="flex flex-wrap items-center gap-1.5">
+                        {annotation.tags.map((tag) => (
+                            <Badge key={tag} variant="outline" className="gap-1">
+                                {tag}
+                                {canEdit && (
+                                    <button
+                                        type="button"
+                                        disabled={inProgress}
+                                        onClick={() => void save({ tags: annotation.tags.filter((existing) => existing !== tag) })}
+                                        aria-label={t('components.annotation.removeTag', { tag })}
+                                        className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                                    >
+                                        <X size={12} />
+                                    </button>
+                                )}
+                            </Badge>
+                        ))}
+                        {annotation.tags.length === 0 && !canEdit && (
+                            <span className="text-sm text-gray-500 dark:text-gray-400">-</span>
+                        )}
+                    </div>
+                    {canEdit && (
+                        <input
+                            id={`annotation-tag-${target}-${id}`}
+                            type="text"
+                            maxLength={40}
+                            disabled={inProgress}
+                            className={`${FIELD_CLASS_NAME} mt-2`}
+                            placeholder={t('components.annotation.tagPlaceholder')}
+                            value={tagDraft}
+                            onChange={(event) => setTagDraft(event.target.value)}
+                            onKeyDown={handleTagKeyDown}
+                            onBlur={() => void addTag()}
+                        />
+                    )}
+                </div>
+            </div>
+
+            <div>
+                <h5 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('components.annotation.notes')}</h5>
+                {annotation.notes.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{t('components.annotation.noNotes')}</p>
+                ) : (
+                    <ul className="space-y-2">
+                        {annotation.notes.map((note) => (
+                            <li key={note.id} className="rounded-md border border-gray-200 dark:border-gray-700 p-3">
+                                <div className="flex items-start justify-between gap-2">
+                                    <p className="text-sm text-gray-900 dark:text-gray-100 whitespace-pre-wrap break-words">{note.body}</p>
+                                    {canEdit && (
+                                        <button
+                                            type="button"
+                                            disabled={inProgress}
+                                            onClick={() => void apply(() => deleteAnnotationNote(target, instanceId, id, note.id))}
+                                            aria-label={t('components.annotation.deleteNote')}
+                                            className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                                        >
+                                            <Trash2 size={14} />
+                                        </button>
+                                    )}
+                                </div>
+                                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                    {note.author
+                                        ? t('components.annotation.noteBy', { author: note.author, time: formatDateTime(note.created_at) })
+                                        : formatDateTime(note.created_at)}
+                                </p>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+                {canEdit && (
+                    <form onSubmit={handleNoteSubmit} className="mt-3 space-y-2">
+                        <textarea
+                            aria-label={t('components.annotation.newNote')}
+                            rows={2}
+                            maxLength={2000}
+                            disabled={inProgress}
+                            className={FIELD_CLASS_NAME}
+                            placeholder={t('components.annotation.notePlaceholder')}
+                            value={noteDraft}
+                            onChange={(event) => setNoteDraft(event.target.value)}
+                        />
+                        <div className="flex justify-end">
+                            <button
+                                type="submit"
+                                disabled={inProgress || !noteDraft.trim()}
+                                className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-50"
+                            >
+                                {t('components.annotation.addNote')}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+
+            {error && (
+                <div role="alert" className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-3 flex items-center gap-2 text-red-700 dark:text-red-300">
+                    <AlertCircle size={16} className="flex-shrink-0" />
+                    <span className="text-sm">{error}</span>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -151,6 +151,11 @@ interface ActivityBarChartProps {
     simulationsEnabled?: boolean;
     granularity: Granularity;
     setGranularity: (value: Granularity) => void;
+    /** Days charted; ranges beyond the sync lookback are read from daily rollups. */
+    rangeDays?: number;
+    rangeOptions?: number[];
+    setRangeDays?: (value: number) => void;
+    hourlyAvailable?: boolean;
     scaleMode?: ScaleMode;
     setScaleMode?: (value: ScaleMode) => void;
     onDateRangeSelect?: (dateRange: DateRangeSelection | null, isAtEnd: boolean) => void;
@@ -223,6 +228,10 @@ export function ActivityBarChart({
     simulationsEnabled = false,
     granularity,
     setGranularity,
+    rangeDays,
+    rangeOptions = [],
+    setRangeDays,
+    hourlyAvailable = true,
     scaleMode,
     setScaleMode,
     onDateRangeSelect,
@@ -642,6 +651,25 @@ export function ActivityBarChart({
                         )}
                     </CardTitle>
                     <div className="flex w-full items-center justify-between gap-2 sm:w-auto sm:justify-start sm:gap-3">
+                        {setRangeDays && rangeOptions.length > 1 && (
+                            <div className="flex p-1 bg-gray-100 dark:bg-gray-800 rounded-lg" role="group" aria-label={t('components.dashboardCharts.rangeAria')}>
+                                {rangeOptions.map((days) => (
+                                    <button
+                                        key={days}
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setRangeDays(days);
+                                        }}
+                                        className={`px-3 py-1 text-xs font-medium rounded-md transition-all ${rangeDays === days
+                                            ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 shadow-sm'
+                                            : 'text-gray-500 hover:text-gray-900 dark:hover:text-gray-300'
+                                            }`}
+                                    >
+                                        {t('components.dashboardCharts.rangeDays', { days })}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
                         <div className="flex p-1 bg-gray-100 dark:bg-gray-800 rounded-lg" role="group" aria-label={t('components.dashboardCharts.scaleAria')}>
                             {scaleModes.map((mode) => (
                                 <button
@@ -667,7 +695,9 @@ export function ActivityBarChart({
                                         e.stopPropagation();
                                         setGranularity(g);
                                     }}
-                                    className={`px-3 py-1 text-xs font-medium rounded-md transition-all ${granularity === g
+                                    disabled={g === 'hour' && !hourlyAvailable}
+                                    title={g === 'hour' && !hourlyAvailable ? t('components.dashboardCharts.hourlyUnavailable') : undefined}
+                                    className={`px-3 py-1 text-xs font-medium rounded-md transition-all disabled:cursor-not-allowed disabled:opacity-50 ${granularity === g
                                         ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 shadow-sm'
                                         : 'text-gray-500 hover:text-gray-900 dark:hover:text-gray-300'
                                         }`}
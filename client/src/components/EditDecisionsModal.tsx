@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import { AlertCircle, ArrowRight } from 'lucide-react';
+import { editDecisions } from '../lib/api';
+import { parseDuration } from '../../../shared/duration';
+import { getDecisionExpirationState, getEditedDecisionExpirationState } from '../lib/decisionExpiration';
+import { useI18n } from '../lib/i18n';
+import type { DecisionDurationMode, DecisionListItem, EditDecisionsRequest } from '../types';
+import { Modal } from './ui/Modal';
+
+const PREVIEW_ROW_LIMIT = 100;
+const DURATION_MODES: Array<DecisionDurationMode | 'keep'> = ['extend', 'shorten', 'set', 'keep'];
+const DURATION_PRESETS = ['1h', '4h', '24h', '7d', '30d'];
+const FIELD_CLASS_NAME = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+interface EditDecisionsModalProps {
+    isOpen: boolean;
+    decisions: DecisionListItem[];
+    useInstanceRefs: boolean;
+    onClose: () => void;
+    onEdited: () => void | Promise<void>;
+}
+
+export function EditDecisionsModal({ isOpen, decisions, useInstanceRefs, onClose, onEdited }: EditDecisionsModalProps) {
+    const { t } = useI18n();
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={t('components.editDecisions.title', { count: decisions.length })} maxWidth="max-w-2xl">
+            <EditDecisionsModalContent decisions={decisions} useInstanceRefs={useInstanceRefs} onClose={onClose} onEdited={onEdited} />
+        </Modal>
+    );
+}
+
+function EditDecisionsModalContent({ decisions, useInstanceRefs, onClose, onEdited }: Omit<EditDecisionsModalProps, 'isOpen'>) {
+    const { t } = useI18n();
+    const [durationMode, setDurationMode] = useState<DecisionDurationMode | 'keep'>('extend');
+    const [duration, setDuration] = useState('7d');
+    const [type, setType] = useState<'keep' | 'ban' | 'captcha'>('keep');
+    const [nowMs] = useState(() => Date.now());
+    const [inProgress, setInProgress] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const durationMs = durationMode === 'keep' ? null : parseDuration(duration);
+    const durationInvalid = durationMode !== 'keep' && durationMs === null;
+    const hasChange = durationMode !== 'keep' || type !== 'keep';
+    const previews = decisions.map((decision) => {
+        const before = getDecisionExpirationState(decision, nowMs);
+        const after = durationMode === 'keep'
+            ? before
+            : getEditedDecisionExpirationState(decision, durationMode, durationMs, nowMs);
+        const beforeType = decision.detail.action || decision.detail.type || 'ban';
+        return { decision, before, after, beforeType, afterType: type === 'keep' ? beforeType : type };
+    });
+    const expiringCount = previews.filter((preview) => preview.after.isExpired).length;
+
+    const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+        event.preventDefault();
+        if (!hasChange || durationInvalid) return;
+        setInProgress(true);
+        setError(null);
+        const request: EditDecisionsRequest = {
+            ...(useInstanceRefs
+                ? { refs: decisions.map((decision) => ({ instance_id: decision.instance_id || 'default', id: String(decision.id) })) }
+                : { ids: decisions.map((decision) => decision.id) }),
+            ...(durationMode !== 'keep' ? { duration_mode: durationMode, duration } : {}),
+            ...(type !== 'keep' ? { type } : {}),
+        };
+        try {
+            const result = await editDecisions(request);
+            await onEdited();
+            if (result.failed.length > 0) {
+                setError(t('components.editDecisions.partialFailure', {
+                    updated: result.updated_decisions,
+                    failed: result.failed.length,
+                    errors: Array.from(new Set(result.failed.map((failure) => failure.error))).join('; '),
+                }));
+                return;
+            }
+            onClose();
+        } catch (editError) {
+            setError(editError instanceof Error ? editError.message : t('components.editDecisions.failed'));
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">{t('components.editDecisions.description')}</p>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                <div>
+                    <label htmlFor="edit-duration-mode" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('components.editDecisions.durationMode')}</label>
+                    <select
+                        id="edit-duration-mode"
+                        disabled={inProgress}
+                        className={FIELD_CLASS_NAME}
+                        value={durationMode}
+                        onChange={(event) => setDurationMode(event.target.value as DecisionDurationMode | 'keep')}
+                    >
+                        {DURATION_MODES.map((mode) => (
+                            <option key={mode} value={mode}>{t(`components.editDecisions.modes.${mode}`)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="edit-duration" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('pages.decisions.duration')}</label>
+                    <input
+                        id="edit-duration"
+                        type="text"
+                        list="edit-duration-presets"
+                        disabled={inProgress || durationMode === 'keep'}
+                        className={`${FIELD_CLASS_NAME} ${durationInvalid ? 'border-red-500 dark:border-red-500' : ''}`}
+                        placeholder="7d"
+                        aria-invalid={durationInvalid}
+                        value={duration}
+                        onChange={(event) => setDuration(event.target.value)}
+                    />
+                    <datalist id="edit-duration-presets">
+                        {DURATION_PRESETS.map((preset) => <option key={preset} value={preset} />)}
+                    </datalist>
+                    <p className="text-xs text-gray-500 mt-1">{t('pages.decisions.durationHint')}</p>
+                </div>
+                <div>
+                    <label htmlFor="edit-type" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('components.editDecisions.type')}</label>
+                    <select
+                        id="edit-type"
+                        disabled={inProgress}
+                        className={FIELD_CLASS_NAME}
+                        value={type}
+                        onChange={(event) => setType(event.target.value as 'keep' | 'ban' | 'captcha')}
+                    >
+                        <option value="keep">{t('components.editDecisions.keepType')}</option>
+                        <option value="ban">ban</option>
+                        <option value="captcha">captcha</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="max-h-64 overflow-y-auto rounded-md border border-gray-200 dark:border-gray-700">
+                <table className="min-w-full text-sm" aria-label={t('components.editDecisions.preview')}>
+                    <thead className="sticky top-0 bg-gray-50 dark:bg-gray-900 text-left text-xs uppercase text-gray-500 dark:text-gray-400">
+                        <tr>
+                            <th className="px-3 py-2">{t('components.editDecisions.value')}</th>
+                            <th className="px-3 py-2">{t('components.editDecisions.type')}</th>
+                            <th className="px-3 py-2">{t('components.editDecisions.remaining')}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                        {previews.slice(0, PREVIEW_ROW_LIMIT).map(({ decision, before, after, beforeType, afterType }) => (
+                            <tr key={`${decision.instance_id || 'default'}:${decision.id}`}>
+                                <td className="px-3 py-1.5 font-mono text-gray-900 dark:text-gray-100 break-all">
+                                    {decision.value || '—'}
+                                    {decision.instance_name && (
+                                        <span className="ml-2 font-sans text-xs text-gray-500 dark:text-gray-400">{decision.instance_name}</span>
+                                    )}
+                                </td>
+                                <td className="px-3 py-1.5 text-gray-700 dark:text-gray-300">
+                                    <span className="inline-flex items-center gap-1">
+                                        {beforeType}
+                                        {afterType !== beforeType && (
+                                            <>
+                                                <ArrowRight size={12} aria-hidden="true" />
+                                                <span className="font-medium text-primary-600 dark:text-primary-400">{afterType}</span>
+                                            </>
+                                        )}
+                                    </span>
+                                </td>
+                                <td className="px-3 py-1.5 font-mono text-gray-700 dark:text-gray-300">
+                                    <span className="inline-flex items-center gap-1">
+                                        {before.label}
+                                        <ArrowRight size={12} aria-hidden="true" />
+                                        <span className={after.isExpired ? 'font-medium text-red-600 dark:text-red-400' : 'font-medium text-primary-600 dark:text-primary-400'}>
+                                            {after.isExpired ? t('components.editDecisions.wouldExpire') : after.label}
+                                        </span>
+                                    </span>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {previews.length > PREVIEW_ROW_LIMIT && (
+                <p className="text-xs text-gray-500">
+                    {t('components.editDecisions.moreEntries', { count: previews.length - PREVIEW_ROW_LIMIT })}
+                </p>
+            )}
+            {expiringCount > 0 && (
+                <p className="text-xs text-amber-600 dark:text-amber-400">{t('components.editDecisions.expiringWarning', { count: expiringCount })}</p>
+            )}
+
+            {error && (
+                <div role="alert" className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 flex items-center gap-2 text-red-700 dark:text-red-300">
+                    <AlertCircle size={16} className="flex-shrink-0" />
+                    <span className="text-sm">{error}</span>
+                </div>
+            )}
+
+            <div className="flex justify-end gap-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onClose}
+                    disabled={inProgress}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white dark:bg-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {t('common.cancel')}
+                </button>
+                <button
+                    type="submit"
+                    disabled={inProgress || !hasChange || durationInvalid || decisions.length === 0}
+                    className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {inProgress
+                        ? t('components.editDecisions.working')
+                        : t('components.editDecisions.apply', { count: decisions.length })}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -1,8 +1,8 @@
 import { Badge } from "./ui/Badge";
 import { Collapsible } from "./ui/Collapsible";
 import { getHubUrl } from "../lib/utils";
-import { ExternalLink } from "lucide-react";
-import type { AlertEvent, AlertMetaValue } from '../types';
+import { ExternalLink, ShieldBan } from "lucide-react";
+import type { AlertEvent, AlertMetaValue, AlertSource, DecisionScope } from '../types';
 import type { PropsWithChildren } from 'react';
 import { useI18n } from "../lib/i18n";
 import { useDateTime } from "../lib/dateTime";
@@ -12,6 +12,9 @@ import { MetadataTable } from './MetadataTable';
 interface EventCardProps {
     event: AlertEvent;
     index: number;
+    // Fallback for range and AS details when the event meta does not carry them
+    source?: AlertSource | null;
+    onBan?: (target: { scope: DecisionScope; value: string }) => void;
 }
 
 function EventDetailRow({ label, children }: PropsWithChildren<{ label: string }>) {
@@ -39,7 +42,7 @@ const STYLED_META_KEYS = new Set([
 // Excluded from display due to PII/GDPR concerns (per CrowdSec developer guidance)
 const EXCLUDED_META_KEYS = new Set(['context']);
 
-export function EventCard({ event, index }: EventCardProps) {
+export function EventCard({ event, index, source, onBan }: EventCardProps) {
     const { t } = useI18n();
     const { formatDateTime } = useDateTime();
     const getMeta = (key: string): AlertMetaValue | undefined => event.meta?.find((meta) => meta.key === key)?.value;
@@ -61,6 +64,9 @@ export function EventCard({ event, index }: EventCardProps) {
     const httpUserAgent = formatMetaValue(getMeta('http_user_agent'));
     const service = formatMetaValue(getMeta('service'));
     const ruleHubUrl = ruleName ? getHubUrl(ruleName) : undefined;
+    const sourceRange = formatMetaValue(getMeta('SourceRange')) || source?.range || '';
+    const asNumber = formatMetaValue(getMeta('ASNNumber')) || String(source?.as_number ?? '');
+    const asName = formatMetaValue(getMeta('ASNOrg')) || source?.as_name || '';
 
     // Additional meta fields not covered by styled rendering
     // Filter out entries with empty/null/undefined values
@@ -163,6 +169,32 @@ export function EventCard({ event, index }: EventCardProps) {
                         </div>
                     </Collapsible>
                 )}
+
+                {onBan && (sourceRange || asNumber) && (
+                    <div className="flex flex-wrap gap-2">
+                        {sourceRange && (
+                            <button
+                                type="button"
+                                onClick={() => onBan({ scope: 'range', value: sourceRange })}
+                                className="inline-flex items-center gap-1 rounded border border-red-200 px-2 py-1 text-xs font-medium text-red-700 transition-colors hover:bg-red-50 dark:border-red-800 dark:text-red-300 dark:hover:bg-red-900/20"
+                            >
+                                <ShieldBan size={12} />
+                                {t('components.eventCard.banRange', { range: sourceRange })}
+                            </button>
+                        )}
+                        {asNumber && (
+                            <button
+                                type="button"
+                                onClick={() => onBan({ scope: 'as', value: asNumber })}
+                                title={asName || undefined}
+                                className="inline-flex items-center gap-1 rounded border border-red-200 px-2 py-1 text-xs font-medium text-red-700 transition-colors hover:bg-red-50 dark:border-red-800 dark:text-red-300 dark:hover:bg-red-900/20"
+                            >
+                                <ShieldBan size={12} />
+                                {t('components.eventCard.banAs', { as: asNumber })}
+                            </button>
+                        )}
+                    </div>
+                )}
             </div>
             </div>
         </div>
@@ -0,0 +1,74 @@
+import { useEffect, useRef, useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS } from '../../../shared/contracts';
+import { getExportUrl } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import type { TableColumnId } from '../types';
+
+interface ExportMenuProps {
+    page: 'alerts' | 'decisions';
+    columns: TableColumnId[];
+    filters: Record<string, string>;
+}
+
+export function ExportMenu({ page, columns, filters }: ExportMenuProps) {
+    const { t } = useI18n();
+    const [open, setOpen] = useState(false);
+    const rootRef = useRef<HTMLDivElement>(null);
+    const menuId = `${page}-export-menu`;
+
+    useEffect(() => {
+        if (!open) return;
+
+        const closeOnOutsideClick = (event: MouseEvent) => {
+            if (!rootRef.current?.contains(event.target as Node)) setOpen(false);
+        };
+        const closeOnEscape = (event: KeyboardEvent) => {
+            if (event.key === 'Escape') setOpen(false);
+        };
+        document.addEventListener('mousedown', closeOnOutsideClick);
+        document.addEventListener('keydown', closeOnEscape);
+        return () => {
+            document.removeEventListener('mousedown', closeOnOutsideClick);
+            document.removeEventListener('keydown', closeOnEscape);
+        };
+    }, [open]);
+
+    return (
+        <div ref={rootRef} className="relative flex">
+            <button
+                type="button"
+                aria-label={t('components.exportMenu.export')}
+                aria-controls={menuId}
+                aria-expanded={open}
+                aria-haspopup="menu"
+                title={t('components.exportMenu.exportVisible')}
+                onClick={() => setOpen((current) => !current)}
+                className="inline-flex items-center justify-center rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 px-3 text-gray-600 dark:text-gray-300 transition-colors hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+                <Download size={18} />
+            </button>
+            {open && (
+                <div
+                    id={menuId}
+                    role="menu"
+                    aria-label={t('components.exportMenu.export')}
+                    className="absolute right-0 top-full z-20 mt-1 w-44 overflow-hidden rounded-md border border-gray-200 bg-white p-1 shadow-xl dark:border-gray-700 dark:bg-gray-800"
+                >
+                    {EXPORT_FORMATS.map((format) => (
+                        <a
+                            key={format}
+                            role="menuitem"
+                            href={getExportUrl(page, format, columns, filters)}
+                            download
+                            onClick={() => setOpen(false)}
+                            className="block rounded px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 dark:text-gray-200 dark:hover:bg-gray-700"
+                        >
+                            {t(`components.exportMenu.formats.${format}`)}
+                        </a>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,21 @@
+import { useI18n } from '../lib/i18n';
+import { cn } from '../lib/utils';
+import { Badge } from './ui/Badge';
+
+interface GeoEnrichedMarkerProps {
+    enrichedFields?: string[];
+    fields: string[];
+    className?: string;
+}
+
+// Marks values filled from the local GeoIP databases instead of CrowdSec.
+export function GeoEnrichedMarker({ enrichedFields, fields, className }: GeoEnrichedMarkerProps) {
+    const { t } = useI18n();
+    if (!enrichedFields?.some((field) => fields.includes(field))) return null;
+
+    return (
+        <Badge variant="outline" className={cn('px-1.5 py-0 text-[10px] font-normal', className)} title={t('components.geoEnriched.title')}>
+            {t('components.geoEnriched.label')}
+        </Badge>
+    );
+}
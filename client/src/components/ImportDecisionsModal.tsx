@@ -0,0 +1,284 @@
+import { useState } from 'react';
+import type { ChangeEvent, FormEvent } from 'react';
+import { AlertCircle, Upload } from 'lucide-react';
+import { importDecisions } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import type {
+    DecisionImportEntryStatus,
+    DecisionImportFormat,
+    ImportDecisionsPreview,
+    ImportDecisionsRequest,
+    InstanceOperationResult,
+} from '../types';
+import { Badge } from './ui/Badge';
+import { Modal } from './ui/Modal';
+
+const PREVIEW_ROW_LIMIT = 500;
+const IMPORT_FORMATS: Array<DecisionImportFormat | 'auto'> = ['auto', 'text', 'csv', 'json'];
+const STATUS_BADGE_VARIANTS: Record<DecisionImportEntryStatus, 'success' | 'danger' | 'secondary' | 'warning'> = {
+    valid: 'success',
+    invalid: 'danger',
+    duplicate: 'secondary',
+    already_banned: 'warning',
+};
+const FIELD_CLASS_NAME = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+interface ImportDecisionsModalProps {
+    isOpen: boolean;
+    target: Pick<ImportDecisionsRequest, 'scope' | 'instance_id'>;
+    onClose: () => void;
+    onImported: () => void | Promise<void>;
+}
+
+export function ImportDecisionsModal({ isOpen, target, onClose, onImported }: ImportDecisionsModalProps) {
+    const { t } = useI18n();
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={t('components.importDecisions.title')} maxWidth="max-w-2xl">
+            <ImportDecisionsModalContent target={target} onClose={onClose} onImported={onImported} />
+        </Modal>
+    );
+}
+
+function ImportDecisionsModalContent({ target, onClose, onImported }: Omit<ImportDecisionsModalProps, 'isOpen'>) {
+    const { t } = useI18n();
+    const [content, setContent] = useState('');
+    const [format, setFormat] = useState<DecisionImportFormat | 'auto'>('auto');
+    const [duration, setDuration] = useState('4h');
+    const [reason, setReason] = useState('');
+    const [preview, setPreview] = useState<ImportDecisionsPreview | null>(null);
+    const [inProgress, setInProgress] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+    const [retryInstances, setRetryInstances] = useState<InstanceOperationResult[]>([]);
+
+    const request: ImportDecisionsRequest = { content, format, duration, reason, type: 'ban', ...target };
+
+    const resetPreview = () => {
+        setPreview(null);
+        setRetryInstances([]);
+        setError(null);
+    };
+
+    const handleFileChange = async (event: ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        setContent(await file.text());
+        resetPreview();
+    };
+
+    const handlePreview = async () => {
+        setInProgress(true);
+        setError(null);
+        try {
+            setPreview(await importDecisions({ ...request, dry_run: true }));
+            setRetryInstances([]);
+        } catch (previewError) {
+            setPreview(null);
+            setError(previewError instanceof Error ? previewError.message : t('components.importDecisions.previewFailed'));
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    const handleImport = async (event: FormEvent<HTMLFormElement>) => {
+        event.preventDefault();
+        if (!preview || preview.counts.valid === 0) return;
+        setInProgress(true);
+        setError(null);
+        try {
+            const results = retryInstances.length > 0
+                ? await Promise.all(retryInstances.map(async (failedInstance): Promise<InstanceOperationResult> => {
+                    try {
+                        const response = await importDecisions({ ...request, scope: 'instance', instance_id: failedInstance.instance_id });
+                        return response.results?.[0] || { ...failedInstance, success: true, error: undefined };
+                    } catch (retryError) {
+                        return {
+                            ...failedInstance,
+                            success: false,
+                            error: retryError instanceof Error ? retryError.message : String(retryError),
+                        };
+                    }
+                }))
+                : (await importDecisions(request)).results || [];
+            const failedInstances = results.filter((result) => !result.success);
+            await onImported();
+            if (failedInstances.length > 0) {
+                const succeededNames = results.filter((result) => result.success).map((result) => result.instance_name);
+                const failedNames = failedInstances.map((result) => `${result.instance_name}${result.error ? ` (${result.error})` : ''}`);
+                setRetryInstances(failedInstances);
+                setError(succeededNames.length > 0
+                    ? t('components.importDecisions.partialFailure', { succeeded: succeededNames.join(', '), failed: failedNames.join(', ') })
+                    : t('components.importDecisions.failedOn', { failed: failedNames.join(', ') }));
+                return;
+            }
+            onClose();
+        } catch (importError) {
+            setError(importError instanceof Error ? importError.message : t('components.importDecisions.importFailed'));
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleImport} className="space-y-4">
+            <div>
+                <div className="flex items-center justify-between mb-1">
+                    <label htmlFor="import-content" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                        {t('components.importDecisions.content')}
+                    </label>
+                    <label className="inline-flex cursor-pointer items-center gap-1 text-xs font-medium text-primary-600 hover:text-primary-700 dark:text-primary-400">
+                        <Upload size={14} />
+                        {t('components.importDecisions.upload')}
+                        <input
+                            type="file"
+                            accept=".txt,.csv,.json,text/plain,text/csv,application/json"
+                            className="sr-only"
+                            disabled={inProgress}
+                            onChange={handleFileChange}
+                        />
+                    </label>
+                </div>
+                <textarea
+                    id="import-content"
+                    rows={8}
+                    disabled={inProgress}
+                    className={`${FIELD_CLASS_NAME} font-mono`}
+                    placeholder={'192.0.2.10\n198.51.100.0/24'}
+                    value={content}
+                    onChange={(event) => {
+                        setContent(event.target.value);
+                        resetPreview();
+                    }}
+                />
+                <p className="text-xs text-gray-500 mt-1">{t('components.importDecisions.contentHint')}</p>
+            </div>
+            <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+                <div>
+                    <label htmlFor="import-format" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('components.importDecisions.format')}</label>
+                    <select
+                        id="import-format"
+                        disabled={inProgress}
+                        className={FIELD_CLASS_NAME}
+                        value={format}
+                        onChange={(event) => {
+                            setFormat(event.target.value as DecisionImportFormat | 'auto');
+                            resetPreview();
+                        }}
+                    >
+                        {IMPORT_FORMATS.map((option) => (
+                            <option key={option} value={option}>{t(`components.importDecisions.formats.${option}`)}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="import-duration" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('pages.decisions.duration')}</label>
+                    <input
+                        id="import-duration"
+                        type="text"
+                        disabled={inProgress}
+                        className={FIELD_CLASS_NAME}
+                        placeholder="4h"
+                        value={duration}
+                        onChange={(event) => setDuration(event.target.value)}
+                    />
+                </div>
+                <div>
+                    <label htmlFor="import-reason" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('pages.decisions.reason')}</label>
+                    <input
+                        id="import-reason"
+                        type="text"
+                        disabled={inProgress}
+                        className={FIELD_CLASS_NAME}
+                        placeholder={t('components.importDecisions.placeholderReason')}
+                        value={reason}
+                        onChange={(event) => setReason(event.target.value)}
+                    />
+                </div>
+            </div>
+
+            {preview && (
+                <div className="space-y-2">
+                    <p className="text-sm text-gray-700 dark:text-gray-300" data-testid="import-preview-summary">
+                        {t('components.importDecisions.summary', {
+                            valid: preview.counts.valid,
+                            already_banned: preview.counts.already_banned,
+                            duplicate: preview.counts.duplicate,
+                            invalid: preview.counts.invalid,
+                        })}
+                    </p>
+                    <div className="max-h-64 overflow-y-auto rounded-md border border-gray-200 dark:border-gray-700">
+                        <table className="min-w-full text-sm">
+                            <thead className="sticky top-0 bg-gray-50 dark:bg-gray-900 text-left text-xs uppercase text-gray-500 dark:text-gray-400">
+                                <tr>
+                                    <th className="px-3 py-2">{t('components.importDecisions.position')}</th>
+                                    <th className="px-3 py-2">{t('components.importDecisions.value')}</th>
+                                    <th className="px-3 py-2">{t('components.importDecisions.status')}</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                                {preview.entries.slice(0, PREVIEW_ROW_LIMIT).map((entry) => (
+                                    <tr key={entry.position}>
+                                        <td className="px-3 py-1.5 text-gray-500 dark:text-gray-400">{entry.position}</td>
+                                        <td className="px-3 py-1.5 font-mono text-gray-900 dark:text-gray-100 break-all">{entry.value || '—'}</td>
+                                        <td className="px-3 py-1.5">
+                                            <Badge variant={STATUS_BADGE_VARIANTS[entry.status]}>
+                                                {t(`components.importDecisions.statuses.${entry.status}`)}
+                                            </Badge>
+                                            {entry.status === 'valid' && entry.banned_on && (
+                                                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                                                    {t('components.importDecisions.bannedOn', { instances: entry.banned_on.join(', ') })}
+                                                </span>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {preview.entries.length > PREVIEW_ROW_LIMIT && (
+                        <p className="text-xs text-gray-500">
+                            {t('components.importDecisions.moreEntries', { count: preview.entries.length - PREVIEW_ROW_LIMIT })}
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {error && (
+                <div role="alert" className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 flex items-center gap-2 text-red-700 dark:text-red-300">
+                    <AlertCircle size={16} className="flex-shrink-0" />
+                    <span className="text-sm">{error}</span>
+                </div>
+            )}
+
+            <div className="flex justify-end gap-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onClose}
+                    disabled={inProgress}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white dark:bg-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {t('common.cancel')}
+                </button>
+                <button
+                    type="button"
+                    onClick={handlePreview}
+                    disabled={inProgress || !content.trim()}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white dark:bg-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {t('components.importDecisions.preview')}
+                </button>
+                <button
+                    type="submit"
+                    disabled={inProgress || !preview || preview.counts.valid === 0}
+                    className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {inProgress
+                        ? t('components.importDecisions.working')
+                        : retryInstances.length > 0
+                            ? t('components.importDecisions.retryFailed')
+                            : t('components.importDecisions.import', { count: preview?.counts.valid ?? 0 })}
+                </button>
+            </div>
+        </form>
+    );
+}
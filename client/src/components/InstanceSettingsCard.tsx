@@ -0,0 +1,507 @@
+import { useEffect, useState } from 'react';
+import { ArrowDown, ArrowUp, Pencil, PlugZap, Plus, Save, Trash2 } from 'lucide-react';
+import { fetchInstanceSettings, testInstanceConnection, updateInstanceSettings } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import { INSTANCE_SYNC_OVERRIDE_KEYS } from '../../../shared/contracts';
+import type {
+    ConfigSecretValue,
+    InstanceConnectionTestResponse,
+    InstanceConnectionTestStep,
+    InstanceLapiAuthSettings,
+    InstanceMetricsAuthSettings,
+    InstanceMetricsSettings,
+    InstanceSettings,
+    InstanceSyncOverrideKey,
+} from '../types';
+import { Badge } from './ui/Badge';
+import { Card, CardContent, CardHeader, CardTitle } from './ui/Card';
+
+const STORED_SECRET_SENTINEL = '(stored)';
+const BOOLEAN_SYNC_KEYS = new Set<InstanceSyncOverrideKey>(['bootstrapRetryEnabled']);
+const INTEGER_SYNC_KEYS = new Set<InstanceSyncOverrideKey>(['reconcileWindowsPerRefresh']);
+
+type SecretSource = 'value' | 'env' | 'file';
+
+const STEP_LABEL_KEYS: Record<InstanceConnectionTestStep['step'], string> = {
+    login: 'pages.settings.instances.stepLogin',
+    alerts: 'pages.settings.instances.stepAlerts',
+    metrics: 'pages.settings.instances.stepMetrics',
+};
+
+function emptyInstance(): InstanceSettings {
+    return { id: '', name: '', lapi: { url: '', auth: { type: 'password', username: '', password: '' } }, metrics: [], sync: {} };
+}
+
+function emptyMetricsEndpoint(): InstanceMetricsSettings {
+    return { id: '', name: '', url: '', auth: { type: 'none' } };
+}
+
+function lapiAuthForType(type: InstanceLapiAuthSettings['type']): InstanceLapiAuthSettings {
+    if (type === 'password') return { type, username: '', password: '' };
+    if (type === 'mtls') return { type, certFile: '', keyFile: '' };
+    return { type: 'none' };
+}
+
+function metricsAuthForType(type: InstanceMetricsAuthSettings['type']): InstanceMetricsAuthSettings {
+    if (type === 'basic') return { type, username: '', password: '' };
+    if (type === 'bearer') return { type, token: '' };
+    return { type: 'none' };
+}
+
+function getSecretSource(value: ConfigSecretValue): SecretSource {
+    if (typeof value === 'string') return 'value';
+    return 'env' in value ? 'env' : 'file';
+}
+
+export function InstanceSettingsCard({
+    inputClass,
+    labelClass,
+    showToast,
+}: {
+    inputClass: string;
+    labelClass: string;
+    showToast: (message: string, type?: 'success' | 'danger' | 'info') => void;
+}) {
+    const { t } = useI18n();
+    const [instances, setInstances] = useState<InstanceSettings[]>([]);
+    const [configFile, setConfigFile] = useState('');
+    const [expanded, setExpanded] = useState<number | null>(null);
+    const [loadError, setLoadError] = useState<string | null>(null);
+    const [saveError, setSaveError] = useState<string | null>(null);
+    const [restartRequired, setRestartRequired] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [testing, setTesting] = useState<number | null>(null);
+    const [testResults, setTestResults] = useState<Record<number, InstanceConnectionTestResponse | { error: string }>>({});
+
+    useEffect(() => {
+        let cancelled = false;
+        fetchInstanceSettings()
+            .then((settings) => {
+                if (cancelled) return;
+                setInstances(settings.instances);
+                setConfigFile(settings.config_file);
+            })
+            .catch((error: unknown) => {
+                if (!cancelled) setLoadError(error instanceof Error ? error.message : t('pages.settings.instances.failedToLoad'));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [t]);
+
+    const updateInstance = (index: number, update: (instance: InstanceSettings) => InstanceSettings) => {
+        setInstances((current) => current.map((instance, candidate) => (candidate === index ? update(instance) : instance)));
+        setTestResults((current) => {
+            const { [index]: _discarded, ...rest } = current;
+            return rest;
+        });
+    };
+
+    const moveInstance = (index: number, offset: -1 | 1) => {
+        setInstances((current) => {
+            const next = [...current];
+            [next[index], next[index + offset]] = [next[index + offset], next[index]];
+            return next;
+        });
+        setExpanded((current) => (current === index ? index + offset : current === index + offset ? index : current));
+        setTestResults({});
+    };
+
+    const removeInstance = (index: number) => {
+        setInstances((current) => current.filter((_, candidate) => candidate !== index));
+        setExpanded(null);
+        setTestResults({});
+    };
+
+    const addInstance = () => {
+        setInstances((current) => [...current, emptyInstance()]);
+        setExpanded(instances.length);
+    };
+
+    const runTest = async (index: number) => {
+        setTesting(index);
+        try {
+            const result = await testInstanceConnection(instances[index]);
+            setTestResults((current) => ({ ...current, [index]: result }));
+        } catch (error) {
+            setTestResults((current) => ({ ...current, [index]: { error: error instanceof Error ? error.message : String(error) } }));
+        } finally {
+            setTesting(null);
+        }
+    };
+
+    const save = async () => {
+        setIsSaving(true);
+        setSaveError(null);
+        try {
+            const result = await updateInstanceSettings({ instances });
+            setInstances(result.instances);
+            setRestartRequired(result.restart_required);
+            showToast(t('pages.settings.instances.saved'), 'success');
+        } catch (error) {
+            setSaveError(error instanceof Error ? error.message : t('pages.settings.instances.failedToSave'));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const secondaryButtonClass = 'inline-flex h-10 items-center justify-center gap-2 rounded-lg border border-gray-300 bg-white px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800';
+    const primaryButtonClass = 'inline-flex h-10 items-center justify-center gap-2 rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-60';
+    const iconButtonClass = 'rounded-lg p-2 text-gray-500 hover:bg-gray-100 hover:text-gray-700 disabled:cursor-not-allowed disabled:opacity-40 dark:text-gray-400 dark:hover:bg-gray-800 dark:hover:text-gray-200';
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>{t('pages.settings.instances.title')}</CardTitle>
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                    {configFile ? t('pages.settings.instances.description', { file: configFile }) : t('pages.settings.instances.restartHint')}
+                </p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                {loadError ? (
+                    <div role="alert" className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700 dark:border-red-900 dark:bg-red-950/40 dark:text-red-300">
+                        {loadError}
+                    </div>
+                ) : (
+                    <>
+                        {configFile && <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.settings.instances.restartHint')}</p>}
+                        <ul className="space-y-3">
+                            {instances.map((instance, index) => {
+                                const label = instance.name || instance.id || t('pages.settings.instances.newInstance');
+                                const isExpanded = expanded === index;
+                                return (
+                                    <li key={index} className="rounded-lg border border-gray-200 dark:border-gray-700">
+                                        <div className="flex flex-wrap items-center gap-2 px-3 py-2">
+                                            <div className="min-w-0 flex-1">
+                                                <div className="flex items-center gap-2">
+                                                    <span className="truncate text-sm font-medium text-gray-900 dark:text-gray-100">{label}</span>
+                                                    {index === 0 && <Badge variant="info">{t('pages.settings.instances.primary')}</Badge>}
+                                                </div>
+                                                <p className="truncate font-mono text-xs text-gray-500 dark:text-gray-400">{instance.lapi.url}</p>
+                                            </div>
+                                            <button type="button" onClick={() => moveInstance(index, -1)} disabled={index === 0} className={iconButtonClass} aria-label={t('pages.settings.instances.moveUp', { name: label })} title={t('pages.settings.instances.moveUp', { name: label })}>
+                                                <ArrowUp className="h-4 w-4" />
+                                            </button>
+                                            <button type="button" onClick={() => moveInstance(index, 1)} disabled={index === instances.length - 1} className={iconButtonClass} aria-label={t('pages.settings.instances.moveDown', { name: label })} title={t('pages.settings.instances.moveDown', { name: label })}>
+                                                <ArrowDown className="h-4 w-4" />
+                                            </button>
+                                            <button type="button" onClick={() => setExpanded(isExpanded ? null : index)} className={iconButtonClass} aria-expanded={isExpanded} aria-label={t('pages.settings.instances.edit', { name: label })} title={t('pages.settings.instances.edit', { name: label })}>
+                                                <Pencil className="h-4 w-4" />
+                                            </button>
+                                            <button type="button" onClick={() => removeInstance(index)} disabled={instances.length === 1} className={iconButtonClass} aria-label={t('pages.settings.instances.remove', { name: label })} title={t('pages.settings.instances.remove', { name: label })}>
+                                                <Trash2 className="h-4 w-4" />
+                                            </button>
+                                        </div>
+                                        {isExpanded && (
+                                            <div className="space-y-5 border-t border-gray-200 px-3 py-4 dark:border-gray-700">
+                                                <InstanceEditor
+                                                    instance={instance}
+                                                    idPrefix={`instance-${index}`}
+                                                    onChange={(update) => updateInstance(index, update)}
+                                                    inputClass={inputClass}
+                                                    labelClass={labelClass}
+                                                />
+                                                <div className="space-y-3 border-t border-gray-200 pt-4 dark:border-gray-700">
+                                                    <button type="button" onClick={() => void runTest(index)} disabled={testing !== null} className={secondaryButtonClass}>
+                                                        <PlugZap className="h-4 w-4" />
+                                                        {testing === index ? t('pages.settings.instances.testing') : t('pages.settings.instances.test')}
+                                                    </button>
+                                                    {testResults[index] && <ConnectionTestResult result={testResults[index]} />}
+                                                </div>
+                                            </div>
+                                        )}
+                                    </li>
+                                );
+                            })}
+                        </ul>
+
+                        {saveError && (
+                            <div role="alert" className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700 dark:border-red-900 dark:bg-red-950/40 dark:text-red-300">
+                                {saveError}
+                            </div>
+                        )}
+                        {restartRequired && (
+                            <p className="text-sm text-amber-700 dark:text-amber-400">{t('pages.settings.instances.restartRequired')}</p>
+                        )}
+
+                        <div className="flex flex-wrap gap-2">
+                            <button type="button" onClick={addInstance} disabled={isSaving} className={secondaryButtonClass}>
+                                <Plus className="h-4 w-4" />
+                                {t('pages.settings.instances.add')}
+                            </button>
+                            <button type="button" onClick={() => void save()} disabled={isSaving || instances.length === 0} className={primaryButtonClass}>
+                                <Save className="h-4 w-4" />
+                                {isSaving ? t('common.saving') : t('pages.settings.instances.save')}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function InstanceEditor({
+    instance,
+    idPrefix,
+    onChange,
+    inputClass,
+    labelClass,
+}: {
+    instance: InstanceSettings;
+    idPrefix: string;
+    onChange: (update: (instance: InstanceSettings) => InstanceSettings) => void;
+    inputClass: string;
+    labelClass: string;
+}) {
+    const { t } = useI18n();
+    const auth = instance.lapi.auth;
+    const setLapi = (lapi: Partial<InstanceSettings['lapi']>) => onChange((current) => ({ ...current, lapi: { ...current.lapi, ...lapi } }));
+    const setAuth = (next: InstanceLapiAuthSettings) => setLapi({ auth: next });
+    const setMetrics = (index: number, update: Partial<InstanceMetricsSettings>) => onChange((current) => ({
+        ...current,
+        metrics: current.metrics.map((endpoint, candidate) => (candidate === index ? { ...endpoint, ...update } : endpoint)),
+    }));
+    const setSync = (key: InstanceSyncOverrideKey, value: string | number | boolean | undefined) => onChange((current) => {
+        const { [key]: _previous, ...sync } = current.sync;
+        return { ...current, sync: value === undefined || value === '' ? sync : { ...sync, [key]: value } };
+    });
+
+    return (
+        <>
+            <div className="grid gap-3 sm:grid-cols-3">
+                <TextField id={`${idPrefix}-id`} label={t('pages.settings.instances.id')} value={instance.id} onChange={(id) => onChange((current) => ({ ...current, id }))} inputClass={inputClass} labelClass={labelClass} />
+                <TextField id={`${idPrefix}-name`} label={t('common.name')} value={instance.name} onChange={(name) => onChange((current) => ({ ...current, name }))} inputClass={inputClass} labelClass={labelClass} />
+                <TextField id={`${idPrefix}-icon`} label={t('pages.settings.instances.icon')} value={instance.icon || ''} onChange={(icon) => onChange((current) => ({ ...current, icon: icon || undefined }))} inputClass={inputClass} labelClass={labelClass} />
+            </div>
+
+            <div className="grid gap-3 sm:grid-cols-2">
+                <TextField id={`${idPrefix}-url`} label={t('pages.settings.instances.lapiUrl')} value={instance.lapi.url} onChange={(url) => setLapi({ url })} placeholder="http://crowdsec:8080" inputClass={inputClass} labelClass={labelClass} />
+                <TextField id={`${idPrefix}-ca`} label={t('pages.settings.instances.caFile')} value={instance.lapi.tls?.caFile || ''} onChange={(caFile) => setLapi({ tls: caFile ? { caFile } : undefined })} inputClass={inputClass} labelClass={labelClass} />
+                <div className="space-y-2">
+                    <label htmlFor={`${idPrefix}-auth`} className={labelClass}>{t('pages.settings.instances.auth')}</label>
+                    <select id={`${idPrefix}-auth`} value={auth.type} onChange={(event) => setAuth(lapiAuthForType(event.target.value as InstanceLapiAuthSettings['type']))} className={inputClass}>
+                        <option value="password">{t('pages.settings.instances.authPassword')}</option>
+                        <option value="mtls">{t('pages.settings.instances.authMtls')}</option>
+                        <option value="none">{t('pages.settings.instances.authNone')}</option>
+                    </select>
+                </div>
+                {auth.type === 'password' && (
+                    <>
+                        <TextField id={`${idPrefix}-username`} label={t('pages.settings.instances.username')} value={auth.username} onChange={(username) => setAuth({ ...auth, username })} inputClass={inputClass} labelClass={labelClass} />
+                        <SecretField id={`${idPrefix}-password`} label={t('pages.settings.instances.password')} value={auth.password} onChange={(password) => setAuth({ ...auth, password })} inputClass={inputClass} labelClass={labelClass} />
+                    </>
+                )}
+                {auth.type === 'mtls' && (
+                    <>
+                        <TextField id={`${idPrefix}-cert`} label={t('pages.settings.instances.certFile')} value={auth.certFile} onChange={(certFile) => setAuth({ ...auth, certFile })} inputClass={inputClass} labelClass={labelClass} />
+                        <TextField id={`${idPrefix}-key`} label={t('pages.settings.instances.keyFile')} value={auth.keyFile} onChange={(keyFile) => setAuth({ ...auth, keyFile })} inputClass={inputClass} labelClass={labelClass} />
+                    </>
+                )}
+            </div>
+
+            <div className="space-y-3">
+                <h3 className={labelClass}>{t('pages.settings.instances.metrics')}</h3>
+                {instance.metrics.length === 0 && <p className="text-sm text-gray-500 dark:text-gray-400">{t('pages.settings.instances.noMetrics')}</p>}
+                {instance.metrics.map((endpoint, index) => {
+                    const prefix = `${idPrefix}-metrics-${index}`;
+                    const endpointAuth = endpoint.auth;
+                    const endpointLabel = endpoint.name || endpoint.id || String(index + 1);
+                    return (
+                        <div key={index} className="space-y-3 rounded-lg bg-gray-50 p-3 dark:bg-gray-900/50">
+                            <div className="grid gap-3 sm:grid-cols-3">
+                                <TextField id={`${prefix}-id`} label={t('pages.settings.instances.id')} value={endpoint.id} onChange={(id) => setMetrics(index, { id })} inputClass={inputClass} labelClass={labelClass} />
+                                <TextField id={`${prefix}-name`} label={t('common.name')} value={endpoint.name} onChange={(name) => setMetrics(index, { name })} inputClass={inputClass} labelClass={labelClass} />
+                                <TextField id={`${prefix}-url`} label={t('pages.settings.instances.metricsUrl')} value={endpoint.url} onChange={(url) => setMetrics(index, { url })} placeholder="http://crowdsec:6060/metrics" inputClass={inputClass} labelClass={labelClass} />
+                                <div className="space-y-2">
+                                    <label htmlFor={`${prefix}-auth`} className={labelClass}>{t('pages.settings.instances.auth')}</label>
+                                    <select id={`${prefix}-auth`} value={endpointAuth.type} onChange={(event) => setMetrics(index, { auth: metricsAuthForType(event.target.value as InstanceMetricsAuthSettings['type']) })} className={inputClass}>
+                                        <option value="none">{t('pages.settings.instances.authNone')}</option>
+                                        <option value="basic">{t('pages.settings.instances.authBasic')}</option>
+                                        <option value="bearer">{t('pages.settings.instances.authBearer')}</option>
+                                    </select>
+                                </div>
+                                {endpointAuth.type === 'basic' && (
+                                    <>
+                                        <TextField id={`${prefix}-username`} label={t('pages.settings.instances.username')} value={endpointAuth.username} onChange={(username) => setMetrics(index, { auth: { ...endpointAuth, username } })} inputClass={inputClass} labelClass={labelClass} />
+                                        <SecretField id={`${prefix}-password`} label={t('pages.settings.instances.password')} value={endpointAuth.password} onChange={(password) => setMetrics(index, { auth: { ...endpointAuth, password } })} inputClass={inputClass} labelClass={labelClass} />
+                                    </>
+                                )}
+                                {endpointAuth.type === 'bearer' && (
+                                    <SecretField id={`${prefix}-token`} label={t('pages.settings.instances.token')} value={endpointAuth.token} onChange={(token) => setMetrics(index, { auth: { ...endpointAuth, token } })} inputClass={inputClass} labelClass={labelClass} />
+                                )}
+                                <TextField id={`${prefix}-ca`} label={t('pages.settings.instances.caFile')} value={endpoint.tls?.caFile || ''} onChange={(caFile) => setMetrics(index, { tls: { ...endpoint.tls, caFile: caFile || undefined } })} inputClass={inputClass} labelClass={labelClass} />
+                                <TextField id={`${prefix}-timeout`} label={t('pages.settings.instances.requestTimeout')} value={endpoint.requestTimeout || ''} onChange={(requestTimeout) => setMetrics(index, { requestTimeout: requestTimeout || undefined })} placeholder="10s" inputClass={inputClass} labelClass={labelClass} />
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => onChange((current) => ({ ...current, metrics: current.metrics.filter((_, candidate) => candidate !== index) }))}
+                                className="inline-flex items-center gap-1 text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+                            >
+                                <Trash2 className="h-4 w-4" />
+                                {t('pages.settings.instances.removeMetrics', { name: endpointLabel })}
+                            </button>
+                        </div>
+                    );
+                })}
+                <button
+                    type="button"
+                    onClick={() => onChange((current) => ({ ...current, metrics: [...current.metrics, emptyMetricsEndpoint()] }))}
+                    className="inline-flex items-center gap-1 text-sm font-medium text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                >
+                    <Plus className="h-4 w-4" />
+                    {t('pages.settings.instances.addMetrics')}
+                </button>
+            </div>
+
+            <div className="space-y-3">
+                <h3 className={labelClass}>{t('pages.settings.instances.sync')}</h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.settings.instances.syncHint')}</p>
+                <div className="grid gap-3 sm:grid-cols-3">
+                    {INSTANCE_SYNC_OVERRIDE_KEYS.map((key) => {
+                        const id = `${idPrefix}-sync-${key}`;
+                        const value = instance.sync[key];
+                        if (BOOLEAN_SYNC_KEYS.has(key)) {
+                            return (
+                                <div key={key} className="space-y-2">
+                                    <label htmlFor={id} className={`${labelClass} font-mono normal-case`}>{key}</label>
+                                    <select
+                                        id={id}
+                                        value={value === undefined ? '' : String(value)}
+                                        onChange={(event) => setSync(key, event.target.value === '' ? undefined : event.target.value === 'true')}
+                                        className={inputClass}
+                                    >
+                                        <option value="">{t('pages.settings.instances.inherit')}</option>
+                                        <option value="true">{t('common.enabled')}</option>
+                                        <option value="false">{t('common.disabled')}</option>
+                                    </select>
+                                </div>
+                            );
+                        }
+                        return (
+                            <div key={key} className="space-y-2">
+                                <label htmlFor={id} className={`${labelClass} font-mono normal-case`}>{key}</label>
+                                <input
+                                    id={id}
+                                    type={INTEGER_SYNC_KEYS.has(key) ? 'number' : 'text'}
+                                    min={INTEGER_SYNC_KEYS.has(key) ? 1 : undefined}
+                                    value={value === undefined ? '' : String(value)}
+                                    onChange={(event) => setSync(key, INTEGER_SYNC_KEYS.has(key) && event.target.value ? Number(event.target.value) : event.target.value)}
+                                    placeholder={t('pages.settings.instances.inherit')}
+                                    className={inputClass}
+                                />
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </>
+    );
+}
+
+function TextField({
+    id,
+    label,
+    value,
+    onChange,
+    placeholder,
+    inputClass,
+    labelClass,
+}: {
+    id: string;
+    label: string;
+    value: string;
+    onChange: (value: string) => void;
+    placeholder?: string;
+    inputClass: string;
+    labelClass: string;
+}) {
+    return (
+        <div className="space-y-2">
+            <label htmlFor={id} className={labelClass}>{label}</label>
+            <input id={id} type="text" value={value} onChange={(event) => onChange(event.target.value)} placeholder={placeholder} autoComplete="off" className={inputClass} />
+        </div>
+    );
+}
+
+/** A secret written inline, or read from an environment variable or file when the YAML is loaded. */
+function SecretField({
+    id,
+    label,
+    value,
+    onChange,
+    inputClass,
+    labelClass,
+}: {
+    id: string;
+    label: string;
+    value: ConfigSecretValue;
+    onChange: (value: ConfigSecretValue) => void;
+    inputClass: string;
+    labelClass: string;
+}) {
+    const { t } = useI18n();
+    const source = getSecretSource(value);
+    const text = typeof value === 'string' ? (value === STORED_SECRET_SENTINEL ? '' : value) : 'env' in value ? value.env : value.file;
+    const setValue = (nextSource: SecretSource, nextText: string) => {
+        onChange(nextSource === 'env' ? { env: nextText } : nextSource === 'file' ? { file: nextText } : nextText);
+    };
+
+    return (
+        <div className="space-y-2">
+            <label htmlFor={id} className={labelClass}>{label}</label>
+            <div className="flex gap-2">
+                <select
+                    value={source}
+                    onChange={(event) => setValue(event.target.value as SecretSource, '')}
+                    aria-label={t('pages.settings.instances.secretSource', { field: label })}
+                    className={`${inputClass} w-auto`}
+                >
+                    <option value="value">{t('pages.settings.instances.secretValue')}</option>
+                    <option value="env">{t('pages.settings.instances.secretEnv')}</option>
+                    <option value="file">{t('pages.settings.instances.secretFile')}</option>
+                </select>
+                <input
+                    id={id}
+                    type={source === 'value' ? 'password' : 'text'}
+                    value={text}
+                    onChange={(event) => setValue(source, event.target.value)}
+                    placeholder={value === STORED_SECRET_SENTINEL ? t('pages.settings.instances.storedPlaceholder') : source === 'env' ? 'CROWDSEC_PASSWORD' : ''}
+                    autoComplete="new-password"
+                    className={inputClass}
+                />
+            </div>
+        </div>
+    );
+}
+
+function ConnectionTestResult({ result }: { result: InstanceConnectionTestResponse | { error: string } }) {
+    const { t } = useI18n();
+    if ('error' in result) {
+        return (
+            <div role="alert" className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700 dark:border-red-900 dark:bg-red-950/40 dark:text-red-300">
+                {result.error}
+            </div>
+        );
+    }
+    return (
+        <div className="space-y-2" aria-live="polite">
+            <p className={`text-sm font-medium ${result.success ? 'text-green-700 dark:text-green-400' : 'text-red-700 dark:text-red-400'}`}>
+                {result.success ? t('pages.settings.instances.testPassed') : t('pages.settings.instances.testFailed')}
+            </p>
+            <ul className="space-y-1 text-sm">
+                {result.steps.map((step, index) => (
+                    <li key={index} className="flex flex-wrap items-center gap-2">
+                        <Badge variant={step.skipped ? 'secondary' : step.success ? 'success' : 'danger'}>
+                            {step.skipped ? t('pages.settings.instances.stepSkipped') : step.success ? t('pages.settings.instances.stepPassed') : t('pages.settings.instances.stepFailed')}
+                        </Badge>
+                        <span className="text-gray-900 dark:text-gray-100">{t(STEP_LABEL_KEYS[step.step], { target: step.target })}</span>
+                        {!step.skipped && <span className="text-xs text-gray-500 dark:text-gray-400">{t('pages.settings.instances.stepDuration', { ms: step.duration_ms })}</span>}
+                        {step.alerts !== undefined && <span className="text-xs text-gray-500 dark:text-gray-400">{t('pages.settings.instances.stepAlertsResult', { count: step.alerts })}</span>}
+                        {step.error && <span className="w-full text-xs text-red-600 dark:text-red-400">{step.error}</span>}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
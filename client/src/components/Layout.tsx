@@ -55,6 +55,9 @@ export function Layout() {
     const location = useLocation();
     
     const getPageTitle = (): string => {
+        if (location.pathname.startsWith('/ip/')) {
+            return t('pages.ipProfile.title');
+        }
         switch (location.pathname) {
             case '/':
                 return t('pages.dashboard.title');
@@ -62,10 +65,18 @@ export function Layout() {
                 return t('pages.alerts.title');
             case '/decisions':
                 return t('pages.decisions.title');
+            case '/decisions/drift':
+                return t('pages.decisionDrift.title');
+            case '/incidents':
+                return t('pages.incidents.title');
+            case '/allowlists':
+                return t('pages.allowlists.title');
             case '/metrics':
                 return t('pages.metrics.title');
             case '/notifications':
                 return t('pages.notifications.title');
+            case '/audit':
+                return t('pages.audit.title');
             case '/settings':
                 return t('pages.settings.title');
             default:
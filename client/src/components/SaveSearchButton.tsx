@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import type { FormEvent } from 'react';
+import { AlertCircle, Bookmark } from 'lucide-react';
+import { createSavedSearch, fetchSavedSearches, updateSavedSearch } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import { notifySavedSearchesChanged } from '../lib/savedSearches';
+import { useOptionalToast } from '../contexts/useToast';
+import type { TableColumnId, UpsertSavedSearchRequest } from '../types';
+import { Modal } from './ui/Modal';
+
+const FIELD_CLASS_NAME = 'block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-primary-500 focus:border-primary-500 sm:text-sm';
+
+interface SaveSearchButtonProps {
+    page: 'alerts' | 'decisions';
+    query: string;
+    dateStart: string;
+    dateEnd: string;
+    instance: string;
+    columns: TableColumnId[];
+}
+
+export function SaveSearchButton(props: SaveSearchButtonProps) {
+    const { t } = useI18n();
+    const [open, setOpen] = useState(false);
+
+    return (
+        <>
+            <button
+                type="button"
+                aria-label={t('components.savedSearches.save')}
+                title={t('components.savedSearches.save')}
+                onClick={() => setOpen(true)}
+                className="inline-flex items-center justify-center rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 px-3 text-gray-600 dark:text-gray-300 transition-colors hover:bg-gray-50 dark:hover:bg-gray-700"
+            >
+                <Bookmark size={18} />
+            </button>
+            <Modal isOpen={open} onClose={() => setOpen(false)} title={t('components.savedSearches.save')}>
+                <SaveSearchModalContent {...props} onClose={() => setOpen(false)} />
+            </Modal>
+        </>
+    );
+}
+
+function SaveSearchModalContent({ page, query, dateStart, dateEnd, instance, columns, onClose }: SaveSearchButtonProps & { onClose: () => void }) {
+    const { t } = useI18n();
+    const toast = useOptionalToast();
+    const [name, setName] = useState('');
+    const [shared, setShared] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const handleSubmit = async (event: FormEvent) => {
+        event.preventDefault();
+        setSaving(true);
+        setError(null);
+        const request: UpsertSavedSearchRequest = {
+            page,
+            name: name.trim(),
+            query,
+            date_start: dateStart || null,
+            date_end: dateEnd || null,
+            instance: instance || 'all',
+            columns,
+            shared,
+        };
+        try {
+            // Saving under the name of one of your own searches replaces it instead of creating a duplicate.
+            const existing = (await fetchSavedSearches())
+                .find((search) => search.page === page && search.editable && search.name === request.name);
+            if (existing) {
+                await updateSavedSearch(existing.id, request);
+            } else {
+                await createSavedSearch(request);
+            }
+            notifySavedSearchesChanged();
+            toast?.addToast(t('components.savedSearches.saved', { name: request.name }), 'success');
+            onClose();
+        } catch (saveError) {
+            setError(saveError instanceof Error ? saveError.message : t('components.savedSearches.saveFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+                <label htmlFor="saved-search-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    {t('common.name')}
+                </label>
+                <input
+                    id="saved-search-name"
+                    type="text"
+                    value={name}
+                    maxLength={100}
+                    autoFocus
+                    onChange={(event) => setName(event.target.value)}
+                    className={FIELD_CLASS_NAME}
+                />
+            </div>
+            <p className="break-all rounded-md bg-gray-50 px-3 py-2 font-mono text-xs text-gray-600 dark:bg-gray-900/50 dark:text-gray-300">
+                {query || t('components.savedSearches.emptyQuery')}
+            </p>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                    type="checkbox"
+                    checked={shared}
+                    onChange={(event) => setShared(event.target.checked)}
+                    className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                {t('components.savedSearches.shareWithEveryone')}
+            </label>
+
+            {error && (
+                <div role="alert" className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-md p-4 flex items-center gap-2 text-red-700 dark:text-red-300">
+                    <AlertCircle size={16} className="flex-shrink-0" />
+                    <span className="text-sm">{error}</span>
+                </div>
+            )}
+
+            <div className="flex justify-end gap-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onClose}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-white dark:bg-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {t('common.cancel')}
+                </button>
+                <button
+                    type="submit"
+                    disabled={saving || !name.trim()}
+                    className="px-4 py-2 text-sm font-medium text-white bg-primary-600 border border-transparent rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                    {saving ? t('common.saving') : t('common.save')}
+                </button>
+            </div>
+        </form>
+    );
+}
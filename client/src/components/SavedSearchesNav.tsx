@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bookmark, Gavel, ShieldAlert, Trash2, Users } from 'lucide-react';
+import { deleteSavedSearch, fetchSavedSearches } from '../lib/api';
+import { useI18n } from '../lib/i18n';
+import { getSavedSearchPath, notifySavedSearchesChanged, SAVED_SEARCHES_CHANGED_EVENT } from '../lib/savedSearches';
+import { applyStoredTableColumnLayout } from '../lib/tableColumns';
+import { useOptionalToast } from '../contexts/useToast';
+import type { SavedSearch } from '../types';
+
+interface SavedSearchesNavProps {
+    onNavigate: () => void;
+}
+
+export function SavedSearchesNav({ onNavigate }: SavedSearchesNavProps) {
+    const { t } = useI18n();
+    const toast = useOptionalToast();
+    const navigate = useNavigate();
+    const [searches, setSearches] = useState<SavedSearch[]>([]);
+
+    useEffect(() => {
+        let cancelled = false;
+        const loadSearches = async () => {
+            try {
+                const nextSearches = await fetchSavedSearches();
+                if (!cancelled) setSearches(nextSearches);
+            } catch (error) {
+                console.error('Failed to load saved searches', error);
+            }
+        };
+
+        void loadSearches();
+        window.addEventListener(SAVED_SEARCHES_CHANGED_EVENT, loadSearches);
+        return () => {
+            cancelled = true;
+            window.removeEventListener(SAVED_SEARCHES_CHANGED_EVENT, loadSearches);
+        };
+    }, []);
+
+    if (searches.length === 0) return null;
+
+    const openSearch = (search: SavedSearch) => {
+        applyStoredTableColumnLayout(search.page, search.columns);
+        navigate(getSavedSearchPath(search));
+        onNavigate();
+    };
+
+    const removeSearch = async (search: SavedSearch) => {
+        try {
+            await deleteSavedSearch(search.id);
+            setSearches((current) => current.filter((item) => item.id !== search.id));
+            notifySavedSearchesChanged();
+        } catch (error) {
+            toast?.addToast(error instanceof Error ? error.message : t('components.savedSearches.deleteFailed'), 'danger');
+        }
+    };
+
+    return (
+        <section className="pt-4" aria-labelledby="saved-searches-heading">
+            <p id="saved-searches-heading" className="flex items-center gap-2 px-4 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">
+                <Bookmark size={14} aria-hidden="true" />
+                {t('components.savedSearches.title')}
+            </p>
+            <ul className="space-y-1">
+                {searches.map((search) => {
+                    const PageIcon = search.page === 'alerts' ? ShieldAlert : Gavel;
+                    return (
+                        <li key={search.id} className="group flex items-center gap-1">
+                            <button
+                                type="button"
+                                onClick={() => openSearch(search)}
+                                title={search.query || t('components.savedSearches.emptyQuery')}
+                                className="flex min-w-0 flex-1 items-center gap-3 rounded-lg px-4 py-2 text-left text-sm text-gray-600 transition-colors hover:bg-gray-50 hover:text-gray-900 dark:text-gray-400 dark:hover:bg-gray-700/50 dark:hover:text-gray-200"
+                            >
+                                <PageIcon className="h-4 w-4 shrink-0" aria-hidden="true" />
+                                <span className="truncate">{search.name}</span>
+                                {search.shared && (
+                                    <Users
+                                        className="h-3.5 w-3.5 shrink-0 text-gray-400"
+                                        aria-label={t('components.savedSearches.sharedBy', { owner: search.owner || '—' })}
+                                    />
+                                )}
+                            </button>
+                            {search.editable && (
+                                <button
+                                    type="button"
+                                    onClick={() => void removeSearch(search)}
+                                    aria-label={t('components.savedSearches.delete', { name: search.name })}
+                                    className="rounded-md p-1.5 text-gray-400 opacity-0 transition-opacity hover:bg-gray-100 hover:text-red-600 focus:opacity-100 group-hover:opacity-100 dark:hover:bg-gray-700"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </section>
+    );
+}
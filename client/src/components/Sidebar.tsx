@@ -1,5 +1,5 @@
 import { NavLink, useLocation, useNavigate } from "react-router-dom";
-import { LayoutDashboard, ShieldAlert, Gavel, Bell, X, Sun, Moon, ArrowUpCircle, BarChart3, Menu, PanelLeftClose, Settings as SettingsIcon, LogOut, RefreshCw, ChevronDown, Boxes } from "lucide-react";
+import { LayoutDashboard, ShieldAlert, Gavel, Bell, X, Sun, Moon, ArrowUpCircle, BarChart3, Menu, PanelLeftClose, Settings as SettingsIcon, LogOut, RefreshCw, ChevronDown, Boxes, ScrollText, ShieldCheck, Layers } from "lucide-react";
 import { Badge } from "./ui/Badge";
 import { useAuth } from "../contexts/AuthContext";
 import { useNotificationUnreadCount } from "../contexts/useNotificationUnreadCount";
@@ -14,6 +14,7 @@ import { useOptionalToast } from "../contexts/useToast";
 import { Modal } from "./ui/Modal";
 import { DropdownSelect } from "./ui/DropdownSelect";
 import { InstanceIcon } from "./InstanceIcon";
+import { SavedSearchesNav } from "./SavedSearchesNav";
 import type { ManualRefreshMode } from "../types";
 
 type ThemeMode = 'light' | 'dark';
@@ -89,7 +90,7 @@ export function Sidebar({ isOpen, onClose, onToggle, theme, toggleTheme }: Sideb
         || (instances.length > 1 ? 'all' : instances[0]?.id || 'all');
 
     const scopedLink = (path: string) => {
-        if (!['/', '/alerts', '/decisions', '/metrics'].includes(path) || instances.length <= 1) return path;
+        if (!['/', '/alerts', '/decisions', '/allowlists', '/metrics'].includes(path) || instances.length <= 1) return path;
         return `${path}?instance=${encodeURIComponent(currentInstance)}`;
     };
 
@@ -113,8 +114,11 @@ export function Sidebar({ isOpen, onClose, onToggle, theme, toggleTheme }: Sideb
         { to: "/", label: "components.sidebar.nav.dashboard", icon: LayoutDashboard },
         { to: "/alerts", label: "components.sidebar.nav.alerts", icon: ShieldAlert },
         { to: "/decisions", label: "components.sidebar.nav.decisions", icon: Gavel },
+        { to: "/incidents", label: "components.sidebar.nav.incidents", icon: Layers },
+        { to: "/allowlists", label: "components.sidebar.nav.allowlists", icon: ShieldCheck },
         { to: "/notifications", label: "components.sidebar.nav.notifications", icon: Bell },
         ...(showMetricsNav ? [{ to: "/metrics", label: "components.sidebar.nav.metrics", icon: BarChart3 }] : []),
+        { to: "/audit", label: "components.sidebar.nav.audit", icon: ScrollText },
         { to: "/settings", label: "components.sidebar.nav.settings", icon: SettingsIcon },
     ];
 
@@ -329,7 +333,7 @@ export function Sidebar({ isOpen, onClose, onToggle, theme, toggleTheme }: Sideb
                     />
                 </div>
             )}
-            <nav className="flex-1 px-4 space-y-2">
+            <nav className="flex-1 min-h-0 overflow-y-auto px-4 space-y-2">
                 {links.map((link) => (
                     <NavLink
                         key={link.to}
@@ -355,6 +359,13 @@ export function Sidebar({ isOpen, onClose, onToggle, theme, toggleTheme }: Sideb
                         {link.to === "/notifications" ? renderUnreadBadge() : null}
                     </NavLink>
                 ))}
+                <SavedSearchesNav
+                    onNavigate={() => {
+                        if (window.innerWidth < 1024) {
+                            onClose();
+                        }
+                    }}
+                />
             </nav>
             <div className="p-4 border-t border-gray-200 dark:border-gray-700 flex flex-col gap-4">
                 <div className="flex items-center justify-between gap-3 rounded-lg bg-gray-50 p-3 dark:bg-gray-900/50">
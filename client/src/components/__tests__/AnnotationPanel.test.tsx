@@ -0,0 +1,77 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { AnnotationPanel } from '../AnnotationPanel';
+import type { Annotation } from '../../types';
+
+const {
+  addAnnotationNoteMock,
+  deleteAnnotationNoteMock,
+  fetchAnnotationMock,
+  updateAnnotationMock,
+} = vi.hoisted(() => ({
+  addAnnotationNoteMock: vi.fn(),
+  deleteAnnotationNoteMock: vi.fn(),
+  fetchAnnotationMock: vi.fn(),
+  updateAnnotationMock: vi.fn(),
+}));
+
+vi.mock('../../lib/api', () => ({
+  addAnnotationNote: addAnnotationNoteMock,
+  deleteAnnotationNote: deleteAnnotationNoteMock,
+  fetchAnnotation: fetchAnnotationMock,
+  updateAnnotation: updateAnnotationMock,
+}));
+
+const ANNOTATION: Annotation = {
+  status: 'acknowledged',
+  tags: ['scanner'],
+  notes: [{ id: 7, author: 'alice', body: 'Known pentest range', created_at: '2026-06-01T10:00:00.000Z' }],
+  updated_at: '2026-06-01T10:00:00.000Z',
+  updated_by: 'alice',
+};
+
+beforeEach(() => {
+  for (const mock of [addAnnotationNoteMock, deleteAnnotationNoteMock, fetchAnnotationMock, updateAnnotationMock]) {
+    mock.mockReset();
+  }
+  fetchAnnotationMock.mockResolvedValue(ANNOTATION);
+});
+
+describe('AnnotationPanel', () => {
+  test('updates status, tags and notes and reports every change', async () => {
+    const onChange = vi.fn();
+    updateAnnotationMock.mockImplementation(async (_target, _instance, _id, data) => ({ ...ANNOTATION, ...data }));
+    addAnnotationNoteMock.mockResolvedValue(ANNOTATION);
+    deleteAnnotationNoteMock.mockResolvedValue({ ...ANNOTATION, notes: [] });
+
+    render(<AnnotationPanel target="decision" instanceId="primary" id={10} canEdit onChange={onChange} />);
+
+    expect(await screen.findByText('Known pentest range')).toBeInTheDocument();
+    expect(fetchAnnotationMock).toHaveBeenCalledWith('decision', 'primary', 10);
+
+    await userEvent.selectOptions(screen.getByLabelText('Triage status'), 'resolved');
+    await waitFor(() => expect(updateAnnotationMock).toHaveBeenCalledWith('decision', 'primary', 10, { status: 'resolved' }));
+
+    await userEvent.type(screen.getByLabelText('Tags'), 'Customer{Enter}');
+    await waitFor(() => expect(updateAnnotationMock).toHaveBeenCalledWith('decision', 'primary', 10, { tags: ['scanner', 'customer'] }));
+
+    await userEvent.type(screen.getByLabelText('New note'), 'Whitelisted at the edge');
+    await userEvent.click(screen.getByRole('button', { name: 'Add note' }));
+    await waitFor(() => expect(addAnnotationNoteMock).toHaveBeenCalledWith('decision', 'primary', 10, { body: 'Whitelisted at the edge' }));
+
+    await userEvent.click(screen.getByRole('button', { name: 'Delete note' }));
+    await waitFor(() => expect(deleteAnnotationNoteMock).toHaveBeenCalledWith('decision', 'primary', 10, 7));
+    expect(onChange).toHaveBeenCalledTimes(4);
+  });
+
+  test('shows triage details without editing controls for read-only sessions', async () => {
+    render(<AnnotationPanel target="alert" instanceId="default" id={1} canEdit={false} />);
+
+    expect(await screen.findByText('Acknowledged')).toBeInTheDocument();
+    expect(screen.getByText('scanner')).toBeInTheDocument();
+    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Delete note' })).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('New note')).not.toBeInTheDocument();
+  });
+});
@@ -149,6 +149,34 @@ describe('ActivityBarChart', () => {
     expect(setGranularity).toHaveBeenCalledWith('hour');
   });
 
+  test('offers rollup-backed ranges and disables hourly buckets beyond the lookback', async () => {
+    const setRangeDays = vi.fn();
+
+    render(
+      <ActivityBarChart
+        alertsData={series}
+        decisionsData={series}
+        unfilteredAlertsData={series}
+        unfilteredDecisionsData={series}
+        granularity="day"
+        setGranularity={vi.fn()}
+        rangeDays={90}
+        rangeOptions={[7, 30, 90, 365]}
+        setRangeDays={setRangeDays}
+        hourlyAvailable={false}
+        onDateRangeSelect={vi.fn()}
+        selectedDateRange={null}
+        isSticky={false}
+      />,
+    );
+
+    const rangeGroup = screen.getByRole('group', { name: 'Activity chart range' });
+    expect(Array.from(rangeGroup.querySelectorAll('button')).map((button) => button.textContent)).toEqual(['7d', '30d', '90d', '365d']);
+    await userEvent.click(screen.getByRole('button', { name: '365d' }));
+    expect(setRangeDays).toHaveBeenCalledWith(365);
+    expect(screen.getByRole('button', { name: 'Hour' })).toBeDisabled();
+  });
+
   test('keeps the chart controls on a single row on mobile-sized layouts', () => {
     render(
       <ActivityBarChart
@@ -1,5 +1,6 @@
 import { render, screen } from '@testing-library/react';
-import { describe, expect, test } from 'vitest';
+import userEvent from '@testing-library/user-event';
+import { describe, expect, test, vi } from 'vitest';
 import { EventCard } from '../EventCard';
 
 describe('EventCard', () => {
@@ -43,4 +44,45 @@ describe('EventCard', () => {
     expect(screen.getByText('Rule')).toBeInTheDocument();
     expect(screen.getByText('REQUEST_FILENAME')).toBeInTheDocument();
   });
+
+  test('offers range and AS bans from event metadata with the alert source as fallback', async () => {
+    const onBan = vi.fn();
+    const { rerender } = render(
+      <EventCard
+        index={0}
+        event={{
+          timestamp: '2025-01-01T12:34:56.000Z',
+          meta: [
+            { key: 'SourceRange', value: '203.0.113.0/24' },
+            { key: 'ASNNumber', value: '64496' },
+          ],
+        }}
+        onBan={onBan}
+      />,
+    );
+
+    await userEvent.click(screen.getByRole('button', { name: 'Ban range 203.0.113.0/24' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Ban AS64496' }));
+    expect(onBan).toHaveBeenNthCalledWith(1, { scope: 'range', value: '203.0.113.0/24' });
+    expect(onBan).toHaveBeenNthCalledWith(2, { scope: 'as', value: '64496' });
+
+    rerender(
+      <EventCard
+        index={0}
+        event={{ timestamp: '2025-01-01T12:34:56.000Z', meta: [] }}
+        source={{ ip: '198.51.100.7', as_number: 64497, as_name: 'Example AS' }}
+        onBan={onBan}
+      />,
+    );
+    expect(screen.queryByRole('button', { name: /Ban range/ })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Ban AS64497' })).toHaveAttribute('title', 'Example AS');
+
+    rerender(
+      <EventCard
+        index={0}
+        event={{ timestamp: '2025-01-01T12:34:56.000Z', meta: [{ key: 'ASNNumber', value: '64496' }] }}
+      />,
+    );
+    expect(screen.queryByRole('button', { name: /Ban AS/ })).not.toBeInTheDocument();
+  });
 });
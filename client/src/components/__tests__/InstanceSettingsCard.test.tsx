@@ -0,0 +1,111 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { InstanceSettingsCard } from '../InstanceSettingsCard';
+import type { InstancesSettingsResponse } from '../../types';
+
+const {
+  fetchInstanceSettingsMock,
+  testInstanceConnectionMock,
+  updateInstanceSettingsMock,
+} = vi.hoisted(() => ({
+  fetchInstanceSettingsMock: vi.fn(),
+  testInstanceConnectionMock: vi.fn(),
+  updateInstanceSettingsMock: vi.fn(),
+}));
+
+vi.mock('../../lib/api', () => ({
+  fetchInstanceSettings: fetchInstanceSettingsMock,
+  testInstanceConnection: testInstanceConnectionMock,
+  updateInstanceSettings: updateInstanceSettingsMock,
+}));
+
+const SETTINGS: InstancesSettingsResponse = {
+  config_file: '/app/data/config.yaml',
+  instances: [{
+    id: 'primary',
+    name: 'Primary',
+    lapi: { url: 'http://crowdsec:8080', auth: { type: 'password', username: 'watcher', password: { env: 'CROWDSEC_PASSWORD' } } },
+    metrics: [],
+    sync: {},
+  }, {
+    id: 'edge',
+    name: 'Edge',
+    lapi: { url: 'http://edge:8080', auth: { type: 'password', username: 'edge-watcher', password: '(stored)' } },
+    metrics: [{ id: 'engine', name: 'Engine', url: 'http://edge:6060/metrics', auth: { type: 'none' } }],
+    sync: { requestTimeout: '20s' },
+  }],
+};
+
+function renderCard(showToast = vi.fn()) {
+  render(<InstanceSettingsCard inputClass="input" labelClass="label" showToast={showToast} />);
+  return showToast;
+}
+
+beforeEach(() => {
+  for (const mock of [fetchInstanceSettingsMock, testInstanceConnectionMock, updateInstanceSettingsMock]) {
+    mock.mockReset();
+  }
+  fetchInstanceSettingsMock.mockResolvedValue(SETTINGS);
+});
+
+describe('InstanceSettingsCard', () => {
+  test('edits, reorders and saves instances without resending stored secrets', async () => {
+    updateInstanceSettingsMock.mockImplementation(async ({ instances }) => ({ ...SETTINGS, instances, restart_required: true }));
+    const showToast = renderCard();
+
+    expect(await screen.findByText('/app/data/config.yaml', { exact: false })).toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Edit Edge' }));
+    expect(screen.getByRole('button', { name: 'Edit Edge' })).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByLabelText('Password')).toHaveValue('');
+    expect(screen.getByLabelText('Password')).toHaveAttribute('placeholder', 'Stored value kept unless replaced');
+    expect(screen.getByLabelText('requestTimeout')).toHaveValue('20s');
+
+    const [name] = screen.getAllByLabelText('Name');
+    await userEvent.clear(name);
+    await userEvent.type(name, 'Edge EU');
+    await userEvent.selectOptions(screen.getByLabelText('bootstrapRetryEnabled'), 'false');
+    await userEvent.click(screen.getByRole('button', { name: 'Move Edge EU up' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Save instances' }));
+
+    await waitFor(() => expect(updateInstanceSettingsMock).toHaveBeenCalledTimes(1));
+    const [{ instances }] = updateInstanceSettingsMock.mock.calls[0];
+    expect(instances.map((instance: { id: string }) => instance.id)).toEqual(['edge', 'primary']);
+    expect(instances[0]).toMatchObject({
+      name: 'Edge EU',
+      lapi: { auth: { password: '(stored)' } },
+      sync: { requestTimeout: '20s', bootstrapRetryEnabled: false },
+    });
+    expect(showToast).toHaveBeenCalledWith('Instance settings saved', 'success');
+    expect(await screen.findByText('Saved. Restart the Web UI to apply the primary instance change.')).toBeInTheDocument();
+  });
+
+  test('adds an instance and shows each connection test step', async () => {
+    testInstanceConnectionMock.mockResolvedValue({
+      success: false,
+      steps: [
+        { step: 'login', success: true, duration_ms: 12 },
+        { step: 'alerts', success: true, duration_ms: 30, alerts: 4 },
+        { step: 'metrics', target: 'engine', success: false, duration_ms: 5, error: 'HTTP 401' },
+      ],
+    });
+    renderCard();
+
+    await userEvent.click(await screen.findByRole('button', { name: 'Add instance' }));
+    await userEvent.type(screen.getByLabelText('ID'), 'lab');
+    await userEvent.type(screen.getByLabelText('LAPI URL'), 'http://lab:8080');
+    await userEvent.selectOptions(screen.getByRole('combobox', { name: 'Source of Password' }), 'env');
+    await userEvent.type(screen.getByLabelText('Password'), 'LAB_PASSWORD');
+    await userEvent.click(screen.getByRole('button', { name: 'Test connection' }));
+
+    await waitFor(() => expect(testInstanceConnectionMock).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'lab',
+      lapi: { url: 'http://lab:8080', auth: { type: 'password', username: '', password: { env: 'LAB_PASSWORD' } } },
+    })));
+    expect(await screen.findByText('Connection test failed')).toBeInTheDocument();
+    const metricsStep = screen.getByText('Metrics endpoint engine').closest('li')!;
+    expect(within(metricsStep).getByText('Failed')).toBeInTheDocument();
+    expect(within(metricsStep).getByText('HTTP 401')).toBeInTheDocument();
+    expect(screen.getByText('4 alert(s) in the last hour')).toBeInTheDocument();
+  });
+});
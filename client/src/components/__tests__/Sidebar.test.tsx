@@ -1,6 +1,7 @@
 import { render, screen, waitFor } from '@testing-library/react';
-import { MemoryRouter } from 'react-router-dom';
+import { MemoryRouter, useLocation } from 'react-router-dom';
 import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import type { Mock } from 'vitest';
 import userEvent from '@testing-library/user-event';
 import { Sidebar } from '../Sidebar';
 import { useNotificationUnreadCount } from '../../contexts/useNotificationUnreadCount';
@@ -53,7 +54,8 @@ function renderSidebar(translations?: Record<string, string>) {
 }
 
 describe('Sidebar', () => {
-  let fetchMock: ReturnType<typeof vi.fn>;
+  let fetchMock: Mock<typeof fetch>;
+  let savedSearchesMock: Mock<typeof fetch>;
 
   beforeEach(() => {
     refreshNowMock.mockReset();
@@ -68,12 +70,16 @@ describe('Sidebar', () => {
       }
       return Response.json({ update_available: false });
     });
-    vi.stubGlobal('fetch', fetchMock);
+    savedSearchesMock = vi.fn(async () => Response.json([]));
+    vi.stubGlobal('fetch', (input: string | URL | Request, init?: RequestInit) => (
+      String(input).includes('/api/saved-searches') ? savedSearchesMock(input, init) : fetchMock(input, init)
+    ));
   });
 
   afterEach(() => {
     vi.useRealTimers();
     vi.unstubAllEnvs();
+    window.localStorage.clear();
   });
 
   test('shows unread notification badges when unread notifications exist', async () => {
@@ -318,4 +324,47 @@ describe('Sidebar', () => {
     await user.click(screen.getByRole('button', { name: 'Run full refresh' }));
     expect(refreshNowMock).toHaveBeenCalledWith('full');
   });
+
+  test('opens saved searches with their filters and column layout', async () => {
+    vi.mocked(useNotificationUnreadCount).mockReturnValue({
+      unreadCount: 0,
+      setUnreadCount: vi.fn(),
+      refreshUnreadCount: vi.fn(),
+    });
+    savedSearchesMock.mockImplementation(async () => Response.json([{
+      id: 'ssh-de',
+      page: 'alerts',
+      name: 'SSH from DE',
+      query: 'scenario:ssh country:DE',
+      date_start: '2026-03-01',
+      date_end: null,
+      instance: 'all',
+      columns: ['scenario', 'source', 'time'],
+      shared: true,
+      owner: 'analyst',
+      editable: false,
+      created_at: '2026-03-01T00:00:00.000Z',
+      updated_at: '2026-03-01T00:00:00.000Z',
+    }]));
+    function LocationProbe() {
+      const location = useLocation();
+      return <output data-testid="location">{`${location.pathname}${location.search}`}</output>;
+    }
+    const user = userEvent.setup();
+    render(
+      <MemoryRouter>
+        <Sidebar isOpen onClose={vi.fn()} onToggle={vi.fn()} theme="dark" toggleTheme={vi.fn()} />
+        <LocationProbe />
+      </MemoryRouter>,
+    );
+
+    await user.click(await screen.findByRole('button', { name: /SSH from DE/ }));
+
+    expect(screen.queryByRole('button', { name: 'Delete saved search SSH from DE' })).not.toBeInTheDocument();
+    expect(screen.getByTestId('location')).toHaveTextContent(
+      '/alerts?q=scenario%3Assh+country%3ADE&dateStart=2026-03-01&instance=all',
+    );
+    expect(JSON.parse(window.localStorage.getItem('crowdsec-web-ui:table-column-preferences') || '{}').alerts)
+      .toEqual(['scenario', 'source', 'time']);
+  });
 });
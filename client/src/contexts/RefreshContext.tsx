@@ -1,9 +1,18 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { fetchConfig } from '../lib/api';
 import { apiUrl } from '../lib/basePath';
-import type { ManualRefreshMode, RefreshContextValue, SyncStatus, WithChildren } from '../types';
+import type { LiveServerMessage, LiveStream, ManualRefreshMode, RefreshContextValue, SyncStatus, WithChildren } from '../types';
 import { RefreshContext } from './refresh-context';
 
+interface LiveSubscription {
+    filters: Record<string, string>;
+    onMessage: (message: LiveServerMessage) => void;
+}
+
+function sendSocketMessage(socket: WebSocket | null, message: unknown): void {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
 export function RefreshProvider({ children }: WithChildren) {
     const [intervalMs, setIntervalMsState] = useState(0);
     const [lastUpdated, setLastUpdated] = useState<Date | null>(null);
@@ -14,6 +23,9 @@ export function RefreshProvider({ children }: WithChildren) {
     // Track previous sync status to detect when sync completes
     const prevIsSyncing = useRef<boolean | null>(null);
     const lastPushRevisionRef = useRef<string | null>(null);
+    const socketRef = useRef<WebSocket | null>(null);
+    // Live subscriptions outlive individual sockets and are re-sent on reconnect.
+    const liveSubscriptionsRef = useRef(new Map<LiveStream, LiveSubscription>());
 
     // Function to fetch current config including sync status
     const updateConfig = useCallback(async () => {
@@ -148,6 +160,21 @@ export function RefreshProvider({ children }: WithChildren) {
         }
     };
 
+    const subscribeLive = useCallback((
+        stream: LiveStream,
+        filters: Record<string, string>,
+        onMessage: (message: LiveServerMessage) => void,
+    ) => {
+        const subscription: LiveSubscription = { filters, onMessage };
+        liveSubscriptionsRef.current.set(stream, subscription);
+        sendSocketMessage(socketRef.current, { type: 'subscribe', stream, filters });
+        return () => {
+            if (liveSubscriptionsRef.current.get(stream) !== subscription) return;
+            liveSubscriptionsRef.current.delete(stream);
+            sendSocketMessage(socketRef.current, { type: 'unsubscribe', stream });
+        };
+    }, []);
+
     // Keep a bounded polling fallback even while push is connected. A WebSocket
     // can remain open while an intermediary silently drops individual messages;
     // treating an open socket as delivery confirmation can leave every page
@@ -216,6 +243,7 @@ export function RefreshProvider({ children }: WithChildren) {
             if (stopped) return;
             const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
             socket = new window.WebSocket(`${protocol}//${window.location.host}${apiUrl('/api/cache-updates')}`);
+            socketRef.current = socket;
             connectionTimeout = window.setTimeout(() => {
                 if (socket?.readyState === WebSocket.CONNECTING) socket.close();
             }, 10_000);
@@ -224,11 +252,19 @@ export function RefreshProvider({ children }: WithChildren) {
                 clearConnectionTimeout();
                 reconnectAttempt = 0;
                 resetIdleTimeout();
+                for (const [stream, subscription] of liveSubscriptionsRef.current) {
+                    sendSocketMessage(socket, { type: 'subscribe', stream, filters: subscription.filters });
+                }
             };
             socket.onmessage = (event) => {
                 resetIdleTimeout();
                 try {
-                    const message = JSON.parse(String(event.data)) as { type?: string; updated_at?: string | null; instance_ids?: string[] };
+                    const message = JSON.parse(String(event.data)) as { type?: string; stream?: LiveStream | null; updated_at?: string | null; instance_ids?: string[] };
+                    if (message.type === 'live-rows' || message.type === 'subscribed' || message.type === 'subscription-error') {
+                        const subscription = message.stream ? liveSubscriptionsRef.current.get(message.stream) : undefined;
+                        subscription?.onMessage(message as LiveServerMessage);
+                        return;
+                    }
                     if (message.type !== 'ready' && message.type !== 'cache-updated') return;
                     const selectedInstance = new URLSearchParams(window.location.search).get('instance');
                     if (
@@ -287,6 +323,7 @@ export function RefreshProvider({ children }: WithChildren) {
             refreshSignal,
             syncStatus,
             refreshNow,
+            subscribeLive,
         }}>
             {children}
         </RefreshContext.Provider>
@@ -2,6 +2,7 @@ import { act, render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
 import { RefreshProvider } from '../RefreshContext';
+import { useEffect } from 'react';
 import { useRefresh } from '../useRefresh';
 import { fetchConfig } from '../../lib/api';
 
@@ -19,6 +20,7 @@ class MockWebSocket {
   onmessage: ((event: { data: string }) => void) | null = null;
   onerror: (() => void) | null = null;
   onclose: (() => void) | null = null;
+  sent: unknown[] = [];
 
   constructor(url: string) {
     this.url = url;
@@ -30,6 +32,10 @@ class MockWebSocket {
     });
   }
 
+  send(data: string): void {
+    this.sent.push(JSON.parse(data));
+  }
+
   close(): void {
     if (this.readyState >= MockWebSocket.CLOSING) return;
     this.readyState = MockWebSocket.CLOSED;
@@ -102,6 +108,12 @@ function IntervalConsumer({ value }: { value: number }) {
   );
 }
 
+function LiveConsumer({ onMessage }: { onMessage: (message: unknown) => void }) {
+  const { subscribeLive } = useRefresh();
+  useEffect(() => subscribeLive?.('alerts', { q: 'scenario:ssh' }, onMessage), [onMessage, subscribeLive]);
+  return null;
+}
+
 function ManualRefreshConsumer({ onError }: { onError?: (error: unknown) => void }) {
   const { refreshNow, syncStatus } = useRefresh();
   const reportError = onError ?? (() => undefined);
@@ -420,6 +432,41 @@ describe('RefreshContext', () => {
     view.unmount();
   });
 
+  test('sends live subscriptions on every connection and routes their messages', async () => {
+    vi.useFakeTimers();
+    const onMessage = vi.fn();
+    const view = render(
+      <RefreshProvider>
+        <LiveConsumer onMessage={onMessage} />
+      </RefreshProvider>,
+    );
+
+    await act(async () => vi.advanceTimersByTimeAsync(0));
+    const subscribe = { type: 'subscribe', stream: 'alerts', filters: { q: 'scenario:ssh' } };
+    expect(MockWebSocket.instances[0].sent).toEqual([subscribe]);
+
+    const rows = { type: 'live-rows', stream: 'alerts', updated_at: '2026-07-17T08:00:00.000Z', rows: [{ id: 1 }], truncated: false };
+    act(() => {
+      MockWebSocket.instances[0].emit({ type: 'subscribed', stream: 'alerts' });
+      MockWebSocket.instances[0].emit(rows);
+      MockWebSocket.instances[0].emit({ ...rows, stream: 'decisions' });
+    });
+    expect(onMessage.mock.calls).toEqual([[{ type: 'subscribed', stream: 'alerts' }], [rows]]);
+
+    act(() => MockWebSocket.instances[0].close());
+    await act(async () => vi.advanceTimersByTimeAsync(1_000));
+    expect(MockWebSocket.instances[1].sent).toEqual([subscribe]);
+
+    view.rerender(
+      <RefreshProvider>
+        <LiveConsumer onMessage={vi.fn()} />
+      </RefreshProvider>,
+    );
+    expect(MockWebSocket.instances[1].sent).toEqual([subscribe, { type: 'unsubscribe', stream: 'alerts' }, subscribe]);
+    view.unmount();
+    vi.useRealTimers();
+  });
+
   test('works without WebSocket support', async () => {
     vi.stubGlobal('WebSocket', undefined);
 
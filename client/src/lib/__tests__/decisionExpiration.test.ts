@@ -1,6 +1,7 @@
 import { describe, expect, test } from 'vitest';
 import type { DecisionListItem } from '../../types';
-import { formatRemainingDuration, getDecisionExpirationState } from '../decisionExpiration';
+import { parseDuration } from '../../../../shared/duration';
+import { formatRemainingDuration, getDecisionExpirationState, getEditedDecisionExpirationState } from '../decisionExpiration';
 
 function createDecision(overrides: Partial<DecisionListItem> = {}): DecisionListItem {
   const base: DecisionListItem = {
@@ -68,4 +69,18 @@ describe('decision expiration formatting', () => {
       expiresAtMs: null,
     });
   });
+
+  test('previews extended, shortened and replaced remaining durations', () => {
+    const nowMs = Date.parse('2026-07-05T12:00:00.000Z');
+    const decision = createDecision();
+
+    expect(parseDuration('7d')).toBe(7 * 86_400_000);
+    expect(parseDuration('4 hours')).toBeNull();
+    expect(getEditedDecisionExpirationState(decision, 'set', parseDuration('1h30m0s'), nowMs).label).toBe('1h30m0s');
+    expect(getEditedDecisionExpirationState(decision, 'extend', 3_600_000, nowMs).label).toBe('5h0m0s');
+    expect(getEditedDecisionExpirationState(decision, 'shorten', 3_600_000, nowMs).expiresAtMs).toBe(Date.parse('2026-07-05T15:00:00.000Z'));
+    expect(getEditedDecisionExpirationState(decision, 'set', 30 * 60_000, nowMs).label).toBe('30m0s');
+    expect(getEditedDecisionExpirationState(decision, 'shorten', 5 * 3_600_000, nowMs).isExpired).toBe(true);
+    expect(getEditedDecisionExpirationState(decision, 'set', null, nowMs)).toEqual(getDecisionExpirationState(decision, nowMs));
+  });
 });
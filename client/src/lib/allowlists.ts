@@ -0,0 +1,4 @@
+/** Expiration choices for new allowlist entries; an empty value keeps the entry forever. */
+export const ALLOWLIST_EXPIRATIONS = ['', '24h', '7d', '30d'] as const;
+
+export type AllowlistExpiration = (typeof ALLOWLIST_EXPIRATIONS)[number];
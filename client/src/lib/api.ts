@@ -1,30 +1,71 @@
 import type {
+  AddAllowlistItemsRequest,
+  AddAnnotationNoteRequest,
   AddDecisionRequest,
   AlertRecord,
+  AllowlistsResponse,
+  Annotation,
+  AnnotationTarget,
   ApiPermissionError,
+  AuditLogEntry,
+  BackupPreviewResponse,
   BulkDeleteRequest,
   BulkDeleteResult,
   CleanupByIpRequest,
   ConfigResponse,
+  CreateAllowlistRequest,
+  CrowdsecMetricsHistoryRange,
+  CrowdsecMetricsHistoryResponse,
   CrowdsecMetricsResponse,
   DashboardStatsResponse,
+  DecisionDriftResponse,
   DecisionListItem,
+  DecisionMirrorPolicy,
+  EditDecisionsRequest,
+  EditDecisionsResult,
+  ExportBackupRequest,
+  ExportFormat,
   FacetField,
   FacetResponse,
+  ImportBackupRequest,
+  InstanceConnectionTestResponse,
+  InstanceSettings,
+  InstancesSettingsResponse,
+  ImportDecisionsRequest,
+  ImportDecisionsResponse,
+  IncidentActionRequest,
+  IncidentActionResponse,
+  IncidentDetail,
+  IncidentListResponse,
+  IncidentSettings,
+  IncidentSummary,
+  PropagateDecisionsResponse,
   InstanceEntityRef,
+  IpProfileResponse,
   MultiInstanceOperationResponse,
   NotificationChannel,
   NotificationListResponse,
+  NotificationReport,
   NotificationRule,
   NotificationSettingsResponse,
   PaginatedResponse,
+  RemoveAllowlistItemsRequest,
+  SavedSearch,
   SlimAlert,
   StatsAlert,
   StatsDecision,
+  TableColumnId,
+  UpdateAnnotationRequest,
+  UpdateDecisionMirrorPolicyRequest,
+  UpdateIncidentRequest,
+  UpdateInstancesSettingsRequest,
+  UpdateInstancesSettingsResponse,
   UpdateMetricsSidebarPreferenceRequest,
   UpdateManualRefreshSettingRequest,
   UpsertNotificationChannelRequest,
+  UpsertNotificationReportRequest,
   UpsertNotificationRuleRequest,
+  UpsertSavedSearchRequest,
 } from '../types';
 import { apiUrl } from './basePath';
 
@@ -141,6 +182,10 @@ export async function fetchDecisionsPaginated(
     return fetchJson<PaginatedResponse<DecisionListItem>>(`/api/decisions?${params.toString()}`, undefined, 'Failed to fetch decisions');
 }
 
+export async function fetchIpProfile(value: string): Promise<IpProfileResponse> {
+    return fetchJson<IpProfileResponse>(`/api/ip/${encodeURIComponent(value)}`, undefined, 'Failed to fetch IP profile');
+}
+
 export async function fetchFacet(
     page: 'alerts' | 'decisions',
     field: FacetField,
@@ -163,6 +208,19 @@ export async function fetchFacet(
     );
 }
 
+export function getExportUrl(
+    page: 'alerts' | 'decisions',
+    format: ExportFormat,
+    columns: TableColumnId[],
+    filters?: Record<string, string>,
+): string {
+    const params = new URLSearchParams({ format, columns: columns.join(',') });
+    for (const [key, value] of Object.entries(filters ?? {})) {
+        if (value) params.set(key, value);
+    }
+    return apiUrl(`/api/${page}/export?${params.toString()}`);
+}
+
 async function parseErrorPayload(res: Response): Promise<{ error?: string; code?: string }> {
     try {
         return await res.clone().json() as { error?: string; code?: string };
@@ -266,6 +324,14 @@ export async function bulkDeleteDecisions(refsOrIds: InstanceEntityRef[] | Array
   );
 }
 
+export async function editDecisions(request: EditDecisionsRequest): Promise<EditDecisionsResult> {
+  return postDestructiveJson<EditDecisionsResult, EditDecisionsRequest>(
+    '/api/decisions/edit',
+    request,
+    'Failed to edit selected decisions',
+  );
+}
+
 export async function cleanupByIp(request: CleanupByIpRequest | string): Promise<BulkDeleteResult> {
   const data: CleanupByIpRequest = typeof request === 'string' ? { ip: request } : request;
   const payload = await postDestructiveJson<BulkDeleteResult | MultiInstanceOperationResponse, CleanupByIpRequest>(
@@ -316,6 +382,203 @@ export async function addDecision(data: AddDecisionRequest): Promise<unknown> {
     return payload;
 }
 
+export async function importDecisions(data: ImportDecisionsRequest): Promise<ImportDecisionsResponse> {
+    const res = await fetch(apiUrl('/api/decisions/import'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    });
+    const payload = await res.clone().json().catch(() => null) as (ImportDecisionsResponse & { error?: string }) | null;
+    if (!res.ok && (!payload || !Array.isArray(payload.results))) {
+        if (res.status === 400 && payload?.error) throw new Error(payload.error);
+        await handleApiError(res, data.dry_run ? 'Failed to preview blocklist import' : 'Failed to import blocklist', 'Write Operations');
+    }
+    if (!data.dry_run) clearGetCaches();
+    return payload as ImportDecisionsResponse;
+}
+
+export async function fetchDecisionDrift(origin = ''): Promise<DecisionDriftResponse> {
+    const params = new URLSearchParams();
+    if (origin) params.set('origin', origin);
+    const query = params.toString();
+    return fetchJson<DecisionDriftResponse>(`/api/decisions/drift${query ? `?${query}` : ''}`, undefined, 'Failed to fetch decision drift');
+}
+
+export async function propagateDecisions(values: string[]): Promise<PropagateDecisionsResponse> {
+    const res = await fetch(apiUrl('/api/decisions/drift/propagate'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ values }),
+    });
+    const payload = await res.clone().json().catch(() => null) as (PropagateDecisionsResponse & { error?: string }) | null;
+    if (!res.ok && (!payload || !Array.isArray(payload.results))) {
+        if (res.status === 400 && payload?.error) throw new Error(payload.error);
+        await handleApiError(res, 'Failed to propagate decisions', 'Write Operations');
+    }
+    clearGetCaches();
+    return payload as PropagateDecisionsResponse;
+}
+
+export async function fetchDecisionMirrorPolicy(): Promise<DecisionMirrorPolicy> {
+    return fetchJson<DecisionMirrorPolicy>('/api/decisions/mirror-policy', undefined, 'Failed to fetch decision mirroring policy');
+}
+
+export async function updateDecisionMirrorPolicy(data: UpdateDecisionMirrorPolicyRequest): Promise<DecisionMirrorPolicy> {
+    return sendJson<DecisionMirrorPolicy>('/api/decisions/mirror-policy', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to update decision mirroring policy');
+}
+
+export async function fetchIncidents(
+    page: number,
+    pageSize = 50,
+    filters: { status?: string; assignee?: string } = {},
+): Promise<IncidentListResponse> {
+    const params = new URLSearchParams({ page: String(page), page_size: String(pageSize) });
+    if (filters.status) params.set('status', filters.status);
+    if (filters.assignee) params.set('assignee', filters.assignee);
+    return fetchJson<IncidentListResponse>(`/api/incidents?${params.toString()}`, undefined, 'Failed to fetch incidents');
+}
+
+export async function fetchIncident(id: number): Promise<IncidentDetail> {
+    return fetchJson<IncidentDetail>(`/api/incidents/${id}`, undefined, 'Failed to fetch incident');
+}
+
+export async function updateIncident(id: number, data: UpdateIncidentRequest): Promise<IncidentSummary> {
+    return sendJson<IncidentSummary>(`/api/incidents/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to update incident');
+}
+
+export async function runIncidentAction(id: number, data: IncidentActionRequest): Promise<IncidentActionResponse> {
+    const res = await fetch(apiUrl(`/api/incidents/${id}/actions`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    });
+    const payload = await res.clone().json().catch(() => null) as (IncidentActionResponse & { error?: string }) | null;
+    if (!res.ok && (!payload || !Array.isArray(payload.results))) {
+        if (res.status === 400 && payload?.error) throw new Error(payload.error);
+        await handleApiError(res, data.action === 'ban' ? 'Failed to ban incident sources' : 'Failed to clean up incident sources', 'Write Operations');
+    }
+    clearGetCaches();
+    return payload as IncidentActionResponse;
+}
+
+export async function fetchIncidentSettings(): Promise<IncidentSettings> {
+    return fetchJson<IncidentSettings>('/api/incidents/settings', undefined, 'Failed to fetch incident settings');
+}
+
+export async function updateIncidentSettings(data: IncidentSettings): Promise<IncidentSettings> {
+    return sendJson<IncidentSettings>('/api/incidents/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to update incident settings');
+}
+
+export async function fetchAllowlists(instanceId = 'all'): Promise<AllowlistsResponse> {
+    const params = new URLSearchParams({ instance: instanceId });
+    return fetchJson<AllowlistsResponse>(`/api/allowlists?${params.toString()}`, undefined, 'Failed to fetch allowlists');
+}
+
+async function sendAllowlistRequest(path: string, init: RequestInit, defaultMsg: string): Promise<MultiInstanceOperationResponse> {
+    const res = await fetch(apiUrl(path), init);
+    const payload = await res.clone().json().catch(() => null) as (MultiInstanceOperationResponse & { error?: string }) | null;
+    if (!res.ok && (!payload || !Array.isArray(payload.results))) {
+        if (res.status === 400 && payload?.error) throw new Error(payload.error);
+        await handleApiError(res, defaultMsg, 'Write Operations');
+    }
+    clearGetCaches();
+    return payload as MultiInstanceOperationResponse;
+}
+
+export async function createAllowlist(data: CreateAllowlistRequest): Promise<MultiInstanceOperationResponse> {
+    return sendAllowlistRequest('/api/allowlists', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to create allowlist');
+}
+
+export async function deleteAllowlist(
+    name: string,
+    target: Pick<CreateAllowlistRequest, 'scope' | 'instance_id'> = {},
+): Promise<MultiInstanceOperationResponse> {
+    const params = new URLSearchParams();
+    if (target.scope) params.set('scope', target.scope);
+    if (target.instance_id) params.set('instance_id', target.instance_id);
+    const query = params.toString();
+    return sendAllowlistRequest(
+        `/api/allowlists/${encodeURIComponent(name)}${query ? `?${query}` : ''}`,
+        { method: 'DELETE' },
+        'Failed to delete allowlist',
+    );
+}
+
+export async function addAllowlistItems(name: string, data: AddAllowlistItemsRequest): Promise<MultiInstanceOperationResponse> {
+    return sendAllowlistRequest(`/api/allowlists/${encodeURIComponent(name)}/items`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to add allowlist entries');
+}
+
+export async function removeAllowlistItems(name: string, data: RemoveAllowlistItemsRequest): Promise<MultiInstanceOperationResponse> {
+    return sendAllowlistRequest(`/api/allowlists/${encodeURIComponent(name)}/items/bulk-delete`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to remove allowlist entries');
+}
+
+function annotationPath(target: AnnotationTarget, instanceId: string, id: string | number): string {
+    return `/api/instances/${encodeURIComponent(instanceId)}/${target}s/${encodeURIComponent(String(id))}/annotation`;
+}
+
+export async function fetchAnnotation(target: AnnotationTarget, instanceId: string, id: string | number): Promise<Annotation> {
+    return fetchJson<Annotation>(annotationPath(target, instanceId, id), undefined, 'Failed to fetch triage details');
+}
+
+export async function updateAnnotation(
+    target: AnnotationTarget,
+    instanceId: string,
+    id: string | number,
+    data: UpdateAnnotationRequest,
+): Promise<Annotation> {
+    return sendJson<Annotation>(annotationPath(target, instanceId, id), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to update triage details');
+}
+
+export async function addAnnotationNote(
+    target: AnnotationTarget,
+    instanceId: string,
+    id: string | number,
+    data: AddAnnotationNoteRequest,
+): Promise<Annotation> {
+    return sendJson<Annotation>(`${annotationPath(target, instanceId, id)}/notes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to add note');
+}
+
+export async function deleteAnnotationNote(
+    target: AnnotationTarget,
+    instanceId: string,
+    id: string | number,
+    noteId: number,
+): Promise<Annotation> {
+    return sendJson<Annotation>(`${annotationPath(target, instanceId, id)}/notes/${noteId}`, { method: 'DELETE' }, 'Failed to delete note');
+}
+
 export async function fetchConfig(): Promise<ConfigResponse> {
     return fetchJson<ConfigResponse>('/api/config', undefined, 'Failed to fetch config');
 }
@@ -327,6 +590,21 @@ export async function fetchCrowdsecMetrics(instanceId?: string, endpointId?: str
     return fetchJson<CrowdsecMetricsResponse>(path, undefined, 'Failed to fetch CrowdSec metrics');
 }
 
+export async function fetchCrowdsecMetricsHistory(
+    range: CrowdsecMetricsHistoryRange,
+    instanceId?: string,
+    endpointId?: string,
+): Promise<CrowdsecMetricsHistoryResponse> {
+    const path = instanceId && endpointId
+        ? `/api/instances/${encodeURIComponent(instanceId)}/metrics/${encodeURIComponent(endpointId)}/history`
+        : '/api/metrics/crowdsec/history';
+    return fetchJson<CrowdsecMetricsHistoryResponse>(
+        `${path}?range=${encodeURIComponent(range)}`,
+        undefined,
+        'Failed to fetch CrowdSec metrics history',
+    );
+}
+
 export async function updateMetricsSidebarPreference(data: UpdateMetricsSidebarPreferenceRequest): Promise<{
     success: boolean;
     metrics_sidebar_visible: boolean;
@@ -385,6 +663,30 @@ async function sendJson<T>(input: string, init: RequestInit, defaultMsg: string)
     return payload;
 }
 
+export async function fetchSavedSearches(): Promise<SavedSearch[]> {
+    return fetchJson<SavedSearch[]>('/api/saved-searches', undefined, 'Failed to fetch saved searches');
+}
+
+export async function createSavedSearch(data: UpsertSavedSearchRequest): Promise<SavedSearch> {
+    return sendJson<SavedSearch>('/api/saved-searches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to save search');
+}
+
+export async function updateSavedSearch(id: string, data: UpsertSavedSearchRequest): Promise<SavedSearch> {
+    return sendJson<SavedSearch>(`/api/saved-searches/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to update saved search');
+}
+
+export async function deleteSavedSearch(id: string): Promise<void> {
+    await sendJson(`/api/saved-searches/${id}`, { method: 'DELETE' }, 'Failed to delete saved search');
+}
+
 export async function fetchNotificationSettings(): Promise<NotificationSettingsResponse> {
     return fetchJson<NotificationSettingsResponse>('/api/notifications/settings', undefined, 'Failed to fetch notification settings');
 }
@@ -401,6 +703,18 @@ export async function fetchNotificationsPaginated(
     return fetchJson<NotificationListResponse>(`/api/notifications?${params.toString()}`, undefined, 'Failed to fetch notifications');
 }
 
+export async function fetchAuditLogPaginated(
+    page: number,
+    pageSize = 50,
+    filters?: Record<string, string>,
+): Promise<PaginatedResponse<AuditLogEntry>> {
+    const params = new URLSearchParams({ page: String(page), page_size: String(pageSize) });
+    for (const [key, value] of Object.entries(filters ?? {})) {
+        if (value) params.set(key, value);
+    }
+    return fetchJson<PaginatedResponse<AuditLogEntry>>(`/api/audit?${params.toString()}`, undefined, 'Failed to fetch audit log');
+}
+
 export async function createNotificationChannel(data: UpsertNotificationChannelRequest): Promise<NotificationChannel> {
     return sendJson<NotificationChannel>('/api/notification-channels', {
         method: 'POST',
@@ -445,6 +759,30 @@ export async function deleteNotificationRule(id: string): Promise<void> {
     await sendJson(`/api/notification-rules/${id}`, { method: 'DELETE' }, 'Failed to delete notification rule');
 }
 
+export async function createNotificationReport(data: UpsertNotificationReportRequest): Promise<NotificationReport> {
+    return sendJson<NotificationReport>('/api/notification-reports', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to create notification report');
+}
+
+export async function updateNotificationReport(id: string, data: UpsertNotificationReportRequest): Promise<NotificationReport> {
+    return sendJson<NotificationReport>(`/api/notification-reports/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to update notification report');
+}
+
+export async function deleteNotificationReport(id: string): Promise<void> {
+    await sendJson(`/api/notification-reports/${id}`, { method: 'DELETE' }, 'Failed to delete notification report');
+}
+
+export async function sendNotificationReport(id: string): Promise<NotificationReport> {
+    return sendJson<NotificationReport>(`/api/notification-reports/${id}/send`, { method: 'POST' }, 'Failed to send notification report');
+}
+
 export async function markNotificationRead(id: string): Promise<void> {
     await sendJson(`/api/notifications/${id}/read`, { method: 'POST' }, 'Failed to mark notification as read');
 }
@@ -472,3 +810,47 @@ export async function bulkDeleteNotifications(ids: BulkDeleteRequest['ids']): Pr
 export async function deleteReadNotifications(): Promise<void> {
     await sendJson('/api/notifications/delete-read', { method: 'POST' }, 'Failed to delete read notifications');
 }
+
+export async function exportBackup(data: ExportBackupRequest): Promise<unknown> {
+    return sendJson<unknown>('/api/backup/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to export backup');
+}
+
+export async function previewBackupImport(data: ImportBackupRequest): Promise<BackupPreviewResponse> {
+    return sendJson<BackupPreviewResponse>('/api/backup/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to preview backup');
+}
+
+export async function importBackup(data: ImportBackupRequest): Promise<BackupPreviewResponse> {
+    return sendJson<BackupPreviewResponse>('/api/backup/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to import backup');
+}
+
+export async function fetchInstanceSettings(): Promise<InstancesSettingsResponse> {
+    return fetchJson<InstancesSettingsResponse>('/api/instances/settings', undefined, 'Failed to fetch instance settings');
+}
+
+export async function updateInstanceSettings(data: UpdateInstancesSettingsRequest): Promise<UpdateInstancesSettingsResponse> {
+    return sendJson<UpdateInstancesSettingsResponse>('/api/instances/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+    }, 'Failed to save instance settings');
+}
+
+export async function testInstanceConnection(instance: InstanceSettings): Promise<InstanceConnectionTestResponse> {
+    return sendJson<InstanceConnectionTestResponse>('/api/instances/settings/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(instance),
+    }, 'Failed to test the instance connection');
+}
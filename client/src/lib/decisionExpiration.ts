@@ -1,4 +1,4 @@
-import type { DecisionListItem } from '../types';
+import type { DecisionDurationMode, DecisionListItem } from '../types';
 
 export interface DecisionExpirationState {
   isExpired: boolean;
@@ -42,3 +42,30 @@ export function getDecisionExpirationState(decision: DecisionListItem, nowMs = D
     expiresAtMs: null,
   };
 }
+
+// Mirrors the server edit: the new expiry is relative to the remaining time, and anything
+// under one second counts as expired because the server rejects it.
+export function getEditedDecisionExpirationState(
+  decision: DecisionListItem,
+  mode: DecisionDurationMode,
+  durationMs: number | null,
+  nowMs = Date.now(),
+): DecisionExpirationState {
+  const current = getDecisionExpirationState(decision, nowMs);
+  if (current.isExpired || current.expiresAtMs === null || durationMs === null) return current;
+
+  const remainingMs = current.expiresAtMs - nowMs;
+  const editedRemainingMs = mode === 'extend'
+    ? remainingMs + durationMs
+    : mode === 'shorten'
+      ? remainingMs - durationMs
+      : durationMs;
+  if (editedRemainingMs < 1_000) {
+    return { isExpired: true, label: '0s', expiresAtMs: nowMs };
+  }
+  return {
+    isExpired: false,
+    label: formatRemainingDuration(editedRemainingMs),
+    expiresAtMs: nowMs + editedRemainingMs,
+  };
+}
@@ -46,6 +46,36 @@ export interface MqttConfig {
   retainEvents: boolean;
 }
 
+export interface SlackConfig {
+  slackWebhookUrl: string;
+  linkBaseUrl: string;
+}
+
+export interface DiscordConfig {
+  discordWebhookUrl: string;
+  discordUsername: string;
+  linkBaseUrl: string;
+}
+
+export interface TeamsConfig {
+  teamsWebhookUrl: string;
+  linkBaseUrl: string;
+}
+
+export interface TelegramConfig {
+  telegramApiUrl: string;
+  telegramBotToken: string;
+  telegramChatId: string;
+  linkBaseUrl: string;
+}
+
+export interface MatrixConfig {
+  matrixHomeserverUrl: string;
+  matrixAccessToken: string;
+  matrixRoomId: string;
+  linkBaseUrl: string;
+}
+
 export interface WebhookField {
   name: string;
   value: string;
@@ -170,6 +200,46 @@ export function defaultMqttConfig(): MqttConfig {
   };
 }
 
+export function defaultSlackConfig(): SlackConfig {
+  return {
+    slackWebhookUrl: '',
+    linkBaseUrl: '',
+  };
+}
+
+export function defaultDiscordConfig(): DiscordConfig {
+  return {
+    discordWebhookUrl: '',
+    discordUsername: 'CrowdSec',
+    linkBaseUrl: '',
+  };
+}
+
+export function defaultTeamsConfig(): TeamsConfig {
+  return {
+    teamsWebhookUrl: '',
+    linkBaseUrl: '',
+  };
+}
+
+export function defaultTelegramConfig(): TelegramConfig {
+  return {
+    telegramApiUrl: 'https://api.telegram.org',
+    telegramBotToken: '',
+    telegramChatId: '',
+    linkBaseUrl: '',
+  };
+}
+
+export function defaultMatrixConfig(): MatrixConfig {
+  return {
+    matrixHomeserverUrl: '',
+    matrixAccessToken: '',
+    matrixRoomId: '',
+    linkBaseUrl: '',
+  };
+}
+
 export function defaultWebhookConfig(): WebhookConfig {
   return {
     method: 'POST',
@@ -190,6 +260,11 @@ export function defaultChannelConfig(type: NotificationChannelType): Record<stri
   if (type === 'gotify') return defaultGotifyConfig() as unknown as Record<string, AlertMetaValue>;
   if (type === 'mqtt') return defaultMqttConfig() as unknown as Record<string, AlertMetaValue>;
   if (type === 'webhook') return defaultWebhookConfig() as unknown as Record<string, AlertMetaValue>;
+  if (type === 'slack') return defaultSlackConfig() as unknown as Record<string, AlertMetaValue>;
+  if (type === 'discord') return defaultDiscordConfig() as unknown as Record<string, AlertMetaValue>;
+  if (type === 'teams') return defaultTeamsConfig() as unknown as Record<string, AlertMetaValue>;
+  if (type === 'telegram') return defaultTelegramConfig() as unknown as Record<string, AlertMetaValue>;
+  if (type === 'matrix') return defaultMatrixConfig() as unknown as Record<string, AlertMetaValue>;
   return defaultNtfyConfig() as unknown as Record<string, AlertMetaValue>;
 }
 
@@ -251,6 +326,74 @@ export function coerceMqttConfig(config: unknown): MqttConfig {
   };
 }
 
+export function coerceSlackConfig(config: unknown): SlackConfig {
+  const raw = asRecord(config);
+  return {
+    slackWebhookUrl: stringValue(raw.slackWebhookUrl),
+    linkBaseUrl: stringValue(raw.linkBaseUrl),
+  };
+}
+
+export function coerceDiscordConfig(config: unknown): DiscordConfig {
+  const raw = asRecord(config);
+  return {
+    discordWebhookUrl: stringValue(raw.discordWebhookUrl),
+    discordUsername: stringValue(raw.discordUsername, 'CrowdSec'),
+    linkBaseUrl: stringValue(raw.linkBaseUrl),
+  };
+}
+
+export function coerceTeamsConfig(config: unknown): TeamsConfig {
+  const raw = asRecord(config);
+  return {
+    teamsWebhookUrl: stringValue(raw.teamsWebhookUrl),
+    linkBaseUrl: stringValue(raw.linkBaseUrl),
+  };
+}
+
+export function coerceTelegramConfig(config: unknown): TelegramConfig {
+  const raw = asRecord(config);
+  return {
+    telegramApiUrl: stringValue(raw.telegramApiUrl, 'https://api.telegram.org'),
+    telegramBotToken: stringValue(raw.telegramBotToken),
+    telegramChatId: stringValue(raw.telegramChatId),
+    linkBaseUrl: stringValue(raw.linkBaseUrl),
+  };
+}
+
+export function coerceMatrixConfig(config: unknown): MatrixConfig {
+  const raw = asRecord(config);
+  return {
+    matrixHomeserverUrl: stringValue(raw.matrixHomeserverUrl),
+    matrixAccessToken: stringValue(raw.matrixAccessToken),
+    matrixRoomId: stringValue(raw.matrixRoomId),
+    linkBaseUrl: stringValue(raw.linkBaseUrl),
+  };
+}
+
+function validateHttpUrl(value: string, label: string): string | null {
+  try {
+    const parsed = new URL(value);
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return `${label} must use http or https`;
+    }
+  } catch {
+    return `${label} must be a valid URL`;
+  }
+  return null;
+}
+
+// Stored webhook URLs come back masked, so they are only checked when the user typed a new one.
+function validateSecretUrl(value: string, label: string): string | null {
+  if (hasStoredSecret(value)) return null;
+  if (!value.trim()) return `${label} is required`;
+  return validateHttpUrl(value, label);
+}
+
+function validateLinkBaseUrl(value: string): string | null {
+  return value.trim() ? validateHttpUrl(value, 'Link base URL') : null;
+}
+
 function normalizeWebhookField(value: unknown): WebhookField {
   const raw = asRecord(value);
   return {
@@ -392,6 +535,40 @@ export function validateNotificationChannelConfig(type: NotificationChannelType,
     return null;
   }
 
+  if (type === 'slack') {
+    const slack = coerceSlackConfig(config);
+    return validateSecretUrl(slack.slackWebhookUrl, 'Slack webhook URL') || validateLinkBaseUrl(slack.linkBaseUrl);
+  }
+
+  if (type === 'discord') {
+    const discord = coerceDiscordConfig(config);
+    return validateSecretUrl(discord.discordWebhookUrl, 'Discord webhook URL') || validateLinkBaseUrl(discord.linkBaseUrl);
+  }
+
+  if (type === 'teams') {
+    const teams = coerceTeamsConfig(config);
+    return validateSecretUrl(teams.teamsWebhookUrl, 'Teams webhook URL') || validateLinkBaseUrl(teams.linkBaseUrl);
+  }
+
+  if (type === 'telegram') {
+    const telegram = coerceTelegramConfig(config);
+    const urlError = validateHttpUrl(telegram.telegramApiUrl, 'Telegram API URL');
+    if (urlError) return urlError;
+    if (!telegram.telegramBotToken.trim()) return 'Telegram bot token is required';
+    if (!telegram.telegramChatId.trim()) return 'Telegram chat ID is required';
+    return validateLinkBaseUrl(telegram.linkBaseUrl);
+  }
+
+  if (type === 'matrix') {
+    const matrix = coerceMatrixConfig(config);
+    if (!matrix.matrixHomeserverUrl.trim()) return 'Matrix homeserver URL is required';
+    const urlError = validateHttpUrl(matrix.matrixHomeserverUrl, 'Matrix homeserver URL');
+    if (urlError) return urlError;
+    if (!matrix.matrixAccessToken.trim()) return 'Matrix access token is required';
+    if (!/^![^:\s]+:\S+$/.test(matrix.matrixRoomId.trim())) return 'Matrix room ID must look like !room:example.org';
+    return validateLinkBaseUrl(matrix.linkBaseUrl);
+  }
+
   const webhook = coerceWebhookConfig(config);
   if (!webhook.url.trim()) return 'Webhook URL is required';
   try {
@@ -0,0 +1,16 @@
+import type { SavedSearch } from '../types';
+
+export const SAVED_SEARCHES_CHANGED_EVENT = 'saved-searches-changed';
+
+export function getSavedSearchPath(search: Pick<SavedSearch, 'page' | 'query' | 'date_start' | 'date_end' | 'instance'>): string {
+    const params = new URLSearchParams();
+    if (search.query) params.set('q', search.query);
+    if (search.date_start) params.set('dateStart', search.date_start);
+    if (search.date_end) params.set('dateEnd', search.date_end);
+    params.set('instance', search.instance || 'all');
+    return `/${search.page}?${params.toString()}`;
+}
+
+export function notifySavedSearchesChanged(): void {
+    window.dispatchEvent(new Event(SAVED_SEARCHES_CHANGED_EVENT));
+}
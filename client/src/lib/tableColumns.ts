@@ -2,6 +2,7 @@ import { DEFAULT_TABLE_COLUMN_PREFERENCES, TABLE_COLUMN_DEFINITIONS } from '../.
 import type { TableColumnId, TableColumnPreferenceTable, TableColumnPreferences } from '../types';
 
 const TABLE_COLUMN_PREFERENCES_STORAGE_KEY = 'crowdsec-web-ui:table-column-preferences';
+export const TABLE_COLUMN_PREFERENCES_CHANGED_EVENT = 'table-column-preferences-changed';
 
 export function loadStoredTableColumnPreferences(): TableColumnPreferences {
     if (typeof window === 'undefined') {
@@ -61,6 +62,16 @@ export function saveStoredTableColumnOrders(
     }
 }
 
+// Replaces the visible columns and their order for one table, e.g. when opening a saved search,
+// and tells mounted pages to reload their column state.
+export function applyStoredTableColumnLayout(table: TableColumnPreferenceTable, columns: TableColumnId[]): void {
+    saveStoredTableColumnPreferences({ ...loadStoredTableColumnPreferences(), [table]: columns });
+    saveStoredTableColumnOrders(table, mergeStoredColumnOrder(table, columns));
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new Event(TABLE_COLUMN_PREFERENCES_CHANGED_EVENT));
+    }
+}
+
 export function getDefaultTableColumnOrder(table: TableColumnPreferenceTable): TableColumnId[] {
     return TABLE_COLUMN_DEFINITIONS[table].map((column) => column.id);
 }
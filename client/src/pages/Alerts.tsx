@@ -1,5 +1,5 @@
 import { useEffect, useLayoutEffect, useState, useRef, useCallback, useMemo, type MouseEvent as ReactMouseEvent } from "react";
-import { useSearchParams, Link } from "react-router-dom";
+import { useSearchParams, useNavigate, Link } from "react-router-dom";
 import { fetchAlertsPaginated, fetchAlert, deleteAlert, bulkDeleteAlerts, cleanupByIp, fetchConfig, fetchDecisionsPaginated } from "../lib/api";
 import { isSimulatedAlert, isSimulatedDecision, parseSimulationFilter } from "../lib/simulation";
 import { useRefresh } from "../contexts/useRefresh";
@@ -9,17 +9,26 @@ import { HighlightedSearchInput } from "../components/HighlightedSearchInput";
 import { CollapsibleSearchControls } from "../components/CollapsibleSearchControls";
 import { SearchSyntaxModal } from "../components/SearchSyntaxModal";
 import { TableColumnsModal } from "../components/TableColumnsModal";
+import { ExportMenu } from "../components/ExportMenu";
+import { SaveSearchButton } from "../components/SaveSearchButton";
 import { QuickFilters, type QuickFilterDefinition, type QuickFilterSectionId } from "../components/QuickFilters";
 import { CountryFlag } from "../components/CountryFlag";
+import { GeoEnrichedMarker } from "../components/GeoEnrichedMarker";
 import { ScenarioName } from "../components/ScenarioName";
 import { TimeDisplay } from "../components/TimeDisplay";
 import { EventCard } from "../components/EventCard";
+import { AllowlistValueModal } from "../components/AllowlistValueModal";
+import { AnnotationPanel, TriageStatusBadge } from "../components/AnnotationPanel";
 import { ContextSummary } from "../components/ContextSummary";
 import { Collapsible } from "../components/ui/Collapsible";
 import { getDisplayMetadata, isAppSecEvent } from "../lib/alertMetadata";
 import { getCountryName } from "../lib/utils";
 import { getDecisionExpirationState } from "../lib/decisionExpiration";
-import { loadStoredTableColumnPreferences, saveStoredTableColumnPreferences } from "../lib/tableColumns";
+import {
+    loadStoredTableColumnPreferences,
+    saveStoredTableColumnPreferences,
+    TABLE_COLUMN_PREFERENCES_CHANGED_EVENT,
+} from "../lib/tableColumns";
 import { TABLE_COLUMN_DEFINITIONS } from "../../../shared/contracts";
 import { resolveMachineName } from "../../../shared/machine";
 import { collectDistinctOrigins, getOriginDisplayValue, getOriginTitle } from "../../../shared/origin";
@@ -34,8 +43,8 @@ import {
     type SearchDateRange,
     type SearchParseError,
 } from "../../../shared/search";
-import { Info, ExternalLink, Shield, ShieldBan, Trash2, X, AlertCircle, Columns3, Loader2 } from "lucide-react";
-import type { AlertRecord, AlertSource, ApiPermissionError, BulkDeleteResult, DecisionListItem, FacetField, InstanceEntityRef, InstanceOperationResult, SimulationFilter, SlimAlert, TableColumnId, TableColumnPreferences } from '../types';
+import { Info, ExternalLink, Shield, ShieldBan, ShieldCheck, Trash2, X, AlertCircle, Columns3, Loader2, Pause, Play, Radio } from "lucide-react";
+import type { AlertRecord, AlertSource, Annotation, ApiPermissionError, BulkDeleteResult, DecisionListItem, DecisionScope, FacetField, InstanceEntityRef, InstanceOperationResult, LiveServerMessage, SimulationFilter, SlimAlert, TableColumnId, TableColumnPreferences } from '../types';
 import { useI18n, type I18nContextValue } from "../lib/i18n";
 import { getBrowserTimeZone, useDateTime } from "../lib/dateTime";
 
@@ -222,9 +231,10 @@ function combineDeleteResults(results: BulkDeleteResult[]): BulkDeleteResult {
 export function Alerts() {
     const { language, t } = useI18n();
     const { formatDateTime, timeZone } = useDateTime();
-    const { refreshSignal } = useRefresh();
+    const { refreshSignal, subscribeLive } = useRefresh();
     const [facetRefreshKey, setFacetRefreshKey] = useState(refreshSignal);
     const [searchParams, setSearchParams] = useSearchParams();
+    const navigate = useNavigate();
     const initialQueryParam = searchParams.get("q") ?? "";
     const [alerts, setAlerts] = useState<AlertListItem[]>([]);
     const [simulationsEnabled, setSimulationsEnabled] = useState(false);
@@ -241,6 +251,7 @@ export function Alerts() {
     const [backgroundLoading, setBackgroundLoading] = useState(false);
     const [loadingMore, setLoadingMore] = useState(false);
     const [selectedAlert, setSelectedAlert] = useState<AlertSelection | null>(null);
+    const [allowlistTarget, setAllowlistTarget] = useState<{ value: string; instanceId?: string } | null>(null);
     const [modalDecisions, setModalDecisions] = useState<DecisionListItem[]>([]);
     const [modalDecisionsLoading, setModalDecisionsLoading] = useState(false);
     const [modalDecisionsLoadingMore, setModalDecisionsLoadingMore] = useState(false);
@@ -260,6 +271,10 @@ export function Alerts() {
     const [pendingDeleteErrorInfo, setPendingDeleteErrorInfo] = useState<ErrorInfo | null>(null);
     const [retryCleanupInstances, setRetryCleanupInstances] = useState<InstanceOperationResult[]>([]);
     const [showAllEvents, setShowAllEvents] = useState(false);
+    const [liveTail, setLiveTail] = useState(false);
+    const [livePaused, setLivePaused] = useState(false);
+    const [liveBuffer, setLiveBuffer] = useState({ count: 0, stale: false });
+    const [liveError, setLiveError] = useState<string | null>(null);
     const currentSimulationFilter = simulationsEnabled ? parseSimulationFilter(searchParams.get("simulation")) : 'all';
     const alertIdParam = searchParams.get("id");
     const queryParam = searchParams.get("q");
@@ -295,6 +310,10 @@ export function Alerts() {
         refreshConfig?: boolean;
     }) => Promise<void>>(async () => {});
     const lastRefreshSignalRef = useRef(refreshSignal);
+    const liveTailRef = useRef(false);
+    const livePausedRef = useRef(false);
+    // Rows received while paused; `stale` means some were dropped and the list must be reloaded on resume.
+    const liveBufferRef = useRef<{ rows: AlertListItem[]; stale: boolean }>({ rows: [], stale: false });
     const configRef = useRef<{
         simulationsEnabled: boolean;
         canManageEnforcement: boolean;
@@ -396,6 +415,10 @@ export function Alerts() {
         }
         fields.push({ field: 'target', label: t('components.eventCard.target') });
         sectionOrder.push('target');
+        fields.push({ field: 'status', label: t('components.annotation.status') });
+        sectionOrder.push('status');
+        fields.push({ field: 'tag', label: t('components.annotation.tags') });
+        sectionOrder.push('tag');
         return { fields, sectionOrder };
     }, [t, visibleAlertColumns]);
     const quickFilterDateRange = useMemo(() => {
@@ -464,9 +487,21 @@ export function Alerts() {
         if (field === 'decision') {
             return value === 'active' ? t('common.active') : t('common.inactive');
         }
+        if (field === 'status') return t(`components.annotation.statuses.${value}`, { defaultValue: value });
         return value;
     }, [language, t]);
 
+    const handleAnnotationChange = useCallback((annotation: Annotation) => {
+        const selectedId = selectedAlertIdRef.current;
+        const selectedInstanceId = selectedAlertInstanceIdRef.current || 'default';
+        if (!selectedId) return;
+        setAlerts((prev) => prev.map((alert) => (
+            String(alert.id) === String(selectedId) && (alert.instance_id || 'default') === selectedInstanceId
+                ? { ...alert, annotation }
+                : alert
+        )));
+    }, []);
+
     const loadConfig = useCallback(async (refresh = false) => {
         if (!refresh && configRef.current) {
             return configRef.current;
@@ -644,6 +679,12 @@ export function Alerts() {
         return () => window.clearInterval(intervalId);
     }, []);
 
+    useEffect(() => {
+        const reloadColumnPreferences = () => setTableColumnPreferences(loadStoredTableColumnPreferences());
+        window.addEventListener(TABLE_COLUMN_PREFERENCES_CHANGED_EVENT, reloadColumnPreferences);
+        return () => window.removeEventListener(TABLE_COLUMN_PREFERENCES_CHANGED_EVENT, reloadColumnPreferences);
+    }, []);
+
     const lastAlertElementRef = useCallback((node: HTMLTableRowElement | null) => {
         if (initialLoading || backgroundLoading || loadingMore || !hasMoreAlerts) return;
         if (observer.current) observer.current.disconnect();
@@ -670,6 +711,12 @@ export function Alerts() {
         }
 
         lastRefreshSignalRef.current = refreshSignal;
+        // Live tail receives the matching rows over the socket, and a paused
+        // tail must not change under the user.
+        if (liveTailRef.current) {
+            setFacetRefreshKey(refreshSignal);
+            return;
+        }
         void loadAlertsRef.current({
             isBackground: true,
             page: 1,
@@ -678,6 +725,101 @@ export function Alerts() {
         }).finally(() => setFacetRefreshKey(refreshSignal));
     }, [refreshSignal]);
 
+    const prependLiveAlerts = useCallback((rows: AlertListItem[]) => {
+        const incoming = new Map(rows.map((alert) => [alertKey(alert), alert]));
+        const existingKeys = new Set(alertsRef.current.map(alertKey));
+        const added = rows.filter((alert) => !existingKeys.has(alertKey(alert)));
+        // Changed rows are updated in place; only new rows move to the top.
+        const nextAlerts = [
+            ...added,
+            ...alertsRef.current.map((alert) => incoming.get(alertKey(alert)) ?? alert),
+        ];
+        alertsRef.current = nextAlerts;
+        setAlerts(nextAlerts);
+        setSelectableAlertIds(nextAlerts.map(alertKey));
+        if (added.length > 0) {
+            setTotalAlerts((current) => current + added.length);
+            setTotalUnfilteredAlerts((current) => current + added.length);
+        }
+    }, []);
+
+    const reloadAfterLiveGap = useCallback(() => {
+        void loadAlertsRef.current({
+            isBackground: true,
+            page: 1,
+            preserveLoadedPages: true,
+        });
+    }, []);
+
+    const handleLiveMessage = useCallback((message: LiveServerMessage) => {
+        if (message.type === 'subscribed') {
+            setLiveError(null);
+            return;
+        }
+        if (message.type === 'subscription-error') {
+            setLiveError(message.error);
+            return;
+        }
+        if (message.stream !== 'alerts') return;
+        if (livePausedRef.current) {
+            const buffer = liveBufferRef.current;
+            const bufferedKeys = new Set(message.rows.map(alertKey));
+            buffer.rows = [...message.rows, ...buffer.rows.filter((alert) => !bufferedKeys.has(alertKey(alert)))];
+            if (message.truncated || buffer.rows.length > MAX_ALERT_REFRESH_SIZE) {
+                buffer.rows = [];
+                buffer.stale = true;
+            }
+            setLiveBuffer({ count: buffer.rows.length, stale: buffer.stale });
+            return;
+        }
+        if (message.truncated) {
+            reloadAfterLiveGap();
+            return;
+        }
+        prependLiveAlerts(message.rows);
+    }, [prependLiveAlerts, reloadAfterLiveGap]);
+
+    const clearLiveBuffer = useCallback(() => {
+        const buffer = liveBufferRef.current;
+        liveBufferRef.current = { rows: [], stale: false };
+        setLiveBuffer({ count: 0, stale: false });
+        return buffer;
+    }, []);
+
+    const setLiveTailPaused = (paused: boolean) => {
+        livePausedRef.current = paused;
+        setLivePaused(paused);
+        if (paused) return;
+        const buffer = clearLiveBuffer();
+        if (buffer.stale) {
+            reloadAfterLiveGap();
+        } else if (buffer.rows.length > 0) {
+            prependLiveAlerts(buffer.rows);
+        }
+    };
+
+    const toggleLiveTail = () => {
+        const enabled = !liveTail;
+        const buffer = clearLiveBuffer();
+        liveTailRef.current = enabled;
+        livePausedRef.current = false;
+        setLiveTail(enabled);
+        setLivePaused(false);
+        setLiveError(null);
+        // Catch up with anything that arrived while the paused tail was turned off.
+        if (!enabled && (buffer.stale || buffer.rows.length > 0)) reloadAfterLiveGap();
+    };
+
+    useEffect(() => {
+        if (!liveTail || !subscribeLive) return;
+        const unsubscribe = subscribeLive('alerts', facetFilters, handleLiveMessage);
+        return () => {
+            unsubscribe();
+            // The list is reloaded for new filters, so rows buffered for the old ones are obsolete.
+            clearLiveBuffer();
+        };
+    }, [clearLiveBuffer, facetFilters, handleLiveMessage, liveTail, subscribeLive]);
+
     useEffect(() => {
         const nextQuery = queryParam ?? "";
         if (skipSearchParamSyncRef.current === nextQuery) {
@@ -944,6 +1086,13 @@ export function Alerts() {
         }
     };
 
+    const banEventTarget = useCallback((target: { scope: DecisionScope; value: string }) => {
+        const params = new URLSearchParams({ add_scope: target.scope, add_value: target.value });
+        const instanceScope = searchParams.get('instance');
+        if (instanceScope) params.set('instance', instanceScope);
+        void navigate(`/decisions?${params.toString()}`);
+    }, [navigate, searchParams]);
+
     const applySearchExample = useCallback((query: string) => {
         cancelSearchDebounce();
         searchDraftRef.current = query;
@@ -1157,13 +1306,51 @@ export function Alerts() {
                 className="flex min-h-[1.5rem] items-center justify-between gap-3 text-sm text-gray-500"
             >
                 <span>{summaryText}</span>
-                <span
-                    className={`inline-flex items-center gap-2 text-xs transition-opacity ${backgroundLoading ? 'opacity-100' : 'opacity-0'}`}
-                    aria-live="polite"
-                >
-                    <span className="h-2 w-2 rounded-full bg-primary-500 animate-pulse" aria-hidden="true" />
-                    {t('common.refreshing')}
-                </span>
+                <div className="flex items-center gap-3">
+                    <span
+                        className={`inline-flex items-center gap-2 text-xs transition-opacity ${backgroundLoading ? 'opacity-100' : 'opacity-0'}`}
+                        aria-live="polite"
+                    >
+                        <span className="h-2 w-2 rounded-full bg-primary-500 animate-pulse" aria-hidden="true" />
+                        {t('common.refreshing')}
+                    </span>
+                    {subscribeLive && (
+                        <div className="flex items-center gap-2 text-xs">
+                            {liveTail && (
+                                <span className={liveError ? "text-red-600 dark:text-red-400" : undefined} aria-live="polite">
+                                    {liveError
+                                        ? t('pages.alerts.liveTail.error', { error: liveError })
+                                        : !livePaused
+                                            ? t('pages.alerts.liveTail.active')
+                                            : liveBuffer.stale
+                                                ? t('pages.alerts.liveTail.pausedStale')
+                                                : t('pages.alerts.liveTail.paused', { count: liveBuffer.count })}
+                                </span>
+                            )}
+                            {liveTail && (
+                                <button
+                                    type="button"
+                                    onClick={() => setLiveTailPaused(!livePaused)}
+                                    className="inline-flex items-center gap-1 rounded-md border border-gray-300 px-2 py-1 font-medium text-gray-700 hover:bg-gray-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700"
+                                >
+                                    {livePaused ? <Play className="h-3 w-3" aria-hidden="true" /> : <Pause className="h-3 w-3" aria-hidden="true" />}
+                                    {livePaused ? t('pages.alerts.liveTail.resume') : t('pages.alerts.liveTail.pause')}
+                                </button>
+                            )}
+                            <button
+                                type="button"
+                                onClick={toggleLiveTail}
+                                aria-pressed={liveTail}
+                                className={`inline-flex items-center gap-1 rounded-md border px-2 py-1 font-medium transition-colors ${liveTail
+                                    ? "border-primary-500 bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300"
+                                    : "border-gray-300 text-gray-700 hover:bg-gray-50 dark:border-gray-600 dark:text-gray-200 dark:hover:bg-gray-700"}`}
+                            >
+                                <Radio className={`h-3 w-3 ${liveTail && !livePaused ? "animate-pulse" : ""}`} aria-hidden="true" />
+                                {t('pages.alerts.liveTail.toggle')}
+                            </button>
+                        </div>
+                    )}
+                </div>
             </div>
 
             {canManageEnforcement && (
@@ -1271,6 +1458,15 @@ export function Alerts() {
                             aria-describedby={queryError ? 'alerts-search-error' : undefined}
                         />
                     </CollapsibleSearchControls>
+                    <ExportMenu page="alerts" columns={visibleAlertColumns} filters={facetFilters} />
+                    <SaveSearchButton
+                        page="alerts"
+                        query={appliedQuery}
+                        dateStart={dateStartParam}
+                        dateEnd={dateEndParam}
+                        instance={searchParams.get("instance") || "all"}
+                        columns={tableColumnPreferences.alerts}
+                    />
                 </div>
                 {queryError && (
                     <p id="alerts-search-error" className="text-xs text-red-600 dark:text-red-400">
@@ -1378,6 +1574,12 @@ export function Alerts() {
                                                                     showLink={true}
                                                                     simulated={simulationsEnabled && isSimulatedAlert(alert)}
                                                                 />
+                                                                {alert.annotation && (alert.annotation.status !== 'new' || alert.annotation.tags.length > 0) && (
+                                                                    <div className="mt-1 flex flex-wrap gap-1">
+                                                                        {alert.annotation.status !== 'new' && <TriageStatusBadge status={alert.annotation.status} />}
+                                                                        {alert.annotation.tags.map((tag) => <Badge key={tag} variant="outline">{tag}</Badge>)}
+                                                                    </div>
+                                                                )}
                                                             </td>
                                                         );
                                                     case 'country':
@@ -1387,6 +1589,7 @@ export function Alerts() {
                                                                     <div className="flex items-center gap-2" title={alert.source.cn}>
                                                                         <CountryFlag code={alert.source.cn} />
                                                                         <span className="truncate max-w-[150px]">{getCountryName(alert.source.cn, language)}</span>
+                                                                        <GeoEnrichedMarker enrichedFields={alert.source.geo_enriched} fields={["cn"]} />
                                                                     </div>
                                                                 ) : (
                                                                     "-"
@@ -1578,6 +1781,7 @@ export function Alerts() {
                                         <CountryFlag code={selectedAlert.source.cn} />
                                     )}
                                     {getCountryName(selectedAlert.source?.cn, language) || "-"}
+                                    <GeoEnrichedMarker enrichedFields={selectedAlert.source?.geo_enriched} fields={["cn", "region", "city", "latitude", "longitude"]} />
                                 </div>
                                 {selectedAlert.source?.latitude && selectedAlert.source?.longitude && (
                                     <div className={`${ALERT_DETAIL_SECONDARY_CLASS_NAME} font-mono mt-1`}>
@@ -1612,6 +1816,29 @@ export function Alerts() {
                                         <span className={`${ALERT_DETAIL_PRIMARY_CLASS_NAME} font-mono`}>-</span>
                                     )}
                                 </div>
+                                {selectedAlertSourceValue && (
+                                    <div className="mt-1 flex flex-wrap items-center gap-x-4 gap-y-1">
+                                        <Link
+                                            to={`/ip/${encodeURIComponent(String(selectedAlertSourceValue))}`}
+                                            className={`${ALERT_DETAIL_SECONDARY_CLASS_NAME} inline-flex items-center gap-1 hover:text-primary-600 dark:hover:text-primary-400 transition-colors`}
+                                        >
+                                            {t('pages.ipProfile.viewProfile')}
+                                        </Link>
+                                        {canManageEnforcement && (
+                                            <button
+                                                type="button"
+                                                onClick={() => setAllowlistTarget({
+                                                    value: String(selectedAlertSourceValue),
+                                                    instanceId: multipleInstances ? selectedAlert.instance_id || 'default' : undefined,
+                                                })}
+                                                className={`${ALERT_DETAIL_SECONDARY_CLASS_NAME} inline-flex items-center gap-1 hover:text-primary-600 dark:hover:text-primary-400 transition-colors cursor-pointer`}
+                                            >
+                                                <ShieldCheck size={12} aria-hidden="true" />
+                                                {t('components.allowlistValue.title')}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
                                 {selectedAlert.source?.range && selectedAlert.source.range !== selectedAlertSourceValue && (
                                     <div className={`${ALERT_DETAIL_SECONDARY_CLASS_NAME} font-mono mt-1`}>
                                         {t('pages.alerts.range', { range: selectedAlert.source.range })}
@@ -1633,6 +1860,7 @@ export function Alerts() {
                                     {!selectedAlert.source?.as_number && selectedAlert.source?.as_name && (
                                         <span>{selectedAlert.source.as_name}</span>
                                     )}
+                                    <GeoEnrichedMarker enrichedFields={selectedAlert.source?.geo_enriched} fields={["as_name", "as_number"]} className="ml-2" />
                                 </div>
                             </div>
                         </div>
@@ -1661,6 +1889,19 @@ export function Alerts() {
                             </div>
                         )}
 
+                        {/* Triage */}
+                        <div>
+                            <h4 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">{t('components.annotation.title')}</h4>
+                            <AnnotationPanel
+                                key={`${selectedAlert.instance_id || 'default'}:${selectedAlert.id}`}
+                                target="alert"
+                                instanceId={selectedAlert.instance_id || 'default'}
+                                id={selectedAlert.id}
+                                canEdit={canManageEnforcement}
+                                onChange={handleAnnotationChange}
+                            />
+                        </div>
+
                         {/* Decisions */}
                         {(modalDecisionsLoading || modalDecisionsTotal > 0) && (
                             <div>
@@ -1784,6 +2025,8 @@ export function Alerts() {
                                             key={idx}
                                             event={event}
                                             index={idx}
+                                            source={selectedAlert.source}
+                                            onBan={canManageEnforcement ? banEventTarget : undefined}
                                         />
                                     ))}
                                 </div>
@@ -1853,6 +2096,13 @@ export function Alerts() {
                     </button>
                 </div>
             </Modal>
+            <AllowlistValueModal
+                isOpen={allowlistTarget !== null}
+                value={allowlistTarget?.value || ''}
+                instanceId={allowlistTarget?.instanceId}
+                onClose={() => setAllowlistTarget(null)}
+                onAllowlisted={() => loadAlerts({ page: 1, refreshConfig: true })}
+            />
             <SearchSyntaxModal
                 help={searchHelp}
                 searchFeatures={searchValidationFeatures}
@@ -0,0 +1,441 @@
+import { useCallback, useEffect, useState } from 'react';
+import type { FormEvent } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { AlertCircle, Loader2, Plus, ShieldCheck, Trash2 } from 'lucide-react';
+
+import { addAllowlistItems, createAllowlist, deleteAllowlist, fetchAllowlists, fetchConfig, removeAllowlistItems } from '../lib/api';
+import { useRefresh } from '../contexts/useRefresh';
+import { useOptionalToast } from '../contexts/useToast';
+import { Badge } from '../components/ui/Badge';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
+import { Modal } from '../components/ui/Modal';
+import { TimeDisplay } from '../components/TimeDisplay';
+import { ALLOWLIST_EXPIRATIONS, type AllowlistExpiration } from '../lib/allowlists';
+import { useI18n } from '../lib/i18n';
+import type { Allowlist, AllowlistsResponse, CreateAllowlistRequest, MultiInstanceOperationResponse } from '../types';
+
+type AllowlistsState =
+  | { status: 'loading' }
+  | { status: 'error'; message: string }
+  | { status: 'ready'; data: AllowlistsResponse };
+
+type PendingDelete =
+  | { kind: 'allowlist'; allowlist: Allowlist }
+  | { kind: 'item'; allowlist: Allowlist; value: string };
+
+type OperationTarget = Pick<CreateAllowlistRequest, 'scope' | 'instance_id'>;
+
+const FIELD_CLASS_NAME = 'block w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100';
+const PRIMARY_BUTTON_CLASS_NAME = 'inline-flex items-center gap-2 rounded-md bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-50';
+
+function getErrorMessage(error: unknown, fallback: string): string {
+  return error instanceof Error ? error.message : fallback;
+}
+
+function getAllowlistKey(allowlist: Allowlist): string {
+  return `${allowlist.instance_id}\u0000${allowlist.name}`;
+}
+
+function parseValues(input: string): string[] {
+  return Array.from(new Set(input.split(/[\s,]+/).map((value) => value.trim()).filter(Boolean)));
+}
+
+function AllowlistCard({
+  allowlist,
+  showInstance,
+  canManage,
+  busy,
+  onAddItems,
+  onRemoveItem,
+  onDelete,
+}: {
+  allowlist: Allowlist;
+  showInstance: boolean;
+  canManage: boolean;
+  busy: boolean;
+  onAddItems: (allowlist: Allowlist, values: string[], description: string, expiration: string) => Promise<boolean>;
+  onRemoveItem: (allowlist: Allowlist, value: string) => void;
+  onDelete: (allowlist: Allowlist) => void;
+}) {
+  const { t } = useI18n();
+  const [values, setValues] = useState('');
+  const [description, setDescription] = useState('');
+  const [expiration, setExpiration] = useState<AllowlistExpiration>('');
+  const editable = canManage && !allowlist.console_managed;
+  const idPrefix = `allowlist-${allowlist.instance_id}-${allowlist.name}`;
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const parsed = parseValues(values);
+    if (parsed.length === 0) return;
+    if (await onAddItems(allowlist, parsed, description.trim(), expiration)) {
+      setValues('');
+      setDescription('');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row flex-wrap items-start justify-between gap-3">
+        <div className="min-w-0 space-y-1">
+          <CardTitle className="flex flex-wrap items-center gap-2">
+            <ShieldCheck className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+            <span className="break-all">{allowlist.name}</span>
+            {showInstance && <Badge variant="secondary">{allowlist.instance_name}</Badge>}
+            {allowlist.console_managed && <Badge variant="info">{t('pages.allowlists.consoleManaged')}</Badge>}
+          </CardTitle>
+          {allowlist.description && <p className="text-sm text-gray-500 dark:text-gray-400">{allowlist.description}</p>}
+        </div>
+        {editable && (
+          <button
+            type="button"
+            onClick={() => onDelete(allowlist)}
+            disabled={busy}
+            aria-label={t('pages.allowlists.deleteAllowlistNamed', { name: allowlist.name })}
+            className="inline-flex items-center gap-2 rounded-md border border-red-200 bg-white px-3 py-2 text-sm font-medium text-red-600 hover:bg-red-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-red-900/50 dark:bg-gray-700 dark:text-red-400 dark:hover:bg-red-900/20"
+          >
+            <Trash2 size={16} />
+            {t('pages.allowlists.deleteAllowlist')}
+          </button>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {allowlist.items.length === 0 ? (
+          <div className="rounded-lg border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500 dark:border-gray-700 dark:text-gray-400">
+            {t('pages.allowlists.noEntries')}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700" aria-label={t('pages.allowlists.entriesOf', { name: allowlist.name })}>
+              <thead>
+                <tr className="text-left text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                  <th className="px-4 py-2">{t('tableColumns.value')}</th>
+                  <th className="px-4 py-2">{t('pages.allowlists.entryDescription')}</th>
+                  <th className="px-4 py-2">{t('pages.allowlists.created')}</th>
+                  <th className="px-4 py-2">{t('pages.allowlists.expiration')}</th>
+                  {editable && <th className="px-4 py-2"><span className="sr-only">{t('tableColumns.actions')}</span></th>}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 text-sm dark:divide-gray-800">
+                {allowlist.items.map((item) => (
+                  <tr key={item.value} className="text-gray-700 dark:text-gray-300">
+                    <td className="px-4 py-2 font-mono text-gray-900 dark:text-gray-100">{item.value}</td>
+                    <td className="px-4 py-2">{item.description || '—'}</td>
+                    <td className="px-4 py-2">{item.created_at ? <TimeDisplay timestamp={item.created_at} /> : '—'}</td>
+                    <td className="px-4 py-2">{item.expiration ? <TimeDisplay timestamp={item.expiration} /> : t('pages.allowlists.never')}</td>
+                    {editable && (
+                      <td className="px-4 py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => onRemoveItem(allowlist, item.value)}
+                          disabled={busy}
+                          aria-label={t('pages.allowlists.removeEntry', { value: item.value })}
+                          className="rounded p-1 text-gray-400 hover:bg-red-50 hover:text-red-600 disabled:cursor-not-allowed disabled:opacity-50 dark:hover:bg-red-900/20 dark:hover:text-red-400"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {editable && (
+          <form onSubmit={handleSubmit} className="grid gap-3 md:grid-cols-[2fr_2fr_1fr_auto] md:items-end">
+            <div>
+              <label htmlFor={`${idPrefix}-values`} className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.allowlists.values')}</label>
+              <input
+                id={`${idPrefix}-values`}
+                type="text"
+                disabled={busy}
+                className={FIELD_CLASS_NAME}
+                placeholder="192.0.2.10, 198.51.100.0/24"
+                value={values}
+                onChange={(event) => setValues(event.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor={`${idPrefix}-description`} className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.allowlists.entryDescription')}</label>
+              <input
+                id={`${idPrefix}-description`}
+                type="text"
+                maxLength={256}
+                disabled={busy}
+                className={FIELD_CLASS_NAME}
+                value={description}
+                onChange={(event) => setDescription(event.target.value)}
+              />
+            </div>
+            <div>
+              <label htmlFor={`${idPrefix}-expiration`} className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.allowlists.expiration')}</label>
+              <select
+                id={`${idPrefix}-expiration`}
+                disabled={busy}
+                className={FIELD_CLASS_NAME}
+                value={expiration}
+                onChange={(event) => setExpiration(event.target.value as AllowlistExpiration)}
+              >
+                {ALLOWLIST_EXPIRATIONS.map((option) => (
+                  <option key={option} value={option}>{option || t('pages.allowlists.never')}</option>
+                ))}
+              </select>
+            </div>
+            <button type="submit" disabled={busy || parseValues(values).length === 0} className={PRIMARY_BUTTON_CLASS_NAME}>
+              <Plus size={16} />
+              {t('pages.allowlists.addEntries')}
+            </button>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export function Allowlists() {
+  const { t } = useI18n();
+  const { refreshSignal } = useRefresh();
+  const toast = useOptionalToast();
+  const [searchParams] = useSearchParams();
+  const instanceScope = searchParams.get('instance') || 'all';
+  const [state, setState] = useState<AllowlistsState>({ status: 'loading' });
+  const [canManageEnforcement, setCanManageEnforcement] = useState(false);
+  const [multipleInstances, setMultipleInstances] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newDescription, setNewDescription] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState<PendingDelete | null>(null);
+
+  const load = useCallback(async (background = false) => {
+    if (!background) setState({ status: 'loading' });
+
+    try {
+      const [config, data] = await Promise.all([fetchConfig(), fetchAllowlists(instanceScope)]);
+      setCanManageEnforcement(config.permissions?.can_manage_enforcement !== false);
+      setMultipleInstances((config.instances?.length || 0) > 1);
+      setState({ status: 'ready', data });
+    } catch (error: unknown) {
+      setState({ status: 'error', message: getErrorMessage(error, t('pages.allowlists.fetchFailed')) });
+    }
+  }, [instanceScope, t]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      void load();
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      if (state.status === 'ready') {
+        void load(true);
+      }
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load, refreshSignal, state.status]);
+
+  const getTarget = (allowlist?: Allowlist): OperationTarget => {
+    if (!multipleInstances) return {};
+    if (allowlist) return { scope: 'instance', instance_id: allowlist.instance_id };
+    return instanceScope === 'all' ? { scope: 'all' } : { scope: 'instance', instance_id: instanceScope };
+  };
+
+  const runOperation = async (
+    operation: () => Promise<MultiInstanceOperationResponse>,
+    successMessage: string,
+    fallbackMessage: string,
+  ): Promise<boolean> => {
+    setBusy(true);
+    try {
+      const response = await operation();
+      const failures = response.results.filter((result) => !result.success);
+      if (failures.length > 0) {
+        toast?.addToast(failures.map((failure) => `${failure.instance_name}: ${failure.error}`).join('; '), 'danger');
+      } else {
+        toast?.addToast(successMessage, 'success');
+      }
+      await load(true);
+      return response.succeeded > 0;
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, fallbackMessage), 'danger');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    const created = await runOperation(
+      () => createAllowlist({ name, ...(newDescription.trim() ? { description: newDescription.trim() } : {}), ...getTarget() }),
+      t('pages.allowlists.allowlistCreated', { name }),
+      t('pages.allowlists.createFailed'),
+    );
+    if (created) {
+      setNewName('');
+      setNewDescription('');
+    }
+  };
+
+  const handleAddItems = (allowlist: Allowlist, values: string[], description: string, expiration: string) => runOperation(
+    () => addAllowlistItems(allowlist.name, {
+      values,
+      ...(description ? { description } : {}),
+      ...(expiration ? { expiration } : {}),
+      ...getTarget(allowlist),
+    }),
+    t('pages.allowlists.entriesAdded', { count: values.length, name: allowlist.name }),
+    t('pages.allowlists.updateFailed'),
+  );
+
+  const confirmDelete = async () => {
+    if (!pendingDelete) return;
+    const { allowlist } = pendingDelete;
+    if (pendingDelete.kind === 'allowlist') {
+      await runOperation(
+        () => deleteAllowlist(allowlist.name, getTarget(allowlist)),
+        t('pages.allowlists.deleted', { name: allowlist.name }),
+        t('pages.allowlists.deleteFailed'),
+      );
+    } else {
+      await runOperation(
+        () => removeAllowlistItems(allowlist.name, { values: [pendingDelete.value], ...getTarget(allowlist) }),
+        t('pages.allowlists.entryRemoved', { value: pendingDelete.value, name: allowlist.name }),
+        t('pages.allowlists.updateFailed'),
+      );
+    }
+    setPendingDelete(null);
+  };
+
+  if (state.status === 'loading') {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center text-gray-500 dark:text-gray-400">{t('app.loading')}</CardContent>
+      </Card>
+    );
+  }
+
+  if (state.status === 'error') {
+    return (
+      <Card>
+        <CardContent>
+          <div role="alert" className="flex items-center gap-2 text-red-700 dark:text-red-300">
+            <AlertCircle size={16} className="shrink-0" />
+            <span className="text-sm">{state.message}</span>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const { allowlists, errors } = state.data;
+  const showInstance = multipleInstances && instanceScope === 'all';
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardContent className="space-y-4 p-4 sm:p-6">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('pages.allowlists.description')}</p>
+          {canManageEnforcement && (
+            <form onSubmit={handleCreate} className="grid gap-3 md:grid-cols-[1fr_2fr_auto] md:items-end">
+              <div>
+                <label htmlFor="allowlist-name" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.allowlists.name')}</label>
+                <input
+                  id="allowlist-name"
+                  type="text"
+                  maxLength={64}
+                  disabled={busy}
+                  className={FIELD_CLASS_NAME}
+                  placeholder="trusted-partners"
+                  value={newName}
+                  onChange={(event) => setNewName(event.target.value)}
+                />
+              </div>
+              <div>
+                <label htmlFor="allowlist-description" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.allowlists.allowlistDescription')}</label>
+                <input
+                  id="allowlist-description"
+                  type="text"
+                  maxLength={256}
+                  disabled={busy}
+                  className={FIELD_CLASS_NAME}
+                  value={newDescription}
+                  onChange={(event) => setNewDescription(event.target.value)}
+                />
+              </div>
+              <button type="submit" disabled={busy || !newName.trim()} className={PRIMARY_BUTTON_CLASS_NAME}>
+                {busy ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+                {t('pages.allowlists.create')}
+              </button>
+            </form>
+          )}
+        </CardContent>
+      </Card>
+
+      {errors.length > 0 && (
+        <div role="alert" className="flex items-start gap-2 rounded-md border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800 dark:border-amber-800 dark:bg-amber-900/20 dark:text-amber-300">
+          <AlertCircle size={16} className="mt-0.5 shrink-0" />
+          <span>{errors.map((error) => `${error.instance_name}: ${error.error}`).join('; ')}</span>
+        </div>
+      )}
+
+      {allowlists.length === 0 ? (
+        <Card>
+          <CardContent className="p-8 text-center text-sm text-gray-500 dark:text-gray-400">{t('pages.allowlists.empty')}</CardContent>
+        </Card>
+      ) : allowlists.map((allowlist) => (
+        <AllowlistCard
+          key={getAllowlistKey(allowlist)}
+          allowlist={allowlist}
+          showInstance={showInstance}
+          canManage={canManageEnforcement}
+          busy={busy}
+          onAddItems={handleAddItems}
+          onRemoveItem={(target, value) => setPendingDelete({ kind: 'item', allowlist: target, value })}
+          onDelete={(target) => setPendingDelete({ kind: 'allowlist', allowlist: target })}
+        />
+      ))}
+
+      <Modal
+        isOpen={pendingDelete !== null}
+        onClose={() => {
+          if (!busy) setPendingDelete(null);
+        }}
+        title={pendingDelete?.kind === 'allowlist' ? t('pages.allowlists.deleteAllowlist') : t('pages.allowlists.removeEntryTitle')}
+        maxWidth="max-w-sm"
+        showCloseButton={false}
+      >
+        <p className="mb-6 text-gray-600 dark:text-gray-300">
+          {pendingDelete?.kind === 'allowlist'
+            ? t('pages.allowlists.deleteAllowlistConfirm', { name: pendingDelete.allowlist.name })
+            : pendingDelete && t('pages.allowlists.removeEntryConfirm', { value: pendingDelete.value, name: pendingDelete.allowlist.name })}
+        </p>
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={() => setPendingDelete(null)}
+            disabled={busy}
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+          >
+            {t('common.cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={() => void confirmDelete()}
+            disabled={busy}
+            className="rounded-md border border-transparent bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {t('common.delete')}
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
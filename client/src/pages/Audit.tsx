@@ -0,0 +1,358 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { fetchAuditLogPaginated } from '../lib/api';
+import { useRefresh } from '../contexts/useRefresh';
+import { Badge } from '../components/ui/Badge';
+import { HighlightedSearchInput } from '../components/HighlightedSearchInput';
+import { CollapsibleSearchControls } from '../components/CollapsibleSearchControls';
+import { SearchSyntaxModal } from '../components/SearchSyntaxModal';
+import { TimeDisplay } from '../components/TimeDisplay';
+import { compileAuditSearch, getSearchHelpDefinition, type SearchParseError } from '../../../shared/search';
+import { useI18n } from '../lib/i18n';
+import { getBrowserTimeZone, useDateTime } from '../lib/dateTime';
+import type { AuditAction, AuditLogEntry, AuditOutcome } from '../types';
+
+const PAGE_SIZE = 50;
+
+const ACTION_LABEL_KEYS: Record<AuditAction, string> = {
+  'decision.create': 'pages.audit.actions.decisionCreate',
+  'decision.import': 'pages.audit.actions.decisionImport',
+  'decision.update': 'pages.audit.actions.decisionUpdate',
+  'decision.delete': 'pages.audit.actions.decisionDelete',
+  'decision.propagate': 'pages.audit.actions.decisionPropagate',
+  'decision.mirror-policy.update': 'pages.audit.actions.decisionMirrorPolicyUpdate',
+  'alert.delete': 'pages.audit.actions.alertDelete',
+  'annotation.update': 'pages.audit.actions.annotationUpdate',
+  'cleanup.by-ip': 'pages.audit.actions.cleanupByIp',
+  'incident.update': 'pages.audit.actions.incidentUpdate',
+  'incident.ban': 'pages.audit.actions.incidentBan',
+  'incident.cleanup': 'pages.audit.actions.incidentCleanup',
+  'incident.settings.update': 'pages.audit.actions.incidentSettingsUpdate',
+  'allowlist.create': 'pages.audit.actions.allowlistCreate',
+  'allowlist.update': 'pages.audit.actions.allowlistUpdate',
+  'allowlist.delete': 'pages.audit.actions.allowlistDelete',
+  'cache.clear': 'pages.audit.actions.cacheClear',
+  'notification-channel.create': 'pages.audit.actions.notificationChannelCreate',
+  'notification-channel.update': 'pages.audit.actions.notificationChannelUpdate',
+  'notification-channel.delete': 'pages.audit.actions.notificationChannelDelete',
+  'notification-rule.create': 'pages.audit.actions.notificationRuleCreate',
+  'notification-rule.update': 'pages.audit.actions.notificationRuleUpdate',
+  'notification-rule.delete': 'pages.audit.actions.notificationRuleDelete',
+  'notification-report.create': 'pages.audit.actions.notificationReportCreate',
+  'notification-report.update': 'pages.audit.actions.notificationReportUpdate',
+  'notification-report.delete': 'pages.audit.actions.notificationReportDelete',
+  'backup.export': 'pages.audit.actions.backupExport',
+  'backup.import': 'pages.audit.actions.backupImport',
+  'instances.update': 'pages.audit.actions.instancesUpdate',
+  'user.create': 'pages.audit.actions.userCreate',
+  'user.update': 'pages.audit.actions.userUpdate',
+  'user.password-reset': 'pages.audit.actions.userPasswordReset',
+  'user.sessions-revoke': 'pages.audit.actions.userSessionsRevoke',
+  'token.create': 'pages.audit.actions.tokenCreate',
+  'token.revoke': 'pages.audit.actions.tokenRevoke',
+  'auth.settings.update': 'pages.audit.actions.authSettingsUpdate',
+};
+
+const OUTCOME_BADGE_VARIANTS: Record<AuditOutcome, 'success' | 'warning' | 'danger'> = {
+  success: 'success',
+  partial: 'warning',
+  failure: 'danger',
+};
+
+function describeAuditTarget(entry: AuditLogEntry): string {
+  const { summary } = entry;
+  if (typeof summary.ip === 'string') {
+    const details = [summary.type, summary.duration].filter((value) => typeof value === 'string' && value);
+    return details.length > 0 ? `${summary.ip} (${details.join(', ')})` : summary.ip;
+  }
+  const values = Array.isArray(summary.values) && summary.values.length > 0 ? summary.values : summary.ids ?? summary.settings;
+  let listed = '';
+  if (Array.isArray(values) && values.length > 0) {
+    const count = typeof summary.count === 'number' ? summary.count : values.length;
+    listed = count > values.length ? `${values.join(', ')} (+${count - values.length})` : values.join(', ');
+  }
+  if (typeof summary.name === 'string' && summary.name) return listed ? `${summary.name}: ${listed}` : summary.name;
+  if (typeof summary.target === 'string' && typeof summary.id === 'string') return `${summary.target} ${summary.id}`;
+  return listed;
+}
+
+export function Audit() {
+  const { t } = useI18n();
+  const { timeZone } = useDateTime();
+  const { refreshSignal } = useRefresh();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryParam = searchParams.get('q')?.trim() ?? '';
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [searchDraft, setSearchDraft] = useState(queryParam);
+  const [debouncedSearchDraft, setDebouncedSearchDraft] = useState(queryParam);
+  const [showSearchSyntaxModal, setShowSearchSyntaxModal] = useState(false);
+  const [initialLoading, setInitialLoading] = useState(true);
+  const [hasLoadedEntries, setHasLoadedEntries] = useState(false);
+  const [backgroundLoading, setBackgroundLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [totalEntries, setTotalEntries] = useState(0);
+  const [totalUnfilteredEntries, setTotalUnfilteredEntries] = useState(0);
+  const hasMoreEntries = currentPage < totalPages;
+  const currentPageRef = useRef(1);
+  const hasLoadedEntriesRef = useRef(false);
+  const observer = useRef<IntersectionObserver | null>(null);
+  const searchInputRef = useRef<HTMLInputElement | null>(null);
+  const pendingSearchFocusRef = useRef<number | null>(null);
+  const searchFeatures = useMemo(() => ({}), []);
+  const searchDateOptions = useMemo(() => ({
+    timezoneOffsetMinutes: new Date().getTimezoneOffset(),
+    timeZone: timeZone || getBrowserTimeZone(),
+  }), [timeZone]);
+  const compiledSearch = useMemo(
+    () => compileAuditSearch(debouncedSearchDraft, searchFeatures, searchDateOptions),
+    [debouncedSearchDraft, searchDateOptions, searchFeatures],
+  );
+  const queryError: SearchParseError | null = compiledSearch.ok ? null : compiledSearch.error;
+  const searchHelp = useMemo(() => getSearchHelpDefinition('audit', searchFeatures), [searchFeatures]);
+
+  const loadEntries = useCallback(async ({ page = 1, append = false }: { page?: number; append?: boolean } = {}) => {
+    const shouldBlockWithInitialLoading = !append && !hasLoadedEntriesRef.current;
+    if (append) {
+      setLoadingMore(true);
+    } else if (shouldBlockWithInitialLoading) {
+      setInitialLoading(true);
+    } else {
+      setBackgroundLoading(true);
+    }
+
+    try {
+      const filters: Record<string, string> = { tz_offset: String(new Date().getTimezoneOffset()) };
+      const browserTimeZone = getBrowserTimeZone();
+      if (browserTimeZone) filters.browser_tz = browserTimeZone;
+      if (queryParam) filters.q = queryParam;
+      const result = await fetchAuditLogPaginated(page, PAGE_SIZE, filters);
+      setEntries((current) => append ? [...current, ...result.data] : result.data);
+      currentPageRef.current = result.pagination.page;
+      setCurrentPage(result.pagination.page);
+      setTotalPages(result.pagination.total_pages);
+      setTotalEntries(result.pagination.total);
+      setTotalUnfilteredEntries(result.pagination.unfiltered_total);
+      setError(null);
+      hasLoadedEntriesRef.current = true;
+      setHasLoadedEntries(true);
+    } catch (err) {
+      console.error(err);
+      setError(err instanceof Error ? err.message : t('pages.audit.failedToLoad'));
+    } finally {
+      if (append) {
+        setLoadingMore(false);
+      } else if (shouldBlockWithInitialLoading) {
+        setInitialLoading(false);
+      } else {
+        setBackgroundLoading(false);
+      }
+    }
+  }, [queryParam, t]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      void loadEntries();
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [loadEntries]);
+
+  useEffect(() => {
+    if (refreshSignal > 0) {
+      const timeoutId = window.setTimeout(() => {
+        void loadEntries();
+      }, 0);
+
+      return () => window.clearTimeout(timeoutId);
+    }
+  }, [refreshSignal, loadEntries]);
+
+  useEffect(() => () => observer.current?.disconnect(), []);
+
+  useEffect(() => {
+    if (searchDraft === debouncedSearchDraft) return undefined;
+    const timeoutId = window.setTimeout(() => setDebouncedSearchDraft(searchDraft), 300);
+    return () => window.clearTimeout(timeoutId);
+  }, [debouncedSearchDraft, searchDraft]);
+
+  useEffect(() => {
+    if (!compiledSearch.ok) return;
+    const nextQuery = debouncedSearchDraft.trim();
+    if (nextQuery === queryParam) return;
+    const nextParams = new URLSearchParams(searchParams);
+    if (nextQuery) {
+      nextParams.set('q', nextQuery);
+    } else {
+      nextParams.delete('q');
+    }
+    setSearchParams(nextParams, { replace: true });
+  }, [compiledSearch.ok, debouncedSearchDraft, queryParam, searchParams, setSearchParams]);
+
+  useLayoutEffect(() => {
+    const caretPosition = pendingSearchFocusRef.current;
+    const input = searchInputRef.current;
+    if (showSearchSyntaxModal || caretPosition === null || !input) return;
+    input.focus();
+    input.setSelectionRange(caretPosition, caretPosition);
+    pendingSearchFocusRef.current = null;
+  }, [searchDraft, showSearchSyntaxModal]);
+
+  const applySearchExample = useCallback((query: string) => {
+    setSearchDraft(query);
+    setDebouncedSearchDraft(query);
+    pendingSearchFocusRef.current = query.length;
+    setShowSearchSyntaxModal(false);
+  }, []);
+
+  const insertSearchSnippet = useCallback((snippet: string) => {
+    const input = searchInputRef.current;
+    const currentValue = input?.value ?? searchDraft;
+    const start = Math.min(input?.selectionStart ?? currentValue.length, currentValue.length);
+    const end = Math.min(input?.selectionEnd ?? start, currentValue.length);
+    const nextQuery = `${currentValue.slice(0, start)}${snippet}${currentValue.slice(end)}`;
+    setSearchDraft(nextQuery);
+    setDebouncedSearchDraft(nextQuery);
+    pendingSearchFocusRef.current = start + snippet.length;
+    setShowSearchSyntaxModal(false);
+  }, [searchDraft]);
+
+  const lastEntryElementRef = useCallback((node: HTMLTableRowElement | null) => {
+    if (initialLoading || backgroundLoading || loadingMore) return;
+    observer.current?.disconnect();
+    if (!node || !hasMoreEntries) return;
+    observer.current = new IntersectionObserver((observed) => {
+      if (observed[0]?.isIntersecting) {
+        void loadEntries({ page: currentPageRef.current + 1, append: true });
+      }
+    });
+    observer.current.observe(node);
+  }, [backgroundLoading, hasMoreEntries, initialLoading, loadEntries, loadingMore]);
+
+  const summaryText = initialLoading && !hasLoadedEntries
+    ? t('pages.audit.loading')
+    : totalEntries !== totalUnfilteredEntries
+      ? t('pages.audit.summaryFiltered', { count: entries.length, total: totalEntries, unfiltered: totalUnfilteredEntries })
+      : t('pages.audit.summary', { count: entries.length, total: totalEntries });
+  const tableBusy = initialLoading || backgroundLoading || loadingMore;
+  const headerClassName = 'px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider';
+  const cellClassName = 'px-6 py-4 text-sm text-gray-700 dark:text-gray-300';
+
+  return (
+    <div className="space-y-6">
+      <div data-testid="audit-summary" className="flex min-h-[1.5rem] items-center justify-between gap-3 text-sm text-gray-500">
+        <span>{summaryText}</span>
+        <span
+          className={`inline-flex items-center gap-2 text-xs transition-opacity ${backgroundLoading ? 'opacity-100' : 'opacity-0'}`}
+          aria-live="polite"
+        >
+          <span className="h-2 w-2 rounded-full bg-primary-500 animate-pulse" aria-hidden="true" />
+          {t('common.refreshing')}
+        </span>
+      </div>
+
+      {error && (
+        <div role="alert" className="rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-700 dark:border-red-800 dark:bg-red-900/20 dark:text-red-300">
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <div className="flex items-stretch gap-2">
+          <CollapsibleSearchControls inputRef={searchInputRef} onHelp={() => setShowSearchSyntaxModal(true)}>
+            <HighlightedSearchInput
+              ref={searchInputRef}
+              searchPage="audit"
+              showSearchIcon={false}
+              containerClassName="rounded-l-none"
+              className="rounded-l-none"
+              searchFeatures={searchFeatures}
+              placeholder={t('pages.audit.filterPlaceholder')}
+              value={searchDraft}
+              error={queryError}
+              onChange={(event) => setSearchDraft(event.target.value)}
+              aria-invalid={queryError ? 'true' : 'false'}
+              aria-describedby={queryError ? 'audit-search-error' : undefined}
+            />
+          </CollapsibleSearchControls>
+        </div>
+        {queryError && (
+          <p id="audit-search-error" className="text-xs text-red-600 dark:text-red-400">
+            {t('common.searchSyntaxError', { position: queryError.position + 1, message: queryError.message })}
+          </p>
+        )}
+      </div>
+
+      <div
+        className="bg-white dark:bg-gray-800 shadow-sm rounded-lg overflow-hidden border border-gray-200 dark:border-gray-700"
+        aria-busy={tableBusy}
+      >
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead className="bg-gray-50 dark:bg-gray-900/50">
+              <tr>
+                <th className={headerClassName}>{t('pages.audit.columns.time')}</th>
+                <th className={headerClassName}>{t('pages.audit.columns.user')}</th>
+                <th className={headerClassName}>{t('pages.audit.columns.action')}</th>
+                <th className={headerClassName}>{t('pages.audit.columns.target')}</th>
+                <th className={headerClassName}>{t('pages.audit.columns.instances')}</th>
+                <th className={headerClassName}>{t('pages.audit.columns.outcome')}</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
+              {initialLoading && entries.length === 0 ? (
+                <tr><td colSpan={6} className="px-6 py-4 text-center text-sm text-gray-500">{t('pages.audit.loading')}</td></tr>
+              ) : entries.length === 0 ? (
+                <tr><td colSpan={6} className="px-6 py-4 text-center text-sm text-gray-500">{t('pages.audit.empty')}</td></tr>
+              ) : entries.map((entry, index) => {
+                const failedResults = entry.results.filter((result) => !result.success);
+                return (
+                  <tr key={entry.id} ref={index === entries.length - 1 ? lastEntryElementRef : null}>
+                    <td className={`${cellClassName} whitespace-nowrap`}><TimeDisplay timestamp={entry.created_at} /></td>
+                    <td className={cellClassName}>
+                      <div className="font-medium text-gray-900 dark:text-gray-100">{entry.username ?? t('pages.audit.anonymous')}</div>
+                      {entry.auth_method && <div className="text-xs text-gray-500 dark:text-gray-400">{entry.auth_method}</div>}
+                    </td>
+                    <td className={cellClassName}>{t(ACTION_LABEL_KEYS[entry.action] ?? entry.action, { defaultValue: entry.action })}</td>
+                    <td className={`${cellClassName} font-mono text-xs break-all`}>{describeAuditTarget(entry) || '—'}</td>
+                    <td className={cellClassName}>{entry.results.map((result) => result.instance_name).join(', ') || '—'}</td>
+                    <td className={cellClassName}>
+                      <Badge variant={OUTCOME_BADGE_VARIANTS[entry.outcome] ?? 'default'}>{t(`pages.audit.outcomes.${entry.outcome}`)}</Badge>
+                      {failedResults.map((result) => (
+                        <div key={result.instance_id} className="mt-1 text-xs text-red-600 dark:text-red-400">
+                          {result.instance_name}: {result.error || t('pages.audit.failed')}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+              {loadingMore && entries.length > 0 && (
+                <tr>
+                  <td colSpan={6} className="bg-primary-50/60 dark:bg-primary-900/10 px-6 py-4 text-center">
+                    <span className="inline-flex items-center justify-center gap-2 text-sm font-medium text-primary-700 dark:text-primary-300" aria-live="polite">
+                      <Loader2 size={16} className="animate-spin" aria-hidden="true" />
+                      {t('pages.audit.loadingMore')}
+                    </span>
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <SearchSyntaxModal
+        help={searchHelp}
+        searchFeatures={searchFeatures}
+        isOpen={showSearchSyntaxModal}
+        onClose={() => setShowSearchSyntaxModal(false)}
+        onSelectExample={applySearchExample}
+        onInsertSnippet={insertSearchSnippet}
+      />
+    </div>
+  );
+}
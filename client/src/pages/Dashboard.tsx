@@ -50,6 +50,9 @@ interface InFlightDashboardLoad {
 const ActivityBarChart = lazy(async () => ({ default: (await import('../components/DashboardCharts')).ActivityBarChart }));
 const WorldMapCard = lazy(async () => ({ default: (await import('../components/WorldMapCard')).WorldMapCard }));
 
+// Ranges past the sync lookback are charted from the server's daily statistics rollups.
+const EXTENDED_RANGE_DAYS = [30, 90, 365];
+
 const EMPTY_FILTERS: DashboardFilters = {
     dateRange: null,
     dateRangeSticky: false,
@@ -96,6 +99,11 @@ function parseStoredGranularity(value: string | null): Granularity {
     return value === 'hour' ? 'hour' : 'day';
 }
 
+function parseStoredRangeDays(value: string | null): number | null {
+    const days = Number(value);
+    return EXTENDED_RANGE_DAYS.includes(days) ? days : null;
+}
+
 function parseStoredScaleMode(value: string | null): ScaleMode {
     return value === 'symlog' ? 'symlog' : 'linear';
 }
@@ -224,6 +232,7 @@ export function Dashboard() {
 
     // Initialize state from local storage or defaults
     const [granularity, setGranularity] = useState<Granularity>(() => parseStoredGranularity(localStorage.getItem('dashboard_granularity')));
+    const [storedRangeDays, setStoredRangeDays] = useState<number | null>(() => parseStoredRangeDays(localStorage.getItem('dashboard_range_days')));
     const [scaleMode, setScaleMode] = useState<ScaleMode>(() => parseStoredScaleMode(localStorage.getItem('dashboard_scale_mode')));
 
     // Percentage Basis: 'filtered' or 'global'
@@ -258,6 +267,14 @@ export function Dashboard() {
         localStorage.setItem('dashboard_granularity', granularity);
     }, [granularity]);
 
+    useEffect(() => {
+        if (storedRangeDays === null) {
+            localStorage.removeItem('dashboard_range_days');
+        } else {
+            localStorage.setItem('dashboard_range_days', String(storedRangeDays));
+        }
+    }, [storedRangeDays]);
+
     useEffect(() => {
         localStorage.setItem('dashboard_scale_mode', scaleMode);
     }, [scaleMode]);
@@ -285,6 +302,11 @@ export function Dashboard() {
         return true;
     }, []);
 
+    const lookbackDays = config?.lookback_days;
+    // A stored range no longer reaches past the lookback once the lookback is raised to cover it.
+    const extendedRangeDays = storedRangeDays !== null && storedRangeDays > (lookbackDays ?? 0) ? storedRangeDays : null;
+    const chartGranularity: Granularity = extendedRangeDays === null ? granularity : 'day';
+
     // Handler to change granularity and clear date range simultaneously (explicit user action)
     const handleGranularityChange = (newGranularity: Granularity) => {
         if (newGranularity === granularity && filters.dateRange === null) {
@@ -297,12 +319,27 @@ export function Dashboard() {
         });
     };
 
+    const handleRangeDaysChange = (days: number) => {
+        const nextRangeDays = EXTENDED_RANGE_DAYS.includes(days) ? days : null;
+        if (nextRangeDays === extendedRangeDays && filters.dateRange === null) {
+            return;
+        }
+
+        startFilterApplication(() => {
+            setStoredRangeDays(nextRangeDays);
+            setFilters(prev => ({ ...prev, dateRange: null }));
+        });
+    };
+
     const buildDashboardStatsFilters = useCallback((): Record<string, string> => {
         const requestFilters: Record<string, string> = {
-            granularity,
+            granularity: chartGranularity,
             tz_offset: String(new Date().getTimezoneOffset()),
             instance: searchParams.get('instance') || 'all',
         };
+        if (extendedRangeDays !== null) {
+            requestFilters.range_days = String(extendedRangeDays);
+        }
 
         if (filters.country) requestFilters.country = filters.country;
         if (filters.scenario) requestFilters.scenario = filters.scenario;
@@ -318,7 +355,7 @@ export function Dashboard() {
         }
 
         return requestFilters;
-    }, [filters, granularity, searchParams]);
+    }, [chartGranularity, extendedRangeDays, filters, searchParams]);
 
     const loadData = useCallback(async (isBackground = false, signal?: AbortSignal, force = false) => {
         const requestFilters = buildDashboardStatsFilters();
@@ -748,7 +785,7 @@ export function Dashboard() {
                         <div className="flex items-center gap-2">
                         <TrendingUp className="w-6 h-6 text-primary-600 dark:text-primary-400" />
                         <h3 className="text-2xl font-bold text-gray-900 dark:text-white">
-                            {t('pages.dashboard.lastDaysStats', { days: config?.lookback_days ?? 7 })}
+                            {t('pages.dashboard.lastDaysStats', { days: extendedRangeDays ?? lookbackDays ?? 7 })}
                         </h3>
                     </div>
                         <div className="min-h-[1.25rem] text-sm text-gray-500" aria-live="polite">
@@ -852,8 +889,14 @@ export function Dashboard() {
                                 onDateRangeSelect={handleDateRangeSelect}
                                 selectedDateRange={filters.dateRange}
                                 isSticky={filters.dateRangeSticky}
-                                granularity={granularity}
+                                granularity={chartGranularity}
                                 setGranularity={handleGranularityChange}
+                                rangeDays={extendedRangeDays ?? lookbackDays}
+                                rangeOptions={lookbackDays === undefined
+                                    ? []
+                                    : [lookbackDays, ...EXTENDED_RANGE_DAYS.filter((days) => days > lookbackDays)]}
+                                setRangeDays={handleRangeDaysChange}
+                                hourlyAvailable={extendedRangeDays === null}
                                 scaleMode={scaleMode}
                                 setScaleMode={setScaleMode}
                             />
@@ -0,0 +1,374 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertCircle, GitCompareArrows, Loader2, Save, Send } from 'lucide-react';
+
+import {
+  fetchConfig,
+  fetchDecisionDrift,
+  fetchDecisionMirrorPolicy,
+  propagateDecisions,
+  updateDecisionMirrorPolicy,
+} from '../lib/api';
+import { useRefresh } from '../contexts/useRefresh';
+import { useOptionalToast } from '../contexts/useToast';
+import { Badge } from '../components/ui/Badge';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
+import { Switch } from '../components/ui/Switch';
+import { TimeDisplay } from '../components/TimeDisplay';
+import { useI18n } from '../lib/i18n';
+import type { DecisionDriftResponse, DecisionMirrorPolicy } from '../types';
+
+type DriftState =
+  | { status: 'loading' }
+  | { status: 'error'; message: string }
+  | { status: 'ready'; data: DecisionDriftResponse };
+
+const FIELD_CLASS_NAME = 'block w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100';
+const PRIMARY_BUTTON_CLASS_NAME = 'inline-flex items-center gap-2 rounded-md bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-50';
+const CHECKBOX_CLASS_NAME = 'h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500 disabled:cursor-not-allowed disabled:opacity-50';
+
+function getErrorMessage(error: unknown, fallback: string): string {
+  return error instanceof Error ? error.message : fallback;
+}
+
+function MirrorPolicyCard({
+  policy,
+  instances,
+  canManage,
+  onSave,
+}: {
+  policy: DecisionMirrorPolicy;
+  instances: DecisionDriftResponse['instances'];
+  canManage: boolean;
+  onSave: (enabled: boolean, instanceIds: string[]) => Promise<void>;
+}) {
+  const { t } = useI18n();
+  const [enabled, setEnabled] = useState(policy.enabled);
+  const [instanceIds, setInstanceIds] = useState<string[]>(policy.instance_ids);
+  const [saving, setSaving] = useState(false);
+
+  const toggleInstance = (instanceId: string) => {
+    setInstanceIds((current) => current.includes(instanceId)
+      ? current.filter((id) => id !== instanceId)
+      : [...current, instanceId]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(enabled, instanceIds);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const disabled = !canManage || saving;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('pages.decisionDrift.mirroring.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-400">{t('pages.decisionDrift.mirroring.description')}</p>
+        <div className="flex items-center gap-3">
+          <Switch
+            id="decision-mirroring-enabled"
+            checked={enabled}
+            onCheckedChange={setEnabled}
+            ariaLabelledBy="decision-mirroring-enabled-label"
+            disabled={disabled}
+          />
+          <span id="decision-mirroring-enabled-label" className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            {t('pages.decisionDrift.mirroring.enabled')}
+          </span>
+        </div>
+        <fieldset className="space-y-2">
+          <legend className="mb-1 text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.decisionDrift.mirroring.instances')}</legend>
+          {instances.map((instance) => (
+            <label key={instance.id} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={instanceIds.includes(instance.id)}
+                disabled={disabled}
+                onChange={() => toggleInstance(instance.id)}
+                className={CHECKBOX_CLASS_NAME}
+              />
+              {instance.name}
+            </label>
+          ))}
+        </fieldset>
+        {policy.enabled && policy.enabled_at && (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            {t('pages.decisionDrift.mirroring.activeSince')} <TimeDisplay timestamp={policy.enabled_at} />
+          </p>
+        )}
+        {canManage ? (
+          <button
+            type="button"
+            onClick={() => void handleSave()}
+            disabled={disabled || (enabled && instanceIds.length < 2)}
+            className={PRIMARY_BUTTON_CLASS_NAME}
+          >
+            {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+            {t('pages.decisionDrift.mirroring.save')}
+          </button>
+        ) : (
+          <p className="text-sm text-gray-500 dark:text-gray-400">{t('pages.decisionDrift.mirroring.readOnly')}</p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export function DecisionDrift() {
+  const { t } = useI18n();
+  const { refreshSignal } = useRefresh();
+  const toast = useOptionalToast();
+  const [origin, setOrigin] = useState('');
+  const [state, setState] = useState<DriftState>({ status: 'loading' });
+  const [policy, setPolicy] = useState<DecisionMirrorPolicy | null>(null);
+  const [canManageEnforcement, setCanManageEnforcement] = useState(false);
+  const [canManageSettings, setCanManageSettings] = useState(false);
+  const [selected, setSelected] = useState<Set<string>>(() => new Set());
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async (background = false) => {
+    if (!background) setState({ status: 'loading' });
+
+    try {
+      const [config, data, mirrorPolicy] = await Promise.all([
+        fetchConfig(),
+        fetchDecisionDrift(origin),
+        fetchDecisionMirrorPolicy(),
+      ]);
+      setCanManageEnforcement(config.permissions?.can_manage_enforcement !== false);
+      setCanManageSettings(config.permissions?.can_manage_settings !== false);
+      setPolicy(mirrorPolicy);
+      setState({ status: 'ready', data });
+      const visible = new Set(data.items.map((item) => item.value));
+      setSelected((current) => new Set(Array.from(current).filter((value) => visible.has(value))));
+    } catch (error: unknown) {
+      setState({ status: 'error', message: getErrorMessage(error, t('pages.decisionDrift.fetchFailed')) });
+    }
+  }, [origin, t]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      void load();
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      if (state.status === 'ready') {
+        void load(true);
+      }
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load, refreshSignal, state.status]);
+
+  const toggleValue = (value: string) => {
+    setSelected((current) => {
+      const next = new Set(current);
+      if (next.has(value)) next.delete(value);
+      else next.add(value);
+      return next;
+    });
+  };
+
+  const handlePropagate = async () => {
+    const values = Array.from(selected);
+    if (values.length === 0) return;
+    setBusy(true);
+    try {
+      const response = await propagateDecisions(values);
+      const failures = response.results.filter((result) => !result.success);
+      if (failures.length > 0) {
+        toast?.addToast(failures.map((failure) => `${failure.instance_name}: ${failure.error}`).join('; '), 'danger');
+      } else {
+        toast?.addToast(t('pages.decisionDrift.propagated', { count: response.propagated }), 'success');
+      }
+      setSelected(new Set());
+      await load(true);
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, t('pages.decisionDrift.propagateFailed')), 'danger');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSavePolicy = async (enabled: boolean, instanceIds: string[]) => {
+    try {
+      setPolicy(await updateDecisionMirrorPolicy({ enabled, instance_ids: instanceIds }));
+      toast?.addToast(t('pages.decisionDrift.mirroring.saved'), 'success');
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, t('pages.decisionDrift.mirroring.saveFailed')), 'danger');
+    }
+  };
+
+  if (state.status === 'loading') {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center text-gray-500 dark:text-gray-400">{t('app.loading')}</CardContent>
+      </Card>
+    );
+  }
+
+  if (state.status === 'error') {
+    return (
+      <Card>
+        <CardContent>
+          <div role="alert" className="flex items-center gap-2 text-red-700 dark:text-red-300">
+            <AlertCircle size={16} className="shrink-0" />
+            <span className="text-sm">{state.message}</span>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const { instances, origins, items, total } = state.data;
+  const instanceNames = new Map(instances.map((instance) => [instance.id, instance.name]));
+  const allSelected = items.length > 0 && items.every((item) => selected.has(item.value));
+
+  if (instances.length < 2) {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center text-sm text-gray-500 dark:text-gray-400">{t('pages.decisionDrift.singleInstance')}</CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardContent className="space-y-4 p-4 sm:p-6">
+          <p className="text-sm text-gray-600 dark:text-gray-400">{t('pages.decisionDrift.description')}</p>
+          <div className="grid gap-3 md:grid-cols-[16rem_1fr_auto] md:items-end">
+            <div>
+              <label htmlFor="decision-drift-origin" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.decisionDrift.origin')}</label>
+              <select
+                id="decision-drift-origin"
+                className={FIELD_CLASS_NAME}
+                value={origin}
+                onChange={(event) => setOrigin(event.target.value)}
+              >
+                <option value="">{t('pages.decisionDrift.allLocalOrigins')}</option>
+                {origins.map((value) => <option key={value} value={value}>{value}</option>)}
+              </select>
+            </div>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {total > items.length
+                ? t('pages.decisionDrift.summaryTruncated', { count: items.length, total })
+                : t('pages.decisionDrift.summary', { count: total })}
+            </span>
+            {canManageEnforcement && (
+              <button
+                type="button"
+                onClick={() => void handlePropagate()}
+                disabled={busy || selected.size === 0}
+                className={PRIMARY_BUTTON_CLASS_NAME}
+              >
+                {busy ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />}
+                {t('pages.decisionDrift.propagate', { count: selected.size })}
+              </button>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <GitCompareArrows className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+            {t('pages.decisionDrift.tableTitle')}
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {items.length === 0 ? (
+            <div className="rounded-lg border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500 dark:border-gray-700 dark:text-gray-400">
+              {t('pages.decisionDrift.empty')}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700" aria-label={t('pages.decisionDrift.tableTitle')}>
+                <thead>
+                  <tr className="text-left text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                    {canManageEnforcement && (
+                      <th className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          aria-label={t('pages.decisionDrift.selectAll')}
+                          checked={allSelected}
+                          onChange={() => setSelected(allSelected ? new Set() : new Set(items.map((item) => item.value)))}
+                          className={CHECKBOX_CLASS_NAME}
+                        />
+                      </th>
+                    )}
+                    <th className="px-4 py-2">{t('tableColumns.value')}</th>
+                    <th className="px-4 py-2">{t('pages.decisionDrift.presentOn')}</th>
+                    <th className="px-4 py-2">{t('pages.decisionDrift.missingOn')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 text-sm dark:divide-gray-800">
+                  {items.map((item) => (
+                    <tr key={item.value} className="align-top text-gray-700 dark:text-gray-300">
+                      {canManageEnforcement && (
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            aria-label={t('pages.decisionDrift.selectValue', { value: item.value })}
+                            checked={selected.has(item.value)}
+                            onChange={() => toggleValue(item.value)}
+                            className={CHECKBOX_CLASS_NAME}
+                          />
+                        </td>
+                      )}
+                      <td className="px-4 py-2 font-mono">
+                        <Link to={`/ip/${encodeURIComponent(item.value)}`} className="text-primary-600 hover:underline dark:text-primary-400">
+                          {item.value}
+                        </Link>
+                      </td>
+                      <td className="space-y-1 px-4 py-2">
+                        {item.present_on.map((presence) => (
+                          <div key={presence.instance_id} className="flex flex-wrap items-center gap-2">
+                            <Badge variant="secondary">{instanceNames.get(presence.instance_id) || presence.instance_id}</Badge>
+                            <span>{[presence.type, presence.origin, presence.scenario].filter(Boolean).join(' · ')}</span>
+                            <span className="text-xs text-gray-500 dark:text-gray-400">
+                              {t('pages.decisionDrift.until')} <TimeDisplay timestamp={presence.stop_at} />
+                            </span>
+                          </div>
+                        ))}
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="flex flex-wrap gap-2">
+                          {item.missing_on.map((instanceId) => (
+                            <Badge key={instanceId} variant="danger">{instanceNames.get(instanceId) || instanceId}</Badge>
+                          ))}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {policy && (
+        <MirrorPolicyCard
+          key={`${policy.enabled}-${policy.instance_ids.join(',')}`}
+          policy={policy}
+          instances={instances}
+          canManage={canManageSettings}
+          onSave={handleSavePolicy}
+        />
+      )}
+    </div>
+  );
+}
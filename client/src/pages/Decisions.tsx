@@ -9,14 +9,25 @@ import { HighlightedSearchInput } from "../components/HighlightedSearchInput";
 import { CollapsibleSearchControls } from "../components/CollapsibleSearchControls";
 import { SearchSyntaxModal } from "../components/SearchSyntaxModal";
 import { TableColumnsModal } from "../components/TableColumnsModal";
+import { ExportMenu } from "../components/ExportMenu";
+import { SaveSearchButton } from "../components/SaveSearchButton";
+import { ImportDecisionsModal } from "../components/ImportDecisionsModal";
+import { AllowlistValueModal } from "../components/AllowlistValueModal";
+import { EditDecisionsModal } from "../components/EditDecisionsModal";
+import { AnnotationPanel, TriageStatusBadge } from "../components/AnnotationPanel";
 import { QuickFilters, type QuickFilterDefinition, type QuickFilterSectionId } from "../components/QuickFilters";
 import { CountryFlag } from "../components/CountryFlag";
+import { GeoEnrichedMarker } from "../components/GeoEnrichedMarker";
 import { ScenarioName } from "../components/ScenarioName";
 import { TimeDisplay } from "../components/TimeDisplay";
 import { getCountryName } from "../lib/utils";
 import { getDecisionExpirationState } from "../lib/decisionExpiration";
-import { TABLE_COLUMN_DEFINITIONS } from "../../../shared/contracts";
-import { loadStoredTableColumnPreferences, saveStoredTableColumnPreferences } from "../lib/tableColumns";
+import { DECISION_SCOPES, TABLE_COLUMN_DEFINITIONS } from "../../../shared/contracts";
+import {
+    loadStoredTableColumnPreferences,
+    saveStoredTableColumnPreferences,
+    TABLE_COLUMN_PREFERENCES_CHANGED_EVENT,
+} from "../lib/tableColumns";
 import {
     compileDecisionSearch,
     getSearchDateRange,
@@ -28,8 +39,8 @@ import {
     type SearchDateRange,
     type SearchParseError,
 } from "../../../shared/search";
-import { Trash2, Gavel, X, ExternalLink, Shield, ShieldBan, AlertCircle, Columns3, Loader2 } from "lucide-react";
-import type { AddDecisionRequest, ApiPermissionError, BulkDeleteResult, DecisionListItem, FacetField, InstanceEntityRef, InstanceOperationResult, MultiInstanceOperationResponse, TableColumnId, TableColumnPreferences } from '../types';
+import { Trash2, Gavel, X, ExternalLink, Shield, ShieldBan, AlertCircle, Columns3, Loader2, FileUp, NotebookPen, Pencil, ShieldCheck, GitCompareArrows } from "lucide-react";
+import type { AddDecisionRequest, Annotation, ApiPermissionError, BulkDeleteResult, DecisionListItem, DecisionScope, FacetField, InstanceEntityRef, InstanceOperationResult, MultiInstanceOperationResponse, TableColumnId, TableColumnPreferences } from '../types';
 import { useI18n, type I18nContextValue } from "../lib/i18n";
 import { getBrowserTimeZone, useDateTime } from "../lib/dateTime";
 
@@ -38,6 +49,23 @@ type DecisionDeleteAction =
     | { kind: "selected"; refs: InstanceEntityRef[] }
     | { kind: "ip"; ip: string };
 
+const DEFAULT_NEW_DECISION: AddDecisionRequest = { value: "", decision_scope: "ip", duration: "4h", reason: "manual" };
+
+const DECISION_VALUE_PLACEHOLDERS: Record<DecisionScope, string> = {
+    ip: "1.2.3.4",
+    range: "192.0.2.0/24",
+    country: "DE",
+    as: "AS64496",
+};
+
+// The Alerts detail view links here with `add_scope` and `add_value` to open a prefilled add-decision modal.
+function getPrefilledDecision(searchParams: URLSearchParams): AddDecisionRequest | null {
+    const scope = searchParams.get("add_scope") as DecisionScope | null;
+    const value = searchParams.get("add_value");
+    if (!scope || !value || !DECISION_SCOPES.includes(scope)) return null;
+    return { ...DEFAULT_NEW_DECISION, decision_scope: scope, value };
+}
+
 function decisionKey(decision: Pick<DecisionListItem, 'id' | 'instance_id'>): string {
     return `${decision.instance_id || 'default'}\u0000${String(decision.id)}`;
 }
@@ -112,6 +140,11 @@ function toErrorInfo(error: unknown, fallbackMessage: string): ErrorInfo {
     };
 }
 
+// Country and AS decisions share the value column, so only addresses and ranges link to an IP profile or can be allowlisted.
+function isIpOrRangeValue(value: string): boolean {
+    return /^(\d{1,3}\.){3}\d{1,3}(\/\d{1,2})?$/.test(value) || /^[0-9a-f]{0,4}(:[0-9a-f]{0,4}){2,7}(\/\d{1,3})?$/i.test(value);
+}
+
 function isDecisionExpired(decision: DecisionListItem, nowMs: number): boolean {
     return getDecisionExpirationState(decision, nowMs).isExpired;
 }
@@ -166,7 +199,11 @@ export function Decisions() {
     const [hasLoadedDecisions, setHasLoadedDecisions] = useState(false);
     const [backgroundLoading, setBackgroundLoading] = useState(false);
     const [loadingMore, setLoadingMore] = useState(false);
-    const [showAddModal, setShowAddModal] = useState(false);
+    const [showAddModal, setShowAddModal] = useState(() => getPrefilledDecision(searchParams) !== null);
+    const [showImportModal, setShowImportModal] = useState(false);
+    const [editingDecisions, setEditingDecisions] = useState<DecisionListItem[] | null>(null);
+    const [allowlistTarget, setAllowlistTarget] = useState<{ value: string; instanceId?: string } | null>(null);
+    const [annotationTarget, setAnnotationTarget] = useState<DecisionListItem | null>(null);
     const [currentPage, setCurrentPage] = useState(1);
     const [totalPages, setTotalPages] = useState(1);
     const [totalDecisions, setTotalDecisions] = useState(0);
@@ -175,7 +212,7 @@ export function Decisions() {
     const [pendingDeleteAction, setPendingDeleteAction] = useState<DecisionDeleteAction | null>(null);
     const [selectedDecisionIds, setSelectedDecisionIds] = useState<string[]>([]);
     const [deleteInProgress, setDeleteInProgress] = useState(false);
-    const [newDecision, setNewDecision] = useState<AddDecisionRequest>({ ip: "", duration: "4h", reason: "manual" });
+    const [newDecision, setNewDecision] = useState<AddDecisionRequest>(() => getPrefilledDecision(searchParams) ?? DEFAULT_NEW_DECISION);
     const [errorInfo, setErrorInfo] = useState<ErrorInfo | null>(null);
     const [pendingDeleteErrorInfo, setPendingDeleteErrorInfo] = useState<ErrorInfo | null>(null);
     const [retryCleanupInstances, setRetryCleanupInstances] = useState<InstanceOperationResult[]>([]);
@@ -315,6 +352,10 @@ export function Decisions() {
         }
         fields.push({ field: 'target', label: t('components.eventCard.target') });
         sectionOrder.push('target');
+        fields.push({ field: 'triage', label: t('components.annotation.status') });
+        sectionOrder.push('triage');
+        fields.push({ field: 'tag', label: t('components.annotation.tags') });
+        sectionOrder.push('tag');
         return { fields, sectionOrder };
     }, [t, visibleDecisionColumns]);
     const quickFilterDateRange = useMemo(() => {
@@ -416,9 +457,16 @@ export function Decisions() {
         if (field === 'status') {
             return value === 'active' ? t('common.active') : t('pages.decisions.expired');
         }
+        if (field === 'triage') return t(`components.annotation.statuses.${value}`, { defaultValue: value });
         return value;
     }, [language, t]);
 
+    const handleAnnotationChange = useCallback((annotation: Annotation) => {
+        if (!annotationTarget) return;
+        const key = decisionKey(annotationTarget);
+        setDecisions((prev) => prev.map((decision) => (decisionKey(decision) === key ? { ...decision, annotation } : decision)));
+    }, [annotationTarget]);
+
     const loadConfig = useCallback(async (refresh = false) => {
         if (!refresh && configRef.current) {
             return configRef.current;
@@ -559,6 +607,12 @@ export function Decisions() {
         return () => window.clearInterval(intervalId);
     }, []);
 
+    useEffect(() => {
+        const reloadColumnPreferences = () => setTableColumnPreferences(loadStoredTableColumnPreferences());
+        window.addEventListener(TABLE_COLUMN_PREFERENCES_CHANGED_EVENT, reloadColumnPreferences);
+        return () => window.removeEventListener(TABLE_COLUMN_PREFERENCES_CHANGED_EVENT, reloadColumnPreferences);
+    }, []);
+
     const lastDecisionElementRef = useCallback((node: HTMLTableRowElement | null) => {
         if (initialLoading || backgroundLoading || loadingMore || !hasMoreDecisions) return;
         if (observer.current) observer.current.disconnect();
@@ -570,6 +624,14 @@ export function Decisions() {
         if (node) observer.current.observe(node);
     }, [backgroundLoading, currentPage, hasMoreDecisions, initialLoading, loadDecisions, loadingMore]);
 
+    useEffect(() => {
+        if (!searchParams.has("add_scope") && !searchParams.has("add_value")) return;
+        const nextParams = new URLSearchParams(searchParams);
+        nextParams.delete("add_scope");
+        nextParams.delete("add_value");
+        setSearchParams(nextParams, { replace: true });
+    }, [searchParams, setSearchParams]);
+
     // Sync "q" param to filter state
     useEffect(() => {
         const queryParam = searchParams.get("q");
@@ -699,14 +761,16 @@ export function Decisions() {
         }
     }, [compiledSearch, debouncedSearchDraft, searchParams, setSearchParams]);
 
+    const instanceScope = searchParams.get('instance');
+    const operationTarget: Pick<AddDecisionRequest, 'scope' | 'instance_id'> = !instanceScope && !multipleInstances
+        ? {}
+        : instanceScope === 'all' || !instanceScope
+        ? { scope: 'all' }
+        : { scope: 'instance', instance_id: instanceScope };
+
     const handleAddDecision = async (e: FormEvent<HTMLFormElement>) => {
         e.preventDefault();
-        const instanceScope = searchParams.get('instance');
-        const decisionData: AddDecisionRequest = !instanceScope && !multipleInstances
-            ? { ...newDecision }
-            : instanceScope === 'all' || !instanceScope
-            ? { ...newDecision, scope: 'all' }
-            : { ...newDecision, scope: 'instance', instance_id: instanceScope };
+        const decisionData: AddDecisionRequest = { ...newDecision, ...operationTarget };
         setAddDecisionInProgress(true);
         setErrorInfo(null);
         setAddDecisionErrorInfo(null);
@@ -748,7 +812,7 @@ export function Decisions() {
             }
             setRetryDecisionInstances([]);
             setShowAddModal(false);
-            setNewDecision({ ip: "", duration: "4h", reason: "manual" });
+            setNewDecision(DEFAULT_NEW_DECISION);
             await loadDecisions({ page: 1, refreshConfig: true });
         } catch (error) {
             console.error("Failed to add decision", error);
@@ -931,9 +995,9 @@ export function Decisions() {
     );
     const activeSelectableDecisionIds = selectableDecisionIds.filter((id) => !visibleExpiredDecisionIds.has(id));
     const selectedFilteredDecisionIds = activeSelectableDecisionIds.filter((id) => selectedDecisionIds.includes(id));
-    const selectedFilteredDecisionRefs = filteredDecisions
-        .filter((decision) => selectedFilteredDecisionIds.includes(decisionKey(decision)))
-        .map(decisionRef);
+    const selectedFilteredDecisions = filteredDecisions
+        .filter((decision) => selectedFilteredDecisionIds.includes(decisionKey(decision)));
+    const selectedFilteredDecisionRefs = selectedFilteredDecisions.map(decisionRef);
     const allFilteredDecisionsSelected = activeSelectableDecisionIds.length > 0 && selectedFilteredDecisionIds.length === activeSelectableDecisionIds.length;
     const someFilteredDecisionsSelected = selectedFilteredDecisionIds.length > 0 && !allFilteredDecisionsSelected;
 
@@ -992,13 +1056,24 @@ export function Decisions() {
                 className="flex min-h-[1.5rem] items-center justify-between gap-3 text-sm text-gray-500"
             >
                 <span>{summaryText}</span>
-                <span
-                    className={`inline-flex items-center gap-2 text-xs transition-opacity ${backgroundLoading ? 'opacity-100' : 'opacity-0'}`}
-                    aria-live="polite"
-                >
-                    <span className="h-2 w-2 rounded-full bg-primary-500 animate-pulse" aria-hidden="true" />
-                    {t('common.refreshing')}
-                </span>
+                <div className="flex items-center gap-3">
+                    <span
+                        className={`inline-flex items-center gap-2 text-xs transition-opacity ${backgroundLoading ? 'opacity-100' : 'opacity-0'}`}
+                        aria-live="polite"
+                    >
+                        <span className="h-2 w-2 rounded-full bg-primary-500 animate-pulse" aria-hidden="true" />
+                        {t('common.refreshing')}
+                    </span>
+                    {multipleInstances && (
+                        <Link
+                            to="/decisions/drift"
+                            className="inline-flex items-center gap-1 text-xs font-medium text-primary-600 hover:underline dark:text-primary-400"
+                        >
+                            <GitCompareArrows size={14} />
+                            {t('pages.decisions.viewDrift')}
+                        </Link>
+                    )}
+                </div>
             </div>
             
             {canManageEnforcement && (
@@ -1010,6 +1085,21 @@ export function Decisions() {
                         <Gavel size={16} />
                         {t('pages.decisions.addDecision')}
                     </button>
+                    <button
+                        onClick={() => setShowImportModal(true)}
+                        className="bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-700 font-medium py-2 px-4 rounded-md transition-colors flex items-center gap-2 text-sm"
+                    >
+                        <FileUp size={16} />
+                        {t('pages.decisions.importBlocklist')}
+                    </button>
+                    <button
+                        onClick={() => setEditingDecisions(selectedFilteredDecisions)}
+                        disabled={selectedDecisionCount === 0}
+                        className="bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-700 font-medium py-2 px-4 rounded-md transition-colors flex items-center gap-2 text-sm disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                        <Pencil size={16} />
+                        {t('pages.decisions.editSelected')}
+                    </button>
                     <button
                         onClick={() => {
                             setPendingDeleteErrorInfo(null);
@@ -1149,6 +1239,15 @@ export function Decisions() {
                             aria-describedby={queryError ? 'decisions-search-error' : undefined}
                         />
                     </CollapsibleSearchControls>
+                    <ExportMenu page="decisions" columns={visibleDecisionColumns} filters={facetFilters} />
+                    <SaveSearchButton
+                        page="decisions"
+                        query={appliedQuery}
+                        dateStart={dateStartParam}
+                        dateEnd={dateEndParam}
+                        instance={searchParams.get("instance") || "all"}
+                        columns={tableColumnPreferences.decisions}
+                    />
                 </div>
                 {queryError && (
                     <p id="decisions-search-error" className="text-xs text-red-600 dark:text-red-400">
@@ -1260,6 +1359,12 @@ export function Decisions() {
                                                                     showLink={true}
                                                                     simulated={simulationsEnabled && isSimulatedDecision(decision)}
                                                                 />
+                                                                {decision.annotation && (decision.annotation.status !== 'new' || decision.annotation.tags.length > 0) && (
+                                                                    <div className="mt-1 flex flex-wrap gap-1">
+                                                                        {decision.annotation.status !== 'new' && <TriageStatusBadge status={decision.annotation.status} />}
+                                                                        {decision.annotation.tags.map((tag) => <Badge key={tag} variant="outline">{tag}</Badge>)}
+                                                                    </div>
+                                                                )}
                                                             </td>
                                                         );
                                                     case 'country':
@@ -1269,6 +1374,7 @@ export function Decisions() {
                                                                     <div className="flex items-center gap-2" title={decision.detail.country}>
                                                                         <CountryFlag code={decision.detail.country} />
                                                                         <span>{getCountryName(decision.detail.country, language)}</span>
+                                                                        <GeoEnrichedMarker enrichedFields={decision.detail.geo_enriched} fields={["country"]} />
                                                                     </div>
                                                                 ) : (
                                                                     "-"
@@ -1296,7 +1402,14 @@ export function Decisions() {
                                                     case 'source':
                                                         return (
                                                             <td key={columnId} className="px-6 py-4 text-sm font-mono text-gray-900 dark:text-gray-100 max-w-[200px] truncate" title={decision.value}>
-                                                                {decision.value}
+                                                                {decision.value && isIpOrRangeValue(decision.value) ? (
+                                                                    <Link
+                                                                        to={`/ip/${encodeURIComponent(decision.value)}`}
+                                                                        className="hover:text-primary-600 dark:hover:text-primary-400 hover:underline"
+                                                                    >
+                                                                        {decision.value}
+                                                                    </Link>
+                                                                ) : decision.value}
                                                             </td>
                                                         );
                                                     case 'action':
@@ -1365,6 +1478,45 @@ export function Decisions() {
                                                                 <ShieldBan size={16} aria-hidden="true" />
                                                             </button>
                                                         )}
+                                                        {decision.value && isIpOrRangeValue(decision.value) && (
+                                                            <button
+                                                                onClick={(e) => {
+                                                                    e.stopPropagation();
+                                                                    setAllowlistTarget({
+                                                                        value: decision.value || "",
+                                                                        instanceId: multipleInstances ? decision.instance_id || 'default' : undefined,
+                                                                    });
+                                                                }}
+                                                                className="text-gray-600 hover:text-primary-700 dark:text-gray-400 dark:hover:text-primary-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors p-2 rounded-full relative z-10 cursor-pointer"
+                                                                title={t('components.allowlistValue.action', { value: decision.value })}
+                                                                aria-label={t('components.allowlistValue.action', { value: decision.value })}
+                                                            >
+                                                                <ShieldCheck size={16} aria-hidden="true" />
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                setAnnotationTarget(decision);
+                                                            }}
+                                                            className="text-gray-600 hover:text-primary-700 dark:text-gray-400 dark:hover:text-primary-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors p-2 rounded-full relative z-10 cursor-pointer"
+                                                            title={t('components.annotation.open')}
+                                                            aria-label={t('components.annotation.open')}
+                                                        >
+                                                            <NotebookPen size={16} aria-hidden="true" />
+                                                        </button>
+                                                        <button
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                setEditingDecisions([decision]);
+                                                            }}
+                                                            disabled={isExpired}
+                                                            className={`transition-colors p-2 rounded-full relative z-10 cursor-pointer ${isExpired ? 'text-gray-300 dark:text-gray-600 cursor-not-allowed bg-gray-100 dark:bg-gray-800' : 'text-gray-600 hover:text-primary-700 dark:text-gray-400 dark:hover:text-primary-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                                                            title={isExpired ? t('pages.decisions.alreadyExpired') : t('pages.decisions.editDecision')}
+                                                            aria-label={isExpired ? t('pages.decisions.alreadyExpired') : t('pages.decisions.editDecision')}
+                                                        >
+                                                            <Pencil size={16} />
+                                                        </button>
                                                         <button
                                                             onClick={(e) => {
                                                                 e.stopPropagation();
@@ -1453,15 +1605,30 @@ export function Decisions() {
             >
                 <form onSubmit={handleAddDecision} className="space-y-4">
                     <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('tableColumns.source')}</label>
+                        <label htmlFor="decision-scope" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('pages.decisions.decisionScope')}</label>
+                        <select
+                            id="decision-scope"
+                            disabled={addDecisionInProgress}
+                            className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                            value={newDecision.decision_scope}
+                            onChange={e => setNewDecision({ ...newDecision, decision_scope: e.target.value as DecisionScope })}
+                        >
+                            {DECISION_SCOPES.map((scope) => (
+                                <option key={scope} value={scope}>{t(`pages.decisions.scopes.${scope}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="decision-value" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">{t('tableColumns.source')}</label>
                         <input
+                            id="decision-value"
                             type="text"
                             required
                             disabled={addDecisionInProgress}
                             className="block w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md shadow-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-                            placeholder="1.2.3.4"
-                            value={newDecision.ip}
-                            onChange={e => setNewDecision({ ...newDecision, ip: e.target.value })}
+                            placeholder={DECISION_VALUE_PLACEHOLDERS[newDecision.decision_scope ?? 'ip']}
+                            value={newDecision.value}
+                            onChange={e => setNewDecision({ ...newDecision, value: e.target.value })}
                         />
                     </div>
                     <div>
@@ -1513,6 +1680,46 @@ export function Decisions() {
                     </div>
                 </form>
             </Modal>
+            <ImportDecisionsModal
+                isOpen={showImportModal}
+                target={operationTarget}
+                onClose={() => setShowImportModal(false)}
+                onImported={() => loadDecisions({ page: 1, refreshConfig: true })}
+            />
+            <EditDecisionsModal
+                isOpen={editingDecisions !== null}
+                decisions={editingDecisions || []}
+                useInstanceRefs={multipleInstances}
+                onClose={() => setEditingDecisions(null)}
+                onEdited={() => {
+                    setSelectedDecisionIds([]);
+                    return loadDecisions({ page: 1, refreshConfig: true });
+                }}
+            />
+            <AllowlistValueModal
+                isOpen={allowlistTarget !== null}
+                value={allowlistTarget?.value || ''}
+                instanceId={allowlistTarget?.instanceId}
+                onClose={() => setAllowlistTarget(null)}
+                onAllowlisted={() => loadDecisions({ page: 1, refreshConfig: true })}
+            />
+            <Modal
+                isOpen={annotationTarget !== null}
+                onClose={() => setAnnotationTarget(null)}
+                title={annotationTarget ? t('components.annotation.decisionTitle', { id: annotationTarget.id }) : t('components.annotation.title')}
+                maxWidth="max-w-2xl"
+            >
+                {annotationTarget && (
+                    <AnnotationPanel
+                        key={`${annotationTarget.instance_id || 'default'}:${annotationTarget.id}`}
+                        target="decision"
+                        instanceId={annotationTarget.instance_id || 'default'}
+                        id={annotationTarget.id}
+                        canEdit={canManageEnforcement}
+                        onChange={handleAnnotationChange}
+                    />
+                )}
+            </Modal>
             <SearchSyntaxModal
                 help={searchHelp}
                 searchFeatures={searchValidationFeatures}
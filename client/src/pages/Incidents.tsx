@@ -0,0 +1,672 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertCircle, ExternalLink, Gavel, Layers, Loader2, Save, Trash2, X } from 'lucide-react';
+
+import { TRIAGE_STATUSES } from '../../../shared/contracts';
+import {
+  fetchConfig,
+  fetchIncident,
+  fetchIncidents,
+  runIncidentAction,
+  updateIncident,
+  updateIncidentSettings,
+} from '../lib/api';
+import { useRefresh } from '../contexts/useRefresh';
+import { useOptionalToast } from '../contexts/useToast';
+import { Badge } from '../components/ui/Badge';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
+import { Modal } from '../components/ui/Modal';
+import { ScenarioName } from '../components/ScenarioName';
+import { TimeDisplay } from '../components/TimeDisplay';
+import { TriageStatusBadge } from '../components/AnnotationPanel';
+import { useI18n } from '../lib/i18n';
+import type {
+  IncidentAction,
+  IncidentActionResponse,
+  IncidentDetail,
+  IncidentGroupBy,
+  IncidentListResponse,
+  IncidentSettings,
+  IncidentSummary,
+  TriageStatus,
+} from '../types';
+
+type IncidentsState =
+  | { status: 'loading' }
+  | { status: 'error'; message: string }
+  | { status: 'ready'; data: IncidentListResponse };
+
+type IncidentDetailState =
+  | { status: 'loading' }
+  | { status: 'error'; message: string }
+  | { status: 'ready'; data: IncidentDetail };
+
+const PAGE_SIZE = 50;
+const OPEN_STATUSES = 'new,acknowledged';
+const BAN_DURATIONS = ['4h', '24h', '7d'] as const;
+const GROUP_BY_OPTIONS: IncidentGroupBy[] = ['source', 'as'];
+
+const FIELD_CLASS_NAME = 'block w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 shadow-sm focus:border-primary-500 focus:ring-primary-500 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100';
+const PRIMARY_BUTTON_CLASS_NAME = 'inline-flex items-center gap-2 rounded-md bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-50';
+const SECONDARY_BUTTON_CLASS_NAME = 'inline-flex items-center gap-2 rounded-md border border-gray-300 bg-white px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600';
+
+function getErrorMessage(error: unknown, fallback: string): string {
+  return error instanceof Error ? error.message : fallback;
+}
+
+function IncidentGroupName({ incident }: { incident: IncidentSummary }) {
+  if (incident.kind === 'as') {
+    return (
+      <span>
+        <span className="font-mono">AS{incident.value}</span>
+        {incident.label && <span className="ml-2 text-gray-500 dark:text-gray-400">{incident.label}</span>}
+      </span>
+    );
+  }
+  return (
+    <Link to={`/ip/${encodeURIComponent(incident.value)}`} className="font-mono text-primary-600 hover:underline dark:text-primary-400">
+      {incident.value}
+    </Link>
+  );
+}
+
+function IncidentSettingsCard({
+  settings,
+  canManage,
+  onSave,
+}: {
+  settings: IncidentSettings;
+  canManage: boolean;
+  onSave: (settings: IncidentSettings) => Promise<void>;
+}) {
+  const { t } = useI18n();
+  const [groupBy, setGroupBy] = useState<IncidentGroupBy>(settings.group_by);
+  const [windowMinutes, setWindowMinutes] = useState(String(settings.window_minutes));
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({ group_by: groupBy, window_minutes: Number.parseInt(windowMinutes, 10) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const disabled = !canManage || saving;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>{t('pages.incidents.settings.title')}</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600 dark:text-gray-400">{t('pages.incidents.settings.description')}</p>
+        <div className="grid gap-3 md:grid-cols-[16rem_12rem_auto] md:items-end">
+          <div>
+            <label htmlFor="incident-group-by" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.settings.groupBy')}</label>
+            <select
+              id="incident-group-by"
+              className={FIELD_CLASS_NAME}
+              value={groupBy}
+              disabled={disabled}
+              onChange={(event) => setGroupBy(event.target.value as IncidentGroupBy)}
+            >
+              {GROUP_BY_OPTIONS.map((option) => (
+                <option key={option} value={option}>{t(`pages.incidents.settings.groupByOptions.${option}`)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="incident-window" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.settings.window')}</label>
+            <input
+              id="incident-window"
+              type="number"
+              min={5}
+              step={5}
+              className={FIELD_CLASS_NAME}
+              value={windowMinutes}
+              disabled={disabled}
+              onChange={(event) => setWindowMinutes(event.target.value)}
+            />
+          </div>
+          {canManage && (
+            <button type="button" onClick={() => void handleSave()} disabled={disabled} className={PRIMARY_BUTTON_CLASS_NAME}>
+              {saving ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+              {t('pages.incidents.settings.save')}
+            </button>
+          )}
+        </div>
+        {!canManage && <p className="text-sm text-gray-500 dark:text-gray-400">{t('pages.incidents.settings.readOnly')}</p>}
+      </CardContent>
+    </Card>
+  );
+}
+
+/** Callers key the panel by incident so switching incidents starts from a fresh load. */
+function IncidentDetailPanel({
+  id,
+  canManage,
+  refreshSignal,
+  onChange,
+  onClose,
+}: {
+  id: number;
+  canManage: boolean;
+  refreshSignal: number;
+  onChange: () => Promise<void>;
+  onClose: () => void;
+}) {
+  const { t } = useI18n();
+  const toast = useOptionalToast();
+  const [state, setState] = useState<IncidentDetailState>({ status: 'loading' });
+  const [status, setStatus] = useState<TriageStatus>('new');
+  const [assignee, setAssignee] = useState('');
+  const [duration, setDuration] = useState<(typeof BAN_DURATIONS)[number]>('4h');
+  const [busy, setBusy] = useState<'save' | IncidentAction | null>(null);
+  const [confirmCleanup, setConfirmCleanup] = useState(false);
+
+  const load = useCallback(async (background = false) => {
+    if (!background) setState({ status: 'loading' });
+    try {
+      const data = await fetchIncident(id);
+      setState({ status: 'ready', data });
+      if (!background) {
+        setStatus(data.status);
+        setAssignee(data.assignee || '');
+      }
+    } catch (error: unknown) {
+      setState({ status: 'error', message: getErrorMessage(error, t('pages.incidents.fetchFailed')) });
+    }
+  }, [id, t]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      void load();
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      if (state.status === 'ready') {
+        void load(true);
+      }
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load, refreshSignal, state.status]);
+
+  const handleSave = async () => {
+    setBusy('save');
+    try {
+      await updateIncident(id, { status, assignee: assignee.trim() || null });
+      toast?.addToast(t('pages.incidents.saved'), 'success');
+      await Promise.all([load(true), onChange()]);
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, t('pages.incidents.saveFailed')), 'danger');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const reportResponse = (action: IncidentAction, response: IncidentActionResponse) => {
+    const failures = response.results.filter((result) => !result.success);
+    if (failures.length > 0) {
+      toast?.addToast(failures.map((failure) => `${failure.instance_name}: ${failure.error}`).join('; '), 'danger');
+    } else {
+      toast?.addToast(t(action === 'ban' ? 'pages.incidents.banned' : 'pages.incidents.cleanedUp', { count: response.sources }), 'success');
+    }
+  };
+
+  const runAction = async (action: IncidentAction) => {
+    setBusy(action);
+    try {
+      const response = await runIncidentAction(id, action === 'ban' ? { action, duration, type: 'ban' } : { action });
+      reportResponse(action, response);
+      setConfirmCleanup(false);
+      await Promise.all([load(true), onChange()]);
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, t('pages.incidents.actionFailed')), 'danger');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (state.status === 'loading') {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center text-gray-500 dark:text-gray-400">{t('app.loading')}</CardContent>
+      </Card>
+    );
+  }
+
+  if (state.status === 'error') {
+    return (
+      <Card>
+        <CardContent>
+          <div role="alert" className="flex items-center gap-2 text-red-700 dark:text-red-300">
+            <AlertCircle size={16} className="shrink-0" />
+            <span className="text-sm">{state.message}</span>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const { data } = state;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between gap-4">
+        <div className="min-w-0 space-y-1">
+          <CardTitle className="flex flex-wrap items-center gap-2">
+            {t('pages.incidents.detailTitle', { id: data.id })}
+            <IncidentGroupName incident={data} />
+            <TriageStatusBadge status={data.status} />
+          </CardTitle>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            <TimeDisplay timestamp={data.first_seen} /> – <TimeDisplay timestamp={data.last_seen} />
+          </p>
+        </div>
+        <button type="button" onClick={onClose} aria-label={t('pages.incidents.closeDetail')} className="rounded-md p-1 text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700">
+          <X size={16} />
+        </button>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <dl className="grid gap-4 text-sm sm:grid-cols-2 xl:grid-cols-4">
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">{t('pages.incidents.columns.alerts')}</dt>
+            <dd className="text-lg font-semibold text-gray-900 dark:text-white">{data.alert_count.toLocaleString()}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">{t('pages.incidents.columns.events')}</dt>
+            <dd className="text-lg font-semibold text-gray-900 dark:text-white">{data.event_count.toLocaleString()}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">{t('pages.incidents.columns.sources')}</dt>
+            <dd className="text-lg font-semibold text-gray-900 dark:text-white">{data.source_count.toLocaleString()}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">{t('pages.incidents.columns.instances')}</dt>
+            <dd className="flex flex-wrap gap-1">
+              {data.instances.map((instance) => <Badge key={instance} variant="secondary">{instance}</Badge>)}
+            </dd>
+          </div>
+        </dl>
+
+        <div className="grid gap-4 text-sm lg:grid-cols-3">
+          <div className="space-y-1">
+            <h3 className="font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.scenarios')}</h3>
+            {data.scenarios.map((scenario) => <div key={scenario}><ScenarioName name={scenario} /></div>)}
+          </div>
+          <div className="space-y-1">
+            <h3 className="font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.targets')}</h3>
+            <div className="flex flex-wrap gap-1">
+              {data.targets.length > 0
+                ? data.targets.map((target) => <Badge key={target} variant="outline">{target}</Badge>)
+                : <span className="text-gray-500 dark:text-gray-400">-</span>}
+            </div>
+          </div>
+          <div className="space-y-1">
+            <h3 className="font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.sourceList')}</h3>
+            <div className="flex flex-wrap gap-2">
+              {data.sources.map((source) => (
+                <Link key={source} to={`/ip/${encodeURIComponent(source)}`} className="font-mono text-primary-600 hover:underline dark:text-primary-400">
+                  {source}
+                </Link>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {canManage && (
+          <div className="space-y-3 rounded-lg border border-gray-200 p-4 dark:border-gray-700">
+            <div className="grid gap-3 md:grid-cols-[12rem_16rem_auto] md:items-end">
+              <div>
+                <label htmlFor="incident-status" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.columns.status')}</label>
+                <select
+                  id="incident-status"
+                  className={FIELD_CLASS_NAME}
+                  value={status}
+                  disabled={busy !== null}
+                  onChange={(event) => setStatus(event.target.value as TriageStatus)}
+                >
+                  {TRIAGE_STATUSES.map((option) => (
+                    <option key={option} value={option}>{t(`components.annotation.statuses.${option}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="incident-assignee" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.columns.assignee')}</label>
+                <input
+                  id="incident-assignee"
+                  type="text"
+                  maxLength={128}
+                  className={FIELD_CLASS_NAME}
+                  value={assignee}
+                  placeholder={t('pages.incidents.unassigned')}
+                  disabled={busy !== null}
+                  onChange={(event) => setAssignee(event.target.value)}
+                />
+              </div>
+              <button type="button" onClick={() => void handleSave()} disabled={busy !== null} className={PRIMARY_BUTTON_CLASS_NAME}>
+                {busy === 'save' ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+                {t('pages.incidents.save')}
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <label htmlFor="incident-ban-duration" className="sr-only">{t('pages.ipProfile.duration')}</label>
+              <select
+                id="incident-ban-duration"
+                value={duration}
+                disabled={busy !== null}
+                onChange={(event) => setDuration(event.target.value as (typeof BAN_DURATIONS)[number])}
+                className="rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+              >
+                {BAN_DURATIONS.map((option) => <option key={option} value={option}>{option}</option>)}
+              </select>
+              <button
+                type="button"
+                onClick={() => void runAction('ban')}
+                disabled={busy !== null || data.sources.length === 0}
+                className={SECONDARY_BUTTON_CLASS_NAME}
+              >
+                {busy === 'ban' ? <Loader2 size={16} className="animate-spin" /> : <Gavel size={16} />}
+                {t('pages.incidents.banSources', { count: data.sources.length })}
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmCleanup(true)}
+                disabled={busy !== null || data.sources.length === 0}
+                className="inline-flex items-center gap-2 rounded-md border border-red-200 bg-white px-3 py-2 text-sm font-medium text-red-600 hover:bg-red-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-red-900/50 dark:bg-gray-700 dark:text-red-400 dark:hover:bg-red-900/20"
+              >
+                <Trash2 size={16} />
+                {t('pages.incidents.cleanupSources')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.timeline')}</h3>
+          {data.alerts_truncated && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.ipProfile.truncated', { count: data.alerts.length })}</p>
+          )}
+          {data.alerts.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">{t('pages.incidents.noAlerts')}</p>
+          ) : (
+            <ol className="space-y-3">
+              {data.alerts.map((alert) => (
+                <li key={`${alert.instance_id}:${alert.id}`} className="flex flex-wrap items-start gap-4 border-l-2 border-primary-200 pl-4 dark:border-primary-800">
+                  <TimeDisplay timestamp={alert.created_at} className="w-32 shrink-0" />
+                  <div className="min-w-0 flex-1 space-y-1">
+                    <ScenarioName name={alert.scenario} simulated={alert.simulated === true} />
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {[alert.source?.ip || alert.source?.value || alert.source?.range, alert.target, alert.instance_name].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  <Link
+                    to={`/alerts?${new URLSearchParams({ id: String(alert.id), instance: alert.instance_id || 'default' }).toString()}`}
+                    className="inline-flex items-center gap-1 text-sm text-primary-600 hover:underline dark:text-primary-400"
+                  >
+                    {t('tableColumns.view')}
+                    <ExternalLink size={12} />
+                  </Link>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </CardContent>
+
+      <Modal
+        isOpen={confirmCleanup}
+        onClose={() => {
+          if (busy === null) setConfirmCleanup(false);
+        }}
+        title={t('pages.incidents.cleanupSources')}
+        maxWidth="max-w-sm"
+        showCloseButton={false}
+      >
+        <p className="mb-6 text-gray-600 dark:text-gray-300">
+          {t('pages.incidents.cleanupConfirm', { count: data.sources.length })} {t('common.actionCannotBeUndone')}
+        </p>
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={() => setConfirmCleanup(false)} disabled={busy !== null} className={SECONDARY_BUTTON_CLASS_NAME}>
+            {t('common.cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={() => void runAction('cleanup')}
+            disabled={busy !== null}
+            className="rounded-md border border-transparent bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {busy === 'cleanup' ? t('common.deleting') : t('common.delete')}
+          </button>
+        </div>
+      </Modal>
+    </Card>
+  );
+}
+
+export function Incidents() {
+  const { t } = useI18n();
+  const { refreshSignal } = useRefresh();
+  const toast = useOptionalToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [statusFilter, setStatusFilter] = useState(OPEN_STATUSES);
+  const [page, setPage] = useState(1);
+  const [state, setState] = useState<IncidentsState>({ status: 'loading' });
+  const [canManageEnforcement, setCanManageEnforcement] = useState(false);
+  const [canManageSettings, setCanManageSettings] = useState(false);
+  const selectedId = Number.parseInt(searchParams.get('id') || '', 10);
+
+  const load = useCallback(async (background = false) => {
+    if (!background) setState({ status: 'loading' });
+
+    try {
+      const [config, data] = await Promise.all([
+        fetchConfig(),
+        fetchIncidents(page, PAGE_SIZE, { status: statusFilter }),
+      ]);
+      setCanManageEnforcement(config.permissions?.can_manage_enforcement !== false);
+      setCanManageSettings(config.permissions?.can_manage_settings !== false);
+      setState({ status: 'ready', data });
+    } catch (error: unknown) {
+      setState({ status: 'error', message: getErrorMessage(error, t('pages.incidents.fetchFailed')) });
+    }
+  }, [page, statusFilter, t]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      void load();
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      if (state.status === 'ready') {
+        void load(true);
+      }
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load, refreshSignal, state.status]);
+
+  const selectIncident = (id: number | null) => {
+    const next = new URLSearchParams(searchParams);
+    if (id === null) next.delete('id');
+    else next.set('id', String(id));
+    setSearchParams(next);
+  };
+
+  const handleSaveSettings = async (settings: IncidentSettings) => {
+    try {
+      await updateIncidentSettings(settings);
+      toast?.addToast(t('pages.incidents.settings.saved'), 'success');
+      await load(true);
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, t('pages.incidents.settings.saveFailed')), 'danger');
+    }
+  };
+
+  if (state.status === 'loading') {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center text-gray-500 dark:text-gray-400">{t('app.loading')}</CardContent>
+      </Card>
+    );
+  }
+
+  if (state.status === 'error') {
+    return (
+      <Card>
+        <CardContent>
+          <div role="alert" className="flex items-center gap-2 text-red-700 dark:text-red-300">
+            <AlertCircle size={16} className="shrink-0" />
+            <span className="text-sm">{state.message}</span>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const { data: incidents, pagination, settings } = state.data;
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardContent className="space-y-4 p-4 sm:p-6">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {t(`pages.incidents.description.${settings.group_by}`, { minutes: settings.window_minutes })}
+          </p>
+          <div className="grid gap-3 md:grid-cols-[16rem_1fr] md:items-end">
+            <div>
+              <label htmlFor="incident-status-filter" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">{t('pages.incidents.columns.status')}</label>
+              <select
+                id="incident-status-filter"
+                className={FIELD_CLASS_NAME}
+                value={statusFilter}
+                onChange={(event) => {
+                  setStatusFilter(event.target.value);
+                  setPage(1);
+                }}
+              >
+                <option value={OPEN_STATUSES}>{t('pages.incidents.filters.open')}</option>
+                <option value="">{t('pages.incidents.filters.all')}</option>
+                {TRIAGE_STATUSES.map((status) => (
+                  <option key={status} value={status}>{t(`components.annotation.statuses.${status}`)}</option>
+                ))}
+              </select>
+            </div>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {pagination.total !== pagination.unfiltered_total
+                ? t('pages.incidents.summaryFiltered', { total: pagination.total, unfiltered: pagination.unfiltered_total })
+                : t('pages.incidents.summary', { total: pagination.total })}
+            </span>
+          </div>
+        </CardContent>
+      </Card>
+
+      {Number.isSafeInteger(selectedId) && (
+        <IncidentDetailPanel
+          key={selectedId}
+          id={selectedId}
+          canManage={canManageEnforcement}
+          refreshSignal={refreshSignal}
+          onChange={() => load(true)}
+          onClose={() => selectIncident(null)}
+        />
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Layers className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+            {t('pages.incidents.tableTitle')}
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {incidents.length === 0 ? (
+            <div className="rounded-lg border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500 dark:border-gray-700 dark:text-gray-400">
+              {t('pages.incidents.empty')}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700" aria-label={t('pages.incidents.tableTitle')}>
+                <thead>
+                  <tr className="text-left text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                    <th className="px-4 py-2">{t('pages.incidents.columns.group')}</th>
+                    <th className="px-4 py-2">{t('pages.incidents.columns.status')}</th>
+                    <th className="px-4 py-2">{t('pages.incidents.columns.assignee')}</th>
+                    <th className="px-4 py-2">{t('pages.incidents.columns.lastSeen')}</th>
+                    <th className="px-4 py-2">{t('pages.incidents.columns.alerts')}</th>
+                    <th className="px-4 py-2">{t('pages.incidents.columns.sources')}</th>
+                    <th className="px-4 py-2">{t('pages.incidents.scenarios')}</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 text-sm dark:divide-gray-800">
+                  {incidents.map((incident) => (
+                    <tr
+                      key={incident.id}
+                      className={`align-top text-gray-700 dark:text-gray-300 ${incident.id === selectedId ? 'bg-primary-50 dark:bg-primary-900/20' : ''}`}
+                    >
+                      <td className="px-4 py-2"><IncidentGroupName incident={incident} /></td>
+                      <td className="px-4 py-2"><TriageStatusBadge status={incident.status} /></td>
+                      <td className="px-4 py-2">{incident.assignee || <span className="text-gray-400">{t('pages.incidents.unassigned')}</span>}</td>
+                      <td className="px-4 py-2"><TimeDisplay timestamp={incident.last_seen} /></td>
+                      <td className="px-4 py-2">{incident.alert_count.toLocaleString()}</td>
+                      <td className="px-4 py-2">{incident.source_count.toLocaleString()}</td>
+                      <td className="px-4 py-2">
+                        <div className="flex max-w-md flex-wrap gap-1">
+                          {incident.scenarios.map((scenario) => <Badge key={scenario} variant="outline">{scenario}</Badge>)}
+                        </div>
+                      </td>
+                      <td className="px-4 py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => selectIncident(incident.id)}
+                          className="text-primary-600 hover:underline dark:text-primary-400"
+                        >
+                          {t('tableColumns.view')}
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {pagination.total_pages > 1 && (
+            <div className="mt-4 flex items-center justify-end gap-3 text-sm text-gray-500 dark:text-gray-400">
+              <span>{t('pages.incidents.pageOf', { page: pagination.page, pages: pagination.total_pages })}</span>
+              <button type="button" onClick={() => setPage(pagination.page - 1)} disabled={pagination.page <= 1} className={SECONDARY_BUTTON_CLASS_NAME}>
+                {t('pages.incidents.previousPage')}
+              </button>
+              <button
+                type="button"
+                onClick={() => setPage(pagination.page + 1)}
+                disabled={pagination.page >= pagination.total_pages}
+                className={SECONDARY_BUTTON_CLASS_NAME}
+              >
+                {t('pages.incidents.nextPage')}
+              </button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <IncidentSettingsCard
+        key={`${settings.group_by}-${settings.window_minutes}`}
+        settings={settings}
+        canManage={canManageSettings}
+        onSave={handleSaveSettings}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,570 @@
+import { useCallback, useEffect, useState } from 'react';
+import type { ReactNode } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  AlertCircle,
+  Bot,
+  CalendarClock,
+  CalendarDays,
+  ExternalLink,
+  Gavel,
+  Globe,
+  History,
+  Loader2,
+  Repeat,
+  Server,
+  Shield,
+  ShieldBan,
+  Target,
+  Trash2,
+} from 'lucide-react';
+import type { LucideIcon } from 'lucide-react';
+
+import { addDecision, cleanupByIp, fetchConfig, fetchIpProfile } from '../lib/api';
+import { useRefresh } from '../contexts/useRefresh';
+import { useOptionalToast } from '../contexts/useToast';
+import { Badge } from '../components/ui/Badge';
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
+import { Modal } from '../components/ui/Modal';
+import { CountryFlag } from '../components/CountryFlag';
+import { ScenarioName } from '../components/ScenarioName';
+import { StatCard } from '../components/StatCard';
+import { TimeDisplay } from '../components/TimeDisplay';
+import { getDecisionExpirationState } from '../lib/decisionExpiration';
+import { getCountryName } from '../lib/utils';
+import { useI18n } from '../lib/i18n';
+import type {
+  AddDecisionRequest,
+  DecisionListItem,
+  InstanceOperationResult,
+  IpProfileCount,
+  IpProfileResponse,
+  MultiInstanceOperationResponse,
+} from '../types';
+
+type IpProfileState =
+  | { status: 'loading' }
+  | { status: 'error'; message: string }
+  | { status: 'ready'; data: IpProfileResponse };
+
+type IpProfileAction = 'ban' | 'extend' | 'cleanup';
+
+const BAN_DURATION_MINUTES = {
+  '4h': 4 * 60,
+  '24h': 24 * 60,
+  '7d': 7 * 24 * 60,
+} as const;
+
+type BanDuration = keyof typeof BAN_DURATION_MINUTES;
+
+function getErrorMessage(error: unknown, fallback: string): string {
+  return error instanceof Error ? error.message : fallback;
+}
+
+function quoteSearchValue(value: string): string {
+  return /^[^\s()"]+$/.test(value) ? value : `"${value.replace(/"/g, '')}"`;
+}
+
+function buildSearchHref(page: 'alerts' | 'decisions', value: string, field?: string, fieldValue?: string): string {
+  const clauses = [`ip:${quoteSearchValue(value)}`];
+  if (field && fieldValue) clauses.push(`${field}:${quoteSearchValue(fieldValue)}`);
+  return `/${page}?${new URLSearchParams({ q: clauses.join(' AND ') }).toString()}`;
+}
+
+/**
+ * CrowdSec has no way to lengthen an existing decision, so extending adds a new
+ * ban that lasts for the remaining time of the longest active one plus the
+ * chosen extension. The older decision then simply expires underneath it.
+ */
+function getExtendedDuration(decisions: DecisionListItem[], extension: BanDuration, nowMs: number): string | null {
+  const latestExpiryMs = Math.max(0, ...decisions.map((decision) => getDecisionExpirationState(decision, nowMs).expiresAtMs ?? 0));
+  if (latestExpiryMs <= nowMs) return null;
+  return `${Math.ceil((latestExpiryMs - nowMs) / 60_000) + BAN_DURATION_MINUTES[extension]}m`;
+}
+
+function getFailedInstances(results: InstanceOperationResult[] | undefined): { succeeded: string[]; failed: string[] } | null {
+  const failed = (results || []).filter((result) => !result.success);
+  if (failed.length === 0) return null;
+  return {
+    succeeded: (results || []).filter((result) => result.success).map((result) => result.instance_name),
+    failed: failed.map((result) => result.instance_name),
+  };
+}
+
+function toStatItems(counts: IpProfileCount[]) {
+  return counts.map((entry) => ({ label: entry.value, value: entry.value, count: entry.count }));
+}
+
+function ProfileTile({ title, value, detail, icon: Icon }: { title: string; value: ReactNode; detail?: ReactNode; icon: LucideIcon }) {
+  return (
+    <Card>
+      <CardContent className="flex min-h-28 items-center gap-4 p-4 sm:p-5">
+        <div className="flex h-11 w-11 shrink-0 items-center justify-center rounded-lg bg-primary-50 text-primary-600 dark:bg-primary-900/30 dark:text-primary-400">
+          <Icon className="h-5 w-5" />
+        </div>
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-500 dark:text-gray-400">{title}</p>
+          <div className="mt-1 truncate text-2xl font-bold text-gray-900 dark:text-white">{value}</div>
+          {detail && <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">{detail}</div>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function EmptyState({ message }: { message: string }) {
+  return (
+    <div className="rounded-lg border border-dashed border-gray-200 p-6 text-center text-sm text-gray-500 dark:border-gray-700 dark:text-gray-400">
+      {message}
+    </div>
+  );
+}
+
+function DecisionTable({ decisions, emptyMessage }: { decisions: DecisionListItem[]; emptyMessage: string }) {
+  const { t } = useI18n();
+
+  if (decisions.length === 0) return <EmptyState message={emptyMessage} />;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+        <thead>
+          <tr className="text-left text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+            <th className="px-4 py-2">{t('tableColumns.time')}</th>
+            <th className="px-4 py-2">{t('tableColumns.value')}</th>
+            <th className="px-4 py-2">{t('tableColumns.action')}</th>
+            <th className="px-4 py-2">{t('tableColumns.scenario')}</th>
+            <th className="px-4 py-2">{t('tableColumns.origin')}</th>
+            <th className="px-4 py-2">{t('tableColumns.expiration')}</th>
+            <th className="px-4 py-2">{t('tableColumns.instance')}</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100 dark:divide-gray-700/50">
+          {decisions.map((decision) => (
+            <tr key={`${decision.instance_id}:${decision.id}`} className="text-sm text-gray-900 dark:text-gray-100">
+              <td className="px-4 py-2"><TimeDisplay timestamp={decision.created_at} /></td>
+              <td className="px-4 py-2 font-mono">{decision.value}</td>
+              <td className="px-4 py-2"><Badge variant={decision.expired ? 'secondary' : 'danger'}>{decision.detail.action || decision.detail.type}</Badge></td>
+              <td className="px-4 py-2"><ScenarioName name={decision.scenario} /></td>
+              <td className="px-4 py-2">{decision.detail.origin}</td>
+              <td className="px-4 py-2">
+                {decision.expired ? t('pages.decisions.expired') : getDecisionExpirationState(decision).label}
+              </td>
+              <td className="px-4 py-2">{decision.instance_name || decision.instance_id}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export function IpProfile() {
+  const { t, language } = useI18n();
+  const { refreshSignal } = useRefresh();
+  const toast = useOptionalToast();
+  const navigate = useNavigate();
+  const value = (useParams().value || '').trim();
+  const [state, setState] = useState<IpProfileState>({ status: 'loading' });
+  const [canManageEnforcement, setCanManageEnforcement] = useState(false);
+  const [multipleInstances, setMultipleInstances] = useState(false);
+  const [duration, setDuration] = useState<BanDuration>('4h');
+  const [actionInProgress, setActionInProgress] = useState<IpProfileAction | null>(null);
+  const [confirmCleanup, setConfirmCleanup] = useState(false);
+
+  const load = useCallback(async (background = false) => {
+    if (!background) setState({ status: 'loading' });
+
+    try {
+      const [config, data] = await Promise.all([fetchConfig(), fetchIpProfile(value)]);
+      setCanManageEnforcement(config.permissions?.can_manage_enforcement !== false);
+      setMultipleInstances((config.instances?.length || 0) > 1);
+      setState({ status: 'ready', data });
+    } catch (error: unknown) {
+      setState({ status: 'error', message: getErrorMessage(error, t('pages.ipProfile.fetchFailed')) });
+    }
+  }, [t, value]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      void load();
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load]);
+
+  useEffect(() => {
+    const timeoutId = window.setTimeout(() => {
+      if (state.status === 'ready') {
+        void load(true);
+      }
+    }, 0);
+
+    return () => window.clearTimeout(timeoutId);
+  }, [load, refreshSignal, state.status]);
+
+  const reportFailures = useCallback((results: InstanceOperationResult[] | undefined): boolean => {
+    const failures = getFailedInstances(results);
+    if (!failures) return false;
+    toast?.addToast(t('pages.ipProfile.partialFailure', {
+      succeeded: failures.succeeded.join(', ') || '-',
+      failed: failures.failed.join(', '),
+    }), 'danger');
+    return true;
+  }, [t, toast]);
+
+  const runDecisionAction = async (action: 'ban' | 'extend') => {
+    if (state.status !== 'ready') return;
+    const decisionDuration = action === 'ban'
+      ? duration
+      : getExtendedDuration(state.data.active_decisions, duration, Date.now());
+    if (!decisionDuration) return;
+
+    const request: AddDecisionRequest = {
+      value,
+      decision_scope: state.data.kind,
+      duration: decisionDuration,
+      reason: 'manual',
+      type: 'ban',
+      ...(multipleInstances ? { scope: 'all' as const } : {}),
+    };
+    setActionInProgress(action);
+    try {
+      const response = await addDecision(request) as MultiInstanceOperationResponse | undefined;
+      if (!reportFailures(response?.results)) {
+        toast?.addToast(t(action === 'ban' ? 'pages.ipProfile.banned' : 'pages.ipProfile.extended', { value, duration }), 'success');
+      }
+      await load(true);
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, t('pages.decisions.addFailed')), 'danger');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  const runCleanup = async () => {
+    setActionInProgress('cleanup');
+    try {
+      const result = await cleanupByIp(multipleInstances ? { ip: value, scope: 'all' } : value);
+      if (!reportFailures(result.instance_results)) {
+        toast?.addToast(
+          result.deleted_alerts === 0 && result.deleted_decisions === 0 && result.failed.length === 0
+            ? t('pages.alerts.noAlertsOrDecisionsForIp', { ip: value })
+            : t('pages.ipProfile.cleanedUp', { alerts: result.deleted_alerts, decisions: result.deleted_decisions }),
+          result.failed.length > 0 ? 'danger' : 'success',
+        );
+      }
+      setConfirmCleanup(false);
+      await load(true);
+    } catch (error: unknown) {
+      toast?.addToast(getErrorMessage(error, t('pages.alerts.deleteIpFailed')), 'danger');
+    } finally {
+      setActionInProgress(null);
+    }
+  };
+
+  if (state.status === 'loading') {
+    return (
+      <Card>
+        <CardContent className="p-8 text-center text-gray-500 dark:text-gray-400">{t('app.loading')}</CardContent>
+      </Card>
+    );
+  }
+
+  if (state.status === 'error') {
+    return (
+      <Card>
+        <CardContent>
+          <div role="alert" className="flex items-center gap-2 text-red-700 dark:text-red-300">
+            <AlertCircle size={16} className="shrink-0" />
+            <span className="text-sm">{state.message}</span>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const { data } = state;
+  const { stats, location } = data;
+  const countryName = getCountryName(location?.country, language) || location?.country_name || location?.country;
+  const place = [location?.city, location?.region].filter(Boolean).join(', ');
+  const selectAlerts = (field: string) => (item: { value?: string }) => navigate(buildSearchHref('alerts', value, field, item.value));
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardContent className="flex flex-col gap-4 p-4 sm:p-6 lg:flex-row lg:items-center lg:justify-between">
+          <div className="min-w-0 space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <h2 className="break-all font-mono text-2xl font-bold text-gray-900 dark:text-white">{data.value}</h2>
+              <Badge variant="outline">{t(data.kind === 'range' ? 'pages.decisions.scopes.range' : 'pages.decisions.scopes.ip')}</Badge>
+              {stats.repeat_offender && (
+                <Badge variant="warning" className="gap-1">
+                  <Repeat size={12} />
+                  {t('pages.ipProfile.repeatOffender')}
+                </Badge>
+              )}
+              {stats.active_decision_count > 0 && (
+                <Badge variant="danger" className="gap-1">
+                  <ShieldBan size={12} />
+                  {t('pages.ipProfile.activeBans', { count: stats.active_decision_count })}
+                </Badge>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-4 text-sm">
+              <Link to={buildSearchHref('alerts', value)} className="inline-flex items-center gap-1 text-primary-600 hover:underline dark:text-primary-400">
+                {t('pages.ipProfile.openInAlerts')}
+              </Link>
+              <Link to={buildSearchHref('decisions', value)} className="inline-flex items-center gap-1 text-primary-600 hover:underline dark:text-primary-400">
+                {t('pages.ipProfile.openInDecisions')}
+              </Link>
+              {data.kind === 'ip' && (
+                <a
+                  href={`https://app.crowdsec.net/cti/${encodeURIComponent(data.value)}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-1 text-primary-600 hover:underline dark:text-primary-400"
+                >
+                  {t('pages.alerts.viewOnCti')}
+                  <ExternalLink size={12} />
+                </a>
+              )}
+            </div>
+          </div>
+
+          {canManageEnforcement && (
+            <div className="flex flex-wrap items-center gap-2">
+              <label htmlFor="ip-profile-duration" className="sr-only">{t('pages.ipProfile.duration')}</label>
+              <select
+                id="ip-profile-duration"
+                value={duration}
+                disabled={actionInProgress !== null}
+                onChange={(event) => setDuration(event.target.value as BanDuration)}
+                className="rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-100"
+              >
+                {Object.keys(BAN_DURATION_MINUTES).map((option) => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => void runDecisionAction('ban')}
+                disabled={actionInProgress !== null}
+                className="inline-flex items-center gap-2 rounded-md bg-primary-600 px-3 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                {actionInProgress === 'ban' ? <Loader2 size={16} className="animate-spin" /> : <Gavel size={16} />}
+                {t('pages.ipProfile.ban')}
+              </button>
+              <button
+                type="button"
+                onClick={() => void runDecisionAction('extend')}
+                disabled={actionInProgress !== null || data.active_decisions.length === 0}
+                title={data.active_decisions.length === 0 ? t('pages.ipProfile.extendUnavailable') : undefined}
+                className="inline-flex items-center gap-2 rounded-md border border-gray-300 bg-white px-3 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+              >
+                {actionInProgress === 'extend' ? <Loader2 size={16} className="animate-spin" /> : <CalendarClock size={16} />}
+                {t('pages.ipProfile.extend')}
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmCleanup(true)}
+                disabled={actionInProgress !== null}
+                className="inline-flex items-center gap-2 rounded-md border border-red-200 bg-white px-3 py-2 text-sm font-medium text-red-600 hover:bg-red-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-red-900/50 dark:bg-gray-700 dark:text-red-400 dark:hover:bg-red-900/20"
+              >
+                <Trash2 size={16} />
+                {t('pages.ipProfile.cleanup')}
+              </button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid gap-4 sm:grid-cols-2 xl:grid-cols-4">
+        <ProfileTile
+          title={t('pages.ipProfile.alerts')}
+          value={stats.alert_count.toLocaleString()}
+          detail={t('pages.ipProfile.scenarioCount', { count: stats.scenario_count })}
+          icon={AlertCircle}
+        />
+        <ProfileTile
+          title={t('pages.ipProfile.decisions')}
+          value={stats.decision_count.toLocaleString()}
+          detail={t('pages.ipProfile.activeCount', { count: stats.active_decision_count })}
+          icon={Shield}
+        />
+        <ProfileTile
+          title={t('pages.ipProfile.activeDays')}
+          value={stats.active_days.toLocaleString()}
+          detail={t('pages.ipProfile.instanceCount', { count: stats.instance_count })}
+          icon={CalendarDays}
+        />
+        <ProfileTile
+          title={t('pages.ipProfile.seen')}
+          value={<TimeDisplay timestamp={data.last_seen} className="text-base" />}
+          detail={data.first_seen ? t('pages.ipProfile.firstSeen', { time: new Date(data.first_seen).toLocaleString(language) }) : t('pages.ipProfile.neverSeen')}
+          icon={History}
+        />
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Globe className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+              {t('pages.alerts.location')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {location ? (
+              <dl className="grid grid-cols-[auto_1fr] gap-x-6 gap-y-2 text-sm">
+                <dt className="text-gray-500 dark:text-gray-400">{t('tableColumns.country')}</dt>
+                <dd className="flex items-center gap-2 text-gray-900 dark:text-gray-100">
+                  {location.country && <CountryFlag code={location.country} />}
+                  {countryName || '-'}
+                </dd>
+                <dt className="text-gray-500 dark:text-gray-400">{t('tableColumns.city')}</dt>
+                <dd className="text-gray-900 dark:text-gray-100">{place || '-'}</dd>
+                <dt className="text-gray-500 dark:text-gray-400">{t('tableColumns.as')}</dt>
+                <dd className="text-gray-900 dark:text-gray-100">
+                  {location.as_name || '-'}{location.as_number ? ` (AS${location.as_number})` : ''}
+                </dd>
+              </dl>
+            ) : (
+              <EmptyState message={t('common.noDataAvailable')} />
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Server className="h-5 w-5 text-primary-600 dark:text-primary-400" />
+              {t('pages.ipProfile.instances')}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {data.instances.length === 0 ? (
+              <EmptyState message={t('common.noDataAvailable')} />
+            ) : (
+              <ul className="space-y-2 text-sm">
+                {data.instances.map((instance) => (
+                  <li key={instance.instance_id} className="flex items-center justify-between gap-4">
+                    <span className="font-medium text-gray-900 dark:text-gray-100">{instance.instance_name}</span>
+                    <span className="text-gray-500 dark:text-gray-400">
+                      {t('pages.ipProfile.instanceSummary', { alerts: instance.alerts, decisions: instance.decisions })}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="grid gap-6 xl:grid-cols-3">
+        <StatCard
+          title={t('pages.dashboard.topScenarios')}
+          icon={AlertCircle}
+          items={toStatItems(data.scenarios)}
+          onSelect={selectAlerts('scenario')}
+          renderLabel={(item) => <ScenarioName name={item.label} showLink={true} />}
+        />
+        <StatCard title={t('pages.dashboard.topTargets')} icon={Target} items={toStatItems(data.targets)} onSelect={selectAlerts('target')} />
+        <StatCard title={t('pages.ipProfile.machines')} icon={Bot} items={toStatItems(data.machines)} onSelect={selectAlerts('machine')} />
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('pages.ipProfile.alertTimeline')}</CardTitle>
+          {data.alerts_truncated && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{t('pages.ipProfile.truncated', { count: data.alerts.length })}</p>
+          )}
+        </CardHeader>
+        <CardContent>
+          {data.alerts.length === 0 ? (
+            <EmptyState message={t('pages.ipProfile.noAlerts')} />
+          ) : (
+            <ol className="space-y-3">
+              {data.alerts.map((alert) => (
+                <li key={`${alert.instance_id}:${alert.id}`} className="flex flex-wrap items-start gap-4 border-l-2 border-primary-200 pl-4 dark:border-primary-800">
+                  <TimeDisplay timestamp={alert.created_at} className="w-32 shrink-0" />
+                  <div className="min-w-0 flex-1 space-y-1">
+                    <ScenarioName name={alert.scenario} simulated={alert.simulated === true} />
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {[alert.target, alert.machine_alias || alert.machine_id, alert.instance_name].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  {alert.decision_summary && alert.decision_summary.active_count > 0 && (
+                    <Badge variant="danger">{t('common.active')}: {alert.decision_summary.active_count}</Badge>
+                  )}
+                  <Link
+                    to={`/alerts?${new URLSearchParams({ id: String(alert.id), instance: alert.instance_id || 'default' }).toString()}`}
+                    className="inline-flex items-center gap-1 text-sm text-primary-600 hover:underline dark:text-primary-400"
+                  >
+                    {t('tableColumns.view')}
+                    <ExternalLink size={12} />
+                  </Link>
+                </li>
+              ))}
+            </ol>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('pages.ipProfile.activeDecisions')}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <DecisionTable decisions={data.active_decisions} emptyMessage={t('pages.ipProfile.noActiveDecisions')} />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t('pages.ipProfile.expiredDecisions')}</CardTitle>
+          {data.decisions_truncated && (
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {t('pages.ipProfile.truncated', { count: data.active_decisions.length + data.expired_decisions.length })}
+            </p>
+          )}
+        </CardHeader>
+        <CardContent>
+          <DecisionTable decisions={data.expired_decisions} emptyMessage={t('pages.ipProfile.noExpiredDecisions')} />
+        </CardContent>
+      </Card>
+
+      <Modal
+        isOpen={confirmCleanup}
+        onClose={() => {
+          if (actionInProgress === null) setConfirmCleanup(false);
+        }}
+        title={t('pages.ipProfile.cleanup')}
+        maxWidth="max-w-sm"
+        showCloseButton={false}
+      >
+        <p className="mb-6 text-gray-600 dark:text-gray-300">
+          {t('common.deleteIpConfirmPrefix')} <span className="font-mono text-sm font-bold">{value}</span>? {t('common.actionCannotBeUndone')}
+        </p>
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={() => setConfirmCleanup(false)}
+            disabled={actionInProgress !== null}
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-50 dark:border-gray-600 dark:bg-gray-700 dark:text-gray-200 dark:hover:bg-gray-600"
+          >
+            {t('common.cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={() => void runCleanup()}
+            disabled={actionInProgress !== null}
+            className="rounded-md border border-transparent bg-red-600 px-4 py-2 text-sm font-medium text-white hover:bg-red-700 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {actionInProgress === 'cleanup' ? t('common.deleting') : t('common.delete')}
+          </button>
+        </div>
+      </Modal>
+    </div>
+  );
+}
@@ -51,6 +51,8 @@ export function Login() {
         return t('pages.login.error.oidcOnlyPasskey');
       case 'Passkey authentication failed':
         return t('pages.login.error.passkeyAuthenticationFailed');
+      case 'This account is disabled':
+        return t('pages.login.error.accountDisabled');
       default:
         return message;
     }
@@ -15,10 +15,22 @@ import {
   Server,
   ShieldCheck,
   ShieldOff,
+  TrendingUp,
 } from 'lucide-react';
 import type { LucideIcon } from 'lucide-react';
-
-import { fetchConfig, fetchCrowdsecMetrics } from '../lib/api';
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+
+import { CROWDSEC_METRICS_HISTORY_RANGES } from '../../../shared/contracts';
+import { fetchConfig, fetchCrowdsecMetrics, fetchCrowdsecMetricsHistory } from '../lib/api';
 import { useRefresh } from '../contexts/useRefresh';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
 import { Switch } from '../components/ui/Switch';
@@ -28,6 +40,9 @@ import { useI18n } from '../lib/i18n';
 import type {
   CrowdsecMetricsApiEntity,
   CrowdsecMetricsAppsecEngine,
+  CrowdsecMetricsHistoryPoint,
+  CrowdsecMetricsHistoryRange,
+  CrowdsecMetricsHistoryResponse,
   CrowdsecMetricsLapiRoute,
   CrowdsecMetricsParserNode,
   CrowdsecMetricsParserSource,
@@ -41,9 +56,15 @@ type MetricsState =
   | { status: 'loading' }
   | { status: 'disabled' }
   | { status: 'error'; message: string }
-  | { status: 'ready'; data: CrowdsecMetricsResponse };
+  | { status: 'ready'; data: CrowdsecMetricsResponse; instanceId?: string; endpointId?: string };
+
+type MetricsHistoryState =
+  | { status: 'loading' }
+  | { status: 'error'; message: string }
+  | { status: 'ready'; data: CrowdsecMetricsHistoryResponse };
 
 const SHOW_CHILD_PARSER_NODES_STORAGE_KEY = 'crowdsec-web-ui:metrics:show-child-parser-nodes';
+const HISTORY_SERIES_COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed'];
 
 function formatNumber(value: number): string {
   return Math.round(value).toLocaleString();
@@ -61,6 +82,12 @@ function formatDuration(value: number | null, notAvailable = 'n/a'): string {
   return `${value.toFixed(2)} s`;
 }
 
+function formatRate(value: number): string {
+  if (value >= 100) return Math.round(value).toLocaleString();
+  if (value >= 1) return value.toFixed(1);
+  return value.toFixed(2);
+}
+
 function formatOptionalNumber(value: number | null): string {
   return value === null ? '-' : formatNumber(value);
 }
@@ -686,6 +713,189 @@ function AppsecEngineList({ items }: { items?: CrowdsecMetricsAppsecEngine[] })
   );
 }
 
+/** Keeps the keys with the largest summed values so per-bouncer and per-route charts stay readable. */
+function topHistoryKeys(points: CrowdsecMetricsHistoryPoint[], pick: (point: CrowdsecMetricsHistoryPoint) => Record<string, number>): string[] {
+  const totals = new Map<string, number>();
+  for (const point of points) {
+    for (const [key, value] of Object.entries(pick(point))) {
+      totals.set(key, (totals.get(key) || 0) + value);
+    }
+  }
+  return Array.from(totals.entries())
+    .sort((left, right) => right[1] - left[1])
+    .slice(0, HISTORY_SERIES_COLORS.length)
+    .map(([key]) => key);
+}
+
+function HistoryChart({
+  title,
+  points,
+  series,
+  formatValue,
+  formatTime,
+}: {
+  title: string;
+  points: CrowdsecMetricsHistoryPoint[];
+  series: Array<{ label: string; value: (point: CrowdsecMetricsHistoryPoint) => number | null | undefined }>;
+  formatValue: (value: number) => string;
+  formatTime: (time: string) => string;
+}) {
+  const { t } = useI18n();
+  // Series are keyed by position because bouncer names and routes may contain dots,
+  // which Recharts would read as nested paths.
+  const data = points.map((point) => ({
+    time: point.time,
+    ...Object.fromEntries(series.map((item, index) => [`series${index}`, item.value(point) ?? null])),
+  }));
+
+  return (
+    <div className="rounded-lg border border-gray-100 p-4 dark:border-gray-700/70">
+      <p className="text-sm font-semibold text-gray-900 dark:text-white">{title}</p>
+      {series.length === 0 ? (
+        <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">{t('pages.metrics.history.noSeries')}</p>
+      ) : (
+        <div className="mt-3 h-48">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data} margin={{ top: 4, right: 8, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" opacity={0.2} />
+              <XAxis dataKey="time" tickFormatter={formatTime} stroke="#888888" fontSize={11} tickLine={false} axisLine={false} minTickGap={24} />
+              <YAxis stroke="#888888" fontSize={11} tickLine={false} axisLine={false} width={56} tickFormatter={formatValue} />
+              <Tooltip labelFormatter={(label) => formatTime(String(label))} formatter={(value) => formatValue(Number(value))} />
+              {series.length > 1 && <Legend height={24} iconSize={8} />}
+              {series.map((item, index) => (
+                <Line
+                  key={item.label}
+                  type="monotone"
+                  dataKey={`series${index}`}
+                  name={item.label}
+                  stroke={HISTORY_SERIES_COLORS[index % HISTORY_SERIES_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MetricsHistory({ instanceId, endpointId }: { instanceId?: string; endpointId?: string }) {
+  const { t, language } = useI18n();
+  const { refreshSignal } = useRefresh();
+  const [range, setRange] = useState<CrowdsecMetricsHistoryRange>('1h');
+  const [state, setState] = useState<MetricsHistoryState>({ status: 'loading' });
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCrowdsecMetricsHistory(range, instanceId, endpointId)
+      .then((data) => {
+        if (!cancelled) setState({ status: 'ready', data });
+      })
+      .catch((error: unknown) => {
+        if (!cancelled) setState({ status: 'error', message: getErrorMessage(error, t('pages.metrics.history.fetchFailed')) });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [endpointId, instanceId, range, refreshSignal, t]);
+
+  const formatTime = useCallback((time: string) => new Date(time).toLocaleString(language, range === '7d'
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' }), [language, range]);
+  const formatRatio = useCallback((value: number) => formatPercent(value), []);
+
+  let body: ReactNode;
+  if (state.status === 'loading') {
+    body = <EmptyState message={t('app.loading')} />;
+  } else if (state.status === 'error') {
+    body = <EmptyState message={state.message} />;
+  } else if (state.data.samples < 2) {
+    body = <EmptyState message={t(state.data.interval_ms > 0 ? 'pages.metrics.history.collecting' : 'pages.metrics.history.disabled')} />;
+  } else {
+    const { points } = state.data;
+    const bouncers = topHistoryKeys(points, (point) => point.bouncerRequestsPerSecond);
+    const routes = topHistoryKeys(points, (point) => point.lapiRouteLatencySeconds);
+    body = (
+      <div className="grid gap-4 md:grid-cols-2 xl:grid-cols-3">
+        <HistoryChart
+          title={t('pages.metrics.history.linesPerSecond')}
+          points={points}
+          series={[{ label: t('pages.metrics.history.linesPerSecond'), value: (point) => point.linesPerSecond }]}
+          formatValue={formatRate}
+          formatTime={formatTime}
+        />
+        <HistoryChart
+          title={t('pages.metrics.history.parseFailureRate')}
+          points={points}
+          series={[{ label: t('pages.metrics.history.parseFailureRate'), value: (point) => point.parseFailureRate }]}
+          formatValue={formatRatio}
+          formatTime={formatTime}
+        />
+        <HistoryChart
+          title={t('pages.metrics.history.bucketPoursPerSecond')}
+          points={points}
+          series={[{ label: t('pages.metrics.history.bucketPoursPerSecond'), value: (point) => point.bucketPoursPerSecond }]}
+          formatValue={formatRate}
+          formatTime={formatTime}
+        />
+        <HistoryChart
+          title={t('pages.metrics.history.bouncerRequestsPerSecond')}
+          points={points}
+          series={bouncers.map((name) => ({ label: name, value: (point) => point.bouncerRequestsPerSecond[name] }))}
+          formatValue={formatRate}
+          formatTime={formatTime}
+        />
+        <HistoryChart
+          title={t('pages.metrics.history.lapiRouteLatency')}
+          points={points}
+          series={routes.map((route) => ({ label: route, value: (point) => point.lapiRouteLatencySeconds[route] }))}
+          formatValue={(value) => formatDuration(value)}
+          formatTime={formatTime}
+        />
+        <HistoryChart
+          title={t('pages.metrics.history.appsecBlockRate')}
+          points={points}
+          series={[{ label: t('pages.metrics.history.appsecBlockRate'), value: (point) => point.appsecBlockRate }]}
+          formatValue={formatRatio}
+          formatTime={formatTime}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <SectionHeader
+        icon={TrendingUp}
+        title={t('pages.metrics.history.title')}
+        description={t('pages.metrics.history.description')}
+        actions={(
+          <div className="flex rounded-lg bg-gray-100 p-1 dark:bg-gray-800" role="group" aria-label={t('pages.metrics.history.rangeAria')}>
+            {CROWDSEC_METRICS_HISTORY_RANGES.map((option) => (
+              <button
+                key={option}
+                type="button"
+                aria-pressed={range === option}
+                onClick={() => setRange(option)}
+                className={`rounded-md px-3 py-1 text-xs font-medium transition-all ${range === option
+                  ? 'bg-white text-gray-900 shadow-sm dark:bg-gray-700 dark:text-gray-100'
+                  : 'text-gray-500 hover:text-gray-900 dark:hover:text-gray-300'}`}
+              >
+                {t(`pages.metrics.history.ranges.${option}`)}
+              </button>
+            ))}
+          </div>
+        )}
+      />
+      <CardContent>{body}</CardContent>
+    </Card>
+  );
+}
+
 export function Metrics() {
   const { t } = useI18n();
   const { refreshSignal } = useRefresh();
@@ -756,7 +966,7 @@ export function Metrics() {
         setSearchParams(nextParams, { replace: true });
       }
       const data = await fetchCrowdsecMetrics(selectedChoice.instance.id, selectedChoice.endpoint.id);
-      setState({ status: 'ready', data });
+      setState({ status: 'ready', data, instanceId: selectedChoice.instance.id, endpointId: selectedChoice.endpoint.id });
     } catch (error: unknown) {
       setState({ status: 'error', message: getErrorMessage(error, t('pages.metrics.fetchFailed')) });
     }
@@ -844,6 +1054,8 @@ export function Metrics() {
           <MetricTile title={t('pages.metrics.parsedSuccessfully')} value={formatPercent(data.totals.parserSuccessRate, t('pages.metrics.notAvailable'))} detail={t('pages.metrics.averageDuration', { duration: formatDuration(data.totals.parserAverageSeconds, t('pages.metrics.notAvailable')) })} icon={CheckCircle2} />
         </div>
 
+        <MetricsHistory instanceId={state.instanceId} endpointId={state.endpointId} />
+
         <div className="grid gap-6 xl:grid-cols-2">
           <EntityList title={t('pages.metrics.bouncers')} icon={ShieldCheck} items={data.bouncers} emptyMessage={t('pages.metrics.emptyBouncers')} description={t('pages.metrics.bouncersDescription')} />
           <EntityList title={t('pages.metrics.machines')} icon={Bot} items={data.machines} emptyMessage={t('pages.metrics.emptyMachines')} description={t('pages.metrics.machinesDescription')} />
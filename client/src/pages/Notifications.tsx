@@ -5,41 +5,59 @@ import { Bell, Check, CheckCheck, GripVertical, Plus, Send, SendHorizontal, Squa
 import {
   bulkDeleteNotifications,
   createNotificationChannel,
+  createNotificationReport,
   createNotificationRule,
   deleteNotification,
   deleteNotificationChannel,
+  deleteNotificationReport,
   deleteNotificationRule,
   deleteReadNotifications,
   fetchNotificationsPaginated,
   fetchNotificationSettings,
+  fetchSavedSearches,
   markNotificationRead,
   markNotificationsRead,
+  sendNotificationReport,
   testNotificationChannel,
   updateNotificationChannel,
+  updateNotificationReport,
   updateNotificationRule,
   fetchConfig,
 } from '../lib/api';
 import {
+  coerceDiscordConfig,
   coerceEmailConfig,
   coerceGotifyConfig,
+  coerceMatrixConfig,
   coerceMqttConfig,
   coerceNtfyConfig,
+  coerceSlackConfig,
+  coerceTeamsConfig,
+  coerceTelegramConfig,
   coerceWebhookConfig,
   defaultChannelConfig,
   hasStoredSecret,
   STORED_SECRET_SENTINEL,
   validateNotificationChannelConfig,
+  type DiscordConfig,
   type EmailConfig,
   type GotifyConfig,
+  type MatrixConfig,
   type MqttConfig,
   type NtfyConfig,
+  type SlackConfig,
+  type TeamsConfig,
+  type TelegramConfig,
   type WebhookAuthConfig,
   type WebhookBodyConfig,
   type WebhookConfig,
   type WebhookField,
 } from '../lib/notification-config';
+import { compileAlertSearch, compileDecisionSearch } from '../../../shared/search';
+import { ALERT_ANOMALY_DIMENSIONS, NOTIFICATION_REPORT_FREQUENCIES } from '../../../shared/contracts';
+import { HighlightedSearchInput } from '../components/HighlightedSearchInput';
 import { useNotificationUnreadCount } from '../contexts/useNotificationUnreadCount';
-import { useDateTime } from '../lib/dateTime';
+import { getBrowserTimeZone, useDateTime } from '../lib/dateTime';
 import { useRefresh } from '../contexts/useRefresh';
 import { Badge } from '../components/ui/Badge';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
@@ -47,22 +65,38 @@ import { Modal } from '../components/ui/Modal';
 import { Switch } from '../components/ui/Switch';
 import { useI18n } from '../lib/i18n';
 import type {
+  AlertAnomalyDimension,
   AlertMetaValue,
+  InstanceSummary,
   NotificationChannel,
   NotificationChannelType,
   NotificationDeliveryStatus,
   NotificationItem,
+  NotificationQuietHours,
+  NotificationReport,
+  NotificationReportFrequency,
   NotificationRule,
   NotificationRuleType,
   NotificationSeverity,
+  SavedSearch,
+  UpsertNotificationReportRequest,
   UpsertNotificationRuleRequest,
 } from '../types';
 
+type QuietHoursFormState = {
+  enabled: boolean;
+  start: string;
+  end: string;
+  time_zone: string;
+};
+
 type ChannelFormState = {
   name: string;
   type: NotificationChannelType;
   enabled: boolean;
   config: Record<string, AlertMetaValue>;
+  quiet_hours: QuietHoursFormState;
+  digest: { enabled: boolean; interval_minutes: string };
 };
 
 type RuleFormState = {
@@ -71,8 +105,15 @@ type RuleFormState = {
   enabled: boolean;
   severity: NotificationSeverity;
   channel_ids: string[];
-  filters: { scenario: string; target: string; include_simulated: boolean; values: string };
+  filters: { scenario: string; target: string; include_simulated: boolean; values: string; saved_search_id: string };
   config: Record<string, string>;
+  quiet_hours: QuietHoursFormState;
+  escalation: { enabled: boolean; channel_id: string; after_minutes: string };
+};
+
+type ReportFormState = UpsertNotificationReportRequest & {
+  time_zone: string;
+  instance_id: string;
 };
 
 type ToastState = {
@@ -87,10 +128,12 @@ type NotificationDeleteAction =
 
 const RULE_DEFAULTS: Record<NotificationRuleType, Record<string, string>> = {
   'alert-spike': { window_minutes: '60', percent_increase: '100', minimum_current_alerts: '10' },
+  'alert-anomaly': { dimension: 'country', window_minutes: '60', baseline_weeks: '4', sensitivity: '3', minimum_alerts: '5', notify_new_values: 'true' },
   'alert-threshold': { window_minutes: '60', alert_threshold: '25' },
   'new-alert-decision': { window_minutes: '5', event_type: 'both' },
   'new-cve': { max_cve_age_days: '14' },
   'ip-ban': { window_minutes: '60' },
+  'search-threshold': { event_type: 'alert', query: '', window_minutes: '10', threshold: '50' },
   'application-update': {},
   'lapi-availability': { outage_threshold_seconds: '60', notify_on_recovery: 'false' },
 };
@@ -100,14 +143,18 @@ const RULE_ORDER_STORAGE_KEY = 'crowdsec-web-ui:notifications:rule-order';
 
 const RULE_TYPE_LABEL_KEYS: Record<NotificationRuleType, string> = {
   'alert-spike': 'pages.notifications.ruleTypes.alertSpike',
+  'alert-anomaly': 'pages.notifications.ruleTypes.alertAnomaly',
   'alert-threshold': 'pages.notifications.ruleTypes.alertThreshold',
   'new-alert-decision': 'pages.notifications.ruleTypes.newAlertDecision',
   'new-cve': 'pages.notifications.ruleTypes.recentCve',
   'ip-ban': 'pages.notifications.ruleTypes.ipBan',
+  'search-threshold': 'pages.notifications.ruleTypes.searchThreshold',
   'application-update': 'pages.notifications.ruleTypes.applicationUpdate',
   'lapi-availability': 'pages.notifications.ruleTypes.lapiAvailability',
 };
 
+const SEARCH_RULE_FEATURES = { machineEnabled: true, originEnabled: true };
+
 const SEVERITY_LABEL_KEYS: Record<NotificationSeverity, string> = {
   info: 'pages.notifications.severityInfo',
   warning: 'pages.notifications.severityWarning',
@@ -118,13 +165,23 @@ const DELIVERY_STATUS_LABEL_KEYS: Record<NotificationDeliveryStatus, string> = {
   delivered: 'pages.notifications.deliveryStatuses.delivered',
   failed: 'pages.notifications.deliveryStatuses.failed',
   skipped: 'pages.notifications.deliveryStatuses.skipped',
+  queued: 'pages.notifications.deliveryStatuses.queued',
 };
 
+const toQuietHoursForm = (quietHours: NotificationQuietHours | null): QuietHoursFormState => ({
+  enabled: quietHours !== null,
+  start: quietHours?.start || '22:00',
+  end: quietHours?.end || '07:00',
+  time_zone: quietHours?.time_zone || getBrowserTimeZone() || 'UTC',
+});
+
 const defaultChannelForm = (type: NotificationChannelType = 'ntfy'): ChannelFormState => ({
   name: '',
   type,
   enabled: true,
   config: cloneConfig(defaultChannelConfig(type)),
+  quiet_hours: toQuietHoursForm(null),
+  digest: { enabled: false, interval_minutes: '60' },
 });
 
 const defaultRuleForm = (type: NotificationRuleType = 'alert-spike'): RuleFormState => ({
@@ -133,8 +190,20 @@ const defaultRuleForm = (type: NotificationRuleType = 'alert-spike'): RuleFormSt
   enabled: true,
   severity: 'warning',
   channel_ids: [],
-  filters: { scenario: '', target: '', include_simulated: false, values: '' },
+  filters: { scenario: '', target: '', include_simulated: false, values: '', saved_search_id: '' },
   config: { ...RULE_DEFAULTS[type] },
+  quiet_hours: toQuietHoursForm(null),
+  escalation: { enabled: false, channel_id: '', after_minutes: '15' },
+});
+
+const defaultReportForm = (): ReportFormState => ({
+  name: '',
+  enabled: true,
+  frequency: 'weekly',
+  send_time: '08:00',
+  time_zone: getBrowserTimeZone() || 'UTC',
+  instance_id: 'all',
+  channel_ids: [],
 });
 
 function cloneConfig<T>(value: T): T {
@@ -239,6 +308,10 @@ function translateRuleType(type: NotificationRuleType, t: (key: string) => strin
   return t(RULE_TYPE_LABEL_KEYS[type]);
 }
 
+function translateReportFrequency(frequency: NotificationReportFrequency, t: (key: string) => string): string {
+  return t(`pages.notifications.reportFrequencies.${frequency}`);
+}
+
 function translateSeverity(severity: NotificationSeverity, t: (key: string) => string): string {
   return t(SEVERITY_LABEL_KEYS[severity]);
 }
@@ -283,6 +356,37 @@ function localizeNotificationText(
     }
   }
 
+  if (item.rule_type === 'alert-anomaly') {
+    const dimension = getMetadataString(item, 'dimension');
+    const value = getMetadataString(item, 'value');
+    const count = getMetadataNumber(item, 'observed_count');
+    const minutes = getMetadataNumber(item, 'window_minutes');
+    const weeks = getMetadataNumber(item, 'baseline_weeks');
+    const expectedMin = getMetadataNumber(item, 'expected_min');
+    const expectedMax = getMetadataNumber(item, 'expected_max');
+    if (dimension && value && count !== null && minutes !== null && weeks !== null && expectedMin !== null && expectedMax !== null) {
+      const label = getMetadataString(item, 'label');
+      const anomalyValues = {
+        dimension: t(`server.notifications.alertAnomaly.dimensions.${dimension}`),
+        value: label && label !== value ? `${label} (${value})` : value,
+        count,
+        minutes,
+        weeks,
+        expectedMin,
+        expectedMax,
+      };
+      return {
+        title: t('server.notifications.alertAnomaly.title', { ...titleValues, ...anomalyValues }),
+        message: t(
+          item.metadata.first_seen === true
+            ? 'server.notifications.alertAnomaly.newValueMessage'
+            : 'server.notifications.alertAnomaly.message',
+          anomalyValues,
+        ),
+      };
+    }
+  }
+
   if (item.rule_type === 'alert-threshold') {
     const count = getMetadataNumber(item, 'matched_alerts');
     const minutes = getMetadataNumber(item, 'window_minutes');
@@ -358,6 +462,24 @@ function localizeNotificationText(
     }
   }
 
+  if (item.rule_type === 'search-threshold') {
+    const count = getMetadataNumber(item, 'matched_count');
+    const minutes = getMetadataNumber(item, 'window_minutes');
+    const threshold = getMetadataNumber(item, 'threshold');
+    const query = getMetadataString(item, 'query');
+    if (count !== null && minutes !== null && threshold !== null && query) {
+      return {
+        title: t('server.notifications.searchThreshold.title', titleValues),
+        message: t(
+          getMetadataString(item, 'event_type') === 'decision'
+            ? 'server.notifications.searchThreshold.decisionsMessage'
+            : 'server.notifications.searchThreshold.alertsMessage',
+          { count, query, minutes, threshold },
+        ),
+      };
+    }
+  }
+
   if (item.rule_type === 'application-update') {
     const targetVersion = getMetadataString(item, 'remote_version');
     if (targetVersion) {
@@ -391,6 +513,10 @@ function splitIpRangeFilterValues(value: string): string[] {
   return value.split(/[\s,]+/).map((entry) => entry.trim()).filter(Boolean);
 }
 
+function buildQuietHoursPayload(form: QuietHoursFormState): NotificationQuietHours | null {
+  return form.enabled ? { start: form.start, end: form.end, time_zone: form.time_zone.trim() } : null;
+}
+
 function buildRulePayload(ruleForm: RuleFormState): UpsertNotificationRuleRequest {
   const basePayload = {
     name: ruleForm.name,
@@ -398,11 +524,16 @@ function buildRulePayload(ruleForm: RuleFormState): UpsertNotificationRuleReques
     enabled: ruleForm.enabled,
     severity: ruleForm.severity,
     channel_ids: ruleForm.channel_ids,
+    quiet_hours: buildQuietHoursPayload(ruleForm.quiet_hours),
+    escalation: ruleForm.escalation.enabled
+      ? { channel_id: ruleForm.escalation.channel_id, after_minutes: Number(ruleForm.escalation.after_minutes || '0') }
+      : null,
   } as const;
   const filters = {
     scenario: ruleForm.filters.scenario.trim(),
     target: ruleForm.filters.target.trim(),
     include_simulated: ruleForm.filters.include_simulated,
+    saved_search_id: ruleForm.filters.saved_search_id || undefined,
   };
 
   if (ruleForm.type === 'alert-spike') {
@@ -418,6 +549,24 @@ function buildRulePayload(ruleForm: RuleFormState): UpsertNotificationRuleReques
     };
   }
 
+  if (ruleForm.type === 'alert-anomaly') {
+    return {
+      ...basePayload,
+      type: 'alert-anomaly',
+      config: {
+        dimension: ALERT_ANOMALY_DIMENSIONS.includes(ruleForm.config.dimension as AlertAnomalyDimension)
+          ? ruleForm.config.dimension as AlertAnomalyDimension
+          : 'country',
+        window_minutes: Number(ruleForm.config.window_minutes || '0'),
+        baseline_weeks: Number(ruleForm.config.baseline_weeks || '0'),
+        sensitivity: Number(ruleForm.config.sensitivity || '0'),
+        minimum_alerts: Number(ruleForm.config.minimum_alerts || '0'),
+        notify_new_values: ruleForm.config.notify_new_values !== 'false',
+        filters,
+      },
+    };
+  }
+
   if (ruleForm.type === 'alert-threshold') {
     return {
       ...basePayload,
@@ -469,6 +618,19 @@ function buildRulePayload(ruleForm: RuleFormState): UpsertNotificationRuleReques
     };
   }
 
+  if (ruleForm.type === 'search-threshold') {
+    return {
+      ...basePayload,
+      type: 'search-threshold',
+      config: {
+        event_type: ruleForm.config.event_type === 'decision' ? 'decision' : 'alert',
+        query: (ruleForm.config.query || '').trim(),
+        window_minutes: Number(ruleForm.config.window_minutes || '0'),
+        threshold: Number(ruleForm.config.threshold || '0'),
+      },
+    };
+  }
+
   if (ruleForm.type === 'lapi-availability') {
     return {
       ...basePayload,
@@ -496,6 +658,8 @@ export function Notifications() {
   const { unreadCount, setUnreadCount } = useNotificationUnreadCount();
   const [channels, setChannels] = useState<NotificationChannel[]>([]);
   const [rules, setRules] = useState<NotificationRule[]>([]);
+  const [reports, setReports] = useState<NotificationReport[]>([]);
+  const [instances, setInstances] = useState<InstanceSummary[]>([]);
   const [notifications, setNotifications] = useState<NotificationItem[]>([]);
   const [channelOrder, setChannelOrder] = useState<string[]>(() => readStoredOrder(CHANNEL_ORDER_STORAGE_KEY));
   const [ruleOrder, setRuleOrder] = useState<string[]>(() => readStoredOrder(RULE_ORDER_STORAGE_KEY));
@@ -505,10 +669,13 @@ export function Notifications() {
   const [error, setError] = useState<string | null>(null);
   const [channelModalOpen, setChannelModalOpen] = useState(false);
   const [ruleModalOpen, setRuleModalOpen] = useState(false);
+  const [reportModalOpen, setReportModalOpen] = useState(false);
   const [editingChannel, setEditingChannel] = useState<NotificationChannel | null>(null);
   const [editingRule, setEditingRule] = useState<NotificationRule | null>(null);
+  const [editingReport, setEditingReport] = useState<NotificationReport | null>(null);
   const [channelForm, setChannelForm] = useState<ChannelFormState>(defaultChannelForm());
   const [ruleForm, setRuleForm] = useState<RuleFormState>(defaultRuleForm());
+  const [reportForm, setReportForm] = useState<ReportFormState>(defaultReportForm());
   const [toast, setToast] = useState<ToastState>(null);
   const [saving, setSaving] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
@@ -550,11 +717,13 @@ export function Notifications() {
     const settings = await fetchNotificationSettings();
     setChannels(settings.channels);
     setRules(settings.rules);
+    setReports(settings.reports);
   }, []);
 
   const loadPermissions = useCallback(async () => {
     const config = await fetchConfig();
     setCanManageSettings(config.permissions?.can_manage_settings !== false);
+    setInstances(config.instances || []);
   }, []);
 
   const loadNotifications = useCallback(async ({
@@ -754,6 +923,26 @@ export function Notifications() {
     setRuleModalOpen(true);
   };
 
+  const openCreateReport = () => {
+    setEditingReport(null);
+    setReportForm(defaultReportForm());
+    setReportModalOpen(true);
+  };
+
+  const openEditReport = (report: NotificationReport) => {
+    setEditingReport(report);
+    setReportForm({
+      name: report.name,
+      enabled: report.enabled,
+      frequency: report.frequency,
+      send_time: report.send_time,
+      time_zone: report.time_zone,
+      instance_id: report.instance_id,
+      channel_ids: [...report.channel_ids],
+    });
+    setReportModalOpen(true);
+  };
+
   const openEditChannel = (channel: NotificationChannel) => {
     setEditingChannel(channel);
     setChannelForm({
@@ -761,6 +950,11 @@ export function Notifications() {
       type: channel.type,
       enabled: channel.enabled,
       config: cloneConfig(channel.config),
+      quiet_hours: toQuietHoursForm(channel.quiet_hours),
+      digest: {
+        enabled: channel.digest !== null,
+        interval_minutes: String(channel.digest?.interval_minutes ?? 60),
+      },
     });
     setChannelModalOpen(true);
   };
@@ -779,12 +973,19 @@ export function Notifications() {
         target: filters?.target || '',
         include_simulated: filters?.include_simulated === true,
         values: Array.isArray(filters?.values) ? filters.values.join(', ') : '',
+        saved_search_id: filters?.saved_search_id || '',
       },
       config: Object.fromEntries(
         Object.entries(rule.config)
           .filter(([key]) => key !== 'filters')
           .map(([key, value]) => [key, String(value ?? '')]),
       ),
+      quiet_hours: toQuietHoursForm(rule.quiet_hours),
+      escalation: {
+        enabled: rule.escalation !== null,
+        channel_id: rule.escalation?.channel_id || '',
+        after_minutes: String(rule.escalation?.after_minutes ?? 15),
+      },
     });
     setRuleModalOpen(true);
   };
@@ -802,6 +1003,8 @@ export function Notifications() {
         type: channelForm.type,
         enabled: channelForm.enabled,
         config: channelForm.config,
+        quiet_hours: buildQuietHoursPayload(channelForm.quiet_hours),
+        digest: channelForm.digest.enabled ? { interval_minutes: Number(channelForm.digest.interval_minutes || '0') } : null,
       };
 
       if (editingChannel) {
@@ -837,6 +1040,35 @@ export function Notifications() {
     }
   };
 
+  const saveReport = async () => {
+    try {
+      setSaving(true);
+      const payload = { ...reportForm, name: reportForm.name.trim(), time_zone: reportForm.time_zone.trim() };
+      if (editingReport) {
+        await updateNotificationReport(editingReport.id, payload);
+      } else {
+        await createNotificationReport(payload);
+      }
+      setReportModalOpen(false);
+      await loadData({ preserveLoadedPages: true });
+    } catch (err) {
+      showToast(err instanceof Error ? err.message : t('pages.notifications.failedToSaveReport'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendReportNow = async (report: NotificationReport) => {
+    try {
+      await sendNotificationReport(report.id);
+      showToast(t('pages.notifications.reportSent', { name: report.name }), 'success');
+    } catch (err) {
+      showToast(err instanceof Error ? err.message : t('pages.notifications.failedToSendReport'));
+    } finally {
+      await loadData({ preserveLoadedPages: true });
+    }
+  };
+
   const sendTestNotification = async (channel: NotificationChannel) => {
     try {
       await testNotificationChannel(channel.id);
@@ -1070,6 +1302,33 @@ export function Notifications() {
         </ResourceCard>
       </div>
 
+      <ResourceCard
+        title={t('pages.notifications.reports')}
+        actionLabel={t('pages.notifications.addReport')}
+        onAction={openCreateReport}
+        canManageSettings={canManageSettings}
+      >
+        <p className="text-sm text-gray-500 dark:text-gray-400">{t('pages.notifications.reportsHelp')}</p>
+        {reports.length === 0
+          ? <p className="text-sm text-gray-500 dark:text-gray-400">{t('pages.notifications.noReports')}</p>
+          : (
+            <div className="space-y-4">
+              {reports.map((report) => (
+                <ReportRow
+                  key={report.id}
+                  report={report}
+                  channels={channels}
+                  instances={instances}
+                  onSend={() => void sendReportNow(report)}
+                  onEdit={() => openEditReport(report)}
+                  onDelete={() => void deleteNotificationReport(report.id).then(() => loadData({ preserveLoadedPages: true })).catch((err) => setError(err instanceof Error ? err.message : t('pages.notifications.failedToDeleteReport')))}
+                  canManageSettings={canManageSettings}
+                />
+              ))}
+            </div>
+          )}
+      </ResourceCard>
+
       <Modal
         isOpen={!!pendingDeleteAction}
         onClose={() => !deleteInProgress && setPendingDeleteAction(null)}
@@ -1127,6 +1386,17 @@ export function Notifications() {
         onSave={() => void saveRule()}
         onSetForm={setRuleForm}
       />
+      <ReportModal
+        open={reportModalOpen}
+        editingReport={editingReport}
+        form={reportForm}
+        channels={channels}
+        instances={instances}
+        saving={saving}
+        onClose={() => setReportModalOpen(false)}
+        onSave={() => void saveReport()}
+        onSetForm={setReportForm}
+      />
     </div>
   );
 }
@@ -1290,8 +1560,8 @@ function NotificationRow({
             <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.ruleWithTime', { rule: item.rule_name, time: formatDateTime(item.created_at) })}</p>
             <div className="flex flex-wrap gap-2">
               {item.deliveries.map((delivery, index) => (
-                <Badge key={`${delivery.channel_id}-${index}`} variant={delivery.status === 'delivered' ? 'success' : delivery.status === 'failed' ? 'danger' : 'warning'}>
-                  {delivery.channel_name}: {translateDeliveryStatus(delivery.status, t)}
+                <Badge key={`${delivery.channel_id}-${index}`} variant={delivery.status === 'delivered' ? 'success' : delivery.status === 'failed' ? 'danger' : delivery.status === 'queued' ? 'info' : 'warning'}>
+                  {delivery.escalation ? `${t('pages.notifications.escalated')} · ` : ''}{delivery.channel_name}: {translateDeliveryStatus(delivery.status, t)}
                 </Badge>
               ))}
             </div>
@@ -1404,6 +1674,66 @@ function RuleRow({
   );
 }
 
+function ReportRow({
+  report,
+  channels,
+  instances,
+  onSend,
+  onEdit,
+  onDelete,
+  canManageSettings,
+}: {
+  report: NotificationReport;
+  channels: NotificationChannel[];
+  instances: InstanceSummary[];
+  onSend: () => void;
+  onEdit: () => void;
+  onDelete: () => void;
+  canManageSettings: boolean;
+}) {
+  const { t } = useI18n();
+  const { formatDateTime } = useDateTime();
+  const scope = report.instance_id === 'all'
+    ? t('pages.notifications.reportAllInstances')
+    : instances.find((instance) => instance.id === report.instance_id)?.name || report.instance_id;
+
+  return (
+    <div className="rounded-xl border border-gray-200 p-4 dark:border-gray-700">
+      <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+        <div className="min-w-0 space-y-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <h3 className="font-semibold">{report.name}</h3>
+            <Badge variant={report.enabled ? 'success' : 'secondary'}>{report.enabled ? t('common.enabled') : t('common.disabled')}</Badge>
+            <Badge variant="outline">{translateReportFrequency(report.frequency, t)}</Badge>
+            {report.channel_ids.length === 0 && <Badge variant="warning">{t('pages.notifications.noDestinationsBadge')}</Badge>}
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {t('pages.notifications.reportSchedule', { time: report.send_time, timeZone: report.time_zone, scope })}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {t('pages.notifications.channels', { channels: report.channel_ids.map((id) => channels.find((channel) => channel.id === id)?.name || id).join(', ') || '-' })}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {report.enabled && t('pages.notifications.reportNextRun', { time: formatDateTime(report.next_run_at) })}
+            {report.enabled && report.last_sent_at && ' · '}
+            {report.last_sent_at && t('pages.notifications.reportLastSent', { time: formatDateTime(report.last_sent_at) })}
+          </p>
+          {report.last_error && (
+            <p className="text-xs text-red-600 dark:text-red-400">{t('pages.notifications.reportLastError', { error: report.last_error })}</p>
+          )}
+        </div>
+        {canManageSettings && (
+          <div className="flex flex-wrap gap-2 md:self-start">
+            <ActionIconButton label={t('pages.notifications.sendReportNow')} icon={<SendHorizontal className="h-4 w-4" />} onClick={onSend} />
+            <ActionIconButton label={t('pages.notifications.editReport')} icon={<SquarePen className="h-4 w-4" />} onClick={onEdit} />
+            <ActionIconButton label={t('pages.notifications.deleteReport')} icon={<Trash2 className="h-4 w-4" />} onClick={onDelete} variant="danger" />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function ActionIconButton({
   label,
   icon,
@@ -1488,6 +1818,11 @@ function ChannelModal({
               <option value="email">Email</option>
               <option value="mqtt">MQTT</option>
               <option value="webhook">Webhook</option>
+              <option value="slack">Slack</option>
+              <option value="discord">Discord</option>
+              <option value="teams">Microsoft Teams</option>
+              <option value="telegram">Telegram</option>
+              <option value="matrix">Matrix</option>
             </select>
           </label>
         </div>
@@ -1499,6 +1834,30 @@ function ChannelModal({
 
         <ChannelConfigFields form={form} onSetForm={onSetForm} />
 
+        <div className="grid gap-4 md:grid-cols-2">
+          <QuietHoursFields
+            id="channel-quiet-hours"
+            value={form.quiet_hours}
+            help={t('pages.notifications.destinationQuietHoursHelp')}
+            onChange={(quietHours) => onSetForm((current) => ({ ...current, quiet_hours: quietHours }))}
+          />
+          <div className="space-y-3 rounded-lg border border-gray-200 p-4 dark:border-gray-700">
+            <div className="flex items-center gap-3">
+              <Switch id="channel-digest" checked={form.digest.enabled} onCheckedChange={(checked) => onSetForm((current) => ({ ...current, digest: { ...current.digest, enabled: checked } }))} />
+              <label htmlFor="channel-digest" className="text-sm font-medium">{t('pages.notifications.digestMode')}</label>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.digestModeHelp')}</p>
+            {form.digest.enabled && (
+              <LabeledInput
+                label={t('pages.notifications.digestInterval')}
+                type="number"
+                value={form.digest.interval_minutes}
+                onChange={(value) => onSetForm((current) => ({ ...current, digest: { ...current.digest, interval_minutes: value } }))}
+              />
+            )}
+          </div>
+        </div>
+
         <div className="flex justify-end gap-3">
           <button onClick={onClose} className="rounded-lg border border-gray-300 px-4 py-2 text-sm font-medium dark:border-gray-700">{t('common.cancel')}</button>
           <button onClick={onSave} disabled={saving} className="rounded-lg bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-60">
@@ -1510,6 +1869,16 @@ function ChannelModal({
   );
 }
 
+function getRuleSavedSearchPage(form: RuleFormState): SavedSearch['page'] | null {
+  if (form.type === 'alert-spike' || form.type === 'alert-anomaly' || form.type === 'alert-threshold' || form.type === 'new-cve') return 'alerts';
+  if (form.type === 'ip-ban') return 'decisions';
+  if (form.type === 'new-alert-decision') {
+    if (form.config.event_type === 'alert') return 'alerts';
+    if (form.config.event_type === 'decision') return 'decisions';
+  }
+  return null;
+}
+
 function RuleModal({
   open,
   editingRule,
@@ -1530,11 +1899,28 @@ function RuleModal({
   onSetForm: Dispatch<SetStateAction<RuleFormState>>;
 }) {
   const { t } = useI18n();
-  const supportsAlertFilters = form.type !== 'application-update' && form.type !== 'lapi-availability';
+  const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([]);
+  // Search rules carry their whole condition in the query, so the generic filters would only duplicate it.
+  const supportsAlertFilters = form.type !== 'application-update' && form.type !== 'lapi-availability' && form.type !== 'search-threshold';
+  const savedSearchPage = getRuleSavedSearchPage(form);
+  const savedSearchOptions = savedSearches.filter((search) => search.page === savedSearchPage);
   const simulatedFilterLabel = form.type === 'ip-ban'
     ? t('pages.notifications.includeSimulatedDecisions')
     : t('pages.notifications.includeSimulatedAlerts');
 
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    fetchSavedSearches()
+      .then((searches) => {
+        if (!cancelled) setSavedSearches(searches);
+      })
+      .catch((error) => console.error('Failed to load saved searches', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [open]);
+
   return (
     <Modal isOpen={open} onClose={onClose} title={editingRule ? t('pages.notifications.editRuleTitle') : t('pages.notifications.newRuleTitle')} maxWidth="max-w-3xl">
       <div className="space-y-4">
@@ -1548,10 +1934,12 @@ function RuleModal({
               className="w-full rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900"
             >
               <option value="alert-spike">{t('pages.notifications.ruleTypes.alertSpike')}</option>
+              <option value="alert-anomaly">{t('pages.notifications.ruleTypes.alertAnomaly')}</option>
               <option value="alert-threshold">{t('pages.notifications.ruleTypes.alertThreshold')}</option>
               <option value="new-alert-decision">{t('pages.notifications.ruleTypes.newAlertDecision')}</option>
               <option value="new-cve">{t('pages.notifications.ruleTypes.recentCve')}</option>
               <option value="ip-ban">{t('pages.notifications.ruleTypes.ipBan')}</option>
+              <option value="search-threshold">{t('pages.notifications.ruleTypes.searchThreshold')}</option>
               <option value="application-update">{t('pages.notifications.ruleTypes.applicationUpdate')}</option>
               <option value="lapi-availability">{t('pages.notifications.ruleTypes.lapiAvailability')}</option>
             </select>
@@ -1615,11 +2003,66 @@ function RuleModal({
             )}
           </div>
         )}
+        {savedSearchPage && (savedSearchOptions.length > 0 || form.filters.saved_search_id) && (
+          <div className="space-y-2 text-sm">
+            <label htmlFor="rule-saved-search" className="block font-medium">{t('pages.notifications.savedSearchFilter')}</label>
+            <select
+              id="rule-saved-search"
+              value={form.filters.saved_search_id}
+              onChange={(event) => onSetForm((current) => ({ ...current, filters: { ...current.filters, saved_search_id: event.target.value } }))}
+              className="w-full rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900"
+            >
+              <option value="">{t('pages.notifications.noSavedSearch')}</option>
+              {savedSearchOptions.map((search) => (
+                <option key={search.id} value={search.id}>{search.name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.savedSearchFilterHelp')}</p>
+          </div>
+        )}
         <RuleConfigFields
           form={form}
           onChange={(key, value) => onSetForm((current) => ({ ...current, config: { ...current.config, [key]: value } }))}
           onSetForm={onSetForm}
         />
+        <div className="grid gap-4 md:grid-cols-2">
+          <QuietHoursFields
+            id="rule-quiet-hours"
+            value={form.quiet_hours}
+            help={t('pages.notifications.ruleQuietHoursHelp')}
+            onChange={(quietHours) => onSetForm((current) => ({ ...current, quiet_hours: quietHours }))}
+          />
+          <div className="space-y-3 rounded-lg border border-gray-200 p-4 dark:border-gray-700">
+            <div className="flex items-center gap-3">
+              <Switch id="rule-escalation" checked={form.escalation.enabled} onCheckedChange={(checked) => onSetForm((current) => ({ ...current, escalation: { ...current.escalation, enabled: checked } }))} />
+              <label htmlFor="rule-escalation" className="text-sm font-medium">{t('pages.notifications.escalation')}</label>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.escalationHelp')}</p>
+            {form.escalation.enabled && (
+              <>
+                <label className="block space-y-2 text-sm">
+                  <span className="font-medium">{t('pages.notifications.escalationDestination')}</span>
+                  <select
+                    value={form.escalation.channel_id}
+                    onChange={(event) => onSetForm((current) => ({ ...current, escalation: { ...current.escalation, channel_id: event.target.value } }))}
+                    className="w-full rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900"
+                  >
+                    <option value="">{t('pages.notifications.selectDestination')}</option>
+                    {channels.map((channel) => (
+                      <option key={channel.id} value={channel.id}>{channel.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <LabeledInput
+                  label={t('pages.notifications.escalateAfterMinutes')}
+                  type="number"
+                  value={form.escalation.after_minutes}
+                  onChange={(value) => onSetForm((current) => ({ ...current, escalation: { ...current.escalation, after_minutes: value } }))}
+                />
+              </>
+            )}
+          </div>
+        </div>
         <div className="flex justify-end gap-3">
           <button onClick={onClose} className="rounded-lg border border-gray-300 px-4 py-2 text-sm font-medium dark:border-gray-700">{t('common.cancel')}</button>
           <button onClick={onSave} disabled={saving} className="rounded-lg bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-60">{saving ? t('common.saving') : t('pages.notifications.saveRule')}</button>
@@ -1629,6 +2072,137 @@ function RuleModal({
   );
 }
 
+function ReportModal({
+  open,
+  editingReport,
+  form,
+  channels,
+  instances,
+  saving,
+  onClose,
+  onSave,
+  onSetForm,
+}: {
+  open: boolean;
+  editingReport: NotificationReport | null;
+  form: ReportFormState;
+  channels: NotificationChannel[];
+  instances: InstanceSummary[];
+  saving: boolean;
+  onClose: () => void;
+  onSave: () => void;
+  onSetForm: Dispatch<SetStateAction<ReportFormState>>;
+}) {
+  const { t } = useI18n();
+  const emailChannels = channels.filter((channel) => channel.type === 'email');
+
+  return (
+    <Modal isOpen={open} onClose={onClose} title={editingReport ? t('pages.notifications.editReportTitle') : t('pages.notifications.newReportTitle')} maxWidth="max-w-2xl">
+      <div className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-2">
+          <LabeledInput label={t('common.name')} value={form.name} onChange={(value) => onSetForm((current) => ({ ...current, name: value }))} />
+          <div className="flex items-center gap-3 pt-7">
+            <Switch id="report-enabled" checked={form.enabled} onCheckedChange={(checked) => onSetForm((current) => ({ ...current, enabled: checked }))} />
+            <label htmlFor="report-enabled" className="text-sm font-medium">{t('common.enabled')}</label>
+          </div>
+        </div>
+        <div className="grid gap-4 md:grid-cols-3">
+          <label className="space-y-2 text-sm">
+            <span className="font-medium">{t('pages.notifications.reportFrequency')}</span>
+            <select
+              value={form.frequency}
+              onChange={(event) => onSetForm((current) => ({ ...current, frequency: event.target.value as NotificationReportFrequency }))}
+              className="w-full rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900"
+            >
+              {NOTIFICATION_REPORT_FREQUENCIES.map((frequency) => (
+                <option key={frequency} value={frequency}>{translateReportFrequency(frequency, t)}</option>
+              ))}
+            </select>
+          </label>
+          <LabeledInput label={t('pages.notifications.reportSendTime')} type="time" value={form.send_time} onChange={(value) => onSetForm((current) => ({ ...current, send_time: value }))} />
+          <LabeledInput label={t('pages.notifications.quietHoursTimeZone')} value={form.time_zone} onChange={(value) => onSetForm((current) => ({ ...current, time_zone: value }))} />
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t(`pages.notifications.reportFrequencyHelp.${form.frequency}`)}</p>
+        {instances.length > 1 && (
+          <label className="block space-y-2 text-sm">
+            <span className="font-medium">{t('pages.notifications.reportScope')}</span>
+            <select
+              value={form.instance_id}
+              onChange={(event) => onSetForm((current) => ({ ...current, instance_id: event.target.value }))}
+              className="w-full rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900"
+            >
+              <option value="all">{t('pages.notifications.reportAllInstances')}</option>
+              {instances.map((instance) => (
+                <option key={instance.id} value={instance.id}>{instance.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <div className="space-y-3">
+          <p className="text-sm font-medium">{t('pages.notifications.reportDestinations')}</p>
+          {emailChannels.length === 0
+            ? (
+              <div className="rounded-xl border border-amber-200 bg-amber-50/80 p-4 text-sm text-amber-900 dark:border-amber-800/60 dark:bg-amber-950/20 dark:text-amber-200">
+                {t('pages.notifications.noEmailDestinationsHelp')}
+              </div>
+            )
+            : (
+              <div className="grid gap-2 md:grid-cols-2">
+                {emailChannels.map((channel) => (
+                  <label key={channel.id} className="flex items-center gap-3 rounded-lg border border-gray-200 p-3 text-sm dark:border-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.channel_ids.includes(channel.id)}
+                      onChange={(event) => onSetForm((current) => ({ ...current, channel_ids: event.target.checked ? [...current.channel_ids, channel.id] : current.channel_ids.filter((value) => value !== channel.id) }))}
+                    />
+                    <span className="min-w-0 flex-1 truncate">{channel.name}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+        </div>
+        <div className="flex justify-end gap-3">
+          <button onClick={onClose} className="rounded-lg border border-gray-300 px-4 py-2 text-sm font-medium dark:border-gray-700">{t('common.cancel')}</button>
+          <button onClick={onSave} disabled={saving} className="rounded-lg bg-primary-600 px-4 py-2 text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-60">{saving ? t('common.saving') : t('pages.notifications.saveReport')}</button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function QuietHoursFields({
+  id,
+  value,
+  help,
+  onChange,
+}: {
+  id: string;
+  value: QuietHoursFormState;
+  help: string;
+  onChange: (value: QuietHoursFormState) => void;
+}) {
+  const { t } = useI18n();
+
+  return (
+    <div className="space-y-3 rounded-lg border border-gray-200 p-4 dark:border-gray-700">
+      <div className="flex items-center gap-3">
+        <Switch id={id} checked={value.enabled} onCheckedChange={(checked) => onChange({ ...value, enabled: checked })} />
+        <label htmlFor={id} className="text-sm font-medium">{t('pages.notifications.quietHours')}</label>
+      </div>
+      <p className="text-xs text-gray-500 dark:text-gray-400">{help}</p>
+      {value.enabled && (
+        <div className="grid gap-3 sm:grid-cols-2">
+          <LabeledInput label={t('pages.notifications.quietHoursStart')} type="time" value={value.start} onChange={(start) => onChange({ ...value, start })} />
+          <LabeledInput label={t('pages.notifications.quietHoursEnd')} type="time" value={value.end} onChange={(end) => onChange({ ...value, end })} />
+          <div className="sm:col-span-2">
+            <LabeledInput label={t('pages.notifications.quietHoursTimeZone')} value={value.time_zone} onChange={(timeZone) => onChange({ ...value, time_zone: timeZone })} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function LabeledInput({
   label,
   value,
@@ -1755,6 +2329,21 @@ function ChannelConfigFields({
     const webhook = coerceWebhookConfig(form.config);
     return <WebhookChannelFields config={webhook} onSetForm={onSetForm} />;
   }
+  if (form.type === 'slack') {
+    return <SlackChannelFields config={coerceSlackConfig(form.config)} onSetForm={onSetForm} />;
+  }
+  if (form.type === 'discord') {
+    return <DiscordChannelFields config={coerceDiscordConfig(form.config)} onSetForm={onSetForm} />;
+  }
+  if (form.type === 'teams') {
+    return <TeamsChannelFields config={coerceTeamsConfig(form.config)} onSetForm={onSetForm} />;
+  }
+  if (form.type === 'telegram') {
+    return <TelegramChannelFields config={coerceTelegramConfig(form.config)} onSetForm={onSetForm} />;
+  }
+  if (form.type === 'matrix') {
+    return <MatrixChannelFields config={coerceMatrixConfig(form.config)} onSetForm={onSetForm} />;
+  }
   const ntfy = coerceNtfyConfig(form.config);
   return <NtfyChannelFields config={ntfy} onSetForm={onSetForm} />;
 }
@@ -1836,6 +2425,99 @@ function NtfyChannelFields({ config, onSetForm }: { config: NtfyConfig; onSetFor
   );
 }
 
+function LinkBaseUrlField<T extends { linkBaseUrl: string }>({
+  config,
+  coerce,
+  onSetForm,
+}: {
+  config: T;
+  coerce: (value: unknown) => T;
+  onSetForm: Dispatch<SetStateAction<ChannelFormState>>;
+}) {
+  const { t } = useI18n();
+
+  return (
+    <div className="space-y-1 md:col-span-2">
+      <LabeledInput
+        label={t('pages.notifications.linkBaseUrl')}
+        value={config.linkBaseUrl}
+        placeholder="https://crowdsec.example.com"
+        onChange={(value) => updateChannelConfig<T>(onSetForm, (current) => ({ ...coerce(current), linkBaseUrl: value }))}
+      />
+      <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.linkBaseUrlHelp')}</p>
+    </div>
+  );
+}
+
+function SlackChannelFields({ config, onSetForm }: { config: SlackConfig; onSetForm: Dispatch<SetStateAction<ChannelFormState>> }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="grid gap-4 rounded-xl border border-gray-200 p-4 md:grid-cols-2 dark:border-gray-700">
+      <div className="md:col-span-2">
+        <SecretInput label={t('pages.notifications.webhookUrl')} value={config.slackWebhookUrl} onChange={(value) => updateChannelConfig<SlackConfig>(onSetForm, (current) => ({ ...coerceSlackConfig(current), slackWebhookUrl: value || current.slackWebhookUrl }))} />
+      </div>
+      <LinkBaseUrlField config={config} coerce={coerceSlackConfig} onSetForm={onSetForm} />
+    </div>
+  );
+}
+
+function DiscordChannelFields({ config, onSetForm }: { config: DiscordConfig; onSetForm: Dispatch<SetStateAction<ChannelFormState>> }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="grid gap-4 rounded-xl border border-gray-200 p-4 md:grid-cols-2 dark:border-gray-700">
+      <SecretInput label={t('pages.notifications.webhookUrl')} value={config.discordWebhookUrl} onChange={(value) => updateChannelConfig<DiscordConfig>(onSetForm, (current) => ({ ...coerceDiscordConfig(current), discordWebhookUrl: value || current.discordWebhookUrl }))} />
+      <LabeledInput label={t('pages.notifications.displayName')} value={config.discordUsername} onChange={(value) => updateChannelConfig<DiscordConfig>(onSetForm, (current) => ({ ...coerceDiscordConfig(current), discordUsername: value }))} />
+      <LinkBaseUrlField config={config} coerce={coerceDiscordConfig} onSetForm={onSetForm} />
+    </div>
+  );
+}
+
+function TeamsChannelFields({ config, onSetForm }: { config: TeamsConfig; onSetForm: Dispatch<SetStateAction<ChannelFormState>> }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="grid gap-4 rounded-xl border border-gray-200 p-4 md:grid-cols-2 dark:border-gray-700">
+      <div className="space-y-1 md:col-span-2">
+        <SecretInput label={t('pages.notifications.webhookUrl')} value={config.teamsWebhookUrl} onChange={(value) => updateChannelConfig<TeamsConfig>(onSetForm, (current) => ({ ...coerceTeamsConfig(current), teamsWebhookUrl: value || current.teamsWebhookUrl }))} />
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.teamsWebhookHelp')}</p>
+      </div>
+      <LinkBaseUrlField config={config} coerce={coerceTeamsConfig} onSetForm={onSetForm} />
+    </div>
+  );
+}
+
+function TelegramChannelFields({ config, onSetForm }: { config: TelegramConfig; onSetForm: Dispatch<SetStateAction<ChannelFormState>> }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="grid gap-4 rounded-xl border border-gray-200 p-4 md:grid-cols-2 dark:border-gray-700">
+      <SecretInput label={t('pages.notifications.botToken')} value={config.telegramBotToken} onChange={(value) => updateChannelConfig<TelegramConfig>(onSetForm, (current) => ({ ...coerceTelegramConfig(current), telegramBotToken: value || current.telegramBotToken }))} />
+      <LabeledInput label={t('pages.notifications.chatId')} value={config.telegramChatId} onChange={(value) => updateChannelConfig<TelegramConfig>(onSetForm, (current) => ({ ...coerceTelegramConfig(current), telegramChatId: value }))} />
+      <div className="md:col-span-2">
+        <LabeledInput label={t('pages.notifications.apiUrl')} value={config.telegramApiUrl} onChange={(value) => updateChannelConfig<TelegramConfig>(onSetForm, (current) => ({ ...coerceTelegramConfig(current), telegramApiUrl: value }))} />
+      </div>
+      <LinkBaseUrlField config={config} coerce={coerceTelegramConfig} onSetForm={onSetForm} />
+    </div>
+  );
+}
+
+function MatrixChannelFields({ config, onSetForm }: { config: MatrixConfig; onSetForm: Dispatch<SetStateAction<ChannelFormState>> }) {
+  const { t } = useI18n();
+
+  return (
+    <div className="grid gap-4 rounded-xl border border-gray-200 p-4 md:grid-cols-2 dark:border-gray-700">
+      <LabeledInput label={t('pages.notifications.homeserverUrl')} value={config.matrixHomeserverUrl} placeholder="https://matrix.example.org" onChange={(value) => updateChannelConfig<MatrixConfig>(onSetForm, (current) => ({ ...coerceMatrixConfig(current), matrixHomeserverUrl: value }))} />
+      <LabeledInput label={t('pages.notifications.roomId')} value={config.matrixRoomId} placeholder="!room:example.org" onChange={(value) => updateChannelConfig<MatrixConfig>(onSetForm, (current) => ({ ...coerceMatrixConfig(current), matrixRoomId: value }))} />
+      <div className="md:col-span-2">
+        <SecretInput label={t('pages.notifications.accessToken')} value={config.matrixAccessToken} onChange={(value) => updateChannelConfig<MatrixConfig>(onSetForm, (current) => ({ ...coerceMatrixConfig(current), matrixAccessToken: value || current.matrixAccessToken }))} />
+      </div>
+      <LinkBaseUrlField config={config} coerce={coerceMatrixConfig} onSetForm={onSetForm} />
+    </div>
+  );
+}
+
 function MqttChannelFields({ config, onSetForm }: { config: MqttConfig; onSetForm: Dispatch<SetStateAction<ChannelFormState>> }) {
   const { t } = useI18n();
 
@@ -2063,6 +2745,64 @@ function RowEditor({ children, onRemove }: { children: ReactNode; onRemove: () =
   );
 }
 
+function SearchThresholdConfigFields({
+  form,
+  onChange,
+  children,
+}: {
+  form: RuleFormState;
+  onChange: (key: string, value: string) => void;
+  children: ReactNode;
+}) {
+  const { t } = useI18n();
+  const { timeZone } = useDateTime();
+  const eventType = form.config.event_type === 'decision' ? 'decision' : 'alert';
+  const query = form.config.query || '';
+  const searchOptions = { timeZone: timeZone || getBrowserTimeZone() };
+  const compiled = eventType === 'alert'
+    ? compileAlertSearch(query, SEARCH_RULE_FEATURES, searchOptions)
+    : compileDecisionSearch(query, SEARCH_RULE_FEATURES, searchOptions);
+  const queryError = compiled.ok ? null : compiled.error;
+
+  return (
+    <div className="space-y-4">
+      <label className="block space-y-2 text-sm">
+        <span className="font-medium">{t('pages.notifications.eventType')}</span>
+        <select
+          value={eventType}
+          onChange={(event) => onChange('event_type', event.target.value)}
+          className="w-full rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900"
+        >
+          <option value="alert">{t('pages.notifications.eventTypes.alerts')}</option>
+          <option value="decision">{t('pages.notifications.eventTypes.decisions')}</option>
+        </select>
+      </label>
+      <div className="space-y-2 text-sm">
+        <label htmlFor="rule-search-query" className="font-medium">{t('pages.notifications.searchQuery')}</label>
+        <HighlightedSearchInput
+          id="rule-search-query"
+          searchPage={eventType === 'alert' ? 'alerts' : 'decisions'}
+          searchFeatures={SEARCH_RULE_FEATURES}
+          value={query}
+          error={queryError}
+          placeholder={t('pages.notifications.searchQueryPlaceholder')}
+          onChange={(event) => onChange('query', event.target.value)}
+          aria-invalid={queryError ? 'true' : 'false'}
+          aria-describedby={queryError ? 'rule-search-query-error' : 'rule-search-query-help'}
+        />
+        {queryError ? (
+          <p id="rule-search-query-error" className="text-xs text-red-600 dark:text-red-400">
+            {t('common.searchSyntaxError', { position: queryError.position + 1, message: queryError.message })}
+          </p>
+        ) : (
+          <p id="rule-search-query-help" className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.searchQueryHelp')}</p>
+        )}
+      </div>
+      <div className="grid gap-4 md:grid-cols-2">{children}</div>
+    </div>
+  );
+}
+
 function RuleConfigFields({
   form,
   onChange,
@@ -2075,6 +2815,47 @@ function RuleConfigFields({
   const { t } = useI18n();
   const input = (key: string, label: string) => <LabeledInput key={key} label={label} value={form.config[key] || ''} onChange={(value) => onChange(key, value)} />;
   if (form.type === 'alert-spike') return <div className="grid gap-4 md:grid-cols-3">{input('window_minutes', t('pages.notifications.windowMinutes'))}{input('percent_increase', t('pages.notifications.percentIncrease'))}{input('minimum_current_alerts', t('pages.notifications.minimumAlerts'))}</div>;
+  if (form.type === 'alert-anomaly') {
+    // The statistics rollups that keep older alerts have no target or AS number column and cannot apply these filters.
+    const learnsFromCachedAlertsOnly = form.config.dimension === 'target' || form.config.dimension === 'as'
+      || Boolean(form.filters.target.trim() || form.filters.values.trim() || form.filters.saved_search_id);
+    return (
+      <div className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-3">
+          <label className="space-y-2 text-sm">
+            <span className="font-medium">{t('pages.notifications.anomalyDimension')}</span>
+            <select
+              value={form.config.dimension || 'country'}
+              onChange={(event) => onChange('dimension', event.target.value)}
+              className="w-full rounded-lg border border-gray-300 px-3 py-2 dark:border-gray-700 dark:bg-gray-900"
+            >
+              {ALERT_ANOMALY_DIMENSIONS.map((dimension) => (
+                <option key={dimension} value={dimension}>{t(`server.notifications.alertAnomaly.dimensions.${dimension}`)}</option>
+              ))}
+            </select>
+          </label>
+          {input('window_minutes', t('pages.notifications.windowMinutes'))}
+          {input('baseline_weeks', t('pages.notifications.baselineWeeks'))}
+          {input('sensitivity', t('pages.notifications.anomalySensitivity'))}
+          {input('minimum_alerts', t('pages.notifications.minimumAlerts'))}
+        </div>
+        <div className="flex items-center gap-3 rounded-lg border border-gray-200 p-3 text-sm dark:border-gray-700">
+          <Switch
+            id="rule-notify-new-values"
+            checked={form.config.notify_new_values !== 'false'}
+            onCheckedChange={(checked) => onChange('notify_new_values', checked ? 'true' : 'false')}
+          />
+          <label htmlFor="rule-notify-new-values" className="font-medium">{t('pages.notifications.notifyNewValues')}</label>
+        </div>
+        <p className="text-xs text-gray-500 dark:text-gray-400">{t('pages.notifications.anomalyHelp')}</p>
+        {learnsFromCachedAlertsOnly && (
+          <div className="rounded-xl border border-amber-200 bg-amber-50/80 p-4 text-sm text-amber-900 dark:border-amber-800/60 dark:bg-amber-950/20 dark:text-amber-200">
+            {t('pages.notifications.anomalyCachedAlertsOnly')}
+          </div>
+        )}
+      </div>
+    );
+  }
   if (form.type === 'alert-threshold') return <div className="grid gap-4 md:grid-cols-2">{input('window_minutes', t('pages.notifications.windowMinutes'))}{input('alert_threshold', t('pages.notifications.alertThreshold'))}</div>;
   if (form.type === 'new-alert-decision') {
     const eventType = form.config.event_type || 'both';
@@ -2135,6 +2916,14 @@ function RuleConfigFields({
     );
   }
   if (form.type === 'ip-ban') return <div className="grid gap-4 md:grid-cols-2">{input('window_minutes', t('pages.notifications.windowMinutes'))}</div>;
+  if (form.type === 'search-threshold') {
+    return (
+      <SearchThresholdConfigFields form={form} onChange={onChange}>
+        {input('window_minutes', t('pages.notifications.windowMinutes'))}
+        {input('threshold', t('pages.notifications.searchThreshold'))}
+      </SearchThresholdConfigFields>
+    );
+  }
   if (form.type === 'application-update') {
     return (
       <div className="rounded-xl border border-blue-200 bg-blue-50/80 p-4 text-sm text-blue-900 dark:border-blue-900/40 dark:bg-blue-950/20 dark:text-blue-200">
@@ -1,14 +1,22 @@
-import { useEffect, useState, type FormEvent } from "react";
+import { useEffect, useState, type ChangeEvent, type FormEvent } from "react";
 import i18next from "i18next";
 import QRCode from "qrcode";
-import { Copy, KeyRound, LockKeyhole, Plus, QrCode, Save, ShieldCheck, Trash2, X } from "lucide-react";
+import { Ban, Copy, Download, Eye, KeyRound, KeySquare, LockKeyhole, LogOut, Plus, QrCode, Save, ShieldCheck, Trash2, Upload, UserPlus, X } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "../components/ui/Card";
 import { Modal } from "../components/ui/Modal";
 import { Switch } from "../components/ui/Switch";
 import { Badge } from "../components/ui/Badge";
+import { InstanceSettingsCard } from "../components/InstanceSettingsCard";
 import { useRefresh } from "../contexts/useRefresh";
 import { useOptionalToast } from "../contexts/useToast";
-import { fetchConfig, updateManualRefreshSetting, updateMetricsSidebarPreference } from "../lib/api";
+import {
+    exportBackup,
+    fetchConfig,
+    importBackup,
+    previewBackupImport,
+    updateManualRefreshSetting,
+    updateMetricsSidebarPreference,
+} from "../lib/api";
 import { apiUrl } from "../lib/basePath";
 import { useAuth } from "../contexts/AuthContext";
 import {
@@ -23,9 +31,19 @@ import {
     useI18n,
     type LanguagePreference,
 } from "../lib/i18n";
-import type { ConfigResponse } from "../types";
+import { BACKUP_SECTIONS } from "../../../shared/contracts";
+import type { BackupImportMode, BackupPreviewResponse, BackupSection, ConfigResponse, ImportBackupRequest } from "../types";
 import { useDateTime } from "../lib/dateTime";
 
+const BACKUP_SECTION_LABEL_KEYS: Record<BackupSection, string> = {
+    settings: "pages.settings.backupSections.settings",
+    users: "pages.settings.backupSections.users",
+    saved_searches: "pages.settings.backupSections.savedSearches",
+    notification_channels: "pages.settings.backupSections.notificationChannels",
+    notification_rules: "pages.settings.backupSections.notificationRules",
+    notification_reports: "pages.settings.backupSections.notificationReports",
+};
+
 const REFRESH_OPTIONS = [
     { value: 0, labelKey: "components.sidebar.refresh.off" },
     { value: 5000, labelKey: "components.sidebar.refresh.every5Seconds" },
@@ -43,6 +61,30 @@ interface PasskeySummary {
     createdAt: string;
 }
 
+interface ApiTokenSummary {
+    id: number;
+    name: string;
+    prefix: string;
+    scope: 'admin' | 'read-only';
+    createdAt: string;
+    expiresAt: string | null;
+    lastUsedAt: string | null;
+}
+
+const API_TOKEN_LIFETIME_OPTIONS = [7, 30, 90, 365] as const;
+
+interface ManagedUser {
+    id: number;
+    username: string;
+    role: 'admin' | 'read-only';
+    authProvider: 'password' | 'oidc';
+    hasPassword: boolean;
+    totpEnabled: boolean;
+    disabled: boolean;
+    createdAt: string;
+    updatedAt: string;
+}
+
 interface AuthSettings {
     disablePasswordLogin: boolean;
     oidcIssuerUrl: string;
@@ -83,12 +125,13 @@ function serializeSpaceSeparatedList(items: string[]): string {
 
 export function Settings() {
     const { intervalMs, setIntervalMs } = useRefresh();
-    const { authEnabled, refresh: refreshAuth } = useAuth();
+    const { authEnabled, user: authUser, refresh: refreshAuth } = useAuth();
     const { browserLanguage, preference, setLanguagePreference, t } = useI18n();
     const { formatDate } = useDateTime();
     const toast = useOptionalToast();
     const [config, setConfig] = useState<ConfigResponse | null>(null);
     const [passkeys, setPasskeys] = useState<PasskeySummary[]>([]);
+    const [apiTokens, setApiTokens] = useState<ApiTokenSummary[]>([]);
     const [authSettings, setAuthSettings] = useState<AuthSettings | null>(null);
     const [isLoading, setIsLoading] = useState(true);
     const [languagePreference, setLanguagePreferenceValue] = useState<LanguagePreference>(preference);
@@ -101,6 +144,10 @@ export function Settings() {
     const [passkeyModalOpen, setPasskeyModalOpen] = useState(false);
     const [passkeyName, setPasskeyName] = useState('');
     const [isRegisteringPasskey, setIsRegisteringPasskey] = useState(false);
+    const [apiTokenModalOpen, setApiTokenModalOpen] = useState(false);
+    const [apiTokenForm, setApiTokenForm] = useState({ name: '', scope: 'read-only' as ApiTokenSummary['scope'], expiresInDays: '90' });
+    const [isCreatingApiToken, setIsCreatingApiToken] = useState(false);
+    const [createdApiToken, setCreatedApiToken] = useState('');
     const [totpModalOpen, setTotpModalOpen] = useState(false);
     const [isLoadingTotpSetup, setIsLoadingTotpSetup] = useState(false);
     const [isSavingTotp, setIsSavingTotp] = useState(false);
@@ -171,6 +218,17 @@ export function Settings() {
                         } else {
                             setPasskeys([]);
                         }
+                        void fetch(apiUrl('/api/auth/tokens'))
+                            .then(async (response) => {
+                                if (!response.ok) throw new Error('Failed to load API tokens');
+                                return response.json() as Promise<{ tokens?: ApiTokenSummary[] }>;
+                            })
+                            .then((tokenPayload) => {
+                                if (!cancelled) setApiTokens(tokenPayload.tokens ?? []);
+                            })
+                            .catch((error) => {
+                                console.error("Failed to load API tokens", error);
+                            });
                         setDisablePasswordLogin(payload.disablePasswordLogin);
                         setOidcForm({
                             issuerUrl: payload.oidcIssuerUrl,
@@ -333,6 +391,57 @@ export function Settings() {
         showToast(t("pages.settings.passkeyRemoved"), "success");
     };
 
+    const openApiTokenModal = () => {
+        setApiTokenForm({ name: '', scope: 'read-only', expiresInDays: '90' });
+        setCreatedApiToken('');
+        setApiTokenModalOpen(true);
+    };
+
+    const closeApiTokenModal = () => {
+        if (isCreatingApiToken) return;
+        setApiTokenModalOpen(false);
+        setCreatedApiToken('');
+    };
+
+    const createApiToken = async () => {
+        setIsCreatingApiToken(true);
+        try {
+            const response = await fetch(apiUrl('/api/auth/tokens'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: apiTokenForm.name,
+                    scope: apiTokenForm.scope,
+                    expiresInDays: apiTokenForm.expiresInDays === 'never' ? null : Number(apiTokenForm.expiresInDays),
+                }),
+            });
+            const payload = await response.json().catch(() => ({})) as { error?: string; token?: string; apiToken?: ApiTokenSummary | null };
+            if (!response.ok || !payload.token) {
+                throw new Error(payload.error || t("pages.settings.failedToCreateApiToken"));
+            }
+            const created = payload.apiToken;
+            if (created) setApiTokens((current) => [created, ...current]);
+            setCreatedApiToken(payload.token);
+            showToast(t("pages.settings.apiTokenCreated"), "success");
+        } catch (error) {
+            console.error("Failed to create API token", error);
+            showToast(error instanceof Error ? error.message : t("pages.settings.failedToCreateApiToken"), "danger");
+        } finally {
+            setIsCreatingApiToken(false);
+        }
+    };
+
+    const revokeApiToken = async (id: number) => {
+        const response = await fetch(apiUrl(`/api/auth/tokens/${id}`), { method: 'DELETE' });
+        if (!response.ok) {
+            console.error("Failed to revoke API token");
+            showToast(t("pages.settings.failedToRevokeApiToken"), "danger");
+            return;
+        }
+        setApiTokens((current) => current.filter((token) => token.id !== id));
+        showToast(t("pages.settings.apiTokenRevoked"), "success");
+    };
+
     const openTotpModal = async () => {
         setTotpModalOpen(true);
         setTotpCode('');
@@ -847,6 +956,62 @@ export function Settings() {
                         </div>
                         )}
 
+                        <div className="space-y-4 border-t border-gray-200 pt-6 dark:border-gray-700">
+                            <div>
+                                <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100">{t("pages.settings.apiTokens")}</h4>
+                                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{t("pages.settings.apiTokensDescription")}</p>
+                            </div>
+                            <div className="space-y-3">
+                                {apiTokens.length === 0 ? (
+                                    <p className="text-sm text-gray-500 dark:text-gray-400">{t("pages.settings.noApiTokens")}</p>
+                                ) : (
+                                    apiTokens.map((apiToken) => (
+                                        <div
+                                            key={apiToken.id}
+                                            className="flex items-center justify-between gap-3 rounded-lg border border-gray-200 bg-gray-50 px-3 py-2 dark:border-gray-700 dark:bg-gray-900/50"
+                                        >
+                                            <div className="min-w-0">
+                                                <div className="flex flex-wrap items-center gap-2">
+                                                    <p className="truncate text-sm font-medium text-gray-900 dark:text-gray-100">{apiToken.name}</p>
+                                                    <Badge variant={apiToken.scope === 'admin' ? "warning" : "secondary"}>
+                                                        {apiToken.scope === 'admin' ? t("pages.settings.apiTokenScopeAdmin") : t("pages.settings.apiTokenScopeReadOnly")}
+                                                    </Badge>
+                                                </div>
+                                                <p className="text-xs text-gray-500">
+                                                    <span className="font-mono">{apiToken.prefix}…</span>
+                                                    {' · '}
+                                                    {apiToken.expiresAt
+                                                        ? t("pages.settings.apiTokenExpires", { date: formatDate(apiToken.expiresAt) })
+                                                        : t("pages.settings.apiTokenNeverExpires")}
+                                                    {' · '}
+                                                    {apiToken.lastUsedAt
+                                                        ? t("pages.settings.apiTokenLastUsed", { date: formatDate(apiToken.lastUsedAt) })
+                                                        : t("pages.settings.apiTokenNeverUsed")}
+                                                </p>
+                                            </div>
+                                            <button
+                                                type="button"
+                                                onClick={() => void revokeApiToken(apiToken.id)}
+                                                className="rounded-md p-2 text-red-600 transition-colors hover:bg-red-50 dark:text-red-400 dark:hover:bg-red-950/40"
+                                                aria-label={t("pages.settings.revokeApiToken", { name: apiToken.name })}
+                                                title={t("pages.settings.revokeApiToken", { name: apiToken.name })}
+                                            >
+                                                <Trash2 className="h-4 w-4" />
+                                            </button>
+                                        </div>
+                                    ))
+                                )}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={openApiTokenModal}
+                                className="inline-flex h-10 items-center justify-center gap-2 rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700"
+                            >
+                                <KeySquare className="h-4 w-4" />
+                                {t("pages.settings.createApiToken")}
+                            </button>
+                        </div>
+
                         <div className="space-y-4 border-t border-gray-200 pt-6 dark:border-gray-700">
                             <div>
                                 <h4 className="text-sm font-semibold text-gray-900 dark:text-gray-100">{t("pages.settings.oidcSso")}</h4>
@@ -975,6 +1140,31 @@ export function Settings() {
                 </Card>
             )}
 
+            {authEnabled && authUser?.role === 'admin' && canManageSettings && (
+                <UserManagementCard
+                    currentUserId={authUser.userId}
+                    inputClass={inputClass}
+                    labelClass={labelClass}
+                    showToast={showToast}
+                />
+            )}
+
+            {canManageSettings && (
+                <InstanceSettingsCard
+                    inputClass={inputClass}
+                    labelClass={labelClass}
+                    showToast={showToast}
+                />
+            )}
+
+            {canManageSettings && (
+                <BackupRestoreCard
+                    inputClass={inputClass}
+                    labelClass={labelClass}
+                    showToast={showToast}
+                />
+            )}
+
             <Modal
                 isOpen={totpModalOpen}
                 onClose={closeTotpModal}
@@ -1123,6 +1313,123 @@ export function Settings() {
                 )}
             </Modal>
 
+            <Modal
+                isOpen={apiTokenModalOpen}
+                onClose={closeApiTokenModal}
+                title={t("pages.settings.createApiToken")}
+                maxWidth="max-w-lg"
+            >
+                {createdApiToken ? (
+                    <div className="space-y-5">
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            {t("pages.settings.apiTokenCopyWarning")}
+                        </p>
+                        <div className="flex gap-2">
+                            <input
+                                id="api-token-value"
+                                value={createdApiToken}
+                                readOnly
+                                aria-label={t("pages.settings.apiToken")}
+                                className={`${inputClass} font-mono`}
+                            />
+                            <button
+                                type="button"
+                                onClick={() => void copyTotpValue(createdApiToken)}
+                                className="inline-flex h-10 w-10 shrink-0 items-center justify-center rounded-lg border border-gray-300 bg-white text-gray-700 hover:bg-gray-50 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                                aria-label={t("pages.settings.copyApiToken")}
+                                title={t("pages.settings.copyApiToken")}
+                            >
+                                <Copy className="h-4 w-4" />
+                            </button>
+                        </div>
+                        <div className="flex justify-end">
+                            <button
+                                type="button"
+                                onClick={closeApiTokenModal}
+                                className="inline-flex h-10 items-center justify-center rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700"
+                            >
+                                {t("pages.settings.done")}
+                            </button>
+                        </div>
+                    </div>
+                ) : (
+                    <form
+                        className="space-y-5"
+                        onSubmit={(event) => {
+                            event.preventDefault();
+                            void createApiToken();
+                        }}
+                    >
+                        <p className="text-sm text-gray-500 dark:text-gray-400">
+                            {t("pages.settings.createApiTokenDescription")}
+                        </p>
+                        <div className="space-y-2">
+                            <label htmlFor="api-token-name" className={labelClass}>{t("pages.settings.apiTokenName")}</label>
+                            <input
+                                id="api-token-name"
+                                value={apiTokenForm.name}
+                                onChange={(event) => setApiTokenForm((current) => ({ ...current, name: event.target.value }))}
+                                disabled={isCreatingApiToken}
+                                className={inputClass}
+                                autoFocus
+                            />
+                        </div>
+                        <div className="grid gap-4 sm:grid-cols-2">
+                            <div className="space-y-2">
+                                <label htmlFor="api-token-scope" className={labelClass}>{t("pages.settings.apiTokenScope")}</label>
+                                <select
+                                    id="api-token-scope"
+                                    value={apiTokenForm.scope}
+                                    onChange={(event) => setApiTokenForm((current) => ({ ...current, scope: event.target.value as ApiTokenSummary['scope'] }))}
+                                    disabled={isCreatingApiToken}
+                                    className={inputClass}
+                                >
+                                    <option value="read-only">{t("pages.settings.apiTokenScopeReadOnly")}</option>
+                                    {authUser?.role === 'admin' && (
+                                        <option value="admin">{t("pages.settings.apiTokenScopeAdmin")}</option>
+                                    )}
+                                </select>
+                            </div>
+                            <div className="space-y-2">
+                                <label htmlFor="api-token-expiration" className={labelClass}>{t("pages.settings.apiTokenExpiration")}</label>
+                                <select
+                                    id="api-token-expiration"
+                                    value={apiTokenForm.expiresInDays}
+                                    onChange={(event) => setApiTokenForm((current) => ({ ...current, expiresInDays: event.target.value }))}
+                                    disabled={isCreatingApiToken}
+                                    className={inputClass}
+                                >
+                                    {API_TOKEN_LIFETIME_OPTIONS.map((days) => (
+                                        <option key={days} value={String(days)}>
+                                            {t("pages.settings.apiTokenLifetimeDays", { count: days })}
+                                        </option>
+                                    ))}
+                                    <option value="never">{t("pages.settings.apiTokenNoExpiration")}</option>
+                                </select>
+                            </div>
+                        </div>
+                        <div className="flex flex-col-reverse gap-3 sm:flex-row sm:justify-end">
+                            <button
+                                type="button"
+                                onClick={closeApiTokenModal}
+                                disabled={isCreatingApiToken}
+                                className="inline-flex h-10 items-center justify-center rounded-lg border border-gray-300 bg-white px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                            >
+                                {t("common.cancel")}
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={isCreatingApiToken || !apiTokenForm.name.trim()}
+                                className="inline-flex h-10 items-center justify-center gap-2 rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-60"
+                            >
+                                <KeySquare className="h-4 w-4" />
+                                {isCreatingApiToken ? t("common.saving") : t("pages.settings.createApiTokenSubmit")}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </Modal>
+
             <Modal
                 isOpen={passkeyModalOpen}
                 onClose={closePasskeyModal}
@@ -1173,6 +1480,554 @@ export function Settings() {
     );
 }
 
+function UserManagementCard({
+    currentUserId,
+    inputClass,
+    labelClass,
+    showToast,
+}: {
+    currentUserId: number;
+    inputClass: string;
+    labelClass: string;
+    showToast: (message: string, type?: 'success' | 'danger' | 'info') => void;
+}) {
+    const { t } = useI18n();
+    const { formatDate } = useDateTime();
+    const [users, setUsers] = useState<ManagedUser[]>([]);
+    const [createModalOpen, setCreateModalOpen] = useState(false);
+    const [createForm, setCreateForm] = useState({ username: '', password: '', role: 'read-only' as ManagedUser['role'] });
+    const [resetTarget, setResetTarget] = useState<ManagedUser | null>(null);
+    const [resetPassword, setResetPassword] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        void fetch(apiUrl('/api/auth/users'))
+            .then(async (response) => {
+                if (!response.ok) throw new Error('Failed to load users');
+                return response.json() as Promise<{ users?: ManagedUser[] }>;
+            })
+            .then((payload) => {
+                if (!cancelled) setUsers(payload.users ?? []);
+            })
+            .catch((error) => {
+                console.error("Failed to load users", error);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const sendUserRequest = async (path: string, init: RequestInit, failureKey: string): Promise<{ user?: ManagedUser } | null> => {
+        setIsSaving(true);
+        try {
+            const response = await fetch(apiUrl(path), {
+                ...init,
+                headers: init.body ? { 'Content-Type': 'application/json' } : undefined,
+            });
+            const payload = await response.json().catch(() => ({})) as { error?: string; user?: ManagedUser };
+            if (!response.ok) throw new Error(payload.error || t(failureKey));
+            return payload;
+        } catch (error) {
+            console.error(t(failureKey), error);
+            showToast(error instanceof Error ? error.message : t(failureKey), "danger");
+            return null;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const replaceUser = (nextUser: ManagedUser) => {
+        setUsers((current) => current.map((user) => user.id === nextUser.id ? nextUser : user));
+    };
+
+    const createUser = async () => {
+        const payload = await sendUserRequest('/api/auth/users', {
+            method: 'POST',
+            body: JSON.stringify(createForm),
+        }, "pages.settings.failedToCreateUser");
+        const created = payload?.user;
+        if (!created) return;
+        setUsers((current) => [...current, created].sort((left, right) => left.username.localeCompare(right.username)));
+        setCreateModalOpen(false);
+        showToast(t("pages.settings.userCreated"), "success");
+    };
+
+    const updateUser = async (user: ManagedUser, changes: Partial<Pick<ManagedUser, 'role' | 'disabled'>>) => {
+        const payload = await sendUserRequest(`/api/auth/users/${user.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes),
+        }, "pages.settings.failedToUpdateUser");
+        if (!payload?.user) return;
+        replaceUser(payload.user);
+        showToast(t("pages.settings.userUpdated"), "success");
+    };
+
+    const revokeSessions = async (user: ManagedUser) => {
+        const payload = await sendUserRequest(`/api/auth/users/${user.id}/revoke-sessions`, {
+            method: 'POST',
+        }, "pages.settings.failedToRevokeSessions");
+        if (payload) showToast(t("pages.settings.sessionsRevoked", { username: user.username }), "success");
+    };
+
+    const submitPasswordReset = async () => {
+        if (!resetTarget) return;
+        const payload = await sendUserRequest(`/api/auth/users/${resetTarget.id}/password`, {
+            method: 'POST',
+            body: JSON.stringify({ password: resetPassword }),
+        }, "pages.settings.failedToResetPassword");
+        if (!payload) return;
+        setResetTarget(null);
+        showToast(t("pages.settings.passwordReset", { username: resetTarget.username }), "success");
+    };
+
+    const secondaryButtonClass = "inline-flex h-9 items-center justify-center gap-2 rounded-lg border border-gray-300 bg-white px-3 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800";
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>{t("pages.settings.users")}</CardTitle>
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{t("pages.settings.usersDescription")}</p>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <div className="space-y-3">
+                    {users.map((user) => {
+                        const isOidcUser = user.authProvider === 'oidc';
+                        const isCurrentUser = user.id === currentUserId;
+                        return (
+                            <div
+                                key={user.id}
+                                className="flex flex-col gap-3 rounded-lg border border-gray-200 bg-gray-50 px-3 py-3 dark:border-gray-700 dark:bg-gray-900/50 lg:flex-row lg:items-center lg:justify-between"
+                            >
+                                <div className="min-w-0">
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        <p className="truncate text-sm font-medium text-gray-900 dark:text-gray-100">
+                                            {isCurrentUser ? t("pages.settings.currentUser", { username: user.username }) : user.username}
+                                        </p>
+                                        {isOidcUser && <Badge variant="info">{t("pages.settings.oidcUser")}</Badge>}
+                                        {user.disabled && <Badge variant="danger">{t("common.disabled")}</Badge>}
+                                    </div>
+                                    <p className="text-xs text-gray-500">
+                                        {t("pages.settings.userCreatedAt", { date: formatDate(user.createdAt) })}
+                                    </p>
+                                </div>
+                                <div className="flex flex-wrap items-center gap-2">
+                                    <select
+                                        aria-label={t("pages.settings.userRoleFor", { username: user.username })}
+                                        value={user.role}
+                                        onChange={(event) => void updateUser(user, { role: event.target.value as ManagedUser['role'] })}
+                                        disabled={isSaving || isOidcUser}
+                                        title={isOidcUser ? t("pages.settings.oidcRoleManaged") : undefined}
+                                        className={`${inputClass} h-9 w-auto py-1`}
+                                    >
+                                        <option value="admin">{t("pages.settings.roleAdmin")}</option>
+                                        <option value="read-only">{t("pages.settings.roleReadOnly")}</option>
+                                    </select>
+                                    {user.hasPassword && (
+                                        <button
+                                            type="button"
+                                            onClick={() => {
+                                                setResetPassword('');
+                                                setResetTarget(user);
+                                            }}
+                                            disabled={isSaving}
+                                            className={secondaryButtonClass}
+                                        >
+                                            <KeyRound className="h-4 w-4" />
+                                            {t("pages.settings.resetPassword")}
+                                        </button>
+                                    )}
+                                    <button
+                                        type="button"
+                                        onClick={() => void revokeSessions(user)}
+                                        disabled={isSaving}
+                                        className={secondaryButtonClass}
+                                        aria-label={t("pages.settings.revokeSessionsFor", { username: user.username })}
+                                    >
+                                        <LogOut className="h-4 w-4" />
+                                        {t("pages.settings.revokeSessions")}
+                                    </button>
+                                    {!isCurrentUser && (
+                                        <button
+                                            type="button"
+                                            onClick={() => void updateUser(user, { disabled: !user.disabled })}
+                                            disabled={isSaving}
+                                            className={secondaryButtonClass}
+                                            aria-label={t(user.disabled ? "pages.settings.enableUserFor" : "pages.settings.disableUserFor", { username: user.username })}
+                                        >
+                                            <Ban className="h-4 w-4" />
+                                            {user.disabled ? t("pages.settings.enableUser") : t("pages.settings.disableUser")}
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+                <button
+                    type="button"
+                    onClick={() => {
+                        setCreateForm({ username: '', password: '', role: 'read-only' });
+                        setCreateModalOpen(true);
+                    }}
+                    className="inline-flex h-10 items-center justify-center gap-2 rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700"
+                >
+                    <UserPlus className="h-4 w-4" />
+                    {t("pages.settings.addUser")}
+                </button>
+            </CardContent>
+
+            <Modal
+                isOpen={createModalOpen}
+                onClose={() => {
+                    if (!isSaving) setCreateModalOpen(false);
+                }}
+                title={t("pages.settings.addUser")}
+            >
+                <form
+                    className="space-y-5"
+                    onSubmit={(event) => {
+                        event.preventDefault();
+                        void createUser();
+                    }}
+                >
+                    <div className="space-y-2">
+                        <label htmlFor="new-user-username" className={labelClass}>{t("pages.settings.username")}</label>
+                        <input
+                            id="new-user-username"
+                            value={createForm.username}
+                            onChange={(event) => setCreateForm((current) => ({ ...current, username: event.target.value }))}
+                            disabled={isSaving}
+                            autoComplete="off"
+                            className={inputClass}
+                            autoFocus
+                        />
+                    </div>
+                    <div className="space-y-2">
+                        <label htmlFor="new-user-password" className={labelClass}>{t("pages.settings.initialPassword")}</label>
+                        <input
+                            id="new-user-password"
+                            type="password"
+                            value={createForm.password}
+                            onChange={(event) => setCreateForm((current) => ({ ...current, password: event.target.value }))}
+                            disabled={isSaving}
+                            autoComplete="new-password"
+                            className={inputClass}
+                        />
+                    </div>
+                    <div className="space-y-2">
+                        <label htmlFor="new-user-role" className={labelClass}>{t("pages.settings.role")}</label>
+                        <select
+                            id="new-user-role"
+                            value={createForm.role}
+                            onChange={(event) => setCreateForm((current) => ({ ...current, role: event.target.value as ManagedUser['role'] }))}
+                            disabled={isSaving}
+                            className={inputClass}
+                        >
+                            <option value="read-only">{t("pages.settings.roleReadOnly")}</option>
+                            <option value="admin">{t("pages.settings.roleAdmin")}</option>
+                        </select>
+                    </div>
+                    <div className="flex flex-col-reverse gap-3 sm:flex-row sm:justify-end">
+                        <button
+                            type="button"
+                            onClick={() => setCreateModalOpen(false)}
+                            disabled={isSaving}
+                            className="inline-flex h-10 items-center justify-center rounded-lg border border-gray-300 bg-white px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                        >
+                            {t("common.cancel")}
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSaving || !createForm.username.trim() || !createForm.password}
+                            className="inline-flex h-10 items-center justify-center gap-2 rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-60"
+                        >
+                            <UserPlus className="h-4 w-4" />
+                            {isSaving ? t("common.saving") : t("pages.settings.createUser")}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+
+            <Modal
+                isOpen={resetTarget !== null}
+                onClose={() => {
+                    if (!isSaving) setResetTarget(null);
+                }}
+                title={t("pages.settings.resetPasswordTitle", { username: resetTarget?.username ?? '' })}
+            >
+                <form
+                    className="space-y-5"
+                    onSubmit={(event) => {
+                        event.preventDefault();
+                        void submitPasswordReset();
+                    }}
+                >
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {t("pages.settings.resetPasswordDescription")}
+                    </p>
+                    <div className="space-y-2">
+                        <label htmlFor="reset-user-password" className={labelClass}>{t("pages.settings.newPassword")}</label>
+                        <input
+                            id="reset-user-password"
+                            type="password"
+                            value={resetPassword}
+                            onChange={(event) => setResetPassword(event.target.value)}
+                            disabled={isSaving}
+                            autoComplete="new-password"
+                            className={inputClass}
+                            autoFocus
+                        />
+                    </div>
+                    <div className="flex flex-col-reverse gap-3 sm:flex-row sm:justify-end">
+                        <button
+                            type="button"
+                            onClick={() => setResetTarget(null)}
+                            disabled={isSaving}
+                            className="inline-flex h-10 items-center justify-center rounded-lg border border-gray-300 bg-white px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800"
+                        >
+                            {t("common.cancel")}
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSaving || !resetPassword}
+                            className="inline-flex h-10 items-center justify-center gap-2 rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-60"
+                        >
+                            <Save className="h-4 w-4" />
+                            {isSaving ? t("common.saving") : t("pages.settings.resetPassword")}
+                        </button>
+                    </div>
+                </form>
+            </Modal>
+        </Card>
+    );
+}
+
+function BackupRestoreCard({
+    inputClass,
+    labelClass,
+    showToast,
+}: {
+    inputClass: string;
+    labelClass: string;
+    showToast: (message: string, type?: 'success' | 'danger' | 'info') => void;
+}) {
+    const { t } = useI18n();
+    const { formatDate } = useDateTime();
+    const [exportPassphrase, setExportPassphrase] = useState('');
+    const [bundle, setBundle] = useState<unknown>(null);
+    const [fileName, setFileName] = useState('');
+    const [importPassphrase, setImportPassphrase] = useState('');
+    const [mode, setMode] = useState<BackupImportMode>('merge');
+    const [preview, setPreview] = useState<BackupPreviewResponse | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [inProgress, setInProgress] = useState(false);
+
+    const request: ImportBackupRequest = { bundle, mode, ...(importPassphrase ? { passphrase: importPassphrase } : {}) };
+
+    const downloadBackup = async () => {
+        setInProgress(true);
+        try {
+            const exported = await exportBackup(exportPassphrase ? { passphrase: exportPassphrase } : {});
+            const url = URL.createObjectURL(new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `crowdsec-web-ui-backup-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+            setExportPassphrase('');
+            showToast(t("pages.settings.backupExported"), "success");
+        } catch (exportError) {
+            console.error(t("pages.settings.failedToExportBackup"), exportError);
+            showToast(exportError instanceof Error ? exportError.message : t("pages.settings.failedToExportBackup"), "danger");
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    const handleFileChange = async (event: ChangeEvent<HTMLInputElement>) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+        setPreview(null);
+        setFileName(file.name);
+        try {
+            setBundle(JSON.parse(await file.text()) as unknown);
+            setError(null);
+        } catch {
+            setBundle(null);
+            setError(t("pages.settings.backupFileInvalid"));
+        }
+    };
+
+    const runPreview = async () => {
+        setInProgress(true);
+        setError(null);
+        try {
+            setPreview(await previewBackupImport(request));
+        } catch (previewError) {
+            setPreview(null);
+            setError(previewError instanceof Error ? previewError.message : t("pages.settings.failedToPreviewBackup"));
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    const runImport = async () => {
+        setInProgress(true);
+        setError(null);
+        try {
+            await importBackup(request);
+            setPreview(null);
+            setBundle(null);
+            setFileName('');
+            setImportPassphrase('');
+            showToast(t("pages.settings.backupImported"), "success");
+            window.setTimeout(() => window.location.reload(), 1000);
+        } catch (importError) {
+            setError(importError instanceof Error ? importError.message : t("pages.settings.failedToImportBackup"));
+        } finally {
+            setInProgress(false);
+        }
+    };
+
+    const secondaryButtonClass = "inline-flex h-10 items-center justify-center gap-2 rounded-lg border border-gray-300 bg-white px-4 text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:cursor-not-allowed disabled:opacity-60 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-200 dark:hover:bg-gray-800";
+    const primaryButtonClass = "inline-flex h-10 items-center justify-center gap-2 rounded-lg bg-primary-600 px-4 text-sm font-medium text-white hover:bg-primary-700 disabled:cursor-not-allowed disabled:opacity-60";
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>{t("pages.settings.backup")}</CardTitle>
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">{t("pages.settings.backupDescription")}</p>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <div className="space-y-3">
+                    <div className="space-y-2">
+                        <label htmlFor="backup-export-passphrase" className={labelClass}>{t("pages.settings.backupExportPassphrase")}</label>
+                        <input
+                            id="backup-export-passphrase"
+                            type="password"
+                            value={exportPassphrase}
+                            onChange={(event) => setExportPassphrase(event.target.value)}
+                            disabled={inProgress}
+                            autoComplete="new-password"
+                            className={inputClass}
+                        />
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{t("pages.settings.backupExportPassphraseHint")}</p>
+                    </div>
+                    <button type="button" onClick={() => void downloadBackup()} disabled={inProgress} className={primaryButtonClass}>
+                        <Download className="h-4 w-4" />
+                        {t("pages.settings.exportBackup")}
+                    </button>
+                </div>
+
+                <div className="space-y-3 border-t border-gray-200 pt-6 dark:border-gray-700">
+                    <div className="space-y-2">
+                        <label htmlFor="backup-import-file" className={labelClass}>{t("pages.settings.backupFile")}</label>
+                        <input
+                            id="backup-import-file"
+                            type="file"
+                            accept=".json,application/json"
+                            onChange={(event) => void handleFileChange(event)}
+                            disabled={inProgress}
+                            className="block w-full text-sm text-gray-700 dark:text-gray-300"
+                        />
+                        {fileName && <p className="text-xs text-gray-500 dark:text-gray-400">{fileName}</p>}
+                    </div>
+                    <div className="grid gap-3 sm:grid-cols-2">
+                        <div className="space-y-2">
+                            <label htmlFor="backup-import-passphrase" className={labelClass}>{t("pages.settings.backupImportPassphrase")}</label>
+                            <input
+                                id="backup-import-passphrase"
+                                type="password"
+                                value={importPassphrase}
+                                onChange={(event) => {
+                                    setImportPassphrase(event.target.value);
+                                    setPreview(null);
+                                }}
+                                disabled={inProgress}
+                                autoComplete="off"
+                                className={inputClass}
+                            />
+                        </div>
+                        <div className="space-y-2">
+                            <label htmlFor="backup-import-mode" className={labelClass}>{t("pages.settings.backupImportMode")}</label>
+                            <select
+                                id="backup-import-mode"
+                                value={mode}
+                                onChange={(event) => {
+                                    setMode(event.target.value as BackupImportMode);
+                                    setPreview(null);
+                                }}
+                                disabled={inProgress}
+                                className={inputClass}
+                            >
+                                <option value="merge">{t("pages.settings.backupModeMerge")}</option>
+                                <option value="replace">{t("pages.settings.backupModeReplace")}</option>
+                            </select>
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {mode === 'replace' ? t("pages.settings.backupModeReplaceHint") : t("pages.settings.backupModeMergeHint")}
+                    </p>
+
+                    {error && (
+                        <div role="alert" className="rounded-lg border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700 dark:border-red-900 dark:bg-red-950/40 dark:text-red-300">
+                            {error}
+                        </div>
+                    )}
+
+                    {preview && (
+                        <div className="space-y-2 rounded-lg border border-gray-200 bg-gray-50 px-3 py-3 dark:border-gray-700 dark:bg-gray-900/50">
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                {t("pages.settings.backupCreatedAt", { date: formatDate(preview.created_at), version: preview.app_version })}
+                            </p>
+                            {!preview.includes_secrets && (
+                                <p className="text-xs text-amber-700 dark:text-amber-400">{t("pages.settings.backupWithoutSecrets")}</p>
+                            )}
+                            <table className="w-full text-left text-sm">
+                                <thead className="text-xs uppercase text-gray-500 dark:text-gray-400">
+                                    <tr>
+                                        <th className="py-1 font-semibold">{t("pages.settings.backupSection")}</th>
+                                        <th className="py-1 font-semibold">{t("pages.settings.backupAdded")}</th>
+                                        <th className="py-1 font-semibold">{t("pages.settings.backupChanged")}</th>
+                                        <th className="py-1 font-semibold">{t("pages.settings.backupRemoved")}</th>
+                                        <th className="py-1 font-semibold">{t("pages.settings.backupUnchanged")}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="text-gray-900 dark:text-gray-100">
+                                    {BACKUP_SECTIONS.map((section) => {
+                                        const diff = preview.sections[section];
+                                        return (
+                                            <tr key={section} className="border-t border-gray-200 dark:border-gray-700">
+                                                <td className="py-1">{t(BACKUP_SECTION_LABEL_KEYS[section])}</td>
+                                                <td className="py-1" title={diff.added.join(', ')}>{diff.added.length}</td>
+                                                <td className="py-1" title={diff.changed.join(', ')}>{diff.changed.length}</td>
+                                                <td className="py-1" title={diff.removed.join(', ')}>{diff.removed.length}</td>
+                                                <td className="py-1">{diff.unchanged}</td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div className="flex flex-wrap gap-2">
+                        <button type="button" onClick={() => void runPreview()} disabled={inProgress || !bundle} className={secondaryButtonClass}>
+                            <Eye className="h-4 w-4" />
+                            {t("pages.settings.previewBackup")}
+                        </button>
+                        <button type="button" onClick={() => void runImport()} disabled={inProgress || !preview} className={primaryButtonClass}>
+                            <Upload className="h-4 w-4" />
+                            {inProgress ? t("common.saving") : t("pages.settings.importBackup")}
+                        </button>
+                    </div>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
 function GroupListEditor({
     id,
     label,
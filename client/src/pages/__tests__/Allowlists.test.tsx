@@ -0,0 +1,145 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { Allowlists } from '../Allowlists';
+import type { AllowlistsResponse } from '../../types';
+
+const {
+  addAllowlistItemsMock,
+  createAllowlistMock,
+  deleteAllowlistMock,
+  fetchAllowlistsMock,
+  fetchConfigMock,
+  removeAllowlistItemsMock,
+} = vi.hoisted(() => ({
+  addAllowlistItemsMock: vi.fn(),
+  createAllowlistMock: vi.fn(),
+  deleteAllowlistMock: vi.fn(),
+  fetchAllowlistsMock: vi.fn(),
+  fetchConfigMock: vi.fn(),
+  removeAllowlistItemsMock: vi.fn(),
+}));
+
+vi.mock('../../contexts/useRefresh', () => ({
+  useRefresh: () => ({ refreshSignal: 0 }),
+}));
+
+vi.mock('../../lib/api', () => ({
+  addAllowlistItems: addAllowlistItemsMock,
+  createAllowlist: createAllowlistMock,
+  deleteAllowlist: deleteAllowlistMock,
+  fetchAllowlists: fetchAllowlistsMock,
+  fetchConfig: fetchConfigMock,
+  removeAllowlistItems: removeAllowlistItemsMock,
+}));
+
+const SUCCESS = { results: [{ instance_id: 'secondary', instance_name: 'Secondary', success: true }], succeeded: 1, failed: 0 };
+
+function buildResponse(overrides: Partial<AllowlistsResponse> = {}): AllowlistsResponse {
+  return {
+    allowlists: [{
+      instance_id: 'secondary',
+      instance_name: 'Secondary',
+      name: 'partners',
+      description: 'Trusted partners',
+      created_at: '2026-06-01T00:00:00.000Z',
+      updated_at: '2026-06-01T00:00:00.000Z',
+      console_managed: false,
+      items: [{ value: '192.0.2.10', description: 'office', created_at: '2026-06-01T00:00:00.000Z', expiration: null }],
+    }, {
+      instance_id: 'primary',
+      instance_name: 'Primary',
+      name: 'console',
+      description: null,
+      created_at: null,
+      updated_at: null,
+      console_managed: true,
+      items: [],
+    }],
+    errors: [],
+    ...overrides,
+  };
+}
+
+function renderPage(path = '/allowlists?instance=all') {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Allowlists />
+    </MemoryRouter>,
+  );
+}
+
+beforeEach(() => {
+  for (const mock of [addAllowlistItemsMock, createAllowlistMock, deleteAllowlistMock, fetchAllowlistsMock, fetchConfigMock, removeAllowlistItemsMock]) {
+    mock.mockReset();
+  }
+  fetchConfigMock.mockResolvedValue({
+    permissions: { can_manage_enforcement: true },
+    instances: [{ id: 'primary', name: 'Primary', prometheus: [] }, { id: 'secondary', name: 'Secondary', prometheus: [] }],
+  });
+  fetchAllowlistsMock.mockResolvedValue(buildResponse());
+  for (const mock of [addAllowlistItemsMock, createAllowlistMock, deleteAllowlistMock, removeAllowlistItemsMock]) {
+    mock.mockResolvedValue(SUCCESS);
+  }
+});
+
+describe('Allowlists page', () => {
+  test('creates allowlists on every instance and edits entries on the owning instance', async () => {
+    renderPage();
+
+    expect(await screen.findByText('partners')).toBeInTheDocument();
+    expect(fetchAllowlistsMock).toHaveBeenCalledWith('all');
+    expect(screen.getByText('Secondary')).toBeInTheDocument();
+    expect(screen.getByText('Console managed')).toBeInTheDocument();
+    expect(screen.getByRole('table', { name: 'Entries of partners' })).toHaveTextContent('192.0.2.10');
+
+    await userEvent.type(screen.getByLabelText('Name'), 'monitoring');
+    await userEvent.click(screen.getByRole('button', { name: 'Create allowlist' }));
+    await waitFor(() => expect(createAllowlistMock).toHaveBeenCalledWith({ name: 'monitoring', scope: 'all' }));
+
+    await userEvent.type(screen.getByLabelText('IPs or ranges'), '198.51.100.0/24, 203.0.113.7');
+    await userEvent.selectOptions(screen.getByLabelText('Expiration'), '7d');
+    await userEvent.click(screen.getByRole('button', { name: 'Add' }));
+    await waitFor(() => expect(addAllowlistItemsMock).toHaveBeenCalledWith('partners', {
+      values: ['198.51.100.0/24', '203.0.113.7'],
+      expiration: '7d',
+      scope: 'instance',
+      instance_id: 'secondary',
+    }));
+
+    await userEvent.click(screen.getByRole('button', { name: 'Remove 192.0.2.10' }));
+    await userEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(removeAllowlistItemsMock).toHaveBeenCalledWith('partners', {
+      values: ['192.0.2.10'],
+      scope: 'instance',
+      instance_id: 'secondary',
+    }));
+
+    await userEvent.click(screen.getByRole('button', { name: 'Delete allowlist partners' }));
+    await userEvent.click(within(await screen.findByRole('dialog')).getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(deleteAllowlistMock).toHaveBeenCalledWith('partners', { scope: 'instance', instance_id: 'secondary' }));
+  });
+
+  test('shows instances that could not be read', async () => {
+    fetchAllowlistsMock.mockResolvedValue(buildResponse({
+      errors: [{ instance_id: 'primary', instance_name: 'Primary', success: false, error: 'Bad Gateway' }],
+    }));
+
+    renderPage('/allowlists?instance=secondary');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Primary: Bad Gateway');
+    expect(fetchAllowlistsMock).toHaveBeenCalledWith('secondary');
+  });
+
+  test('hides editing controls for read-only sessions', async () => {
+    fetchConfigMock.mockResolvedValue({ permissions: { can_manage_enforcement: false }, instances: [] });
+
+    renderPage('/allowlists');
+
+    expect(await screen.findByText('partners')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Create allowlist' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Remove 192.0.2.10' })).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('IPs or ranges')).not.toBeInTheDocument();
+  });
+});
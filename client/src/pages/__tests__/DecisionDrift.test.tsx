@@ -0,0 +1,118 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { DecisionDrift } from '../DecisionDrift';
+import type { DecisionDriftResponse } from '../../types';
+
+const {
+  fetchConfigMock,
+  fetchDecisionDriftMock,
+  fetchDecisionMirrorPolicyMock,
+  propagateDecisionsMock,
+  updateDecisionMirrorPolicyMock,
+} = vi.hoisted(() => ({
+  fetchConfigMock: vi.fn(),
+  fetchDecisionDriftMock: vi.fn(),
+  fetchDecisionMirrorPolicyMock: vi.fn(),
+  propagateDecisionsMock: vi.fn(),
+  updateDecisionMirrorPolicyMock: vi.fn(),
+}));
+
+vi.mock('../../contexts/useRefresh', () => ({
+  useRefresh: () => ({ refreshSignal: 0 }),
+}));
+
+vi.mock('../../lib/api', () => ({
+  fetchConfig: fetchConfigMock,
+  fetchDecisionDrift: fetchDecisionDriftMock,
+  fetchDecisionMirrorPolicy: fetchDecisionMirrorPolicyMock,
+  propagateDecisions: propagateDecisionsMock,
+  updateDecisionMirrorPolicy: updateDecisionMirrorPolicyMock,
+}));
+
+function buildResponse(overrides: Partial<DecisionDriftResponse> = {}): DecisionDriftResponse {
+  return {
+    instances: [{ id: 'primary', name: 'Primary' }, { id: 'secondary', name: 'Secondary' }],
+    origins: ['CAPI', 'cscli'],
+    items: [{
+      value: '192.0.2.10',
+      scope: 'Ip',
+      present_on: [{ instance_id: 'primary', type: 'ban', origin: 'cscli', scenario: 'manual/web-ui', stop_at: '2026-06-01T04:00:00.000Z' }],
+      missing_on: ['secondary'],
+    }, {
+      value: '198.51.100.7',
+      scope: 'Ip',
+      present_on: [{ instance_id: 'secondary', type: 'ban', origin: 'cscli', scenario: 'manual/web-ui', stop_at: '2026-06-01T05:00:00.000Z' }],
+      missing_on: ['primary'],
+    }],
+    total: 2,
+    ...overrides,
+  };
+}
+
+function renderPage() {
+  return render(
+    <MemoryRouter initialEntries={['/decisions/drift']}>
+      <DecisionDrift />
+    </MemoryRouter>,
+  );
+}
+
+beforeEach(() => {
+  for (const mock of [fetchConfigMock, fetchDecisionDriftMock, fetchDecisionMirrorPolicyMock, propagateDecisionsMock, updateDecisionMirrorPolicyMock]) {
+    mock.mockReset();
+  }
+  fetchConfigMock.mockResolvedValue({ permissions: { can_manage_enforcement: true, can_manage_settings: true } });
+  fetchDecisionDriftMock.mockResolvedValue(buildResponse());
+  fetchDecisionMirrorPolicyMock.mockResolvedValue({ enabled: false, instance_ids: [], enabled_at: null });
+  propagateDecisionsMock.mockResolvedValue({
+    results: [{ instance_id: 'secondary', instance_name: 'Secondary', success: true, result: { propagated: 1 } }],
+    succeeded: 1,
+    failed: 0,
+    propagated: 1,
+  });
+});
+
+describe('DecisionDrift page', () => {
+  test('lists values missing on an instance and propagates the selected ones', async () => {
+    renderPage();
+
+    const table = await screen.findByRole('table', { name: 'Values with drift' });
+    expect(table).toHaveTextContent('192.0.2.10');
+    expect(table).toHaveTextContent('198.51.100.7');
+    expect(screen.getByText('2 value(s) missing on at least one instance')).toBeInTheDocument();
+    expect(fetchDecisionDriftMock).toHaveBeenCalledWith('');
+
+    const propagate = screen.getByRole('button', { name: 'Propagate to missing instances (0)' });
+    expect(propagate).toBeDisabled();
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Select 192.0.2.10' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Propagate to missing instances (1)' }));
+    await waitFor(() => expect(propagateDecisionsMock).toHaveBeenCalledWith(['192.0.2.10']));
+
+    await userEvent.selectOptions(screen.getByLabelText('Origin'), 'CAPI');
+    await waitFor(() => expect(fetchDecisionDriftMock).toHaveBeenLastCalledWith('CAPI'));
+  });
+
+  test('saves the mirroring policy and hides actions from read-only users', async () => {
+    updateDecisionMirrorPolicyMock.mockResolvedValue({ enabled: true, instance_ids: ['primary', 'secondary'], enabled_at: '2026-06-01T00:00:00.000Z' });
+    const { unmount } = renderPage();
+
+    await userEvent.click(await screen.findByRole('switch'));
+    const save = screen.getByRole('button', { name: 'Save mirroring' });
+    expect(save).toBeDisabled();
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Primary' }));
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Secondary' }));
+    await userEvent.click(save);
+    await waitFor(() => expect(updateDecisionMirrorPolicyMock).toHaveBeenCalledWith({ enabled: true, instance_ids: ['primary', 'secondary'] }));
+    expect(await screen.findByText('Mirroring new decisions since')).toBeInTheDocument();
+    unmount();
+
+    fetchConfigMock.mockResolvedValue({ permissions: { can_manage_enforcement: false, can_manage_settings: false } });
+    renderPage();
+    expect(await screen.findByRole('table', { name: 'Values with drift' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Propagate to missing instances/ })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Save mirroring' })).not.toBeInTheDocument();
+    expect(screen.getByText('Only administrators can change mirroring settings.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,157 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { MemoryRouter } from 'react-router-dom';
+import { Incidents } from '../Incidents';
+import type { IncidentDetail, IncidentListResponse, IncidentSummary } from '../../types';
+
+const {
+  fetchConfigMock,
+  fetchIncidentsMock,
+  fetchIncidentMock,
+  updateIncidentMock,
+  runIncidentActionMock,
+  updateIncidentSettingsMock,
+} = vi.hoisted(() => ({
+  fetchConfigMock: vi.fn(),
+  fetchIncidentsMock: vi.fn(),
+  fetchIncidentMock: vi.fn(),
+  updateIncidentMock: vi.fn(),
+  runIncidentActionMock: vi.fn(),
+  updateIncidentSettingsMock: vi.fn(),
+}));
+
+vi.mock('../../contexts/useRefresh', () => ({
+  useRefresh: () => ({ refreshSignal: 0 }),
+}));
+
+vi.mock('../../lib/api', () => ({
+  fetchConfig: fetchConfigMock,
+  fetchIncidents: fetchIncidentsMock,
+  fetchIncident: fetchIncidentMock,
+  updateIncident: updateIncidentMock,
+  runIncidentAction: runIncidentActionMock,
+  updateIncidentSettings: updateIncidentSettingsMock,
+}));
+
+function buildIncident(overrides: Partial<IncidentSummary> = {}): IncidentSummary {
+  return {
+    id: 7,
+    kind: 'ip',
+    value: '192.0.2.10',
+    label: null,
+    status: 'new',
+    assignee: null,
+    first_seen: '2026-06-01T00:00:00.000Z',
+    last_seen: '2026-06-01T00:40:00.000Z',
+    alert_count: 3,
+    event_count: 12,
+    source_count: 1,
+    scenarios: ['crowdsecurity/http-probing', 'crowdsecurity/ssh-bf'],
+    targets: ['nginx'],
+    instances: ['default'],
+    updated_at: null,
+    updated_by: null,
+    ...overrides,
+  };
+}
+
+function buildList(incidents: IncidentSummary[] = [buildIncident()]): IncidentListResponse {
+  return {
+    data: incidents,
+    pagination: { page: 1, page_size: 50, total: incidents.length, total_pages: 1, unfiltered_total: incidents.length },
+    selectable_ids: incidents.map((incident) => incident.id),
+    settings: { group_by: 'source', window_minutes: 60 },
+  };
+}
+
+function buildDetail(): IncidentDetail {
+  return {
+    ...buildIncident(),
+    sources: ['192.0.2.10'],
+    alerts: [{
+      id: 41,
+      instance_id: 'default',
+      instance_name: 'CrowdSec',
+      created_at: '2026-06-01T00:40:00.000Z',
+      scenario: 'crowdsecurity/ssh-bf',
+      source: { ip: '192.0.2.10', value: '192.0.2.10' },
+      target: 'nginx',
+      meta_search: '',
+      decisions: [],
+    }],
+    alerts_truncated: false,
+  };
+}
+
+function renderPage(path = '/incidents') {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Incidents />
+    </MemoryRouter>,
+  );
+}
+
+beforeEach(() => {
+  for (const mock of [fetchConfigMock, fetchIncidentsMock, fetchIncidentMock, updateIncidentMock, runIncidentActionMock, updateIncidentSettingsMock]) {
+    mock.mockReset();
+  }
+  fetchConfigMock.mockResolvedValue({ permissions: { can_manage_enforcement: true, can_manage_settings: true } });
+  fetchIncidentsMock.mockResolvedValue(buildList());
+  fetchIncidentMock.mockResolvedValue(buildDetail());
+  updateIncidentMock.mockResolvedValue(buildIncident({ status: 'acknowledged', assignee: 'alice' }));
+  runIncidentActionMock.mockResolvedValue({
+    results: [{ instance_id: 'default', instance_name: 'CrowdSec', success: true, result: { banned: 1 } }],
+    succeeded: 1,
+    failed: 0,
+    sources: 1,
+  });
+  updateIncidentSettingsMock.mockResolvedValue({ group_by: 'as', window_minutes: 30 });
+});
+
+describe('Incidents page', () => {
+  test('lists open incidents and filters by status', async () => {
+    renderPage();
+
+    const table = await screen.findByRole('table', { name: 'Grouped incidents' });
+    expect(table).toHaveTextContent('192.0.2.10');
+    expect(table).toHaveTextContent('Unassigned');
+    expect(screen.getByText('1 incident(s)')).toBeInTheDocument();
+    expect(fetchIncidentsMock).toHaveBeenCalledWith(1, 50, { status: 'new,acknowledged' });
+
+    await userEvent.selectOptions(screen.getByLabelText('Status'), 'resolved');
+    await waitFor(() => expect(fetchIncidentsMock).toHaveBeenLastCalledWith(1, 50, { status: 'resolved' }));
+  });
+
+  test('triages an incident and bans or cleans up its sources', async () => {
+    renderPage('/incidents?id=7');
+
+    expect(await screen.findByText('Incident #7')).toBeInTheDocument();
+    expect(fetchIncidentMock).toHaveBeenCalledWith(7);
+    expect(screen.getByText('Alert timeline')).toBeInTheDocument();
+
+    await userEvent.selectOptions(screen.getByLabelText('Status', { selector: '#incident-status' }), 'acknowledged');
+    await userEvent.type(screen.getByLabelText('Assignee'), 'alice');
+    await userEvent.click(screen.getByRole('button', { name: 'Save' }));
+    await waitFor(() => expect(updateIncidentMock).toHaveBeenCalledWith(7, { status: 'acknowledged', assignee: 'alice' }));
+
+    await userEvent.selectOptions(screen.getByLabelText('Ban duration'), '24h');
+    await userEvent.click(screen.getByRole('button', { name: 'Ban all sources (1)' }));
+    await waitFor(() => expect(runIncidentActionMock).toHaveBeenCalledWith(7, { action: 'ban', duration: '24h', type: 'ban' }));
+
+    await userEvent.click(screen.getByRole('button', { name: 'Clean up all sources' }));
+    const dialog = await screen.findByRole('dialog');
+    await userEvent.click(within(dialog).getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(runIncidentActionMock).toHaveBeenLastCalledWith(7, { action: 'cleanup' }));
+  });
+
+  test('hides triage and correlation controls from read-only users', async () => {
+    fetchConfigMock.mockResolvedValue({ permissions: { can_manage_enforcement: false, can_manage_settings: false } });
+    renderPage('/incidents?id=7');
+
+    expect(await screen.findByText('Incident #7')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Ban all sources/ })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Save correlation' })).not.toBeInTheDocument();
+    expect(screen.getByText('Only administrators can change correlation settings.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,179 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import { IpProfile } from '../IpProfile';
+import type { IpProfileResponse } from '../../types';
+
+const {
+  addDecisionMock,
+  cleanupByIpMock,
+  fetchConfigMock,
+  fetchIpProfileMock,
+} = vi.hoisted(() => ({
+  addDecisionMock: vi.fn(),
+  cleanupByIpMock: vi.fn(),
+  fetchConfigMock: vi.fn(),
+  fetchIpProfileMock: vi.fn(),
+}));
+
+vi.mock('../../contexts/useRefresh', () => ({
+  useRefresh: () => ({ refreshSignal: 0 }),
+}));
+
+vi.mock('../../lib/api', () => ({
+  addDecision: addDecisionMock,
+  cleanupByIp: cleanupByIpMock,
+  fetchConfig: fetchConfigMock,
+  fetchIpProfile: fetchIpProfileMock,
+}));
+
+const NOW = Date.parse('2026-06-30T12:00:00.000Z');
+
+function buildProfile(overrides: Partial<IpProfileResponse> = {}): IpProfileResponse {
+  return {
+    value: '1.2.3.4',
+    kind: 'ip',
+    first_seen: '2026-06-28T09:00:00.000Z',
+    last_seen: '2026-06-30T11:00:00.000Z',
+    location: {
+      country: 'DE',
+      country_name: 'Germany',
+      region: 'Berlin',
+      city: 'Berlin',
+      as_name: 'Hetzner',
+      as_number: '24940',
+      latitude: 52.52,
+      longitude: 13.405,
+    },
+    stats: {
+      alert_count: 3,
+      decision_count: 2,
+      active_decision_count: 1,
+      scenario_count: 2,
+      active_days: 2,
+      instance_count: 2,
+      repeat_offender: true,
+    },
+    scenarios: [{ value: 'crowdsecurity/ssh-bf', count: 2 }, { value: 'crowdsecurity/http-probing', count: 1 }],
+    targets: [{ value: 'ssh', count: 2 }],
+    machines: [{ value: 'edge-1', count: 3 }],
+    instances: [
+      { instance_id: 'primary', instance_name: 'Primary', alerts: 2, decisions: 1 },
+      { instance_id: 'secondary', instance_name: 'Secondary', alerts: 1, decisions: 1 },
+    ],
+    alerts: [{
+      id: 7,
+      instance_id: 'primary',
+      instance_name: 'Primary',
+      created_at: '2026-06-30T11:00:00.000Z',
+      scenario: 'crowdsecurity/ssh-bf',
+      source: { ip: '1.2.3.4', value: '1.2.3.4' },
+      target: 'ssh',
+      meta_search: '',
+      decisions: [],
+    }],
+    active_decisions: [{
+      id: 70,
+      instance_id: 'primary',
+      instance_name: 'Primary',
+      created_at: '2026-06-30T11:00:00.000Z',
+      value: '1.2.3.4',
+      expired: false,
+      is_duplicate: false,
+      detail: { origin: 'crowdsec', action: 'ban', expiration: '2026-06-30T13:00:00.000Z' },
+    }],
+    expired_decisions: [],
+    alerts_truncated: false,
+    decisions_truncated: false,
+    ...overrides,
+  };
+}
+
+function renderProfile(path = '/ip/1.2.3.4') {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <Routes>
+        <Route path="/ip/:value" element={<IpProfile />} />
+      </Routes>
+    </MemoryRouter>,
+  );
+}
+
+beforeEach(() => {
+  vi.spyOn(Date, 'now').mockReturnValue(NOW);
+  addDecisionMock.mockReset();
+  cleanupByIpMock.mockReset();
+  fetchConfigMock.mockReset();
+  fetchIpProfileMock.mockReset();
+  fetchConfigMock.mockResolvedValue({
+    permissions: { can_manage_enforcement: true },
+    instances: [{ id: 'primary', name: 'Primary', prometheus: [] }, { id: 'secondary', name: 'Secondary', prometheus: [] }],
+  });
+  fetchIpProfileMock.mockResolvedValue(buildProfile());
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('IP profile page', () => {
+  test('shows the cross-instance history for a range', async () => {
+    fetchIpProfileMock.mockResolvedValue(buildProfile({ value: '1.2.3.0/24', kind: 'range' }));
+    renderProfile(`/ip/${encodeURIComponent('1.2.3.0/24')}`);
+
+    expect(await screen.findByRole('heading', { name: '1.2.3.0/24' })).toBeInTheDocument();
+    expect(fetchIpProfileMock).toHaveBeenCalledWith('1.2.3.0/24');
+    expect(screen.getByText('Repeat offender')).toBeInTheDocument();
+    expect(screen.getByText('Hetzner (AS24940)')).toBeInTheDocument();
+    expect(screen.getByText('2 alert(s), 1 decision(s)')).toBeInTheDocument();
+    expect(screen.getByText('edge-1')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Open in Alerts' })).toHaveAttribute('href', '/alerts?q=ip%3A1.2.3.0%2F24');
+    expect(screen.getByText('No expired decisions.')).toBeInTheDocument();
+  });
+
+  test('bans, extends and cleans up across every instance', async () => {
+    addDecisionMock.mockResolvedValue({ results: [], succeeded: 2, failed: 0 });
+    cleanupByIpMock.mockResolvedValue({
+      requested_alerts: 3,
+      requested_decisions: 2,
+      deleted_alerts: 3,
+      deleted_decisions: 2,
+      failed: [],
+    });
+    renderProfile();
+
+    await userEvent.selectOptions(await screen.findByLabelText('Ban duration'), '24h');
+    await userEvent.click(screen.getByRole('button', { name: 'Ban' }));
+    await waitFor(() => expect(addDecisionMock).toHaveBeenCalledWith({
+      value: '1.2.3.4',
+      decision_scope: 'ip',
+      duration: '24h',
+      reason: 'manual',
+      type: 'ban',
+      scope: 'all',
+    }));
+
+    await userEvent.click(screen.getByRole('button', { name: 'Extend' }));
+    await waitFor(() => expect(addDecisionMock).toHaveBeenLastCalledWith(expect.objectContaining({
+      duration: `${60 + 24 * 60}m`,
+      scope: 'all',
+    })));
+
+    await userEvent.click(screen.getByRole('button', { name: 'Clean up' }));
+    const dialog = await screen.findByRole('dialog');
+    await userEvent.click(within(dialog).getByRole('button', { name: 'Delete' }));
+    await waitFor(() => expect(cleanupByIpMock).toHaveBeenCalledWith({ ip: '1.2.3.4', scope: 'all' }));
+  });
+
+  test('hides enforcement actions for read-only sessions', async () => {
+    fetchConfigMock.mockResolvedValue({ permissions: { can_manage_enforcement: false }, instances: [] });
+    fetchIpProfileMock.mockResolvedValue(buildProfile({ active_decisions: [] }));
+
+    renderProfile();
+
+    expect(await screen.findByRole('heading', { name: '1.2.3.4' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Ban' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Clean up' })).not.toBeInTheDocument();
+  });
+});
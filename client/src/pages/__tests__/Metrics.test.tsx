@@ -3,16 +3,18 @@ import userEvent from '@testing-library/user-event';
 import { beforeEach, describe, expect, test, vi } from 'vitest';
 import { BrowserRouter, useNavigate } from 'react-router-dom';
 import { Metrics } from '../Metrics';
-import type { CrowdsecMetricsResponse } from '../../types';
+import type { CrowdsecMetricsHistoryResponse, CrowdsecMetricsResponse } from '../../types';
 import { I18nContext } from '../../lib/i18n';
 
 const {
   fetchConfigMock,
   fetchCrowdsecMetricsMock,
+  fetchCrowdsecMetricsHistoryMock,
   setLastUpdatedMock,
 } = vi.hoisted(() => ({
   fetchConfigMock: vi.fn(),
   fetchCrowdsecMetricsMock: vi.fn(),
+  fetchCrowdsecMetricsHistoryMock: vi.fn(),
   setLastUpdatedMock: vi.fn(),
 }));
 
@@ -26,6 +28,7 @@ vi.mock('../../contexts/useRefresh', () => ({
 vi.mock('../../lib/api', () => ({
   fetchConfig: fetchConfigMock,
   fetchCrowdsecMetrics: fetchCrowdsecMetricsMock,
+  fetchCrowdsecMetricsHistory: fetchCrowdsecMetricsHistoryMock,
 }));
 
 function buildMetricsResponse(): CrowdsecMetricsResponse {
@@ -41,6 +44,8 @@ function buildMetricsResponse(): CrowdsecMetricsResponse {
       parserKo: 1,
       parserSuccessRate: 94 / 95,
       parserAverageSeconds: 0.002,
+      linesRead: 120,
+      bucketPoured: 12,
       whitelistHits: 2,
       whitelisted: 1,
     },
@@ -77,6 +82,24 @@ function buildMetricsResponse(): CrowdsecMetricsResponse {
   };
 }
 
+function buildHistoryResponse(samples: number): CrowdsecMetricsHistoryResponse {
+  return {
+    range: '1h',
+    step_ms: 60_000,
+    interval_ms: 60_000,
+    samples,
+    points: samples < 2 ? [] : [{
+      time: '2026-06-30T10:00:00.000Z',
+      linesPerSecond: 12,
+      parseFailureRate: 0.01,
+      bucketPoursPerSecond: 0.5,
+      appsecBlockRate: 0.07,
+      bouncerRequestsPerSecond: { firewall: 0.2 },
+      lapiRouteLatencySeconds: { 'GET /v1/alerts': 0.2 },
+    }],
+  };
+}
+
 function renderMetrics(content = <Metrics />) {
   return render(<BrowserRouter>{content}</BrowserRouter>);
 }
@@ -94,6 +117,8 @@ function InstanceSwitcher() {
 beforeEach(() => {
   fetchConfigMock.mockReset();
   fetchCrowdsecMetricsMock.mockReset();
+  fetchCrowdsecMetricsHistoryMock.mockReset();
+  fetchCrowdsecMetricsHistoryMock.mockResolvedValue(buildHistoryResponse(0));
   setLastUpdatedMock.mockReset();
   window.localStorage.clear();
   window.history.replaceState({}, '', '/metrics');
@@ -270,6 +295,40 @@ describe('Metrics page', () => {
     expect(screen.getByLabelText(/AppSec activity bar: green shows allowed requests/)).toBeInTheDocument();
   });
 
+  test('charts scraped metrics history for the selected endpoint and range', async () => {
+    fetchConfigMock.mockResolvedValue({
+      metrics_enabled: true,
+      instances: [{ id: 'primary', name: 'Primary', prometheus: [{ id: 'lapi', name: 'LAPI' }] }],
+    });
+    fetchCrowdsecMetricsMock.mockResolvedValue(buildMetricsResponse());
+    fetchCrowdsecMetricsHistoryMock.mockResolvedValue(buildHistoryResponse(3));
+    const user = userEvent.setup();
+
+    renderMetrics();
+
+    expect(await screen.findByText('Parser lines/s')).toBeInTheDocument();
+    expect(fetchCrowdsecMetricsHistoryMock).toHaveBeenCalledWith('1h', 'primary', 'lapi');
+    expect(screen.getByText('Parse failure rate')).toBeInTheDocument();
+    expect(screen.getByText('Bucket pours/s')).toBeInTheDocument();
+    expect(screen.getByText('Bouncer requests/s')).toBeInTheDocument();
+    expect(screen.getByText('LAPI route latency')).toBeInTheDocument();
+    expect(screen.getByText('AppSec block rate')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '24h' }));
+
+    await waitFor(() => expect(fetchCrowdsecMetricsHistoryMock).toHaveBeenCalledWith('24h', 'primary', 'lapi'));
+    expect(screen.getByRole('button', { name: '24h' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('explains when metrics history has not collected enough scrapes yet', async () => {
+    fetchCrowdsecMetricsMock.mockResolvedValue(buildMetricsResponse());
+
+    renderMetrics();
+
+    expect(await screen.findByText('History appears after two scrapes. Check back in a few minutes.')).toBeInTheDocument();
+    expect(fetchCrowdsecMetricsHistoryMock).toHaveBeenCalledWith('1h', undefined, undefined);
+  });
+
   test('handles missing optional runtime sections', async () => {
     const response = buildMetricsResponse();
     delete response.lapiRoutes;
@@ -17,6 +17,7 @@ const largeDecisionList = Array.from({ length: 75 }, (_, index) => ({
 }));
 
 const setLastUpdatedMock = vi.fn();
+const subscribeLiveMock = vi.fn((..._args: unknown[]) => () => undefined);
 let refreshSignalMock = 0;
 
 function createDefaultConfigResponse(): ConfigResponse {
@@ -98,6 +99,7 @@ vi.mock('../../../contexts/useRefresh', () => ({
   useRefresh: () => ({
     refreshSignal: refreshSignalMock,
     setLastUpdated: setLastUpdatedMock,
+    subscribeLive: subscribeLiveMock,
   }),
 }));
 
@@ -232,6 +234,13 @@ vi.mock('../../../lib/api', () => {
       failed: [],
     })),
     fetchConfig: vi.fn(async () => createDefaultConfigResponse()),
+    getExportUrl: vi.fn((page: string, format: string, columns: string[], filters?: Record<string, string>) => (
+      `/api/${page}/export?${new URLSearchParams({ format, columns: columns.join(','), ...filters }).toString()}`
+    )),
+    fetchSavedSearches: vi.fn(async () => []),
+    createSavedSearch: vi.fn(async (data: Record<string, unknown>) => ({ id: 'saved-1', ...data })),
+    updateSavedSearch: vi.fn(async (id: string, data: Record<string, unknown>) => ({ id, ...data })),
+    fetchAnnotation: vi.fn(async () => ({ status: 'new', tags: [], notes: [], updated_at: null, updated_by: null })),
   };
 });
 
@@ -241,6 +250,7 @@ beforeEach(() => {
 
 afterEach(() => {
   refreshSignalMock = 0;
+  subscribeLiveMock.mockClear();
   window.localStorage.clear();
   vi.unstubAllGlobals();
   vi.restoreAllMocks();
@@ -296,4 +306,4 @@ function setRefreshSignalMock(value: number): void {
   refreshSignalMock = value;
 }
 
-export { largeDecisionList, setLastUpdatedMock, refreshSignalMock, createDefaultConfigResponse, translateEnglish, chineseI18nValue, toPaginatedAlerts, toPaginatedDecisions, installControlledIntersectionObserver, createDeferred, flushAlertSearchDebounce, getVisibleColumnHeaderNames, setRefreshSignalMock };
+export { largeDecisionList, setLastUpdatedMock, subscribeLiveMock, refreshSignalMock, createDefaultConfigResponse, translateEnglish, chineseI18nValue, toPaginatedAlerts, toPaginatedDecisions, installControlledIntersectionObserver, createDeferred, flushAlertSearchDebounce, getVisibleColumnHeaderNames, setRefreshSignalMock };
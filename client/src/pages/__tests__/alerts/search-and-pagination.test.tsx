@@ -1,13 +1,14 @@
-import { createDeferred, flushAlertSearchDebounce, installControlledIntersectionObserver, setRefreshSignalMock, toPaginatedAlerts } from './harness';
+import { createDeferred, flushAlertSearchDebounce, installControlledIntersectionObserver, setRefreshSignalMock, subscribeLiveMock, toPaginatedAlerts } from './harness';
 import { describe, expect, test, vi } from 'vitest';
 import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { StrictMode } from 'react';
 import { MemoryRouter } from 'react-router-dom';
 import * as api from '../../../lib/api';
+import { DEFAULT_TABLE_COLUMN_PREFERENCES } from '../../../../../shared/contracts';
 import { compileAlertSearch } from '../../../../../shared/search';
 import { Alerts } from '../../Alerts';
-import { type PaginatedResponse, type SlimAlert } from '../../../types';
+import { type LiveServerMessage, type PaginatedResponse, type SlimAlert } from '../../../types';
 
 async function expandAlertSearch() {
   const toggle = screen.getByRole('button', { name: 'Expand search' });
@@ -76,6 +77,60 @@ describe('Alerts page search and pagination', () => {
     await waitFor(() => expect(screen.queryByText('5.6.7.8')).not.toBeInTheDocument());
   });
 
+  test('exports the filtered alerts with the visible columns', async () => {
+    render(
+      <MemoryRouter initialEntries={['/alerts?q=country:germany&simulation=live']}>
+        <Alerts />
+      </MemoryRouter>,
+    );
+
+    await waitFor(() => expect(screen.getByText('1.2.3.4')).toBeInTheDocument());
+    await userEvent.click(screen.getByRole('button', { name: 'Export' }));
+
+    const menu = screen.getByRole('menu', { name: 'Export' });
+    const links = within(menu).getAllByRole('menuitem');
+    expect(links.map((link) => link.textContent)).toEqual(['CSV', 'JSON', 'NDJSON (one object per line)']);
+    const params = new URL(links[0]!.getAttribute('href')!, 'http://localhost').searchParams;
+    expect(params.get('format')).toBe('csv');
+    expect(params.get('columns')).toBe(DEFAULT_TABLE_COLUMN_PREFERENCES.alerts.join(','));
+    expect(params.get('q')).toBe('country:germany');
+    expect(params.get('simulation')).toBe('live');
+    expect(links[2]).toHaveAttribute('href', expect.stringContaining('format=ndjson'));
+
+    await userEvent.keyboard('{Escape}');
+    expect(screen.queryByRole('menu', { name: 'Export' })).not.toBeInTheDocument();
+  });
+
+  test('saves the current search, date range, and columns as a named view', async () => {
+    vi.mocked(api.createSavedSearch).mockClear();
+    render(
+      <MemoryRouter initialEntries={['/alerts?q=country:germany&dateStart=2026-03-01&dateEnd=2026-03-24T12']}>
+        <Alerts />
+      </MemoryRouter>,
+    );
+
+    await waitFor(() => expect(screen.getByText('1.2.3.4')).toBeInTheDocument());
+    await userEvent.click(screen.getByRole('button', { name: 'Save search' }));
+
+    const dialog = screen.getByRole('dialog', { name: 'Save search' });
+    expect(within(dialog).getByText('country:germany')).toBeInTheDocument();
+    await userEvent.type(within(dialog).getByLabelText('Name'), 'German alerts');
+    await userEvent.click(within(dialog).getByRole('checkbox', { name: 'Share with all users' }));
+    await userEvent.click(within(dialog).getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(api.createSavedSearch).toHaveBeenCalledWith({
+      page: 'alerts',
+      name: 'German alerts',
+      query: 'country:germany',
+      date_start: '2026-03-01',
+      date_end: '2026-03-24T12',
+      instance: 'all',
+      columns: DEFAULT_TABLE_COLUMN_PREFERENCES.alerts,
+      shared: true,
+    }));
+    expect(screen.queryByRole('dialog', { name: 'Save search' })).not.toBeInTheDocument();
+  });
+
   test('supports date comparisons in advanced alert search', async () => {
     render(
       <MemoryRouter initialEntries={['/alerts']}>
@@ -474,4 +529,61 @@ describe('Alerts page search and pagination', () => {
     expect(screen.getByText('10.1.0.100')).toBeInTheDocument();
     expect(screen.queryByText('10.1.0.101')).not.toBeInTheDocument();
   });
+
+  test('prepends live alerts matching the current filters and buffers them while paused', async () => {
+    const liveAlert = (id: number, ip: string): SlimAlert => ({
+      id,
+      created_at: '2026-03-25T10:00:00.000Z',
+      scenario: 'crowdsecurity/ssh-bf',
+      source: { ip, value: ip },
+      target: 'ssh',
+      meta_search: ip,
+      decisions: [],
+    });
+    const fetchAlertsPaginatedMock = vi.mocked(api.fetchAlertsPaginated)
+      .mockImplementation(async () => toPaginatedAlerts([liveAlert(1, '1.2.3.4')]));
+    const { rerender } = render(
+      <MemoryRouter initialEntries={['/alerts?q=scenario:ssh']}>
+        <Alerts />
+      </MemoryRouter>,
+    );
+    await waitFor(() => expect(screen.getByText('1.2.3.4')).toBeInTheDocument());
+    expect(subscribeLiveMock).not.toHaveBeenCalled();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Live tail' }));
+    await waitFor(() => expect(subscribeLiveMock).toHaveBeenCalledWith(
+      'alerts',
+      expect.objectContaining({ q: 'scenario:ssh', instance: 'all' }),
+      expect.any(Function),
+    ));
+    const onMessage = subscribeLiveMock.mock.calls.at(-1)![2] as (message: LiveServerMessage) => void;
+    expect(screen.getByText('Showing new matching alerts as they arrive')).toBeInTheDocument();
+
+    act(() => onMessage({ type: 'live-rows', stream: 'alerts', updated_at: '2026-03-25T10:00:00.000Z', rows: [liveAlert(501, '198.51.100.1')], truncated: false }));
+    const rows = screen.getAllByRole('row');
+    expect(rows.findIndex((row) => row.textContent?.includes('198.51.100.1')))
+      .toBeLessThan(rows.findIndex((row) => row.textContent?.includes('1.2.3.4')));
+
+    // Cache updates do not reload the list while the live tail is on.
+    const callCount = fetchAlertsPaginatedMock.mock.calls.length;
+    setRefreshSignalMock(1);
+    rerender(
+      <MemoryRouter initialEntries={['/alerts?q=scenario:ssh']}>
+        <Alerts />
+      </MemoryRouter>,
+    );
+
+    await userEvent.click(screen.getByRole('button', { name: 'Pause' }));
+    act(() => onMessage({ type: 'live-rows', stream: 'alerts', updated_at: '2026-03-25T10:01:00.000Z', rows: [liveAlert(502, '198.51.100.2')], truncated: false }));
+    expect(screen.getByText('Paused, 1 new alert(s) waiting')).toBeInTheDocument();
+    expect(screen.queryByText('198.51.100.2')).not.toBeInTheDocument();
+
+    await userEvent.click(screen.getByRole('button', { name: 'Resume' }));
+    expect(screen.getByText('198.51.100.2')).toBeInTheDocument();
+    expect(fetchAlertsPaginatedMock.mock.calls.length).toBe(callCount);
+
+    // A sync too large to stream reloads the list instead.
+    act(() => onMessage({ type: 'live-rows', stream: 'alerts', updated_at: '2026-03-25T10:02:00.000Z', rows: [], truncated: true }));
+    await waitFor(() => expect(fetchAlertsPaginatedMock.mock.calls.length).toBe(callCount + 1));
+  });
 });
@@ -0,0 +1,97 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, test, vi } from 'vitest';
+import { BrowserRouter } from 'react-router-dom';
+import { Audit } from '../../Audit';
+import type { AuditLogEntry, PaginatedResponse } from '../../../types';
+
+const { fetchAuditLogPaginatedMock } = vi.hoisted(() => ({
+  fetchAuditLogPaginatedMock: vi.fn(),
+}));
+
+vi.mock('../../../contexts/useRefresh', () => ({
+  useRefresh: () => ({ refreshSignal: 0, setLastUpdated: vi.fn() }),
+}));
+
+vi.mock('../../../lib/api', () => ({
+  fetchAuditLogPaginated: fetchAuditLogPaginatedMock,
+}));
+
+function buildPage(entries: AuditLogEntry[], unfilteredTotal = entries.length): PaginatedResponse<AuditLogEntry> {
+  return {
+    data: entries,
+    pagination: { page: 1, page_size: 50, total: entries.length, total_pages: 1, unfiltered_total: unfilteredTotal },
+    selectable_ids: [],
+  };
+}
+
+const decisionEntry: AuditLogEntry = {
+  id: 2,
+  created_at: '2026-06-30T10:00:00.000Z',
+  user_id: 1,
+  username: 'alice',
+  auth_method: 'password',
+  action: 'decision.delete',
+  instances: ['primary', 'secondary'],
+  summary: { count: 1, ids: ['primary:10'], values: ['1.2.3.4'] },
+  outcome: 'partial',
+  results: [
+    { instance_id: 'primary', instance_name: 'Primary', success: true },
+    { instance_id: 'secondary', instance_name: 'Secondary', success: false, error: 'LAPI unavailable' },
+  ],
+};
+
+const channelEntry: AuditLogEntry = {
+  id: 1,
+  created_at: '2026-06-29T10:00:00.000Z',
+  user_id: null,
+  username: null,
+  auth_method: null,
+  action: 'notification-channel.create',
+  instances: [],
+  summary: { id: 'channel-1', name: 'Ops ntfy', type: 'ntfy' },
+  outcome: 'success',
+  results: [],
+};
+
+beforeEach(() => {
+  fetchAuditLogPaginatedMock.mockReset();
+  window.history.replaceState({}, '', '/audit');
+});
+
+describe('Audit page', () => {
+  test('lists who changed what, where, and with which outcome', async () => {
+    fetchAuditLogPaginatedMock.mockResolvedValue(buildPage([decisionEntry, channelEntry]));
+
+    render(<BrowserRouter><Audit /></BrowserRouter>);
+
+    expect(await screen.findByText('alice')).toBeInTheDocument();
+    expect(screen.getByText('Deleted decisions')).toBeInTheDocument();
+    expect(screen.getByText('1.2.3.4')).toBeInTheDocument();
+    expect(screen.getByText('Primary, Secondary')).toBeInTheDocument();
+    expect(screen.getByText('Partial')).toBeInTheDocument();
+    expect(screen.getByText('Secondary: LAPI unavailable')).toBeInTheDocument();
+    expect(screen.getByText('Created notification channel')).toBeInTheDocument();
+    expect(screen.getByText('Ops ntfy')).toBeInTheDocument();
+    expect(screen.getByText('Authentication disabled')).toBeInTheDocument();
+    expect(screen.getByTestId('audit-summary')).toHaveTextContent('Showing 2 of 2 entries');
+  });
+
+  test('sends the search query to the server and keeps it in the URL', async () => {
+    fetchAuditLogPaginatedMock.mockResolvedValue(buildPage([decisionEntry, channelEntry]));
+    const user = userEvent.setup();
+
+    render(<BrowserRouter><Audit /></BrowserRouter>);
+    await screen.findByText('alice');
+
+    fetchAuditLogPaginatedMock.mockResolvedValue(buildPage([decisionEntry], 2));
+    await user.click(screen.getByRole('button', { name: 'Expand search' }));
+    await user.type(await screen.findByPlaceholderText('Filter audit log...'), 'outcome:partial');
+
+    await waitFor(() => {
+      expect(fetchAuditLogPaginatedMock).toHaveBeenLastCalledWith(1, 50, expect.objectContaining({ q: 'outcome:partial' }));
+    });
+    expect(window.location.search).toBe('?q=outcome%3Apartial');
+    expect(await screen.findByText('Showing 1 of 1 entries (2 total before filters)')).toBeInTheDocument();
+  });
+});
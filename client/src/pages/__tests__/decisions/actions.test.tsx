@@ -97,6 +97,46 @@ describe('Decisions page actions', () => {
     await waitFor(() => expect(cleanupByIpMock).toHaveBeenCalledWith('1.2.3.4'));
   });
 
+  test('allowlists a decision value and cleans up its existing decisions', async () => {
+    vi.mocked(api.fetchAllowlists).mockResolvedValue({
+      allowlists: [{
+        instance_id: 'default',
+        instance_name: 'CrowdSec',
+        name: 'partners',
+        description: null,
+        created_at: null,
+        updated_at: null,
+        console_managed: false,
+        items: [],
+      }],
+      errors: [],
+    });
+    const addAllowlistItemsMock = vi.mocked(api.addAllowlistItems).mockResolvedValue({
+      results: [{ instance_id: 'default', instance_name: 'CrowdSec', success: true }],
+      succeeded: 1,
+      failed: 0,
+    });
+
+    render(
+      <MemoryRouter initialEntries={['/decisions']}>
+        <Decisions />
+      </MemoryRouter>,
+    );
+
+    await waitFor(() => expect(screen.getByText('1.2.3.4')).toBeInTheDocument());
+
+    await userEvent.click(screen.getAllByRole('button', { name: 'Allowlist 1.2.3.4' })[0]);
+    const dialog = await screen.findByRole('dialog', { name: 'Allowlist this IP' });
+    await userEvent.selectOptions(await within(dialog).findByLabelText('Expiration'), '24h');
+    await userEvent.click(within(dialog).getByRole('button', { name: 'Add to allowlist' }));
+
+    await waitFor(() => expect(addAllowlistItemsMock).toHaveBeenCalledWith('partners', {
+      values: ['1.2.3.4'],
+      expiration: '24h',
+      cleanup: true,
+    }));
+  });
+
   test('shows add permission guidance inside the add decision modal', async () => {
     const permissionError = Object.assign(new Error('Permission denied.'), {
       helpLink: 'https://github.com/TheDuffman85/crowdsec-web-ui#trusted-ips-for-delete-operations-optional',
@@ -128,6 +168,137 @@ describe('Decisions page actions', () => {
     expect(within(addDialog).getByPlaceholderText('1.2.3.4')).toHaveValue('203.0.113.10');
   });
 
+  test('opens a prefilled scoped decision from an alert link and submits its scope', async () => {
+    vi.mocked(api.addDecision).mockResolvedValueOnce({ message: 'Decision added (via Alert)' });
+
+    render(
+      <MemoryRouter initialEntries={['/decisions?add_scope=as&add_value=64496']}>
+        <Decisions />
+      </MemoryRouter>,
+    );
+
+    const addDialog = await screen.findByRole('dialog', { name: 'Add Manual Decision' });
+    expect(within(addDialog).getByLabelText('Scope')).toHaveValue('as');
+    expect(within(addDialog).getByPlaceholderText('AS64496')).toHaveValue('64496');
+
+    await userEvent.selectOptions(within(addDialog).getByLabelText('Scope'), 'range');
+    const valueInput = within(addDialog).getByPlaceholderText('192.0.2.0/24');
+    await userEvent.clear(valueInput);
+    await userEvent.type(valueInput, '203.0.113.0/24');
+    await userEvent.click(within(addDialog).getByRole('button', { name: 'Add Decision' }));
+
+    await waitFor(() => expect(api.addDecision).toHaveBeenCalledWith(expect.objectContaining({
+      value: '203.0.113.0/24',
+      decision_scope: 'range',
+      duration: '4h',
+    })));
+    await waitFor(() => expect(screen.queryByRole('dialog', { name: 'Add Manual Decision' })).not.toBeInTheDocument());
+  });
+
+  test('previews a pasted blocklist and imports only its new entries', async () => {
+    const preview = {
+      format: 'text' as const,
+      counts: { valid: 1, invalid: 1, duplicate: 1, already_banned: 1 },
+      entries: [
+        { position: 1, value: '1.2.3.4', decision_scope: 'ip' as const, status: 'already_banned' as const, banned_on: ['default'] },
+        { position: 2, value: '203.0.113.0/24', decision_scope: 'range' as const, status: 'valid' as const },
+        { position: 3, value: '203.0.113.0/24', decision_scope: 'range' as const, status: 'duplicate' as const },
+        { position: 4, value: 'example.com', status: 'invalid' as const },
+      ],
+    };
+    vi.mocked(api.importDecisions)
+      .mockResolvedValueOnce(preview)
+      .mockResolvedValueOnce({ ...preview, results: [{ instance_id: 'default', instance_name: 'Default', success: true }], succeeded: 1, failed: 0 });
+
+    render(
+      <MemoryRouter initialEntries={['/decisions']}>
+        <Decisions />
+      </MemoryRouter>,
+    );
+
+    await waitFor(() => expect(screen.getByText('1.2.3.4')).toBeInTheDocument());
+    await userEvent.click(screen.getByRole('button', { name: 'Import Blocklist' }));
+    const importDialog = screen.getByRole('dialog', { name: 'Import Blocklist' });
+    expect(within(importDialog).getByRole('button', { name: 'Import 0 entries' })).toBeDisabled();
+
+    await userEvent.type(within(importDialog).getByLabelText('Entries'), '1.2.3.4{enter}203.0.113.0/24{enter}203.0.113.0/24{enter}example.com');
+    await userEvent.click(within(importDialog).getByRole('button', { name: 'Preview' }));
+
+    expect(await within(importDialog).findByTestId('import-preview-summary')).toHaveTextContent('1 new, 1 already banned, 1 duplicates, 1 invalid');
+    expect(within(importDialog).getByText('Already banned')).toBeInTheDocument();
+    expect(within(importDialog).getByText('example.com')).toBeInTheDocument();
+    expect(api.importDecisions).toHaveBeenLastCalledWith(expect.objectContaining({
+      content: '1.2.3.4\n203.0.113.0/24\n203.0.113.0/24\nexample.com',
+      format: 'auto',
+      duration: '4h',
+      dry_run: true,
+    }));
+
+    await userEvent.click(within(importDialog).getByRole('button', { name: 'Import 1 entries' }));
+
+    await waitFor(() => expect(api.importDecisions).toHaveBeenCalledTimes(2));
+    expect(vi.mocked(api.importDecisions).mock.calls[1][0]).not.toHaveProperty('dry_run');
+    await waitFor(() => expect(screen.queryByRole('dialog', { name: 'Import Blocklist' })).not.toBeInTheDocument());
+  });
+
+  test('previews and applies an edit to the selected decisions', async () => {
+    const expiration = new Date(Date.now() + 4 * 3_600_000).toISOString();
+    vi.mocked(api.fetchDecisionsPaginated).mockImplementation(async (page, pageSize) =>
+      toPaginatedDecisions([
+        {
+          id: 10,
+          created_at: '2026-03-23T10:00:00.000Z',
+          value: '1.2.3.4',
+          expired: false,
+          is_duplicate: false,
+          simulated: false,
+          detail: {
+            origin: 'crowdsec',
+            reason: 'crowdsecurity/ssh-bf',
+            action: 'ban',
+            duration: '4h',
+            expiration,
+            alert_id: 1,
+          },
+        },
+      ], page, pageSize),
+    );
+    const editDecisionsMock = vi.mocked(api.editDecisions).mockResolvedValue({
+      requested_decisions: 1,
+      updated_decisions: 1,
+      failed: [],
+    });
+
+    render(
+      <MemoryRouter initialEntries={['/decisions']}>
+        <Decisions />
+      </MemoryRouter>,
+    );
+
+    await waitFor(() => expect(screen.getByText('1.2.3.4')).toBeInTheDocument());
+    expect(screen.getByRole('button', { name: 'Edit selected' })).toBeDisabled();
+    await userEvent.click(screen.getByRole('checkbox', { name: 'Select decision 10' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Edit selected' }));
+
+    const dialog = screen.getByRole('dialog', { name: 'Edit 1 decision(s)' });
+    const preview = within(dialog).getByRole('table', { name: 'Before and after' });
+    expect(within(preview).getByText(/^17[12]h\d+m\d+s$/)).toBeInTheDocument();
+
+    await userEvent.selectOptions(within(dialog).getByLabelText('Duration change'), 'shorten');
+    await userEvent.clear(within(dialog).getByLabelText('Duration'));
+    await userEvent.type(within(dialog).getByLabelText('Duration'), '5h');
+    expect(within(preview).getByText('Expires')).toBeInTheDocument();
+    expect(within(dialog).getByText('1 decision(s) would expire and will not be changed. Delete them instead.')).toBeInTheDocument();
+
+    await userEvent.selectOptions(within(dialog).getByLabelText('Duration change'), 'keep');
+    await userEvent.selectOptions(within(dialog).getByLabelText('Type'), 'captcha');
+    expect(within(preview).getByText('captcha')).toBeInTheDocument();
+    await userEvent.click(within(dialog).getByRole('button', { name: 'Apply to 1 decision(s)' }));
+
+    await waitFor(() => expect(editDecisionsMock).toHaveBeenCalledWith({ ids: [10], type: 'captcha' }));
+    await waitFor(() => expect(screen.queryByRole('dialog', { name: 'Edit 1 decision(s)' })).not.toBeInTheDocument());
+  });
+
   test('shows delete permission guidance inside the confirmation modal', async () => {
     const permissionError = Object.assign(new Error('Permission denied.'), {
       helpLink: 'https://github.com/TheDuffman85/crowdsec-web-ui#trusted-ips-for-delete-operations-optional',
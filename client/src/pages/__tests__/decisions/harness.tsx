@@ -154,6 +154,10 @@ vi.mock('../../../lib/api', () => {
       return paginateDecisions(decisions, page, pageSize, defaultDecisions.length);
     }),
     addDecision: vi.fn(),
+    importDecisions: vi.fn(),
+    editDecisions: vi.fn(),
+    fetchAllowlists: vi.fn(),
+    addAllowlistItems: vi.fn(),
     deleteDecision: vi.fn(),
     bulkDeleteDecisions: vi.fn(async () => ({
       requested_alerts: 0,
@@ -170,6 +174,12 @@ vi.mock('../../../lib/api', () => {
       failed: [],
     })),
     fetchConfig: vi.fn(async () => createDefaultConfigResponse()),
+    getExportUrl: vi.fn((page: string, format: string, columns: string[], filters?: Record<string, string>) => (
+      `/api/${page}/export?${new URLSearchParams({ format, columns: columns.join(','), ...filters }).toString()}`
+    )),
+    fetchSavedSearches: vi.fn(async () => []),
+    createSavedSearch: vi.fn(async (data: Record<string, unknown>) => ({ id: 'saved-1', ...data })),
+    updateSavedSearch: vi.fn(async (id: string, data: Record<string, unknown>) => ({ id, ...data })),
   };
 });
 
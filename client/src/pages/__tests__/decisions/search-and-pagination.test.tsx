@@ -5,6 +5,7 @@ import userEvent from '@testing-library/user-event';
 import { StrictMode } from 'react';
 import { MemoryRouter } from 'react-router-dom';
 import * as api from '../../../lib/api';
+import { DEFAULT_TABLE_COLUMN_PREFERENCES } from '../../../../../shared/contracts';
 import { Decisions } from '../../Decisions';
 import { type DecisionListItem, type PaginatedResponse } from '../../../types';
 
@@ -53,6 +54,24 @@ describe('Decisions page search and pagination', () => {
     expect(document.querySelectorAll('[data-search-highlight-error="true"]').length).toBeGreaterThan(0);
   });
 
+  test('exports decisions with the current expired-decision visibility', async () => {
+    render(
+      <MemoryRouter initialEntries={['/decisions?include_expired=true&q=origin:manual']}>
+        <Decisions />
+      </MemoryRouter>,
+    );
+
+    await waitFor(() => expect(screen.getByText('1.2.3.4')).toBeInTheDocument());
+    await userEvent.click(screen.getByRole('button', { name: 'Export' }));
+
+    const jsonLink = within(screen.getByRole('menu', { name: 'Export' })).getByRole('menuitem', { name: 'JSON' });
+    const params = new URL(jsonLink.getAttribute('href')!, 'http://localhost').searchParams;
+    expect(params.get('format')).toBe('json');
+    expect(params.get('columns')).toBe(DEFAULT_TABLE_COLUMN_PREFERENCES.decisions.join(','));
+    expect(params.get('include_expired')).toBe('true');
+    expect(params.get('q')).toBe('origin:manual');
+  });
+
   test('opens the search syntax help modal', async () => {
     render(
       <MemoryRouter initialEntries={['/decisions']}>
@@ -3,7 +3,7 @@ import { describe, expect, test, vi } from 'vitest';
 import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { Notifications } from '../../Notifications';
-import { createNotificationRule, fetchConfig, fetchNotificationSettings, fetchNotificationsPaginated, markNotificationRead } from '../../../lib/api';
+import { createNotificationChannel, createNotificationRule, fetchConfig, fetchNotificationSettings, fetchNotificationsPaginated, fetchSavedSearches, markNotificationRead } from '../../../lib/api';
 
 describe('Notifications page configuration', () => {
   test('hides notification management controls when read-only but keeps mark-read available', async () => {
@@ -34,6 +34,8 @@ describe('Notifications page configuration', () => {
           enabled: true,
           severity: 'warning',
           channel_ids: ['channel-1'],
+          quiet_hours: null,
+          escalation: null,
           config: {
             window_minutes: 60,
             alert_threshold: 5,
@@ -100,6 +102,40 @@ describe('Notifications page configuration', () => {
     expect(screen.getByLabelText('Body Template')).toBeInTheDocument();
   });
 
+  test('renders chat destination fields and submits a Telegram destination', async () => {
+    const user = userEvent.setup();
+    render(<Notifications />);
+
+    await waitFor(() => expect(screen.getByRole('button', { name: /add destination/i })).toBeInTheDocument());
+    await user.click(screen.getByRole('button', { name: /add destination/i }));
+
+    await user.selectOptions(screen.getByLabelText('Type'), 'matrix');
+    expect(screen.getByLabelText('Homeserver URL')).toBeInTheDocument();
+    expect(screen.getByLabelText('Room ID')).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Type'), 'telegram');
+    expect(screen.getByLabelText('API URL')).toHaveValue('https://api.telegram.org');
+    await user.type(screen.getByLabelText('Name'), 'On-call chat');
+    await user.type(screen.getByLabelText('Bot Token'), '123:abc');
+    await user.click(screen.getByRole('button', { name: /save destination/i }));
+    expect(screen.getByText('Telegram chat ID is required')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Chat ID'), '-100200');
+    await user.type(screen.getByLabelText('Link Base URL'), 'https://crowdsec.example.com');
+    await user.click(screen.getByRole('button', { name: /save destination/i }));
+
+    expect(createNotificationChannel).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'On-call chat',
+      type: 'telegram',
+      config: {
+        telegramApiUrl: 'https://api.telegram.org',
+        telegramBotToken: '123:abc',
+        telegramChatId: '-100200',
+        linkBaseUrl: 'https://crowdsec.example.com',
+      },
+    }));
+  });
+
   test('shows unchanged placeholder for stored secrets when editing', async () => {
     const user = userEvent.setup();
     render(<Notifications />);
@@ -169,6 +205,8 @@ describe('Notifications page configuration', () => {
             retainEvents: false,
           },
           configured_secrets: ['password'],
+          quiet_hours: null,
+          digest: null,
           created_at: '2026-03-28T12:00:00.000Z',
           updated_at: '2026-03-28T12:00:00.000Z',
         },
@@ -179,6 +217,8 @@ describe('Notifications page configuration', () => {
           enabled: true,
           config: {},
           configured_secrets: [],
+          quiet_hours: null,
+          digest: null,
           created_at: '2026-03-28T12:05:00.000Z',
           updated_at: '2026-03-28T12:05:00.000Z',
         },
@@ -191,6 +231,8 @@ describe('Notifications page configuration', () => {
           enabled: true,
           severity: 'warning',
           channel_ids: ['channel-1'],
+          quiet_hours: null,
+          escalation: null,
           config: {
             window_minutes: 60,
             alert_threshold: 10,
@@ -206,6 +248,8 @@ describe('Notifications page configuration', () => {
           enabled: true,
           severity: 'critical',
           channel_ids: ['channel-2'],
+          quiet_hours: null,
+          escalation: null,
           config: {
             max_cve_age_days: 14,
             filters: {
@@ -339,6 +383,132 @@ describe('Notifications page configuration', () => {
     }));
   });
 
+  test('shows and submits the alert anomaly rule', async () => {
+    const user = userEvent.setup();
+    render(<Notifications />);
+
+    await waitFor(() => expect(screen.getByRole('button', { name: /add rule/i })).toBeInTheDocument());
+    await user.click(screen.getByRole('button', { name: /add rule/i }));
+    await user.selectOptions(screen.getByLabelText('Rule Type'), 'alert-anomaly');
+
+    expect(screen.getByLabelText('Dimension')).toHaveValue('country');
+    expect(screen.getByLabelText('Baseline Weeks')).toHaveValue('4');
+    expect(screen.getByLabelText('Sensitivity (Standard Deviations)')).toHaveValue('3');
+    expect(screen.getByLabelText('Minimum Alerts')).toHaveValue('5');
+    expect(screen.getByLabelText('Scenario Contains')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Name'), 'New scenarios');
+    await user.selectOptions(screen.getByLabelText('Dimension'), 'scenario');
+    await user.clear(screen.getByLabelText('Baseline Weeks'));
+    await user.type(screen.getByLabelText('Baseline Weeks'), '6');
+    await user.click(screen.getByLabelText('Notify when a value appears for the first time'));
+    await user.click(screen.getByRole('button', { name: /save rule/i }));
+
+    expect(createNotificationRule).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'New scenarios',
+      type: 'alert-anomaly',
+      config: {
+        dimension: 'scenario',
+        window_minutes: 60,
+        baseline_weeks: 6,
+        sensitivity: 3,
+        minimum_alerts: 5,
+        notify_new_values: false,
+        filters: { scenario: '', target: '', include_simulated: false, saved_search_id: undefined },
+      },
+    }));
+  });
+
+  test('validates and submits search threshold rules without alert filters', async () => {
+    const user = userEvent.setup();
+    render(<Notifications />);
+
+    await waitFor(() => expect(screen.getByRole('button', { name: /add rule/i })).toBeInTheDocument());
+    await user.click(screen.getByRole('button', { name: /add rule/i }));
+    await user.selectOptions(screen.getByLabelText('Rule Type'), 'search-threshold');
+
+    expect(screen.getByLabelText('Window Minutes')).toHaveValue('10');
+    expect(screen.getByLabelText('Match Threshold')).toHaveValue('50');
+    expect(screen.queryByLabelText('Scenario Contains')).not.toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Name'), 'SSH from CN');
+    await user.type(screen.getByLabelText('Search query'), 'unknown:value');
+    expect(screen.getByText('Search syntax error at character 1: Unknown field `unknown`')).toBeInTheDocument();
+    expect(screen.getByLabelText('Search query')).toHaveAttribute('aria-invalid', 'true');
+
+    await user.clear(screen.getByLabelText('Search query'));
+    await user.type(screen.getByLabelText('Search query'), 'country:CN AND scenario:*ssh* AND -sim:true');
+    expect(screen.getByLabelText('Search query')).toHaveAttribute('aria-invalid', 'false');
+    await user.click(screen.getByRole('button', { name: /save rule/i }));
+
+    expect(createNotificationRule).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'SSH from CN',
+      type: 'search-threshold',
+      config: {
+        event_type: 'alert',
+        query: 'country:CN AND scenario:*ssh* AND -sim:true',
+        window_minutes: 10,
+        threshold: 50,
+      },
+    }));
+  });
+
+  test('submits rule quiet hours and escalation settings', async () => {
+    const user = userEvent.setup();
+    render(<Notifications />);
+
+    await waitFor(() => expect(screen.getByRole('button', { name: /add rule/i })).toBeInTheDocument());
+    await user.click(screen.getByRole('button', { name: /add rule/i }));
+    await user.type(screen.getByLabelText('Name'), 'Night shift');
+    expect(screen.queryByLabelText('Start')).not.toBeInTheDocument();
+
+    await user.click(screen.getByLabelText('Quiet hours'));
+    expect(screen.getByLabelText('Start')).toHaveValue('22:00');
+    expect(screen.getByLabelText('End')).toHaveValue('07:00');
+    await user.clear(screen.getByLabelText('Time zone'));
+    await user.type(screen.getByLabelText('Time zone'), 'Europe/Berlin');
+
+    await user.click(screen.getByLabelText('Escalation'));
+    await user.selectOptions(screen.getByLabelText('Escalate to'), 'channel-1');
+    await user.clear(screen.getByLabelText('Escalate after (minutes)'));
+    await user.type(screen.getByLabelText('Escalate after (minutes)'), '30');
+    await user.click(screen.getByRole('button', { name: /save rule/i }));
+
+    expect(createNotificationRule).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Night shift',
+      quiet_hours: { start: '22:00', end: '07:00', time_zone: 'Europe/Berlin' },
+      escalation: { channel_id: 'channel-1', after_minutes: 30 },
+    }));
+  });
+
+  test('filters rules by a saved search that matches the watched records', async () => {
+    vi.mocked(fetchSavedSearches).mockResolvedValue([
+      { id: 'alerts-de', page: 'alerts', name: 'German alerts', query: 'country:DE', date_start: null, date_end: null, instance: 'all', columns: ['time'], shared: false, owner: null, editable: true, created_at: '', updated_at: '' },
+      { id: 'manual-bans', page: 'decisions', name: 'Manual bans', query: 'origin:manual', date_start: null, date_end: null, instance: 'all', columns: ['time'], shared: true, owner: 'admin', editable: false, created_at: '', updated_at: '' },
+    ]);
+    const user = userEvent.setup();
+    render(<Notifications />);
+
+    await waitFor(() => expect(screen.getByRole('button', { name: /add rule/i })).toBeInTheDocument());
+    await user.click(screen.getByRole('button', { name: /add rule/i }));
+    await user.selectOptions(screen.getByLabelText('Rule Type'), 'ip-ban');
+
+    const savedSearchSelect = await screen.findByLabelText('Saved search');
+    expect(within(savedSearchSelect).getAllByRole('option').map((option) => option.textContent)).toEqual(['No saved search', 'Manual bans']);
+
+    await user.type(screen.getByLabelText('Name'), 'Manual ban watch');
+    await user.selectOptions(savedSearchSelect, 'manual-bans');
+    await user.click(screen.getByRole('button', { name: /save rule/i }));
+
+    expect(createNotificationRule).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Manual ban watch',
+      type: 'ip-ban',
+      config: expect.objectContaining({
+        filters: expect.objectContaining({ saved_search_id: 'manual-bans' }),
+      }),
+    }));
+  });
+
   test('configures per-record alerts and decisions with filters', async () => {
     const user = userEvent.setup();
     render(<Notifications />);
@@ -413,6 +583,8 @@ describe('Notifications page configuration', () => {
             retainEvents: false,
           },
           configured_secrets: ['password'],
+          quiet_hours: null,
+          digest: null,
           created_at: '2026-03-28T12:00:00.000Z',
           updated_at: '2026-03-28T12:00:00.000Z',
         },
@@ -425,6 +597,8 @@ describe('Notifications page configuration', () => {
           enabled: true,
           severity: 'warning',
           channel_ids: [],
+          quiet_hours: null,
+          escalation: null,
           config: {
             max_cve_age_days: 14,
             filters: {
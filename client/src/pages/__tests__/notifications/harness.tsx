@@ -1,7 +1,7 @@
 import { render } from '@testing-library/react';
 import type { ReactNode } from 'react';
 import { afterEach, beforeEach, vi } from 'vitest';
-import type { NotificationChannel, NotificationItem, NotificationListResponse, NotificationRule, NotificationSettingsResponse } from '../../../types';
+import type { NotificationChannel, NotificationItem, NotificationListResponse, NotificationReport, NotificationRule, NotificationSettingsResponse } from '../../../types';
 import { I18nContext, type I18nContextValue } from '../../../lib/i18n';
 import en from '../../../locales/en.json';
 import zh from '../../../locales/zh.json';
@@ -26,18 +26,24 @@ vi.mock('../../../lib/api', () => ({
   createNotificationRule: vi.fn(),
   updateNotificationRule: vi.fn(),
   deleteNotificationRule: vi.fn(),
+  createNotificationReport: vi.fn(),
+  updateNotificationReport: vi.fn(),
+  deleteNotificationReport: vi.fn(),
+  sendNotificationReport: vi.fn(),
   deleteNotification: vi.fn(),
   bulkDeleteNotifications: vi.fn(),
   deleteReadNotifications: vi.fn(),
   markNotificationRead: vi.fn(),
   markNotificationsRead: vi.fn(),
   fetchConfig: vi.fn(),
+  fetchSavedSearches: vi.fn(),
 }));
 
 import {
   fetchConfig,
   fetchNotificationSettings,
   fetchNotificationsPaginated,
+  fetchSavedSearches,
 } from '../../../lib/api';
 import { useNotificationUnreadCount } from '../../../contexts/useNotificationUnreadCount';
 
@@ -47,6 +53,7 @@ const refreshUnreadCountMock = vi.fn();
 const buildSettings = (overrides?: {
   channels?: NotificationChannel[];
   rules?: NotificationRule[];
+  reports?: NotificationReport[];
 }): NotificationSettingsResponse => ({
   channels: overrides?.channels ?? [
     {
@@ -66,11 +73,14 @@ const buildSettings = (overrides?: {
         retainEvents: false,
       },
       configured_secrets: ['password'],
+      quiet_hours: null,
+      digest: null,
       created_at: '2026-03-28T12:00:00.000Z',
       updated_at: '2026-03-28T12:00:00.000Z',
     },
   ],
   rules: overrides?.rules ?? [],
+  reports: overrides?.reports ?? [],
 });
 
 function mockMatchMedia(): void {
@@ -172,6 +182,7 @@ function renderWithChineseLocale(children: ReactNode) {
     vi.mocked(fetchNotificationSettings).mockResolvedValue(buildSettings());
 
     vi.mocked(fetchNotificationsPaginated).mockResolvedValue(buildNotificationPage());
+    vi.mocked(fetchSavedSearches).mockResolvedValue([]);
     vi.mocked(fetchConfig).mockResolvedValue({
       lookback_period: '1h',
       lookback_hours: 1,
@@ -16,6 +16,8 @@ describe('Notifications page localization and delivery', () => {
           enabled: true,
           severity: 'warning',
           channel_ids: ['channel-1'],
+          quiet_hours: null,
+          escalation: null,
           config: {
             window_minutes: 60,
             filters: {},
@@ -103,6 +105,8 @@ describe('Notifications page localization and delivery', () => {
           enabled: true,
           severity: 'warning',
           channel_ids: ['channel-1'],
+          quiet_hours: null,
+          escalation: null,
           config: {
             window_minutes: 60,
             alert_threshold: 10,
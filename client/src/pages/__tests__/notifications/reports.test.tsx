@@ -0,0 +1,83 @@
+import { buildSettings } from './harness';
+import { describe, expect, test, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Notifications } from '../../Notifications';
+import { createNotificationReport, fetchNotificationSettings, sendNotificationReport } from '../../../lib/api';
+import type { NotificationChannel, NotificationReport } from '../../../types';
+
+const EMAIL_CHANNEL: NotificationChannel = {
+  id: 'channel-email',
+  name: 'Ops mail',
+  type: 'email',
+  enabled: true,
+  config: { smtpHost: 'smtp.example.com', smtpPort: 587, smtpTlsMode: 'starttls', smtpFrom: 'crowdsec@example.com', emailTo: 'ops@example.com' },
+  configured_secrets: [],
+  quiet_hours: null,
+  digest: null,
+  created_at: '2026-03-28T12:00:00.000Z',
+  updated_at: '2026-03-28T12:00:00.000Z',
+};
+
+const REPORT: NotificationReport = {
+  id: 'report-1',
+  name: 'Weekly summary',
+  enabled: true,
+  frequency: 'weekly',
+  send_time: '08:00',
+  time_zone: 'UTC',
+  instance_id: 'all',
+  channel_ids: ['channel-email'],
+  last_sent_at: null,
+  last_error: 'Ops mail: connection refused',
+  next_run_at: '2026-03-30T08:00:00.000Z',
+  created_at: '2026-03-28T12:00:00.000Z',
+  updated_at: '2026-03-28T12:00:00.000Z',
+};
+
+describe('Notifications page scheduled reports', () => {
+  test('creates a report for an email destination', async () => {
+    const user = userEvent.setup();
+    vi.mocked(fetchNotificationSettings).mockResolvedValue(buildSettings({ channels: [EMAIL_CHANNEL, ...buildSettings().channels] }));
+    vi.mocked(createNotificationReport).mockResolvedValue(REPORT);
+
+    render(<Notifications />);
+
+    await user.click(await screen.findByRole('button', { name: 'Add report' }));
+    expect(screen.queryByText('Ops MQTT', { selector: 'label span' })).not.toBeInTheDocument();
+    await user.type(screen.getByLabelText('Name'), 'Weekly summary');
+    await user.selectOptions(screen.getByLabelText('Frequency'), 'monthly');
+    expect(screen.getByText('Sent on the 1st of each month and covers the previous month.')).toBeInTheDocument();
+    await user.clear(screen.getByLabelText('Time zone'));
+    await user.type(screen.getByLabelText('Time zone'), 'Europe/Berlin');
+    await user.click(screen.getByRole('checkbox', { name: 'Ops mail' }));
+    await user.click(screen.getByRole('button', { name: 'Save report' }));
+
+    await waitFor(() => expect(createNotificationReport).toHaveBeenCalledWith({
+      name: 'Weekly summary',
+      enabled: true,
+      frequency: 'monthly',
+      send_time: '08:00',
+      time_zone: 'Europe/Berlin',
+      instance_id: 'all',
+      channel_ids: ['channel-email'],
+    }));
+  });
+
+  test('shows the last delivery error and sends a report on demand', async () => {
+    const user = userEvent.setup();
+    vi.mocked(fetchNotificationSettings).mockResolvedValue(buildSettings({ channels: [EMAIL_CHANNEL], reports: [REPORT] }));
+    vi.mocked(sendNotificationReport).mockResolvedValue({ ...REPORT, last_error: null, last_sent_at: '2026-03-29T09:00:00.000Z' });
+
+    render(<Notifications />);
+
+    expect(await screen.findByText('Last error: Ops mail: connection refused')).toBeInTheDocument();
+    expect(screen.getByText('Sent at 08:00 (UTC) · Scope: All instances')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Send report now' }));
+
+    await waitFor(() => expect(sendNotificationReport).toHaveBeenCalledWith('report-1'));
+    expect(await screen.findByText('Report "Weekly summary" sent')).toBeInTheDocument();
+    expect(fetchNotificationSettings).toHaveBeenCalledTimes(2);
+  });
+});
@@ -301,6 +301,233 @@ describe('Settings authentication methods', () => {
     expect(screen.getByText('Laptop Touch ID')).toBeInTheDocument();
   });
 
+  test('creates an API token, shows its secret once, and revokes existing tokens', async () => {
+    const user = userEvent.setup();
+    useAuthMock.mockReturnValue({
+      authEnabled: true,
+      setupRequired: false,
+      authenticated: true,
+      user: { userId: 1, username: 'admin', role: 'admin' },
+      authMethod: 'password',
+      oidcEnabled: false,
+      passwordLoginDisabled: false,
+      passkeysEnabled: false,
+      hasPassword: true,
+      totpEnabled: false,
+      loading: false,
+      refresh: vi.fn(),
+      login: vi.fn(),
+      setup: vi.fn(),
+      logout: vi.fn(),
+    });
+    const fetchMock = vi.fn(async (input: string | URL | Request, init?: RequestInit) => {
+      const url = String(input);
+      const method = init?.method || 'GET';
+      if (url.includes('/api/auth/tokens/7') && method === 'DELETE') {
+        return Response.json({ status: 'ok' });
+      }
+      if (url.includes('/api/auth/tokens') && method === 'POST') {
+        return Response.json({
+          token: 'cswu_secretvalue',
+          apiToken: {
+            id: 8,
+            name: 'ci',
+            prefix: 'cswu_secret',
+            scope: 'admin',
+            createdAt: '2026-05-02T00:00:00.000Z',
+            expiresAt: '2026-06-01T00:00:00.000Z',
+            lastUsedAt: null,
+          },
+        }, { status: 201 });
+      }
+      if (url.includes('/api/auth/tokens')) {
+        return Response.json({
+          tokens: [{
+            id: 7,
+            name: 'nightly export',
+            prefix: 'cswu_AbCdEf',
+            scope: 'read-only',
+            createdAt: '2026-05-01T00:00:00.000Z',
+            expiresAt: null,
+            lastUsedAt: null,
+          }],
+        });
+      }
+      if (url.includes('/api/auth/passkeys')) {
+        return Response.json({ passkeys: [] });
+      }
+      if (url.includes('/api/auth/settings')) {
+        return Response.json({
+          disablePasswordLogin: false,
+          oidcIssuerUrl: '',
+          oidcClientId: '',
+          hasOidcClientSecret: false,
+          oidcScope: 'openid profile email',
+          oidcGroupsClaim: 'groups',
+          oidcAdminGroups: '',
+          oidcReadOnlyGroups: '',
+          oidcUnmatchedRole: 'deny',
+          hasPassword: true,
+          passkeysAvailable: true,
+          totpEnabled: false,
+          authMethod: 'password',
+        });
+      }
+      return Response.json({});
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<Settings />);
+
+    expect(await screen.findByText('nightly export')).toBeInTheDocument();
+    expect(screen.getByText(/Never expires/)).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Create API Token' }));
+    const dialog = await screen.findByRole('dialog', { name: 'Create API Token' });
+    await user.type(within(dialog).getByLabelText('Token name'), 'ci');
+    await user.selectOptions(within(dialog).getByLabelText('Access'), 'admin');
+    await user.selectOptions(within(dialog).getByLabelText('Expiration'), '30');
+    await user.click(within(dialog).getByRole('button', { name: 'Create Token' }));
+
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/tokens'),
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ name: 'ci', scope: 'admin', expiresInDays: 30 }),
+      }),
+    ));
+    expect(await within(dialog).findByLabelText('API token')).toHaveValue('cswu_secretvalue');
+    await user.click(within(dialog).getByRole('button', { name: 'Done' }));
+    await waitFor(() => expect(dialog).not.toBeInTheDocument());
+    expect(screen.queryByDisplayValue('cswu_secretvalue')).not.toBeInTheDocument();
+    expect(screen.getByText('ci')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Revoke nightly export' }));
+    await waitFor(() => expect(screen.queryByText('nightly export')).not.toBeInTheDocument());
+    expect(fetchMock).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/tokens/7'),
+      expect.objectContaining({ method: 'DELETE' }),
+    );
+  });
+
+  test('lets admins add users, change roles, disable accounts, and revoke sessions', async () => {
+    const user = userEvent.setup();
+    useAuthMock.mockReturnValue({
+      authEnabled: true,
+      setupRequired: false,
+      authenticated: true,
+      user: { userId: 1, username: 'admin', role: 'admin' },
+      authMethod: 'password',
+      oidcEnabled: false,
+      passwordLoginDisabled: false,
+      passkeysEnabled: false,
+      hasPassword: true,
+      totpEnabled: false,
+      loading: false,
+      refresh: vi.fn(),
+      login: vi.fn(),
+      setup: vi.fn(),
+      logout: vi.fn(),
+    });
+    vi.mocked(fetchConfig).mockResolvedValue({
+      lookback_period: '1h',
+      lookback_hours: 1,
+      lookback_days: 1,
+      refresh_interval: 30000,
+      current_interval_name: '30s',
+      lapi_status: { isConnected: true, lastCheck: null, lastError: null, offline_since: null },
+      sync_status: { isSyncing: false, progress: 100, message: 'done', startedAt: null, completedAt: null },
+      simulations_enabled: true,
+      machine_features_enabled: false,
+      origin_features_enabled: false,
+      permissions: {
+        mode: 'admin',
+        can_manage_enforcement: true,
+        can_manage_settings: true,
+      },
+    });
+    const managedUser = (overrides: Record<string, unknown>) => ({
+      authProvider: 'local',
+      hasPassword: true,
+      totpEnabled: false,
+      disabled: false,
+      createdAt: '2026-05-01T00:00:00.000Z',
+      updatedAt: '2026-05-01T00:00:00.000Z',
+      ...overrides,
+    });
+    const fetchMock = vi.fn(async (input: string | URL | Request, init?: RequestInit) => {
+      const url = String(input);
+      const method = init?.method || 'GET';
+      if (url.includes('/api/auth/users/2/revoke-sessions')) {
+        return Response.json({ status: 'ok' });
+      }
+      if (url.includes('/api/auth/users/2') && method === 'PATCH') {
+        return Response.json({
+          user: managedUser({ id: 2, username: 'analyst', role: 'read-only', ...JSON.parse(String(init?.body)) }),
+        });
+      }
+      if (url.includes('/api/auth/users') && method === 'POST') {
+        return Response.json({
+          user: managedUser({ id: 3, username: 'bob', role: 'read-only' }),
+        }, { status: 201 });
+      }
+      if (url.includes('/api/auth/users')) {
+        return Response.json({
+          users: [
+            managedUser({ id: 1, username: 'admin', role: 'admin' }),
+            managedUser({ id: 2, username: 'analyst', role: 'read-only' }),
+          ],
+        });
+      }
+      if (url.includes('/api/auth/passkeys')) {
+        return Response.json({ passkeys: [] });
+      }
+      if (url.includes('/api/auth/tokens')) {
+        return Response.json({ tokens: [] });
+      }
+      return Response.json({});
+    });
+    vi.stubGlobal('fetch', fetchMock);
+
+    render(<Settings />);
+
+    expect(await screen.findByText('admin (you)')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Disable admin' })).not.toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Role for analyst'), 'admin');
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/users/2'),
+      expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ role: 'admin' }) }),
+    ));
+    await waitFor(() => expect(screen.getByLabelText('Role for analyst')).toHaveValue('admin'));
+
+    await user.click(screen.getByRole('button', { name: 'Disable analyst' }));
+    expect(await screen.findByRole('button', { name: 'Enable analyst' })).toBeInTheDocument();
+    expect(screen.getByText('Disabled')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Sign out analyst everywhere' }));
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/users/2/revoke-sessions'),
+      expect.objectContaining({ method: 'POST' }),
+    ));
+
+    await user.click(screen.getByRole('button', { name: 'Add User' }));
+    const dialog = await screen.findByRole('dialog', { name: 'Add User' });
+    await user.type(within(dialog).getByLabelText('Username'), 'bob');
+    await user.type(within(dialog).getByLabelText('Initial password'), 'Secret123');
+    await user.click(within(dialog).getByRole('button', { name: 'Create User' }));
+
+    await waitFor(() => expect(fetchMock).toHaveBeenCalledWith(
+      expect.stringContaining('/api/auth/users'),
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ username: 'bob', password: 'Secret123', role: 'read-only' }),
+      }),
+    ));
+    await waitFor(() => expect(dialog).not.toBeInTheDocument());
+    expect(screen.getByText('bob')).toBeInTheDocument();
+  });
+
   test('edits OIDC groups as lists and serializes them for the API', async () => {
     const user = userEvent.setup();
     useAuthMock.mockReturnValue({
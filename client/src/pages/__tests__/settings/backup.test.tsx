@@ -0,0 +1,103 @@
+import './harness';
+import { describe, expect, test, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Settings } from '../../Settings';
+import { exportBackup, fetchConfig, importBackup, previewBackupImport } from '../../../lib/api';
+import type { BackupPreviewResponse } from '../../../types';
+
+const EMPTY_DIFF = { added: [], changed: [], removed: [], unchanged: 0 };
+
+function mockAdminConfig() {
+  vi.mocked(fetchConfig).mockResolvedValue({
+    lookback_period: '1h',
+    lookback_hours: 1,
+    lookback_days: 1,
+    refresh_interval: 30000,
+    current_interval_name: '30s',
+    lapi_status: { isConnected: true, lastCheck: null, lastError: null, offline_since: null },
+    sync_status: { isSyncing: false, progress: 100, message: 'done', startedAt: null, completedAt: null },
+    simulations_enabled: true,
+    machine_features_enabled: false,
+    origin_features_enabled: false,
+    permissions: {
+      mode: 'admin',
+      can_manage_enforcement: true,
+      can_manage_settings: true,
+    },
+  });
+}
+
+describe('Settings backup and restore', () => {
+  test('downloads an encrypted backup with the entered passphrase', async () => {
+    const user = userEvent.setup();
+    mockAdminConfig();
+    vi.mocked(exportBackup).mockResolvedValue({ format: 'crowdsec-web-ui-backup' });
+    const createObjectURL = vi.fn(() => 'blob:backup');
+    Object.assign(URL, { createObjectURL, revokeObjectURL: vi.fn() });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => undefined);
+
+    render(<Settings />);
+    await screen.findByText('Backup and restore');
+
+    await user.type(screen.getByLabelText('Passphrase (optional)'), 'correct horse');
+    await user.click(screen.getByRole('button', { name: 'Export backup' }));
+
+    await waitFor(() => expect(exportBackup).toHaveBeenCalledWith({ passphrase: 'correct horse' }));
+    expect(createObjectURL).toHaveBeenCalled();
+    expect(click).toHaveBeenCalled();
+    click.mockRestore();
+  });
+
+  test('previews the bundle before importing it', async () => {
+    const user = userEvent.setup();
+    mockAdminConfig();
+    const preview: BackupPreviewResponse = {
+      created_at: '2026-05-01T00:00:00.000Z',
+      app_version: '2.0.0',
+      encrypted: false,
+      includes_secrets: false,
+      mode: 'replace',
+      sections: {
+        settings: EMPTY_DIFF,
+        users: { added: ['analyst'], changed: [], removed: [], unchanged: 1 },
+        saved_searches: EMPTY_DIFF,
+        notification_channels: { added: [], changed: [], removed: ['Old'], unchanged: 0 },
+        notification_rules: EMPTY_DIFF,
+        notification_reports: EMPTY_DIFF,
+      },
+    };
+    vi.mocked(previewBackupImport).mockResolvedValue(preview);
+    vi.mocked(importBackup).mockResolvedValue(preview);
+
+    render(<Settings />);
+    await screen.findByText('Backup and restore');
+    expect(screen.getByRole('button', { name: 'Import backup' })).toBeDisabled();
+
+    const bundle = { format: 'crowdsec-web-ui-backup', version: 1 };
+    await user.upload(screen.getByLabelText('Backup file'), new File([JSON.stringify(bundle)], 'backup.json', { type: 'application/json' }));
+    await user.selectOptions(screen.getByLabelText('Import mode'), 'replace');
+    await user.click(screen.getByRole('button', { name: 'Preview import' }));
+
+    expect(previewBackupImport).toHaveBeenCalledWith({ bundle, mode: 'replace' });
+    const usersRow = (await screen.findByRole('cell', { name: 'Users' })).closest('tr');
+    expect(usersRow).toHaveTextContent('Users1001');
+    expect(screen.getByRole('cell', { name: 'Notification destinations' }).closest('tr')).toHaveTextContent('0010');
+
+    await user.click(screen.getByRole('button', { name: 'Import backup' }));
+    expect(importBackup).toHaveBeenCalledWith({ bundle, mode: 'replace' });
+  });
+
+  test('rejects files that are not JSON', async () => {
+    const user = userEvent.setup();
+    mockAdminConfig();
+
+    render(<Settings />);
+    await screen.findByText('Backup and restore');
+
+    await user.upload(screen.getByLabelText('Backup file'), new File(['not json'], 'backup.txt', { type: 'application/json' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('The selected file is not a valid JSON backup.');
+    expect(screen.getByRole('button', { name: 'Preview import' })).toBeDisabled();
+  });
+});
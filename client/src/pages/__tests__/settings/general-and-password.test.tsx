@@ -244,7 +244,7 @@ describe('Settings general and password', () => {
     expect(screen.queryByRole('button', { name: 'Set Up TOTP' })).not.toBeInTheDocument();
   });
 
-  test('hides passkey settings and does not request passkeys for an OIDC-only account', async () => {
+  test('hides passkey settings but keeps API tokens for an OIDC-only account', async () => {
     useAuthMock.mockReturnValue({
       authEnabled: true,
       setupRequired: false,
@@ -291,6 +291,8 @@ describe('Settings general and password', () => {
 
     await waitFor(() => expect(screen.queryByText('Passkeys')).not.toBeInTheDocument());
     expect(fetchMock).not.toHaveBeenCalledWith(expect.stringContaining('/api/auth/passkeys'));
+    expect(screen.getByText('API Tokens')).toBeInTheDocument();
+    expect(fetchMock).toHaveBeenCalledWith(expect.stringContaining('/api/auth/tokens'));
   });
 
 });
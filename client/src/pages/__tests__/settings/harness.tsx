@@ -5,6 +5,7 @@ import { useRefresh } from '../../../contexts/useRefresh';
 const { setLanguagePreferenceMock, tMock, useAuthMock } = vi.hoisted(() => {
   const translations: Record<string, string> = {
     'common.cancel': 'Cancel',
+    'common.disabled': 'Disabled',
     'common.save': 'Save',
     'common.saving': 'Saving...',
     'components.sidebar.refresh.every30Seconds': 'Every 30s',
@@ -77,6 +78,53 @@ const { setLanguagePreferenceMock, tMock, useAuthMock } = vi.hoisted(() => {
     'pages.settings.registerPasskeyTitle': 'Register New Passkey',
     'pages.settings.registerPasskeyDescription': 'Give this passkey a recognizable name, then follow your browser or device prompt to finish registration.',
     'pages.settings.registerPasskeySubmit': 'Register Passkey',
+    'pages.settings.apiTokens': 'API Tokens',
+    'pages.settings.apiTokensDescription': 'Create bearer tokens for scripts and automation.',
+    'pages.settings.noApiTokens': 'No API tokens created.',
+    'pages.settings.apiToken': 'API token',
+    'pages.settings.apiTokenScopeAdmin': 'Admin',
+    'pages.settings.apiTokenScopeReadOnly': 'Read-only',
+    'pages.settings.apiTokenExpires': 'Expires {date}',
+    'pages.settings.apiTokenNeverExpires': 'Never expires',
+    'pages.settings.apiTokenLastUsed': 'Last used {date}',
+    'pages.settings.apiTokenNeverUsed': 'Never used',
+    'pages.settings.revokeApiToken': 'Revoke {name}',
+    'pages.settings.createApiToken': 'Create API Token',
+    'pages.settings.createApiTokenDescription': 'Send the token as an Authorization: Bearer header.',
+    'pages.settings.createApiTokenSubmit': 'Create Token',
+    'pages.settings.apiTokenName': 'Token name',
+    'pages.settings.apiTokenScope': 'Access',
+    'pages.settings.apiTokenExpiration': 'Expiration',
+    'pages.settings.apiTokenLifetimeDays': '{count} days',
+    'pages.settings.apiTokenNoExpiration': 'No expiration',
+    'pages.settings.apiTokenCopyWarning': 'Copy this token now.',
+    'pages.settings.copyApiToken': 'Copy API token',
+    'pages.settings.done': 'Done',
+    'pages.settings.users': 'Users',
+    'pages.settings.usersDescription': 'Manage local accounts.',
+    'pages.settings.currentUser': '{username} (you)',
+    'pages.settings.oidcUser': 'SSO',
+    'pages.settings.userCreatedAt': 'Created {date}',
+    'pages.settings.userRoleFor': 'Role for {username}',
+    'pages.settings.roleAdmin': 'Admin',
+    'pages.settings.roleReadOnly': 'Read-only',
+    'pages.settings.resetPassword': 'Reset Password',
+    'pages.settings.revokeSessions': 'Sign Out Everywhere',
+    'pages.settings.revokeSessionsFor': 'Sign out {username} everywhere',
+    'pages.settings.enableUser': 'Enable',
+    'pages.settings.disableUser': 'Disable',
+    'pages.settings.enableUserFor': 'Enable {username}',
+    'pages.settings.disableUserFor': 'Disable {username}',
+    'pages.settings.addUser': 'Add User',
+    'pages.settings.username': 'Username',
+    'pages.settings.initialPassword': 'Initial password',
+    'pages.settings.role': 'Role',
+    'pages.settings.createUser': 'Create User',
+    'pages.settings.resetPasswordTitle': 'Reset Password for {username}',
+    'pages.settings.userCreated': 'User created.',
+    'pages.settings.userUpdated': 'User updated.',
+    'pages.settings.sessionsRevoked': 'Signed {username} out of every session.',
+    'pages.settings.passwordReset': 'Password reset for {username}.',
     'pages.settings.oidcSso': 'OIDC (SSO)',
     'pages.settings.oidcDescription': 'Configure the provider connection and optional group mapping for admin and read-only access.',
     'pages.settings.oidcIssuerUrl': 'Issuer URL',
@@ -100,6 +148,21 @@ const { setLanguagePreferenceMock, tMock, useAuthMock } = vi.hoisted(() => {
     'pages.settings.saveOidcSettings': 'Save OIDC Settings',
     'pages.settings.oidcSettingsSaved': 'OIDC settings saved.',
     'pages.settings.failedToSaveOidcSettings': 'Failed to save OIDC settings.',
+    'pages.settings.backup': 'Backup and restore',
+    'pages.settings.backupExportPassphrase': 'Passphrase (optional)',
+    'pages.settings.exportBackup': 'Export backup',
+    'pages.settings.backupExported': 'Backup exported',
+    'pages.settings.backupFile': 'Backup file',
+    'pages.settings.backupFileInvalid': 'The selected file is not a valid JSON backup.',
+    'pages.settings.backupImportPassphrase': 'Backup passphrase',
+    'pages.settings.backupImportMode': 'Import mode',
+    'pages.settings.backupModeMerge': 'Merge',
+    'pages.settings.backupModeReplace': 'Replace',
+    'pages.settings.backupSections.users': 'Users',
+    'pages.settings.backupSections.notificationChannels': 'Notification destinations',
+    'pages.settings.previewBackup': 'Preview import',
+    'pages.settings.importBackup': 'Import backup',
+    'pages.settings.backupImported': 'Backup imported',
   };
 
   return {
@@ -119,7 +182,13 @@ const { setLanguagePreferenceMock, tMock, useAuthMock } = vi.hoisted(() => {
 });
 
 vi.mock('../../../lib/api', () => ({
+  exportBackup: vi.fn(),
   fetchConfig: vi.fn(),
+  fetchInstanceSettings: vi.fn().mockResolvedValue({ instances: [], config_file: '/app/data/config.yaml' }),
+  importBackup: vi.fn(),
+  previewBackupImport: vi.fn(),
+  testInstanceConnection: vi.fn(),
+  updateInstanceSettings: vi.fn(),
   updateManualRefreshSetting: vi.fn(),
   updateMetricsSidebarPreference: vi.fn(),
 }));
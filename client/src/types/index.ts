@@ -1,8 +1,9 @@
 import type { Dispatch, ReactNode, SetStateAction } from 'react';
-import type { SyncStatus } from '../../../shared/contracts';
+import type { LiveServerMessage, LiveStream, SyncStatus } from '../../../shared/contracts';
 
 export type {
   AddDecisionRequest,
+  AlertAnomalyDimension,
   AlertDecision,
   AlertDecisionSummary,
   AlertEvent,
@@ -10,12 +11,42 @@ export type {
   AlertMetaValue,
   AlertRecord,
   AlertSource,
+  AuditAction,
+  AuditInstanceResult,
+  AuditLogEntry,
+  AuditOutcome,
+  AuditSummaryValue,
+  BackupImportMode,
+  BackupPreviewResponse,
+  BackupSection,
+  BackupSectionDiff,
   ConfigResponse,
+  ConfigSecretValue,
+  ExportBackupRequest,
+  ImportBackupRequest,
+  ImportDecisionsPreview,
+  ImportDecisionsRequest,
+  ImportDecisionsResponse,
+  InstanceConnectionTestResponse,
+  InstanceConnectionTestStep,
   InstanceEntityRef,
+  InstanceLapiAuthSettings,
+  InstanceMetricsAuthSettings,
+  InstanceMetricsSettings,
   InstanceOperationResult,
+  InstanceSettings,
+  InstancesSettingsResponse,
   InstanceSummary,
+  InstanceSyncOverrideKey,
   InstanceSyncStatus,
+  IpProfileCount,
+  IpProfileInstance,
+  IpProfileLocation,
+  IpProfileResponse,
+  IpProfileStats,
   MultiInstanceOperationResponse,
+  UpdateInstancesSettingsRequest,
+  UpdateInstancesSettingsResponse,
   DashboardAttackLocationDatum,
   DashboardGranularity,
   DashboardSimulationFilter,
@@ -27,23 +58,65 @@ export type {
   DashboardWorldMapDatum,
   CrowdsecMetricsApiEntity,
   CrowdsecMetricsAppsecEngine,
+  CrowdsecMetricsHistoryPoint,
+  CrowdsecMetricsHistoryRange,
+  CrowdsecMetricsHistoryResponse,
   CrowdsecMetricsLapiRoute,
   CrowdsecMetricsParserNode,
   CrowdsecMetricsParserSource,
   CrowdsecMetricsResponse,
   CrowdsecMetricsTiming,
   CrowdsecMetricsWhitelist,
+  AddAllowlistItemsRequest,
+  AddAnnotationNoteRequest,
+  Allowlist,
+  AllowlistItem,
+  AllowlistsResponse,
+  Annotation,
+  AnnotationNote,
+  AnnotationTarget,
   BulkDeleteRequest,
   BulkDeleteResult,
   CleanupByIpRequest,
+  CreateAllowlistRequest,
+  RemoveAllowlistItemsRequest,
+  PropagateDecisionsRequest,
+  PropagateDecisionsResponse,
+  UpdateDecisionMirrorPolicyRequest,
+  DecisionDriftItem,
+  DecisionDriftPresence,
+  DecisionDriftResponse,
+  DecisionDurationMode,
+  DecisionMirrorPolicy,
+  IncidentAction,
+  IncidentActionRequest,
+  IncidentActionResponse,
+  IncidentDetail,
+  IncidentGroupBy,
+  IncidentGroupKind,
+  IncidentListResponse,
+  IncidentSettings,
+  IncidentSummary,
+  UpdateIncidentRequest,
+  LiveRowsMessage,
+  LiveServerMessage,
+  LiveStream,
+  EditDecisionsFailure,
+  EditDecisionsRequest,
+  EditDecisionsResult,
   NotificationChannel,
   NotificationChannelType,
   DeleteResourceKind,
   NotificationDeliveryResult,
   NotificationDeliveryStatus,
+  NotificationDigest,
+  NotificationEscalation,
   NotificationFilter,
   NotificationItem,
   NotificationListResponse,
+  NotificationQuietHours,
+  NotificationReport,
+  NotificationReportFrequency,
   PaginatedResponse,
   NotificationRule,
   NotificationRuleConfig,
@@ -51,10 +124,16 @@ export type {
   NotificationSeverity,
   NotificationSettingsResponse,
   BulkDeleteFailure,
+  DecisionImportEntry,
+  DecisionImportEntryStatus,
+  DecisionImportFormat,
   DecisionListItem,
+  DecisionScope,
+  ExportFormat,
   FacetField,
   FacetResponse,
   FacetValue,
+  SavedSearch,
   SlimAlert,
   SlimDecision,
   StatsAlert,
@@ -63,8 +142,12 @@ export type {
   TableColumnId,
   TableColumnPreferences,
   TableColumnPreferenceTable,
+  TriageStatus,
+  UpdateAnnotationRequest,
   UpsertNotificationChannelRequest,
+  UpsertNotificationReportRequest,
   UpsertNotificationRuleRequest,
+  UpsertSavedSearchRequest,
   UpdateMetricsSidebarPreferenceRequest,
   UpdateManualRefreshSettingRequest,
   UpdateCheckResponse,
@@ -126,6 +209,12 @@ export interface RefreshContextValue {
   refreshSignal: number;
   syncStatus: SyncStatus | null;
   refreshNow?: (mode: ManualRefreshMode) => Promise<void>;
+  /** Streams matching rows for one list; returns the unsubscribe function. */
+  subscribeLive?: (
+    stream: LiveStream,
+    filters: Record<string, string>,
+    onMessage: (message: LiveServerMessage) => void,
+  ) => () => void;
 }
 
 export interface NotificationUnreadContextValue {
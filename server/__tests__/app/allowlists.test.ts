@@ -0,0 +1,257 @@
+import { describe, expect, test } from 'vitest';
+import type { AllowlistsResponse, MultiInstanceOperationResponse } from '../../../shared/contracts';
+import { createController, destroyTempDir, sampleAlert, seedAlert } from './harness';
+
+interface StubAllowlist {
+  name: string;
+  description: string;
+  created_at: string;
+  updated_at: string;
+  console_managed: boolean;
+  items: Array<{ value: string; description?: string; created_at: string; expiration?: string }>;
+}
+
+/**
+ * Minimal in-memory LAPI allowlist API: just enough of the read and write
+ * endpoints for the routes under test.
+ */
+function createLapiAllowlistStub(initial: StubAllowlist[] = []) {
+  const allowlists = new Map(initial.map((allowlist) => [allowlist.name, allowlist]));
+
+  const resolve = (url: string, init?: { method?: string; body?: unknown }): Response | undefined => {
+    const { pathname } = new URL(url);
+    const match = pathname.match(/^\/v1\/allowlists(?:\/([^/]+))?(\/items)?$/);
+    if (!match) return undefined;
+    const method = init?.method || 'GET';
+    const body = init?.body ? JSON.parse(String(init.body)) : {};
+    const name = match[1] ? decodeURIComponent(match[1]) : null;
+    const allowlist = name ? allowlists.get(name) : undefined;
+
+    if (!name && method === 'GET') return Response.json(Array.from(allowlists.values()));
+    if (!name && method === 'POST') {
+      if (allowlists.has(body.name)) return Response.json({ message: 'allowlist already exists' }, { status: 409 });
+      const now = new Date().toISOString();
+      allowlists.set(body.name, { name: body.name, description: body.description, created_at: now, updated_at: now, console_managed: false, items: [] });
+      return Response.json({ name: body.name }, { status: 201 });
+    }
+    if (!allowlist) return Response.json({ message: 'allowlist not found' }, { status: 404 });
+    if (!match[2] && method === 'DELETE') {
+      allowlists.delete(allowlist.name);
+      return new Response(null, { status: 204 });
+    }
+    if (match[2] && method === 'POST') {
+      for (const item of body.items) {
+        allowlist.items = allowlist.items.filter((existing) => existing.value !== item.value);
+        allowlist.items.push({ ...item, created_at: new Date().toISOString() });
+      }
+      return Response.json({}, { status: 201 });
+    }
+    if (match[2] && method === 'DELETE') {
+      allowlist.items = allowlist.items.filter((item) => !body.values.includes(item.value));
+      return new Response(null, { status: 204 });
+    }
+    return Response.json({ message: 'method not allowed' }, { status: 405 });
+  };
+
+  return { allowlists, resolve };
+}
+
+function sendJson(controller: ReturnType<typeof createController>['controller'], path: string, method: string, body?: unknown) {
+  return controller.fetch(new Request(`http://localhost/crowdsec${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  }));
+}
+
+describe('createApp allowlists', () => {
+  test('lists, creates and deletes allowlists and their entries', async () => {
+    const stub = createLapiAllowlistStub([{
+      name: 'partners',
+      description: 'Trusted partners',
+      created_at: '2026-06-01T00:00:00Z',
+      updated_at: '2026-06-01T00:00:00Z',
+      console_managed: false,
+      items: [{ value: '192.0.2.10', description: 'office', created_at: '2026-06-01T00:00:00Z' }],
+    }]);
+    const { controller, lapiClient } = createController({ fetchResolver: stub.resolve });
+    await lapiClient.login();
+
+    const listResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/allowlists'));
+    expect(listResponse.status).toBe(200);
+    expect(await listResponse.json()).toEqual<AllowlistsResponse>({
+      allowlists: [{
+        instance_id: 'default',
+        instance_name: 'CrowdSec',
+        name: 'partners',
+        description: 'Trusted partners',
+        created_at: '2026-06-01T00:00:00Z',
+        updated_at: '2026-06-01T00:00:00Z',
+        console_managed: false,
+        items: [{ value: '192.0.2.10', description: 'office', created_at: '2026-06-01T00:00:00Z', expiration: null }],
+      }],
+      errors: [],
+    });
+
+    const createResponse = await sendJson(controller, '/api/allowlists', 'POST', { name: 'monitoring', description: 'Uptime checks' });
+    expect(createResponse.status).toBe(200);
+    expect((await createResponse.json() as MultiInstanceOperationResponse).succeeded).toBe(1);
+    expect(stub.allowlists.get('monitoring')?.description).toBe('Uptime checks');
+
+    const addResponse = await sendJson(controller, '/api/allowlists/monitoring/items', 'POST', {
+      values: ['198.51.100.0/24', '203.0.113.7'],
+      description: 'probes',
+      expiration: '7d',
+    });
+    expect(addResponse.status).toBe(200);
+    const added = stub.allowlists.get('monitoring')!.items;
+    expect(added.map((item) => item.value)).toEqual(['198.51.100.0/24', '203.0.113.7']);
+    expect(added[0].description).toBe('probes');
+    expect(Date.parse(added[0].expiration!) - Date.now()).toBeGreaterThan(7 * 86_400_000 - 60_000);
+
+    const removeResponse = await sendJson(controller, '/api/allowlists/monitoring/items/bulk-delete', 'POST', { values: ['203.0.113.7'] });
+    expect(removeResponse.status).toBe(200);
+    expect(stub.allowlists.get('monitoring')!.items.map((item) => item.value)).toEqual(['198.51.100.0/24']);
+
+    const deleteResponse = await sendJson(controller, '/api/allowlists/partners', 'DELETE');
+    expect(deleteResponse.status).toBe(200);
+    expect(stub.allowlists.has('partners')).toBe(false);
+
+    // LAPI has no allowlist write routes, so a 404 means the route is missing rather than the allowlist.
+    const missingResponse = await sendJson(controller, '/api/allowlists/partners', 'DELETE');
+    expect(missingResponse.status).toBe(502);
+    expect(await missingResponse.json()).toEqual(expect.objectContaining({
+      failed: 1,
+      results: [expect.objectContaining({
+        success: false,
+        error: 'This CrowdSec LAPI does not support changing allowlists; use `cscli allowlists` instead',
+      })],
+    }));
+
+    const auditResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/audit'));
+    expect((await auditResponse.json()).data).toEqual(expect.arrayContaining([
+      expect.objectContaining({ action: 'allowlist.create', summary: { name: 'monitoring', description: 'Uptime checks' } }),
+      expect.objectContaining({
+        action: 'allowlist.update',
+        summary: expect.objectContaining({ name: 'monitoring', operation: 'add', count: 2, expiration: '7d' }),
+      }),
+      expect.objectContaining({ action: 'allowlist.delete', outcome: 'failure' }),
+    ]));
+
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+
+  test('cleans up existing decisions when allowlisting a value', async () => {
+    const stub = createLapiAllowlistStub([{
+      name: 'partners',
+      description: '',
+      created_at: '2026-06-01T00:00:00Z',
+      updated_at: '2026-06-01T00:00:00Z',
+      console_managed: false,
+      items: [],
+    }]);
+    const { controller, database, lapiClient, fetchCalls } = createController({
+      fetchResolver: stub.resolve,
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    seedAlert(database, sampleAlert());
+    await lapiClient.login();
+
+    const response = await sendJson(controller, '/api/allowlists/partners/items', 'POST', { values: ['1.2.3.4'], cleanup: true });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual(expect.objectContaining({
+      succeeded: 1,
+      results: [expect.objectContaining({
+        success: true,
+        result: { cleanup: expect.objectContaining({ deleted_alerts: 1, deleted_decisions: 1, failed: [] }) },
+      })],
+    }));
+    expect(stub.allowlists.get('partners')!.items.map((item) => item.value)).toEqual(['1.2.3.4']);
+    expect(fetchCalls.some((call) => call.url.endsWith('/v1/decisions/10') && call.method === 'DELETE')).toBe(true);
+    expect(database.getDecisionById('10')).toBeNull();
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('rejects invalid input and explains read-only LAPI allowlists', async () => {
+    const { controller, lapiClient } = createController({
+      fetchResolver: (url, init) => (url.includes('/v1/allowlists') && init?.method === 'POST'
+        ? Response.json({ message: 'Method Not Allowed' }, { status: 405 })
+        : undefined),
+    });
+    await lapiClient.login();
+
+    expect((await sendJson(controller, '/api/allowlists', 'POST', { name: '../escape' })).status).toBe(400);
+    expect((await sendJson(controller, '/api/allowlists/partners/items', 'POST', { values: ['not-an-ip'] })).status).toBe(400);
+    expect((await sendJson(controller, '/api/allowlists/partners/items', 'POST', { values: [] })).status).toBe(400);
+    expect((await sendJson(controller, '/api/allowlists/partners/items', 'POST', { values: ['1.2.3.4'], expiration: 'forever' })).status).toBe(400);
+    expect((await controller.fetch(new Request('http://localhost/crowdsec/api/allowlists?instance=missing'))).status).toBe(404);
+
+    const response = await sendJson(controller, '/api/allowlists', 'POST', { name: 'partners' });
+    expect(response.status).toBe(502);
+    expect(await response.json()).toEqual(expect.objectContaining({
+      results: [expect.objectContaining({
+        success: false,
+        error: 'This CrowdSec LAPI does not support changing allowlists; use `cscli allowlists` instead',
+      })],
+    }));
+
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+
+  test('points to cscli when LAPI has no allowlist routes and rejects malformed bodies', async () => {
+    const { controller, lapiClient } = createController({
+      fetchResolver: (url) => (url.includes('/v1/allowlists')
+        ? new Response('404 page not found', { status: 404 })
+        : undefined),
+    });
+    await lapiClient.login();
+
+    for (const [path, body] of [
+      ['/api/allowlists', { name: 'partners' }],
+      ['/api/allowlists/partners/items', { values: ['1.2.3.4'] }],
+      ['/api/allowlists/partners/items/bulk-delete', { values: ['1.2.3.4'] }],
+    ] as const) {
+      const response = await sendJson(controller, path, 'POST', body);
+      expect(response.status).toBe(502);
+      expect(await response.json()).toEqual(expect.objectContaining({
+        results: [expect.objectContaining({
+          error: 'This CrowdSec LAPI does not support changing allowlists; use `cscli allowlists` instead',
+        })],
+      }));
+
+      const malformed = await controller.fetch(new Request(`http://localhost/crowdsec${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{',
+      }));
+      expect(malformed.status).toBe(400);
+      expect(await malformed.json()).toEqual({ error: 'Invalid request body' });
+      expect((await sendJson(controller, path, 'POST', null)).status).toBe(400);
+    }
+
+    const listed = await controller.fetch(new Request('http://localhost/crowdsec/api/allowlists'));
+    expect(listed.status).toBe(502);
+    expect(await listed.json()).toEqual(expect.objectContaining({
+      error: 'This CrowdSec LAPI does not expose allowlists; use `cscli allowlists` instead',
+    }));
+
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+
+  test('rejects writes for read-only sessions', async () => {
+    const { controller } = createController({ env: { PERMISSION_READ_ONLY: 'true' } });
+
+    const response = await sendJson(controller, '/api/allowlists', 'POST', { name: 'partners' });
+
+    expect(response.status).toBe(403);
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+});
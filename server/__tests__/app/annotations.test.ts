@@ -0,0 +1,105 @@
+import { describe, expect, test } from 'vitest';
+import type { Annotation, FacetResponse } from '../../../shared/contracts';
+import { createController, destroyTempDir, sampleAlert, seedAlert } from './harness';
+
+function sendJson(controller: ReturnType<typeof createController>['controller'], path: string, method: string, body?: unknown) {
+  return controller.fetch(new Request(`http://localhost/crowdsec${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  }));
+}
+
+async function listIds(controller: ReturnType<typeof createController>['controller'], path: string, query: string): Promise<unknown[]> {
+  const response = await controller.fetch(new Request(`http://localhost/crowdsec${path}?page=1&page_size=10&q=${encodeURIComponent(query)}`));
+  expect(response.status).toBe(200);
+  return ((await response.json()) as { data: Array<{ id: unknown }> }).data.map((item) => item.id);
+}
+
+describe('createApp annotations', () => {
+  test('stores triage status, tags and notes and exposes them to lists, search and facets', async () => {
+    const { controller, database } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    seedAlert(database, sampleAlert());
+    seedAlert(database, sampleAlert({ id: 2, uuid: 'alert-2', source: { ip: '5.6.7.8', cn: 'US' }, decisions: [] }));
+
+    const initial = await controller.fetch(new Request('http://localhost/crowdsec/api/instances/default/alerts/1/annotation'));
+    expect(await initial.json()).toEqual<Annotation>({ status: 'new', tags: [], notes: [], updated_at: null, updated_by: null });
+
+    const updateResponse = await sendJson(controller, '/api/instances/default/alerts/1/annotation', 'PUT', {
+      status: 'acknowledged',
+      tags: ['Scanner', 'scanner', 'customer:acme'],
+    });
+    expect(updateResponse.status).toBe(200);
+    expect(await updateResponse.json()).toEqual(expect.objectContaining({ status: 'acknowledged', tags: ['customer:acme', 'scanner'] }));
+
+    const noteResponse = await sendJson(controller, '/api/instances/default/alerts/1/annotation/notes', 'POST', { body: '  Known pentest  ' });
+    expect(noteResponse.status).toBe(201);
+    const [note] = ((await noteResponse.json()) as Annotation).notes;
+    expect(note).toEqual(expect.objectContaining({ body: 'Known pentest', author: null }));
+
+    await sendJson(controller, '/api/instances/default/decisions/10/annotation', 'PUT', { status: 'false_positive' });
+
+    const listResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/alerts?page=1&page_size=10'));
+    const listed = ((await listResponse.json()) as { data: Array<{ id: number; annotation?: Annotation }> }).data;
+    expect(listed.find((alert) => alert.id === 1)?.annotation).toEqual(expect.objectContaining({
+      status: 'acknowledged',
+      tags: ['customer:acme', 'scanner'],
+      notes: [expect.objectContaining({ body: 'Known pentest' })],
+    }));
+    expect(listed.find((alert) => alert.id === 2)?.annotation).toBeUndefined();
+
+    expect(await listIds(controller, '/api/alerts', 'status:acknowledged')).toEqual([1]);
+    expect(await listIds(controller, '/api/alerts', 'status:new')).toEqual([2]);
+    expect(await listIds(controller, '/api/alerts', 'tag:scanner')).toEqual([1]);
+    expect(await listIds(controller, '/api/alerts', 'tag:""')).toEqual([2]);
+    expect(await listIds(controller, '/api/alerts', 'note:pentest')).toEqual([1]);
+    expect(await listIds(controller, '/api/decisions', 'triage:"false positive"')).toEqual([10]);
+
+    const facetResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/alerts/facets?field=tag'));
+    expect(((await facetResponse.json()) as FacetResponse).values).toEqual(expect.arrayContaining([
+      { value: 'scanner', count: 1 },
+      { value: 'customer:acme', count: 1 },
+      { value: '', count: 1 },
+    ]));
+
+    database.clearSyncData();
+    seedAlert(database, sampleAlert());
+    const afterResync = await controller.fetch(new Request('http://localhost/crowdsec/api/instances/default/alerts/1/annotation'));
+    expect(await afterResync.json()).toEqual(expect.objectContaining({ status: 'acknowledged', notes: [expect.objectContaining({ id: note.id })] }));
+
+    const deleteResponse = await sendJson(controller, `/api/instances/default/alerts/1/annotation/notes/${note.id}`, 'DELETE');
+    expect(((await deleteResponse.json()) as Annotation).notes).toEqual([]);
+    expect((await sendJson(controller, `/api/instances/default/alerts/1/annotation/notes/${note.id}`, 'DELETE')).status).toBe(404);
+
+    const auditResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/audit'));
+    expect((await auditResponse.json()).data).toEqual(expect.arrayContaining([
+      expect.objectContaining({ action: 'annotation.update', summary: expect.objectContaining({ target: 'alert', id: 'default:1', status: 'acknowledged' }) }),
+      expect.objectContaining({ action: 'annotation.update', summary: expect.objectContaining({ target: 'alert', note: 'deleted' }) }),
+    ]));
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('rejects invalid input and read-only sessions', async () => {
+    const { controller } = createController();
+
+    expect((await sendJson(controller, '/api/instances/default/alerts/1/annotation', 'PUT', {})).status).toBe(400);
+    expect((await sendJson(controller, '/api/instances/default/alerts/1/annotation', 'PUT', { status: 'closed' })).status).toBe(400);
+    expect((await sendJson(controller, '/api/instances/default/alerts/1/annotation', 'PUT', { tags: ['has space'] })).status).toBe(400);
+    expect((await sendJson(controller, '/api/instances/default/alerts/abc/annotation', 'PUT', { status: 'new' })).status).toBe(400);
+    expect((await sendJson(controller, '/api/instances/missing/alerts/1/annotation', 'PUT', { status: 'new' })).status).toBe(404);
+    expect((await sendJson(controller, '/api/instances/default/decisions/1/annotation/notes', 'POST', { body: '   ' })).status).toBe(400);
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+
+    const readOnly = createController({ env: { PERMISSION_READ_ONLY: 'true' } });
+    expect((await sendJson(readOnly.controller, '/api/instances/default/alerts/1/annotation', 'PUT', { status: 'resolved' })).status).toBe(403);
+    expect((await readOnly.controller.fetch(new Request('http://localhost/crowdsec/api/instances/default/alerts/1/annotation'))).status).toBe(200);
+    readOnly.controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+});
@@ -351,6 +351,62 @@ describe('createApp dashboard API', () => {
     destroyTempDir();
   });
 
+  test('charts ranges beyond the lookback from statistics rollups', async () => {
+    const dayMs = 24 * 60 * 60 * 1_000;
+    const recentAlert = sampleAlert({ id: 1901, uuid: 'rollup-recent-alert', decisions: [] });
+    const expiredAlert = sampleAlert({
+      id: 1902,
+      uuid: 'rollup-expired-alert',
+      created_at: new Date(Date.now() - 20 * dayMs).toISOString(),
+      scenario: 'crowdsecurity/http-probing',
+      source: { ip: '9.9.9.9', value: '9.9.9.9', cn: 'US', as_name: 'AWS' },
+      decisions: [{ id: 19020, value: '9.9.9.9', stop_at: new Date(Date.now() - 19 * dayMs).toISOString(), type: 'ban', origin: 'crowdsec', simulated: false }],
+    });
+    const { controller, database, lapiClient } = createController({
+      env: { CROWDSEC_LOOKBACK_PERIOD: '7d' },
+      fetchResolver: (url) => url.includes('/v1/alerts?') ? Response.json([recentAlert]) : undefined,
+    });
+    seedAlert(database, recentAlert);
+    seedAlert(database, expiredAlert);
+    await lapiClient.login();
+    expect(database.cleanupOldData(
+      new Date(Date.now() - 7 * dayMs).toISOString(),
+      new Date(Date.now() - 90 * dayMs).toISOString(),
+    )).toEqual({ alerts: 1, decisions: 1 });
+
+    const lookbackResponse = await (await controller.fetch(new Request('http://localhost/crowdsec/api/dashboard/stats'))).json() as DashboardStatsResponse;
+    expect(lookbackResponse.totals.alerts).toBe(1);
+    expect(lookbackResponse.series.alertsHistory).toHaveLength(7);
+
+    const extendedResponse = await (await controller.fetch(new Request(
+      'http://localhost/crowdsec/api/dashboard/stats?range_days=30&granularity=hour',
+    ))).json() as DashboardStatsResponse;
+    const sum = (buckets: Array<{ count: number }>) => buckets.reduce((total, bucket) => total + bucket.count, 0);
+    expect(extendedResponse.totals.alerts).toBe(2);
+    expect(extendedResponse.series.alertsHistory).toHaveLength(30);
+    expect(extendedResponse.series.alertsHistory.every((bucket) => !bucket.date.includes('T'))).toBe(true);
+    expect(sum(extendedResponse.series.alertsHistory)).toBe(2);
+    expect(sum(extendedResponse.series.decisionsHistory)).toBe(1);
+    expect(extendedResponse.topScenarios).toEqual(expect.arrayContaining([{ label: 'crowdsecurity/http-probing', count: 1 }]));
+    expect(extendedResponse.topCountries).toEqual(expect.arrayContaining([expect.objectContaining({ countryCode: 'US', count: 1 })]));
+
+    const scenarioResponse = await (await controller.fetch(new Request(
+      'http://localhost/crowdsec/api/dashboard/stats?range_days=30&scenario=crowdsecurity/http-probing',
+    ))).json() as DashboardStatsResponse;
+    expect(scenarioResponse.filteredTotals.alerts).toBe(1);
+    expect(sum(scenarioResponse.series.decisionsHistory)).toBe(1);
+
+    // Rollups do not keep targets or IPs, so those filters only match cached rows.
+    const targetResponse = await (await controller.fetch(new Request(
+      'http://localhost/crowdsec/api/dashboard/stats?range_days=30&target=http',
+    ))).json() as DashboardStatsResponse;
+    expect(targetResponse.filteredTotals.alerts).toBe(0);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
   test('includes machine in decision payloads', async () => {
     const firstAlert = sampleAlert({
       id: 101,
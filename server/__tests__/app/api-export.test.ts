@@ -0,0 +1,93 @@
+import { describe, expect, test } from 'vitest';
+import {
+  createController,
+  destroyTempDir,
+  sampleAlert,
+  seedAlert,
+} from './harness';
+
+const READY_CACHE = { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() };
+
+describe('createApp exports', () => {
+  test('streams filtered alerts as CSV with the requested columns', async () => {
+    const { controller, database, lapiClient } = createController({ initialCacheState: READY_CACHE });
+    seedAlert(database, sampleAlert());
+    seedAlert(database, sampleAlert({
+      id: 2,
+      uuid: 'alert-2',
+      scenario: 'crowdsecurity/http-probing',
+      message: 'Probing, "quoted"',
+      source: { ip: '5.6.7.8', value: '5.6.7.8', cn: 'FR', as_name: '=HYPERLINK("x")' },
+      decisions: [{ id: 20, type: 'ban', value: '5.6.7.8', duration: '1h', stop_at: new Date(Date.now() + 3_600_000).toISOString(), origin: 'crowdsec' }],
+    }));
+    await lapiClient.login();
+
+    const response = await controller.fetch(new Request(
+      `http://localhost/crowdsec/api/alerts/export?format=csv&columns=source,as,decisions,scenario&q=${encodeURIComponent('country:FR')}`,
+    ));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/csv; charset=utf-8');
+    expect(response.headers.get('content-disposition')).toMatch(/^attachment; filename="alerts-[\d-]+\.csv"$/);
+    expect(await response.text()).toBe([
+      'IP / Range,AS,Decisions,Scenario',
+      `5.6.7.8,"'=HYPERLINK(""x"")",1,crowdsecurity/http-probing`,
+      '',
+    ].join('\r\n'));
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('streams decisions as JSON and NDJSON across export batches', async () => {
+    const { controller, database, lapiClient } = createController({ initialCacheState: READY_CACHE });
+    const createdAt = new Date().toISOString();
+    const stopAt = new Date(Date.now() + 3_600_000).toISOString();
+    for (let index = 1; index <= 1_002; index += 1) {
+      seedAlert(database, sampleAlert({
+        id: index,
+        uuid: `alert-${index}`,
+        created_at: createdAt,
+        source: { ip: `10.0.${Math.floor(index / 256)}.${index % 256}`, value: `10.0.${Math.floor(index / 256)}.${index % 256}`, cn: 'DE' },
+        decisions: [{ id: 10_000 + index, type: 'ban', value: `10.0.${Math.floor(index / 256)}.${index % 256}`, duration: '1h', stop_at: stopAt, origin: 'crowdsec' }],
+      }));
+    }
+    await lapiClient.login();
+
+    const ndjson = await controller.fetch(new Request('http://localhost/crowdsec/api/decisions/export?format=ndjson&columns=id,source,action,country'));
+    expect(ndjson.status).toBe(200);
+    expect(ndjson.headers.get('content-type')).toBe('application/x-ndjson; charset=utf-8');
+    const lines = (await ndjson.text()).trim().split('\n').map((line) => JSON.parse(line) as Record<string, unknown>);
+    expect(lines).toHaveLength(1_002);
+    expect(new Set(lines.map((line) => line.id)).size).toBe(1_002);
+    expect(lines[0]).toEqual({ id: 11_002, source: '10.0.3.234', action: 'ban', country: 'DE' });
+
+    const json = await controller.fetch(new Request(`http://localhost/crowdsec/api/decisions/export?format=json&columns=source&q=${encodeURIComponent('ip:10.0.0.7')}`));
+    expect(json.status).toBe(200);
+    expect(await json.json()).toEqual([{ source: '10.0.0.7' }]);
+
+    const empty = await controller.fetch(new Request(`http://localhost/crowdsec/api/decisions/export?format=json&q=${encodeURIComponent('ip:192.0.2.1')}`));
+    expect(await empty.json()).toEqual([]);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('rejects unknown formats, columns, and searches', async () => {
+    const { controller, database } = createController();
+
+    for (const query of ['format=xml', 'columns=source,expiration', 'q=unknown:value']) {
+      const response = await controller.fetch(new Request(`http://localhost/crowdsec/api/alerts/export?${query}`));
+      expect(response.status).toBe(400);
+    }
+    const decisions = await controller.fetch(new Request('http://localhost/crowdsec/api/decisions/export?columns=decisions'));
+    expect(decisions.status).toBe(400);
+    expect(await decisions.json()).toEqual({ error: 'Unknown decisions column: decisions' });
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+});
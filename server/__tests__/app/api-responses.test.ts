@@ -405,6 +405,112 @@ describe('createApp API responses', () => {
     destroyTempDir();
   });
 
+  test('adds range, country, and AS scoped decisions and rejects values that do not fit the scope', async () => {
+    const { controller, database, lapiClient, fetchCalls } = createController();
+    await lapiClient.login();
+    const addDecision = (body: Record<string, unknown>) => controller.fetch(new Request('http://localhost/crowdsec/api/decisions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ duration: '24h', type: 'ban', ...body }),
+    }));
+    const postedDecisions = () => fetchCalls
+      .filter((call) => call.url.endsWith('/v1/alerts') && call.method === 'POST')
+      .map((call) => (call.body as Array<{ source: unknown; decisions: Array<{ scope: string; value: string }> }>)[0]);
+
+    expect((await addDecision({ value: '203.0.113.0/24', decision_scope: 'range' })).status).toBe(200);
+    expect((await addDecision({ value: 'de', decision_scope: 'country' })).status).toBe(200);
+    expect((await addDecision({ value: 'AS64496', decision_scope: 'as' })).status).toBe(200);
+    expect((await addDecision({ ip: '198.51.100.0/24' })).status).toBe(200);
+    expect((await addDecision({ ip: '198.51.100.7' })).status).toBe(200);
+
+    expect(postedDecisions().map((alert) => alert.decisions[0])).toEqual([
+      expect.objectContaining({ scope: 'range', value: '203.0.113.0/24' }),
+      expect.objectContaining({ scope: 'country', value: 'DE' }),
+      expect.objectContaining({ scope: 'as', value: '64496' }),
+      expect.objectContaining({ scope: 'range', value: '198.51.100.0/24' }),
+      expect.objectContaining({ scope: 'ip', value: '198.51.100.7' }),
+    ]);
+    expect(postedDecisions()[2].source).toEqual({ scope: 'as', value: '64496' });
+
+    for (const body of [
+      { value: '203.0.113.7', decision_scope: 'range' },
+      { value: '203.0.113.0/24', decision_scope: 'ip' },
+      { value: 'Germany', decision_scope: 'country' },
+      { value: 'Hetzner', decision_scope: 'as' },
+      { value: '203.0.113.7', decision_scope: 'hostname' },
+      { value: '   ' },
+    ]) {
+      const response = await addDecision(body);
+      expect(response.status).toBe(400);
+    }
+    expect(postedDecisions()).toHaveLength(5);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('previews a blocklist import and submits the new entries as one alert', async () => {
+    const { controller, database, lapiClient, fetchCalls } = createController();
+    seedAlert(database, sampleAlert());
+    await lapiClient.login();
+    const importBlocklist = (body: Record<string, unknown>) => controller.fetch(new Request('http://localhost/crowdsec/api/decisions/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ duration: '24h', type: 'ban', reason: 'partner feed', ...body }),
+    }));
+    const postedAlerts = () => fetchCalls.filter((call) => call.url.endsWith('/v1/alerts') && call.method === 'POST');
+    const csv = 'address,comment\n1.2.3.4,already banned\n203.0.113.0/24,range\n198.51.100.7,host\n198.51.100.7,repeat\nexample.com,invalid\n';
+
+    const preview = await importBlocklist({ content: csv, dry_run: true });
+    expect(preview.status).toBe(200);
+    expect(await preview.json()).toEqual({
+      format: 'csv',
+      counts: { valid: 2, invalid: 1, duplicate: 1, already_banned: 1 },
+      entries: [
+        { position: 2, value: '1.2.3.4', decision_scope: 'ip', status: 'already_banned', banned_on: ['default'] },
+        { position: 3, value: '203.0.113.0/24', decision_scope: 'range', status: 'valid' },
+        { position: 4, value: '198.51.100.7', decision_scope: 'ip', status: 'valid' },
+        { position: 5, value: '198.51.100.7', decision_scope: 'ip', status: 'duplicate' },
+        { position: 6, value: 'example.com', status: 'invalid' },
+      ],
+    });
+    expect(postedAlerts()).toHaveLength(0);
+
+    const imported = await importBlocklist({ content: csv });
+    expect(imported.status).toBe(200);
+    expect(await imported.json()).toMatchObject({
+      succeeded: 1,
+      failed: 0,
+      results: [{ instance_id: 'default', success: true, result: { imported: 2 } }],
+    });
+    expect(postedAlerts()).toHaveLength(1);
+    const [alert] = postedAlerts()[0].body as Array<{ scenario: string; decisions: Array<Record<string, unknown>> }>;
+    expect(alert.scenario).toBe('manual/web-ui-import');
+    expect(alert.decisions).toEqual([
+      expect.objectContaining({ scope: 'range', value: '203.0.113.0/24', type: 'ban', duration: '24h' }),
+      expect.objectContaining({ scope: 'ip', value: '198.51.100.7', type: 'ban', duration: '24h' }),
+    ]);
+
+    const json = await importBlocklist({ content: JSON.stringify([{ value: '192.0.2.1' }, '192.0.2.2']), dry_run: true });
+    expect(await json.json()).toMatchObject({ format: 'json', counts: { valid: 2 } });
+
+    for (const body of [
+      { content: '   ' },
+      { content: '{not json', format: 'json' },
+      { content: 'example.com' },
+      { content: '192.0.2.1', type: 'block' },
+      { content: '192.0.2.1', duration: 'forever' },
+    ]) {
+      expect((await importBlocklist(body)).status).toBe(400);
+    }
+    expect(postedAlerts()).toHaveLength(1);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
   test('read-only mode blocks enforcement and management mutations but allows preferences and notification read state', async () => {
     const alert = sampleAlert();
     const { controller, database, lapiClient, fetchCalls } = createController({
@@ -447,6 +553,11 @@ describe('createApp API responses', () => {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ ip: '5.6.7.8', duration: '4h', type: 'ban', reason: 'manual' }),
       }),
+      new Request('http://localhost/crowdsec/api/decisions/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: '5.6.7.8', dry_run: true }),
+      }),
       new Request('http://localhost/crowdsec/api/decisions/10', { method: 'DELETE' }),
       new Request('http://localhost/crowdsec/api/decisions/bulk-delete', {
         method: 'POST',
@@ -0,0 +1,199 @@
+import { describe, expect, test } from 'vitest';
+import {
+  createController,
+  destroyTempDir,
+  sampleAlert,
+  seedAlert,
+} from './harness';
+
+describe('createApp audit log', () => {
+  test('records enforcement and notification changes with the acting user and searches them', async () => {
+    const { controller, database, lapiClient } = createController({ env: { AUTH_ENABLED: 'true' } });
+    seedAlert(database, sampleAlert());
+    await lapiClient.login();
+    const setup = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/setup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'Secret123' }),
+    }));
+    const cookie = setup.headers.get('set-cookie') || '';
+    const send = (path: string, method: string, body?: unknown) => controller.fetch(new Request(`http://localhost/crowdsec${path}`, {
+      method,
+      headers: { cookie, 'Content-Type': 'application/json' },
+      ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+    }));
+
+    expect((await send('/api/decisions/10', 'DELETE')).status).toBe(200);
+    expect((await send('/api/decisions', 'POST', { ip: '5.6.7.8', duration: '4h', type: 'ban', reason: 'manual' })).status).toBe(200);
+    const channel = await send('/api/notification-channels', 'POST', {
+      name: 'Ops ntfy',
+      type: 'ntfy',
+      enabled: true,
+      config: { topic: 'secret-topic' },
+    });
+    expect(channel.status).toBe(201);
+    const { id: channelId } = await channel.json() as { id: string };
+    expect((await send(`/api/notification-channels/${channelId}`, 'DELETE')).status).toBe(200);
+
+    const listed = await send('/api/audit', 'GET');
+    expect(listed.status).toBe(200);
+    const payload = await listed.json() as { data: Array<Record<string, any>>; pagination: { total: number } };
+    expect(payload.pagination.total).toBe(4);
+    expect(payload.data.map((entry) => entry.action)).toEqual([
+      'notification-channel.delete',
+      'notification-channel.create',
+      'decision.create',
+      'decision.delete',
+    ]);
+    expect(payload.data[2]).toMatchObject({
+      username: 'admin',
+      auth_method: 'password',
+      outcome: 'success',
+      instances: ['default'],
+      summary: { ip: '5.6.7.8', type: 'ban', duration: '4h', reason: 'manual' },
+      results: [expect.objectContaining({ instance_id: 'default', success: true })],
+    });
+    expect(payload.data[3].summary).toEqual({ count: 1, ids: ['10'], values: ['1.2.3.4'] });
+    expect(payload.data[1].summary).toEqual({ id: channelId, name: 'Ops ntfy', type: 'ntfy' });
+    expect(JSON.stringify(payload.data)).not.toContain('secret-topic');
+
+    const searched = await send(`/api/audit?q=${encodeURIComponent('action:decision.delete ip:1.2.3.4')}`, 'GET');
+    const searchedPayload = await searched.json() as { data: Array<{ action: string }>; pagination: { total: number; unfiltered_total: number } };
+    expect(searchedPayload.data.map((entry) => entry.action)).toEqual(['decision.delete']);
+    expect(searchedPayload.pagination).toMatchObject({ total: 1, unfiltered_total: 4 });
+
+    const invalid = await send(`/api/audit?q=${encodeURIComponent('unknown:value')}`, 'GET');
+    expect(invalid.status).toBe(400);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('records user, API token, and sign-in settings changes without secrets', async () => {
+    const { controller, database } = createController({ env: { AUTH_ENABLED: 'true' } });
+    const setup = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/setup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'Secret123' }),
+    }));
+    const cookie = setup.headers.get('set-cookie') || '';
+    const send = (path: string, method: string, body?: unknown) => controller.fetch(new Request(`http://localhost/crowdsec${path}`, {
+      method,
+      headers: { cookie, 'Content-Type': 'application/json' },
+      ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+    }));
+
+    const created = await send('/api/auth/users', 'POST', { username: 'analyst', password: 'Analyst123' });
+    expect(created.status).toBe(201);
+    const { user } = await created.json() as { user: { id: number } };
+    expect((await send(`/api/auth/users/${user.id}`, 'PATCH', { role: 'admin' })).status).toBe(200);
+    expect((await send(`/api/auth/users/${user.id}/password`, 'POST', { password: 'Replaced123' })).status).toBe(200);
+    expect((await send(`/api/auth/users/${user.id}/revoke-sessions`, 'POST')).status).toBe(200);
+    const token = await send('/api/auth/tokens', 'POST', { name: 'CI', scope: 'read-only', expiresInDays: 30 });
+    expect(token.status).toBe(201);
+    const { token: secret, apiToken } = await token.json() as { token: string; apiToken: { id: number } };
+    expect((await send(`/api/auth/tokens/${apiToken.id}`, 'DELETE')).status).toBe(200);
+    expect((await send('/api/auth/settings', 'PUT', { oidcGroupsClaim: 'roles' })).status).toBe(200);
+
+    const listed = await send('/api/audit', 'GET');
+    const payload = await listed.json() as { data: Array<Record<string, any>> };
+    expect(payload.data.map((entry) => [entry.action, entry.summary])).toEqual([
+      ['auth.settings.update', { settings: ['oidcGroupsClaim'] }],
+      ['token.revoke', { id: String(apiToken.id), name: 'CI' }],
+      ['token.create', { id: String(apiToken.id), name: 'CI', scope: 'read-only', expires_at: expect.any(String) }],
+      ['user.sessions-revoke', { name: 'analyst' }],
+      ['user.password-reset', { name: 'analyst' }],
+      ['user.update', { name: 'analyst', role: 'admin' }],
+      ['user.create', { name: 'analyst', role: 'read-only' }],
+    ]);
+    expect(payload.data.every((entry) => entry.username === 'admin')).toBe(true);
+    const serialized = JSON.stringify(payload.data);
+    expect(serialized).not.toContain('Replaced123');
+    expect(serialized).not.toContain('Analyst123');
+    expect(serialized).not.toContain(secret);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('searches and pages audit entries in the database', async () => {
+    const { controller, database } = createController();
+    try {
+      database.insertAuditLog({
+        userId: 1,
+        username: 'alice',
+        authMethod: 'password',
+        action: 'decision.delete',
+        instanceIds: ['default'],
+        summary: { count: 2, values: ['203.0.113.7', '198.51.100.0/24'] },
+        outcome: 'partial',
+        results: [{ instance_id: 'default', instance_name: 'Edge', success: false, error: 'LAPI unreachable' }],
+      });
+      database.insertAuditLog({
+        userId: 2,
+        username: 'bob',
+        authMethod: 'token',
+        action: 'decision.create',
+        instanceIds: ['default'],
+        summary: { ip: '192.0.2.10', simulated: true },
+        outcome: 'success',
+        results: [{ instance_id: 'default', instance_name: 'Edge', success: true }],
+      });
+      database.insertAuditLog({
+        userId: null,
+        username: null,
+        authMethod: null,
+        action: 'cache.clear',
+        instanceIds: [],
+        summary: {},
+        outcome: 'success',
+        results: [],
+      });
+      const search = async (query: string, page = 1, pageSize = 50) => {
+        const response = await controller.fetch(new Request(
+          `http://localhost/crowdsec/api/audit?page=${page}&page_size=${pageSize}&q=${encodeURIComponent(query)}`,
+        ));
+        expect(response.status).toBe(200);
+        return await response.json() as {
+          data: Array<{ action: string }>;
+          pagination: { total: number; total_pages: number; unfiltered_total: number };
+        };
+      };
+      const actions = async (query: string) => (await search(query)).data.map((entry) => entry.action);
+
+      expect(await actions('')).toEqual(['cache.clear', 'decision.create', 'decision.delete']);
+      expect(await actions('ip:203.0.113.0/24')).toEqual(['decision.delete']);
+      expect(await actions('ip=192.0.2.10')).toEqual(['decision.create']);
+      expect(await actions('ip:""')).toEqual(['cache.clear']);
+      expect(await actions('instance:edge')).toEqual(['decision.create', 'decision.delete']);
+      expect(await actions('instance:""')).toEqual(['cache.clear']);
+      expect(await actions('user=alice OR method:tok')).toEqual(['decision.create', 'decision.delete']);
+      expect(await actions('outcome:partial')).toEqual(['decision.delete']);
+      expect(await actions('unreachable')).toEqual(['decision.delete']);
+      expect(await actions('true')).toEqual(['decision.create']);
+      expect(await actions('-action:decision')).toEqual(['cache.clear']);
+
+      for (let index = 0; index < 10; index += 1) {
+        database.insertAuditLog({
+          userId: 2,
+          username: 'bob',
+          authMethod: 'token',
+          action: 'decision.create',
+          instanceIds: ['default'],
+          summary: { ip: `192.0.2.${20 + index}` },
+          outcome: 'success',
+          results: [],
+        });
+      }
+      const paged = await search('action:decision', 2, 10);
+      expect(paged.data.map((entry) => entry.action)).toEqual(['decision.create', 'decision.delete']);
+      expect(paged.pagination).toMatchObject({ total: 12, total_pages: 2, unfiltered_total: 13 });
+    } finally {
+      controller.stopBackgroundTasks();
+      database.close();
+      destroyTempDir();
+    }
+  });
+});
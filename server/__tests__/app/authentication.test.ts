@@ -1,3 +1,4 @@
+import crypto from 'node:crypto';
 import { describe, expect, test } from 'vitest';
 import { generate } from 'otplib';
 import { resolveOidcClaims, resolveOidcRole } from '../../app-auth';
@@ -321,6 +322,220 @@ test('dashboard auth exposes account settings and password changes', async () =>
   expect(newLogin.status).toBe(200);
 });
 
+test('API tokens authenticate automation without exceeding the owner role', async () => {
+  const { controller, database } = createController({ env: { AUTH_ENABLED: 'true' } });
+  const setup = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/setup', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'Secret123' }),
+  }));
+  const cookie = setup.headers.get('set-cookie') || '';
+
+  const invalidLifetime = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ name: 'ci', scope: 'admin', expiresInDays: 0 }),
+  }));
+  expect(invalidLifetime.status).toBe(400);
+
+  const created = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ name: 'ci', scope: 'admin', expiresInDays: 30 }),
+  }));
+  expect(created.status).toBe(201);
+  const { token, apiToken } = await created.json() as { token: string; apiToken: { id: number; prefix: string; expiresAt: string } };
+  expect(token).toMatch(/^cswu_/);
+  expect(token.startsWith(apiToken.prefix)).toBe(true);
+  expect(Date.parse(apiToken.expiresAt)).toBeGreaterThan(Date.now() + 29 * 86_400_000);
+  const bearer = { authorization: `Bearer ${token}` };
+
+  const config = await controller.fetch(new Request('http://localhost/crowdsec/api/config', { headers: bearer }));
+  expect(config.status).toBe(200);
+  expect((await config.json() as { permissions: { mode: string } }).permissions.mode).toBe('admin');
+
+  const me = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/me', { headers: bearer }));
+  expect(await me.json()).toMatchObject({ user: { username: 'admin', authMethod: 'token' } });
+
+  const mintWithToken = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...bearer },
+    body: JSON.stringify({ name: 'nested', scope: 'admin' }),
+  }));
+  expect(mintWithToken.status).toBe(403);
+
+  const listed = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/tokens', { headers: { cookie } }));
+  const { tokens } = await listed.json() as { tokens: Array<Record<string, unknown>> };
+  expect(tokens).toHaveLength(1);
+  expect(tokens[0]).toMatchObject({ name: 'ci', scope: 'admin' });
+  expect(tokens[0].lastUsedAt).toEqual(expect.any(String));
+  expect(JSON.stringify(tokens)).not.toContain(token);
+
+  database.db.query("UPDATE auth_users SET role = 'read-only' WHERE id = 1").run();
+  const demoted = await controller.fetch(new Request('http://localhost/crowdsec/api/config', { headers: bearer }));
+  expect((await demoted.json() as { permissions: { mode: string } }).permissions.mode).toBe('read-only');
+  const blockedWrite = await controller.fetch(new Request('http://localhost/crowdsec/api/cache/clear', {
+    method: 'POST',
+    headers: bearer,
+  }));
+  expect(blockedWrite.status).toBe(403);
+
+  const readOnlyUserId = database.createAuthUser({
+    username: 'viewer',
+    passwordHash: null,
+    role: 'read-only',
+    authProvider: 'password',
+  });
+  const viewerCookie = createAuthSessionCookie(database, {
+    userId: readOnlyUserId,
+    username: 'viewer',
+    role: 'read-only',
+    authMethod: 'password',
+  });
+  const escalated = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie: viewerCookie },
+    body: JSON.stringify({ name: 'viewer-admin', scope: 'admin' }),
+  }));
+  expect(escalated.status).toBe(403);
+  const crossUserRevoke = await controller.fetch(new Request(`http://localhost/crowdsec/api/auth/tokens/${apiToken.id}`, {
+    method: 'DELETE',
+    headers: { cookie: viewerCookie },
+  }));
+  expect(crossUserRevoke.status).toBe(404);
+
+  const revoked = await controller.fetch(new Request(`http://localhost/crowdsec/api/auth/tokens/${apiToken.id}`, {
+    method: 'DELETE',
+    headers: { cookie },
+  }));
+  expect(revoked.status).toBe(200);
+  const afterRevoke = await controller.fetch(new Request('http://localhost/crowdsec/api/config', { headers: bearer }));
+  expect(afterRevoke.status).toBe(401);
+
+  database.createApiToken({
+    userId: readOnlyUserId,
+    name: 'expired',
+    tokenHash: crypto.createHash('sha256').update('cswu_expired').digest('hex'),
+    tokenPrefix: 'cswu_expire',
+    scope: 'read-only',
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+  });
+  const expired = await controller.fetch(new Request('http://localhost/crowdsec/api/config', {
+    headers: { authorization: 'Bearer cswu_expired' },
+  }));
+  expect(expired.status).toBe(401);
+
+  const proxyBasicAuth = await controller.fetch(new Request('http://localhost/crowdsec/api/config', {
+    headers: { authorization: 'Basic dXNlcjpwYXNz', cookie: viewerCookie },
+  }));
+  expect(proxyBasicAuth.status).toBe(200);
+});
+
+test('admins manage local users, roles, disabled state, and sessions', async () => {
+  const { controller, database } = createController({ env: { AUTH_ENABLED: 'true' } });
+  const setup = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/setup', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'admin', password: 'Secret123' }),
+  }));
+  const cookie = setup.headers.get('set-cookie') || '';
+  const login = (username: string, password: string) => controller.fetch(new Request('http://localhost/crowdsec/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  }));
+  const patchUser = (id: number, body: Record<string, unknown>, sessionCookie = cookie) => controller.fetch(new Request(`http://localhost/crowdsec/api/auth/users/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', cookie: sessionCookie },
+    body: JSON.stringify(body),
+  }));
+
+  const created = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/users', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ username: 'analyst', password: 'Analyst123' }),
+  }));
+  expect(created.status).toBe(201);
+  const { user: analyst } = await created.json() as { user: { id: number; role: string; disabled: boolean } };
+  expect(analyst).toMatchObject({ role: 'read-only', disabled: false });
+
+  const duplicate = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/users', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ username: 'analyst', password: 'Analyst123' }),
+  }));
+  expect(duplicate.status).toBe(409);
+
+  const analystLogin = await login('analyst', 'Analyst123');
+  expect(analystLogin.status).toBe(200);
+  const analystCookie = analystLogin.headers.get('set-cookie') || '';
+  const analystList = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/users', {
+    headers: { cookie: analystCookie },
+  }));
+  expect(analystList.status).toBe(403);
+
+  expect((await patchUser(1, { role: 'read-only' })).status).toBe(400);
+  expect((await patchUser(1, { disabled: true })).status).toBe(400);
+
+  const promoted = await patchUser(analyst.id, { role: 'admin' });
+  expect(await promoted.json()).toMatchObject({ user: { role: 'admin' } });
+  const promotedConfig = await controller.fetch(new Request('http://localhost/crowdsec/api/config', {
+    headers: { cookie: analystCookie },
+  }));
+  expect((await promotedConfig.json() as { permissions: { mode: string } }).permissions.mode).toBe('admin');
+
+  const revoked = await controller.fetch(new Request(`http://localhost/crowdsec/api/auth/users/${analyst.id}/revoke-sessions`, {
+    method: 'POST',
+    headers: { cookie },
+  }));
+  expect(revoked.status).toBe(200);
+  const revokedSession = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/me', {
+    headers: { cookie: analystCookie },
+  }));
+  expect(revokedSession.status).toBe(401);
+
+  const reset = await controller.fetch(new Request(`http://localhost/crowdsec/api/auth/users/${analyst.id}/password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ password: 'Replaced123' }),
+  }));
+  expect(reset.status).toBe(200);
+  expect((await login('analyst', 'Analyst123')).status).toBe(401);
+  const resetLogin = await login('analyst', 'Replaced123');
+  expect(resetLogin.status).toBe(200);
+  const resetCookie = resetLogin.headers.get('set-cookie') || '';
+
+  const disabled = await patchUser(analyst.id, { disabled: true });
+  expect(await disabled.json()).toMatchObject({ user: { disabled: true } });
+  const disabledSession = await controller.fetch(new Request('http://localhost/crowdsec/api/config', {
+    headers: { cookie: resetCookie },
+  }));
+  expect(disabledSession.status).toBe(401);
+  const disabledLogin = await login('analyst', 'Replaced123');
+  expect(disabledLogin.status).toBe(403);
+  expect(await disabledLogin.json()).toMatchObject({ error: 'This account is disabled' });
+
+  const oidcUser = database.upsertOidcUser({
+    username: 'sso-user',
+    role: 'read-only',
+    issuer: 'https://idp.example.com',
+    subject: 'sso-subject',
+  });
+  expect((await patchUser(oidcUser.id, { role: 'admin' })).status).toBe(400);
+  const oidcReset = await controller.fetch(new Request(`http://localhost/crowdsec/api/auth/users/${oidcUser.id}/password`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ password: 'Replaced123' }),
+  }));
+  expect(oidcReset.status).toBe(400);
+
+  const listed = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/users', { headers: { cookie } }));
+  const { users } = await listed.json() as { users: Array<Record<string, unknown>> };
+  expect(users.map((user) => user.username)).toEqual(['admin', 'analyst', 'sso-user']);
+  expect(users[2]).toMatchObject({ authProvider: 'oidc', hasPassword: false });
+  expect(JSON.stringify(users)).not.toContain('password_hash');
+});
+
 test('OIDC-only users cannot persist SSO access by registering or using passkeys', async () => {
   const { controller, database } = createController({ env: { AUTH_ENABLED: 'true' } });
   const user = database.upsertOidcUser({
@@ -405,6 +620,53 @@ test('OIDC-only users cannot persist SSO access by registering or using passkeys
   expect(staleSession.status).toBe(401);
 });
 
+test('OIDC-only users can create API tokens capped by their stored role', async () => {
+  const { controller, database } = createController({ env: { AUTH_ENABLED: 'true' } });
+  const user = database.upsertOidcUser({
+    username: 'sso-automation',
+    role: 'admin',
+    issuer: 'https://idp.example.com',
+    subject: 'sso-automation-subject',
+  });
+  const oidcCookie = createAuthSessionCookie(database, {
+    userId: user.id,
+    username: user.username,
+    role: user.role,
+    authMethod: 'oidc',
+  });
+
+  const created = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', cookie: oidcCookie },
+    body: JSON.stringify({ name: 'sso-ci', scope: 'admin' }),
+  }));
+  expect(created.status).toBe(201);
+  const { token } = await created.json() as { token: string };
+  const bearer = { authorization: `Bearer ${token}` };
+
+  const config = await controller.fetch(new Request('http://localhost/crowdsec/api/config', { headers: bearer }));
+  expect(config.status).toBe(200);
+  expect((await config.json() as { permissions: { mode: string } }).permissions.mode).toBe('admin');
+  const passkeys = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/passkeys', {
+    headers: { cookie: oidcCookie },
+  }));
+  expect(passkeys.status).toBe(403);
+
+  database.upsertOidcUser({
+    username: 'sso-automation',
+    role: 'read-only',
+    issuer: 'https://idp.example.com',
+    subject: 'sso-automation-subject',
+  });
+  const demoted = await controller.fetch(new Request('http://localhost/crowdsec/api/config', { headers: bearer }));
+  expect((await demoted.json() as { permissions: { mode: string } }).permissions.mode).toBe('read-only');
+  const blockedWrite = await controller.fetch(new Request('http://localhost/crowdsec/api/cache/clear', {
+    method: 'POST',
+    headers: bearer,
+  }));
+  expect(blockedWrite.status).toBe(403);
+});
+
 test('dashboard auth supports optional TOTP for password login', async () => {
   const { controller, database } = createController({
     env: {
@@ -0,0 +1,168 @@
+import path from 'path';
+import { describe, expect, test } from 'vitest';
+import type { BackupPreviewResponse, NotificationSettingsResponse } from '../../../shared/contracts';
+import { openBackup, type BackupBundle } from '../../backup';
+import { CrowdsecDatabase } from '../../database';
+import { createController, destroyTempDir, tempDir } from './harness';
+
+type Controller = ReturnType<typeof createController>['controller'];
+
+function sendJson(controller: Controller, requestPath: string, method: string, body?: unknown, cookie = '') {
+  return controller.fetch(new Request(`http://localhost/crowdsec${requestPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(cookie ? { cookie } : {}) },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  }));
+}
+
+async function setupAdmin(controller: Controller, username: string): Promise<string> {
+  const response = await sendJson(controller, '/api/auth/setup', 'POST', { username, password: 'Secret123' });
+  expect(response.status).toBe(200);
+  return response.headers.get('set-cookie') || '';
+}
+
+const EMAIL_CHANNEL = {
+  name: 'Ops mail',
+  type: 'email',
+  enabled: true,
+  config: {
+    smtpHost: '127.0.0.1',
+    smtpPort: 1,
+    smtpTlsMode: 'plain',
+    smtpUser: 'mailer',
+    smtpPassword: 'smtp-secret',
+    smtpFrom: 'crowdsec@example.com',
+    emailTo: 'ops@example.com',
+  },
+};
+
+describe('createApp backup and restore', () => {
+  test('moves settings, users, searches and notifications to a fresh install with an encrypted bundle', async () => {
+    const source = createController({ env: { AUTH_ENABLED: 'true' } });
+    const sourceCookie = await setupAdmin(source.controller, 'admin');
+    expect((await sendJson(source.controller, '/api/auth/users', 'POST', { username: 'analyst', password: 'Analyst123' }, sourceCookie)).status).toBe(201);
+    expect((await sendJson(source.controller, '/api/config/language', 'PUT', { language: 'de' }, sourceCookie)).status).toBe(200);
+    const search = await (await sendJson(source.controller, '/api/saved-searches', 'POST', { page: 'alerts', name: 'SSH', query: 'ssh' }, sourceCookie)).json() as { id: string };
+    const channel = await (await sendJson(source.controller, '/api/notification-channels', 'POST', EMAIL_CHANNEL, sourceCookie)).json() as { id: string };
+    expect((await sendJson(source.controller, '/api/notification-rules', 'POST', {
+      name: 'SSH alerts',
+      type: 'alert-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [channel.id],
+      config: { window_minutes: 60, alert_threshold: 5, filters: { saved_search_id: search.id } },
+    }, sourceCookie)).status).toBe(201);
+    expect((await sendJson(source.controller, '/api/notification-reports', 'POST', {
+      name: 'Weekly summary', enabled: true, frequency: 'weekly', send_time: '08:00', time_zone: 'UTC', channel_ids: [channel.id],
+    }, sourceCookie)).status).toBe(201);
+
+    const plainResponse = await sendJson(source.controller, '/api/backup/export', 'POST', {}, sourceCookie);
+    expect(plainResponse.headers.get('content-disposition')).toContain('crowdsec-web-ui-backup-');
+    const plainText = await plainResponse.text();
+    const plain = JSON.parse(plainText) as BackupBundle;
+    expect(plain).toMatchObject({ format: 'crowdsec-web-ui-backup', version: 1, includes_secrets: false, encryption: null });
+    expect(plainText).not.toContain('smtp-secret');
+    expect(plainText).not.toContain('scrypt$');
+
+    const encryptedText = await (await sendJson(source.controller, '/api/backup/export', 'POST', { passphrase: 'correct horse' }, sourceCookie)).text();
+    expect(encryptedText).not.toContain('analyst');
+    const bundle = JSON.parse(encryptedText) as BackupBundle;
+    expect(bundle).toMatchObject({ includes_secrets: true, encryption: { algorithm: 'aes-256-gcm', kdf: 'scrypt' } });
+
+    const target = createController({
+      env: { AUTH_ENABLED: 'true' },
+      database: new CrowdsecDatabase({ dbPath: path.join(tempDir, 'target.db') }),
+    });
+    const targetCookie = await setupAdmin(target.controller, 'root');
+
+    const missingPassphrase = await sendJson(target.controller, '/api/backup/preview', 'POST', { bundle, mode: 'merge' }, targetCookie);
+    expect(await missingPassphrase.json()).toMatchObject({ code: 'BACKUP_PASSPHRASE_REQUIRED' });
+    const wrongPassphrase = await sendJson(target.controller, '/api/backup/preview', 'POST', { bundle, passphrase: 'wrong', mode: 'merge' }, targetCookie);
+    expect(wrongPassphrase.status).toBe(400);
+    expect(await wrongPassphrase.json()).toMatchObject({ code: 'BACKUP_PASSPHRASE_INVALID' });
+
+    const preview = await (await sendJson(target.controller, '/api/backup/preview', 'POST', {
+      bundle, passphrase: 'correct horse', mode: 'replace',
+    }, targetCookie)).json() as BackupPreviewResponse;
+    expect(preview).toMatchObject({ encrypted: true, includes_secrets: true, app_version: '1.0.0', mode: 'replace' });
+    expect(preview.sections.users).toEqual({ added: ['admin', 'analyst'], changed: [], removed: [], unchanged: 1 });
+    expect(preview.sections.notification_channels.added).toEqual(['Ops mail']);
+    expect(preview.sections.notification_rules.added).toEqual(['SSH alerts']);
+    expect(preview.sections.settings.added).toEqual(['language']);
+    // A preview never writes anything.
+    const beforeImport = await (await sendJson(target.controller, '/api/notifications/settings', 'GET', undefined, targetCookie)).json() as NotificationSettingsResponse;
+    expect(beforeImport.channels).toEqual([]);
+
+    const imported = await sendJson(target.controller, '/api/backup/import', 'POST', { bundle, passphrase: 'correct horse', mode: 'replace' }, targetCookie);
+    expect(imported.status).toBe(200);
+
+    expect((await sendJson(target.controller, '/api/auth/login', 'POST', { username: 'analyst', password: 'Analyst123' })).status).toBe(200);
+    // The importing account survives a replace and keeps its session.
+    expect((await sendJson(target.controller, '/api/auth/me', 'GET', undefined, targetCookie)).status).toBe(200);
+    expect(target.database.getMeta('language')?.value).toBe('de');
+    expect(target.database.listAllSavedSearches()).toEqual([expect.objectContaining({ id: search.id, owner_username: 'admin' })]);
+    const settings = await (await sendJson(target.controller, '/api/notifications/settings', 'GET', undefined, targetCookie)).json() as NotificationSettingsResponse;
+    expect(settings.channels).toEqual([expect.objectContaining({ id: channel.id, configured_secrets: ['smtpPassword'] })]);
+    expect(settings.rules).toEqual([expect.objectContaining({ name: 'SSH alerts', channel_ids: [channel.id] })]);
+    expect(settings.reports).toEqual([expect.objectContaining({ name: 'Weekly summary', last_sent_at: null })]);
+
+    // Secrets were re-encrypted with the target's own keys.
+    const reexported = await (await sendJson(target.controller, '/api/backup/export', 'POST', { passphrase: 'again' }, targetCookie)).json();
+    const reopened = await openBackup(reexported, 'again');
+    expect(reopened.payload.notification_channels[0].config.smtpPassword).toBe('smtp-secret');
+    expect(reopened.payload.users.map((user) => user.username)).toEqual(['admin', 'analyst', 'root']);
+
+    const audit = await (await sendJson(target.controller, '/api/audit', 'GET', undefined, targetCookie)).json() as { data: Array<{ action: string; summary: Record<string, unknown> }> };
+    expect(audit.data.find((entry) => entry.action === 'backup.import')?.summary).toMatchObject({ mode: 'replace', includes_secrets: true });
+
+    source.controller.stopBackgroundTasks();
+    target.controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+
+  test('replaces or merges notification settings and rolls back rejected imports', async () => {
+    const { controller } = createController();
+    const kept = await (await sendJson(controller, '/api/notification-channels', 'POST', { name: 'Kept', type: 'ntfy', enabled: true, config: { topic: 'kept' } })).json() as { id: string };
+    const bundle = await (await sendJson(controller, '/api/backup/export', 'POST', {})).json() as Omit<BackupBundle, 'payload'> & { payload: Record<string, unknown[]> };
+    await sendJson(controller, '/api/notification-channels', 'POST', { name: 'Extra', type: 'ntfy', enabled: true, config: { topic: 'extra' } });
+
+    const merge = await (await sendJson(controller, '/api/backup/preview', 'POST', { bundle, mode: 'merge' })).json() as BackupPreviewResponse;
+    expect(merge.sections.notification_channels).toEqual({ added: [], changed: [], removed: [], unchanged: 2 });
+    const replace = await (await sendJson(controller, '/api/backup/preview', 'POST', { bundle, mode: 'replace' })).json() as BackupPreviewResponse;
+    expect(replace.sections.notification_channels).toEqual({ added: [], changed: [], removed: ['Extra'], unchanged: 1 });
+
+    const broken = {
+      ...bundle,
+      payload: {
+        ...bundle.payload,
+        notification_channels: [...bundle.payload.notification_channels, { id: 'new-channel', name: 'New', type: 'ntfy', enabled: true, config: { topic: 'new' } }],
+        notification_rules: [{ id: 'rule-1', name: 'Broken', type: 'application-update', enabled: true, severity: 'info', channel_ids: ['missing'], config: {} }],
+      },
+    };
+    const rejected = await sendJson(controller, '/api/backup/import', 'POST', { bundle: broken, mode: 'replace' });
+    expect(rejected.status).toBe(400);
+    expect(await rejected.json()).toMatchObject({ code: 'BACKUP_REJECTED', error: expect.stringContaining('Notification rule "Broken"') });
+    const afterRejected = await (await sendJson(controller, '/api/notifications/settings', 'GET')).json() as NotificationSettingsResponse;
+    expect(afterRejected.channels.map((channel) => channel.name).sort()).toEqual(['Extra', 'Kept']);
+
+    expect((await sendJson(controller, '/api/backup/import', 'POST', { bundle, mode: 'replace' })).status).toBe(200);
+    const afterReplace = await (await sendJson(controller, '/api/notifications/settings', 'GET')).json() as NotificationSettingsResponse;
+    expect(afterReplace.channels.map((channel) => channel.id)).toEqual([kept.id]);
+
+    const newer = await sendJson(controller, '/api/backup/preview', 'POST', { bundle: { ...bundle, version: 2 }, mode: 'merge' });
+    expect(await newer.json()).toMatchObject({ code: 'UNSUPPORTED_BACKUP_VERSION' });
+    expect((await sendJson(controller, '/api/backup/import', 'POST', { bundle, mode: 'overwrite' })).status).toBe(400);
+
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+
+  test('rejects backups from read-only sessions', async () => {
+    const { controller } = createController({ env: { PERMISSION_READ_ONLY: 'true' } });
+
+    expect((await sendJson(controller, '/api/backup/export', 'POST', {})).status).toBe(403);
+    expect((await sendJson(controller, '/api/backup/import', 'POST', { bundle: {}, mode: 'merge' })).status).toBe(403);
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+});
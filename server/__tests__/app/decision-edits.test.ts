@@ -0,0 +1,134 @@
+import { describe, expect, test } from 'vitest';
+import type { EditDecisionsResult } from '../../../shared/contracts';
+import { createController, destroyTempDir, sampleAlert, sampleSimulatedAlert, seedAlert } from './harness';
+
+function postEdit(controller: ReturnType<typeof createController>['controller'], body: unknown) {
+  return controller.fetch(new Request('http://localhost/crowdsec/api/decisions/edit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }));
+}
+
+describe('createApp decision edits', () => {
+  test('replaces a decision with the extended duration and new type while keeping its scenario', async () => {
+    const { controller, database, lapiClient, fetchCalls } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    seedAlert(database, sampleAlert());
+    await lapiClient.login();
+    const remainingSeconds = Math.ceil((Date.parse(database.getDecisionById('10')!.stop_at) - Date.now()) / 1_000);
+
+    const response = await postEdit(controller, { ids: [10], duration_mode: 'extend', duration: '7d', type: 'captcha' });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual<EditDecisionsResult>({ requested_decisions: 1, updated_decisions: 1, failed: [] });
+    const replacement = fetchCalls.find((call) => call.url.endsWith('/v1/alerts') && call.method === 'POST');
+    const [alert] = replacement!.body as Array<{ scenario: string; source: Record<string, unknown>; decisions: Array<Record<string, string>> }>;
+    expect(alert.scenario).toBe('crowdsecurity/ssh-bf');
+    expect(alert.source).toEqual(expect.objectContaining({ ip: '1.2.3.4', cn: 'DE', as_name: 'Hetzner', value: '1.2.3.4' }));
+    expect(alert.decisions[0]).toEqual(expect.objectContaining({
+      type: 'captcha',
+      value: '1.2.3.4',
+      origin: 'manual',
+      scenario: 'crowdsecurity/ssh-bf',
+    }));
+    const editedSeconds = Number.parseInt(alert.decisions[0].duration, 10);
+    expect(editedSeconds).toBeGreaterThanOrEqual(remainingSeconds + 7 * 86_400 - 5);
+    expect(editedSeconds).toBeLessThanOrEqual(remainingSeconds + 7 * 86_400);
+    expect(fetchCalls.some((call) => call.url.endsWith('/v1/decisions/10') && call.method === 'DELETE')).toBe(true);
+    expect(database.getDecisionById('10')).toBeNull();
+
+    const auditResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/audit'));
+    expect((await auditResponse.json()).data).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        action: 'decision.update',
+        outcome: 'success',
+        summary: expect.objectContaining({ values: ['1.2.3.4'], duration_mode: 'extend', duration: '7d', type: 'captcha' }),
+      }),
+    ]));
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('keeps simulated decisions simulated in the replacement alert', async () => {
+    const { controller, database, lapiClient, fetchCalls } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    seedAlert(database, sampleSimulatedAlert());
+    await lapiClient.login();
+
+    const response = await postEdit(controller, { ids: [20], type: 'captcha' });
+
+    expect(await response.json()).toEqual<EditDecisionsResult>({ requested_decisions: 1, updated_decisions: 1, failed: [] });
+    const replacement = fetchCalls.find((call) => call.url.endsWith('/v1/alerts') && call.method === 'POST');
+    const [alert] = replacement!.body as Array<{ simulated: boolean; decisions: Array<Record<string, unknown>> }>;
+    expect(alert.simulated).toBe(true);
+    expect(alert.decisions[0]).toEqual(expect.objectContaining({ type: 'captcha', simulated: true }));
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('rolls back the replacement when the original decision cannot be deleted', async () => {
+    let replacementAlertIds: unknown = ['55'];
+    const { controller, database, lapiClient, fetchCalls } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+      fetchResolver: (url, init) => {
+        if (url.endsWith('/v1/alerts') && init?.method === 'POST') return Response.json(replacementAlertIds);
+        if (url.endsWith('/v1/decisions/10') && init?.method === 'DELETE') return Response.json({ message: 'boom' }, { status: 500 });
+        return undefined;
+      },
+    });
+    seedAlert(database, sampleAlert());
+    await lapiClient.login();
+
+    const rolledBack = await postEdit(controller, { ids: [10], type: 'captcha' });
+    const rolledBackResult = await rolledBack.json() as EditDecisionsResult;
+    expect(rolledBackResult).toMatchObject({ requested_decisions: 1, updated_decisions: 0, failed: [{ id: 'default:10' }] });
+    expect(rolledBackResult.failed[0].error).not.toContain('rolled back');
+    expect(fetchCalls.filter((call) => call.url.endsWith('/v1/alerts/55') && call.method === 'DELETE')).toHaveLength(1);
+    expect(database.getDecisionById('10')).not.toBeNull();
+
+    replacementAlertIds = {};
+    const partial = await postEdit(controller, { ids: [10], type: 'captcha' });
+    const partialResult = await partial.json() as EditDecisionsResult;
+    expect(partialResult.updated_decisions).toBe(0);
+    expect(partialResult.failed[0].error).toContain('Replacement decision was added but the original could not be removed');
+    expect(partialResult.failed[0].error).toContain('could not be rolled back');
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('reports decisions that an edit would expire and rejects invalid requests', async () => {
+    const { controller, database, lapiClient, fetchCalls } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    seedAlert(database, sampleAlert());
+    await lapiClient.login();
+
+    const response = await postEdit(controller, { ids: [10], duration_mode: 'shorten', duration: '1h0m0s' });
+    expect(await response.json()).toEqual<EditDecisionsResult>({
+      requested_decisions: 1,
+      updated_decisions: 0,
+      failed: [{ id: 'default:10', error: 'The new duration would expire the decision; delete it instead' }],
+    });
+    expect(fetchCalls.some((call) => call.url.endsWith('/v1/alerts') && call.method === 'POST')).toBe(false);
+    expect(database.getDecisionById('10')).not.toBeNull();
+
+    expect((await postEdit(controller, { ids: [10] })).status).toBe(400);
+    expect((await postEdit(controller, { ids: [10], duration: '1 week' })).status).toBe(400);
+    expect((await postEdit(controller, { ids: [10], type: 'throttle' })).status).toBe(400);
+    expect((await postEdit(controller, { ids: [10], duration_mode: 'double', duration: '1h' })).status).toBe(400);
+    expect((await postEdit(controller, { ids: [], type: 'ban' })).status).toBe(400);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+});
@@ -484,6 +484,7 @@ export function createController(options: {
     config,
     database,
     lapiClient,
+    lapiFetchImpl: fetchImpl,
     distRoot: createTestDistRoot(),
     updateChecker: async () => ({ update_available: true, remote_version: '2.0.0' }),
     notificationFetchImpl: async (input, init) => {
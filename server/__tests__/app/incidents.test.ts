@@ -0,0 +1,200 @@
+import { describe, expect, test, vi } from 'vitest';
+import type { IncidentActionResponse, IncidentDetail, IncidentListResponse, IncidentSummary } from '../../../shared/contracts';
+import { createController, destroyTempDir, sampleAlert, seedAlert } from './harness';
+
+function sendJson(controller: ReturnType<typeof createController>['controller'], path: string, method: string, body?: unknown) {
+  return controller.fetch(new Request(`http://localhost/crowdsec${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  }));
+}
+
+async function listIncidents(controller: ReturnType<typeof createController>['controller'], query = ''): Promise<IncidentListResponse> {
+  const response = await controller.fetch(new Request(`http://localhost/crowdsec/api/incidents?page=1&page_size=10${query}`));
+  expect(response.status).toBe(200);
+  return await response.json() as IncidentListResponse;
+}
+
+// Correlation runs after each sync rather than on read, so tests sync and wait
+// until the seeded alerts are linked. The lookback keeps the sync cleanup from
+// pruning them first.
+async function syncIncidents(controller: ReturnType<typeof createController>['controller'], expectedTotal: number): Promise<IncidentListResponse> {
+  expect((await sendJson(controller, '/api/cache/refresh', 'POST', { mode: 'delta' })).status).toBe(200);
+  return vi.waitFor(async () => {
+    const list = await listIncidents(controller);
+    expect(list.pagination.total).toBe(expectedTotal);
+    return list;
+  });
+}
+
+function minutesAgo(minutes: number): string {
+  return new Date(Date.now() - minutes * 60_000).toISOString();
+}
+
+describe('createApp incidents', () => {
+  test('groups alerts from the same source inside the sliding window', async () => {
+    const { controller, database } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+      env: { CROWDSEC_LOOKBACK_PERIOD: '1d' },
+    });
+    try {
+      seedAlert(database, sampleAlert({ id: 1, uuid: 'alert-1', created_at: minutesAgo(180), events_count: 3, decisions: [] }));
+      seedAlert(database, sampleAlert({
+        id: 2,
+        uuid: 'alert-2',
+        created_at: minutesAgo(150),
+        scenario: 'crowdsecurity/http-probing',
+        target: 'nginx',
+        events_count: 4,
+        decisions: [],
+      }));
+      seedAlert(database, sampleAlert({ id: 3, uuid: 'alert-3', created_at: minutesAgo(10), decisions: [] }));
+      seedAlert(database, sampleAlert({ id: 4, uuid: 'alert-4', created_at: minutesAgo(5), source: { ip: '5.6.7.8', value: '5.6.7.8' }, decisions: [] }));
+      seedAlert(database, sampleAlert({ id: 5, uuid: 'alert-5', created_at: minutesAgo(5), source: { ip: '9.9.9.9', value: '9.9.9.9' }, simulated: true, decisions: [] }));
+
+      expect((await listIncidents(controller)).pagination.total).toBe(0);
+      const list = await syncIncidents(controller, 3);
+      expect(list.settings).toEqual({ group_by: 'source', window_minutes: 60 });
+      const pastEnd = await controller.fetch(new Request('http://localhost/crowdsec/api/incidents?page=2&page_size=10'));
+      expect(await pastEnd.json()).toEqual(expect.objectContaining({
+        data: [],
+        pagination: expect.objectContaining({ total: 3, unfiltered_total: 3 }),
+      }));
+      expect(list.data.map((incident) => [incident.value, incident.alert_count])).toEqual([
+        ['5.6.7.8', 1],
+        ['1.2.3.4', 1],
+        ['1.2.3.4', 2],
+      ]);
+
+      const campaign = list.data[2];
+      expect(campaign).toEqual(expect.objectContaining<Partial<IncidentSummary>>({
+        kind: 'ip',
+        status: 'new',
+        assignee: null,
+        source_count: 1,
+        scenarios: ['crowdsecurity/http-probing', 'crowdsecurity/ssh-bf'],
+        targets: ['nginx', 'ssh'],
+        instances: ['default'],
+        event_count: 7,
+      }));
+
+      const detailResponse = await controller.fetch(new Request(`http://localhost/crowdsec/api/incidents/${campaign.id}`));
+      expect(detailResponse.status).toBe(200);
+      const detail = await detailResponse.json() as IncidentDetail;
+      expect(detail.sources).toEqual(['1.2.3.4']);
+      expect(detail.alerts.map((alert) => alert.id)).toEqual([2, 1]);
+      expect(detail.alerts_truncated).toBe(false);
+
+      expect((await controller.fetch(new Request('http://localhost/crowdsec/api/incidents/999'))).status).toBe(404);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('updates status and assignee and keeps closed incidents closed', async () => {
+    const { controller, database } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+      env: { CROWDSEC_LOOKBACK_PERIOD: '1d' },
+    });
+    try {
+      seedAlert(database, sampleAlert({ id: 1, uuid: 'alert-1', created_at: minutesAgo(20), decisions: [] }));
+      const [incident] = (await syncIncidents(controller, 1)).data;
+
+      const assignResponse = await sendJson(controller, `/api/incidents/${incident.id}`, 'PUT', { status: 'acknowledged', assignee: ' alice ' });
+      expect(assignResponse.status).toBe(200);
+      expect(await assignResponse.json()).toEqual(expect.objectContaining({ status: 'acknowledged', assignee: 'alice' }));
+      expect((await listIncidents(controller, '&status=acknowledged&assignee=alice')).data.map((item) => item.id)).toEqual([incident.id]);
+      expect((await listIncidents(controller, '&status=new')).pagination).toEqual(expect.objectContaining({ total: 0, unfiltered_total: 1 }));
+
+      expect((await sendJson(controller, `/api/incidents/${incident.id}`, 'PUT', { status: 'closed' })).status).toBe(400);
+      expect((await sendJson(controller, `/api/incidents/${incident.id}`, 'PUT', {})).status).toBe(400);
+      expect((await sendJson(controller, '/api/incidents/999', 'PUT', { status: 'resolved' })).status).toBe(404);
+      expect((await controller.fetch(new Request('http://localhost/crowdsec/api/incidents?status=closed'))).status).toBe(400);
+
+      await sendJson(controller, `/api/incidents/${incident.id}`, 'PUT', { status: 'resolved', assignee: null });
+      seedAlert(database, sampleAlert({ id: 2, uuid: 'alert-2', created_at: minutesAgo(10), decisions: [] }));
+      const list = await syncIncidents(controller, 2);
+      expect(list.data.map((item) => [item.status, item.alert_count])).toEqual([['new', 1], ['resolved', 1]]);
+      expect(list.data[1].assignee).toBeNull();
+
+      const auditResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/audit?page=1&page_size=10'));
+      const audit = await auditResponse.json() as { data: Array<{ action: string }> };
+      expect(audit.data.filter((entry) => entry.action === 'incident.update')).toHaveLength(2);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('groups by autonomous system when configured', async () => {
+    const { controller, database } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+      env: { CROWDSEC_LOOKBACK_PERIOD: '1d' },
+    });
+    try {
+      expect((await sendJson(controller, '/api/incidents/settings', 'PUT', { window_minutes: 1 })).status).toBe(400);
+      expect((await sendJson(controller, '/api/incidents/settings', 'PUT', { group_by: 'country' })).status).toBe(400);
+      const settingsResponse = await sendJson(controller, '/api/incidents/settings', 'PUT', { group_by: 'as', window_minutes: 30 });
+      expect(await settingsResponse.json()).toEqual({ group_by: 'as', window_minutes: 30 });
+
+      const hetzner = { ...sampleAlert().source, as_number: '24940' };
+      seedAlert(database, sampleAlert({ id: 1, uuid: 'alert-1', created_at: minutesAgo(20), source: hetzner, decisions: [] }));
+      seedAlert(database, sampleAlert({
+        id: 2,
+        uuid: 'alert-2',
+        created_at: minutesAgo(10),
+        source: { ...hetzner, ip: '5.6.7.8', value: '5.6.7.8' },
+        decisions: [],
+      }));
+      seedAlert(database, sampleAlert({ id: 3, uuid: 'alert-3', created_at: minutesAgo(5), source: { ip: '7.7.7.7', value: '7.7.7.7' }, decisions: [] }));
+
+      const list = await syncIncidents(controller, 2);
+      expect(list.data.map((incident) => [incident.kind, incident.value])).toEqual([['ip', '7.7.7.7'], ['as', '24940']]);
+      expect(list.data[1]).toEqual(expect.objectContaining({ label: 'Hetzner', source_count: 2, alert_count: 2 }));
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('bans every source of an incident on the instances that reported it', async () => {
+    const { controller, database, fetchCalls } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+      env: { CROWDSEC_LOOKBACK_PERIOD: '1d' },
+    });
+    try {
+      seedAlert(database, sampleAlert({ id: 1, uuid: 'alert-1', created_at: minutesAgo(20), decisions: [] }));
+      const [incident] = (await syncIncidents(controller, 1)).data;
+
+      expect((await sendJson(controller, `/api/incidents/${incident.id}/actions`, 'POST', { action: 'block' })).status).toBe(400);
+      expect((await sendJson(controller, `/api/incidents/${incident.id}/actions`, 'POST', { action: 'ban', duration: 'forever' })).status).toBe(400);
+      expect((await sendJson(controller, '/api/incidents/999/actions', 'POST', { action: 'ban' })).status).toBe(404);
+
+      const response = await sendJson(controller, `/api/incidents/${incident.id}/actions`, 'POST', { action: 'ban', duration: '12h' });
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual(expect.objectContaining<Partial<IncidentActionResponse>>({ succeeded: 1, failed: 0, sources: 1 }));
+
+      const post = fetchCalls.find((call) => call.url.endsWith('/v1/alerts') && call.method === 'POST');
+      const [payload] = post?.body as Array<{ scenario: string; decisions: Array<{ value: string; scope: string; duration: string }> }>;
+      expect(payload.scenario).toBe('manual/web-ui-incident');
+      expect(payload.decisions).toEqual([expect.objectContaining({ value: '1.2.3.4', scope: 'ip', duration: '12h' })]);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('rejects incident changes for read-only users', async () => {
+    const { controller } = createController({ env: { PERMISSION_READ_ONLY: 'true' } });
+    try {
+      expect((await sendJson(controller, '/api/incidents/1', 'PUT', { status: 'resolved' })).status).toBe(403);
+      expect((await sendJson(controller, '/api/incidents/1/actions', 'POST', { action: 'ban' })).status).toBe(403);
+      expect((await sendJson(controller, '/api/incidents/settings', 'PUT', { group_by: 'as' })).status).toBe(403);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+});
@@ -0,0 +1,203 @@
+import { readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { describe, expect, test } from 'vitest';
+import { parse as parseYaml } from 'yaml';
+import type { InstanceConnectionTestResponse, InstanceSettings, InstancesSettingsResponse, UpdateInstancesSettingsResponse } from '../../../shared/contracts';
+import { createController, destroyTempDir, tempDir } from './harness';
+
+type Controller = ReturnType<typeof createController>['controller'];
+
+function sendJson(controller: Controller, requestPath: string, method: string, body?: unknown) {
+  return controller.fetch(new Request(`http://localhost/crowdsec${requestPath}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  }));
+}
+
+function writeTwoInstanceConfig(): void {
+  writeFileSync(path.join(tempDir, 'config.yaml'), `
+# Managed by hand before the Web UI took over.
+server:
+  basePath: /crowdsec
+storage:
+  dataDir: ${tempDir}
+auth:
+  enabled: false
+crowdsec:
+  sync:
+    lookback: 1m
+    refreshInterval: 30s
+instances:
+  - id: primary
+    name: Primary
+    lapi:
+      url: http://crowdsec:8080
+      auth:
+        username: watcher
+        password:
+          env: CROWDSEC_PASSWORD
+  - id: edge
+    name: Edge
+    lapi:
+      url: http://edge:8080
+      auth:
+        username: edge-watcher
+        password: edge-secret
+    metrics:
+      - id: engine
+        name: Engine
+        url: http://edge:6060/metrics
+        auth:
+          type: bearer
+          token: metrics-token
+`);
+}
+
+function savedInstances(): Array<Record<string, any>> {
+  return parseYaml(readFileSync(path.join(tempDir, 'config.yaml'), 'utf8')).instances;
+}
+
+describe('instance settings', () => {
+  test('redacts inline secrets and keeps them when saving edits', async () => {
+    writeTwoInstanceConfig();
+    const { controller } = createController();
+    try {
+      const response = await sendJson(controller, '/api/instances/settings', 'GET');
+      expect(response.status).toBe(200);
+      const settings = await response.json() as InstancesSettingsResponse;
+      expect(settings.config_file).toBe(path.join(tempDir, 'config.yaml'));
+      expect(settings.instances.map((instance) => instance.id)).toEqual(['primary', 'edge']);
+      expect(settings.instances[0].lapi.auth).toEqual({ type: 'password', username: 'watcher', password: { env: 'CROWDSEC_PASSWORD' } });
+      expect(settings.instances[1].lapi.auth).toEqual({ type: 'password', username: 'edge-watcher', password: '(stored)' });
+      expect(settings.instances[1].metrics[0].auth).toEqual({ type: 'bearer', token: '(stored)' });
+
+      const edited = settings.instances.map((instance) => instance.id === 'edge'
+        ? { ...instance, name: 'Edge EU', sync: { requestTimeout: '20s' } }
+        : instance);
+      const saved = await sendJson(controller, '/api/instances/settings', 'PUT', { instances: edited });
+      expect(saved.status).toBe(200);
+      expect(await saved.json()).toMatchObject({ restart_required: false, instances: [{ id: 'primary' }, { id: 'edge', name: 'Edge EU' }] });
+
+      const [, edge] = savedInstances();
+      expect(edge).toMatchObject({
+        name: 'Edge EU',
+        lapi: { auth: { username: 'edge-watcher', password: 'edge-secret' } },
+        metrics: [{ auth: { type: 'bearer', token: 'metrics-token' } }],
+        sync: { requestTimeout: '20s' },
+      });
+      expect(readFileSync(path.join(tempDir, 'config.yaml'), 'utf8')).toContain('# Managed by hand');
+      expect(controller.config.instances.find((instance) => instance.id === 'edge')).toMatchObject({ name: 'Edge EU', sync: { requestTimeoutMs: 20_000 } });
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('adds and removes secondary instances without a restart', async () => {
+    writeTwoInstanceConfig();
+    const { controller, fetchCalls } = createController();
+    try {
+      const { instances } = await (await sendJson(controller, '/api/instances/settings', 'GET')).json() as InstancesSettingsResponse;
+      const added: InstanceSettings = {
+        id: 'lab',
+        name: 'Lab',
+        lapi: { url: 'http://lab:8080', auth: { type: 'password', username: 'lab-watcher', password: { env: 'CROWDSEC_PASSWORD' } } },
+        metrics: [],
+        sync: {},
+      };
+      const response = await sendJson(controller, '/api/instances/settings', 'PUT', { instances: [instances[0], added] });
+      expect(response.status).toBe(200);
+      expect((await response.json() as UpdateInstancesSettingsResponse).restart_required).toBe(false);
+
+      expect(controller.config.instances.map((instance) => instance.id)).toEqual(['primary', 'lab']);
+      expect([...controller.lapiClients.keys()]).toEqual(['primary', 'lab']);
+      await expect.poll(() => fetchCalls.some((call) => call.url.startsWith('http://lab:8080/v1/alerts?'))).toBe(true);
+
+      const listed = await (await sendJson(controller, '/api/instances', 'GET')).json() as { data: Array<{ id: string }> };
+      expect(listed.data.map((instance) => instance.id)).toEqual(['primary', 'lab']);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('saves changes that need a restart and rejects invalid instances', async () => {
+    const { controller } = createController();
+    try {
+      const { instances } = await (await sendJson(controller, '/api/instances/settings', 'GET')).json() as InstancesSettingsResponse;
+      expect(instances).toEqual([expect.objectContaining({ id: 'default' })]);
+
+      const secondary: InstanceSettings = { ...instances[0], id: 'second', name: 'Second', lapi: { ...instances[0].lapi, url: 'http://second:8080' } };
+      const response = await sendJson(controller, '/api/instances/settings', 'PUT', { instances: [...instances, secondary] });
+      expect(await response.json()).toMatchObject({ restart_required: true });
+      expect(savedInstances().map((instance) => instance.id)).toEqual(['default', 'second']);
+      expect(controller.config.instances.map((instance) => instance.id)).toEqual(['default']);
+
+      const duplicate = await sendJson(controller, '/api/instances/settings', 'PUT', { instances: [instances[0], instances[0]] });
+      expect(duplicate.status).toBe(400);
+      expect(await duplicate.json()).toEqual({ error: expect.stringContaining('Configuration error') });
+      const unknownSync = await sendJson(controller, '/api/instances/settings', 'PUT', { instances: [{ ...instances[0], sync: { simulationsEnabled: true } }] });
+      expect(unknownSync.status).toBe(400);
+      expect(savedInstances().map((instance) => instance.id)).toEqual(['default', 'second']);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('reports each connection test step', async () => {
+    const { controller } = createController({
+      fetchResolver: (url) => (url === 'http://broken:8080/v1/watchers/login' ? Response.json({ message: 'invalid credentials' }, { status: 403 }) : undefined),
+      metricsFetchResolver: (url) => (url === 'http://crowdsec:6060/metrics' ? new Response('cs_info{version="v1.6.0"} 1\n') : undefined),
+    });
+    try {
+      const instance: InstanceSettings = {
+        id: 'probe',
+        name: 'Probe',
+        lapi: { url: 'http://crowdsec:8080', auth: { type: 'password', username: 'watcher', password: 'probe-secret' } },
+        metrics: [{ id: 'engine', name: 'Engine', url: 'http://crowdsec:6060/metrics', auth: { type: 'none' } }],
+        sync: {},
+      };
+      const passed = await (await sendJson(controller, '/api/instances/settings/test', 'POST', instance)).json() as InstanceConnectionTestResponse;
+      expect(passed).toMatchObject({
+        success: true,
+        steps: [
+          { step: 'login', success: true },
+          { step: 'alerts', success: true, alerts: 0 },
+          { step: 'metrics', target: 'engine', success: true },
+        ],
+      });
+
+      const failed = await (await sendJson(controller, '/api/instances/settings/test', 'POST', {
+        ...instance,
+        lapi: { ...instance.lapi, url: 'http://broken:8080' },
+        metrics: [],
+      })).json() as InstanceConnectionTestResponse;
+      expect(failed).toMatchObject({
+        success: false,
+        steps: [
+          { step: 'login', success: false, error: expect.any(String) },
+          { step: 'alerts', success: false, skipped: true },
+        ],
+      });
+
+      expect((await sendJson(controller, '/api/instances/settings/test', 'POST', { ...instance, lapi: { ...instance.lapi, url: '' } })).status).toBe(400);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+
+  test('rejects read-only sessions', async () => {
+    const { controller } = createController({ env: { PERMISSION_READ_ONLY: 'true' } });
+    try {
+      expect((await sendJson(controller, '/api/instances/settings', 'GET')).status).toBe(403);
+      expect((await sendJson(controller, '/api/instances/settings', 'PUT', { instances: [] })).status).toBe(403);
+      expect((await sendJson(controller, '/api/instances/settings/test', 'POST', {})).status).toBe(403);
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+  });
+});
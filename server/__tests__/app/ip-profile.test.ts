@@ -0,0 +1,110 @@
+import { describe, expect, test } from 'vitest';
+import type { IpProfileResponse } from '../../../shared/contracts';
+import { createController, destroyTempDir, sampleAlert, sampleRangeAlert, seedAlert } from './harness';
+
+describe('createApp IP profile', () => {
+  test('aggregates alerts and decisions for an address across days', async () => {
+    const { controller, database, lapiClient } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    const yesterday = new Date(Date.now() - 26 * 60 * 60 * 1_000).toISOString();
+    seedAlert(database, sampleAlert({
+      id: 1,
+      uuid: 'alert-1',
+      source: { ...sampleAlert().source, region: 'Berlin', city: 'Berlin', as_number: '24940' },
+    }));
+    seedAlert(database, sampleAlert({
+      id: 2,
+      uuid: 'alert-2',
+      created_at: yesterday,
+      scenario: 'crowdsecurity/http-probing',
+      target: 'nginx',
+      decisions: [{
+        id: 20,
+        type: 'ban',
+        value: '1.2.3.4',
+        duration: '4h',
+        created_at: yesterday,
+        stop_at: new Date(Date.now() - 22 * 60 * 60 * 1_000).toISOString(),
+        origin: 'crowdsec',
+      }],
+    }));
+    seedAlert(database, sampleRangeAlert({ id: 3, uuid: 'alert-3', source: { range: '1.2.3.0/24', scope: 'Range' } }));
+    seedAlert(database, sampleAlert({
+      id: 4,
+      uuid: 'alert-4',
+      source: { ip: '1.2.3.45', value: '1.2.3.45' },
+      decisions: [{ id: 40, type: 'ban', value: '1.2.3.45', duration: '4h', origin: 'crowdsec' }],
+    }));
+    await lapiClient.login();
+
+    const response = await controller.fetch(new Request('http://localhost/crowdsec/api/ip/1.2.3.4'));
+    expect(response.status).toBe(200);
+    const profile = await response.json() as IpProfileResponse;
+
+    expect(profile).toEqual(expect.objectContaining({
+      value: '1.2.3.4',
+      kind: 'ip',
+      first_seen: yesterday,
+      location: expect.objectContaining({
+        country: 'DE',
+        country_name: 'Germany',
+        city: 'Berlin',
+        as_name: 'Hetzner',
+        as_number: '24940',
+      }),
+      stats: {
+        alert_count: 3,
+        decision_count: 3,
+        active_decision_count: 2,
+        scenario_count: 3,
+        active_days: 2,
+        instance_count: 1,
+        repeat_offender: true,
+      },
+      instances: [{ instance_id: 'default', instance_name: 'CrowdSec', alerts: 3, decisions: 3 }],
+      alerts_truncated: false,
+      decisions_truncated: false,
+    }));
+    expect(profile.alerts.map((alert) => alert.id)).toEqual([3, 1, 2]);
+    expect(profile.scenarios).toEqual(expect.arrayContaining([
+      { value: 'crowdsecurity/ssh-bf', count: 1 },
+      { value: 'crowdsecurity/http-probing', count: 1 },
+      { value: 'manual/web-ui', count: 1 },
+    ]));
+    expect(profile.targets).toEqual(expect.arrayContaining([{ value: 'nginx', count: 1 }]));
+    expect(profile.active_decisions.map((decision) => decision.value).sort()).toEqual(['1.2.3.0/24', '1.2.3.4']);
+    expect(profile.expired_decisions.map((decision) => decision.id)).toEqual([20]);
+
+    destroyTempDir();
+  });
+
+  test('matches every address inside a requested range and rejects invalid values', async () => {
+    const { controller, database, lapiClient } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    seedAlert(database, sampleAlert({ id: 1, uuid: 'alert-1' }));
+    seedAlert(database, sampleAlert({
+      id: 2,
+      uuid: 'alert-2',
+      source: { ip: '1.2.4.4', value: '1.2.4.4' },
+      decisions: [{ id: 20, type: 'ban', value: '1.2.4.4', duration: '4h', origin: 'crowdsec' }],
+    }));
+    await lapiClient.login();
+
+    const response = await controller.fetch(new Request(`http://localhost/crowdsec/api/ip/${encodeURIComponent('1.2.3.0/24')}`));
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual(expect.objectContaining({
+      value: '1.2.3.0/24',
+      kind: 'range',
+      alerts: [expect.objectContaining({ id: 1 })],
+      active_decisions: [expect.objectContaining({ value: '1.2.3.4' })],
+      stats: expect.objectContaining({ alert_count: 1, decision_count: 1, repeat_offender: false }),
+    }));
+
+    const invalidResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/ip/not-an-ip'));
+    expect(invalidResponse.status).toBe(400);
+
+    destroyTempDir();
+  });
+});
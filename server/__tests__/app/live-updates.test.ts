@@ -0,0 +1,92 @@
+import { describe, expect, test } from 'vitest';
+import type { DecisionListItem, SlimAlert } from '../../../shared/contracts';
+import { CrowdsecDatabase } from '../../database';
+import { createLiveChangeSet, LIVE_CHANGE_LIMIT, parseLiveClientMessage, recordLiveChanges, type LiveChangeSet, type LiveQuery } from '../../live-updates';
+import { createController, destroyTempDir, sampleAlert, tempDir } from './harness';
+
+function unwrapQuery(query: LiveQuery | { error: string }): LiveQuery {
+  if ('error' in query) throw new Error(query.error);
+  return query;
+}
+
+describe('live alert and decision updates', () => {
+  test('streams only the synced rows that match a subscription', async () => {
+    const database = new CrowdsecDatabase({ dbDir: tempDir });
+    const stopAt = new Date(Date.now() + 30 * 60_000).toISOString();
+    const served = [
+      sampleAlert({
+        id: 301,
+        uuid: 'alert-301',
+        scenario: 'crowdsecurity/ssh-bf',
+        source: { ip: '192.0.2.1', value: '192.0.2.1' },
+        decisions: [{ id: 3010, type: 'ban', value: '192.0.2.1', duration: '30m', stop_at: stopAt, origin: 'crowdsec', simulated: false }],
+      }),
+      sampleAlert({
+        id: 302,
+        uuid: 'alert-302',
+        scenario: 'crowdsecurity/http-probing',
+        source: { ip: '192.0.2.2', value: '192.0.2.2' },
+        decisions: [{ id: 3020, type: 'ban', value: '192.0.2.2', duration: '30m', stop_at: stopAt, origin: 'crowdsec', simulated: false }],
+      }),
+    ];
+    const { controller } = createController({
+      database,
+      env: { CROWDSEC_REFRESH_INTERVAL: '0' },
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date(Date.now() - 30_000).toISOString() },
+      fetchResolver: (url) => (url.includes('/v1/alerts?') ? Response.json(served) : undefined),
+    });
+
+    try {
+      const published: LiveChangeSet[] = [];
+      const unsubscribe = controller.subscribeCacheUpdates((_updatedAt, _instanceIds, changes) => published.push(changes));
+      const alertsQuery = unwrapQuery(controller.createLiveQuery('alerts', { q: 'scenario:ssh', instance: 'all' }));
+      const decisionsQuery = unwrapQuery(controller.createLiveQuery('decisions', { q: 'ip:192.0.2.2' }));
+
+      const response = await controller.fetch(new Request('http://localhost/crowdsec/api/alerts?page=1&page_size=10'));
+      unsubscribe();
+      expect(response.status).toBe(200);
+      const changes = published.find((entry) => entry.size > 0);
+      expect(changes).toBeDefined();
+
+      const alerts = await alertsQuery(changes!);
+      expect(alerts.truncated).toBe(false);
+      expect((alerts.rows as SlimAlert[]).map((alert) => alert.id)).toEqual([301]);
+      expect(alerts.rows[0]).toMatchObject({ scenario: 'crowdsecurity/ssh-bf', source: { ip: '192.0.2.1' } });
+
+      const decisions = await decisionsQuery(changes!);
+      expect((decisions.rows as DecisionListItem[]).map((decision) => decision.value)).toEqual(['192.0.2.2']);
+
+      // Rows that were not part of the sync are never re-sent.
+      expect((await alertsQuery(createLiveChangeSet())).rows).toEqual([]);
+    } finally {
+      controller.stopBackgroundTasks();
+      database.close();
+      destroyTempDir();
+    }
+  });
+
+  test('rejects invalid subscriptions and asks for a reload after large syncs', async () => {
+    const { controller } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    try {
+      expect(controller.createLiveQuery('alerts', { q: 'scenario:(' })).toEqual({ error: expect.any(String) });
+
+      const changes = createLiveChangeSet();
+      recordLiveChanges(changes, 'alerts', 'default', Array.from({ length: LIVE_CHANGE_LIMIT + 1 }, (_, index) => index));
+      expect(changes).toMatchObject({ truncated: true });
+      const query = unwrapQuery(controller.createLiveQuery('alerts', {}));
+      expect(await query(changes)).toEqual({ rows: [], truncated: true });
+    } finally {
+      controller.stopBackgroundTasks();
+      destroyTempDir();
+    }
+
+    expect(parseLiveClientMessage('{"type":"subscribe","stream":"alerts","filters":{"q":"ip:1.2.3.4"}}'))
+      .toEqual({ type: 'subscribe', stream: 'alerts', filters: { q: 'ip:1.2.3.4' } });
+    expect(parseLiveClientMessage('{"type":"subscribe","stream":"audit"}')).toMatchObject({ error: expect.any(String), stream: null });
+    expect(parseLiveClientMessage('{"type":"subscribe","stream":"decisions","filters":{"q":1}}'))
+      .toEqual({ error: 'filters.q must be a string', stream: 'decisions' });
+    expect(parseLiveClientMessage('not json')).toMatchObject({ error: 'Message must be JSON' });
+  });
+});
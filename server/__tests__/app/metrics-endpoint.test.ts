@@ -0,0 +1,86 @@
+import { describe, expect, test } from 'vitest';
+import { parsePrometheusText } from '../../metrics';
+import { createController, destroyTempDir, sampleAlert, sampleSimulatedAlert, seedAlert } from './harness';
+
+const METRICS_ENV = {
+  CONFIG_SERVER_METRICS_ENABLED: 'true',
+  CONFIG_SERVER_METRICS_AUTH_TOKEN: 'scrape-token',
+};
+
+function scrape(controller: ReturnType<typeof createController>['controller'], authorization?: string) {
+  return controller.fetch(new Request('http://localhost/crowdsec/metrics', {
+    headers: authorization ? { Authorization: authorization } : {},
+  }));
+}
+
+describe('createApp metrics endpoint', () => {
+  test('exports sync, cache, decision and notification state to authorized scrapers', async () => {
+    const { controller, database } = createController({
+      simulationsEnabled: false,
+      env: METRICS_ENV,
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: '2026-03-28T12:00:00.000Z' },
+    });
+    seedAlert(database, sampleAlert());
+    seedAlert(database, sampleSimulatedAlert());
+    database.queueAlertDeletion(1, ['10'], new Date().toISOString());
+    database.insertNotification({
+      $id: 'notification-1',
+      $created_at: '2026-03-28T12:00:00.000Z',
+      $updated_at: '2026-03-28T12:00:00.000Z',
+      $rule_id: 'rule-1',
+      $rule_name: 'Threshold',
+      $rule_type: 'alert-threshold',
+      $severity: 'warning',
+      $title: 'Threshold exceeded',
+      $message: '10 alerts matched.',
+      $read_at: null,
+      $metadata_json: '{}',
+      $deliveries_json: JSON.stringify([
+        { channel_id: 'a', channel_name: 'Ops', channel_type: 'webhook', status: 'delivered', attempted_at: '2026-03-28T12:00:00.000Z' },
+        { channel_id: 'b', channel_name: 'Mail', channel_type: 'email', status: 'failed', attempted_at: '2026-03-28T12:00:00.000Z', error: 'refused' },
+      ]),
+      $dedupe_key: 'rule-1:bucket',
+    });
+
+    expect((await scrape(controller)).status).toBe(401);
+    expect((await scrape(controller, 'Bearer wrong-token')).status).toBe(401);
+
+    const response = await scrape(controller, 'Bearer scrape-token');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+    const text = await response.text();
+    expect(text).toContain('# TYPE crowdsec_web_ui_active_decisions gauge');
+
+    const samples = parsePrometheusText(text);
+    const value = (name: string, labels: Record<string, string> = {}) => samples.find((sample) => (
+      sample.name === name && Object.entries(labels).every(([key, labelValue]) => sample.labels[key] === labelValue)
+    ))?.value;
+
+    expect(value('crowdsec_web_ui_lapi_up', { instance_id: 'default' })).toBe(0);
+    expect(value('crowdsec_web_ui_lapi_status', { status: 'offline' })).toBe(1);
+    expect(value('crowdsec_web_ui_sync_state', { instance_id: 'default', state: 'idle' })).toBe(1);
+    expect(value('crowdsec_web_ui_sync_in_progress', { instance_id: 'default' })).toBe(0);
+    expect(value('crowdsec_web_ui_cache_initialized')).toBe(1);
+    expect(value('crowdsec_web_ui_cache_last_update_timestamp_seconds')).toBe(Date.parse('2026-03-28T12:00:00.000Z') / 1_000);
+    expect(value('crowdsec_web_ui_cached_alerts', { instance_id: 'default' })).toBe(2);
+    expect(value('crowdsec_web_ui_cached_decisions', { instance_id: 'default' })).toBe(2);
+    expect(samples.filter((sample) => sample.name === 'crowdsec_web_ui_active_decisions')).toEqual([
+      { name: 'crowdsec_web_ui_active_decisions', labels: { instance_id: 'default', type: 'ban', origin: 'manual' }, value: 1 },
+    ]);
+    expect(value('crowdsec_web_ui_pending_alert_deletions')).toBe(1);
+    expect(value('crowdsec_web_ui_notification_deliveries', { channel_type: 'email', status: 'failed' })).toBe(1);
+    expect(value('crowdsec_web_ui_notification_deliveries', { channel_type: 'webhook', status: 'delivered' })).toBe(1);
+
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+
+  test('does not serve metrics unless the endpoint is enabled', async () => {
+    const { controller } = createController();
+
+    const response = await scrape(controller, 'Bearer scrape-token');
+    expect(response.headers.get('content-type') || '').not.toContain('version=0.0.4');
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+});
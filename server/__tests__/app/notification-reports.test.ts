@@ -0,0 +1,77 @@
+import { describe, expect, test } from 'vitest';
+import type { NotificationReport, NotificationSettingsResponse } from '../../../shared/contracts';
+import { createController, destroyTempDir } from './harness';
+
+function sendJson(controller: ReturnType<typeof createController>['controller'], path: string, method: string, body?: unknown) {
+  return controller.fetch(new Request(`http://localhost/crowdsec${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  }));
+}
+
+const EMAIL_CHANNEL = {
+  name: 'Ops mail',
+  type: 'email',
+  enabled: true,
+  config: { smtpHost: '127.0.0.1', smtpPort: 1, smtpTlsMode: 'plain', smtpFrom: 'crowdsec@example.com', emailTo: 'ops@example.com' },
+};
+
+describe('createApp notification reports', () => {
+  test('creates, updates, sends and deletes scheduled reports', async () => {
+    const { controller } = createController({
+      initialCacheState: { isInitialized: true, isComplete: true, lastUpdate: new Date().toISOString() },
+    });
+    const channel = await (await sendJson(controller, '/api/notification-channels', 'POST', EMAIL_CHANNEL)).json() as { id: string };
+    const ntfy = await (await sendJson(controller, '/api/notification-channels', 'POST', {
+      name: 'Phone',
+      type: 'ntfy',
+      enabled: true,
+      config: { topic: 'crowdsec' },
+    })).json() as { id: string };
+
+    const base = { name: 'Weekly summary', enabled: true, frequency: 'weekly', send_time: '08:00', time_zone: 'UTC' };
+    expect((await sendJson(controller, '/api/notification-reports', 'POST', { ...base, channel_ids: [ntfy.id] })).status).toBe(400);
+    expect((await sendJson(controller, '/api/notification-reports', 'POST', { ...base, send_time: '25:00', channel_ids: [channel.id] })).status).toBe(400);
+    expect((await sendJson(controller, '/api/notification-reports', 'POST', { ...base, instance_id: 'missing', channel_ids: [channel.id] })).status).toBe(400);
+
+    const createResponse = await sendJson(controller, '/api/notification-reports', 'POST', { ...base, channel_ids: [channel.id] });
+    expect(createResponse.status).toBe(201);
+    const report = await createResponse.json() as NotificationReport;
+    expect(report).toEqual(expect.objectContaining({ instance_id: 'all', channel_ids: [channel.id], last_sent_at: null, last_error: null }));
+    expect(Date.parse(report.next_run_at)).toBeGreaterThan(Date.now());
+
+    const updateResponse = await sendJson(controller, `/api/notification-reports/${report.id}`, 'PUT', { ...base, frequency: 'daily', channel_ids: [channel.id] });
+    expect(await updateResponse.json()).toEqual(expect.objectContaining({ id: report.id, frequency: 'daily' }));
+    expect((await sendJson(controller, '/api/notification-reports/missing', 'PUT', { ...base, channel_ids: [channel.id] })).status).toBe(404);
+
+    // Nothing listens on the SMTP port, so delivery fails after the stats are built.
+    const sendResponse = await sendJson(controller, `/api/notification-reports/${report.id}/send`, 'POST');
+    expect(sendResponse.status).toBe(400);
+    expect((await sendResponse.json() as { error: string }).error).toContain('Ops mail:');
+    expect((await sendJson(controller, '/api/notification-reports/missing/send', 'POST')).status).toBe(404);
+
+    const settings = await (await controller.fetch(new Request('http://localhost/crowdsec/api/notifications/settings'))).json() as NotificationSettingsResponse;
+    expect(settings.reports).toEqual([expect.objectContaining({ id: report.id, last_error: expect.stringContaining('Ops mail:') })]);
+
+    expect((await sendJson(controller, `/api/notification-reports/${report.id}`, 'DELETE')).status).toBe(200);
+    const auditResponse = await controller.fetch(new Request('http://localhost/crowdsec/api/audit'));
+    expect(((await auditResponse.json()) as { data: Array<{ action: string }> }).data.map((entry) => entry.action)).toEqual(expect.arrayContaining([
+      'notification-report.create',
+      'notification-report.update',
+      'notification-report.delete',
+    ]));
+
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+
+  test('rejects report changes from read-only sessions', async () => {
+    const { controller } = createController({ env: { PERMISSION_READ_ONLY: 'true' } });
+
+    expect((await sendJson(controller, '/api/notification-reports', 'POST', { name: 'Weekly', channel_ids: [] })).status).toBe(403);
+    expect((await sendJson(controller, '/api/notification-reports/any/send', 'POST')).status).toBe(403);
+    controller.stopBackgroundTasks();
+    destroyTempDir();
+  });
+});
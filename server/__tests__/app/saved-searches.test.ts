@@ -0,0 +1,131 @@
+import { describe, expect, test } from 'vitest';
+import type { SavedSearch } from '../../../shared/contracts';
+import { createAuthSessionCookie, createController, destroyTempDir } from './harness';
+
+describe('createApp saved searches', () => {
+  test('keeps saved searches private unless shared and limits edits to owners', async () => {
+    const { controller, database } = createController({ env: { AUTH_ENABLED: 'true' } });
+    const setup = await controller.fetch(new Request('http://localhost/crowdsec/api/auth/setup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'Secret123' }),
+    }));
+    const adminCookie = setup.headers.get('set-cookie') || '';
+    const analystId = database.createAuthUser({ username: 'analyst', passwordHash: null, role: 'read-only', authProvider: 'password' });
+    const analystCookie = createAuthSessionCookie(database, { userId: analystId, username: 'analyst', role: 'read-only', authMethod: 'password' });
+    const request = (method: string, path: string, cookie: string, body?: unknown) => controller.fetch(new Request(`http://localhost/crowdsec/api/saved-searches${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', cookie },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    }));
+    const list = async (cookie: string) => (await (await request('GET', '', cookie)).json()) as SavedSearch[];
+
+    const created = await request('POST', '', analystCookie, {
+      page: 'alerts',
+      name: '  SSH from DE  ',
+      query: 'scenario:ssh country:DE',
+      date_start: '2026-03-01',
+      date_end: '2026-03-28T12',
+      columns: ['source', 'scenario', 'time', 'source'],
+    });
+    expect(created.status).toBe(201);
+    const privateSearch = await created.json() as SavedSearch;
+    expect(privateSearch).toEqual(expect.objectContaining({
+      page: 'alerts',
+      name: 'SSH from DE',
+      query: 'scenario:ssh country:DE',
+      date_start: '2026-03-01',
+      date_end: '2026-03-28T12',
+      instance: 'all',
+      columns: ['source', 'scenario', 'time'],
+      shared: false,
+      owner: 'analyst',
+      editable: true,
+    }));
+    expect(await list(adminCookie)).toEqual([]);
+
+    const shared = await request('POST', '', analystCookie, { page: 'decisions', name: 'Bans', query: 'action:ban', shared: true });
+    const sharedSearch = await shared.json() as SavedSearch;
+    expect(sharedSearch.columns.length).toBeGreaterThan(0);
+    expect(await list(adminCookie)).toEqual([expect.objectContaining({ id: sharedSearch.id, owner: 'analyst', editable: true })]);
+
+    const hiddenUpdate = await request('PUT', `/${privateSearch.id}`, adminCookie, { page: 'alerts', name: 'Taken over' });
+    expect(hiddenUpdate.status).toBe(404);
+
+    const renamed = await request('PUT', `/${sharedSearch.id}`, adminCookie, { page: 'alerts', name: 'Active bans', query: 'action:ban', shared: true });
+    expect(renamed.status).toBe(200);
+    expect(await renamed.json()).toEqual(expect.objectContaining({ page: 'decisions', name: 'Active bans', owner: 'analyst' }));
+
+    const adminSearch = await (await request('POST', '', adminCookie, { page: 'alerts', name: 'Admin view', shared: true })).json() as SavedSearch;
+    const analystView = await list(analystCookie);
+    expect(analystView.map((search) => search.name).sort()).toEqual(['Active bans', 'Admin view', 'SSH from DE']);
+    expect(analystView.find((search) => search.id === adminSearch.id)?.editable).toBe(false);
+    expect((await request('DELETE', `/${adminSearch.id}`, analystCookie)).status).toBe(403);
+
+    expect((await request('DELETE', `/${privateSearch.id}`, analystCookie)).status).toBe(200);
+    expect((await list(analystCookie)).map((search) => search.id)).not.toContain(privateSearch.id);
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('validates saved search input', async () => {
+    const { controller, database } = createController();
+    const create = (body: Record<string, unknown>) => controller.fetch(new Request('http://localhost/crowdsec/api/saved-searches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }));
+
+    const cases: Array<[Record<string, unknown>, string]> = [
+      [{ page: 'notifications', name: 'x' }, 'Invalid saved search page. Must be one of: alerts, decisions'],
+      [{ page: 'alerts', name: '   ' }, 'Saved search name is required'],
+      [{ page: 'alerts', name: 'x', query: 'unknown:value' }, 'Invalid search query at character 1: Unknown field `unknown`'],
+      [{ page: 'alerts', name: 'x', date_start: 'yesterday' }, 'Saved search dates must use YYYY-MM-DD or YYYY-MM-DDTHH'],
+      [{ page: 'alerts', name: 'x', instance: 'missing' }, 'Unknown instance: missing'],
+      [{ page: 'decisions', name: 'x', columns: ['decisions'] }, 'Unknown decisions column: decisions'],
+    ];
+    for (const [body, error] of cases) {
+      const response = await create(body);
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error });
+    }
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+
+  test('refuses to delete saved searches that notification rules filter on', async () => {
+    const { controller, database } = createController();
+    const created = await controller.fetch(new Request('http://localhost/crowdsec/api/saved-searches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ page: 'decisions', name: 'Manual bans', query: 'origin:manual' }),
+    }));
+    const savedSearch = await created.json() as SavedSearch;
+
+    const rule = await controller.fetch(new Request('http://localhost/crowdsec/api/notification-rules', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: 'Manual ban watch',
+        type: 'ip-ban',
+        enabled: true,
+        severity: 'info',
+        channel_ids: [],
+        config: { window_minutes: 60, filters: { saved_search_id: savedSearch.id } },
+      }),
+    }));
+    expect(rule.status).toBe(201);
+
+    const blocked = await controller.fetch(new Request(`http://localhost/crowdsec/api/saved-searches/${savedSearch.id}`, { method: 'DELETE' }));
+    expect(blocked.status).toBe(409);
+    expect(await blocked.json()).toEqual({ error: 'Saved search is used by notification rules: Manual ban watch' });
+
+    controller.stopBackgroundTasks();
+    database.close();
+    destroyTempDir();
+  });
+});
@@ -113,6 +113,8 @@ describe('createApp synchronization bootstrap', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -166,6 +168,8 @@ describe('createApp synchronization bootstrap', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -232,6 +236,8 @@ describe('createApp synchronization bootstrap', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -295,6 +301,8 @@ describe('createApp synchronization bootstrap', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -355,6 +363,8 @@ describe('createApp synchronization bootstrap', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -412,6 +422,8 @@ describe('createApp synchronization bootstrap', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -465,6 +477,8 @@ describe('createApp synchronization bootstrap', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
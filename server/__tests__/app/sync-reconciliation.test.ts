@@ -348,6 +348,8 @@ describe('createApp synchronization reconciliation', () => {
       rebuildSearchIndexes: vi.fn(() => indexRebuild),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -387,6 +389,8 @@ describe('createApp synchronization reconciliation', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
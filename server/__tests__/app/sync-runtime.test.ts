@@ -90,6 +90,49 @@ describe('createApp synchronization runtime', () => {
     }
   });
 
+  test('scrapes metrics endpoints into the metrics history with background tasks', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-07-15T06:00:30.000Z'));
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => undefined);
+    let linesRead = 1_000;
+    const { controller, database } = createController({
+      env: {
+        CROWDSEC_PROMETHEUS_URL: 'http://crowdsec:6060/metrics',
+        CROWDSEC_REFRESH_INTERVAL: 'manual',
+        CROWDSEC_HEARTBEAT_INTERVAL: '0',
+        CROWDSEC_METRICS_HISTORY_INTERVAL: '1m',
+      },
+      metricsFetchResolver: () => new Response(`
+cs_filesource_hits_total{source="/var/log/auth.log"} ${linesRead}
+cs_parser_hits_total{source="/var/log/auth.log",type="syslog"} ${linesRead}
+`, { status: 200 }),
+    });
+
+    try {
+      controller.startBackgroundTasks();
+      await vi.advanceTimersByTimeAsync(0);
+      linesRead += 1_200;
+      await vi.advanceTimersByTimeAsync(60_000);
+
+      const response = await controller.fetch(new Request('http://localhost/crowdsec/api/metrics/crowdsec/history?range=1h'));
+      expect(response.status).toBe(200);
+      const history = await response.json();
+      expect(history).toMatchObject({ range: '1h', step_ms: 60_000, interval_ms: 60_000, samples: 2 });
+      expect(history.points.at(-1)).toMatchObject({ time: '2026-07-15T06:01:00.000Z', linesPerSecond: 20 });
+
+      const invalid = await controller.fetch(new Request('http://localhost/crowdsec/api/metrics/crowdsec/history?range=2d'));
+      expect(invalid.status).toBe(400);
+      const unknown = await controller.fetch(new Request('http://localhost/crowdsec/api/instances/default/metrics/missing/history'));
+      expect(unknown.status).toBe(404);
+    } finally {
+      controller.stopBackgroundTasks();
+      logSpy.mockRestore();
+      vi.useRealTimers();
+      database.close();
+      destroyTempDir();
+    }
+  });
+
   test('ignores health checks when deciding whether the refresh scheduler is idle', async () => {
     vi.useFakeTimers();
     vi.setSystemTime(new Date('2026-07-15T06:00:00.000Z'));
@@ -152,6 +195,8 @@ describe('createApp synchronization runtime', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
@@ -234,6 +279,8 @@ describe('createApp synchronization runtime', () => {
       rebuildSearchIndexes: vi.fn(async () => {}),
       refreshDecisionDuplicateFlags: vi.fn(async () => {}),
       cleanupOldData: vi.fn(async () => ({ alerts: 0, decisions: 0 })),
+      pruneAuditLog: vi.fn(async () => 0),
+      backfillGeoIpEnrichment: vi.fn(async () => ({ done: true, updated: 0 })),
       clearSyncData: vi.fn(async () => {}),
       runExclusive: vi.fn(async (operation) => operation()),
       close: vi.fn(),
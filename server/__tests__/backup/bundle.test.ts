@@ -0,0 +1,55 @@
+import { describe, expect, test } from 'vitest';
+import { diffBackup, openBackup, sealBackup, type BackupPayload } from '../../backup';
+
+function payload(overrides: Partial<BackupPayload> = {}): BackupPayload {
+  return {
+    settings: {},
+    users: [],
+    saved_searches: [],
+    notification_channels: [],
+    notification_rules: [],
+    notification_reports: [],
+    ...overrides,
+  };
+}
+
+describe('backup bundles', () => {
+  test('encrypts the payload and binds the header to it', async () => {
+    const data = payload({ settings: { language: 'de' } });
+    const bundle = await sealBackup(data, { appVersion: '2.0.0', passphrase: 'passphrase', now: new Date('2026-05-01T00:00:00.000Z') });
+    expect(bundle).toMatchObject({ version: 1, created_at: '2026-05-01T00:00:00.000Z', includes_secrets: true });
+    expect(typeof bundle.payload).toBe('string');
+
+    await expect(openBackup(bundle, 'passphrase')).resolves.toMatchObject({ encrypted: true, app_version: '2.0.0', payload: data });
+    await expect(openBackup(bundle)).rejects.toMatchObject({ code: 'BACKUP_PASSPHRASE_REQUIRED' });
+    await expect(openBackup(bundle, 'other')).rejects.toMatchObject({ code: 'BACKUP_PASSPHRASE_INVALID' });
+    await expect(openBackup({ ...bundle, app_version: '9.9.9' }, 'passphrase')).rejects.toMatchObject({ code: 'BACKUP_PASSPHRASE_INVALID' });
+  });
+
+  test('keeps unencrypted bundles free of secrets and validates their shape', async () => {
+    const bundle = await sealBackup(payload(), { appVersion: '2.0.0' });
+    expect(bundle).toMatchObject({ includes_secrets: false, encryption: null });
+
+    await expect(openBackup({ ...bundle, includes_secrets: true })).rejects.toMatchObject({ code: 'INVALID_BACKUP' });
+    await expect(openBackup({ ...bundle, format: 'other' })).rejects.toMatchObject({ code: 'INVALID_BACKUP' });
+    await expect(openBackup({ ...bundle, payload: { users: [{ username: 'a' }, { username: 'a' }] } })).rejects.toThrow('Duplicate users entry: a');
+    await expect(openBackup({ ...bundle, payload: { settings: { language: 1 } } })).rejects.toMatchObject({ code: 'INVALID_BACKUP' });
+  });
+
+  test('lists added, changed and removed entries by name', () => {
+    const channel = { id: 'c1', name: 'Ops', type: 'ntfy' as const, enabled: true, config: { topic: 'ops' }, quiet_hours: null, digest: null };
+    const current = payload({
+      settings: { language: 'en', refresh_interval_ms: '30000' },
+      notification_channels: [channel, { ...channel, id: 'c2', name: 'Old' }],
+    });
+    const incoming = payload({
+      settings: { refresh_interval_ms: '30000', language: 'de', manual_refresh_enabled: 'false' },
+      notification_channels: [{ ...channel, config: { topic: 'ops' }, enabled: true }, { ...channel, id: 'c3', name: 'New' }],
+    });
+
+    const merge = diffBackup(current, incoming, 'merge');
+    expect(merge.settings).toEqual({ added: ['manual_refresh_enabled'], changed: ['language'], removed: [], unchanged: 1 });
+    expect(merge.notification_channels).toEqual({ added: ['New'], changed: [], removed: [], unchanged: 2 });
+    expect(diffBackup(current, incoming, 'replace').notification_channels).toEqual({ added: ['New'], changed: [], removed: ['Old'], unchanged: 1 });
+  });
+});
@@ -17,6 +17,9 @@ storage:
   dataDir: /tmp/yaml-data
   geonamesDir: /tmp/yaml-geonames
   walEnabled: false
+  geoip:
+    cityFile: /tmp/yaml-geoip/GeoLite2-City.mmdb
+    asnFile: /tmp/yaml-geoip/GeoLite2-ASN.mmdb
 ui:
   timeZone: UTC
   timeFormat: 12h
@@ -101,6 +104,7 @@ instances:
         dbDir: '/tmp/yaml-data',
         geonamesDumpDir: '/tmp/yaml-geonames',
         sqliteWalEnabled: false,
+        geoIp: { cityFile: '/tmp/yaml-geoip/GeoLite2-City.mmdb', asnFile: '/tmp/yaml-geoip/GeoLite2-ASN.mmdb' },
         timeZone: 'UTC',
         timeFormat: '12h',
         readOnly: true,
@@ -171,6 +175,47 @@ instances:
     }
   });
 
+  test('loads Web UI metrics endpoint credentials and requires them when enabled', () => {
+    const tokenFile = createTempSecret('scrape-token\n');
+    const load = (server: string, env: NodeJS.ProcessEnv = {}) => createRuntimeConfig({
+      CONFIG_FILE: createTempConfig(`${server}
+instances:
+  - id: default
+    name: CrowdSec
+    lapi:
+      url: http://crowdsec:8080
+`),
+      ...env,
+    });
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      expect(load('').metricsEndpoint).toEqual({ enabled: false, auth: { type: 'none' } });
+      expect(load(`
+server:
+  metrics:
+    enabled: true
+    auth:
+      token:
+        file: ${tokenFile}`).metricsEndpoint).toEqual({ enabled: true, auth: { type: 'bearer', token: 'scrape-token' } });
+      expect(load(`
+server:
+  metrics:
+    enabled: true
+    auth:
+      username: prometheus
+      password:
+        env: SCRAPE_PASSWORD`, { SCRAPE_PASSWORD: 'scrape-password' }).metricsEndpoint.auth).toEqual({
+        type: 'basic', username: 'prometheus', password: 'scrape-password',
+      });
+      expect(() => load('server:\n  metrics:\n    enabled: true'))
+        .toThrow(/server\.metrics\.auth must use basic or bearer credentials/);
+      expect(() => load('server:\n  metrics:\n    path: /scrape'))
+        .toThrow(/unknown server\.metrics setting.*path/);
+    } finally {
+      log.mockRestore();
+    }
+  });
+
   test('maps legacy environment through generated configuration when CONFIG_FILE is unset', () => {
     const generatedConfigFile = createMissingConfigPath();
     const env = {
@@ -223,6 +268,7 @@ instances:
       CONFIG_SERVER_BASE_PATH: '/security',
       CONFIG_STORAGE_DATA_DIR: '/tmp/config-data',
       CONFIG_STORAGE_WAL_ENABLED: 'false',
+      CONFIG_STORAGE_AUDIT_RETENTION: '90d',
       CONFIG_UI: '{ timeZone: UTC, timeFormat: 24h, readOnly: false }',
       CONFIG_UI_READ_ONLY: 'true',
       CONFIG_AUTH_SESSION_SECRET: 'do-not-write-this-auth-secret',
@@ -253,6 +299,7 @@ instances:
         basePath: '/security',
         dbDir: '/tmp/config-data',
         sqliteWalEnabled: false,
+        auditLogRetentionMs: 90 * 86_400_000,
         timeZone: 'UTC',
         readOnly: true,
         refreshIntervalMs: 120_000,
@@ -287,6 +334,7 @@ instances:
       expect(saved).toContain('  basePath: /security');
       expect(saved).toContain('  # enabled: auto');
       expect(saved).toContain('  walEnabled: false');
+      expect(saved).toContain('  auditRetention: 90d');
       expect(saved).toContain('  # geonamesDir:');
       const document = parseYaml(saved);
       expect(document.server).toEqual({ port: 4200, basePath: '/security' });
@@ -132,6 +132,7 @@ describe('config helpers', () => {
       CROWDSEC_PROMETHEUS_URL: 'http://crowdsec:6060/metrics',
       CROWDSEC_PROMETHEUS_REQUEST_TIMEOUT: '10s',
       CROWDSEC_HEARTBEAT_INTERVAL: '1m',
+      CROWDSEC_METRICS_HISTORY_INTERVAL: '5m',
       CROWDSEC_ALERT_SYNC_CHUNK: '3h',
       CROWDSEC_ALERT_SYNC_MIN_CHUNK: '30m',
       CROWDSEC_RECONCILE_WINDOW: '2h',
@@ -189,6 +190,7 @@ describe('config helpers', () => {
     expect(config.prometheusUrl).toBe('http://crowdsec:6060/metrics');
     expect(config.prometheusRequestTimeoutMs).toBe(10_000);
     expect(config.heartbeatIntervalMs).toBe(60_000);
+    expect(config.metricsHistoryIntervalMs).toBe(300_000);
     expect(config.alertSyncChunkMs).toBe(10_800_000);
     expect(config.alertSyncMinChunkMs).toBe(1_800_000);
     expect(config.reconcileWindowMs).toBe(7_200_000);
@@ -249,6 +251,7 @@ describe('config helpers', () => {
     expect(config.prometheusUrl).toBeUndefined();
     expect(config.prometheusRequestTimeoutMs).toBe(5_000);
     expect(config.heartbeatIntervalMs).toBe(30_000);
+    expect(config.metricsHistoryIntervalMs).toBe(60_000);
     expect(config.alertSyncChunkMs).toBe(43_200_000);
     expect(config.alertSyncMinChunkMs).toBe(900_000);
     expect(config.reconcileWindowMs).toBe(3_600_000);
@@ -258,6 +261,7 @@ describe('config helpers', () => {
     expect(config.reconcileOldIntervalMs).toBe(10_800_000);
     expect(config.reconcileWindowsPerRefresh).toBe(2);
     expect(config.sqliteWalEnabled).toBe(true);
+    expect(config.auditLogRetentionMs).toBe(365 * 86_400_000);
     expect(config.readOnly).toBe(false);
     expect(config.dashboardAuth.enabled).toBeNull();
     expect(config.dashboardAuth.oidcScope).toBe('openid profile email');
@@ -250,6 +250,85 @@ describe('CrowdsecDatabase identity and storage', () => {
     db.close();
   });
 
+  test('folds expiring alerts and decisions into statistics rollups before deleting them', () => {
+    const db = createTestDatabase();
+    const insertAlert = (id: number, createdAt: string, simulated = false) => db.insertAlert({
+      $id: id,
+      $uuid: `rollup-alert-${id}`,
+      $created_at: createdAt,
+      $scenario: 'crowdsecurity/ssh-bf',
+      $source_ip: '1.2.3.4',
+      $message: 'alert',
+      $raw_data: JSON.stringify({ id, simulated, source: { ip: '1.2.3.4', cn: 'DE', as_name: 'Hetzner' } }),
+    });
+    insertAlert(1, '2026-01-10T08:15:00.000Z');
+    insertAlert(2, '2026-01-10T08:45:00.000Z');
+    insertAlert(3, '2026-01-10T09:05:00.000Z', true);
+    insertAlert(4, '2026-03-01T00:00:00.000Z');
+    db.insertDecision({
+      $id: '10',
+      $uuid: '10',
+      $alert_id: 1,
+      $created_at: '2026-01-10T08:15:00.000Z',
+      $stop_at: '2026-01-10T12:15:00.000Z',
+      $value: '1.2.3.4',
+      $type: 'ban',
+      $origin: 'crowdsec',
+      $scenario: 'crowdsecurity/ssh-bf',
+      $raw_data: JSON.stringify({ id: 10, value: '1.2.3.4', stop_at: '2026-01-10T12:15:00.000Z' }),
+    });
+
+    expect(db.cleanupOldData('2026-02-01T00:00:00.000Z', '2025-12-01T00:00:00.000Z')).toEqual({ alerts: 3, decisions: 1 });
+    expect(db.countAlerts()).toBe(1);
+    const readRollups = (table: string) => db.db.prepare(`
+      SELECT bucket, kind, scenario, country, as_name, origin, simulated, count FROM ${table} ORDER BY bucket, kind, simulated
+    `).all();
+    expect(readRollups('stats_rollups_hourly')).toEqual([
+      { bucket: '2026-01-10T08', kind: 'alert', scenario: 'crowdsecurity/ssh-bf', country: 'DE', as_name: 'Hetzner', origin: '', simulated: 0, count: 2 },
+      { bucket: '2026-01-10T08', kind: 'decision', scenario: 'crowdsecurity/ssh-bf', country: '', as_name: '', origin: 'crowdsec', simulated: 0, count: 1 },
+      { bucket: '2026-01-10T09', kind: 'alert', scenario: 'crowdsecurity/ssh-bf', country: 'DE', as_name: 'Hetzner', origin: '', simulated: 1, count: 1 },
+    ]);
+    expect(readRollups('stats_rollups_daily')).toEqual([
+      expect.objectContaining({ bucket: '2026-01-10', kind: 'alert', simulated: 0, count: 2 }),
+      expect.objectContaining({ bucket: '2026-01-10', kind: 'alert', simulated: 1, count: 1 }),
+      expect.objectContaining({ bucket: '2026-01-10', kind: 'decision', count: 1 }),
+    ]);
+
+    insertAlert(5, '2026-01-10T08:30:00.000Z');
+    db.cleanupOldData('2026-02-01T00:00:00.000Z', '2026-01-11T00:00:00.000Z');
+    expect(readRollups('stats_rollups_hourly')).toEqual([]);
+    expect(readRollups('stats_rollups_daily')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ bucket: '2026-01-10', kind: 'alert', simulated: 0, count: 3 }),
+    ]));
+
+    db.clearSyncData();
+    expect(readRollups('stats_rollups_daily')).toHaveLength(3);
+
+    db.close();
+  });
+
+  test('prunes audit log entries older than the retention cutoff', () => {
+    const db = createTestDatabase();
+    const entry = {
+      userId: null,
+      username: 'admin',
+      authMethod: 'password',
+      action: 'cache.clear',
+      instanceIds: [],
+      summary: {},
+      outcome: 'success',
+      results: [],
+    };
+    const oldId = db.insertAuditLog(entry);
+    const recentId = db.insertAuditLog(entry);
+    db.db.prepare('UPDATE audit_log SET created_at = ? WHERE id = ?').run('2025-01-01T00:00:00.000Z', oldId);
+
+    expect(db.pruneAuditLog('2026-01-01T00:00:00.000Z')).toBe(1);
+    expect(db.db.prepare('SELECT id FROM audit_log').all()).toEqual([{ id: recentId }]);
+
+    db.close();
+  });
+
   test('only excludes the literal dup_ prefix when selecting an active decision', () => {
     const db = createTestDatabase();
     const insert = (id: string, stopAt: string) => db.insertDecision({
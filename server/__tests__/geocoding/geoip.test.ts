@@ -0,0 +1,324 @@
+import { mkdtempSync, writeFileSync } from 'fs';
+import path from 'path';
+import { tmpdir } from 'os';
+import { describe, expect, test, vi } from 'vitest';
+import { CrowdsecDatabase } from '../../database';
+import { createGeoIpLookup, enrichAlertRecord, enrichDecisionRecord, MmdbReader, stripAlertGeoEnrichment } from '../../geoip';
+import { tempDirs } from '../database/harness';
+
+type MmdbValue = string | number | boolean | MmdbValue[] | { [key: string]: MmdbValue };
+
+function encodeHeader(type: number, size: number): Buffer {
+  const extension = size < 29 ? [] : size < 285 ? [size - 29] : [(size - 285) >> 8, (size - 285) & 0xff];
+  const sizeBits = size < 29 ? size : size < 285 ? 29 : 30;
+  return type <= 7
+    ? Buffer.from([(type << 5) | sizeBits, ...extension])
+    : Buffer.from([sizeBits, type - 7, ...extension]);
+}
+
+// Writes a MaxMind DB with an IPv6 search tree and 24-bit records. Repeated
+// strings are emitted as pointers, like the real GeoLite2 databases do.
+function writeMmdb(file: string, networks: Array<[string, number, MmdbValue]>, databaseType: string, buildEpoch = 1_700_000_000): void {
+  const data: Buffer[] = [];
+  let dataLength = 0;
+  const stringOffsets = new Map<string, number>();
+  const append = (chunk: Buffer) => {
+    data.push(chunk);
+    dataLength += chunk.length;
+  };
+  const encode = (value: MmdbValue, target: (chunk: Buffer) => void, pointers: boolean): void => {
+    if (typeof value === 'string') {
+      const offset = stringOffsets.get(value);
+      if (pointers && offset !== undefined) {
+        target(Buffer.from([0x20 | (offset >> 8), offset & 0xff]));
+        return;
+      }
+      if (pointers) stringOffsets.set(value, dataLength);
+      const bytes = Buffer.from(value, 'utf8');
+      target(Buffer.concat([encodeHeader(2, bytes.length), bytes]));
+    } else if (typeof value === 'boolean') {
+      target(encodeHeader(14, value ? 1 : 0));
+    } else if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+      const bytes = Buffer.alloc(4);
+      bytes.writeUInt32BE(value);
+      target(Buffer.concat([encodeHeader(6, 4), bytes]));
+    } else if (typeof value === 'number') {
+      const bytes = Buffer.alloc(8);
+      bytes.writeDoubleBE(value);
+      target(Buffer.concat([encodeHeader(3, 8), bytes]));
+    } else if (Array.isArray(value)) {
+      target(encodeHeader(11, value.length));
+      for (const item of value) encode(item, target, pointers);
+    } else {
+      const entries = Object.entries(value);
+      target(encodeHeader(7, entries.length));
+      for (const [key, item] of entries) {
+        encode(key, target, pointers);
+        encode(item, target, pointers);
+      }
+    }
+  };
+
+  const nodes: Array<[number | { data: number } | null, number | { data: number } | null]> = [[null, null]];
+  for (const [network, prefixLength, value] of networks) {
+    const dataOffset = dataLength;
+    encode(value, append, true);
+    const ipv4 = network.includes('.');
+    const bytes = ipv4
+      ? [...Array(12).fill(0), ...network.split('.').map(Number)]
+      : network.split(':').flatMap((group) => [parseInt(group, 16) >> 8, parseInt(group, 16) & 0xff]);
+    const bits = (ipv4 ? 96 : 0) + prefixLength;
+    let node = 0;
+    for (let bit = 0; bit < bits; bit += 1) {
+      const branch = (bytes[bit >> 3] >> (7 - (bit & 7))) & 1;
+      if (bit === bits - 1) {
+        nodes[node][branch] = { data: dataOffset };
+      } else {
+        if (typeof nodes[node][branch] !== 'number') {
+          nodes.push([null, null]);
+          nodes[node][branch] = nodes.length - 1;
+        }
+        node = nodes[node][branch] as number;
+      }
+    }
+  }
+
+  const nodeCount = nodes.length;
+  const tree = Buffer.alloc(nodeCount * 6);
+  nodes.forEach((records, index) => records.forEach((record, side) => {
+    const value = record === null ? nodeCount : typeof record === 'number' ? record : nodeCount + 16 + record.data;
+    tree.writeUIntBE(value, index * 6 + side * 3, 3);
+  }));
+
+  const metadata: Buffer[] = [];
+  encode({
+    node_count: nodeCount,
+    record_size: 24,
+    ip_version: 6,
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: buildEpoch,
+    description: { en: `${databaseType} test fixture` },
+  }, (chunk) => metadata.push(chunk), false);
+
+  writeFileSync(file, Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    ...data,
+    Buffer.from('\xAB\xCD\xEFMaxMind.com', 'latin1'),
+    ...metadata,
+  ]));
+}
+
+function city(country: string, cityName: string, region: string, latitude: number, longitude: number): MmdbValue {
+  return {
+    city: { geoname_id: 2950159, names: { en: cityName, de: cityName } },
+    country: { iso_code: country, names: { en: country } },
+    location: { accuracy_radius: 20, latitude, longitude },
+    subdivisions: [{ iso_code: 'BE', names: { en: region } }],
+  };
+}
+
+function createGeoIpFiles(buildEpoch?: number): { cityFile: string; asnFile: string } {
+  const dir = mkdtempSync(path.join(tmpdir(), 'crowdsec-web-ui-geoip-'));
+  tempDirs.push(dir);
+  const cityFile = path.join(dir, 'GeoLite2-City.mmdb');
+  const asnFile = path.join(dir, 'GeoLite2-ASN.mmdb');
+  writeMmdb(cityFile, [
+    ['203.0.113.0', 24, city('DE', 'Berlin', 'Land Berlin', 52.5244, 13.4105)],
+    ['198.51.100.0', 24, city('FR', 'Paris', 'Île-de-France', 48.8534, 2.3488)],
+    ['2001:db8:0:0:0:0:0:0', 32, city('NL', 'Amsterdam', 'North Holland', 52.374, 4.8897)],
+  ], 'GeoLite2-City', buildEpoch);
+  writeMmdb(asnFile, [
+    ['203.0.113.0', 24, { autonomous_system_number: 64500, autonomous_system_organization: 'Example Transit' }],
+    ['2001:db8:0:0:0:0:0:0', 32, { autonomous_system_number: 64501, autonomous_system_organization: 'Example IPv6 Hosting' }],
+  ], 'GeoLite2-ASN', buildEpoch);
+  return { cityFile, asnFile };
+}
+
+function insertAlert(database: CrowdsecDatabase, id: number, source: Record<string, unknown>): void {
+  const alert = {
+    id,
+    created_at: '2026-10-18T10:00:00.000Z',
+    scenario: 'crowdsecurity/ssh-bf',
+    message: 'Ip 203.0.113.7 performed ssh-bf',
+    source,
+    decisions: [],
+  };
+  database.insertAlert({
+    $id: id,
+    $uuid: `alert-${id}`,
+    $created_at: alert.created_at,
+    $scenario: alert.scenario,
+    $source_ip: String(source.ip ?? source.value ?? ''),
+    $message: alert.message,
+    $raw_data: JSON.stringify(alert),
+  });
+}
+
+function insertDecision(database: CrowdsecDatabase, id: number, value: string, scope = 'Ip'): void {
+  const decision = {
+    id,
+    value,
+    scope,
+    type: 'ban',
+    origin: 'lists',
+    scenario: 'firehol_cybercrime',
+    duration: '4h',
+    created_at: '2026-10-18T10:00:00.000Z',
+    stop_at: '2026-10-19T14:00:00.000Z',
+  };
+  database.insertDecision({
+    $id: String(id),
+    $uuid: `decision-${id}`,
+    $alert_id: 9000 + id,
+    $created_at: decision.created_at,
+    $stop_at: decision.stop_at,
+    $value: value,
+    $type: decision.type,
+    $origin: decision.origin,
+    $scenario: decision.scenario,
+    $raw_data: JSON.stringify(decision),
+  });
+}
+
+function createDatabasePath(): string {
+  const dir = mkdtempSync(path.join(tmpdir(), 'crowdsec-web-ui-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'test.db');
+}
+
+function runBackfill(database: CrowdsecDatabase, batchSize = 1): number {
+  let updated = 0;
+  for (;;) {
+    const batch = database.backfillGeoIpEnrichment(batchSize);
+    updated += batch.updated;
+    if (batch.done) return updated;
+  }
+}
+
+describe('MaxMind DB reader', () => {
+  test('looks up IPv4 and IPv6 networks and reads metadata', () => {
+    const { cityFile, asnFile } = createGeoIpFiles();
+    const reader = MmdbReader.open(cityFile);
+
+    expect(reader.metadata).toMatchObject({ database_type: 'GeoLite2-City', ip_version: 6, record_size: 24, build_epoch: 1_700_000_000 });
+    expect(reader.get('203.0.113.7')).toMatchObject({
+      country: { iso_code: 'DE' },
+      city: { names: { en: 'Berlin' } },
+      location: { latitude: 52.5244, longitude: 13.4105 },
+      subdivisions: [{ names: { en: 'Land Berlin' } }],
+    });
+    expect(reader.get('198.51.100.200')).toMatchObject({ country: { iso_code: 'FR' }, subdivisions: [{ names: { en: 'Île-de-France' } }] });
+    expect(reader.get('2001:db8::1')).toMatchObject({ city: { names: { en: 'Amsterdam' } } });
+    expect(reader.get('192.0.2.1')).toBeNull();
+    expect(reader.get('not-an-ip')).toBeNull();
+    expect(MmdbReader.open(asnFile).get('::ffff:203.0.113.9')).toBeNull();
+  });
+
+  test('merges city and ASN files and reports unreadable databases', () => {
+    const files = createGeoIpFiles();
+    const lookup = createGeoIpLookup(files);
+    expect(lookup?.signature).toBe(`${files.cityFile}@GeoLite2-City:1700000000|${files.asnFile}@GeoLite2-ASN:1700000000`);
+    expect(lookup?.lookup('203.0.113.7')).toEqual({
+      country: 'DE',
+      region: 'Land Berlin',
+      city: 'Berlin',
+      latitude: 52.5244,
+      longitude: 13.4105,
+      asName: 'Example Transit',
+      asNumber: 64500,
+    });
+    expect(lookup?.lookup('198.51.100.1')).toMatchObject({ country: 'FR', city: 'Paris' });
+    expect(lookup?.lookup('198.51.100.1')?.asName).toBeUndefined();
+    expect(createGeoIpLookup({})).toBeNull();
+
+    const warn = vi.fn();
+    const partial = createGeoIpLookup({ cityFile: files.cityFile, asnFile: path.join(path.dirname(files.cityFile), 'missing.mmdb') }, warn);
+    expect(partial?.signature).toBeNull();
+    expect(partial?.lookup('203.0.113.7')).toMatchObject({ country: 'DE' });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('missing.mmdb'));
+  });
+});
+
+describe('GeoIP record enrichment', () => {
+  test('fills only missing IP fields and marks them', () => {
+    const lookup = createGeoIpLookup(createGeoIpFiles());
+    const alert = {
+      id: 1,
+      created_at: '2026-10-18T10:00:00.000Z',
+      source: { ip: '203.0.113.7', scope: 'Ip', cn: 'AT', as_name: 'Supplied by CrowdSec' },
+    };
+
+    const enriched = enrichAlertRecord(alert, lookup);
+    expect(enriched.source).toEqual({
+      ...alert.source,
+      region: 'Land Berlin',
+      city: 'Berlin',
+      latitude: 52.5244,
+      longitude: 13.4105,
+      as_number: 64500,
+      geo_enriched: ['region', 'city', 'latitude', 'longitude', 'as_number'],
+    });
+    expect(alert.source).not.toHaveProperty('geo_enriched');
+    expect(stripAlertGeoEnrichment(enriched)).toEqual(alert);
+
+    const range = { ...alert, source: { range: '203.0.113.0/24', value: '203.0.113.0/24', scope: 'Range' } };
+    expect(enrichAlertRecord(range, lookup)).toBe(range);
+    const decision = { id: 7, value: '2001:db8::42', scope: 'Ip' };
+    expect(enrichDecisionRecord(decision, lookup)).toEqual({
+      ...decision,
+      country: 'NL',
+      region: 'North Holland',
+      city: 'Amsterdam',
+      as: 'Example IPv6 Hosting',
+      geo_enriched: ['country', 'region', 'city', 'as'],
+    });
+    expect(enrichDecisionRecord(decision, null)).toBe(decision);
+  });
+
+  test('enriches synced records and backfills the cache when the databases change', () => {
+    const dbPath = createDatabasePath();
+    let database = new CrowdsecDatabase({ dbPath });
+    insertAlert(database, 1, { ip: '203.0.113.7', value: '203.0.113.7', scope: 'Ip', cn: 'AT' });
+    insertDecision(database, 1, '198.51.100.9');
+    insertDecision(database, 2, '203.0.113.0/24', 'Range');
+    expect(database.backfillGeoIpEnrichment()).toEqual({ done: true, updated: 0 });
+    database.close();
+
+    const files = createGeoIpFiles();
+    database = new CrowdsecDatabase({ dbPath, geoIp: createGeoIpLookup(files) });
+    expect(runBackfill(database)).toBe(2);
+    expect(database.db.prepare('SELECT country, city, as_name, source_as_number, geo_enriched FROM alerts').get()).toEqual({
+      country: 'AT',
+      city: 'Berlin',
+      as_name: 'Example Transit',
+      source_as_number: '64500',
+      geo_enriched: 'region,city,latitude,longitude,as_name,as_number',
+    });
+    const [alert] = database.getAllAlerts().map((row) => JSON.parse(row.raw_data));
+    expect(alert.source).toMatchObject({ cn: 'AT', city: 'Berlin', geo_enriched: ['region', 'city', 'latitude', 'longitude', 'as_name', 'as_number'] });
+    expect(database.getDecisionById('1')).toMatchObject({ country: 'FR', country_name: 'France', geo_enriched: 'country,region,city' });
+    expect(database.getDecisionById('2')).toMatchObject({ country: null, geo_enriched: null });
+    expect(runBackfill(database)).toBe(0);
+
+    insertAlert(database, 2, { ip: '2001:db8::5', scope: 'Ip' });
+    expect(database.db.prepare('SELECT country, as_name, geo_enriched FROM alerts WHERE upstream_id = ?').get('2')).toEqual({
+      country: 'NL',
+      as_name: 'Example IPv6 Hosting',
+      geo_enriched: 'cn,region,city,latitude,longitude,as_name,as_number',
+    });
+    database.close();
+
+    database = new CrowdsecDatabase({ dbPath });
+    expect(runBackfill(database, 500)).toBe(3);
+    expect(database.db.prepare('SELECT country, city, as_name, geo_enriched FROM alerts ORDER BY id').all()).toEqual([
+      { country: 'AT', city: null, as_name: null, geo_enriched: null },
+      { country: null, city: null, as_name: null, geo_enriched: null },
+    ]);
+    expect(database.getDecisionById('1')).toMatchObject({ country: null, country_name: null, geo_enriched: null });
+    database.close();
+  });
+});
@@ -28,8 +28,25 @@ function fakeClient(name: string, options: { failAdd?: boolean } = {}) {
       if (options.failAdd) throw new Error(`${name} unavailable`);
       return { message: `${name} added` };
     }),
+    addDecisions: vi.fn(async () => {
+      if (options.failAdd) throw new Error(`${name} unavailable`);
+      return { message: `${name} imported` };
+    }),
+    addReplacementDecision: vi.fn(async () => {
+      if (options.failAdd) throw new Error(`${name} unavailable`);
+      return { message: `${name} replaced` };
+    }),
     deleteAlert: vi.fn(async () => ({ message: `${name} alert deleted` })),
     deleteDecision: vi.fn(async () => ({ message: `${name} decision deleted` })),
+    getAllowlists: vi.fn(async (): Promise<unknown> => [{ name: 'partners', description: `${name} partners`, items: [{ value: '192.0.2.10' }] }]),
+    createAllowlist: vi.fn(async () => {
+      if (options.failAdd) throw Object.assign(new Error('Method Not Allowed'), { status: 405 });
+      return { name: 'partners' };
+    }),
+    addPropagatedDecisions: vi.fn(async () => {
+      if (options.failAdd) throw new Error(`${name} unavailable`);
+      return { message: `${name} propagated` };
+    }),
   };
 }
 
@@ -74,6 +91,21 @@ function createMultiController(options: {
   return { controller, database, primary, secondary };
 }
 
+function seedManualDecision(database: CrowdsecDatabase, instanceId: string, id: number, value: string, origin = 'cscli') {
+  const createdAt = new Date().toISOString();
+  const stopAt = new Date(Date.now() + 3_600_000).toISOString();
+  database.insertDecision({
+    $id: String(id),
+    $instance_id: instanceId,
+    $uuid: `${instanceId}-decision-${id}`,
+    $alert_id: id,
+    $created_at: createdAt,
+    $stop_at: stopAt,
+    $value: value,
+    $record: { id, uuid: `${instanceId}-decision-${id}`, alert_id: id, created_at: createdAt, stop_at: stopAt, value, type: 'ban', origin, scenario: 'manual/web-ui', scope: 'Ip' },
+  });
+}
+
 describe('multi-instance API', () => {
   test('runs every historical sync through chunk windows with a global concurrency limit of two', async () => {
     const dir = mkdtempSync(path.join(tmpdir(), 'crowdsec-web-ui-multi-chunk-test-'));
@@ -593,6 +625,90 @@ describe('multi-instance API', () => {
     }
   });
 
+  test('lists allowlists from every instance and reports per-instance allowlist write failures', async () => {
+    const { controller, database, primary, secondary } = createMultiController({ secondaryAddFails: true });
+    try {
+      secondary.getAllowlists.mockRejectedValueOnce(new Error('secondary unavailable'));
+      const listResponse = await controller.fetch(new Request('http://localhost/api/allowlists'));
+      expect(listResponse.status).toBe(200);
+      expect(await listResponse.json()).toMatchObject({
+        allowlists: [{ instance_id: 'primary', name: 'partners', description: 'primary partners', items: [{ value: '192.0.2.10' }] }],
+        errors: [{ instance_id: 'secondary', success: false, error: 'secondary unavailable' }],
+      });
+
+      const scopedResponse = await controller.fetch(new Request('http://localhost/api/allowlists?instance=secondary'));
+      expect(await scopedResponse.json()).toMatchObject({ allowlists: [{ instance_id: 'secondary', instance_name: 'Secondary' }], errors: [] });
+      expect(primary.getAllowlists).toHaveBeenCalledTimes(1);
+
+      const createResponse = await controller.fetch(new Request('http://localhost/api/allowlists', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'partners', scope: 'all' }),
+      }));
+      expect(createResponse.status).toBe(207);
+      expect(await createResponse.json()).toMatchObject({ succeeded: 1, failed: 1, results: [
+        { instance_id: 'primary', success: true },
+        { instance_id: 'secondary', success: false, error: 'This CrowdSec LAPI does not support changing allowlists; use `cscli allowlists` instead' },
+      ] });
+    } finally {
+      controller.stopBackgroundTasks();
+      database.close();
+    }
+  });
+
+  test('previews and imports a blocklist per instance, skipping values already banned on a target', async () => {
+    const { controller, database, primary, secondary } = createMultiController({ secondaryAddFails: true });
+    const createdAt = new Date().toISOString();
+    const stopAt = new Date(Date.now() + 3_600_000).toISOString();
+    database.insertDecision({
+      $id: '9',
+      $instance_id: 'secondary',
+      $uuid: 'secondary-decision-uuid',
+      $alert_id: 7,
+      $created_at: createdAt,
+      $stop_at: stopAt,
+      $value: '1.2.3.4',
+      $record: { id: 9, uuid: 'secondary-decision-uuid', alert_id: 7, created_at: createdAt, stop_at: stopAt, value: '1.2.3.4', type: 'ban' },
+    });
+    const importBlocklist = (body: Record<string, unknown>) => controller.fetch(new Request('http://localhost/api/decisions/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ content: '1.2.3.4\n5.6.7.8\n', duration: '4h', type: 'ban', scope: 'all', ...body }),
+    }));
+    try {
+      const preview = await importBlocklist({ dry_run: true });
+      expect(preview.status).toBe(200);
+      expect(await preview.json()).toMatchObject({
+        counts: { valid: 2, invalid: 0, duplicate: 0, already_banned: 0 },
+        entries: [
+          { value: '1.2.3.4', status: 'valid', banned_on: ['secondary'] },
+          { value: '5.6.7.8', status: 'valid' },
+        ],
+      });
+      expect(primary.addDecisions).not.toHaveBeenCalled();
+
+      const onlySecondary = await importBlocklist({ dry_run: true, scope: 'instance', instance_id: 'secondary' });
+      expect((await onlySecondary.json() as any).entries[0]).toMatchObject({ value: '1.2.3.4', status: 'already_banned' });
+
+      const response = await importBlocklist({});
+      expect(response.status).toBe(207);
+      expect(await response.json()).toMatchObject({ succeeded: 1, failed: 1, results: [
+        { instance_id: 'primary', success: true, result: { imported: 2 } },
+        { instance_id: 'secondary', success: false, error: 'secondary unavailable' },
+      ] });
+      expect(primary.addDecisions).toHaveBeenCalledExactlyOnceWith(
+        [{ value: '1.2.3.4', scope: 'ip' }, { value: '5.6.7.8', scope: 'ip' }],
+        'ban',
+        '4h',
+        'blocklist import',
+      );
+      expect(secondary.addDecisions).toHaveBeenCalledExactlyOnceWith([{ value: '5.6.7.8', scope: 'ip' }], 'ban', '4h', 'blocklist import');
+    } finally {
+      controller.stopBackgroundTasks();
+      database.close();
+    }
+  });
+
   test('bulk row deletion routes colliding IDs only to their owning LAPIs', async () => {
     const { controller, database, primary, secondary } = createMultiController();
     try {
@@ -620,6 +736,58 @@ describe('multi-instance API', () => {
     }
   });
 
+  test('decision edits replace colliding IDs on their owning LAPIs and report per-instance failures', async () => {
+    const { controller, database, primary, secondary } = createMultiController({ secondaryAddFails: true });
+    const createdAt = new Date().toISOString();
+    const stopAt = new Date(Date.now() + 3_600_000).toISOString();
+    try {
+      for (const instanceId of ['primary', 'secondary']) {
+        database.insertDecision({
+          $id: '9',
+          $instance_id: instanceId,
+          $uuid: `${instanceId}-decision`,
+          $alert_id: 7,
+          $created_at: createdAt,
+          $stop_at: stopAt,
+          $value: '1.2.3.4',
+          $record: { id: 9, alert_id: 7, created_at: createdAt, stop_at: stopAt, value: '1.2.3.4', type: 'ban', origin: 'crowdsec', scenario: 'crowdsecurity/ssh-bf', scope: 'Ip' },
+        });
+      }
+
+      const response = await controller.fetch(new Request('http://localhost/api/decisions/edit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          refs: [{ instance_id: 'primary', id: 9 }, { instance_id: 'secondary', id: 9 }],
+          duration_mode: 'set',
+          duration: '7d',
+        }),
+      }));
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({
+        requested_decisions: 2,
+        updated_decisions: 1,
+        failed: [{ id: 'secondary:9', error: 'secondary unavailable' }],
+      });
+      expect(primary.addReplacementDecision).toHaveBeenCalledExactlyOnceWith('9', {
+        value: '1.2.3.4',
+        scope: 'Ip',
+        type: 'ban',
+        duration: '604800s',
+        scenario: 'crowdsecurity/ssh-bf',
+        origin: 'crowdsec',
+        simulated: false,
+        source: undefined,
+      });
+      expect(primary.deleteDecision).toHaveBeenCalledExactlyOnceWith('9');
+      expect(secondary.deleteDecision).not.toHaveBeenCalled();
+      expect(database.getDecisionInternalId('secondary', 9)).not.toBeNull();
+    } finally {
+      controller.stopBackgroundTasks();
+      database.close();
+    }
+  });
+
   test('Combined IP cleanup evaluates and deletes on every owning LAPI', async () => {
     const { controller, database, primary, secondary } = createMultiController();
     const alert = {
@@ -647,4 +815,86 @@ describe('multi-instance API', () => {
       database.close();
     }
   });
+
+  test('lists decision drift between instances and propagates values to the missing ones', async () => {
+    const { controller, database, primary, secondary } = createMultiController();
+    seedManualDecision(database, 'primary', 11, '1.2.3.4');
+    seedManualDecision(database, 'primary', 12, '5.6.7.8');
+    seedManualDecision(database, 'secondary', 12, '5.6.7.8');
+    seedManualDecision(database, 'secondary', 13, '9.9.9.9', 'CAPI');
+    try {
+      const driftResponse = await controller.fetch(new Request('http://localhost/api/decisions/drift'));
+      expect(driftResponse.status).toBe(200);
+      expect(await driftResponse.json()).toMatchObject({
+        instances: [{ id: 'primary', name: 'Primary' }, { id: 'secondary', name: 'Secondary' }],
+        origins: ['CAPI', 'cscli'],
+        total: 1,
+        items: [{ value: '1.2.3.4', present_on: [{ instance_id: 'primary', origin: 'cscli' }], missing_on: ['secondary'] }],
+      });
+
+      const capiResponse = await controller.fetch(new Request('http://localhost/api/decisions/drift?origin=CAPI'));
+      expect(await capiResponse.json()).toMatchObject({ total: 1, items: [{ value: '9.9.9.9', missing_on: ['primary'] }] });
+
+      const propagate = (body: unknown) => controller.fetch(new Request('http://localhost/api/decisions/drift/propagate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      }));
+      expect((await propagate({ values: [] })).status).toBe(400);
+
+      const response = await propagate({ values: ['1.2.3.4', '5.6.7.8'] });
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({
+        succeeded: 1,
+        failed: 0,
+        propagated: 1,
+        results: [{ instance_id: 'secondary', success: true, result: { propagated: 1 } }],
+      });
+      expect(primary.addPropagatedDecisions).not.toHaveBeenCalled();
+      expect(secondary.addPropagatedDecisions).toHaveBeenCalledExactlyOnceWith(
+        [expect.objectContaining({ value: '1.2.3.4', type: 'ban', duration: expect.stringMatching(/^\d+s$/) })],
+        'propagated to missing instances',
+      );
+    } finally {
+      controller.stopBackgroundTasks();
+      database.close();
+    }
+  });
+
+  test('mirrors new manual decisions to the selected instances once', async () => {
+    const { controller, database, primary, secondary } = createMultiController();
+    const updatePolicy = (body: unknown) => controller.fetch(new Request('http://localhost/api/decisions/mirror-policy', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    }));
+    seedManualDecision(database, 'primary', 10, '10.0.0.1');
+    try {
+      expect((await updatePolicy({ enabled: true, instance_ids: ['primary'] })).status).toBe(400);
+      expect((await updatePolicy({ enabled: true, instance_ids: ['primary', 'unknown'] })).status).toBe(400);
+
+      const enabled = await updatePolicy({ enabled: true, instance_ids: ['secondary', 'primary'] });
+      expect(enabled.status).toBe(200);
+      const policy = await enabled.json() as { enabled_at: string };
+      expect(policy).toMatchObject({ enabled: true, instance_ids: ['primary', 'secondary'] });
+      expect(await (await controller.fetch(new Request('http://localhost/api/decisions/mirror-policy'))).json()).toEqual(policy);
+
+      // Decisions that existed before the policy was enabled are left to manual propagation.
+      seedManualDecision(database, 'primary', 11, '10.0.0.2');
+      expect((await updatePolicy({ enabled: true, instance_ids: ['primary', 'secondary'] })).status).toBe(200);
+      await vi.waitFor(() => expect(database.listDecisionMirrorTargets('primary', '11')).toEqual(['secondary']));
+      expect(secondary.addPropagatedDecisions).toHaveBeenCalledExactlyOnceWith(
+        [expect.objectContaining({ value: '10.0.0.2' })],
+        'mirrored manual decision',
+      );
+      expect(primary.addPropagatedDecisions).not.toHaveBeenCalled();
+
+      expect((await updatePolicy({ enabled: true, instance_ids: ['primary', 'secondary'] })).status).toBe(200);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(secondary.addPropagatedDecisions).toHaveBeenCalledTimes(1);
+    } finally {
+      controller.stopBackgroundTasks();
+      database.close();
+    }
+  });
 });
@@ -0,0 +1,56 @@
+import { describe, expect, test } from 'vitest';
+import { isMetricsRequestAuthorized, renderPrometheusText } from '../../metrics-exporter';
+import { parsePrometheusText } from '../../metrics';
+
+describe('Web UI metrics exporter', () => {
+  test('renders families in the Prometheus text format with escaped labels', () => {
+    const text = renderPrometheusText([
+      {
+        name: 'crowdsec_web_ui_lapi_up',
+        help: 'Whether the LAPI connection is healthy.',
+        type: 'gauge',
+        samples: [
+          { labels: { instance_id: 'edge "1"' }, value: 1 },
+          { labels: { instance_id: 'back\\up' }, value: 0 },
+        ],
+      },
+      { name: 'crowdsec_web_ui_cache_last_update_timestamp_seconds', help: 'Last refresh.', type: 'gauge', samples: [] },
+      { name: 'crowdsec_web_ui_cache_initialized', help: 'Cache ready.', type: 'gauge', samples: [{ value: 1 }] },
+    ]);
+
+    expect(text).toBe([
+      '# HELP crowdsec_web_ui_lapi_up Whether the LAPI connection is healthy.',
+      '# TYPE crowdsec_web_ui_lapi_up gauge',
+      'crowdsec_web_ui_lapi_up{instance_id="edge \\"1\\""} 1',
+      'crowdsec_web_ui_lapi_up{instance_id="back\\\\up"} 0',
+      '# HELP crowdsec_web_ui_cache_last_update_timestamp_seconds Last refresh.',
+      '# TYPE crowdsec_web_ui_cache_last_update_timestamp_seconds gauge',
+      '# HELP crowdsec_web_ui_cache_initialized Cache ready.',
+      '# TYPE crowdsec_web_ui_cache_initialized gauge',
+      'crowdsec_web_ui_cache_initialized 1',
+      '',
+    ].join('\n'));
+    expect(parsePrometheusText(text)).toEqual([
+      { name: 'crowdsec_web_ui_lapi_up', labels: { instance_id: 'edge "1"' }, value: 1 },
+      { name: 'crowdsec_web_ui_lapi_up', labels: { instance_id: 'back\\up' }, value: 0 },
+      { name: 'crowdsec_web_ui_cache_initialized', labels: {}, value: 1 },
+    ]);
+  });
+
+  test('accepts only the configured bearer token or basic credentials', () => {
+    const bearer = { type: 'bearer', token: 'scrape-token' } as const;
+    expect(isMetricsRequestAuthorized('Bearer scrape-token', bearer)).toBe(true);
+    expect(isMetricsRequestAuthorized('bearer scrape-token', bearer)).toBe(true);
+    expect(isMetricsRequestAuthorized('Bearer other-token', bearer)).toBe(false);
+    expect(isMetricsRequestAuthorized(undefined, bearer)).toBe(false);
+
+    const basic = { type: 'basic', username: 'prometheus', password: 'p:ss' } as const;
+    const header = (value: string) => `Basic ${Buffer.from(value).toString('base64')}`;
+    expect(isMetricsRequestAuthorized(header('prometheus:p:ss'), basic)).toBe(true);
+    expect(isMetricsRequestAuthorized(header('prometheus:wrong'), basic)).toBe(false);
+    expect(isMetricsRequestAuthorized(header('grafana:p:ss'), basic)).toBe(false);
+    expect(isMetricsRequestAuthorized('Bearer p:ss', basic)).toBe(false);
+
+    expect(isMetricsRequestAuthorized('Bearer anything', { type: 'none' })).toBe(false);
+  });
+});
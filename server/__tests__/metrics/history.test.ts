@@ -0,0 +1,109 @@
+import { describe, expect, test } from 'vitest';
+import { buildMetricsHistoryPoints, toMetricsHistoryCounters, type MetricsHistoryCounters } from '../../metrics-history';
+import { parsePrometheusText, summarizeCrowdsecMetrics } from '../../metrics';
+
+function counters(overrides: Partial<MetricsHistoryCounters> = {}): MetricsHistoryCounters {
+  return {
+    linesRead: 0,
+    parsed: 0,
+    parseFailures: 0,
+    bucketPours: 0,
+    appsecRequests: 0,
+    appsecBlocked: 0,
+    bouncers: {},
+    lapiRoutes: {},
+    ...overrides,
+  };
+}
+
+describe('CrowdSec metrics history', () => {
+  test('stores cumulative counters from a metrics summary', () => {
+    const summary = summarizeCrowdsecMetrics(parsePrometheusText(`
+cs_filesource_hits_total{source="/var/log/auth.log"} 110
+cs_parser_hits_total{source="/var/log/auth.log",type="syslog"} 100
+cs_parser_hits_ko_total{source="/var/log/auth.log",type="syslog"} 5
+cs_bucket_poured_total{name="crowdsecurity/ssh-bf",source="/var/log/auth.log",type="syslog"} 40
+cs_lapi_bouncer_requests_total{bouncer="firewall",route="/v1/decisions",method="GET"} 12
+cs_lapi_request_duration_seconds_count{endpoint="/v1/alerts",method="GET"} 4
+cs_lapi_request_duration_seconds_sum{endpoint="/v1/alerts",method="GET"} 0.8
+cs_appsec_reqs_total{source="0.0.0.0:7422",appsec_engine="appsec"} 100
+cs_appsec_block_total{source="0.0.0.0:7422",appsec_engine="appsec"} 7
+`));
+
+    const result = toMetricsHistoryCounters(summary);
+
+    expect(result).toMatchObject({
+      linesRead: 210,
+      parsed: 100,
+      parseFailures: 5,
+      bucketPours: 40,
+      appsecRequests: 100,
+      appsecBlocked: 7,
+      bouncers: { firewall: 12 },
+    });
+    expect(result.lapiRoutes['GET /v1/alerts'].requests).toBe(4);
+    expect(result.lapiRoutes['GET /v1/alerts'].seconds).toBeCloseTo(0.8);
+  });
+
+  test('derives per-second rates and ratios from consecutive scrapes', () => {
+    const now = Date.parse('2026-06-30T10:30:30.000Z');
+    const points = buildMetricsHistoryPoints([
+      {
+        scrapedAt: '2026-06-30T10:28:00.000Z',
+        counters: counters({
+          linesRead: 1_000,
+          parsed: 900,
+          parseFailures: 10,
+          bucketPours: 50,
+          appsecRequests: 200,
+          appsecBlocked: 20,
+          bouncers: { firewall: 100 },
+          lapiRoutes: { 'GET /v1/decisions': { requests: 100, seconds: 10 } },
+        }),
+      },
+      {
+        scrapedAt: '2026-06-30T10:29:00.000Z',
+        counters: counters({
+          linesRead: 1_600,
+          parsed: 1_400,
+          parseFailures: 60,
+          bucketPours: 110,
+          appsecRequests: 300,
+          appsecBlocked: 45,
+          bouncers: { firewall: 160, nginx: 500 },
+          lapiRoutes: { 'GET /v1/decisions': { requests: 120, seconds: 14 } },
+        }),
+      },
+    ], '1h', now);
+
+    expect(points).toHaveLength(60);
+    expect(points[59].time).toBe('2026-06-30T10:30:00.000Z');
+    const point = points.find((candidate) => candidate.time === '2026-06-30T10:29:00.000Z');
+    expect(point).toMatchObject({
+      linesPerSecond: 10,
+      parseFailureRate: 0.1,
+      bucketPoursPerSecond: 1,
+      appsecBlockRate: 0.25,
+      bouncerRequestsPerSecond: { firewall: 1 },
+    });
+    expect(point?.lapiRouteLatencySeconds['GET /v1/decisions']).toBeCloseTo(0.2);
+    expect(points[59]).toMatchObject({
+      linesPerSecond: null,
+      parseFailureRate: null,
+      bouncerRequestsPerSecond: {},
+    });
+  });
+
+  test('treats decreasing counters as a CrowdSec restart', () => {
+    const now = Date.parse('2026-06-30T10:30:30.000Z');
+    const points = buildMetricsHistoryPoints([
+      { scrapedAt: '2026-06-30T10:29:00.000Z', counters: counters({ linesRead: 5_000, bouncers: { firewall: 900 } }) },
+      { scrapedAt: '2026-06-30T10:30:00.000Z', counters: counters({ linesRead: 120, bouncers: { firewall: 60 } }) },
+    ], '1h', now);
+
+    expect(points[59]).toMatchObject({
+      linesPerSecond: 2,
+      bouncerRequestsPerSecond: { firewall: 1 },
+    });
+  });
+});
@@ -46,6 +46,8 @@ cs_parsing_time_seconds_sum{source="/var/log/auth.log",type="syslog"} 0.25
       parserKo: 5,
       parserSuccessRate: 0.95,
       parserAverageSeconds: 0.0025,
+      linesRead: 210,
+      bucketPoured: 40,
       whitelistHits: 12,
       whitelisted: 3,
     });
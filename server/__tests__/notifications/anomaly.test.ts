@@ -0,0 +1,240 @@
+import { describe, expect, test } from 'vitest';
+import type { AlertRecord } from '../../../shared/contracts';
+import { parseLookbackToMs } from '../../config';
+import { createAlert, createService, insertAlert } from './harness';
+
+const WEEK_MS = 7 * 24 * 60 * 60_000;
+const NOW = new Date('2026-04-20T12:00:00.000Z');
+const DEFAULT_LOOKBACK_MS = parseLookbackToMs(undefined);
+
+function at(offsetMs: number): string {
+  return new Date(NOW.getTime() - offsetMs).toISOString();
+}
+
+function insertCountryAlerts(
+  database: ReturnType<typeof createService>['database'],
+  firstId: number,
+  count: number,
+  country: string,
+  createdAt: string,
+  overrides: Partial<AlertRecord> = {},
+): number {
+  for (let index = 0; index < count; index += 1) {
+    const ip = `198.51.100.${firstId + index}`;
+    insertAlert(database, createAlert(firstId + index, createdAt, { source: { ip, value: ip, cn: country }, ...overrides }));
+  }
+  return firstId + count;
+}
+
+describe('notification anomaly rules', () => {
+  test('compares each value with the same hour of week and reports values seen for the first time', async () => {
+    const { database, service } = createService();
+    await service.createRule({
+      name: 'Country watch',
+      type: 'alert-anomaly',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { dimension: 'country', window_minutes: 60, baseline_weeks: 4, sensitivity: 3, minimum_alerts: 5, notify_new_values: true },
+    });
+
+    let nextId = 1;
+    for (let week = 1; week <= 3; week += 1) {
+      nextId = insertCountryAlerts(database, nextId, 2, 'DE', at(week * WEEK_MS + 30 * 60_000));
+    }
+    nextId = insertCountryAlerts(database, nextId, 1, 'DE', at(3 * WEEK_MS + 2 * 60 * 60_000));
+    // Known from earlier in the baseline, but never at this hour.
+    nextId = insertCountryAlerts(database, nextId, 1, 'US', at(WEEK_MS + 3 * 60 * 60_000));
+
+    nextId = insertCountryAlerts(database, nextId, 6, 'DE', at(20 * 60_000));
+    nextId = insertCountryAlerts(database, nextId, 6, 'US', at(15 * 60_000));
+    nextId = insertCountryAlerts(database, nextId, 5, 'CN', at(10 * 60_000));
+    insertCountryAlerts(database, nextId, 5, 'FR', at(10 * 60_000), { simulated: true });
+
+    await service.evaluateRules(NOW);
+
+    const notifications = service.listNotifications().data;
+    expect(notifications).toHaveLength(2);
+    const us = notifications.find((item) => item.metadata.value === 'US');
+    const cn = notifications.find((item) => item.metadata.value === 'CN');
+    expect(us).toEqual(expect.objectContaining({
+      title: 'Country watch: unusual activity for country United States (US)',
+      message: '6 alerts for country United States (US) in the last 60 minutes, expected 0–3 from the same time in the previous 3 week(s).',
+      metadata: expect.objectContaining({
+        dimension: 'country',
+        first_seen: false,
+        observed_count: 6,
+        expected_min: 0,
+        expected_max: 3,
+        baseline_weeks: 3,
+      }),
+    }));
+    expect(cn).toEqual(expect.objectContaining({
+      message: 'First alerts for country China (CN) in 3 week(s): 5 in the last 60 minutes, expected 0.',
+      metadata: expect.objectContaining({ first_seen: true, observed_count: 5 }),
+    }));
+
+    database.close();
+  });
+
+  test('keeps learning from the statistics rollups after cleanup removes alerts past the lookback', async () => {
+    const { database, service } = createService({ alertRetentionMs: DEFAULT_LOOKBACK_MS });
+    await service.createRule({
+      name: 'Country watch',
+      type: 'alert-anomaly',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { dimension: 'country', window_minutes: 60, baseline_weeks: 4, sensitivity: 3, minimum_alerts: 5, notify_new_values: true },
+    });
+
+    let nextId = 1;
+    for (let week = 1; week <= 3; week += 1) {
+      nextId = insertCountryAlerts(database, nextId, 2, 'DE', at(week * WEEK_MS + 30 * 60_000));
+    }
+    nextId = insertCountryAlerts(database, nextId, 1, 'US', at(WEEK_MS + 3 * 60 * 60_000));
+    nextId = insertCountryAlerts(database, nextId, 6, 'DE', at(20 * 60_000));
+    nextId = insertCountryAlerts(database, nextId, 6, 'US', at(15 * 60_000));
+    insertCountryAlerts(database, nextId, 5, 'CN', at(10 * 60_000));
+
+    const removed = database.cleanupOldData(at(DEFAULT_LOOKBACK_MS), at(90 * 24 * 60 * 60_000));
+    expect(removed.alerts).toBe(7);
+    await service.evaluateRules(NOW);
+
+    const notifications = service.listNotifications().data;
+    expect(notifications.map((item) => [item.metadata.value, item.metadata.first_seen])).toEqual(expect.arrayContaining([
+      ['US', false],
+      ['CN', true],
+    ]));
+    expect(notifications).toHaveLength(2);
+    expect(notifications.find((item) => item.metadata.value === 'US')?.metadata).toEqual(expect.objectContaining({
+      observed_count: 6,
+      expected_min: 0,
+      expected_max: 3,
+      baseline_weeks: 3,
+    }));
+
+    database.close();
+  });
+
+  test('keys the AS dimension by AS number and labels it with the AS name', async () => {
+    const { database, service } = createService();
+    await service.createRule({
+      name: 'AS watch',
+      type: 'alert-anomaly',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { dimension: 'as', window_minutes: 60, baseline_weeks: 1, sensitivity: 3, minimum_alerts: 5, notify_new_values: true },
+    });
+
+    insertAlert(database, createAlert(1, at(WEEK_MS + 2 * 60 * 60_000)));
+    let nextId = 2;
+    for (const [asNumber, asName] of [['64500', 'Example Hosting'], ['64501', 'Example Hosting'], ['64502', undefined]]) {
+      for (let index = 0; index < 5; index += 1) {
+        const ip = `203.0.113.${nextId}`;
+        insertAlert(database, createAlert(nextId, at(10 * 60_000), { source: { ip, value: ip, as_number: asNumber, as_name: asName } }));
+        nextId += 1;
+      }
+    }
+    await service.evaluateRules(NOW);
+
+    const notifications = service.listNotifications().data;
+    expect(notifications.map((item) => item.metadata.value).sort()).toEqual(['64500', '64501', '64502']);
+    expect(notifications.find((item) => item.metadata.value === '64501')?.title).toContain('Example Hosting (64501)');
+
+    database.close();
+  });
+
+  test('rejects baselines the cached alerts cannot cover when the rollups do not apply', async () => {
+    const { database, service } = createService({ alertRetentionMs: DEFAULT_LOOKBACK_MS });
+    const rule = {
+      name: 'Target watch',
+      type: 'alert-anomaly' as const,
+      enabled: true,
+      severity: 'warning' as const,
+      channel_ids: [],
+    };
+    const config = { window_minutes: 60, baseline_weeks: 1, sensitivity: 3, minimum_alerts: 5, notify_new_values: true };
+
+    await expect(service.createRule({ ...rule, config: { ...config, dimension: 'target' } }))
+      .rejects.toThrow('the sync lookback (168h) must cover 1 week(s) plus the 60-minute window');
+    await expect(service.createRule({ ...rule, config: { ...config, dimension: 'as' } }))
+      .rejects.toThrow('learn only from cached alerts');
+    await expect(service.createRule({ ...rule, config: { ...config, dimension: 'country', filters: { target: 'nginx' } } }))
+      .rejects.toThrow('learn only from cached alerts');
+    await expect(service.createRule({ ...rule, config: { ...config, dimension: 'country', filters: { scenario: 'ssh' } } }))
+      .resolves.toEqual(expect.objectContaining({ name: 'Target watch' }));
+
+    const longLookback = createService({ alertRetentionMs: 5 * WEEK_MS });
+    await expect(longLookback.service.createRule({ ...rule, config: { ...config, dimension: 'target', baseline_weeks: 4 } }))
+      .resolves.toEqual(expect.objectContaining({ name: 'Target watch' }));
+
+    longLookback.database.close();
+    database.close();
+  });
+
+  test('waits for a full week of alert history before learning a baseline', async () => {
+    const { database, service } = createService();
+    await service.createRule({
+      name: 'Scenario watch',
+      type: 'alert-anomaly',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { dimension: 'scenario', window_minutes: 60, baseline_weeks: 4, sensitivity: 3, minimum_alerts: 1, notify_new_values: true },
+    });
+
+    const day = 24 * 60 * 60_000;
+    insertAlert(database, createAlert(1, at(6.5 * day)));
+    insertAlert(database, createAlert(2, at(10 * 60_000), { scenario: 'crowdsecurity/http-bad-user-agent' }));
+    await service.evaluateRules(NOW);
+    expect(service.listNotifications().data).toHaveLength(0);
+
+    insertAlert(database, createAlert(3, at(10 * 60_000 - day), { scenario: 'crowdsecurity/http-probing' }));
+    await service.evaluateRules(new Date(NOW.getTime() + day));
+    expect(service.listNotifications().data).toEqual([
+      expect.objectContaining({
+        title: 'Scenario watch: unusual activity for scenario crowdsecurity/http-probing',
+        metadata: expect.objectContaining({ dimension: 'scenario', first_seen: true, baseline_weeks: 1 }),
+      }),
+    ]);
+
+    database.close();
+  });
+
+  test('rejects windows and baselines beyond the supported range', async () => {
+    const { database, service } = createService();
+    const rule = {
+      name: 'Too wide',
+      type: 'alert-anomaly' as const,
+      enabled: true,
+      severity: 'warning' as const,
+      channel_ids: [],
+    };
+
+    await expect(service.createRule({
+      ...rule,
+      config: { dimension: 'as', window_minutes: 2_000, baseline_weeks: 4, sensitivity: 3, minimum_alerts: 5, notify_new_values: true },
+    })).rejects.toThrow('Anomaly windows are limited to 1440 minutes');
+    await expect(service.createRule({
+      ...rule,
+      config: { dimension: 'as', window_minutes: 60, baseline_weeks: 13, sensitivity: 3, minimum_alerts: 5, notify_new_values: true },
+    })).rejects.toThrow('Anomaly baselines are limited to 12 weeks');
+
+    const created = await service.createRule({
+      ...rule,
+      config: { dimension: 'unknown', window_minutes: 60, baseline_weeks: 4 } as never,
+    });
+    expect(created.config).toEqual({
+      dimension: 'country',
+      window_minutes: 60,
+      baseline_weeks: 4,
+      sensitivity: 3,
+      minimum_alerts: 5,
+      notify_new_values: true,
+    });
+
+    database.close();
+  });
+});
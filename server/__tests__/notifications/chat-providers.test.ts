@@ -0,0 +1,206 @@
+import { afterEach, beforeEach, describe, expect, test } from 'vitest';
+import { createServer, type Server } from 'http';
+import type { AddressInfo } from 'net';
+import type { NotificationChannel } from '../../../shared/contracts';
+import {
+  getNotificationProvider,
+  STORED_SECRET_SENTINEL,
+  type NotificationProviderContext,
+  type NotificationProviderPayload,
+} from '../../notifications/providers';
+
+interface StubRequest {
+  method: string;
+  path: string;
+  headers: Record<string, string | string[] | undefined>;
+  body: Record<string, unknown>;
+}
+
+const payload: NotificationProviderPayload = {
+  title: 'SSH watch: new alert',
+  message: 'Alert 42 <crowdsecurity/ssh-bf> from 203.0.113.7',
+  severity: 'critical',
+  metadata: {
+    event_type: 'alert',
+    alert_id: '42',
+    instance_id: 'edge',
+    instance_name: 'Edge',
+    source: '203.0.113.7',
+    country: 'DE',
+    scenario: 'crowdsecurity/ssh-bf',
+  },
+  sent_at: '2026-03-28T12:00:00.000Z',
+  channel_id: 'channel-1',
+  channel_name: 'Chat',
+  channel_type: 'slack',
+  rule_id: 'rule-1',
+  rule_name: 'SSH watch',
+  rule_type: 'new-alert-decision',
+};
+
+let server: Server;
+let baseUrl: string;
+let requests: StubRequest[];
+let responseStatus: number;
+const guardedUrls: string[] = [];
+
+const context: NotificationProviderContext = {
+  fetchImpl: fetch,
+  assertHostAllowed: async () => {},
+  assertUrlAllowed: async (value) => {
+    guardedUrls.push(value);
+  },
+};
+
+beforeEach(async () => {
+  requests = [];
+  responseStatus = 200;
+  guardedUrls.length = 0;
+  server = createServer((request, response) => {
+    let raw = '';
+    request.on('data', (chunk: Buffer) => {
+      raw += chunk.toString('utf8');
+    });
+    request.on('end', () => {
+      requests.push({ method: request.method || '', path: request.url || '', headers: request.headers, body: JSON.parse(raw || '{}') as Record<string, unknown> });
+      response.writeHead(responseStatus, { 'Content-Type': 'application/json' });
+      response.end(responseStatus < 400 ? '{"ok":true}' : '{"description":"chat not found"}');
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterEach(async () => {
+  await new Promise<void>((resolve) => server.close(() => resolve()));
+});
+
+function createChannel(type: NotificationChannel['type'], config: NotificationChannel['config']): NotificationChannel {
+  return {
+    id: 'channel-1',
+    name: 'Chat',
+    type,
+    enabled: true,
+    config,
+    configured_secrets: [],
+    quiet_hours: null,
+    digest: null,
+    created_at: '2026-03-28T12:00:00.000Z',
+    updated_at: '2026-03-28T12:00:00.000Z',
+  };
+}
+
+describe('chat notification providers', () => {
+  test('slack posts a severity-coloured attachment with record fields and an alert link', async () => {
+    const provider = getNotificationProvider('slack');
+    const config = { slackWebhookUrl: `${baseUrl}/services/T000/B000/secret`, linkBaseUrl: 'https://crowdsec.example.com/ui/' };
+    expect(provider.validateConfig(config)).toBeNull();
+
+    await provider.send(createChannel('slack', config), payload, context);
+
+    expect(guardedUrls).toEqual([config.slackWebhookUrl]);
+    expect(requests).toEqual([expect.objectContaining({ method: 'POST', path: '/services/T000/B000/secret' })]);
+    expect(requests[0].body).toEqual({
+      text: 'SSH watch: new alert',
+      attachments: [expect.objectContaining({
+        color: '#dc2626',
+        title_link: 'https://crowdsec.example.com/ui/alerts?id=42&instance=edge',
+        text: 'Alert 42 &lt;crowdsecurity/ssh-bf&gt; from 203.0.113.7',
+        fields: [
+          { title: 'IP', value: '203.0.113.7', short: true },
+          { title: 'Country', value: 'DE', short: true },
+          { title: 'Scenario', value: 'crowdsecurity/ssh-bf', short: true },
+          { title: 'Instance', value: 'Edge', short: true },
+        ],
+      })],
+    });
+  });
+
+  test('discord posts an embed without pinging anyone', async () => {
+    const provider = getNotificationProvider('discord');
+    await provider.send(createChannel('discord', { discordWebhookUrl: `${baseUrl}/api/webhooks/1/token`, discordUsername: 'CrowdSec' }), { ...payload, severity: 'warning' }, context);
+
+    expect(requests[0].body).toEqual({
+      username: 'CrowdSec',
+      allowed_mentions: { parse: [] },
+      embeds: [expect.objectContaining({
+        title: 'SSH watch: new alert',
+        color: 0xd97706,
+        timestamp: '2026-03-28T12:00:00.000Z',
+        fields: expect.arrayContaining([{ name: 'Country', value: 'DE', inline: true }]),
+      })],
+    });
+    expect(requests[0].body.embeds).toEqual([expect.not.objectContaining({ url: expect.anything() })]);
+  });
+
+  test('teams posts an adaptive card with facts and an open action', async () => {
+    const provider = getNotificationProvider('teams');
+    await provider.send(createChannel('teams', { teamsWebhookUrl: `${baseUrl}/workflows/run`, linkBaseUrl: 'https://crowdsec.example.com' }), payload, context);
+
+    const card = (requests[0].body.attachments as Array<{ contentType: string; content: Record<string, unknown> }>)[0];
+    expect(card.contentType).toBe('application/vnd.microsoft.card.adaptive');
+    expect(card.content.body).toEqual([
+      expect.objectContaining({ type: 'TextBlock', text: 'SSH watch: new alert', color: 'Attention' }),
+      expect.objectContaining({ type: 'TextBlock', text: payload.message }),
+      { type: 'FactSet', facts: expect.arrayContaining([{ title: 'IP', value: '203.0.113.7' }]) },
+    ]);
+    expect(card.content.actions).toEqual([{ type: 'Action.OpenUrl', title: 'Open alert', url: 'https://crowdsec.example.com/alerts?id=42&instance=edge' }]);
+  });
+
+  test('telegram sends escaped HTML to the bot API and surfaces API errors', async () => {
+    const provider = getNotificationProvider('telegram');
+    const channel = createChannel('telegram', { telegramApiUrl: baseUrl, telegramBotToken: '123:abc', telegramChatId: '-100200' });
+    await provider.send(channel, payload, context);
+
+    expect(requests[0].path).toBe('/bot123:abc/sendMessage');
+    expect(requests[0].body).toEqual(expect.objectContaining({ chat_id: '-100200', parse_mode: 'HTML' }));
+    expect(String(requests[0].body.text).split('\n')).toEqual([
+      '🔴 <b>SSH watch: new alert</b>',
+      'Alert 42 &lt;crowdsecurity/ssh-bf&gt; from 203.0.113.7',
+      '',
+      '<b>IP:</b> 203.0.113.7',
+      '<b>Country:</b> DE',
+      '<b>Scenario:</b> crowdsecurity/ssh-bf',
+      '<b>Instance:</b> Edge',
+    ]);
+
+    responseStatus = 400;
+    await expect(provider.send(channel, payload, context)).rejects.toThrow('Telegram request failed with status 400: {"description":"chat not found"}');
+  });
+
+  test('matrix sends an authenticated formatted room message', async () => {
+    const provider = getNotificationProvider('matrix');
+    const config = { matrixHomeserverUrl: `${baseUrl}/`, matrixAccessToken: 'syt_token', matrixRoomId: '!ops:example.org' };
+    expect(provider.validateConfig({ ...config, matrixRoomId: 'ops' })).toBe('Matrix room ID must look like !room:example.org');
+
+    await provider.send(createChannel('matrix', config), payload, context);
+
+    expect(requests[0].method).toBe('PUT');
+    expect(requests[0].path).toMatch(/^\/_matrix\/client\/v3\/rooms\/!ops%3Aexample\.org\/send\/m\.room\.message\/[0-9a-f-]{36}$/);
+    expect(requests[0].headers.authorization).toBe('Bearer syt_token');
+    expect(requests[0].body).toEqual(expect.objectContaining({
+      msgtype: 'm.text',
+      format: 'org.matrix.custom.html',
+      formatted_body: expect.stringContaining('<font data-mx-color="#dc2626">SSH watch: new alert</font>'),
+    }));
+  });
+
+  test('chat providers mask secrets and keep stored values on update', () => {
+    const cases: Array<[NotificationChannel['type'], string, string]> = [
+      ['slack', 'slackWebhookUrl', 'https://hooks.slack.com/services/secret'],
+      ['discord', 'discordWebhookUrl', 'https://discord.com/api/webhooks/1/secret'],
+      ['teams', 'teamsWebhookUrl', 'https://example.webhook.office.com/secret'],
+      ['telegram', 'telegramBotToken', '123:secret'],
+      ['matrix', 'matrixAccessToken', 'syt_secret'],
+    ];
+    for (const [type, field, secret] of cases) {
+      const provider = getNotificationProvider(type);
+      const stored = provider.normalizeConfig({ [field]: secret });
+      expect(provider.maskConfig(stored)[field]).toBe(STORED_SECRET_SENTINEL);
+      expect(provider.getConfiguredSecrets(stored)).toEqual([field]);
+      expect(provider.normalizeConfig({ [field]: STORED_SECRET_SENTINEL, linkBaseUrl: 'https://ui.example.com' }, stored)[field]).toBe(secret);
+    }
+    expect(getNotificationProvider('slack').validateConfig({ slackWebhookUrl: 'https://hooks.slack.com/x', linkBaseUrl: 'ftp://ui' }))
+      .toBe('Link base URL must use http or https');
+  });
+});
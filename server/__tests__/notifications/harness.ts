@@ -2,9 +2,10 @@ import { afterEach } from 'vitest';
 import { mkdtempSync, rmSync } from 'fs';
 import path from 'path';
 import { tmpdir } from 'os';
-import type { AlertDecision, AlertRecord, LapiStatus, UpdateCheckResponse } from '../../../shared/contracts';
+import type { AlertDecision, AlertRecord, DashboardStatsResponse, LapiStatus, UpdateCheckResponse } from '../../../shared/contracts';
 import { CrowdsecDatabase } from '../../database';
 import { createNotificationService } from '../../notifications';
+import type { ReportStatsQuery } from '../../notifications/report';
 import { createNotificationSecretStore } from '../../notifications/secret-store';
 
 const tempDirs: string[] = [];
@@ -38,8 +39,8 @@ export function insertDecision(database: CrowdsecDatabase, decision: AlertDecisi
   database.insertDecision({ $id: String(decision.id), $instance_id: typeof decision.instance_id === 'string' ? decision.instance_id : undefined, $uuid: String(decision.id), $alert_id: typeof decision.alert_id === 'string' || typeof decision.alert_id === 'number' ? decision.alert_id : 1, $created_at: String(decision.created_at || ''), $stop_at: String(decision.stop_at || ''), $value: typeof decision.value === 'string' ? decision.value : undefined, $type: typeof decision.type === 'string' ? decision.type : undefined, $origin: typeof decision.origin === 'string' ? decision.origin : undefined, $scenario: typeof decision.scenario === 'string' ? decision.scenario : undefined, $raw_data: JSON.stringify(decision) });
 }
 
-export function createService(options: { fetchImpl?: (input: string | URL | Request, init?: RequestInit) => Promise<Response>; updateChecker?: () => Promise<UpdateCheckResponse>; getLapiStatus?: () => LapiStatus; getLapiStatuses?: () => Array<{ instanceId: string; instanceName: string; status: LapiStatus }>; debugPayloads?: boolean; instanceAware?: boolean; instances?: Array<{ id: string; name: string }> } = {}) {
+export function createService(options: { fetchImpl?: (input: string | URL | Request, init?: RequestInit) => Promise<Response>; updateChecker?: () => Promise<UpdateCheckResponse>; getLapiStatus?: () => LapiStatus; getLapiStatuses?: () => Array<{ instanceId: string; instanceName: string; status: LapiStatus }>; debugPayloads?: boolean; instanceAware?: boolean; instances?: Array<{ id: string; name: string }>; buildReportStats?: (query: ReportStatsQuery) => Promise<DashboardStatsResponse>; alertRetentionMs?: number } = {}) {
   const database = createTestDatabase();
-  const service = createNotificationService({ database, fetchImpl: options.fetchImpl, updateChecker: options.updateChecker, getLapiStatus: options.getLapiStatus, getLapiStatuses: options.getLapiStatuses, outboundGuard: { assertHostAllowed: async () => {}, assertUrlAllowed: async () => {} }, secretStore: createNotificationSecretStore(), debugPayloads: options.debugPayloads, instanceAware: options.instanceAware, instances: options.instances });
+  const service = createNotificationService({ database, fetchImpl: options.fetchImpl, updateChecker: options.updateChecker, getLapiStatus: options.getLapiStatus, getLapiStatuses: options.getLapiStatuses, outboundGuard: { assertHostAllowed: async () => {}, assertUrlAllowed: async () => {} }, secretStore: createNotificationSecretStore(), debugPayloads: options.debugPayloads, instanceAware: options.instanceAware, instances: options.instances, buildReportStats: options.buildReportStats, alertRetentionMs: options.alertRetentionMs });
   return { database, service };
 }
@@ -24,6 +24,8 @@ function createChannel(type: NotificationChannel['type'], config: NotificationCh
     enabled: true,
     config,
     configured_secrets: [],
+    quiet_hours: null,
+    digest: null,
     created_at: '2026-03-28T12:00:00.000Z',
     updated_at: '2026-03-28T12:00:00.000Z',
   };
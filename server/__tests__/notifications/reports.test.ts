@@ -0,0 +1,292 @@
+import net from 'node:net';
+import type { AddressInfo } from 'node:net';
+import { afterEach, describe, expect, test, vi } from 'vitest';
+import type { DashboardStatListItem, DashboardStatsResponse } from '../../../shared/contracts';
+import {
+  getLatestReportRun,
+  getNextReportRun,
+  getReportPeriods,
+  getReportRangeDays,
+  normalizeReportScheduleInput,
+  renderReport,
+  summarizeReportStats,
+} from '../../notifications/report';
+import type { ReportStatsQuery } from '../../notifications/report';
+import { createService } from './harness';
+
+const servers: net.Server[] = [];
+
+afterEach(async () => {
+  vi.useRealTimers();
+  await Promise.all(servers.splice(0).map((server) => new Promise((resolve) => server.close(resolve))));
+});
+
+function createStats(overrides: {
+  alerts?: number;
+  simulatedAlerts?: number;
+  decisions?: number[];
+  countries?: DashboardStatListItem[];
+  scenarios?: DashboardStatListItem[];
+} = {}): DashboardStatsResponse {
+  const totals = { alerts: overrides.alerts ?? 0, decisions: 0, simulatedAlerts: overrides.simulatedAlerts ?? 0, simulatedDecisions: 0 };
+  const decisionsHistory = (overrides.decisions ?? []).map((count, index) => ({ date: `d${index}`, fullDate: `d${index}`, count }));
+  const countries = overrides.countries ?? [];
+  return {
+    totals,
+    filteredTotals: totals,
+    globalTotal: totals.alerts,
+    topTargets: [],
+    topCountries: countries,
+    allCountries: countries.map((country) => ({ label: country.label, count: country.count, countryCode: country.countryCode || country.label })),
+    attackLocations: [],
+    topScenarios: overrides.scenarios ?? [],
+    topAS: [],
+    series: {
+      alertsHistory: [],
+      simulatedAlertsHistory: [],
+      decisionsHistory,
+      simulatedDecisionsHistory: [],
+      activeDecisionsHistory: [],
+      activeSimulatedDecisionsHistory: [],
+      unfilteredAlertsHistory: [],
+      unfilteredSimulatedAlertsHistory: [],
+      unfilteredDecisionsHistory: [],
+      unfilteredSimulatedDecisionsHistory: [],
+    },
+  };
+}
+
+/** Minimal plain-text SMTP server that records the DATA section of every message it accepts. */
+async function startSmtpCapture(): Promise<{ port: number; messages: string[] }> {
+  const messages: string[] = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost ready\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          messages.push(buffer.slice(0, end));
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 queued\r\n');
+          continue;
+        }
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd === -1) return;
+        const command = buffer.slice(0, lineEnd).toUpperCase();
+        buffer = buffer.slice(lineEnd + 2);
+        if (command.startsWith('DATA')) {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (command.startsWith('QUIT')) {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+  servers.push(server);
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { port: (server.address() as AddressInfo).port, messages };
+}
+
+function decodeBase64Part(message: string, contentType: string): string {
+  const part = message.split(/\r\n--[^\r\n]+\r\n/).find((entry) => entry.includes(`Content-Type: ${contentType}`));
+  const body = part?.split('\r\n\r\n')[1] || '';
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+describe('scheduled report helpers', () => {
+  test('validates the schedule and falls back to the default time zone', () => {
+    expect(normalizeReportScheduleInput({ frequency: 'weekly', send_time: '08:00' }, 'Europe/Berlin')).toEqual({
+      frequency: 'weekly',
+      send_time: '08:00',
+      time_zone: 'Europe/Berlin',
+    });
+    expect(() => normalizeReportScheduleInput({ frequency: 'hourly', send_time: '08:00' }, 'UTC')).toThrow('Report frequency must be one of');
+    expect(() => normalizeReportScheduleInput({ frequency: 'daily', send_time: '8:00' }, 'UTC')).toThrow('HH:MM');
+    expect(() => normalizeReportScheduleInput({ frequency: 'daily', send_time: '08:00', time_zone: 'Mars/Olympus' }, 'UTC')).toThrow('Invalid report time zone');
+  });
+
+  test('schedules runs on the report wall clock and reports the previous complete period', () => {
+    const weekly = { frequency: 'weekly' as const, send_time: '08:00', time_zone: 'Europe/Berlin' };
+    // Monday 2026-03-30, the day after the switch to summer time.
+    const mondayRun = getLatestReportRun(weekly, new Date('2026-03-30T07:00:00.000Z'));
+    expect(mondayRun.toISOString()).toBe('2026-03-30T06:00:00.000Z');
+    expect(getLatestReportRun(weekly, new Date('2026-03-30T05:59:00.000Z')).toISOString()).toBe('2026-03-23T07:00:00.000Z');
+    expect(getNextReportRun(weekly, new Date('2026-03-30T06:00:00.000Z')).toISOString()).toBe('2026-04-06T06:00:00.000Z');
+    expect(getReportPeriods(weekly, mondayRun)).toEqual({
+      current: { start: '2026-03-23', end: '2026-03-29' },
+      previous: { start: '2026-03-16', end: '2026-03-22' },
+    });
+
+    const monthly = { frequency: 'monthly' as const, send_time: '08:00', time_zone: 'Europe/Berlin' };
+    const monthlyRun = getLatestReportRun(monthly, new Date('2026-03-15T12:00:00.000Z'));
+    expect(monthlyRun.toISOString()).toBe('2026-03-01T07:00:00.000Z');
+    expect(getReportPeriods(monthly, monthlyRun)).toEqual({
+      current: { start: '2026-02-01', end: '2026-02-28' },
+      previous: { start: '2026-01-01', end: '2026-01-31' },
+    });
+
+    const daily = { frequency: 'daily' as const, send_time: '23:30', time_zone: 'America/New_York' };
+    const dailyRun = getLatestReportRun(daily, new Date('2026-03-28T02:00:00.000Z'));
+    expect(dailyRun.toISOString()).toBe('2026-03-27T03:30:00.000Z');
+    expect(getReportPeriods(daily, dailyRun)).toEqual({
+      current: { start: '2026-03-25', end: '2026-03-25' },
+      previous: { start: '2026-03-24', end: '2026-03-24' },
+    });
+    expect(getReportRangeDays({ start: '2026-03-25', end: '2026-03-25' }, new Date('2026-03-28T02:00:00.000Z'), 'America/New_York')).toBe(3);
+  });
+
+  test('compares periods and renders text, HTML and CSV', () => {
+    const summary = summarizeReportStats(
+      createStats({
+        alerts: 12,
+        simulatedAlerts: 2,
+        decisions: [3, 4],
+        countries: [{ label: 'Germany', countryCode: 'DE', count: 6 }, { label: 'France', countryCode: 'FR', count: 4 }],
+        scenarios: [{ label: 'crowdsecurity/ssh-bf', count: 8 }, { label: 'crowdsecurity/http-probing', count: 2 }],
+      }),
+      createStats({
+        alerts: 5,
+        decisions: [7],
+        countries: [{ label: 'Germany', countryCode: 'DE', count: 5 }],
+        scenarios: [{ label: 'crowdsecurity/ssh-bf', count: 5 }],
+      }),
+    );
+
+    expect(summary.metrics).toEqual([
+      { key: 'alerts', current: 10, previous: 5 },
+      { key: 'decisions', current: 7, previous: 7 },
+      { key: 'simulatedAlerts', current: 2, previous: 0 },
+      { key: 'simulatedDecisions', current: 0, previous: 0 },
+    ]);
+    expect(summary.sections[0].rows).toEqual([
+      { label: 'Germany', count: 6, previous: 5 },
+      { label: 'France', count: 4, previous: 0 },
+    ]);
+    expect(summary.sections[1].rows).toEqual([
+      { label: 'crowdsecurity/ssh-bf', count: 8, previous: 5 },
+      { label: 'crowdsecurity/http-probing', count: 2, previous: null },
+    ]);
+
+    const rendered = renderReport({
+      name: 'Weekly <ops>',
+      scope: 'All instances',
+      timeZone: 'Europe/Berlin',
+      period: { start: '2026-03-23', end: '2026-03-29' },
+      previousPeriod: { start: '2026-03-16', end: '2026-03-22' },
+      generatedAt: '2026-03-30 08:00',
+      ...summary,
+    }, (key, params) => `${key}${params ? JSON.stringify(params) : ''}`);
+
+    expect(rendered.subject).toContain('"period":"2026-03-23 – 2026-03-29"');
+    expect(rendered.text).toContain('- crowdsecurity/ssh-bf: 8 (+3 (+60%))');
+    expect(rendered.text).toContain('- France: 4 (server.reports.new)');
+    expect(rendered.text).not.toContain('server.reports.metrics.simulatedDecisions');
+    expect(rendered.html).toContain('<h1 style="margin:0 0 8px;font-size:20px;">Weekly &lt;ops&gt;</h1>');
+    expect(rendered.filename).toBe('crowdsec-report-2026-03-23_2026-03-29.csv');
+    expect(rendered.csv.split('\r\n')).toEqual(expect.arrayContaining([
+      'section,name,current,previous,change',
+      'totals,alerts,10,5,5',
+      'countries,France,4,0,4',
+      'scenarios,crowdsecurity/http-probing,2,,',
+    ]));
+  });
+});
+
+describe('scheduled report delivery', () => {
+  test('emails the report with an HTML body and CSV attachment and records the result', async () => {
+    const smtp = await startSmtpCapture();
+    const queries: ReportStatsQuery[] = [];
+    const { service } = createService({
+      instances: [{ id: 'edge', name: 'Edge' }],
+      buildReportStats: async (query) => {
+        queries.push(query);
+        return createStats(queries.length === 1 ? { alerts: 4, decisions: [2] } : { alerts: 2, decisions: [1] });
+      },
+    });
+    const channel = await service.createChannel({
+      name: 'Ops mail',
+      type: 'email',
+      enabled: true,
+      config: { smtpHost: '127.0.0.1', smtpPort: smtp.port, smtpTlsMode: 'plain', smtpFrom: 'crowdsec@example.com', emailTo: 'ops@example.com' },
+    });
+    const report = await service.createReport({
+      name: 'Edge weekly',
+      enabled: true,
+      frequency: 'weekly',
+      send_time: '08:00',
+      time_zone: 'UTC',
+      instance_id: 'edge',
+      channel_ids: [channel.id],
+    });
+
+    const sent = await service.sendReport(report.id, new Date('2026-03-31T12:00:00.000Z'));
+
+    expect(queries).toEqual([
+      { instanceId: 'edge', dateStart: '2026-03-23', dateEnd: '2026-03-29', timeZone: 'UTC' },
+      { instanceId: 'edge', dateStart: '2026-03-16', dateEnd: '2026-03-22', timeZone: 'UTC' },
+    ]);
+    expect(sent.last_sent_at).not.toBeNull();
+    expect(sent.last_error).toBeNull();
+    expect(smtp.messages).toHaveLength(1);
+    const [message] = smtp.messages;
+    expect(message).toContain('Subject: [CrowdSec]: CrowdSec report: Edge weekly (2026-03-23 – 2026-03-29)');
+    expect(message).toContain('Content-Type: multipart/mixed;');
+    expect(decodeBase64Part(message, 'text/html')).toContain('Scope: Edge');
+    expect(message).toContain('filename="crowdsec-report-2026-03-23_2026-03-29.csv"');
+    expect(decodeBase64Part(message, 'text/csv')).toContain('totals,alerts,4,2,2');
+    expect(service.listNotifications().data).toEqual([]);
+  });
+
+  test('sends due reports once per run and keeps failures on the report', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-03-28T12:00:00.000Z'));
+    const smtp = await startSmtpCapture();
+    const { service } = createService({ buildReportStats: async () => createStats() });
+    const channel = await service.createChannel({
+      name: 'Ops mail',
+      type: 'email',
+      enabled: true,
+      config: { smtpHost: '127.0.0.1', smtpPort: smtp.port, smtpTlsMode: 'plain', smtpFrom: 'crowdsec@example.com', emailTo: 'ops@example.com' },
+    });
+    const input = { name: 'Daily', enabled: true, frequency: 'daily' as const, send_time: '06:00', time_zone: 'UTC', channel_ids: [channel.id] };
+    const report = await service.createReport(input);
+    expect(report.next_run_at).toBe('2026-03-29T06:00:00.000Z');
+
+    vi.setSystemTime(new Date('2026-03-29T05:59:00.000Z'));
+    await service.sendDueReports();
+    expect(smtp.messages).toHaveLength(0);
+
+    vi.setSystemTime(new Date('2026-03-29T06:01:00.000Z'));
+    await service.sendDueReports();
+    vi.setSystemTime(new Date('2026-03-29T07:00:00.000Z'));
+    await service.sendDueReports();
+    expect(smtp.messages).toHaveLength(1);
+    expect(service.listSettings().reports[0]).toEqual(expect.objectContaining({ next_run_at: '2026-03-30T06:00:00.000Z', last_error: null }));
+
+    await service.updateChannel(channel.id, { name: 'Ops mail', type: 'email', enabled: false, config: {} });
+    vi.setSystemTime(new Date('2026-03-30T06:00:00.000Z'));
+    await service.sendDueReports();
+    expect(service.listSettings().reports[0].last_error).toBe('The report has no enabled email destination');
+    await expect(service.sendReport(report.id)).rejects.toThrow('The report has no enabled email destination');
+    expect(smtp.messages).toHaveLength(1);
+  });
+
+  test('rejects reports without email destinations or with unknown instances', async () => {
+    const { service } = createService({ instances: [{ id: 'edge', name: 'Edge' }] });
+    const ntfy = await service.createChannel({ name: 'Phone', type: 'ntfy', enabled: true, config: { ntfyUrl: 'https://ntfy.example.com', ntfyTopic: 'alerts' } });
+    const base = { name: 'Weekly', enabled: true, frequency: 'weekly' as const, send_time: '08:00' };
+
+    await expect(service.createReport({ ...base, channel_ids: [] })).rejects.toThrow();
+    await expect(service.createReport({ ...base, channel_ids: [ntfy.id] })).rejects.toThrow();
+    await expect(service.createReport({ ...base, instance_id: 'missing', channel_ids: [ntfy.id] })).rejects.toThrow();
+    expect(service.listSettings().reports).toEqual([]);
+  });
+});
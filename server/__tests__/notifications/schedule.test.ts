@@ -0,0 +1,152 @@
+import { describe, expect, test } from 'vitest';
+import { createAlert, createService, insertAlert } from './harness';
+
+function createNtfyCapture() {
+  const titles: string[] = [];
+  const bodies: string[] = [];
+  const fetchImpl = async (_input: string | URL | Request, init?: RequestInit) => {
+    titles.push(decodeURIComponent(String((init?.headers as Record<string, string>).Title)));
+    bodies.push(String(init?.body || ''));
+    return new Response('ok');
+  };
+  return { titles, bodies, fetchImpl };
+}
+
+const NTFY_CONFIG = { ntfyUrl: 'https://ntfy.example.com', ntfyTopic: 'alerts' };
+const THRESHOLD_CONFIG = { window_minutes: 60, alert_threshold: 1, filters: {} };
+
+describe('notification delivery scheduling', () => {
+  test('rule quiet hours hold deliveries until the window ends', async () => {
+    const capture = createNtfyCapture();
+    const { database, service } = createService({ fetchImpl: capture.fetchImpl });
+    const channel = await service.createChannel({ name: 'Phone', type: 'ntfy', enabled: true, config: NTFY_CONFIG });
+    await service.createRule({
+      name: 'Night watch',
+      type: 'alert-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [channel.id],
+      config: THRESHOLD_CONFIG,
+      quiet_hours: { start: '22:00', end: '07:00', time_zone: 'Europe/Berlin' },
+    });
+
+    insertAlert(database, createAlert(1, '2026-03-28T21:55:00.000Z'));
+    await service.evaluateRules(new Date('2026-03-28T22:00:00.000Z'));
+
+    expect(capture.titles).toEqual([]);
+    expect(service.listNotifications().data[0].deliveries).toEqual([
+      expect.objectContaining({ channel_id: channel.id, status: 'queued' }),
+    ]);
+
+    // Berlin switches to UTC+2 overnight, so the window ends at 05:00 UTC.
+    await service.evaluateRules(new Date('2026-03-29T04:59:00.000Z'));
+    expect(capture.titles).toEqual([]);
+
+    await service.evaluateRules(new Date('2026-03-29T05:00:00.000Z'));
+    expect(capture.titles).toEqual([expect.stringContaining('Night watch')]);
+    expect(service.listNotifications().data[0].deliveries).toEqual([
+      expect.objectContaining({ channel_id: channel.id, status: 'delivered' }),
+    ]);
+    expect(database.listQueuedNotificationDeliveries()).toEqual([]);
+
+    database.close();
+  });
+
+  test('digest destinations batch held notifications into one summary', async () => {
+    const capture = createNtfyCapture();
+    const { database, service } = createService({ fetchImpl: capture.fetchImpl });
+    const channel = await service.createChannel({
+      name: 'Team digest',
+      type: 'ntfy',
+      enabled: true,
+      config: NTFY_CONFIG,
+      digest: { interval_minutes: 30 },
+    });
+    for (const name of ['SSH volume', 'HTTP volume']) {
+      await service.createRule({ name, type: 'alert-threshold', enabled: true, severity: 'warning', channel_ids: [channel.id], config: THRESHOLD_CONFIG });
+    }
+
+    insertAlert(database, createAlert(1, '2026-03-28T11:55:00.000Z'));
+    await service.evaluateRules(new Date('2026-03-28T12:00:00.000Z'));
+    await service.evaluateRules(new Date('2026-03-28T12:20:00.000Z'));
+    expect(capture.titles).toEqual([]);
+
+    await service.evaluateRules(new Date('2026-03-28T12:30:00.000Z'));
+    expect(capture.titles).toEqual(['CrowdSec: 2 notifications']);
+    expect(capture.bodies[0].split('\n')).toHaveLength(2);
+    expect(service.listNotifications().data.map((notification) => notification.deliveries[0].status)).toEqual(['delivered', 'delivered']);
+
+    await service.evaluateRules(new Date('2026-03-28T13:00:00.000Z'));
+    expect(capture.titles).toHaveLength(1);
+
+    database.close();
+  });
+
+  test('critical notifications escalate only while they stay unread', async () => {
+    const capture = createNtfyCapture();
+    const { database, service } = createService({ fetchImpl: capture.fetchImpl });
+    const primary = await service.createChannel({ name: 'Chat', type: 'ntfy', enabled: true, config: NTFY_CONFIG });
+    const pager = await service.createChannel({ name: 'Pager', type: 'ntfy', enabled: true, config: { ...NTFY_CONFIG, ntfyTopic: 'pager' } });
+    const rule = await service.createRule({
+      name: 'Critical volume',
+      type: 'alert-threshold',
+      enabled: true,
+      severity: 'critical',
+      channel_ids: [primary.id],
+      config: THRESHOLD_CONFIG,
+      escalation: { channel_id: pager.id, after_minutes: 15 },
+    });
+
+    insertAlert(database, createAlert(1, '2026-03-28T11:55:00.000Z'));
+    await service.evaluateRules(new Date('2026-03-28T12:00:00.000Z'));
+    await service.evaluateRules(new Date('2026-03-28T12:14:00.000Z'));
+    expect(capture.titles).toHaveLength(1);
+
+    await service.evaluateRules(new Date('2026-03-28T12:15:00.000Z'));
+    expect(capture.titles).toHaveLength(2);
+    expect(capture.titles[1]).toBe('CrowdSec: Escalated: Critical volume: threshold exceeded');
+    expect(capture.bodies[1]).toContain('15 minutes');
+    expect(service.listNotifications().data[0].deliveries).toEqual([
+      expect.objectContaining({ channel_id: primary.id, status: 'delivered' }),
+      expect.objectContaining({ channel_id: pager.id, status: 'delivered', escalation: true }),
+    ]);
+
+    await service.evaluateRules(new Date('2026-03-28T13:00:00.000Z'));
+    expect(capture.titles).toHaveLength(2);
+
+    insertAlert(database, createAlert(2, '2026-03-28T15:00:00.000Z'));
+    await service.evaluateRules(new Date('2026-03-28T15:01:00.000Z'));
+    const [latest] = service.listNotifications().data;
+    await service.markNotificationsRead([latest.id]);
+    await service.evaluateRules(new Date('2026-03-28T15:30:00.000Z'));
+    expect(capture.titles).toHaveLength(3);
+
+    await service.deleteChannel(pager.id);
+    expect(service.listSettings().rules.find((item) => item.id === rule.id)?.escalation).toBeNull();
+
+    database.close();
+  });
+
+  test('validates quiet hours, digest, and escalation input', async () => {
+    const { database, service } = createService();
+    const channel = await service.createChannel({ name: 'Phone', type: 'ntfy', enabled: true, config: NTFY_CONFIG });
+    const base = { name: 'Rule', type: 'alert-threshold' as const, enabled: true, severity: 'warning' as const, channel_ids: [channel.id], config: THRESHOLD_CONFIG };
+
+    await expect(service.createRule({ ...base, quiet_hours: { start: '25:00', end: '07:00', time_zone: 'UTC' } }))
+      .rejects.toThrow('Quiet hours need different HH:MM start and end times and a valid IANA time zone');
+    await expect(service.createRule({ ...base, quiet_hours: { start: '22:00', end: '07:00', time_zone: 'Mars/Olympus' } }))
+      .rejects.toThrow('valid IANA time zone');
+    await expect(service.createRule({ ...base, escalation: { channel_id: 'missing', after_minutes: 10 } }))
+      .rejects.toThrow('Unknown escalation destination: missing');
+    await expect(service.createRule({ ...base, escalation: { channel_id: channel.id, after_minutes: 0 } }))
+      .rejects.toThrow('Escalation needs a destination and a positive number of minutes');
+    await expect(service.updateChannel(channel.id, { name: 'Phone', type: 'ntfy', enabled: true, config: NTFY_CONFIG, digest: { interval_minutes: -5 } }))
+      .rejects.toThrow('Digest interval must be a positive number of minutes');
+
+    const rule = await service.createRule({ ...base, quiet_hours: { start: '22:00', end: '07:00', time_zone: 'Europe/Berlin' } });
+    const renamed = await service.updateRule(rule.id, { ...base, name: 'Renamed' });
+    expect(renamed.quiet_hours).toEqual({ start: '22:00', end: '07:00', time_zone: 'Europe/Berlin' });
+
+    database.close();
+  });
+});
@@ -89,6 +89,144 @@ describe('notification threshold incidents', () => {
     database.close();
   });
 
+  test('threshold rules only count alerts matching a saved search filter', async () => {
+    const { database, service } = createService();
+    database.insertSavedSearch({
+      id: 'ssh-from-de',
+      userId: null,
+      page: 'alerts',
+      name: 'SSH from DE',
+      query: 'scenario:ssh country:DE',
+      dateStart: null,
+      dateEnd: null,
+      instance: 'all',
+      columns: ['time', 'source'],
+      shared: true,
+    });
+    database.insertSavedSearch({
+      id: 'bans',
+      userId: null,
+      page: 'decisions',
+      name: 'Bans',
+      query: 'action:ban',
+      dateStart: null,
+      dateEnd: null,
+      instance: 'all',
+      columns: ['time', 'source'],
+      shared: true,
+    });
+
+    await expect(service.createRule({
+      name: 'Wrong page',
+      type: 'alert-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { window_minutes: 60, alert_threshold: 1, filters: { saved_search_id: 'bans' } },
+    })).rejects.toThrow('Saved search "Bans" filters decisions, but this rule watches alerts');
+    await expect(service.createRule({
+      name: 'Missing search',
+      type: 'alert-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { window_minutes: 60, alert_threshold: 1, filters: { saved_search_id: 'missing' } },
+    })).rejects.toThrow('Unknown saved search: missing');
+
+    const rule = await service.createRule({
+      name: 'German SSH',
+      type: 'alert-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { window_minutes: 60, alert_threshold: 2, filters: { saved_search_id: 'ssh-from-de' } },
+    });
+    expect(rule.config).toEqual(expect.objectContaining({
+      filters: expect.objectContaining({ saved_search_id: 'ssh-from-de' }),
+    }));
+
+    insertAlert(database, createAlert(1, '2026-03-28T11:50:00.000Z', { source: { ip: '1.2.3.4', value: '1.2.3.4', cn: 'DE' } }));
+    insertAlert(database, createAlert(2, '2026-03-28T11:52:00.000Z', { source: { ip: '5.6.7.8', value: '5.6.7.8', cn: 'FR' } }));
+    await service.evaluateRules(new Date('2026-03-28T12:00:00.000Z'));
+    expect(service.listNotifications().data).toHaveLength(0);
+
+    insertAlert(database, createAlert(3, '2026-03-28T11:55:00.000Z', { source: { ip: '9.9.9.9', value: '9.9.9.9', cn: 'DE' } }));
+    await service.evaluateRules(new Date('2026-03-28T12:01:00.000Z'));
+    expect(service.listNotifications().data).toEqual([
+      expect.objectContaining({
+        message: '2 alerts matched in the last 60 minutes, crossing the threshold of 2.',
+      }),
+    ]);
+
+    database.close();
+  });
+
+  test('search threshold rules count alerts or decisions matching a structured query', async () => {
+    const { database, service } = createService();
+
+    await expect(service.createRule({
+      name: 'Empty',
+      type: 'search-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { event_type: 'alert', query: '   ', window_minutes: 10, threshold: 2 },
+    })).rejects.toThrow('Search query is required');
+    await expect(service.createRule({
+      name: 'Broken',
+      type: 'search-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { event_type: 'decision', query: 'unknown:value', window_minutes: 10, threshold: 2 },
+    })).rejects.toThrow('Invalid search query at character 1: Unknown field `unknown`');
+
+    const alertRule = await service.createRule({
+      name: 'SSH from CN',
+      type: 'search-threshold',
+      enabled: true,
+      severity: 'warning',
+      channel_ids: [],
+      config: { event_type: 'alert', query: ' country:CN AND scenario:*ssh* AND -sim:true ', window_minutes: 10, threshold: 2 },
+    });
+    expect(alertRule.config).toEqual({ event_type: 'alert', query: 'country:CN AND scenario:*ssh* AND -sim:true', window_minutes: 10, threshold: 2 });
+    await service.createRule({
+      name: 'cscli bans',
+      type: 'search-threshold',
+      enabled: true,
+      severity: 'info',
+      channel_ids: [],
+      config: { event_type: 'decision', query: 'origin:cscli', window_minutes: 10, threshold: 1 },
+    });
+
+    insertAlert(database, createAlert(1, '2026-03-28T11:55:00.000Z', { source: { ip: '1.1.1.1', value: '1.1.1.1', cn: 'CN' } }));
+    insertAlert(database, createAlert(2, '2026-03-28T11:56:00.000Z', { source: { ip: '2.2.2.2', value: '2.2.2.2', cn: 'CN' }, simulated: true }));
+    insertAlert(database, createAlert(3, '2026-03-28T11:57:00.000Z', { source: { ip: '3.3.3.3', value: '3.3.3.3', cn: 'CN' }, scenario: 'crowdsecurity/http-probing' }));
+    insertAlert(database, createAlert(4, '2026-03-28T11:45:00.000Z', { source: { ip: '4.4.4.4', value: '4.4.4.4', cn: 'CN' } }));
+    insertDecision(database, createDecision('d-1', '2026-03-28T11:58:00.000Z'));
+    await service.evaluateRules(new Date('2026-03-28T12:00:00.000Z'));
+    expect(service.listNotifications().data).toHaveLength(0);
+
+    insertAlert(database, createAlert(5, '2026-03-28T11:59:00.000Z', { source: { ip: '5.5.5.5', value: '5.5.5.5', cn: 'CN' } }));
+    insertDecision(database, createDecision('d-2', '2026-03-28T11:59:30.000Z', { origin: 'cscli', value: '6.6.6.6' }));
+    await service.evaluateRules(new Date('2026-03-28T12:01:00.000Z'));
+    expect(service.listNotifications().data).toEqual(expect.arrayContaining([
+      expect.objectContaining({
+        title: 'SSH from CN: search threshold exceeded',
+        message: '2 alerts matched "country:CN AND scenario:*ssh* AND -sim:true" in the last 10 minutes, crossing the threshold of 2.',
+        metadata: expect.objectContaining({ event_type: 'alert', matched_count: 2, threshold: 2 }),
+      }),
+      expect.objectContaining({
+        message: '1 decisions matched "origin:cscli" in the last 10 minutes, crossing the threshold of 1.',
+      }),
+    ]));
+    expect(database.listNotificationIncidentsByRule(alertRule.id)).toEqual([
+      expect.objectContaining({ incident_key: 'search:active', resolved_at: null }),
+    ]);
+
+    database.close();
+  });
+
   test('uses the explicit server language for notification content', async () => {
     const { database, service } = createService();
     database.setMeta('language', 'de');
@@ -148,6 +148,16 @@ describe('shared search compiler', () => {
     expect(notExact.ok && notExact.predicate(baseAlert)).toBe(true);
   });
 
+  test('treats asterisks in broad field matches as wildcards', () => {
+    const surrounded = compileAlertSearch('scenario:*ssh*');
+    const ordered = compileAlertSearch('scenario:crowd*bf');
+    const reversed = compileAlertSearch('scenario:bf*crowd');
+
+    expect(surrounded.ok && surrounded.predicate(baseAlert)).toBe(true);
+    expect(ordered.ok && ordered.predicate(baseAlert)).toBe(true);
+    expect(reversed.ok && reversed.predicate(baseAlert)).toBe(false);
+  });
+
   test('matches empty alert fields with quoted empty values', () => {
     const emptyOrigin = compileAlertSearch('origin:""', { originEnabled: true });
     const nonEmptyOrigin = compileAlertSearch('origin<>""', { originEnabled: true });
@@ -201,6 +211,31 @@ describe('shared search compiler', () => {
     expect(nonEmptyOrigin.predicate(decisionWithoutOrigin)).toBe(false);
   });
 
+  test('matches local triage status, tags and notes', () => {
+    const annotation = {
+      status: 'false_positive' as const,
+      tags: ['scanner', 'customer:acme'],
+      notes: [{ id: 1, author: 'alice', body: 'Known pentest range', created_at: '2026-03-24T10:00:00.000Z' }],
+      updated_at: '2026-03-24T10:00:00.000Z',
+      updated_by: 'alice',
+    };
+    const annotatedAlert = { ...baseAlert, annotation };
+    const annotatedDecision = { ...baseDecision, annotation };
+
+    const alertSearch = compileAlertSearch('triage:"false positive" AND tag=scanner AND note:pentest');
+    const untriagedAlerts = compileAlertSearch('status:new AND tag:""');
+    const decisionSearch = compileDecisionSearch('triage:false_positive AND tags:customer');
+    expect(alertSearch.ok && untriagedAlerts.ok && decisionSearch.ok).toBe(true);
+    if (!alertSearch.ok || !untriagedAlerts.ok || !decisionSearch.ok) return;
+
+    expect(alertSearch.predicate(annotatedAlert)).toBe(true);
+    expect(alertSearch.predicate(baseAlert)).toBe(false);
+    expect(untriagedAlerts.predicate(baseAlert)).toBe(true);
+    expect(untriagedAlerts.predicate(annotatedAlert)).toBe(false);
+    expect(decisionSearch.predicate(annotatedDecision)).toBe(true);
+    expect(decisionSearch.predicate(baseDecision)).toBe(false);
+  });
+
   test('supports simulation inequality without broadening invalid values', () => {
     const liveAlerts = compileAlertSearch('sim<>simulated');
     expect(liveAlerts.ok).toBe(true);
@@ -572,6 +607,7 @@ describe('shared search compiler', () => {
       'country:(Germany OR "United States") AND -sim:simulated',
       'ip:1.2.3.4 AND target:ssh',
       'origin:""',
+      'status:new AND -tag:scanner',
     ]);
     expect(help.examples.every((example) => !/\bmachine\b/i.test(example.query))).toBe(true);
   });
@@ -587,6 +623,7 @@ describe('shared search compiler', () => {
       'country:(Germany OR "United States") AND -duplicate:true',
       'target:ssh AND sim:live',
       'origin:""',
+      'triage:false_positive OR note:customer',
     ]);
     expect(help.examples.every((example) => !/\bmachine\b/i.test(example.query))).toBe(true);
   });
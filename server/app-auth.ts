@@ -13,13 +13,24 @@ import {
 import { generateSecret, generateURI, verify } from 'otplib';
 import * as oidcClient from 'openid-client';
 import { parseOidcScope, parseOidcUnmatchedRole, type DashboardAuthConfig, type OidcUnmatchedRole } from './config';
-import { CrowdsecDatabase, type AuthUserRow, type OidcUserUpsertParams } from './database';
+import { CrowdsecDatabase, type ApiTokenRow, type AuthUserRow, type OidcUserUpsertParams } from './database';
 import type { DatabaseWrite } from './sync-worker-client';
+import type { AuditAction, AuditSummaryValue } from '../shared/contracts';
+import {
+  BackupError,
+  isSameBackupEntry,
+  withBackupEntry,
+  type BackupApplyOptions,
+  type BackupParticipant,
+  type BackupPasskey,
+  type BackupPayload,
+  type BackupUser,
+} from './backup';
 
 type HonoContext = any;
 type HonoNext = any;
 type Role = 'admin' | 'read-only';
-type AuthMethod = 'password' | 'passkey' | 'oidc';
+type AuthMethod = 'password' | 'passkey' | 'oidc' | 'token';
 type MutableAuthSettingKey =
   | 'disable_password_login'
   | 'oidc_issuer_url'
@@ -31,6 +42,13 @@ type MutableAuthSettingKey =
   | 'oidc_read_only_groups'
   | 'oidc_unmatched_role';
 
+/** Records a completed account, token or sign-in settings change for the acting session. */
+export type AuthAuditRecorder = (
+  context: HonoContext,
+  action: AuditAction,
+  summary: Record<string, AuditSummaryValue>,
+) => Promise<void>;
+
 interface EffectiveAuthConfig {
   oidcIssuerUrl?: string;
   oidcClientId?: string;
@@ -53,6 +71,7 @@ export interface SessionData {
   username: string;
   role: Role;
   authMethod?: AuthMethod;
+  tokenId?: number;
 }
 
 export interface DashboardAuth {
@@ -66,6 +85,9 @@ export interface DashboardAuth {
     can_manage_enforcement: boolean;
     can_manage_settings: boolean;
   };
+  /** Auth settings and accounts; passwords, TOTP seeds and the OIDC client secret only travel with secrets. */
+  exportBackup: (includeSecrets: boolean) => Pick<BackupPayload, 'settings' | 'users'>;
+  applyBackup: BackupParticipant['applyBackup'];
 }
 
 const SESSION_COOKIE = 'crowdsec_web_ui_session';
@@ -87,6 +109,22 @@ const PASSWORD_MAX_FAILURES = 10;
 const TOTP_MAX_FAILURES = 5;
 const MAX_AUTH_FAILURE_BUCKETS = 10_000;
 const MAX_CONCURRENT_PASSWORD_VERIFICATIONS = 8;
+const API_TOKEN_PREFIX = 'cswu_';
+const API_TOKEN_DISPLAY_LENGTH = API_TOKEN_PREFIX.length + 6;
+const API_TOKEN_DEFAULT_LIFETIME_DAYS = 90;
+const API_TOKEN_MAX_LIFETIME_DAYS = 3650;
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+const BACKUP_AUTH_SETTING_KEYS: Exclude<MutableAuthSettingKey, 'oidc_client_secret'>[] = [
+  'disable_password_login',
+  'oidc_issuer_url',
+  'oidc_client_id',
+  'oidc_scope',
+  'oidc_groups_claim',
+  'oidc_admin_groups',
+  'oidc_read_only_groups',
+  'oidc_unmatched_role',
+];
+const TOTP_SEED_PATTERN = /^[A-Z2-7]+=*$/i;
 
 interface AuthFailureBucket {
   failures: number;
@@ -153,6 +191,54 @@ function isOidcOnlyAccount(user: AuthUserRow | null): boolean {
   return Boolean(user && user.auth_provider === 'oidc' && !user.password_hash);
 }
 
+// Only bearer values carrying our prefix are API tokens. Other Authorization
+// headers, such as Basic credentials from a reverse proxy, fall through to the
+// session cookie.
+function readApiToken(context: Context): string | null {
+  const match = /^Bearer\s+(\S+)$/i.exec(context.req.header('authorization')?.trim() || '');
+  return match?.[1]?.startsWith(API_TOKEN_PREFIX) ? match[1] : null;
+}
+
+function hashApiToken(token: string): string {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+function serializeApiToken(token: ApiTokenRow) {
+  return {
+    id: token.id,
+    name: token.name,
+    prefix: token.token_prefix,
+    scope: token.scope,
+    createdAt: token.created_at,
+    expiresAt: token.expires_at,
+    lastUsedAt: token.last_used_at,
+  };
+}
+
+function serializeAuthUser(user: AuthUserRow, totpEnabled: boolean) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    authProvider: user.auth_provider,
+    hasPassword: Boolean(user.password_hash),
+    totpEnabled,
+    disabled: Boolean(user.disabled),
+    createdAt: user.created_at,
+    updatedAt: user.updated_at,
+  };
+}
+
+function parseApiTokenLifetime(value: unknown): { expiresAt: string | null } | null {
+  if (value === undefined) {
+    return { expiresAt: new Date(Date.now() + API_TOKEN_DEFAULT_LIFETIME_DAYS * 86_400_000).toISOString() };
+  }
+  if (value === null) return { expiresAt: null };
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > API_TOKEN_MAX_LIFETIME_DAYS) return null;
+  return { expiresAt: new Date(Date.now() + days * 86_400_000).toISOString() };
+}
+
 function readClaimGroups(claims: Record<string, unknown>, claimName: string): string[] {
   const value = claims[claimName];
   if (Array.isArray(value)) {
@@ -588,6 +674,7 @@ export function createDashboardAuth(options: {
   basePath: string;
   instanceReadOnly: boolean;
   writeDatabase?: DatabaseWrite;
+  recordAudit?: AuthAuditRecorder;
 }): DashboardAuth {
   const { config, database, basePath, instanceReadOnly } = options;
   const enabled = config.enabled ?? !database.isAuthMigrationDefaultDisabled();
@@ -599,6 +686,8 @@ export function createDashboardAuth(options: {
   const totpFailureBuckets = new Map<string, AuthFailureBucket>();
   const writeDatabase: DatabaseWrite = options.writeDatabase
     ?? (async (operation) => operation());
+  const recordAudit: AuthAuditRecorder = options.recordAudit ?? (async () => undefined);
+  const apiTokenTouches = new Map<number, number>();
   let activePasswordVerifications = 0;
 
   function getEffectiveConfig(): EffectiveAuthConfig {
@@ -662,6 +751,156 @@ export function createDashboardAuth(options: {
     return config.totpSeed;
   }
 
+  function exportBackup(includeSecrets: boolean): Pick<BackupPayload, 'settings' | 'users'> {
+    const settings: Record<string, string> = {};
+    for (const key of BACKUP_AUTH_SETTING_KEYS) {
+      const value = readAuthSetting(database, key);
+      if (value !== undefined) settings[`auth_${key}`] = value;
+    }
+    const clientSecret = readAuthSetting(database, 'oidc_client_secret');
+    if (includeSecrets && clientSecret !== undefined) {
+      settings.auth_oidc_client_secret = clientSecret ? decryptSecret(clientSecret, sessionSecret) : '';
+    }
+
+    return {
+      settings,
+      users: database.listAuthUsers().map((user): BackupUser => ({
+        username: user.username,
+        role: user.role,
+        auth_provider: user.auth_provider,
+        oidc_issuer: user.oidc_issuer,
+        oidc_subject: user.oidc_subject,
+        disabled: Boolean(user.disabled),
+        ...(includeSecrets
+          ? {
+              password_hash: user.password_hash,
+              totp_secret: user.totp_enabled && user.totp_secret ? decryptTotpSecret(user.totp_secret) : null,
+            }
+          : {}),
+        passkeys: database.listWebAuthnCredentialsByUser(user.id).map((credential) => ({
+          credential_id: credential.credential_id,
+          public_key: credential.public_key,
+          sign_count: credential.sign_count,
+          transports: credential.transports,
+          name: credential.name,
+        })),
+      })),
+    };
+  }
+
+  function normalizeBackupAuthSetting(key: MutableAuthSettingKey, value: string): string {
+    if (key === 'disable_password_login') {
+      if (value !== 'true' && value !== 'false') throw new Error('Expected true or false');
+      return value;
+    }
+    if (key === 'oidc_scope') return value.trim() ? parseOidcScope(value) : '';
+    if (key === 'oidc_unmatched_role') return parseOidcUnmatchedRole(value);
+    if (key === 'oidc_admin_groups' || key === 'oidc_read_only_groups') return formatCsvList(value);
+    return value.trim();
+  }
+
+  function restoreBackupPasskeys(userId: number, passkeys: BackupPasskey[], mode: BackupApplyOptions['mode']): void {
+    if (!Array.isArray(passkeys)) throw new Error('Passkeys must be a list');
+    const incomingIds = new Set(passkeys.map((passkey) => passkey.credential_id));
+    if (mode === 'replace') {
+      for (const credential of database.listWebAuthnCredentialsByUser(userId)) {
+        if (!incomingIds.has(credential.credential_id)) database.deleteWebAuthnCredential(credential.id, userId);
+      }
+    }
+    for (const passkey of passkeys) {
+      if (typeof passkey?.credential_id !== 'string' || !passkey.credential_id || typeof passkey.public_key !== 'string' || !passkey.public_key) {
+        throw new Error('Every passkey needs a credential ID and public key');
+      }
+      const existing = database.getWebAuthnCredentialByCredentialId(passkey.credential_id);
+      if (existing?.user_id === userId) continue;
+      if (existing) throw new Error(`Passkey ${passkey.name || passkey.credential_id} belongs to another account`);
+      database.createWebAuthnCredential({
+        userId,
+        credentialId: passkey.credential_id,
+        publicKey: passkey.public_key,
+        signCount: Number.isInteger(passkey.sign_count) && passkey.sign_count >= 0 ? passkey.sign_count : 0,
+        transports: typeof passkey.transports === 'string' ? passkey.transports : null,
+        name: typeof passkey.name === 'string' ? passkey.name.slice(0, 80) : null,
+      });
+    }
+  }
+
+  /**
+   * Restores auth settings and accounts from a backup. The account running the
+   * import keeps its role and enabled state and survives a replace, and at
+   * least one enabled admin must remain. Changed accounts are signed out.
+   */
+  function applyBackup(payload: BackupPayload, options: BackupApplyOptions): void {
+    for (const key of BACKUP_AUTH_SETTING_KEYS) {
+      const value = payload.settings[`auth_${key}`];
+      if (value === undefined) {
+        if (options.mode === 'replace') database.deleteMeta(`auth_${key}`);
+        continue;
+      }
+      withBackupEntry('Setting', `auth_${key}`, () => writeAuthSetting(database, key, normalizeBackupAuthSetting(key, value)));
+    }
+    if (options.includesSecrets) {
+      const clientSecret = payload.settings.auth_oidc_client_secret;
+      if (clientSecret !== undefined) {
+        writeAuthSetting(database, 'oidc_client_secret', clientSecret ? encryptSecret(clientSecret, sessionSecret) : '');
+      } else if (options.mode === 'replace') {
+        database.deleteMeta('auth_oidc_client_secret');
+      }
+    }
+
+    const actingUsername = options.actingUsername;
+    if (options.mode === 'replace') {
+      const usernames = new Set(payload.users.map((user) => user.username));
+      for (const user of database.listAuthUsers()) {
+        if (!usernames.has(user.username) && user.username !== actingUsername) database.deleteAuthUser(user.id);
+      }
+    }
+
+    const previousUsers = new Map(exportBackup(options.includesSecrets).users.map((user) => [user.username, user]));
+    for (const entry of payload.users) {
+      withBackupEntry('User', entry.username, () => {
+        if (entry.username.trim() !== entry.username || entry.username.length > 128) throw new Error('Invalid username');
+        if (entry.role !== 'admin' && entry.role !== 'read-only') throw new Error('Invalid role');
+        if (entry.auth_provider !== 'password' && entry.auth_provider !== 'oidc') throw new Error('Invalid account type');
+        const existing = database.getAuthUserByUsername(entry.username);
+        const isActingUser = Boolean(existing && existing.username === actingUsername);
+        const previous = previousUsers.get(entry.username);
+
+        let passwordHash: string | null | undefined;
+        let totpSecret: string | null | undefined;
+        if (options.includesSecrets) {
+          passwordHash = entry.password_hash ?? null;
+          if (passwordHash !== null && (typeof passwordHash !== 'string' || !passwordHash.startsWith('scrypt$'))) {
+            throw new Error('Unsupported password hash');
+          }
+          const seed = entry.totp_secret ?? null;
+          if (seed !== null && (typeof seed !== 'string' || !TOTP_SEED_PATTERN.test(seed))) throw new Error('Invalid TOTP seed');
+          // Re-encrypting an unchanged seed would reset its replay protection.
+          totpSecret = seed === (previous?.totp_secret ?? null)
+            ? undefined
+            : seed && encryptSecret(seed, totpSecretEncryptionSecret);
+        }
+
+        const user = database.restoreAuthUser({
+          username: entry.username,
+          role: isActingUser ? existing!.role : entry.role,
+          authProvider: entry.auth_provider,
+          oidcIssuer: typeof entry.oidc_issuer === 'string' ? entry.oidc_issuer : null,
+          oidcSubject: typeof entry.oidc_subject === 'string' ? entry.oidc_subject : null,
+          disabled: isActingUser ? Boolean(existing!.disabled) : entry.disabled === true,
+          passwordHash,
+          totpSecret,
+        });
+        restoreBackupPasskeys(user.id, entry.passkeys ?? [], options.mode);
+        if (previous && !isActingUser && !isSameBackupEntry(previous, entry)) database.revokeAuthUserSessions(user.id);
+      });
+    }
+
+    if (enabled && database.countEnabledAdmins() < 1) {
+      throw new BackupError('At least one enabled admin is required', 'BACKUP_REJECTED');
+    }
+  }
+
   function authThrottleResponse(context: HonoContext, retryAfterSeconds: number): Response {
     context.header('Retry-After', String(retryAfterSeconds));
     return context.json({ error: 'Too many authentication attempts. Try again later.' }, 429);
@@ -704,8 +943,36 @@ export function createDashboardAuth(options: {
     deleteCookie(context, SESSION_COOKIE, { path: cookiePath });
   }
 
+  function getApiTokenSession(token: string): SessionData | null {
+    const apiToken = database.getApiTokenByHash(hashApiToken(token));
+    if (!apiToken) return null;
+    if (apiToken.expires_at && Date.parse(apiToken.expires_at) <= Date.now()) return null;
+    const user = database.getAuthUserById(apiToken.user_id);
+    if (!user || user.disabled) return null;
+    // The owner's current role caps the token scope, so demoting a user also
+    // demotes every token they issued. OIDC-only owners are capped by the role
+    // their last SSO sign-in stored.
+    const role: Role = apiToken.scope === 'admin' && user.role === 'admin' ? 'admin' : 'read-only';
+    return {
+      userId: user.id,
+      username: user.username,
+      role,
+      authMethod: 'token',
+      tokenId: apiToken.id,
+    };
+  }
+
+  async function touchApiToken(tokenId: number): Promise<void> {
+    const now = Date.now();
+    if (now - (apiTokenTouches.get(tokenId) || 0) < API_TOKEN_TOUCH_INTERVAL_MS) return;
+    apiTokenTouches.set(tokenId, now);
+    await writeDatabase(() => database.touchApiToken(tokenId, new Date(now).toISOString()));
+  }
+
   function getSession(context: HonoContext): SessionData | null {
     if (!enabled) return { userId: 0, username: 'disabled-auth', role: 'admin' };
+    const apiToken = readApiToken(context);
+    if (apiToken) return getApiTokenSession(apiToken);
     const token = getCookie(context, SESSION_COOKIE);
     if (!token) return null;
     const session = verifySessionToken(token, sessionSecret);
@@ -715,7 +982,7 @@ export function createDashboardAuth(options: {
       && (!session.issuedAt || session.issuedAt + OIDC_SESSION_LIFETIME_SECONDS < Math.floor(Date.now() / 1000))
     ) return null;
     const user = database.getAuthUserById(session.userId);
-    if (!user || (session.sessionVersion || 1) !== (user.session_version || 1)) return null;
+    if (!user || user.disabled || (session.sessionVersion || 1) !== (user.session_version || 1)) return null;
     if (session.authMethod === 'oidc' && user.auth_provider !== 'oidc') return null;
     if (session.authMethod === 'passkey' && user.auth_provider === 'oidc' && !user.password_hash) return null;
     return {
@@ -768,7 +1035,11 @@ export function createDashboardAuth(options: {
     }
 
     context.set('user', session);
-    refreshSessionIfNeeded(context, session);
+    if (session.tokenId !== undefined) {
+      await touchApiToken(session.tokenId);
+    } else {
+      refreshSessionIfNeeded(context, session);
+    }
     await next();
   }
 
@@ -785,6 +1056,16 @@ export function createDashboardAuth(options: {
   function registerRoutes(app: Hono): void {
     const auth = new Hono();
 
+    // API tokens are for automation against the application API. They may
+    // identify themselves, but cannot manage credentials or mint more tokens.
+    const tokenReadablePaths = new Set([`${basePath}/api/auth/status`, `${basePath}/api/auth/me`]);
+    auth.use('*', async (context, next) => {
+      if (readApiToken(context) && !(context.req.method === 'GET' && tokenReadablePaths.has(context.req.path))) {
+        return context.json({ error: 'API tokens cannot manage account settings' }, 403);
+      }
+      await next();
+    });
+
     auth.get('/status', (context) => {
       const session = getSession(context);
       const user = session ? database.getAuthUserById(session.userId) : null;
@@ -859,6 +1140,7 @@ export function createDashboardAuth(options: {
         return context.json({ error: 'Invalid credentials' }, 401);
       }
       clearAuthFailures(passwordAccountFailureBuckets, accountAttemptKey);
+      if (user.disabled) return context.json({ error: 'This account is disabled' }, 403);
       const totpSeed = getTotpSeed(user);
       if (totpSeed) {
         if (!totpCode) {
@@ -922,6 +1204,13 @@ export function createDashboardAuth(options: {
       if (session.role !== 'admin' || instanceReadOnly) return context.json({ error: 'Read-only mode is enabled', code: 'READ_ONLY' }, 403);
       const body = asObject(await context.req.json().catch(() => null));
       if (!body) return context.json({ error: 'Invalid request body' }, 400);
+      // Validation can stop halfway through, so the audit entry names only the
+      // settings that were saved before the response.
+      const changedSettings: string[] = [];
+      const respond = async (response: Response) => {
+        if (changedSettings.length > 0) await recordAudit(context, 'auth.settings.update', { settings: changedSettings });
+        return response;
+      };
 
       if ('disablePasswordLogin' in body) {
         const nextDisabled = body.disablePasswordLogin === true;
@@ -934,6 +1223,7 @@ export function createDashboardAuth(options: {
           }
         }
         await persistAuthSetting('disable_password_login', nextDisabled ? 'true' : 'false');
+        changedSettings.push('disablePasswordLogin');
       }
 
       if ('oidcGroupsClaim' in body) {
@@ -941,6 +1231,7 @@ export function createDashboardAuth(options: {
           ? body.oidcGroupsClaim.trim()
           : 'groups';
         await persistAuthSetting('oidc_groups_claim', groupsClaim);
+        changedSettings.push('oidcGroupsClaim');
       }
 
       if ('oidcScope' in body) {
@@ -951,32 +1242,36 @@ export function createDashboardAuth(options: {
             : config.oidcScope;
           scope = parseOidcScope(scopeInput);
         } catch {
-          return context.json({ error: 'OIDC scopes must include openid' }, 400);
+          return respond(context.json({ error: 'OIDC scopes must include openid' }, 400));
         }
         await persistAuthSetting('oidc_scope', scope);
+        changedSettings.push('oidcScope');
       }
 
       if ('oidcAdminGroups' in body) {
         const adminGroups = typeof body.oidcAdminGroups === 'string' ? formatCsvList(body.oidcAdminGroups) : '';
         await persistAuthSetting('oidc_admin_groups', adminGroups);
+        changedSettings.push('oidcAdminGroups');
       }
 
       if ('oidcReadOnlyGroups' in body) {
         const readOnlyGroups = typeof body.oidcReadOnlyGroups === 'string' ? formatCsvList(body.oidcReadOnlyGroups) : '';
         await persistAuthSetting('oidc_read_only_groups', readOnlyGroups);
+        changedSettings.push('oidcReadOnlyGroups');
       }
 
       if ('oidcUnmatchedRole' in body) {
         if (typeof body.oidcUnmatchedRole !== 'string') {
-          return context.json({ error: 'Invalid OIDC unmatched role' }, 400);
+          return respond(context.json({ error: 'Invalid OIDC unmatched role' }, 400));
         }
         let unmatchedRole: OidcUnmatchedRole;
         try {
           unmatchedRole = parseOidcUnmatchedRole(body.oidcUnmatchedRole);
         } catch {
-          return context.json({ error: 'Invalid OIDC unmatched role' }, 400);
+          return respond(context.json({ error: 'Invalid OIDC unmatched role' }, 400));
         }
         await persistAuthSetting('oidc_unmatched_role', unmatchedRole);
+        changedSettings.push('oidcUnmatchedRole');
       }
 
       if ('oidcIssuerUrl' in body || 'oidcClientId' in body || 'oidcClientSecret' in body) {
@@ -987,10 +1282,13 @@ export function createDashboardAuth(options: {
 
         await persistAuthSetting('oidc_issuer_url', issuer);
         await persistAuthSetting('oidc_client_id', clientId);
+        changedSettings.push('oidcIssuerUrl', 'oidcClientId');
         if (clientSecretInput !== undefined && clientSecretInput !== '') {
           await persistAuthSetting('oidc_client_secret', encryptSecret(clientSecretInput, sessionSecret));
+          changedSettings.push('oidcClientSecret');
         } else if (!issuer && !clientId) {
           await persistAuthSetting('oidc_client_secret', '');
+          changedSettings.push('oidcClientSecret');
         }
 
         if (issuer && clientId) {
@@ -998,13 +1296,13 @@ export function createDashboardAuth(options: {
             await oidc.getConfiguration();
           } catch (error) {
             const message = error instanceof Error ? error.message : String(error);
-            return context.json({ status: 'ok', oidcError: message });
+            return respond(context.json({ status: 'ok', oidcError: message }));
           }
         }
       }
 
       const effectiveConfig = getEffectiveConfig();
-      return context.json({
+      return respond(context.json({
         status: 'ok',
         settings: {
           disablePasswordLogin: isPasswordLoginDisabled(),
@@ -1017,7 +1315,7 @@ export function createDashboardAuth(options: {
           oidcReadOnlyGroups: effectiveConfig.oidcReadOnlyGroups.join(','),
           oidcUnmatchedRole: effectiveConfig.oidcUnmatchedRole,
         },
-      });
+      }));
     });
 
     auth.post('/change-password', async (context) => {
@@ -1160,6 +1458,168 @@ export function createDashboardAuth(options: {
       return context.json({ status: 'ok' });
     });
 
+    function userManagementDenied(context: HonoContext, session: SessionData | null): Response | null {
+      if (!session || !enabled) return context.json({ error: 'Not authenticated' }, 401);
+      if (session.role !== 'admin' || instanceReadOnly) return context.json({ error: 'Read-only mode is enabled', code: 'READ_ONLY' }, 403);
+      return null;
+    }
+
+    function findManagedUser(context: HonoContext): AuthUserRow | null {
+      const id = Number(context.req.param('id'));
+      return Number.isInteger(id) ? database.getAuthUserById(id) : null;
+    }
+
+    auth.get('/users', (context) => {
+      const denied = userManagementDenied(context, getSession(context));
+      if (denied) return denied;
+      return context.json({
+        users: database.listAuthUsers().map((user) => serializeAuthUser(user, isTotpEnabled(user))),
+      });
+    });
+
+    auth.post('/users', async (context) => {
+      const denied = userManagementDenied(context, getSession(context));
+      if (denied) return denied;
+      const body = asObject(await context.req.json().catch(() => null));
+      const username = typeof body?.username === 'string' ? body.username.trim() : '';
+      const password = typeof body?.password === 'string' ? body.password : '';
+      const role = body?.role ?? 'read-only';
+      if (!username || !password) return context.json({ error: 'Username and password required' }, 400);
+      if (username.length > 128 || password.length > 1024) return context.json({ error: 'Username or password is too long' }, 400);
+      if (role !== 'admin' && role !== 'read-only') return context.json({ error: 'Invalid role' }, 400);
+      const passwordError = validatePassword(password);
+      if (passwordError) return context.json({ error: passwordError }, 400);
+
+      const passwordHash = await hashPassword(password);
+      const user = await writeDatabase(() => {
+        if (database.getAuthUserByUsername(username)) return null;
+        const userId = database.createAuthUser({ username, passwordHash, role, authProvider: 'password' });
+        return database.getAuthUserById(userId)!;
+      });
+      if (!user) return context.json({ error: 'Username already exists' }, 409);
+      await recordAudit(context, 'user.create', { name: user.username, role: user.role });
+      return context.json({ user: serializeAuthUser(user, isTotpEnabled(user)) }, 201);
+    });
+
+    auth.patch('/users/:id', async (context) => {
+      const session = getSession(context);
+      const denied = userManagementDenied(context, session);
+      if (denied) return denied;
+      const target = findManagedUser(context);
+      if (!target) return context.json({ error: 'User not found' }, 404);
+      const body = asObject(await context.req.json().catch(() => null));
+      if (!body) return context.json({ error: 'Invalid request body' }, 400);
+      const role = body.role;
+      if (role !== undefined && role !== 'admin' && role !== 'read-only') return context.json({ error: 'Invalid role' }, 400);
+      if (role !== undefined && role !== target.role && target.auth_provider === 'oidc') {
+        return context.json({ error: 'OIDC user roles are managed by OIDC group mapping' }, 400);
+      }
+      if ('disabled' in body && typeof body.disabled !== 'boolean') return context.json({ error: 'Invalid disabled value' }, 400);
+      const disabled = body.disabled as boolean | undefined;
+      if (disabled && target.id === session!.userId) return context.json({ error: 'You cannot disable your own account' }, 400);
+
+      const result = await writeDatabase(() => {
+        const current = database.getAuthUserById(target.id);
+        if (!current) return 'missing' as const;
+        const removesAdmin = current.role === 'admin' && !current.disabled
+          && ((role !== undefined && role !== 'admin') || disabled === true);
+        if (removesAdmin && database.countEnabledAdmins() <= 1) return 'last-admin' as const;
+        if (role !== undefined && role !== current.role) database.updateAuthUserRole(current.id, role);
+        if (disabled !== undefined && disabled !== Boolean(current.disabled)) database.updateAuthUserDisabled(current.id, disabled);
+        return database.getAuthUserById(current.id)!;
+      });
+      if (result === 'missing') return context.json({ error: 'User not found' }, 404);
+      if (result === 'last-admin') return context.json({ error: 'At least one enabled admin is required' }, 400);
+      const changes: Record<string, AuditSummaryValue> = {};
+      if (result.role !== target.role) changes.role = result.role;
+      if (Boolean(result.disabled) !== Boolean(target.disabled)) changes.disabled = Boolean(result.disabled);
+      if (Object.keys(changes).length > 0) await recordAudit(context, 'user.update', { name: result.username, ...changes });
+      return context.json({ user: serializeAuthUser(result, isTotpEnabled(result)) });
+    });
+
+    auth.post('/users/:id/password', async (context) => {
+      const denied = userManagementDenied(context, getSession(context));
+      if (denied) return denied;
+      const target = findManagedUser(context);
+      if (!target) return context.json({ error: 'User not found' }, 404);
+      if (isOidcOnlyAccount(target)) return context.json({ error: 'OIDC-only accounts do not have a password' }, 400);
+      const body = asObject(await context.req.json().catch(() => null));
+      const password = typeof body?.password === 'string' ? body.password : '';
+      if (!password) return context.json({ error: 'Password required' }, 400);
+      if (password.length > 1024) return context.json({ error: 'Password is too long' }, 400);
+      const passwordError = validatePassword(password);
+      if (passwordError) return context.json({ error: passwordError }, 400);
+
+      const passwordHash = await hashPassword(password);
+      await writeDatabase(() => database.updateAuthUserPassword(target.id, passwordHash));
+      await recordAudit(context, 'user.password-reset', { name: target.username });
+      return context.json({ status: 'ok' });
+    });
+
+    auth.post('/users/:id/revoke-sessions', async (context) => {
+      const denied = userManagementDenied(context, getSession(context));
+      if (denied) return denied;
+      const target = findManagedUser(context);
+      if (!target || !await writeDatabase(() => database.revokeAuthUserSessions(target.id))) {
+        return context.json({ error: 'User not found' }, 404);
+      }
+      await recordAudit(context, 'user.sessions-revoke', { name: target.username });
+      return context.json({ status: 'ok' });
+    });
+
+    auth.get('/tokens', (context) => {
+      const session = getSession(context);
+      if (!session || !enabled) return context.json({ error: 'Not authenticated' }, 401);
+      return context.json({
+        tokens: database.listApiTokensByUser(session.userId).map(serializeApiToken),
+      });
+    });
+
+    auth.post('/tokens', async (context) => {
+      const session = getSession(context);
+      if (!session || !enabled) return context.json({ error: 'Not authenticated' }, 401);
+      const user = database.getAuthUserById(session.userId);
+      if (!user) return context.json({ error: 'Not authenticated' }, 401);
+      const body = asObject(await context.req.json().catch(() => null));
+      const name = typeof body?.name === 'string' ? body.name.trim().slice(0, 80) : '';
+      if (!name) return context.json({ error: 'Token name required' }, 400);
+      const scope = body?.scope ?? 'read-only';
+      if (scope !== 'admin' && scope !== 'read-only') return context.json({ error: 'Invalid token scope' }, 400);
+      if (scope === 'admin' && user.role !== 'admin') {
+        return context.json({ error: 'Token scope cannot exceed your role' }, 403);
+      }
+      const lifetime = parseApiTokenLifetime(body?.expiresInDays);
+      if (!lifetime) {
+        return context.json({ error: `Token lifetime must be between 1 and ${API_TOKEN_MAX_LIFETIME_DAYS} days` }, 400);
+      }
+
+      const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const id = await writeDatabase(() => database.createApiToken({
+        userId: user.id,
+        name,
+        tokenHash: hashApiToken(token),
+        tokenPrefix: token.slice(0, API_TOKEN_DISPLAY_LENGTH),
+        scope,
+        expiresAt: lifetime.expiresAt,
+      }));
+      const created = database.listApiTokensByUser(user.id).find((candidate) => candidate.id === id);
+      await recordAudit(context, 'token.create', { id: String(id), name, scope, expires_at: lifetime.expiresAt });
+      return context.json({ token, apiToken: created ? serializeApiToken(created) : null }, 201);
+    });
+
+    auth.delete('/tokens/:id', async (context) => {
+      const session = getSession(context);
+      if (!session || !enabled) return context.json({ error: 'Not authenticated' }, 401);
+      const id = Number(context.req.param('id'));
+      const token = database.listApiTokensByUser(session.userId).find((candidate) => candidate.id === id);
+      if (!token || !await writeDatabase(() => database.deleteApiToken(id, session.userId))) {
+        return context.json({ error: 'API token not found' }, 404);
+      }
+      apiTokenTouches.delete(id);
+      await recordAudit(context, 'token.revoke', { id: String(id), name: token.name });
+      return context.json({ status: 'ok' });
+    });
+
     auth.post('/webauthn/register/options', async (context) => {
       const session = getSession(context);
       if (!session || !enabled) return context.json({ error: 'Not authenticated' }, 401);
@@ -1231,6 +1691,7 @@ export function createDashboardAuth(options: {
       if (isOidcOnlyAccount(user)) {
         return context.json({ error: 'This passkey belongs to an OIDC-only account. Sign in with SSO instead.' }, 403);
       }
+      if (user.disabled) return context.json({ error: 'This account is disabled' }, 403);
 
       try {
         const origin = getPublicOrigin(context);
@@ -1282,6 +1743,7 @@ export function createDashboardAuth(options: {
           subject: result.subject,
         };
         const user = await writeDatabase(() => database.upsertOidcUser(oidcUser));
+        if (user.disabled) return context.json({ error: 'This account is disabled' }, 403);
         createSession(context, user, 'oidc');
         deleteCookie(context, OIDC_STATE_COOKIE, { path: cookiePath });
         deleteCookie(context, OIDC_NONCE_COOKIE, { path: cookiePath });
@@ -1303,5 +1765,7 @@ export function createDashboardAuth(options: {
     registerRoutes,
     getSession,
     getPermissions,
+    exportBackup,
+    applyBackup,
   };
 }
@@ -7,15 +7,27 @@ import { compress } from 'hono/compress';
 import { bodyLimit } from 'hono/body-limit';
 import { serveStatic } from '@hono/node-server/serve-static';
 import type {
+  AddAllowlistItemsRequest,
+  AddAnnotationNoteRequest,
   AddDecisionRequest,
   AlertDecision,
   AlertDecisionSummary,
   AlertRecord,
+  Allowlist,
+  AllowlistsResponse,
+  Annotation,
+  AnnotationNote,
+  AuditAction,
+  AuditInstanceResult,
+  AuditLogEntry,
+  AuditOutcome,
+  AuditSummaryValue,
   BulkDeleteRequest,
   BulkDeleteResult,
   BulkDeleteFailure,
   CleanupByIpRequest,
   ConfigResponse,
+  CreateAllowlistRequest,
   DashboardGranularity,
   DashboardSimulationFilter,
   DashboardStatListItem,
@@ -23,30 +35,73 @@ import type {
   DashboardStatsResponse,
   DashboardStatsTotals,
   DashboardWorldMapDatum,
+  CrowdsecMetricsHistoryRange,
+  CrowdsecMetricsHistoryResponse,
   CrowdsecMetricsResponse,
+  DecisionImportEntry,
   DecisionListItem,
+  DecisionScope,
+  EditDecisionsRequest,
+  EditDecisionsResult,
+  ExportBackupRequest,
+  ExportFormat,
   FacetField,
   FacetResponse,
+  ImportDecisionsPreview,
+  ImportBackupRequest,
+  ImportDecisionsRequest,
+  IncidentActionRequest,
+  IncidentActionResponse,
+  IncidentDetail,
+  IncidentSettings,
   InstanceEntityRef,
+  InstanceSettings,
+  IpProfileCount,
+  IpProfileLocation,
+  IpProfileResponse,
   LapiStatus,
+  LiveStream,
+  NotificationFilter,
   PaginatedResponse,
+  PropagateDecisionsRequest,
+  RemoveAllowlistItemsRequest,
   SlimAlert,
   StatsAlert,
   StatsDecision,
+  SyncState,
   SyncStatus,
+  TableColumnDefinition,
+  TableColumnPreferenceTable,
+  TriageStatus,
+  UpdateAnnotationRequest,
+  UpdateDecisionMirrorPolicyRequest,
+  UpdateIncidentRequest,
+  UpdateInstancesSettingsRequest,
   UpdateManualRefreshSettingRequest,
   UpdateMetricsSidebarPreferenceRequest,
   UpsertNotificationChannelRequest,
+  UpsertNotificationReportRequest,
   UpsertNotificationRuleRequest,
+  UpsertSavedSearchRequest,
   UpdateCheckResponse,
 } from '../shared/contracts';
+import {
+  CROWDSEC_METRICS_HISTORY_RANGES,
+  DECISION_SCOPES,
+  EXPORT_FORMATS,
+  TABLE_COLUMN_DEFINITIONS,
+  TRIAGE_STATUSES,
+} from '../shared/contracts';
+import { parseDuration } from '../shared/duration';
 import { resolveMachineName } from '../shared/machine';
 import { collectDistinctOrigins, normalizeOrigin } from '../shared/origin';
 import {
   compileAlertSearch,
+  compileAuditSearch,
   compileDecisionSearch,
   getSearchFacetSelection,
   matchesIpSearchValue,
+  normalizeTriageSearchValue,
   removeSearchField,
   serializeSearchNode,
   type SearchNode,
@@ -54,24 +109,35 @@ import {
 } from '../shared/search';
 import { createRuntimeConfig, getIntervalName, parseLookbackToMs, parseRefreshInterval, type RuntimeConfig } from './config';
 import { getDateTimeKey, getTimeZoneOffsetMs, getZonedHourlyBucketKeys } from './utils/date-time';
-import { CrowdsecDatabase, type AlertInsertParams, type DecisionInsertParams } from './database';
+import {
+  CrowdsecDatabase,
+  type AlertInsertParams,
+  type AnnotationKind,
+  type AnnotationNoteRow,
+  type AnnotationRow,
+  type AuditLogRow,
+  type DecisionInsertParams,
+} from './database';
 import {
   ALERT_RECORD_COLUMNS,
   DECISION_RECORD_COLUMNS,
   alertFromRow,
   alertMetadataFingerprint,
   decisionFromRow,
+  parseAlertPayload,
   type NormalizedAlertRow,
   type NormalizedDecisionRow,
 } from './normalized-record';
-import { LapiClient } from './lapi';
+import { LapiClient, type AllowlistItemInput, type LapiClientOptions } from './lapi';
 import { createDashboardAuth } from './app-auth';
 import { createNotificationService } from './notifications';
 import type { MqttPublishConfig } from './notifications/mqtt-client';
 import { createNotificationOutboundGuard } from './notifications/outbound-guard';
+import { getReportRangeDays } from './notifications/report';
 import { createNotificationSecretStore } from './notifications/secret-store';
 import { createUpdateChecker, type UpdateCheckOverrides, type UpdateChecker } from './update-check';
-import { getServerTranslator, normalizeLanguagePreference, saveLanguagePreference } from './i18n';
+import { getServerTranslator, LANGUAGE_SETTING_KEY, normalizeLanguagePreference, saveLanguagePreference } from './i18n';
+import { BackupError, createBackupService, parseBackupImportMode, withBackupEntry, type BackupParticipant } from './backup';
 import {
   addDashboardAttackLocation,
   dashboardAttackLocationData,
@@ -79,8 +145,44 @@ import {
 } from './dashboard-locations';
 import { createAttackLocationResolver, type AttackLocationResolver } from './attack-location-geocoder';
 import { getAlertSourceValue, getAlertTarget, resolveAlertHistoryAt, resolveAlertReason, resolveAlertScenario, toSlimAlert } from './utils/alerts';
+import { detectBlocklistFormat, parseBlocklist } from './utils/blocklist';
+import { normalizeAlertSimulated, normalizeDecisionSimulated, toDecisionListItem } from './utils/decisions';
 import { parseGoDuration, toDuration } from './utils/duration';
+import { createExportSerializer, toAlertExportRecord, toDecisionExportRecord } from './utils/export';
 import { fetchCrowdsecMetrics } from './metrics';
+import {
+  isMetricsRequestAuthorized,
+  METRICS_CONTENT_TYPE,
+  renderPrometheusText,
+  toTimestampSeconds,
+  type MetricFamily,
+} from './metrics-exporter';
+import {
+  buildMetricsHistoryPoints,
+  METRICS_HISTORY_RANGE_WINDOWS,
+  METRICS_HISTORY_RETENTION_MS,
+  toMetricsHistoryCounters,
+  type MetricsHistoryCounters,
+} from './metrics-history';
+import {
+  canEditSavedSearch,
+  createSavedSearchBackup,
+  normalizeSavedSearchInput,
+  toSavedSearch,
+  type SavedSearchViewer,
+} from './saved-searches';
+import { createDecisionDriftService, DECISION_PROPAGATE_MAX_VALUES } from './decision-drift';
+import { createIncidentService, INCIDENT_ACTION_MAX_SOURCES } from './incidents';
+import { createInstanceSettingsService } from './instance-settings';
+import type { CrowdsecInstanceConfig } from './instances-config';
+import {
+  createLiveChangeSet,
+  getLiveChangeKeys,
+  LIVE_ROWS_LIMIT,
+  recordLiveChanges,
+  type LiveChangeSet,
+  type LiveQuery,
+} from './live-updates';
 import { DatabaseQueryWorker, QueryWorkerTimeoutError } from './query-worker-client';
 import { DatabaseSyncWorker, type SyncAlertMutation } from './sync-worker-client';
 
@@ -94,6 +196,11 @@ type AnyError = Error & {
   helpLink?: string;
   helpText?: string;
 };
+type DecisionListRow = NormalizedDecisionRow & {
+  is_duplicate?: number;
+  latitude?: number | null;
+  longitude?: number | null;
+};
 
 const COMMON_FACET_FIELDS = [
   'id',
@@ -108,18 +215,26 @@ const COMMON_FACET_FIELDS = [
   'machine',
   'origin',
 ] as const;
-const ALERT_FACET_FIELDS = [...COMMON_FACET_FIELDS, 'decision'] as const;
-const DECISION_FACET_FIELDS = [...COMMON_FACET_FIELDS, 'alert', 'action', 'status'] as const;
+const ALERT_FACET_FIELDS = [...COMMON_FACET_FIELDS, 'decision', 'status', 'tag'] as const;
+const DECISION_FACET_FIELDS = [...COMMON_FACET_FIELDS, 'alert', 'action', 'status', 'triage', 'tag'] as const;
 const FACET_DEFAULT_LIMIT = 10;
 const FACET_MAX_LIMIT = 50;
 const FACET_MAX_OFFSET = 500;
 const FACET_CACHE_MAX_ENTRIES = 256;
+const AUDIT_SUMMARY_LIST_LIMIT = 100;
+const EXPORT_BATCH_SIZE = 1_000;
+const IP_PROFILE_TIMELINE_LIMIT = 200;
+const IP_PROFILE_FACET_LIMIT = 20;
+const DECISION_LIST_COLUMNS = `${DECISION_RECORD_COLUMNS}, (decisions.is_duplicate = 1) AS is_duplicate,
+  (SELECT latitude FROM alerts WHERE alerts.id = decisions.alert_id) AS latitude,
+  (SELECT longitude FROM alerts WHERE alerts.id = decisions.alert_id) AS longitude`;
 
 export interface CreateAppOptions {
   config?: RuntimeConfig;
   database?: CrowdsecDatabase;
   lapiClient?: LapiClient;
   lapiClients?: Map<string, LapiClient>;
+  lapiFetchImpl?: LapiClientOptions['fetchImpl'];
   distRoot?: string;
   startBackgroundTasks?: boolean;
   updateChecker?: UpdateChecker;
@@ -140,6 +255,8 @@ export interface CreateAppOptions {
     | 'rebuildSearchIndexes'
     | 'refreshDecisionDuplicateFlags'
     | 'cleanupOldData'
+    | 'pruneAuditLog'
+    | 'backfillGeoIpEnrichment'
     | 'clearSyncData'
     | 'runExclusive'
     | 'close'
@@ -159,9 +276,12 @@ export interface AppController {
   getSyncStatus: () => SyncStatus;
   getLapiStatus: () => LapiStatus;
   getCacheLastUpdate: () => string | null;
-  subscribeCacheUpdates: (listener: (updatedAt: string, instanceIds: string[]) => void) => () => void;
+  subscribeCacheUpdates: (listener: CacheUpdateListener) => () => void;
+  createLiveQuery: (stream: LiveStream, filters: Record<string, string>) => LiveQuery | { error: string };
 }
 
+export type CacheUpdateListener = (updatedAt: string, instanceIds: string[], changes: LiveChangeSet) => void;
+
 interface PersistedConfig {
   refresh_interval_ms?: number;
   manual_refresh_enabled?: boolean;
@@ -309,6 +429,7 @@ interface DashboardStatsFilters {
   dateEnd: string;
   simulation: DashboardSimulationFilter;
   granularity: DashboardGranularity;
+  rangeDays: number;
   timezoneOffsetMinutes: number;
   timeZone: string | null;
 }
@@ -333,6 +454,8 @@ interface DashboardAlertStatsRecord {
   longitude?: number;
   target?: string;
   simulated: boolean;
+  /** Set on records read from the statistics rollups, which stand for this many rows. */
+  count?: number;
 }
 
 interface DashboardDecisionStatsRecord {
@@ -343,7 +466,15 @@ interface DashboardDecisionStatsRecord {
   stopTimestamp: number;
   value?: string;
   country?: string;
+  scenario?: string;
+  asName?: string;
   simulated: boolean;
+  count?: number;
+}
+
+interface DashboardRollupRecords {
+  alerts: DashboardAlertStatsRecord[];
+  decisions: DashboardDecisionStatsRecord[];
 }
 
 interface DashboardStatsAccumulator {
@@ -375,9 +506,21 @@ interface DashboardDecisionAccumulator {
 }
 const NOTIFICATION_SECRET_KEY_META_KEY = 'notification_secret_key';
 const API_BODY_LIMIT_BYTES = 1024 * 1024;
+const DECISION_IMPORT_MAX_ENTRIES = 10_000;
+const DECISION_EDIT_MAX_ENTRIES = 1_000;
+const ALLOWLIST_ITEMS_MAX_ENTRIES = 1_000;
+const ALLOWLIST_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const ANNOTATION_MAX_TAGS = 20;
+const ANNOTATION_TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}._:/-]{0,39}$/u;
+const ANNOTATION_NOTE_MAX_LENGTH = 2_000;
 const delay = (ms: number): Promise<void> => new Promise((resolve) => setTimeout(resolve, ms));
 const DASHBOARD_LOOP_YIELD_INTERVAL = 5_000;
 const DASHBOARD_INDEX_BATCH_SIZE = 5_000;
+// Hourly rollups keep intraday detail for recent history; older days are only
+// charted from the daily table.
+const NOTIFICATION_REPORT_CHECK_INTERVAL_MS = 60_000;
+const STATS_ROLLUP_HOURLY_RETENTION_MS = 90 * 24 * 60 * 60 * 1_000;
+const DASHBOARD_MAX_RANGE_DAYS = 730;
 // Keep worker-message overhead reasonable while bounding each transaction so
 // interactive writes do not sit behind a long cache batch in the shared queue.
 const SYNC_WRITE_BATCH_SIZE = 100;
@@ -479,19 +622,28 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
     database.setMeta(key, instance.lapiUrl);
   }
-  const configuredLapiClients = options.lapiClients || new Map<string, LapiClient>();
-  if (options.lapiClient) configuredLapiClients.set(primaryInstance.id, options.lapiClient);
-  for (const instance of config.instances) {
-    if (configuredLapiClients.has(instance.id)) continue;
-    configuredLapiClients.set(instance.id, new LapiClient({
+  function getLapiConnectionOptions(instance: CrowdsecInstanceConfig) {
+    return {
       crowdsecUrl: instance.lapiUrl,
       auth: instance.lapiAuth,
       tls: instance.lapiTls,
-      simulationsEnabled: config.simulationsEnabled,
       lookbackPeriod: instance.sync.lookbackPeriod || config.lookbackPeriod,
       requestTimeoutMs: instance.sync.requestTimeoutMs || config.lapiRequestTimeoutMs,
+    };
+  }
+  function createInstanceLapiClient(instance: CrowdsecInstanceConfig): LapiClient {
+    return new LapiClient({
+      ...getLapiConnectionOptions(instance),
+      simulationsEnabled: config.simulationsEnabled,
       version: config.version,
-    }));
+      fetchImpl: options.lapiFetchImpl,
+    });
+  }
+  const configuredLapiClients = options.lapiClients || new Map<string, LapiClient>();
+  if (options.lapiClient) configuredLapiClients.set(primaryInstance.id, options.lapiClient);
+  for (const instance of config.instances) {
+    if (configuredLapiClients.has(instance.id)) continue;
+    configuredLapiClients.set(instance.id, createInstanceLapiClient(instance));
   }
   const lapiClients = configuredLapiClients;
   const lapiClient = lapiClients.get(primaryInstance.id) || new LapiClient({
@@ -524,6 +676,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
   const syncWorker = options.syncWorker || new DatabaseSyncWorker({
     dbPath: database.dbPath,
     walEnabled: config.sqliteWalEnabled,
+    geoIp: config.geoIp,
   });
   const attackLocationResolver = options.attackLocationResolver || createAttackLocationResolver({
     dumpDirectory: config.geonamesDumpDir,
@@ -549,7 +702,27 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     timeZone: config.timeZone,
     timeFormat: config.timeFormat,
     instanceAware: config.instances.length > 1,
-    instances: config.instances.map((instance) => ({ id: instance.id, name: instance.name })),
+    instances: config.instances,
+    alertRetentionMs: config.lookbackMs,
+    buildReportStats: (query) => buildDashboardStats({
+      instanceId: query.instanceId,
+      country: '',
+      scenario: '',
+      as: '',
+      ip: '',
+      target: '',
+      dateStart: query.dateStart,
+      dateEnd: query.dateEnd,
+      simulation: 'all',
+      granularity: 'day',
+      // Periods that reach back past the lookback are completed from the rollups, like an extended dashboard range.
+      rangeDays: Math.min(
+        Math.max(getLookbackDays(), getReportRangeDays({ start: query.dateStart, end: query.dateEnd }, new Date(), query.timeZone)),
+        DASHBOARD_MAX_RANGE_DAYS,
+      ),
+      timezoneOffsetMinutes: 0,
+      timeZone: query.timeZone,
+    }),
   });
   const dashboardAuth = createDashboardAuth({
     config: config.dashboardAuth,
@@ -557,8 +730,48 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     basePath: config.basePath,
     instanceReadOnly: config.readOnly,
     writeDatabase: (operation) => syncWorker.runExclusive(operation),
+    recordAudit: (context, action, summary) => recordAudit(context, action, summary),
+  });
+  // Participants are applied in order: users must exist before the saved
+  // searches they own, and saved searches before the rules that filter on them.
+  const backupService = createBackupService({
+    database,
+    appVersion: config.version,
+    writeDatabase: (operation) => syncWorker.runExclusive(operation),
+    participants: [
+      createGeneralSettingsBackup(database),
+      dashboardAuth,
+      createSavedSearchBackup(database, () => config.instances.map((instance) => instance.id)),
+      notificationService,
+    ],
+  });
+
+  const decisionDriftService = createDecisionDriftService({
+    database,
+    getInstances: () => config.instances.map((instance) => ({ id: instance.id, name: instance.name })),
+    lapiClients,
+    writeDatabase: (operation) => syncWorker.runExclusive(operation),
+    refreshInstance: (instanceId) => instanceId === primaryInstance.id ? updateCacheDelta() : syncInstanceDelta(instanceId),
+  });
+
+  const incidentService = createIncidentService({
+    database,
+    queryWorker,
+    writeDatabase: (operation) => syncWorker.runExclusive(operation),
   });
 
+  // Instance settings are written back to the application YAML, so they are
+  // only editable when the configuration was loaded from one.
+  const instanceSettingsService = config.configSource
+    ? createInstanceSettingsService({
+        source: config.configSource,
+        createClient: createInstanceLapiClient,
+        metricsFetchImpl: options.metricsFetchImpl,
+        metricsTimeoutMs: config.prometheusRequestTimeoutMs,
+        applyInstances: applyInstanceConfig,
+      })
+    : null;
+
   const app = new Hono();
   const distRoot = options.distRoot || path.resolve(process.cwd(), 'dist/client');
   const staticFiles = [
@@ -615,14 +828,17 @@ export function createApp(options: CreateAppOptions = {}): AppController {
   // only advances after all post-import maintenance is complete and the new
   // data is safe for every API consumer to read.
   let cacheRefreshCompletedAt = options.initialCacheState?.lastUpdate ?? null;
-  const cacheUpdateListeners = new Set<(updatedAt: string, instanceIds: string[]) => void>();
+  const cacheUpdateListeners = new Set<CacheUpdateListener>();
+  let pendingLiveChanges = createLiveChangeSet();
   const facetResponseCache = new Map<string, FacetResponse>();
   let facetCacheVersion = 0;
 
   function publishCacheUpdate(updatedAt: string, instanceIds = [primaryInstance.id]): void {
+    const changes = pendingLiveChanges;
+    pendingLiveChanges = createLiveChangeSet();
     for (const listener of cacheUpdateListeners) {
       try {
-        listener(updatedAt, instanceIds);
+        listener(updatedAt, instanceIds, changes);
       } catch (error) {
         console.error('Cache update listener failed:', error);
       }
@@ -668,6 +884,11 @@ export function createApp(options: CreateAppOptions = {}): AppController {
   let isHeartbeatSchedulerRunning = false;
   let heartbeatPromise: Promise<void> | null = null;
   let heartbeatFailureLogged = false;
+  let metricsHistoryTimeout: ReturnType<typeof setTimeout> | null = null;
+  let isMetricsHistorySchedulerRunning = false;
+  let notificationReportTimeout: ReturnType<typeof setTimeout> | null = null;
+  let isNotificationReportSchedulerRunning = false;
+  const failingMetricsHistoryEndpoints = new Set<string>();
   let bootstrapRetryTimeout: ReturnType<typeof setTimeout> | null = null;
   let bootstrapPromise: Promise<boolean> | null = null;
   let bootstrapSource: string | null = null;
@@ -677,7 +898,9 @@ export function createApp(options: CreateAppOptions = {}): AppController {
   let pendingAlertDeletionPromise: Promise<void> | null = null;
   let pendingAlertDeletionRerunRequested = false;
   let pendingAlertDeletionStopped = false;
+  let geoIpBackfillStopped = false;
   const instanceRefreshTimers = new Map<string, ReturnType<typeof setTimeout>>();
+  let instanceRefreshScheduled = false;
   const instanceRefreshPromises = new Map<string, Promise<void>>();
   const historicalInstanceSyncPending = new Set<string>();
   const instanceNetworkWaiters: Array<() => void> = [];
@@ -824,6 +1047,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
   Older Reconcile: ${getIntervalName(config.reconcileOldIntervalMs)}
   Reconcile Windows Per Refresh: ${config.reconcileWindowsPerRefresh}
   Machine Heartbeat: ${config.heartbeatIntervalMs > 0 ? getIntervalName(config.heartbeatIntervalMs) : 'Disabled'}
+  Metrics History: ${config.metricsHistoryIntervalMs > 0 ? getIntervalName(config.metricsHistoryIntervalMs) : 'Disabled'}
   Prometheus Metrics: ${config.prometheusUrl ? `Enabled (${config.prometheusUrl})` : 'Disabled'}
   Auth Mode: ${config.crowdsecAuthMode}
   Simulations: ${config.simulationsEnabled ? 'Enabled' : 'Disabled'}
@@ -889,6 +1113,21 @@ export function createApp(options: CreateAppOptions = {}): AppController {
   if (config.basePath) {
     app.get(`${config.basePath}/api/health`, healthHandler);
   }
+
+  // The exporter authenticates scrapers with its own credentials so a
+  // Prometheus job never needs a dashboard session or API token.
+  if (config.metricsEndpoint.enabled) {
+    app.get(`${config.basePath}/metrics`, (context) => {
+      if (!isMetricsRequestAuthorized(context.req.header('Authorization'), config.metricsEndpoint.auth)) {
+        if (config.metricsEndpoint.auth.type === 'basic') {
+          context.header('WWW-Authenticate', 'Basic realm="metrics", charset="UTF-8"');
+        }
+        return context.text('Unauthorized', 401);
+      }
+      context.header('Cache-Control', 'no-store');
+      return context.body(renderPrometheusText(collectExporterMetrics()), 200, { 'Content-Type': METRICS_CONTENT_TYPE });
+    });
+  }
   dashboardAuth.registerRoutes(app);
 
   const ensureCanManageEnforcement = (context: HonoContext) => {
@@ -901,6 +1140,31 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     return context.json({ error: 'Read-only mode is enabled', code: 'READ_ONLY' }, 403);
   };
 
+  const recordAudit = async (
+    context: HonoContext,
+    action: AuditAction,
+    summary: Record<string, AuditSummaryValue>,
+    results: AuditInstanceResult[] = [],
+  ): Promise<void> => {
+    const session = dashboardAuth.enabled ? dashboardAuth.getSession(context) : null;
+    const succeeded = results.filter((result) => result.success).length;
+    const outcome: AuditOutcome = succeeded === results.length ? 'success' : succeeded > 0 ? 'partial' : 'failure';
+    try {
+      await syncWorker.runExclusive(() => database.insertAuditLog({
+        userId: session?.userId ?? null,
+        username: session?.username ?? null,
+        authMethod: session?.authMethod ?? null,
+        action,
+        instanceIds: results.map((result) => result.instance_id),
+        summary,
+        outcome,
+        results,
+      }));
+    } catch (error: any) {
+      console.error(`Failed to record audit log entry for ${action}:`, error.message);
+    }
+  };
+
   app.get(`${config.basePath}/api/alerts`, ensureAuth, async (context) => {
     try {
       if (refreshIntervalMs === 0) {
@@ -937,7 +1201,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
         .map((alert) => toSlimAlert(alert))
         .sort((left, right) => new Date(right.created_at).getTime() - new Date(left.created_at).getTime());
 
-      return context.json(await enrichAlertLocations(alerts));
+      return context.json(await withAnnotations('alert', await enrichAlertLocations(alerts)));
     } catch (error: any) {
       if (error instanceof QueryWorkerTimeoutError) {
         console.warn('Timed out serving alerts from database:', error.message);
@@ -982,10 +1246,64 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
   });
 
+  app.get(`${config.basePath}/api/alerts/export`, ensureAuth, async (context) => {
+    const exportRequest = getExportRequest(context, 'alerts');
+    if ('error' in exportRequest) {
+      return context.json({ error: exportRequest.error }, 400);
+    }
+
+    try {
+      if (refreshIntervalMs === 0) {
+        await updateCache({ skipIfBusy: true });
+      }
+      await prepareReadCache('alerts export');
+
+      const filters = getAlertListFilters(context, config.timeZone);
+      const compiledSearch = compileAlertSearch(filters.q, {
+        machineEnabled: true,
+        originEnabled: true,
+      }, {
+        timezoneOffsetMinutes: filters.timezoneOffsetMinutes,
+        timeZone: filters.timeZone,
+      });
+      if (!compiledSearch.ok) {
+        return context.json(toSearchErrorResponse(compiledSearch.error), 400);
+      }
+
+      const { filteredWhere } = buildAlertListWhere(filters, compiledSearch.ast);
+      const columnIds = exportRequest.columns.map((column) => column.id);
+      return createExportResponse('alerts', exportRequest, async (cursor) => {
+        const where = filteredWhere.clone();
+        if (cursor) {
+          where.add('(alerts.created_at < ? OR (alerts.created_at = ? AND alerts.id < ?))', cursor.createdAt, cursor.createdAt, cursor.id);
+        }
+        const rows = await queryWorker.all<NormalizedAlertRow>(`
+          SELECT ${ALERT_RECORD_COLUMNS}
+          FROM alerts
+          ${where.toSql()}
+          ORDER BY alerts.created_at DESC, alerts.id DESC
+          LIMIT ?
+        `, [...where.params, EXPORT_BATCH_SIZE]);
+        const alerts = await buildSlimAlertList(rows);
+        return {
+          records: alerts.map((alert) => toAlertExportRecord(alert, columnIds)),
+          cursor: getNextExportCursor(rows),
+        };
+      });
+    } catch (error: any) {
+      if (error instanceof QueryWorkerTimeoutError) {
+        return context.json({ error: 'Alert export timed out' }, 504);
+      }
+      console.error('Error exporting alerts from database:', error.message);
+      return context.json({ error: 'Failed to export alerts' }, 500);
+    }
+  });
+
   app.post(`${config.basePath}/api/alerts/bulk-delete`, ensureAuth, async (context) => {
     const readOnlyResponse = ensureCanManageEnforcement(context);
     if (readOnlyResponse) return readOnlyResponse;
 
+    let auditSummary: Record<string, AuditSummaryValue> | null = null;
     const doRequest = async () => {
       const body = await context.req.json<BulkDeleteRequest>();
       if (Array.isArray(body.refs) && body.refs.length > 0) {
@@ -1006,6 +1324,12 @@ export function createApp(options: CreateAppOptions = {}): AppController {
           }
         }));
         invalidateDashboardStatsCache();
+        await recordAudit(
+          context,
+          'alert.delete',
+          toAuditIdSummary(validated.map((ref) => `${ref.instance_id}:${ref.id}`)),
+          getGroupedAuditResults(groups, result),
+        );
         return context.json(result);
       }
       if (!Array.isArray(body.ids) || body.ids.length === 0) {
@@ -1019,17 +1343,23 @@ export function createApp(options: CreateAppOptions = {}): AppController {
         return context.json({ error: 'Alert IDs must be numeric' }, 400);
       }
 
+      auditSummary = toAuditIdSummary(ids);
       const result = await deleteAlertsByIds(ids);
       if (result.deleted_decisions > 0) {
         void runNotificationEvaluation('bulk alert delete');
       }
+      await recordAudit(context, 'alert.delete', auditSummary, [toAuditDeleteResult(primaryInstance, result)]);
       return context.json(result);
     };
 
     try {
       return await doRequest();
     } catch (error) {
-      return handleApiError(error as AnyError, context, 'bulk deleting alerts', doRequest);
+      const response = await handleApiError(error as AnyError, context, 'bulk deleting alerts', doRequest);
+      if (auditSummary && !response.ok) {
+        await recordAudit(context, 'alert.delete', auditSummary, [toAuditErrorResult(primaryInstance, error as AnyError)]);
+      }
+      return response;
     }
   });
 
@@ -1089,13 +1419,18 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       if (result.deleted_decisions > 0) {
         void runNotificationEvaluation('alert decision delete');
       }
+      await recordAudit(context, 'alert.delete', toAuditIdSummary([alertId]), [toAuditDeleteResult(primaryInstance, result)]);
       return context.json(result);
     };
 
     try {
       return await doRequest();
     } catch (error) {
-      return handleApiError(error as AnyError, context, 'deleting alert', doRequest);
+      const response = await handleApiError(error as AnyError, context, 'deleting alert', doRequest);
+      if (!response.ok) {
+        await recordAudit(context, 'alert.delete', toAuditIdSummary([alertId]), [toAuditErrorResult(primaryInstance, error as AnyError)]);
+      }
+      return response;
     }
   });
 
@@ -1140,7 +1475,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       decisions.sort((left, right) => new Date(right.created_at).getTime() - new Date(left.created_at).getTime());
       decisions = await enrichDecisionLocations(decisions, alertCoordinates);
 
-      return context.json(decisions);
+      return context.json(await withAnnotations('decision', decisions));
     } catch (error: any) {
       if (error instanceof QueryWorkerTimeoutError) {
         console.warn('Timed out serving decisions from database:', error.message);
@@ -1190,6 +1525,60 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
   });
 
+  app.get(`${config.basePath}/api/decisions/export`, ensureAuth, async (context) => {
+    const exportRequest = getExportRequest(context, 'decisions');
+    if ('error' in exportRequest) {
+      return context.json({ error: exportRequest.error }, 400);
+    }
+
+    try {
+      if (refreshIntervalMs === 0) {
+        await updateCache({ skipIfBusy: true });
+      }
+      await prepareReadCache('decisions export');
+
+      const includeExpired = context.req.query('include_expired') === 'true';
+      const filters = getDecisionListFilters(context, config.timeZone);
+      const compiledSearch = compileDecisionSearch(filters.q, {
+        machineEnabled: true,
+        originEnabled: true,
+      }, {
+        timezoneOffsetMinutes: filters.timezoneOffsetMinutes,
+        timeZone: filters.timeZone,
+      });
+      if (!compiledSearch.ok) {
+        return context.json(toSearchErrorResponse(compiledSearch.error), 400);
+      }
+
+      const { filteredWhere } = buildDecisionListWhere(filters, compiledSearch.ast, includeExpired);
+      const columnIds = exportRequest.columns.map((column) => column.id);
+      return createExportResponse('decisions', exportRequest, async (cursor) => {
+        const where = filteredWhere.clone();
+        if (cursor) {
+          where.add('(decisions.created_at < ? OR (decisions.created_at = ? AND decisions.id < ?))', cursor.createdAt, cursor.createdAt, cursor.id);
+        }
+        const rows = await queryWorker.all<DecisionListRow>(`
+          SELECT ${DECISION_LIST_COLUMNS}
+          FROM decisions
+          ${where.toSql()}
+          ORDER BY decisions.created_at DESC, decisions.id DESC
+          LIMIT ?
+        `, [...where.params, EXPORT_BATCH_SIZE]);
+        const decisions = await buildDecisionList(rows, includeExpired);
+        return {
+          records: decisions.map((decision) => toDecisionExportRecord(decision, columnIds)),
+          cursor: getNextExportCursor(rows),
+        };
+      });
+    } catch (error: any) {
+      if (error instanceof QueryWorkerTimeoutError) {
+        return context.json({ error: 'Decision export timed out' }, 504);
+      }
+      console.error('Error exporting decisions from database:', error.message);
+      return context.json({ error: 'Failed to export decisions' }, 500);
+    }
+  });
+
   app.get(`${config.basePath}/api/instances/:instanceId/alerts/:id`, ensureAuth, async (context) => {
     const instanceId = String(context.req.param('instanceId'));
     const instance = config.instances.find((candidate) => candidate.id === instanceId);
@@ -1208,10 +1597,12 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     const instanceId = String(context.req.param('instanceId'));
     const instance = config.instances.find((candidate) => candidate.id === instanceId);
     if (!instance) return context.json({ error: 'Unknown CrowdSec instance' }, 404);
+    const auditSummary = toAuditIdSummary([`${instanceId}:${context.req.param('id')}`]);
     try {
       await lapiClients.get(instanceId)!.deleteAlert(context.req.param('id'));
       await syncWorker.runExclusive(() => database.deleteAlertByInstanceId(instanceId, context.req.param('id')));
       invalidateDashboardStatsCache();
+      await recordAudit(context, 'alert.delete', auditSummary, [{ instance_id: instance.id, instance_name: instance.name, success: true }]);
       return context.json({
         requested_alerts: 1,
         requested_decisions: 0,
@@ -1220,6 +1611,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
         failed: [],
       } satisfies BulkDeleteResult);
     } catch (error: any) {
+      await recordAudit(context, 'alert.delete', auditSummary, [toAuditErrorResult(instance, error)]);
       return context.json({ error: error?.message || 'Failed to delete alert' }, 502);
     }
   });
@@ -1230,22 +1622,311 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     const instanceId = String(context.req.param('instanceId'));
     const instance = config.instances.find((candidate) => candidate.id === instanceId);
     if (!instance) return context.json({ error: 'Unknown CrowdSec instance' }, 404);
+    const auditSummary = toAuditDecisionSummary([{ instance_id: instanceId, id: context.req.param('id') }]);
     try {
       await lapiClients.get(instanceId)!.deleteDecision(context.req.param('id'));
       await syncWorker.runExclusive(() => database.deleteDecisionByInstanceId(instanceId, context.req.param('id')));
       invalidateDashboardStatsCache();
+      await recordAudit(context, 'decision.delete', auditSummary, [{ instance_id: instance.id, instance_name: instance.name, success: true }]);
       return context.json({ message: 'Deleted' });
     } catch (error: any) {
+      await recordAudit(context, 'decision.delete', auditSummary, [toAuditErrorResult(instance, error)]);
       return context.json({ error: error?.message || 'Failed to delete decision' }, 502);
     }
   });
 
+  const ANNOTATION_ROUTE = `${config.basePath}/api/instances/:instanceId/:kind{alerts|decisions}/:id/annotation`;
+
+  app.get(ANNOTATION_ROUTE, ensureAuth, (context) => {
+    const target = resolveAnnotationTarget(context);
+    if ('error' in target) return context.json({ error: target.error }, target.status);
+    return context.json(readAnnotation(target));
+  });
+
+  app.put(ANNOTATION_ROUTE, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+    const target = resolveAnnotationTarget(context);
+    if ('error' in target) return context.json({ error: target.error }, target.status);
+
+    try {
+      const body = await context.req.json<UpdateAnnotationRequest>();
+      if (body.status === undefined && body.tags === undefined) {
+        return context.json({ error: 'status or tags is required' }, 400);
+      }
+      if (body.status !== undefined && !TRIAGE_STATUSES.includes(body.status)) {
+        return context.json({ error: `status must be one of: ${TRIAGE_STATUSES.join(', ')}` }, 400);
+      }
+      const tags = body.tags === undefined ? undefined : normalizeAnnotationTags(body.tags);
+      if (tags && 'error' in tags) return context.json({ error: tags.error }, 400);
+
+      await syncWorker.runExclusive(() => database.saveAnnotation({
+        kind: target.kind,
+        instanceId: target.instance.id,
+        upstreamId: target.id,
+        status: body.status,
+        tags,
+        updatedAt: new Date().toISOString(),
+        updatedBy: getAnnotationAuthor(context),
+      }));
+      invalidateFacetCache();
+      await recordAudit(context, 'annotation.update', {
+        target: target.kind,
+        id: `${target.instance.id}:${target.id}`,
+        ...(body.status !== undefined ? { status: body.status } : {}),
+        ...(tags ? { tags } : {}),
+      }, [{ instance_id: target.instance.id, instance_name: target.instance.name, success: true }]);
+      return context.json(readAnnotation(target));
+    } catch (error: any) {
+      console.error('Error updating annotation:', error.message);
+      return context.json({ error: 'Failed to update annotation' }, 500);
+    }
+  });
+
+  app.post(`${ANNOTATION_ROUTE}/notes`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+    const target = resolveAnnotationTarget(context);
+    if ('error' in target) return context.json({ error: target.error }, target.status);
+
+    try {
+      const body = await context.req.json<AddAnnotationNoteRequest>();
+      const text = typeof body.body === 'string' ? body.body.trim() : '';
+      if (!text) return context.json({ error: 'Note text is required' }, 400);
+      if (text.length > ANNOTATION_NOTE_MAX_LENGTH) {
+        return context.json({ error: `Notes are limited to ${ANNOTATION_NOTE_MAX_LENGTH} characters` }, 400);
+      }
+
+      await syncWorker.runExclusive(() => database.insertAnnotationNote({
+        kind: target.kind,
+        instanceId: target.instance.id,
+        upstreamId: target.id,
+        body: text,
+        updatedAt: new Date().toISOString(),
+        updatedBy: getAnnotationAuthor(context),
+      }));
+      invalidateFacetCache();
+      await recordAudit(context, 'annotation.update', {
+        target: target.kind,
+        id: `${target.instance.id}:${target.id}`,
+        note: 'added',
+      }, [{ instance_id: target.instance.id, instance_name: target.instance.name, success: true }]);
+      return context.json(readAnnotation(target), 201);
+    } catch (error: any) {
+      console.error('Error adding annotation note:', error.message);
+      return context.json({ error: 'Failed to add note' }, 500);
+    }
+  });
+
+  app.delete(`${ANNOTATION_ROUTE}/notes/:noteId`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+    const target = resolveAnnotationTarget(context);
+    if ('error' in target) return context.json({ error: target.error }, target.status);
+    const noteId = Number.parseInt(String(context.req.param('noteId')), 10);
+    if (!Number.isSafeInteger(noteId)) return context.json({ error: 'Invalid note ID' }, 400);
+
+    const deleted = await syncWorker.runExclusive(() => database.deleteAnnotationNote(target.kind, target.instance.id, target.id, noteId));
+    if (!deleted) return context.json({ error: 'Note not found' }, 404);
+    invalidateFacetCache();
+    await recordAudit(context, 'annotation.update', {
+      target: target.kind,
+      id: `${target.instance.id}:${target.id}`,
+      note: 'deleted',
+    }, [{ instance_id: target.instance.id, instance_name: target.instance.name, success: true }]);
+    return context.json(readAnnotation(target));
+  });
+
+  const INCIDENT_ROUTE = `${config.basePath}/api/incidents/:id{[0-9]+}`;
+
+  app.get(`${config.basePath}/api/incidents`, ensureAuth, async (context) => {
+    try {
+      if (refreshIntervalMs === 0) {
+        await updateCache({ skipIfBusy: true });
+      }
+      await prepareReadCache('incidents request');
+      const statuses = (context.req.query('status') || '').split(',').map((value) => value.trim()).filter(Boolean);
+      const invalidStatus = statuses.find((status) => !TRIAGE_STATUSES.includes(status as TriageStatus));
+      if (invalidStatus) {
+        return context.json({ error: `status must be one of: ${TRIAGE_STATUSES.join(', ')}` }, 400);
+      }
+      const assignee = context.req.query('assignee')?.trim();
+      const pageRequest = getPageRequest(context) || { page: 1, pageSize: 50 };
+      return context.json(await incidentService.list(
+        { statuses: statuses as TriageStatus[], ...(assignee ? { assignee } : {}) },
+        pageRequest.page,
+        pageRequest.pageSize,
+      ));
+    } catch (error: any) {
+      if (error instanceof QueryWorkerTimeoutError) {
+        console.warn('Timed out serving incidents from database:', error.message);
+        return context.json({ error: 'Incident query timed out' }, 504);
+      }
+      console.error('Error serving incidents from database:', error.message);
+      return context.json({ error: 'Failed to retrieve incidents' }, 500);
+    }
+  });
+
+  app.get(`${config.basePath}/api/incidents/settings`, ensureAuth, (context) => {
+    return context.json(incidentService.getSettings());
+  });
+
+  app.put(`${config.basePath}/api/incidents/settings`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const body = await context.req.json().catch(() => null) as Partial<IncidentSettings> | null;
+    const settings = await incidentService.updateSettings(body);
+    if ('error' in settings) return context.json({ error: settings.error }, 400);
+    await recordAudit(context, 'incident.settings.update', { group_by: settings.group_by, window_minutes: settings.window_minutes });
+    return context.json(settings);
+  });
+
+  app.get(INCIDENT_ROUTE, ensureAuth, async (context) => {
+    const id = Number(context.req.param('id'));
+    try {
+      const record = await incidentService.get(id);
+      if (!record) return context.json({ error: 'Incident not found' }, 404);
+      const payload: IncidentDetail = {
+        ...record.incident,
+        sources: record.sources,
+        alerts: await buildSlimAlertList(record.alertRows),
+        alerts_truncated: record.alertsTruncated,
+      };
+      return context.json(payload);
+    } catch (error: any) {
+      if (error instanceof QueryWorkerTimeoutError) {
+        console.warn('Timed out serving incident from database:', error.message);
+        return context.json({ error: 'Incident query timed out' }, 504);
+      }
+      console.error('Error serving incident from database:', error.message);
+      return context.json({ error: 'Failed to retrieve incident' }, 500);
+    }
+  });
+
+  app.put(INCIDENT_ROUTE, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const id = Number(context.req.param('id'));
+    const body = await context.req.json().catch(() => null) as UpdateIncidentRequest | null;
+    const incident = await incidentService.update(id, body, getAnnotationAuthor(context));
+    if ('error' in incident) return context.json({ error: incident.error }, incident.status);
+    await recordAudit(context, 'incident.update', {
+      id,
+      group: incident.value,
+      ...(body?.status !== undefined ? { status: incident.status } : {}),
+      ...(body?.assignee !== undefined ? { assignee: incident.assignee } : {}),
+    });
+    return context.json(incident);
+  });
+
+  app.post(`${INCIDENT_ROUTE}/actions`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const id = Number(context.req.param('id'));
+    const doRequest = async () => {
+      const body = await context.req.json().catch(() => null) as IncidentActionRequest | null;
+      const action = body?.action;
+      if (action !== 'ban' && action !== 'cleanup') {
+        return context.json({ error: 'action must be one of: ban, cleanup' }, 400);
+      }
+      const duration = body?.duration || '4h';
+      const reason = (body?.reason || `incident #${id}`).slice(0, 256);
+      const type = body?.type || 'ban';
+      if (action === 'ban') {
+        const validTypes = ['ban', 'captcha'];
+        if (!validTypes.includes(type)) {
+          return context.json({ error: `Invalid type. Must be one of: ${validTypes.join(', ')}` }, 400);
+        }
+        if (!/^\d+[smhd]$/.test(duration)) {
+          return context.json({ error: 'Invalid duration format. Use e.g. "4h", "1h30m", "1d"' }, 400);
+        }
+      }
+
+      const sources = await incidentService.listSources(id);
+      if (!sources) return context.json({ error: 'Incident not found' }, 404);
+      const values = new Map(sources.map((source) => [source.value, source.scope as DecisionScope]));
+      if (values.size === 0) {
+        return context.json({ error: 'None of the incident alerts are cached anymore' }, 400);
+      }
+      if (values.size > INCIDENT_ACTION_MAX_SOURCES) {
+        return context.json({ error: `Incident actions are limited to ${INCIDENT_ACTION_MAX_SOURCES} sources` }, 400);
+      }
+
+      // Act where the incident was seen; instances removed from the
+      // configuration since then are skipped.
+      const targets = config.instances.filter((instance) => sources.some((source) => source.instance_id === instance.id));
+      if (targets.length === 0) {
+        return context.json({ error: 'None of the instances that reported this incident are configured anymore' }, 400);
+      }
+      const results = await Promise.all(targets.map(async (instance) => {
+        const entries = Array.from(values, ([value, scope]) => ({ value, scope }));
+        try {
+          if (action === 'ban') {
+            await lapiClients.get(instance.id)!.addIncidentDecisions(id, entries, type, duration, reason);
+            if (instance.id === primaryInstance.id) await updateCacheDelta();
+            else await syncInstanceDelta(instance.id);
+            return { instance_id: instance.id, instance_name: instance.name, success: true, result: { banned: entries.length } };
+          }
+
+          const result = createDeleteResult({});
+          for (const entry of entries) {
+            const entryResult = instance.id === primaryInstance.id
+              ? await deleteEntriesByIp(entry.value)
+              : await deleteEntriesByIpOnInstance(instance.id, entry.value);
+            result.requested_alerts += entryResult.requested_alerts;
+            result.requested_decisions += entryResult.requested_decisions;
+            result.deleted_alerts += entryResult.deleted_alerts;
+            result.deleted_decisions += entryResult.deleted_decisions;
+            result.failed.push(...entryResult.failed);
+          }
+          return {
+            instance_id: instance.id,
+            instance_name: instance.name,
+            success: result.failed.length === 0,
+            ...(result.failed.length > 0 ? { error: `${result.failed.length} item(s) failed` } : {}),
+            result,
+          };
+        } catch (error: any) {
+          return { instance_id: instance.id, instance_name: instance.name, success: false, error: error?.message || String(error) };
+        }
+      }));
+      const succeeded = results.filter((result) => result.success).length;
+      for (const result of results) {
+        if (result.success && action === 'ban') {
+          console.log(`[incidents] Added ${type} decision(s) for ${values.size} source(s) of incident #${id} (${duration}). Instance: ${result.instance_name}.`);
+        }
+      }
+      if (succeeded > 0) void runNotificationEvaluation(`incident ${action}`);
+      await recordAudit(
+        context,
+        action === 'ban' ? 'incident.ban' : 'incident.cleanup',
+        {
+          id,
+          count: values.size,
+          values: Array.from(values.keys()).slice(0, AUDIT_SUMMARY_LIST_LIMIT),
+          ...(action === 'ban' ? { type, duration, reason } : {}),
+        },
+        results.map(toAuditResult),
+      );
+      const payload: IncidentActionResponse = { results, succeeded, failed: results.length - succeeded, sources: values.size };
+      return context.json(payload, succeeded === results.length ? 200 : succeeded > 0 ? 207 : 502);
+    };
+
+    try {
+      return await doRequest();
+    } catch (error) {
+      return handleApiError(error as AnyError, context, 'running incident action', doRequest);
+    }
+  });
+
   app.get(`${config.basePath}/api/config`, ensureAuth, (context) => {
-    const hours = lookbackHours(config.lookbackPeriod);
     const payload: ConfigResponse = {
       lookback_period: config.lookbackPeriod,
-      lookback_hours: hours,
-      lookback_days: Math.max(1, Math.round(hours / 24)),
+      lookback_hours: lookbackHours(config.lookbackPeriod),
+      lookback_days: getLookbackDays(),
       refresh_interval: refreshIntervalMs,
       manual_refresh_enabled: manualRefreshEnabled,
       current_interval_name: getIntervalName(refreshIntervalMs),
@@ -1291,6 +1972,52 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     aggregate_status: aggregateLapiStatus(),
   }));
 
+  const instanceSettingsUnavailable = (context: HonoContext) => context.json({
+    error: 'Instances can only be managed from Settings when they are loaded from the application config file',
+  }, 409);
+
+  app.get(`${config.basePath}/api/instances/settings`, ensureAuth, (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+    if (!instanceSettingsService) return instanceSettingsUnavailable(context);
+
+    try {
+      return context.json(instanceSettingsService.getSettings());
+    } catch (error: any) {
+      return context.json({ error: error?.message || 'Failed to read instance settings' }, 500);
+    }
+  });
+
+  app.put(`${config.basePath}/api/instances/settings`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+    if (!instanceSettingsService) return instanceSettingsUnavailable(context);
+
+    const body = await context.req.json().catch(() => null) as UpdateInstancesSettingsRequest | null;
+    try {
+      const result = await instanceSettingsService.updateSettings(body as UpdateInstancesSettingsRequest);
+      if ('error' in result) return context.json({ error: result.error }, 400);
+      await recordAudit(context, 'instances.update', {
+        instances: result.instances.map((instance) => instance.id),
+        restart_required: result.restart_required,
+      });
+      return context.json(result);
+    } catch (error: any) {
+      console.error('Failed to save instance settings:', error?.message || error);
+      return context.json({ error: error?.message || 'Failed to save instance settings' }, 500);
+    }
+  });
+
+  app.post(`${config.basePath}/api/instances/settings/test`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+    if (!instanceSettingsService) return instanceSettingsUnavailable(context);
+
+    const body = await context.req.json().catch(() => null) as InstanceSettings | null;
+    const result = await instanceSettingsService.testConnection(body as InstanceSettings);
+    return 'error' in result ? context.json({ error: result.error }, 400) : context.json(result);
+  });
+
   app.get(`${config.basePath}/api/metrics/crowdsec`, ensureAuth, async (context) => {
     const endpoint = primaryInstance.prometheus[0];
     if (!endpoint) {
@@ -1314,7 +2041,24 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
   });
 
-  app.get(`${config.basePath}/api/instances/:instanceId/metrics/:endpointId`, ensureAuth, async (context) => {
+  app.get(`${config.basePath}/api/metrics/crowdsec/history`, ensureAuth, (context) => {
+    const endpoint = primaryInstance.prometheus[0];
+    if (!endpoint) {
+      return context.json({ error: 'CrowdSec Prometheus metrics are not enabled' }, 404);
+    }
+    const history = getMetricsHistoryResponse(primaryInstance.id, endpoint.id, context.req.query('range'));
+    return 'error' in history ? context.json(history, 400) : context.json(history);
+  });
+
+  app.get(`${config.basePath}/api/instances/:instanceId/metrics/:endpointId/history`, ensureAuth, (context) => {
+    const instance = config.instances.find((candidate) => candidate.id === context.req.param('instanceId'));
+    const endpoint = instance?.prometheus.find((candidate) => candidate.id === context.req.param('endpointId'));
+    if (!instance || !endpoint) return context.json({ error: 'Unknown CrowdSec instance or Prometheus endpoint' }, 404);
+    const history = getMetricsHistoryResponse(instance.id, endpoint.id, context.req.query('range'));
+    return 'error' in history ? context.json(history, 400) : context.json(history);
+  });
+
+  app.get(`${config.basePath}/api/instances/:instanceId/metrics/:endpointId`, ensureAuth, async (context) => {
     const instance = config.instances.find((candidate) => candidate.id === context.req.param('instanceId'));
     const endpoint = instance?.prometheus.find((candidate) => candidate.id === context.req.param('endpointId'));
     if (!instance || !endpoint) return context.json({ error: 'Unknown CrowdSec instance or Prometheus endpoint' }, 404);
@@ -1472,6 +2216,106 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
   });
 
+  const resolveAnnotationTarget = (context: HonoContext):
+    | { kind: AnnotationKind; instance: RuntimeConfig['instances'][number]; id: string }
+    | { error: string; status: 400 | 404 } => {
+    const kind: AnnotationKind = context.req.param('kind') === 'alerts' ? 'alert' : 'decision';
+    const instance = config.instances.find((candidate) => candidate.id === context.req.param('instanceId'));
+    if (!instance) return { error: 'Unknown CrowdSec instance', status: 404 };
+    const id = String(context.req.param('id'));
+    if (!/^\d+$/.test(id)) return { error: `Invalid ${kind} ID`, status: 400 };
+    return { kind, instance, id };
+  };
+
+  const readAnnotation = (target: { kind: AnnotationKind; instance: { id: string }; id: string }): Annotation => {
+    const { row, tags, notes } = database.getAnnotation(target.kind, target.instance.id, target.id);
+    return toAnnotation(row, tags, notes.map(toAnnotationNote));
+  };
+
+  const getAnnotationAuthor = (context: HonoContext): string | null => (
+    dashboardAuth.enabled ? dashboardAuth.getSession(context)?.username ?? null : null
+  );
+
+  const getSavedSearchViewer = (context: HonoContext): SavedSearchViewer => ({
+    userId: dashboardAuth.enabled ? dashboardAuth.getSession(context)?.userId ?? null : null,
+    canManageSettings: dashboardAuth.getPermissions(context).can_manage_settings,
+  });
+
+  app.get(`${config.basePath}/api/saved-searches`, ensureAuth, (context) => {
+    const viewer = getSavedSearchViewer(context);
+    return context.json(database.listSavedSearches(viewer.userId).map((row) => toSavedSearch(row, viewer)));
+  });
+
+  app.post(`${config.basePath}/api/saved-searches`, ensureAuth, async (context) => {
+    try {
+      const viewer = getSavedSearchViewer(context);
+      const body = await context.req.json<UpsertSavedSearchRequest>();
+      const input = normalizeSavedSearchInput(body, config.instances.map((instance) => instance.id));
+      if ('error' in input) {
+        return context.json({ error: input.error }, 400);
+      }
+
+      const id = crypto.randomUUID();
+      await syncWorker.runExclusive(() => database.insertSavedSearch({ ...input, id, userId: viewer.userId }));
+      return context.json(toSavedSearch(database.getSavedSearchById(id)!, viewer), 201);
+    } catch (error: any) {
+      console.error('Error creating saved search:', error.message);
+      return context.json({ error: 'Failed to create saved search' }, 500);
+    }
+  });
+
+  app.put(`${config.basePath}/api/saved-searches/:id`, ensureAuth, async (context) => {
+    try {
+      const viewer = getSavedSearchViewer(context);
+      const id = String(context.req.param('id'));
+      const existing = database.getSavedSearchById(id);
+      if (!existing || (existing.user_id !== viewer.userId && existing.shared !== 1)) {
+        return context.json({ error: 'Saved search not found' }, 404);
+      }
+      if (!canEditSavedSearch(existing, viewer)) {
+        return context.json({ error: 'Only the owner can change this saved search' }, 403);
+      }
+
+      const body = await context.req.json<UpsertSavedSearchRequest>();
+      const input = normalizeSavedSearchInput(
+        { ...body, page: existing.page as UpsertSavedSearchRequest['page'] },
+        config.instances.map((instance) => instance.id),
+      );
+      if ('error' in input) {
+        return context.json({ error: input.error }, 400);
+      }
+
+      await syncWorker.runExclusive(() => database.updateSavedSearch({ ...input, id, userId: existing.user_id }));
+      return context.json(toSavedSearch(database.getSavedSearchById(id)!, viewer));
+    } catch (error: any) {
+      console.error('Error updating saved search:', error.message);
+      return context.json({ error: 'Failed to update saved search' }, 500);
+    }
+  });
+
+  app.delete(`${config.basePath}/api/saved-searches/:id`, ensureAuth, async (context) => {
+    const viewer = getSavedSearchViewer(context);
+    const id = String(context.req.param('id'));
+    const existing = database.getSavedSearchById(id);
+    if (!existing || (existing.user_id !== viewer.userId && existing.shared !== 1)) {
+      return context.json({ error: 'Saved search not found' }, 404);
+    }
+    if (!canEditSavedSearch(existing, viewer)) {
+      return context.json({ error: 'Only the owner can delete this saved search' }, 403);
+    }
+
+    const dependentRules = notificationService.listSettings().rules
+      .filter((rule) => (rule.config as { filters?: NotificationFilter }).filters?.saved_search_id === id);
+    if (dependentRules.length > 0) {
+      return context.json({
+        error: `Saved search is used by notification rules: ${dependentRules.map((rule) => rule.name).join(', ')}`,
+      }, 409);
+    }
+
+    await syncWorker.runExclusive(() => database.deleteSavedSearch(id));
+    return context.json({ success: true });
+  });
+
   app.get(`${config.basePath}/api/notifications`, ensureAuth, (context) => {
     const pageRequest = getPageRequest(context) || { page: 1, pageSize: 50 };
     return context.json(notificationService.listNotifications(pageRequest.page, pageRequest.pageSize));
@@ -1509,6 +2353,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       const succeeded = results.filter((result) => result.success).length;
       const payload = { results, succeeded, failed: results.length - succeeded };
       if (succeeded > 0) void runNotificationEvaluation('cleanup by ip');
+      await recordAudit(context, 'cleanup.by-ip', { ip }, results.map(toAuditResult));
       if (results.length === 1 && body.scope === undefined && results[0].success && 'result' in results[0]) {
         return context.json(results[0].result);
       }
@@ -1581,7 +2426,9 @@ export function createApp(options: CreateAppOptions = {}): AppController {
 
     try {
       const body = await context.req.json<UpsertNotificationChannelRequest>();
-      return context.json(await notificationService.createChannel(body), 201);
+      const channel = await notificationService.createChannel(body);
+      await recordAudit(context, 'notification-channel.create', toAuditSettingSummary(channel));
+      return context.json(channel, 201);
     } catch (error: any) {
       return context.json({ error: error.message || 'Failed to create notification channel' }, 400);
     }
@@ -1594,7 +2441,9 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     try {
       const id = String(context.req.param('id'));
       const body = await context.req.json<UpsertNotificationChannelRequest>();
-      return context.json(await notificationService.updateChannel(id, body));
+      const channel = await notificationService.updateChannel(id, body);
+      await recordAudit(context, 'notification-channel.update', toAuditSettingSummary(channel));
+      return context.json(channel);
     } catch (error: any) {
       const status = error.message === 'Notification channel not found' ? 404 : 400;
       return context.json({ error: error.message || 'Failed to update notification channel' }, status);
@@ -1606,7 +2455,9 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     if (readOnlyResponse) return readOnlyResponse;
 
     const id = String(context.req.param('id'));
+    const existing = database.getNotificationChannelById(id);
     await notificationService.deleteChannel(id);
+    if (existing) await recordAudit(context, 'notification-channel.delete', toAuditSettingSummary(existing));
     return context.json({ success: true });
   });
 
@@ -1630,7 +2481,9 @@ export function createApp(options: CreateAppOptions = {}): AppController {
 
     try {
       const body = await context.req.json<UpsertNotificationRuleRequest>();
-      return context.json(await notificationService.createRule(body), 201);
+      const rule = await notificationService.createRule(body);
+      await recordAudit(context, 'notification-rule.create', toAuditSettingSummary(rule));
+      return context.json(rule, 201);
     } catch (error: any) {
       return context.json({ error: error.message || 'Failed to create notification rule' }, 400);
     }
@@ -1643,7 +2496,9 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     try {
       const id = String(context.req.param('id'));
       const body = await context.req.json<UpsertNotificationRuleRequest>();
-      return context.json(await notificationService.updateRule(id, body));
+      const rule = await notificationService.updateRule(id, body);
+      await recordAudit(context, 'notification-rule.update', toAuditSettingSummary(rule));
+      return context.json(rule);
     } catch (error: any) {
       const status = error.message === 'Notification rule not found' ? 404 : 400;
       return context.json({ error: error.message || 'Failed to update notification rule' }, status);
@@ -1655,10 +2510,138 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     if (readOnlyResponse) return readOnlyResponse;
 
     const id = String(context.req.param('id'));
+    const existing = database.getNotificationRuleById(id);
     await notificationService.deleteRule(id);
+    if (existing) await recordAudit(context, 'notification-rule.delete', toAuditSettingSummary(existing));
+    return context.json({ success: true });
+  });
+
+  app.post(`${config.basePath}/api/notification-reports`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    try {
+      const body = await context.req.json<UpsertNotificationReportRequest>();
+      const report = await notificationService.createReport(body);
+      await recordAudit(context, 'notification-report.create', toAuditSettingSummary({ ...report, type: report.frequency }));
+      return context.json(report, 201);
+    } catch (error: any) {
+      return context.json({ error: error.message || 'Failed to create notification report' }, 400);
+    }
+  });
+
+  app.put(`${config.basePath}/api/notification-reports/:id`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    try {
+      const id = String(context.req.param('id'));
+      const body = await context.req.json<UpsertNotificationReportRequest>();
+      const report = await notificationService.updateReport(id, body);
+      await recordAudit(context, 'notification-report.update', toAuditSettingSummary({ ...report, type: report.frequency }));
+      return context.json(report);
+    } catch (error: any) {
+      const status = error.message === 'Notification report not found' ? 404 : 400;
+      return context.json({ error: error.message || 'Failed to update notification report' }, status);
+    }
+  });
+
+  app.delete(`${config.basePath}/api/notification-reports/:id`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const id = String(context.req.param('id'));
+    const existing = database.getNotificationReportById(id);
+    await notificationService.deleteReport(id);
+    if (existing) await recordAudit(context, 'notification-report.delete', toAuditSettingSummary({ ...existing, type: existing.frequency }));
     return context.json({ success: true });
   });
 
+  app.post(`${config.basePath}/api/notification-reports/:id/send`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    try {
+      await prepareReadCache('notification report');
+      const id = String(context.req.param('id'));
+      return context.json(await notificationService.sendReport(id));
+    } catch (error: any) {
+      const status = error.message === 'Notification report not found' ? 404 : 400;
+      return context.json({ error: error.message || 'Failed to send notification report' }, status);
+    }
+  });
+
+  const backupErrorResponse = (context: HonoContext, error: unknown, fallback: string) => {
+    if (error instanceof BackupError) return context.json({ error: error.message, code: error.code }, 400);
+    console.error(`${fallback}:`, error instanceof Error ? error.message : error);
+    return context.json({ error: fallback }, 500);
+  };
+
+  const readBackupImportBody = async (context: HonoContext) => {
+    const body = await context.req.json().catch(() => null) as ImportBackupRequest | null;
+    const mode = parseBackupImportMode(body?.mode ?? 'merge');
+    if (!body || body.bundle === undefined || !mode) return null;
+    return { bundle: body.bundle, passphrase: body.passphrase, mode };
+  };
+
+  const getBackupActingUsername = (context: HonoContext): string | null => (
+    dashboardAuth.enabled ? dashboardAuth.getSession(context)?.username ?? null : null
+  );
+
+  app.post(`${config.basePath}/api/backup/export`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    try {
+      const body = await context.req.json<ExportBackupRequest>().catch(() => ({} as ExportBackupRequest));
+      const bundle = await backupService.exportBundle(body.passphrase);
+      await recordAudit(context, 'backup.export', { encrypted: bundle.encryption !== null });
+      context.header('Content-Disposition', `attachment; filename="crowdsec-web-ui-backup-${bundle.created_at.slice(0, 10)}.json"`);
+      return context.json(bundle);
+    } catch (error) {
+      return backupErrorResponse(context, error, 'Failed to export backup');
+    }
+  });
+
+  app.post(`${config.basePath}/api/backup/preview`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const body = await readBackupImportBody(context);
+    if (!body) return context.json({ error: 'bundle and a mode of merge or replace are required' }, 400);
+    try {
+      return context.json(await backupService.previewBundle(body.bundle, body.passphrase, body.mode, getBackupActingUsername(context)));
+    } catch (error) {
+      return backupErrorResponse(context, error, 'Failed to preview backup');
+    }
+  });
+
+  app.post(`${config.basePath}/api/backup/import`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const body = await readBackupImportBody(context);
+    if (!body) return context.json({ error: 'bundle and a mode of merge or replace are required' }, 400);
+    try {
+      const result = await backupService.importBundle(body.bundle, body.passphrase, body.mode, getBackupActingUsername(context));
+      const persisted = loadPersistedConfig(database);
+      refreshIntervalMs = persisted.refresh_interval_ms ?? config.refreshIntervalMs;
+      manualRefreshEnabled = persisted.manual_refresh_enabled ?? config.manualRefreshEnabled;
+      startRefreshScheduler();
+      await recordAudit(context, 'backup.import', {
+        mode: body.mode,
+        created_at: result.created_at,
+        includes_secrets: result.includes_secrets,
+        sections: Object.entries(result.sections)
+          .filter(([, diff]) => diff.added.length + diff.changed.length + diff.removed.length > 0)
+          .map(([section]) => section),
+      });
+      return context.json(result);
+    } catch (error) {
+      return backupErrorResponse(context, error, 'Failed to import backup');
+    }
+  });
+
   app.post(`${config.basePath}/api/cache/clear`, ensureAuth, async (context) => {
     const readOnlyResponse = ensureCanManageEnforcement(context);
     if (readOnlyResponse) return readOnlyResponse;
@@ -1678,6 +2661,11 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       staleDashboardStatsResponseCache.clear();
       invalidateDashboardStatsCache();
       await ensureBootstrapReady('manual cache clear');
+      await recordAudit(context, 'cache.clear', {}, config.instances.map((instance) => ({
+        instance_id: instance.id,
+        instance_name: instance.name,
+        success: true,
+      })));
 
       return context.json({
         success: true,
@@ -1686,10 +2674,34 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       });
     } catch (error: any) {
       console.error('Error clearing cache:', error.message);
+      await recordAudit(context, 'cache.clear', {}, config.instances.map((instance) => toAuditErrorResult(instance, error)));
       return context.json({ error: 'Failed to clear cache' }, 500);
     }
   });
 
+  app.get(`${config.basePath}/api/audit`, ensureAuth, async (context) => {
+    try {
+      const pageRequest = getPageRequest(context) || { page: 1, pageSize: 50 };
+      const dateOptions = {
+        timezoneOffsetMinutes: parseTimezoneOffsetValue(context.req.query('tz_offset')),
+        timeZone: getEffectiveRequestTimeZoneValue(context.req.query('browser_tz'), config.timeZone),
+      };
+      const compiledSearch = compileAuditSearch(context.req.query('q') || '', {}, dateOptions);
+      if (!compiledSearch.ok) {
+        return context.json(toSearchErrorResponse(compiledSearch.error), 400);
+      }
+
+      return context.json(await queryPaginatedAudit(pageRequest, compiledSearch.ast, dateOptions));
+    } catch (error: any) {
+      if (error instanceof QueryWorkerTimeoutError) {
+        console.warn('Timed out serving audit log from database:', error.message);
+        return context.json({ error: 'Audit log query timed out' }, 504);
+      }
+      console.error('Error serving audit log from database:', error.message);
+      return context.json({ error: 'Failed to retrieve audit log' }, 500);
+    }
+  });
+
   app.get(`${config.basePath}/api/stats/alerts`, ensureAuth, async (context) => {
     try {
       if (refreshIntervalMs === 0) {
@@ -1798,7 +2810,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       }
 
       await prepareReadCache('dashboard stats request');
-      const filters = getDashboardStatsFilters(context, config.timeZone);
+      const filters = getDashboardStatsFilters(context, config.timeZone, getLookbackDays());
       lastDashboardStatsFilters = { ...filters };
       const initialScopePending = filters.instanceId === 'all'
         ? historicalInstanceSyncPending.size > 0
@@ -1830,24 +2842,79 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
   });
 
+  app.get(`${config.basePath}/api/decisions/drift`, ensureAuth, async (context) => {
+    try {
+      if (refreshIntervalMs === 0) {
+        await updateCache({ skipIfBusy: true });
+      }
+      await prepareReadCache('decision drift request');
+      const origin = context.req.query('origin')?.trim();
+      return context.json(decisionDriftService.listDrift(origin ? { origin } : {}));
+    } catch (error: any) {
+      console.error('Error serving decision drift from database:', error.message);
+      return context.json({ error: 'Failed to compare decisions across instances' }, 500);
+    }
+  });
+
+  app.post(`${config.basePath}/api/decisions/drift/propagate`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const body = await context.req.json().catch(() => null) as PropagateDecisionsRequest | null;
+    const values = Array.from(new Set((Array.isArray(body?.values) ? body.values : [])
+      .map((value) => String(value ?? '').trim())
+      .filter(Boolean)));
+    if (values.length === 0) return context.json({ error: 'At least one value is required' }, 400);
+    if (values.length > DECISION_PROPAGATE_MAX_VALUES) {
+      return context.json({ error: `Propagation is limited to ${DECISION_PROPAGATE_MAX_VALUES} values at a time` }, 400);
+    }
+
+    const response = await decisionDriftService.propagate(values);
+    if (response.propagated > 0) {
+      await syncWorker.runExclusive(() => database.refreshDecisionDuplicateFlags(new Date().toISOString()));
+      invalidateDashboardStatsCache();
+      void runNotificationEvaluation('decision propagation');
+    }
+    await recordAudit(
+      context,
+      'decision.propagate',
+      { count: values.length, values: values.slice(0, AUDIT_SUMMARY_LIST_LIMIT), propagated: response.propagated },
+      response.results.map(toAuditResult),
+    );
+    return context.json(response, response.failed === 0 ? 200 : response.succeeded > 0 ? 207 : 502);
+  });
+
+  app.get(`${config.basePath}/api/decisions/mirror-policy`, ensureAuth, (context) => {
+    return context.json(decisionDriftService.getPolicy());
+  });
+
+  app.put(`${config.basePath}/api/decisions/mirror-policy`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageSettings(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const body = await context.req.json().catch(() => null) as UpdateDecisionMirrorPolicyRequest | null;
+    const policy = await decisionDriftService.updatePolicy(body as UpdateDecisionMirrorPolicyRequest);
+    if ('error' in policy) return context.json({ error: policy.error }, 400);
+    await recordAudit(context, 'decision.mirror-policy.update', { enabled: policy.enabled, instances: policy.instance_ids });
+    if (policy.enabled) void runDecisionMirroring();
+    return context.json(policy);
+  });
+
   app.post(`${config.basePath}/api/decisions`, ensureAuth, async (context) => {
     const readOnlyResponse = ensureCanManageEnforcement(context);
     if (readOnlyResponse) return readOnlyResponse;
 
     const doRequest = async () => {
       const body = await context.req.json<AddDecisionRequest>();
-      const ip = body.ip;
       const duration = body.duration || '4h';
       const reason = body.reason || 'manual';
       const type = body.type || 'ban';
 
-      if (!ip) {
-        return context.json({ error: 'IP address is required' }, 400);
-      }
-
-      if (!isValidIpOrRange(ip)) {
-        return context.json({ error: 'Invalid IP address format' }, 400);
+      const target = normalizeDecisionTarget(body.value ?? body.ip, body.decision_scope);
+      if ('error' in target) {
+        return context.json({ error: target.error }, 400);
       }
+      const { scope: decisionScope, value } = target;
 
       const validTypes = ['ban', 'captcha'];
       if (!validTypes.includes(type)) {
@@ -1855,7 +2922,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       }
 
       if (!/^\d+[smhd]$/.test(duration)) {
-        return context.json({ error: 'Invalid duration format. Use e.g. "4h", "30m", "1d"' }, 400);
+        return context.json({ error: 'Invalid duration format. Use e.g. "4h", "1h30m", "1d"' }, 400);
       }
 
       const targets = resolveOperationInstances(body.scope, body.instance_id);
@@ -1863,7 +2930,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       const results = await Promise.all(targets.map(async (instance) => {
         const client = lapiClients.get(instance.id)!;
         try {
-          const result = await client.addDecision(ip, type, duration, reason.slice(0, 256));
+          const result = await client.addDecision(value, type, duration, reason.slice(0, 256), decisionScope);
           if (instance.id === primaryInstance.id) await updateCacheDelta();
           else await syncInstanceDelta(instance.id);
           return { instance_id: instance.id, instance_name: instance.name, success: true, result };
@@ -1873,10 +2940,17 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       }));
       const succeeded = results.filter((result) => result.success).length;
       const payload = { results, succeeded, failed: results.length - succeeded };
+      const logTarget = decisionScope === 'ip' ? value : `${decisionScope} ${value}`;
       for (const result of results) {
-        if (result.success) console.log(`[decisions] Added ${type} decision for ${ip} (${duration}). Instance: ${result.instance_name}.`);
+        if (result.success) console.log(`[decisions] Added ${type} decision for ${logTarget} (${duration}). Instance: ${result.instance_name}.`);
       }
       if (succeeded > 0) void runNotificationEvaluation('manual decision add');
+      await recordAudit(
+        context,
+        'decision.create',
+        { ip: value, scope: decisionScope, type, duration, reason: reason.slice(0, 256) },
+        results.map(toAuditResult),
+      );
       if (results.length === 1 && body.scope === undefined && results[0].success) {
         return context.json({ message: 'Decision added (via Alert)', result: results[0].result });
       }
@@ -1890,15 +2964,113 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
   });
 
+  app.post(`${config.basePath}/api/decisions/import`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const doRequest = async () => {
+      const body = await context.req.json<ImportDecisionsRequest>();
+      const content = typeof body.content === 'string' ? body.content : '';
+      const duration = body.duration || '4h';
+      const reason = (body.reason || 'blocklist import').slice(0, 256);
+      const type = body.type || 'ban';
+
+      if (!content.trim()) {
+        return context.json({ error: 'Blocklist content is required' }, 400);
+      }
+      const validTypes = ['ban', 'captcha'];
+      if (!validTypes.includes(type)) {
+        return context.json({ error: `Invalid type. Must be one of: ${validTypes.join(', ')}` }, 400);
+      }
+      if (!/^\d+[smhd]$/.test(duration)) {
+        return context.json({ error: 'Invalid duration format. Use e.g. "4h", "1h30m", "1d"' }, 400);
+      }
+      const format = !body.format || body.format === 'auto' ? detectBlocklistFormat(content) : body.format;
+      if (!['text', 'csv', 'json'].includes(format)) {
+        return context.json({ error: 'Invalid format. Must be one of: auto, text, csv, json' }, 400);
+      }
+      const parsed = parseBlocklist(content, format);
+      if ('error' in parsed) return context.json({ error: parsed.error }, 400);
+      if (parsed.items.length === 0) {
+        return context.json({ error: 'The blocklist does not contain any entries' }, 400);
+      }
+      if (parsed.items.length > DECISION_IMPORT_MAX_ENTRIES) {
+        return context.json({ error: `Blocklists are limited to ${DECISION_IMPORT_MAX_ENTRIES} entries per import` }, 400);
+      }
+
+      const targets = resolveOperationInstances(body.scope, body.instance_id);
+      if ('error' in targets) return context.json({ error: targets.error }, 400);
+      const preview = buildDecisionImportPreview(format, parsed.items, targets);
+      if (body.dry_run) return context.json(preview);
+
+      const importable = preview.entries.filter((entry) => entry.status === 'valid');
+      if (importable.length === 0) {
+        return context.json({ ...preview, error: 'The blocklist does not contain any new valid entries' }, 400);
+      }
+      const results = await Promise.all(targets.map(async (instance) => {
+        const entries = importable.filter((entry) => !entry.banned_on?.includes(instance.id));
+        if (entries.length === 0) {
+          return { instance_id: instance.id, instance_name: instance.name, success: true, result: { imported: 0 } };
+        }
+        const client = lapiClients.get(instance.id)!;
+        try {
+          await client.addDecisions(
+            entries.map((entry) => ({ value: entry.value, scope: entry.decision_scope! })),
+            type,
+            duration,
+            reason,
+          );
+          if (instance.id === primaryInstance.id) await updateCacheDelta();
+          else await syncInstanceDelta(instance.id);
+          return { instance_id: instance.id, instance_name: instance.name, success: true, result: { imported: entries.length } };
+        } catch (error: any) {
+          return { instance_id: instance.id, instance_name: instance.name, success: false, error: error?.message || String(error) };
+        }
+      }));
+      const succeeded = results.filter((result) => result.success).length;
+      for (const result of results) {
+        if (result.success) {
+          console.log(`[decisions] Imported ${(result.result as { imported: number }).imported} ${type} decision(s) (${duration}). Instance: ${result.instance_name}.`);
+        }
+      }
+      if (succeeded > 0) void runNotificationEvaluation('decision import');
+      await recordAudit(
+        context,
+        'decision.import',
+        {
+          count: importable.length,
+          values: importable.slice(0, AUDIT_SUMMARY_LIST_LIMIT).map((entry) => entry.value),
+          format,
+          type,
+          duration,
+          reason,
+        },
+        results.map(toAuditResult),
+      );
+      return context.json(
+        { ...preview, results, succeeded, failed: results.length - succeeded },
+        succeeded === results.length ? 200 : succeeded > 0 ? 207 : 502,
+      );
+    };
+
+    try {
+      return await doRequest();
+    } catch (error) {
+      return handleApiError(error as AnyError, context, 'importing decisions', doRequest);
+    }
+  });
+
   app.post(`${config.basePath}/api/decisions/bulk-delete`, ensureAuth, async (context) => {
     const readOnlyResponse = ensureCanManageEnforcement(context);
     if (readOnlyResponse) return readOnlyResponse;
 
+    let auditSummary: Record<string, AuditSummaryValue> | null = null;
     const doRequest = async () => {
       const body = await context.req.json<BulkDeleteRequest>();
       if (Array.isArray(body.refs) && body.refs.length > 0) {
         const validated = validateInstanceEntityRefs(body.refs);
         if ('error' in validated) return context.json({ error: validated.error }, 400);
+        const refsSummary = toAuditDecisionSummary(validated);
         const result = createDeleteResult({ requested_decisions: validated.length });
         const groups = groupInstanceEntityRefs(validated);
         await Promise.all(Array.from(groups, async ([instanceId, ids]) => {
@@ -1916,6 +3088,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
         await syncWorker.runExclusive(() => database.refreshDecisionDuplicateFlags(new Date().toISOString()));
         invalidateDashboardStatsCache();
         if (result.deleted_decisions > 0) void runNotificationEvaluation('bulk decision delete');
+        await recordAudit(context, 'decision.delete', refsSummary, getGroupedAuditResults(groups, result));
         return context.json(result);
       }
       if (!Array.isArray(body.ids) || body.ids.length === 0) {
@@ -1929,17 +3102,148 @@ export function createApp(options: CreateAppOptions = {}): AppController {
         return context.json({ error: 'Decision IDs must be numeric' }, 400);
       }
 
+      auditSummary = toAuditDecisionSummary(ids.map((id) => ({ instance_id: primaryInstance.id, id })));
       const result = await deleteDecisionsByIdsInChunks(ids);
       if (result.deleted_decisions > 0) {
         void runNotificationEvaluation('bulk decision delete');
       }
+      await recordAudit(context, 'decision.delete', auditSummary, [toAuditDeleteResult(primaryInstance, result)]);
+      return context.json(result);
+    };
+
+    try {
+      return await doRequest();
+    } catch (error) {
+      const response = await handleApiError(error as AnyError, context, 'bulk deleting decisions', doRequest);
+      if (auditSummary && !response.ok) {
+        await recordAudit(context, 'decision.delete', auditSummary, [toAuditErrorResult(primaryInstance, error as AnyError)]);
+      }
+      return response;
+    }
+  });
+
+  app.post(`${config.basePath}/api/decisions/edit`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const doRequest = async () => {
+      const body = await context.req.json<EditDecisionsRequest>();
+      let refs: InstanceEntityRef[];
+      if (Array.isArray(body.refs) && body.refs.length > 0) {
+        const validated = validateInstanceEntityRefs(body.refs);
+        if ('error' in validated) return context.json({ error: validated.error }, 400);
+        refs = validated;
+      } else {
+        if (!Array.isArray(body.ids) || body.ids.length === 0) {
+          return context.json({ error: 'At least one decision ID is required' }, 400);
+        }
+        if (config.instances.length > 1) {
+          return context.json({ error: 'Structured instance refs are required when multiple CrowdSec instances are configured' }, 400);
+        }
+        const ids = normalizeDeleteIds(body.ids);
+        if (ids.length !== body.ids.length) {
+          return context.json({ error: 'Decision IDs must be numeric' }, 400);
+        }
+        refs = ids.map((id) => ({ instance_id: primaryInstance.id, id }));
+      }
+      if (refs.length > DECISION_EDIT_MAX_ENTRIES) {
+        return context.json({ error: `Edits are limited to ${DECISION_EDIT_MAX_ENTRIES} decisions at a time` }, 400);
+      }
+
+      const durationMode = body.duration_mode || 'set';
+      if (!['set', 'extend', 'shorten'].includes(durationMode)) {
+        return context.json({ error: 'Invalid duration_mode. Must be one of: set, extend, shorten' }, 400);
+      }
+      const durationMs = body.duration ? parseDuration(body.duration) : null;
+      if (body.duration && !durationMs) {
+        return context.json({ error: 'Invalid duration format. Use e.g. "4h", "1h30m", "1d"' }, 400);
+      }
+      const validTypes = ['ban', 'captcha'];
+      if (body.type !== undefined && !validTypes.includes(body.type)) {
+        return context.json({ error: `Invalid type. Must be one of: ${validTypes.join(', ')}` }, 400);
+      }
+      if (!durationMs && !body.type) {
+        return context.json({ error: 'A new duration or type is required' }, 400);
+      }
+
+      const auditSummary = {
+        ...toAuditDecisionSummary(refs),
+        duration_mode: durationMs ? durationMode : null,
+        duration: body.duration || null,
+        type: body.type || null,
+      };
+      const nowMs = Date.now();
+      const result: EditDecisionsResult = { requested_decisions: refs.length, updated_decisions: 0, failed: [] };
+      const groups = groupInstanceEntityRefs(refs);
+      await Promise.all(Array.from(groups, async ([instanceId, ids]) => {
+        const client = lapiClients.get(instanceId)!;
+        let updated = 0;
+        let replacementLeftBehind = false;
+        for (const id of ids) {
+          try {
+            const internalId = database.getDecisionInternalId(instanceId, id);
+            const decision = internalId ? database.getDecisionById(internalId) : null;
+            if (!internalId || !decision?.value) throw new Error('Decision not found');
+            const remainingMs = Date.parse(decision.stop_at) - nowMs;
+            if (!(remainingMs > 0)) throw new Error('Decision has already expired');
+            const editedRemainingMs = !durationMs
+              ? remainingMs
+              : durationMode === 'extend'
+                ? remainingMs + durationMs
+                : durationMode === 'shorten'
+                  ? remainingMs - durationMs
+                  : durationMs;
+            if (editedRemainingMs < 1_000) throw new Error('The new duration would expire the decision; delete it instead');
+
+            const replacementAlertIds = await client.addReplacementDecision(id, {
+              value: decision.value,
+              scope: decision.scope || (decision.value.includes('/') ? 'range' : 'ip'),
+              type: body.type || decision.type || 'ban',
+              duration: `${Math.ceil(editedRemainingMs / 1_000)}s`,
+              scenario: decision.scenario || 'manual/web-ui',
+              origin: decision.origin || 'cscli',
+              simulated: decision.simulated === true || decision.simulated === 1,
+              source: getReplacementDecisionSource(instanceId, decision),
+            });
+            try {
+              await client.deleteDecision(id);
+            } catch (error) {
+              if (!isAlreadyGoneError(error as AnyError)) {
+                const rollbackError = await rollBackReplacementDecision(client, replacementAlertIds);
+                if (!rollbackError) throw error;
+                replacementLeftBehind = true;
+                throw new Error(
+                  `Replacement decision was added but the original could not be removed (${(error as AnyError).message || 'unknown error'}), `
+                  + `and the replacement could not be rolled back: ${rollbackError}`,
+                );
+              }
+            }
+            await syncWorker.runExclusive(() => database.deleteDecision(internalId));
+            updated += 1;
+          } catch (error) {
+            result.failed.push({ id: `${instanceId}:${id}`, error: (error as AnyError).message || 'Edit failed' });
+          }
+        }
+        result.updated_decisions += updated;
+        // A replacement whose rollback failed is still in LAPI, so sync it into the cache as well.
+        if (updated === 0 && !replacementLeftBehind) return;
+        if (instanceId === primaryInstance.id) await updateCacheDelta();
+        else await syncInstanceDelta(instanceId);
+      }));
+      await syncWorker.runExclusive(() => database.refreshDecisionDuplicateFlags(new Date().toISOString()));
+      invalidateDashboardStatsCache();
+      if (result.updated_decisions > 0) {
+        console.log(`[decisions] Edited ${result.updated_decisions} of ${result.requested_decisions} decision(s).`);
+        void runNotificationEvaluation('decision edit');
+      }
+      await recordAudit(context, 'decision.update', auditSummary, getGroupedAuditResults(groups, result));
       return context.json(result);
     };
 
     try {
       return await doRequest();
     } catch (error) {
-      return handleApiError(error as AnyError, context, 'bulk deleting decisions', doRequest);
+      return handleApiError(error as AnyError, context, 'editing decisions', doRequest);
     }
   });
 
@@ -1953,6 +3257,7 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       return context.json({ error: 'Invalid decision ID' }, 400);
     }
 
+    const auditSummary = toAuditDecisionSummary([{ instance_id: primaryInstance.id, id: decisionId }]);
     const doRequest = async () => {
       const result = await deleteDecisionFromLapi(decisionId);
       console.log(`Removing decision ${decisionId} from local cache...`);
@@ -1962,14 +3267,184 @@ export function createApp(options: CreateAppOptions = {}): AppController {
       });
       invalidateDashboardStatsCache();
       void runNotificationEvaluation('decision delete');
+      await recordAudit(context, 'decision.delete', auditSummary, [{ instance_id: primaryInstance.id, instance_name: primaryInstance.name, success: true }]);
       return context.json((result as object) || { message: 'Deleted' });
     };
 
     try {
       return await doRequest();
     } catch (error) {
-      return handleApiError(error as AnyError, context, 'deleting decision', doRequest);
+      const response = await handleApiError(error as AnyError, context, 'deleting decision', doRequest);
+      if (!response.ok) {
+        await recordAudit(context, 'decision.delete', auditSummary, [toAuditErrorResult(primaryInstance, error as AnyError)]);
+      }
+      return response;
+    }
+  });
+
+  app.get(`${config.basePath}/api/ip/:value`, ensureAuth, async (context) => {
+    const value = String(context.req.param('value') || '').trim();
+    if (!isValidIpOrRange(value)) {
+      return context.json({ error: 'Invalid IP address format' }, 400);
+    }
+
+    try {
+      if (refreshIntervalMs === 0) {
+        await updateCache({ skipIfBusy: true });
+      }
+
+      await prepareReadCache('ip profile request');
+      return context.json(await queryIpProfile(value));
+    } catch (error: any) {
+      if (error instanceof QueryWorkerTimeoutError) {
+        console.warn('Timed out serving IP profile from database:', error.message);
+        return context.json({ error: 'IP profile query timed out' }, 504);
+      }
+      console.error('Error serving IP profile from database:', error.message);
+      return context.json({ error: 'Failed to retrieve IP profile' }, 500);
+    }
+  });
+
+  app.get(`${config.basePath}/api/allowlists`, ensureAuth, async (context) => {
+    const instanceId = context.req.query('instance') || 'all';
+    const targets = instanceId === 'all'
+      ? config.instances
+      : config.instances.filter((candidate) => candidate.id === instanceId);
+    if (targets.length === 0) return context.json({ error: 'Unknown CrowdSec instance' }, 404);
+
+    const responses = await Promise.all(targets.map(async (instance) => {
+      try {
+        return { instance, allowlists: normalizeLapiAllowlists(instance, await lapiClients.get(instance.id)!.getAllowlists()) };
+      } catch (error: any) {
+        return { instance, error: getAllowlistErrorMessage(error, 'read') };
+      }
+    }));
+    const errors = responses.flatMap((response) => 'error' in response
+      ? [{ instance_id: response.instance.id, instance_name: response.instance.name, success: false, error: response.error }]
+      : []);
+    if (errors.length === targets.length) {
+      return context.json({ error: errors[0].error, errors }, 502);
+    }
+    const allowlists = responses
+      .flatMap((response) => response.allowlists || [])
+      .sort((left, right) => left.name.localeCompare(right.name) || left.instance_name.localeCompare(right.instance_name));
+    return context.json<AllowlistsResponse>({ allowlists, errors });
+  });
+
+  app.post(`${config.basePath}/api/allowlists`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const body = await context.req.json().catch(() => null) as CreateAllowlistRequest | null;
+    if (!body || typeof body !== 'object') return context.json({ error: 'Invalid request body' }, 400);
+    const name = String(body.name || '').trim();
+    const description = String(body.description || '').trim().slice(0, 256);
+    if (!ALLOWLIST_NAME_PATTERN.test(name)) {
+      return context.json({ error: 'Allowlist names must be 1-64 letters, digits, dots, dashes or underscores' }, 400);
+    }
+
+    return runAllowlistOperation(context, body, {
+      action: 'allowlist.create',
+      label: 'creating allowlist',
+      summary: { name, description },
+      run: (client) => client.createAllowlist(name, description),
+    });
+  });
+
+  app.delete(`${config.basePath}/api/allowlists/:name`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const name = String(context.req.param('name') || '').trim();
+    const scope = context.req.query('scope');
+    if (scope !== undefined && scope !== 'all' && scope !== 'instance') {
+      return context.json({ error: 'Invalid scope. Must be one of: all, instance' }, 400);
     }
+
+    return runAllowlistOperation(context, { scope, instance_id: context.req.query('instance_id') }, {
+      action: 'allowlist.delete',
+      label: 'deleting allowlist',
+      summary: { name },
+      run: (client) => client.deleteAllowlist(name),
+    });
+  });
+
+  app.post(`${config.basePath}/api/allowlists/:name/items`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const name = String(context.req.param('name') || '').trim();
+    const body = await context.req.json().catch(() => null) as AddAllowlistItemsRequest | null;
+    if (!body || typeof body !== 'object') return context.json({ error: 'Invalid request body' }, 400);
+    const values = normalizeAllowlistValues(body.values);
+    if ('error' in values) return context.json({ error: values.error }, 400);
+
+    const description = String(body.description || '').trim().slice(0, 256);
+    let expiration: string | undefined;
+    if (body.expiration) {
+      const durationMs = parseDuration(body.expiration);
+      if (durationMs === null) {
+        return context.json({ error: 'Invalid expiration format. Use e.g. "24h", "7d"' }, 400);
+      }
+      expiration = new Date(Date.now() + durationMs).toISOString();
+    }
+    const items: AllowlistItemInput[] = values.map((value) => ({
+      value,
+      ...(description ? { description } : {}),
+      ...(expiration ? { expiration } : {}),
+    }));
+
+    return runAllowlistOperation(context, body, {
+      action: 'allowlist.update',
+      label: 'adding allowlist entries',
+      summary: {
+        name,
+        operation: 'add',
+        count: values.length,
+        values: values.slice(0, AUDIT_SUMMARY_LIST_LIMIT),
+        expiration: body.expiration || null,
+        cleanup: body.cleanup === true,
+      },
+      run: async (client, instance) => {
+        const result = await client.addAllowlistItems(name, items);
+        if (body.cleanup !== true) return result;
+
+        // Existing decisions are not lifted by an allowlist, so clean them up once the entry is in place.
+        const cleanup: BulkDeleteResult = { requested_alerts: 0, requested_decisions: 0, deleted_alerts: 0, deleted_decisions: 0, failed: [] };
+        for (const value of values) {
+          const deleted = instance.id === primaryInstance.id && body.scope === undefined
+            ? await deleteEntriesByIp(value)
+            : await deleteEntriesByIpOnInstance(instance.id, value);
+          cleanup.requested_alerts += deleted.requested_alerts;
+          cleanup.requested_decisions += deleted.requested_decisions;
+          cleanup.deleted_alerts += deleted.deleted_alerts;
+          cleanup.deleted_decisions += deleted.deleted_decisions;
+          cleanup.failed.push(...deleted.failed);
+        }
+        if (cleanup.failed.length > 0) {
+          throw new Error(`Entries were allowlisted, but ${cleanup.failed.length} cleanup item(s) failed`);
+        }
+        return { cleanup };
+      },
+    });
+  });
+
+  app.post(`${config.basePath}/api/allowlists/:name/items/bulk-delete`, ensureAuth, async (context) => {
+    const readOnlyResponse = ensureCanManageEnforcement(context);
+    if (readOnlyResponse) return readOnlyResponse;
+
+    const name = String(context.req.param('name') || '').trim();
+    const body = await context.req.json().catch(() => null) as RemoveAllowlistItemsRequest | null;
+    if (!body || typeof body !== 'object') return context.json({ error: 'Invalid request body' }, 400);
+    const values = normalizeAllowlistValues(body.values);
+    if ('error' in values) return context.json({ error: values.error }, 400);
+
+    return runAllowlistOperation(context, body, {
+      action: 'allowlist.update',
+      label: 'removing allowlist entries',
+      summary: { name, operation: 'remove', count: values.length, values: values.slice(0, AUDIT_SUMMARY_LIST_LIMIT) },
+      run: (client) => client.removeAllowlistItems(name, values),
+    });
   });
 
   app.get(`${config.basePath}/api/update-check`, ensureAuth, async (context) => {
@@ -2081,6 +3556,38 @@ export function createApp(options: CreateAppOptions = {}): AppController {
     }
   }
 
+  async function runDecisionMirroring(): Promise<void> {
+    try {
+      const response = await decisionDriftService.mirrorNewDecisions();
+      if (!response) return;
+      if (response.propagated > 0) {
+        await syncWorker.runExclusive(() => database.refreshDecisionDuplicateFlags(new Date().toISOString()));
+        invalidateDashboardStatsCache();
+      }
+      const results = response.results.map(toAuditResult);
+      await syncWorker.runExclusive(() => database.insertAuditLog({
+        userId: null,
+        username: null,
+        authMethod: null,
+        action: 'decision.propagate',
+        instanceIds: results.map((result) => result.instance_id),
+        summary: { automatic: true, propagated: response.propagated },
+        outcome: response.failed === 0 ? 'success' : response.succeeded > 0 ? 'partial' : 'failure',
+        results,
+      }));
+    } catch (error: any) {
+      console.error('Decision mirroring failed:', error.message);
+    }
+  }
+
+  async function runIncidentCorrelation(): Promise<void> {
+    try {
+      await incidentService.correlate();
+    } catch (error: any) {
+      console.error('Incident correlation failed:', error.message);
+    }
+  }
+
   function getLegacyAlertSyncQueries(): AlertSyncQuery[] {
     const queries: AlertSyncQuery[] = [];
     let includeUnfiltered = false;
@@ -2614,6 +4121,8 @@ export function createApp(options: CreateAppOptions = {}): AppController {
   ): Promise<boolean> {
     alerts = await enrichAlertRecordLocations(alerts);
     if (freshBulkImport) {
+      recordLiveChanges(pendingLiveChanges, 'alerts', instanceId, alerts.map((alert) => alert.id));
+      recordLiveChanges(pendingLiveChanges, 'decisions', instanceId, alerts.flatMap((alert) => (alert.decisions || []).map((decision) => decision.id)));
       let changed = false;
       for (const mutations of createSyncWriteBatches(alerts, null, null, null, new Date().toISOString(), instanceId, true)) {
         const result = await syncWorker.persistAlerts(mutations);
@@ -2656,6 +4165,8 @@ export function createApp(options: CreateAppOptions = {}): AppController {
         }
       }
     }
+    recordLiveChanges(pendingLiveChanges, 'alerts', instanceId, alertsToPersist.map((alert) => alert.id));
+    recordLiveChanges(pendingLiveChanges, 'decisions', instanceId, Array.from(affectedDecisionIds).filter((id) => !removedDecisionIds.has(id)));
 
     const deferSearchIndexes = decisionMutationCount >= SYNC_DEFER_SEARCH_INDEX_DECISION_THRESHOLD;
     if (deferSearchIndexes) {
@@ -3594,15 +5105,42 @@ ${errorSummary}  Status: ${syncSummary.state}
   }
 
   async function cleanupOldData(): Promise<void> {
-    const cutoff = new Date(Date.now() - config.lookbackMs).toISOString();
+    const now = Date.now();
+    const cutoff = new Date(now - config.lookbackMs).toISOString();
+    const hourlyRollupCutoff = new Date(now - STATS_ROLLUP_HOURLY_RETENTION_MS).toISOString();
     try {
-      const removed = await syncWorker.cleanupOldData(cutoff);
+      const removed = await syncWorker.cleanupOldData(cutoff, hourlyRollupCutoff);
       console.log(`Cleanup: Removed ${removed.alerts} old alerts, ${removed.decisions} old decisions`);
+      // Removed rows now live in the rollups; a cached index still holding them would count them twice.
+      if (removed.alerts > 0 || removed.decisions > 0) invalidateDashboardStatsCache();
+      if (config.auditLogRetentionMs > 0) {
+        const removedAuditEntries = await syncWorker.pruneAuditLog(new Date(now - config.auditLogRetentionMs).toISOString());
+        if (removedAuditEntries > 0) console.log(`Cleanup: Removed ${removedAuditEntries} old audit log entries`);
+      }
     } catch (error: any) {
       console.error('Cleanup failed:', error.message);
     }
   }
 
+  // Visits cached rows in worker-sized batches whenever the configured GeoIP
+  // databases differ from the ones the cache was enriched with.
+  async function backfillGeoIpEnrichment(): Promise<void> {
+    let updated = 0;
+    try {
+      while (!geoIpBackfillStopped) {
+        const batch = await syncWorker.backfillGeoIpEnrichment();
+        updated += batch.updated;
+        if (batch.done) break;
+      }
+      if (updated > 0) {
+        console.log(`GeoIP enrichment: Updated ${updated} cached alerts and decisions`);
+        invalidateDashboardStatsCache();
+      }
+    } catch (error: any) {
+      if (!geoIpBackfillStopped) console.error('GeoIP enrichment backfill failed:', error.message);
+    }
+  }
+
   function runCacheRefresh(operation: () => Promise<void>, skipIfBusy = false): Promise<void> {
     if (cacheRefreshPromise) return skipIfBusy ? Promise.resolve() : cacheRefreshPromise;
 
@@ -3617,6 +5155,8 @@ ${errorSummary}  Status: ${syncSummary.state}
       await updateCacheDelta(options);
       await cleanupOldData();
       await runNotificationEvaluation('cache update');
+      void runDecisionMirroring();
+      void runIncidentCorrelation();
     }, options.skipIfBusy);
   }
 
@@ -3881,20 +5421,277 @@ ${errorSummary}  Status: ${syncSummary.state}
     }, 0);
   }
 
-  function stopHeartbeatScheduler(logStop = true): void {
-    if (logStop && (isHeartbeatSchedulerRunning || heartbeatTimeout)) {
-      console.log('Stopping CrowdSec machine heartbeat...');
+  function stopHeartbeatScheduler(logStop = true): void {
+    if (logStop && (isHeartbeatSchedulerRunning || heartbeatTimeout)) {
+      console.log('Stopping CrowdSec machine heartbeat...');
+    }
+    isHeartbeatSchedulerRunning = false;
+    if (heartbeatTimeout) {
+      clearTimeout(heartbeatTimeout);
+      heartbeatTimeout = null;
+    }
+  }
+
+  async function scrapeMetricsHistory(): Promise<void> {
+    await Promise.all(config.instances.flatMap((instance) => instance.prometheus.map(async (endpoint) => {
+      const endpointKey = `${instance.id}\u0000${endpoint.id}`;
+      try {
+        const metrics = await fetchCrowdsecMetrics({
+          url: endpoint.url,
+          timeoutMs: endpoint.requestTimeoutMs || config.prometheusRequestTimeoutMs,
+          auth: endpoint.auth,
+          tls: endpoint.tls,
+          fetchImpl: options.metricsFetchImpl,
+        });
+        database.insertMetricsHistorySample(
+          instance.id,
+          endpoint.id,
+          metrics.fetched_at,
+          JSON.stringify(toMetricsHistoryCounters(metrics)),
+        );
+        failingMetricsHistoryEndpoints.delete(endpointKey);
+      } catch (error: any) {
+        // Log once per outage so an unreachable endpoint does not flood the log every interval.
+        if (!failingMetricsHistoryEndpoints.has(endpointKey)) {
+          console.warn(`Metrics history scrape failed for ${instance.name} (${endpoint.name}): ${error?.message || error}`);
+        }
+        failingMetricsHistoryEndpoints.add(endpointKey);
+      }
+    })));
+    database.pruneMetricsHistory(new Date(Date.now() - METRICS_HISTORY_RETENTION_MS).toISOString());
+  }
+
+  async function runMetricsHistoryLoop(): Promise<void> {
+    if (!isMetricsHistorySchedulerRunning) return;
+
+    await scrapeMetricsHistory();
+
+    if (!isMetricsHistorySchedulerRunning) return;
+
+    metricsHistoryTimeout = setTimeout(() => {
+      void runMetricsHistoryLoop();
+    }, config.metricsHistoryIntervalMs);
+    metricsHistoryTimeout.unref?.();
+  }
+
+  function startMetricsHistoryScheduler(): void {
+    stopMetricsHistoryScheduler(false);
+    if (config.metricsHistoryIntervalMs <= 0 || !config.instances.some((instance) => instance.prometheus.length > 0)) {
+      return;
+    }
+
+    console.log(`Starting metrics history scraping (${getIntervalName(config.metricsHistoryIntervalMs)})...`);
+    isMetricsHistorySchedulerRunning = true;
+    metricsHistoryTimeout = setTimeout(() => {
+      void runMetricsHistoryLoop();
+    }, 0);
+    metricsHistoryTimeout.unref?.();
+  }
+
+  function stopMetricsHistoryScheduler(logStop = true): void {
+    if (logStop && (isMetricsHistorySchedulerRunning || metricsHistoryTimeout)) {
+      console.log('Stopping metrics history scraping...');
+    }
+    isMetricsHistorySchedulerRunning = false;
+    if (metricsHistoryTimeout) {
+      clearTimeout(metricsHistoryTimeout);
+      metricsHistoryTimeout = null;
+    }
+  }
+
+  async function runNotificationReportLoop(): Promise<void> {
+    if (!isNotificationReportSchedulerRunning) return;
+
+    // Reports wait for the initial sync so they never summarize a partially loaded cache.
+    if (cache.isInitialized && historicalInstanceSyncPending.size === 0) {
+      try {
+        await notificationService.sendDueReports();
+      } catch (error: any) {
+        console.error('Scheduled report delivery failed:', error.message);
+      }
+    }
+
+    if (!isNotificationReportSchedulerRunning) return;
+
+    notificationReportTimeout = setTimeout(() => {
+      void runNotificationReportLoop();
+    }, NOTIFICATION_REPORT_CHECK_INTERVAL_MS);
+    notificationReportTimeout.unref?.();
+  }
+
+  function startNotificationReportScheduler(): void {
+    stopNotificationReportScheduler();
+    isNotificationReportSchedulerRunning = true;
+    notificationReportTimeout = setTimeout(() => {
+      void runNotificationReportLoop();
+    }, 0);
+    notificationReportTimeout.unref?.();
+  }
+
+  function stopNotificationReportScheduler(): void {
+    isNotificationReportSchedulerRunning = false;
+    if (notificationReportTimeout) {
+      clearTimeout(notificationReportTimeout);
+      notificationReportTimeout = null;
     }
-    isHeartbeatSchedulerRunning = false;
-    if (heartbeatTimeout) {
-      clearTimeout(heartbeatTimeout);
-      heartbeatTimeout = null;
+  }
+
+  function getMetricsHistoryResponse(
+    instanceId: string,
+    endpointId: string,
+    rawRange: string | undefined,
+  ): CrowdsecMetricsHistoryResponse | { error: string } {
+    const range = (rawRange || '1h') as CrowdsecMetricsHistoryRange;
+    if (!CROWDSEC_METRICS_HISTORY_RANGES.includes(range)) {
+      return { error: `Invalid range. Must be one of: ${CROWDSEC_METRICS_HISTORY_RANGES.join(', ')}` };
     }
+
+    const now = Date.now();
+    const { durationMs, stepMs } = METRICS_HISTORY_RANGE_WINDOWS[range];
+    // Reach one step further back so the first bucket has a baseline scrape to diff against.
+    const since = new Date(now - durationMs - stepMs).toISOString();
+    const samples = database.listMetricsHistorySamples(instanceId, endpointId, since).map((row) => ({
+      scrapedAt: row.scraped_at,
+      counters: JSON.parse(row.counters_json) as MetricsHistoryCounters,
+    }));
+
+    return {
+      range,
+      step_ms: stepMs,
+      interval_ms: config.metricsHistoryIntervalMs,
+      samples: samples.length,
+      points: buildMetricsHistoryPoints(samples, range, now),
+    };
+  }
+
+  function collectExporterMetrics(): MetricFamily[] {
+    const now = new Date().toISOString();
+    const lapiStatus = aggregateLapiStatus();
+    const syncStates: SyncState[] = ['idle', 'syncing', 'complete', 'partial', 'failed'];
+    const instanceSync = config.instances.map((instance) => ({
+      labels: { instance_id: instance.id },
+      status: instanceSyncStatuses.get(instance.id) || syncStatus,
+    }));
+    const lastCacheUpdate = toTimestampSeconds(cacheRefreshCompletedAt);
+
+    return [
+      {
+        name: 'crowdsec_web_ui_build_info',
+        help: 'Web UI build information.',
+        type: 'gauge',
+        samples: [{ labels: { version: config.version, branch: config.branch }, value: 1 }],
+      },
+      {
+        name: 'crowdsec_web_ui_instance_info',
+        help: 'Configured CrowdSec instances.',
+        type: 'gauge',
+        samples: config.instances.map((instance) => ({ labels: { instance_id: instance.id, instance_name: instance.name }, value: 1 })),
+      },
+      {
+        name: 'crowdsec_web_ui_lapi_up',
+        help: 'Whether the LAPI connection of the instance is currently healthy.',
+        type: 'gauge',
+        samples: config.instances.map((instance) => ({
+          labels: { instance_id: instance.id },
+          value: lapiClients.get(instance.id)?.getStatus().isConnected ? 1 : 0,
+        })),
+      },
+      {
+        name: 'crowdsec_web_ui_lapi_status',
+        help: 'Aggregate LAPI availability across all instances; the current status is 1.',
+        type: 'gauge',
+        samples: (['healthy', 'partial', 'offline'] as const).map((status) => ({ labels: { status }, value: status === lapiStatus ? 1 : 0 })),
+      },
+      {
+        name: 'crowdsec_web_ui_sync_in_progress',
+        help: 'Whether a sync is currently running for the instance.',
+        type: 'gauge',
+        samples: instanceSync.map(({ labels, status }) => ({ labels, value: status.isSyncing ? 1 : 0 })),
+      },
+      {
+        name: 'crowdsec_web_ui_sync_state',
+        help: 'Sync state of the instance; the current state is 1.',
+        type: 'gauge',
+        samples: instanceSync.flatMap(({ labels, status }) => syncStates.map((state) => ({
+          labels: { ...labels, state },
+          value: (status.state || 'idle') === state ? 1 : 0,
+        }))),
+      },
+      {
+        name: 'crowdsec_web_ui_sync_errors',
+        help: 'Errors reported by the latest sync of the instance.',
+        type: 'gauge',
+        samples: instanceSync.map(({ labels, status }) => ({ labels, value: status.errors?.length || 0 })),
+      },
+      {
+        name: 'crowdsec_web_ui_sync_last_completed_timestamp_seconds',
+        help: 'Unix time the latest sync of the instance completed.',
+        type: 'gauge',
+        samples: instanceSync.flatMap(({ labels, status }) => {
+          const completedAt = toTimestampSeconds(status.completedAt);
+          return completedAt === null ? [] : [{ labels, value: completedAt }];
+        }),
+      },
+      {
+        name: 'crowdsec_web_ui_cache_initialized',
+        help: 'Whether the initial cache load has finished.',
+        type: 'gauge',
+        samples: [{ value: cache.isInitialized ? 1 : 0 }],
+      },
+      {
+        name: 'crowdsec_web_ui_cache_last_update_timestamp_seconds',
+        help: 'Unix time the cache was last refreshed and safe to read.',
+        type: 'gauge',
+        samples: lastCacheUpdate === null ? [] : [{ value: lastCacheUpdate }],
+      },
+      {
+        name: 'crowdsec_web_ui_cached_alerts',
+        help: 'Alerts stored in the local cache.',
+        type: 'gauge',
+        samples: config.instances.map((instance) => ({ labels: { instance_id: instance.id }, value: database.countAlerts(instance.id) })),
+      },
+      {
+        name: 'crowdsec_web_ui_cached_decisions',
+        help: 'Decisions stored in the local cache, including expired ones.',
+        type: 'gauge',
+        samples: config.instances.map((instance) => ({ labels: { instance_id: instance.id }, value: database.countDecisions(instance.id) })),
+      },
+      {
+        name: 'crowdsec_web_ui_active_decisions',
+        help: 'Active decisions by instance, type and origin.',
+        type: 'gauge',
+        samples: database.countActiveDecisionsByGroup(now, config.simulationsEnabled).map((row) => ({
+          labels: { instance_id: row.instance_id, type: row.type, origin: row.origin },
+          value: row.count,
+        })),
+      },
+      {
+        name: 'crowdsec_web_ui_pending_alert_deletions',
+        help: 'Alert deletions waiting for their decisions to expire or for a retry.',
+        type: 'gauge',
+        samples: [{ value: database.getPendingAlertDeletions().length }],
+      },
+      {
+        name: 'crowdsec_web_ui_notification_deliveries',
+        help: 'Notification deliveries in the retained notification history by channel type and status.',
+        type: 'gauge',
+        samples: database.countNotificationDeliveries().map((row) => ({
+          labels: { channel_type: row.channel_type, status: row.status },
+          value: row.count,
+        })),
+      },
+    ];
   }
 
   async function activityTrackerMiddleware(context: HonoContext, next: HonoNext): Promise<void> {
     const pathname = new URL(context.req.url).pathname;
-    if (pathname === '/api/health' || pathname === `${config.basePath}/api/health`) {
+    // Health checks and metric scrapes are machine traffic and must not keep
+    // the scheduler out of idle mode.
+    if (
+      pathname === '/api/health'
+      || pathname === `${config.basePath}/api/health`
+      || (config.metricsEndpoint.enabled && pathname === `${config.basePath}/metrics`)
+    ) {
       await next();
       return;
     }
@@ -3996,6 +5793,41 @@ ${errorSummary}  Status: ${syncSummary.state}
     return IPV4_RE.test(value) || IPV6_RE.test(value);
   }
 
+  function buildDecisionImportPreview(
+    format: ImportDecisionsPreview['format'],
+    items: Array<{ position: number; value: string }>,
+    targets: Array<{ id: string }>,
+  ): ImportDecisionsPreview {
+    const activeInstances = database.getActiveDecisionInstancesByValues(
+      items.map((item) => item.value),
+      new Date().toISOString(),
+    );
+    const seen = new Set<string>();
+    const entries = items.map((item): DecisionImportEntry => {
+      if (!isValidIpOrRange(item.value)) {
+        return { position: item.position, value: item.value, status: 'invalid' };
+      }
+      const decisionScope = item.value.includes('/') ? 'range' : 'ip';
+      if (seen.has(item.value)) {
+        return { position: item.position, value: item.value, decision_scope: decisionScope, status: 'duplicate' };
+      }
+      seen.add(item.value);
+      const bannedOn = targets
+        .map((instance) => instance.id)
+        .filter((instanceId) => activeInstances.get(item.value)?.has(instanceId));
+      return {
+        position: item.position,
+        value: item.value,
+        decision_scope: decisionScope,
+        status: bannedOn.length === targets.length ? 'already_banned' : 'valid',
+        ...(bannedOn.length > 0 ? { banned_on: bannedOn } : {}),
+      };
+    });
+    const counts = { valid: 0, invalid: 0, duplicate: 0, already_banned: 0 };
+    for (const entry of entries) counts[entry.status] += 1;
+    return { format, entries, counts };
+  }
+
   function isPermissionError(error: AnyError): boolean {
     return error.response?.status === 403;
   }
@@ -4004,6 +5836,32 @@ ${errorSummary}  Status: ${syncSummary.state}
     return error.response?.status === 404 || error.response?.status === 410;
   }
 
+  function toAuditDecisionSummary(refs: InstanceEntityRef[]): Record<string, AuditSummaryValue> {
+    const values = new Set<string>();
+    for (const ref of refs) {
+      const internalId = database.getDecisionInternalId(ref.instance_id, ref.id) ?? String(ref.id);
+      const value = database.getDecisionById(internalId)?.value;
+      if (typeof value === 'string' && value) values.add(value);
+    }
+    return {
+      ...toAuditIdSummary(refs.map((ref) => config.instances.length > 1 ? `${ref.instance_id}:${ref.id}` : String(ref.id))),
+      values: Array.from(values).slice(0, AUDIT_SUMMARY_LIST_LIMIT),
+    };
+  }
+
+  function getGroupedAuditResults(groups: Map<string, string[]>, result: { failed: Array<{ id: string }> }): AuditInstanceResult[] {
+    return Array.from(groups.keys(), (instanceId) => {
+      const instance = config.instances.find((candidate) => candidate.id === instanceId)!;
+      const failed = result.failed.filter((failure) => failure.id.startsWith(`${instanceId}:`)).length;
+      return {
+        instance_id: instance.id,
+        instance_name: instance.name,
+        success: failed === 0,
+        ...(failed > 0 ? { error: `${failed} item(s) failed` } : {}),
+      };
+    });
+  }
+
   function toFailure(kind: 'alert' | 'decision', id: string, error: AnyError): BulkDeleteFailure {
     return {
       kind,
@@ -4025,6 +5883,29 @@ ${errorSummary}  Status: ${syncSummary.state}
     }
   }
 
+  // Reuse the source of the alert that created the decision so the replacement keeps its geo and AS details.
+  function getReplacementDecisionSource(instanceId: string, decision: NormalizedDecisionRow): Record<string, unknown> | undefined {
+    if (decision.alert_id === null || decision.alert_id === undefined) return undefined;
+    const snapshot = database.getAlertDecisionSnapshot(decision.alert_id, instanceId);
+    const alert = snapshot ? parseAlertPayload(snapshot.raw_data) : null;
+    return alert?.source && getAlertSourceValue(alert.source) === decision.value ? { ...alert.source } : undefined;
+  }
+
+  // Removes the alert that carried an edit's replacement decision when the original could not be
+  // deleted, so a failed edit does not leave both decisions active. Returns the rollback error, if any.
+  async function rollBackReplacementDecision(client: LapiClient, createdAlertIds: unknown): Promise<string | null> {
+    const alertIds = Array.isArray(createdAlertIds)
+      ? createdAlertIds.filter((alertId) => /^\d+$/.test(String(alertId))).map(String)
+      : [];
+    if (alertIds.length === 0) return 'LAPI did not return the replacement alert ID';
+    try {
+      for (const alertId of alertIds) await client.deleteAlert(alertId);
+      return null;
+    } catch (rollbackError) {
+      return (rollbackError as AnyError).message || 'unknown error';
+    }
+  }
+
   async function deleteDecisionFromLapi(id: string): Promise<unknown> {
     try {
       return await lapiClient.deleteDecision(id);
@@ -4542,25 +6423,7 @@ ${errorSummary}  Status: ${syncSummary.state}
     searchAst: SearchNode | null,
     includeDecisions: boolean,
   ): Promise<PaginatedResponse<SlimAlert>> {
-    const since = new Date(Date.now() - config.lookbackMs).toISOString();
-    const baseWhere = createSqlWhere();
-    baseWhere.add('created_at >= ?', since);
-    if (filters.instanceId !== 'all') {
-      baseWhere.add('instance_id = ?', filters.instanceId);
-    } else {
-      baseWhere.add(`instance_id IN (${config.instances.map(() => '?').join(',')})`, ...config.instances.map((instance) => instance.id));
-    }
-    if (!config.simulationsEnabled) {
-      baseWhere.add('simulated = 0');
-    }
-
-    const filteredWhere = baseWhere.clone();
-    addAlertSqlFilters(filteredWhere, filters);
-    const searchWhere = compileAlertSearchSql(searchAst, filters);
-    if (searchWhere) {
-      filteredWhere.add(searchWhere.sql, ...searchWhere.params);
-    }
-
+    const { baseWhere, filteredWhere } = buildAlertListWhere(filters, searchAst);
     const offset = (pageRequest.page - 1) * pageRequest.pageSize;
     const filteredCountIndexHint = getAlertCountIndexHint(filters, searchAst);
     const [unfilteredTotal, total, rows] = await Promise.all([
@@ -4595,6 +6458,135 @@ ${errorSummary}  Status: ${syncSummary.state}
     };
   }
 
+  async function queryPaginatedAudit(
+    pageRequest: PageRequest,
+    searchAst: SearchNode | null,
+    dateOptions: { timezoneOffsetMinutes: number; timeZone: string | null },
+  ): Promise<PaginatedResponse<AuditLogEntry>> {
+    const baseWhere = createSqlWhere();
+    const filteredWhere = baseWhere.clone();
+    const searchCondition = compileSearchNodeSql(searchAst, {
+      page: 'audit',
+      dateOptions,
+      fieldCondition: auditFieldCondition,
+      freeTextCondition: auditFreeTextCondition,
+    });
+    if (searchCondition) filteredWhere.add(searchCondition.sql, ...searchCondition.params);
+
+    const offset = (pageRequest.page - 1) * pageRequest.pageSize;
+    const [unfilteredTotal, total, rows] = await Promise.all([
+      queryCount('audit_log', baseWhere),
+      searchCondition ? queryCount('audit_log', filteredWhere) : null,
+      queryWorker.all<AuditLogRow>(`
+        SELECT * FROM audit_log
+        ${filteredWhere.toSql()}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `, [...filteredWhere.params, pageRequest.pageSize, offset]),
+    ]);
+    const filteredTotal = total ?? unfilteredTotal;
+
+    return {
+      data: rows.map(auditEntryFromRow),
+      pagination: {
+        page: pageRequest.page,
+        page_size: pageRequest.pageSize,
+        total: filteredTotal,
+        total_pages: Math.ceil(filteredTotal / pageRequest.pageSize),
+        unfiltered_total: unfilteredTotal,
+      },
+      selectable_ids: [],
+    };
+  }
+
+  function createLiveQuery(stream: LiveStream, values: Record<string, string>): LiveQuery | { error: string } {
+    const readValue = (key: string) => (Object.hasOwn(values, key) ? values[key] : undefined);
+    if (stream === 'alerts') {
+      const filters = getAlertListFiltersFromValues(readValue, config.timeZone);
+      const compiledSearch = compileAlertSearch(filters.q, { machineEnabled: true, originEnabled: true }, {
+        timezoneOffsetMinutes: filters.timezoneOffsetMinutes,
+        timeZone: filters.timeZone,
+      });
+      if (!compiledSearch.ok) return { error: compiledSearch.error.message };
+      return async (changes) => {
+        if (changes.truncated) return { rows: [], truncated: true };
+        const rows = await queryLiveRows<NormalizedAlertRow>(
+          'alerts',
+          ALERT_RECORD_COLUMNS,
+          getLiveChangeKeys(changes, 'alerts'),
+          () => buildAlertListWhere(filters, compiledSearch.ast).filteredWhere,
+        );
+        return { rows: await buildSlimAlertList(rows), truncated: false };
+      };
+    }
+
+    const filters = getDecisionListFiltersFromValues(readValue, config.timeZone);
+    const includeExpired = readValue('include_expired') === 'true';
+    const compiledSearch = compileDecisionSearch(filters.q, { machineEnabled: true, originEnabled: true }, {
+      timezoneOffsetMinutes: filters.timezoneOffsetMinutes,
+      timeZone: filters.timeZone,
+    });
+    if (!compiledSearch.ok) return { error: compiledSearch.error.message };
+    return async (changes) => {
+      if (changes.truncated) return { rows: [], truncated: true };
+      const rows = await queryLiveRows<DecisionListRow>(
+        'decisions',
+        DECISION_LIST_COLUMNS,
+        getLiveChangeKeys(changes, 'decisions'),
+        () => buildDecisionListWhere(filters, compiledSearch.ast, includeExpired).filteredWhere,
+      );
+      return { rows: await buildDecisionList(rows, includeExpired), truncated: false };
+    };
+  }
+
+  // Runs the list query of a page restricted to the rows a sync just wrote,
+  // newest first, so live subscribers see exactly what a reload would add.
+  async function queryLiveRows<T extends { created_at?: unknown; id?: unknown }>(
+    table: 'alerts' | 'decisions',
+    columns: string,
+    keys: Array<[string, string]>,
+    buildWhere: () => SqlWhere,
+  ): Promise<T[]> {
+    const rows: T[] = [];
+    for (let offset = 0; offset < keys.length; offset += 400) {
+      const chunk = keys.slice(offset, offset + 400);
+      const where = buildWhere();
+      where.add(`(${table}.instance_id, ${table}.upstream_id) IN (VALUES ${chunk.map(() => '(?, ?)').join(', ')})`, ...chunk.flat());
+      rows.push(...await queryWorker.all<T>(`
+        SELECT ${columns}
+        FROM ${table}
+        ${where.toSql()}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `, [...where.params, LIVE_ROWS_LIMIT]));
+    }
+    return rows
+      .sort((left, right) => String(right.created_at).localeCompare(String(left.created_at)))
+      .slice(0, LIVE_ROWS_LIMIT);
+  }
+
+  function buildAlertListWhere(filters: AlertListFilters, searchAst: SearchNode | null) {
+    const since = new Date(Date.now() - config.lookbackMs).toISOString();
+    const baseWhere = createSqlWhere();
+    baseWhere.add('created_at >= ?', since);
+    if (filters.instanceId !== 'all') {
+      baseWhere.add('instance_id = ?', filters.instanceId);
+    } else {
+      baseWhere.add(`instance_id IN (${config.instances.map(() => '?').join(',')})`, ...config.instances.map((instance) => instance.id));
+    }
+    if (!config.simulationsEnabled) {
+      baseWhere.add('simulated = 0');
+    }
+
+    const filteredWhere = baseWhere.clone();
+    addAlertSqlFilters(filteredWhere, filters);
+    const searchWhere = compileAlertSearchSql(searchAst, filters);
+    if (searchWhere) {
+      filteredWhere.add(searchWhere.sql, ...searchWhere.params);
+    }
+    return { baseWhere, filteredWhere };
+  }
+
   async function buildFullSlimAlertList(rows: NormalizedAlertRow[]): Promise<SlimAlert[]> {
     const internalIds = rows.map((row) => row.internal_id).filter((id): id is string | number => id !== undefined);
     const decisionsByInternalId = new Map<string, NormalizedDecisionRow[]>();
@@ -4614,20 +6606,20 @@ ${errorSummary}  Status: ${syncSummary.state}
         decisionsByInternalId.set(key, list);
       }
     }
-    return enrichAlertLocations(rows.map((row) => hydrateAlertWithDecisionsBatch(
+    return withAnnotations('alert', await enrichAlertLocations(rows.map((row) => hydrateAlertWithDecisionsBatch(
       alertFromRow(row),
       decisionsByInternalId.get(String(row.internal_id)) || [],
     ))
       .map(withInstanceName)
       .map((alert) => applySimulationModeToAlert(alert, config.simulationsEnabled))
       .filter((alert): alert is AlertRecord => alert !== null)
-      .map(toSlimAlert));
+      .map(toSlimAlert)));
   }
 
   async function buildSlimAlertList(rows: NormalizedAlertRow[]): Promise<SlimAlert[]> {
     const internalIds = rows.map((row) => row.internal_id).filter((id): id is string | number => id !== undefined);
     const decisionSummaries = await queryAlertDecisionSummaries(internalIds);
-    return enrichAlertLocations(rows.map(alertFromRow)
+    return withAnnotations('alert', await enrichAlertLocations(rows.map(alertFromRow)
       .map(withInstanceName)
       .map((alert) => applySimulationModeToAlert(alert, config.simulationsEnabled))
       .filter((alert): alert is AlertRecord => alert !== null)
@@ -4635,7 +6627,59 @@ ${errorSummary}  Status: ${syncSummary.state}
         ...toSlimAlert(alert),
         decisions: [],
         decision_summary: decisionSummaries.get(String(rows[index]?.internal_id)) || emptyAlertDecisionSummary(),
-      })));
+      }))));
+  }
+
+  async function withAnnotations<T extends SlimAlert | DecisionListItem>(kind: AnnotationKind, items: T[]): Promise<T[]> {
+    const annotations = await queryAnnotations(kind, items.map((item) => ({
+      instance_id: item.instance_id || primaryInstance.id,
+      id: item.id,
+    })));
+    if (annotations.size === 0) return items;
+    return items.map((item) => {
+      const annotation = annotations.get(`${item.instance_id || primaryInstance.id}:${item.id}`);
+      return annotation ? { ...item, annotation } : item;
+    });
+  }
+
+  async function queryAnnotations(kind: AnnotationKind, refs: InstanceEntityRef[]): Promise<Map<string, Annotation>> {
+    const annotations = new Map<string, Annotation>();
+    const idsByInstance = new Map<string, string[]>();
+    for (const ref of refs) {
+      const ids = idsByInstance.get(ref.instance_id) || [];
+      ids.push(String(ref.id));
+      idsByInstance.set(ref.instance_id, ids);
+    }
+
+    for (const [instanceId, ids] of idsByInstance) {
+      for (let offset = 0; offset < ids.length; offset += 900) {
+        const chunk = ids.slice(offset, offset + 900);
+        const recordSql = `kind = ? AND instance_id = ? AND upstream_id IN (${chunk.map(() => '?').join(', ')})`;
+        const params = [kind, instanceId, ...chunk];
+        const rows = await queryWorker.all<AnnotationRow & { upstream_id: string }>(`
+          SELECT upstream_id, status, updated_at, updated_by FROM annotations WHERE ${recordSql}
+        `, params);
+        // Tags and notes always come with an annotations row, so most pages stop here.
+        if (rows.length === 0) continue;
+        for (const row of rows) {
+          annotations.set(`${instanceId}:${row.upstream_id}`, toAnnotation(row, [], []));
+        }
+        const tagRows = await queryWorker.all<{ upstream_id: string; tag: string }>(`
+          SELECT upstream_id, tag FROM annotation_tags WHERE ${recordSql} ORDER BY tag ASC
+        `, params);
+        for (const row of tagRows) {
+          annotations.get(`${instanceId}:${row.upstream_id}`)?.tags.push(row.tag);
+        }
+        const noteRows = await queryWorker.all<AnnotationNoteRow & { upstream_id: string }>(`
+          SELECT id, upstream_id, author, body, created_at FROM annotation_notes WHERE ${recordSql}
+          ORDER BY created_at ASC, id ASC
+        `, params);
+        for (const row of noteRows) {
+          annotations.get(`${instanceId}:${row.upstream_id}`)?.notes.push(toAnnotationNote(row));
+        }
+      }
+    }
+    return annotations;
   }
 
   async function queryAlertDecisionSummaries(alertIds: Array<string | number>): Promise<Map<string, AlertDecisionSummary>> {
@@ -4698,9 +6742,46 @@ ${errorSummary}  Status: ${syncSummary.state}
     searchAst: SearchNode | null,
     includeExpired: boolean,
   ): Promise<PaginatedResponse<DecisionListItem>> {
+    const { baseWhere, filteredWhere } = buildDecisionListWhere(filters, searchAst, includeExpired);
+    const offset = (pageRequest.page - 1) * pageRequest.pageSize;
+    const decisionsTable = `decisions ${getDecisionPageIndexHint(filters, searchAst)}`.trim();
+    const [unfilteredTotal, total, rows] = await Promise.all([
+      queryCount('decisions', baseWhere),
+      queryCount('decisions', filteredWhere),
+      queryWorker.all<DecisionListRow>(`
+        SELECT ${DECISION_LIST_COLUMNS}
+        FROM ${decisionsTable}
+        ${filteredWhere.toSql()}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `, [...filteredWhere.params, pageRequest.pageSize, offset]),
+    ]);
+
+    const data = await buildDecisionList(rows, includeExpired);
+
+    return {
+      data,
+      pagination: {
+        page: pageRequest.page,
+        page_size: pageRequest.pageSize,
+        total,
+        total_pages: Math.ceil(total / pageRequest.pageSize),
+        unfiltered_total: unfilteredTotal,
+      },
+      selectable_ids: data
+        .filter((decision) => !isDecisionListItemExpired(decision))
+        .map((decision) => decision.id),
+      ...(config.instances.length > 1 ? {
+        selectable_refs: data
+          .filter((decision) => !isDecisionListItemExpired(decision))
+          .map((decision) => ({ instance_id: decision.instance_id || primaryInstance.id, id: decision.id })),
+      } : {}),
+    };
+  }
+
+  function buildDecisionListWhere(filters: DecisionListFilters, searchAst: SearchNode | null, includeExpired: boolean) {
     const since = new Date(Date.now() - config.lookbackMs).toISOString();
     const now = new Date().toISOString();
-    const duplicateSql = '(decisions.is_duplicate = 1)';
     const baseWhere = createSqlWhere();
     if (filters.instanceId !== 'all') {
       baseWhere.add('instance_id = ?', filters.instanceId);
@@ -4722,27 +6803,10 @@ ${errorSummary}  Status: ${syncSummary.state}
     if (searchWhere) {
       filteredWhere.add(searchWhere.sql, ...searchWhere.params);
     }
+    return { baseWhere, filteredWhere };
+  }
 
-    const offset = (pageRequest.page - 1) * pageRequest.pageSize;
-    const decisionsTable = `decisions ${getDecisionPageIndexHint(filters, searchAst)}`.trim();
-    const [unfilteredTotal, total, rows] = await Promise.all([
-      queryCount('decisions', baseWhere),
-      queryCount('decisions', filteredWhere),
-      queryWorker.all<NormalizedDecisionRow & {
-        is_duplicate?: number;
-        latitude?: number | null;
-        longitude?: number | null;
-      }>(`
-        SELECT ${DECISION_RECORD_COLUMNS}, ${duplicateSql} AS is_duplicate,
-          (SELECT latitude FROM alerts WHERE alerts.id = decisions.alert_id) AS latitude,
-          (SELECT longitude FROM alerts WHERE alerts.id = decisions.alert_id) AS longitude
-        FROM ${decisionsTable}
-        ${filteredWhere.toSql()}
-        ORDER BY created_at DESC, id DESC
-        LIMIT ? OFFSET ?
-      `, [...filteredWhere.params, pageRequest.pageSize, offset]),
-    ]);
-
+  async function buildDecisionList(rows: DecisionListRow[], includeExpired: boolean): Promise<DecisionListItem[]> {
     const alertCoordinates = new Map<string, { latitude: number; longitude: number }>();
     const decisions = rows.map((row) => {
       const decision = decisionFromRow(row);
@@ -4755,25 +6819,194 @@ ${errorSummary}  Status: ${syncSummary.state}
       decision.is_duplicate = row.is_duplicate === 1;
       return toDecisionListItem(decision, includeExpired);
     });
-    const data = await enrichDecisionLocations(decisions, alertCoordinates);
+    return withAnnotations('decision', await enrichDecisionLocations(decisions, alertCoordinates));
+  }
 
-    return {
-      data,
-      pagination: {
-        page: pageRequest.page,
-        page_size: pageRequest.pageSize,
-        total,
-        total_pages: Math.ceil(total / pageRequest.pageSize),
-        unfiltered_total: unfilteredTotal,
-      },
-      selectable_ids: data
-        .filter((decision) => !isDecisionListItemExpired(decision))
-        .map((decision) => decision.id),
-      ...(config.instances.length > 1 ? {
-        selectable_refs: data
-          .filter((decision) => !isDecisionListItemExpired(decision))
-          .map((decision) => ({ instance_id: decision.instance_id || primaryInstance.id, id: decision.id })),
-      } : {}),
+  function buildIpProfileWhere(tableName: 'alerts' | 'decisions', value: string): SqlWhere {
+    const where = createSqlWhere();
+    where.add(`instance_id IN (${config.instances.map(() => '?').join(',')})`, ...config.instances.map((instance) => instance.id));
+    if (!config.simulationsEnabled) {
+      where.add('simulated = 0');
+    }
+    // A single address also matches range-scoped entries that cover it; a range
+    // matches every address and sub-range stored inside it.
+    if (value.includes('/')) {
+      if (tableName === 'alerts') {
+        where.add('matches_ip_search_value(source_ip, ?) = 1 OR matches_ip_search_value(source_value, ?) = 1', value, value);
+      } else {
+        where.add('matches_ip_search_value(value, ?) = 1', value);
+      }
+    } else if (tableName === 'alerts') {
+      where.add(
+        `source_ip = ? OR source_value = ?
+          OR (source_ip LIKE '%/%' AND matches_ip_search_value(?, source_ip) = 1)
+          OR (source_value LIKE '%/%' AND matches_ip_search_value(?, source_value) = 1)`,
+        value,
+        value,
+        value,
+        value,
+      );
+    } else {
+      where.add("value = ? OR (value LIKE '%/%' AND matches_ip_search_value(?, value) = 1)", value, value);
+    }
+    return where;
+  }
+
+  async function queryIpProfileCounts(column: 'scenario' | 'target' | 'machine', where: SqlWhere): Promise<IpProfileCount[]> {
+    const rows = await queryWorker.all<{ value: string; count: number }>(`
+      SELECT TRIM(${column}) AS value, COUNT(*) AS count
+      FROM alerts
+      ${where.toSql()} AND COALESCE(TRIM(${column}), '') != ''
+      GROUP BY TRIM(${column})
+      ORDER BY count DESC, value ASC
+      LIMIT ?
+    `, [...where.params, IP_PROFILE_FACET_LIMIT]);
+    return rows.map((row) => ({ value: row.value, count: Number(row.count) || 0 }));
+  }
+
+  async function queryIpProfileLocation(alertWhere: SqlWhere, decisionWhere: SqlWhere): Promise<IpProfileLocation | null> {
+    const alertRow = await queryWorker.get<{
+      country: string | null;
+      country_name: string | null;
+      region: string | null;
+      city: string | null;
+      as_name: string | null;
+      source_as_number: string | number | null;
+      latitude: number | null;
+      longitude: number | null;
+    } | undefined>(`
+      SELECT country, country_name, region, city, as_name, source_as_number, latitude, longitude
+      FROM alerts
+      ${alertWhere.toSql()} AND (country IS NOT NULL OR as_name IS NOT NULL)
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, alertWhere.params);
+    if (alertRow) {
+      return {
+        country: alertRow.country,
+        country_name: alertRow.country_name,
+        region: alertRow.region,
+        city: alertRow.city,
+        as_name: alertRow.as_name,
+        as_number: alertRow.source_as_number === null || alertRow.source_as_number === undefined || alertRow.source_as_number === ''
+          ? null
+          : String(alertRow.source_as_number),
+        latitude: normalizeDashboardCoordinate(alertRow.latitude, -90, 90) ?? null,
+        longitude: normalizeDashboardCoordinate(alertRow.longitude, -180, 180) ?? null,
+      };
+    }
+
+    // Imported or manual decisions carry no alert, but the decision index still
+    // keeps whatever geo and AS data CrowdSec attached to them.
+    const decisionRow = await queryWorker.get<{
+      country: string | null;
+      country_name: string | null;
+      region: string | null;
+      city: string | null;
+      as_name: string | null;
+    } | undefined>(`
+      SELECT country, country_name, region, city, as_name
+      FROM decisions
+      ${decisionWhere.toSql()} AND (country IS NOT NULL OR as_name IS NOT NULL)
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `, decisionWhere.params);
+    return decisionRow
+      ? { ...decisionRow, as_number: null, latitude: null, longitude: null }
+      : null;
+  }
+
+  async function queryIpProfile(value: string): Promise<IpProfileResponse> {
+    const now = new Date().toISOString();
+    const alertWhere = buildIpProfileWhere('alerts', value);
+    const decisionWhere = buildIpProfileWhere('decisions', value);
+    const [alertTotals, decisionTotals, instanceAlertRows, instanceDecisionRows, scenarios, targets, machines, location, alertRows, decisionRows] = await Promise.all([
+      queryWorker.get<{ count: number; first_seen: string | null; last_seen: string | null; active_days: number; scenario_count: number }>(`
+        SELECT COUNT(*) AS count, MIN(created_at) AS first_seen, MAX(created_at) AS last_seen,
+          COUNT(DISTINCT SUBSTR(created_at, 1, 10)) AS active_days,
+          COUNT(DISTINCT NULLIF(TRIM(scenario), '')) AS scenario_count
+        FROM alerts
+        ${alertWhere.toSql()}
+      `, alertWhere.params),
+      queryWorker.get<{ count: number; active_count: number | null; first_seen: string | null; last_seen: string | null }>(`
+        SELECT COUNT(*) AS count, SUM(CASE WHEN stop_at > ? THEN 1 ELSE 0 END) AS active_count,
+          MIN(created_at) AS first_seen, MAX(created_at) AS last_seen
+        FROM decisions
+        ${decisionWhere.toSql()}
+      `, [now, ...decisionWhere.params]),
+      queryWorker.all<{ instance_id: string; count: number }>(`
+        SELECT instance_id, COUNT(*) AS count FROM alerts ${alertWhere.toSql()} GROUP BY instance_id
+      `, alertWhere.params),
+      queryWorker.all<{ instance_id: string; count: number }>(`
+        SELECT instance_id, COUNT(*) AS count FROM decisions ${decisionWhere.toSql()} GROUP BY instance_id
+      `, decisionWhere.params),
+      queryIpProfileCounts('scenario', alertWhere),
+      queryIpProfileCounts('target', alertWhere),
+      queryIpProfileCounts('machine', alertWhere),
+      queryIpProfileLocation(alertWhere, decisionWhere),
+      queryWorker.all<NormalizedAlertRow>(`
+        SELECT ${ALERT_RECORD_COLUMNS}
+        FROM alerts
+        ${alertWhere.toSql()}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `, [...alertWhere.params, IP_PROFILE_TIMELINE_LIMIT]),
+      queryWorker.all<DecisionListRow>(`
+        SELECT ${DECISION_LIST_COLUMNS}
+        FROM decisions
+        ${decisionWhere.toSql()}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `, [...decisionWhere.params, IP_PROFILE_TIMELINE_LIMIT]),
+    ]);
+
+    const alerts = await buildSlimAlertList(alertRows);
+    const decisions = await buildDecisionList(decisionRows, true);
+    const alertCount = Number(alertTotals.count) || 0;
+    const decisionCount = Number(decisionTotals.count) || 0;
+    const activeDays = Number(alertTotals.active_days) || 0;
+    const alertsByInstance = new Map(instanceAlertRows.map((row) => [row.instance_id, Number(row.count) || 0]));
+    const decisionsByInstance = new Map(instanceDecisionRows.map((row) => [row.instance_id, Number(row.count) || 0]));
+    const instances = config.instances
+      .map((instance) => ({
+        instance_id: instance.id,
+        instance_name: instance.name,
+        alerts: alertsByInstance.get(instance.id) || 0,
+        decisions: decisionsByInstance.get(instance.id) || 0,
+      }))
+      .filter((instance) => instance.alerts > 0 || instance.decisions > 0);
+    const firstSeen = [alertTotals.first_seen, decisionTotals.first_seen]
+      .filter((timestamp): timestamp is string => Boolean(timestamp))
+      .sort()[0] || null;
+    const lastSeen = [alertTotals.last_seen, decisionTotals.last_seen]
+      .filter((timestamp): timestamp is string => Boolean(timestamp))
+      .sort()
+      .at(-1) || null;
+
+    return {
+      value,
+      kind: value.includes('/') ? 'range' : 'ip',
+      first_seen: firstSeen,
+      last_seen: lastSeen,
+      location,
+      stats: {
+        alert_count: alertCount,
+        decision_count: decisionCount,
+        active_decision_count: Number(decisionTotals.active_count) || 0,
+        scenario_count: Number(alertTotals.scenario_count) || 0,
+        active_days: activeDays,
+        instance_count: instances.length,
+        repeat_offender: activeDays > 1 || decisionCount > 1,
+      },
+      scenarios,
+      targets,
+      machines,
+      instances,
+      alerts,
+      active_decisions: decisions.filter((decision) => !decision.expired),
+      expired_decisions: decisions.filter((decision) => decision.expired),
+      alerts_truncated: alertCount > alerts.length,
+      decisions_truncated: decisionCount > decisions.length,
     };
   }
 
@@ -4825,7 +7058,13 @@ ${errorSummary}  Status: ${syncSummary.state}
       target: "COALESCE(TRIM(target), '')",
       machine: "COALESCE(TRIM(machine), '')",
       origin: "COALESCE(TRIM(origins), '')",
+      status: triageStatusSql('alerts'),
     } as Record<string, string>)[request.field];
+    if (request.field === 'tag') {
+      const response = await queryFacetValues('alerts', "''", [], filteredWhere, request, searchAst, annotationTagFacetRows('alerts', filteredWhere));
+      setCachedFacetResponse(cacheKey, response);
+      return response;
+    }
     if (request.field === 'decision') {
       const simulationSql = config.simulationsEnabled ? '' : ' AND facet_decision.simulated = 0';
       const now = new Date().toISOString();
@@ -4947,9 +7186,15 @@ ${errorSummary}  Status: ${syncSummary.state}
           action: "COALESCE(TRIM(type), '')",
           machine: "COALESCE(TRIM(machine), '')",
           origin: "COALESCE(TRIM(origin), '')",
+          triage: triageStatusSql('decisions'),
         } as Record<string, string>)[request.field],
         params: [],
       };
+    if (request.field === 'tag') {
+      const response = await queryFacetValues('decisions', "''", [], filteredWhere, request, searchAst, annotationTagFacetRows('decisions', filteredWhere));
+      setCachedFacetResponse(cacheKey, response);
+      return response;
+    }
     if (!valueDefinition.sql) throw new Error(`Unsupported decision facet field: ${request.field}`);
 
     const response = await queryFacetValues(
@@ -5063,7 +7308,7 @@ ${errorSummary}  Status: ${syncSummary.state}
   }
 
   async function queryCount(
-    tableName: 'alerts' | 'decisions',
+    tableName: 'alerts' | 'decisions' | 'audit_log',
     where: SqlWhere,
     indexHint: '' | 'INDEXED BY idx_alerts_filters' = '',
   ): Promise<number> {
@@ -5464,6 +7709,80 @@ ${errorSummary}  Status: ${syncSummary.state}
     return statsCache;
   }
 
+  function getLookbackDays(): number {
+    return Math.max(1, Math.round(lookbackHours(config.lookbackPeriod) / 24));
+  }
+
+  /**
+   * Reads the rollup counts for the part of an extended dashboard range that
+   * lies before the lookback. Rolled-up rows were deleted from the cache in the
+   * same transaction, so they never overlap the stats index.
+   */
+  async function loadDashboardRollups(filters: DashboardStatsFilters): Promise<DashboardRollupRecords> {
+    const [firstBucketKey] = getDashboardBucketKeys(filters, filters.rangeDays, true);
+    const rangeStart = parseDashboardBucketKey(firstBucketKey, filters.timezoneOffsetMinutes, filters.timeZone).getTime();
+    // Daily rollups are UTC dates, so start one day early and let the bucket keys trim the edge.
+    const dailyStart = new Date(rangeStart - 24 * 60 * 60 * 1_000).toISOString().slice(0, 10);
+    const hourlyStart = new Date(rangeStart).toISOString().slice(0, 13);
+    const hourlyHorizon = new Date(Date.now() - STATS_ROLLUP_HOURLY_RETENTION_MS).toISOString().slice(0, 10);
+
+    const where = createSqlWhere();
+    if (filters.instanceId === 'all') {
+      where.add(`instance_id IN (${config.instances.map(() => '?').join(',')})`, ...config.instances.map((instance) => instance.id));
+    } else {
+      where.add('instance_id = ?', filters.instanceId);
+    }
+    if (!config.simulationsEnabled) {
+      where.add('simulated = 0');
+    }
+    const readRollups = (table: string, bucketWhere: SqlWhere) => queryWorker.all<{
+      bucket: string;
+      kind: string;
+      instance_id: string;
+      scenario: string;
+      country: string;
+      as_name: string;
+      simulated: number;
+      count: number;
+    }>(`
+      SELECT bucket, kind, instance_id, scenario, country, as_name, simulated, SUM(count) AS count
+      FROM ${table}
+      ${bucketWhere.toSql()}
+      GROUP BY bucket, kind, instance_id, scenario, country, as_name, simulated
+    `, bucketWhere.params);
+
+    const hourlyWhere = where.clone();
+    hourlyWhere.add('bucket >= ?', hourlyStart > hourlyHorizon ? hourlyStart : hourlyHorizon);
+    const dailyWhere = where.clone();
+    dailyWhere.add('bucket >= ?', dailyStart);
+    dailyWhere.add('bucket < ?', hourlyHorizon);
+    const rows = [
+      ...(await readRollups('stats_rollups_hourly', hourlyWhere)).map((row) => ({ ...row, createdAt: `${row.bucket}:00:00.000Z` })),
+      ...(await readRollups('stats_rollups_daily', dailyWhere)).map((row) => ({ ...row, createdAt: `${row.bucket}T12:00:00.000Z` })),
+    ];
+
+    const rollups: DashboardRollupRecords = { alerts: [], decisions: [] };
+    for (const row of rows) {
+      if (getDashboardBucketKey(row.createdAt, filters) < firstBucketKey) continue;
+      const record = {
+        instanceId: row.instance_id,
+        createdAt: row.createdAt,
+        timestamp: Date.parse(row.createdAt),
+        country: row.country || undefined,
+        scenario: row.scenario || undefined,
+        asName: row.as_name || undefined,
+        simulated: row.simulated === 1,
+        count: row.count,
+      };
+      if (row.kind === 'alert') {
+        rollups.alerts.push(record);
+      } else {
+        rollups.decisions.push({ ...record, stopTimestamp: 0 });
+      }
+    }
+    return rollups;
+  }
+
   async function buildDashboardStats(filters: DashboardStatsFilters): Promise<DashboardStatsResponse> {
     // A secondary sync can finish while a large Combined index or response is
     // being assembled. Scope generations make that work obsolete. Retry here
@@ -5573,7 +7892,10 @@ ${errorSummary}  Status: ${syncSummary.state}
     responseCacheKey: string,
   ): Promise<DashboardStatsResponse> {
     const nowTimestamp = Date.now();
-    const lookbackDays = Math.max(1, Math.round(lookbackHours(config.lookbackPeriod) / 24));
+    const rangeDays = filters.rangeDays;
+    const rollups = rangeDays > getLookbackDays() ? await loadDashboardRollups(filters) : null;
+    const alerts = rollups ? rollups.alerts.concat(statsIndex.alerts) : statsIndex.alerts;
+    const decisions = rollups ? rollups.decisions.concat(statsIndex.decisions) : statsIndex.decisions;
 
     const filteredAlertAccumulator = createDashboardStatsAccumulator();
     const chartAlertAccumulator = createDashboardStatsAccumulator();
@@ -5582,11 +7904,11 @@ ${errorSummary}  Status: ${syncSummary.state}
     const filteredAlertIps = new Set<string>();
     const sliderAlertIps = new Set<string>();
 
-    for (let index = 0; index < statsIndex.alerts.length; index += 1) {
+    for (let index = 0; index < alerts.length; index += 1) {
       if (index > 0 && index % DASHBOARD_LOOP_YIELD_INTERVAL === 0) {
         await delay(0);
       }
-      const alert = statsIndex.alerts[index];
+      const alert = alerts[index];
       if (filters.instanceId !== 'all' && alert.instanceId !== filters.instanceId) continue;
       if (alert.ip && alert.country && alert.country !== 'Unknown') {
         alertCountryByIp.set(alert.ip, alert.country);
@@ -5618,11 +7940,11 @@ ${errorSummary}  Status: ${syncSummary.state}
     const sliderDecisionAccumulator = createDashboardDecisionAccumulator();
 
     let globalTotal = 0;
-    for (let index = 0; index < statsIndex.decisions.length; index += 1) {
+    for (let index = 0; index < decisions.length; index += 1) {
       if (index > 0 && index % DASHBOARD_LOOP_YIELD_INTERVAL === 0) {
         await delay(0);
       }
-      const decision = statsIndex.decisions[index];
+      const decision = decisions[index];
       if (filters.instanceId !== 'all' && decision.instanceId !== filters.instanceId) continue;
       if (!matchesDashboardSimulationFilter(decision.simulated, filters.simulation)) {
         continue;
@@ -5647,15 +7969,15 @@ ${errorSummary}  Status: ${syncSummary.state}
         }
       }
     }
-    for (let index = 0; index < statsIndex.alerts.length; index += 1) {
+    for (let index = 0; index < alerts.length; index += 1) {
       if (index > 0 && index % DASHBOARD_LOOP_YIELD_INTERVAL === 0) {
         await delay(0);
       }
       if (
-        (filters.instanceId === 'all' || statsIndex.alerts[index].instanceId === filters.instanceId)
-        && matchesDashboardSimulationFilter(statsIndex.alerts[index].simulated, filters.simulation)
+        (filters.instanceId === 'all' || alerts[index].instanceId === filters.instanceId)
+        && matchesDashboardSimulationFilter(alerts[index].simulated, filters.simulation)
       ) {
-        globalTotal += 1;
+        globalTotal += alerts[index].count ?? 1;
       }
     }
 
@@ -5664,7 +7986,7 @@ ${errorSummary}  Status: ${syncSummary.state}
     );
 
     const response: DashboardStatsResponse = {
-      totals: statsIndex.totals,
+      totals: rollups ? addDashboardRollupTotals(statsIndex.totals, rollups) : statsIndex.totals,
       filteredTotals: {
         alerts: filteredAlertAccumulator.alerts,
         decisions: filteredDecisionAccumulator.decisions,
@@ -5679,16 +8001,16 @@ ${errorSummary}  Status: ${syncSummary.state}
       topScenarios: topDashboardEntries(filteredAlertAccumulator.scenarios),
       topAS: topDashboardEntries(filteredAlertAccumulator.asNames),
       series: {
-        alertsHistory: dashboardBuckets(chartAlertAccumulator.liveAlertBuckets, filters, lookbackDays),
-        simulatedAlertsHistory: dashboardBuckets(chartAlertAccumulator.simulatedAlertBuckets, filters, lookbackDays),
-        decisionsHistory: dashboardBuckets(chartDecisionAccumulator.liveDecisionBuckets, filters, lookbackDays),
-        simulatedDecisionsHistory: dashboardBuckets(chartDecisionAccumulator.simulatedDecisionBuckets, filters, lookbackDays),
-        activeDecisionsHistory: dashboardBuckets(chartDecisionAccumulator.activeLiveDecisionBuckets, filters, lookbackDays),
-        activeSimulatedDecisionsHistory: dashboardBuckets(chartDecisionAccumulator.activeSimulatedDecisionBuckets, filters, lookbackDays),
-        unfilteredAlertsHistory: dashboardBuckets(sliderAlertAccumulator.liveAlertBuckets, filters, lookbackDays, true),
-        unfilteredSimulatedAlertsHistory: dashboardBuckets(sliderAlertAccumulator.simulatedAlertBuckets, filters, lookbackDays, true),
-        unfilteredDecisionsHistory: dashboardBuckets(sliderDecisionAccumulator.liveDecisionBuckets, filters, lookbackDays, true),
-        unfilteredSimulatedDecisionsHistory: dashboardBuckets(sliderDecisionAccumulator.simulatedDecisionBuckets, filters, lookbackDays, true),
+        alertsHistory: dashboardBuckets(chartAlertAccumulator.liveAlertBuckets, filters, rangeDays),
+        simulatedAlertsHistory: dashboardBuckets(chartAlertAccumulator.simulatedAlertBuckets, filters, rangeDays),
+        decisionsHistory: dashboardBuckets(chartDecisionAccumulator.liveDecisionBuckets, filters, rangeDays),
+        simulatedDecisionsHistory: dashboardBuckets(chartDecisionAccumulator.simulatedDecisionBuckets, filters, rangeDays),
+        activeDecisionsHistory: dashboardBuckets(chartDecisionAccumulator.activeLiveDecisionBuckets, filters, rangeDays),
+        activeSimulatedDecisionsHistory: dashboardBuckets(chartDecisionAccumulator.activeSimulatedDecisionBuckets, filters, rangeDays),
+        unfilteredAlertsHistory: dashboardBuckets(sliderAlertAccumulator.liveAlertBuckets, filters, rangeDays, true),
+        unfilteredSimulatedAlertsHistory: dashboardBuckets(sliderAlertAccumulator.simulatedAlertBuckets, filters, rangeDays, true),
+        unfilteredDecisionsHistory: dashboardBuckets(sliderDecisionAccumulator.liveDecisionBuckets, filters, rangeDays, true),
+        unfilteredSimulatedDecisionsHistory: dashboardBuckets(sliderDecisionAccumulator.simulatedDecisionBuckets, filters, rangeDays, true),
       },
     };
 
@@ -5718,9 +8040,13 @@ ${errorSummary}  Status: ${syncSummary.state}
     return `${dashboardStatsCacheVersion}:${scopeVersion}:${config.lookbackMs}:${config.simulationsEnabled ? 'sim' : 'live'}:${instanceId}`;
   }
 
-  function invalidateDashboardStatsCache(instanceId?: string): void {
+  function invalidateFacetCache(): void {
     facetResponseCache.clear();
     facetCacheVersion += 1;
+  }
+
+  function invalidateDashboardStatsCache(instanceId?: string): void {
+    invalidateFacetCache();
     if (instanceId) {
       const affectedScopes = new Set([instanceId, 'all']);
       for (const scope of affectedScopes) {
@@ -5822,6 +8148,8 @@ ${errorSummary}  Status: ${syncSummary.state}
           publishCacheUpdate(revision, [instanceId]);
         }
         console.log(`[${instance.name}] Delta update complete: ${summary.alerts} alerts and ${summary.decisions} decisions synced.`);
+        void runDecisionMirroring();
+        void runIncidentCorrelation();
       } catch (error: any) {
         client.updateStatus(false, error);
         status.state = 'failed';
@@ -5844,6 +8172,54 @@ ${errorSummary}  Status: ${syncSummary.state}
     return instance ? [instance] : { error: 'A valid instance_id is required when scope is instance' };
   }
 
+  function normalizeAllowlistValues(input: unknown): string[] | { error: string } {
+    const values = Array.from(new Set((Array.isArray(input) ? input : [])
+      .map((value) => String(value ?? '').trim())
+      .filter(Boolean)));
+    if (values.length === 0) return { error: 'At least one IP address or range is required' };
+    if (values.length > ALLOWLIST_ITEMS_MAX_ENTRIES) {
+      return { error: `Too many entries. A request can change at most ${ALLOWLIST_ITEMS_MAX_ENTRIES} entries` };
+    }
+    const invalid = values.find((value) => !isValidIpOrRange(value));
+    return invalid ? { error: `Invalid IP address or range: ${invalid}` } : values;
+  }
+
+  async function runAllowlistOperation(
+    context: HonoContext,
+    target: { scope?: 'all' | 'instance'; instance_id?: string },
+    operation: {
+      action: AuditAction;
+      label: string;
+      summary: Record<string, AuditSummaryValue>;
+      run: (client: LapiClient, instance: RuntimeConfig['instances'][number]) => Promise<unknown>;
+    },
+  ): Promise<Response> {
+    const doRequest = async () => {
+      const targets = resolveOperationInstances(target.scope, target.instance_id);
+      if ('error' in targets) return context.json({ error: targets.error }, 400);
+      const results = await Promise.all(targets.map(async (instance) => {
+        try {
+          const result = await operation.run(lapiClients.get(instance.id)!, instance);
+          return { instance_id: instance.id, instance_name: instance.name, success: true, result };
+        } catch (error: any) {
+          return { instance_id: instance.id, instance_name: instance.name, success: false, error: getAllowlistErrorMessage(error, 'write') };
+        }
+      }));
+      const succeeded = results.filter((result) => result.success).length;
+      await recordAudit(context, operation.action, operation.summary, results.map(toAuditResult));
+      return context.json(
+        { results, succeeded, failed: results.length - succeeded },
+        succeeded === results.length ? 200 : succeeded > 0 ? 207 : 502,
+      );
+    };
+
+    try {
+      return await doRequest();
+    } catch (error) {
+      return handleApiError(error as AnyError, context, operation.label, doRequest);
+    }
+  }
+
   async function deleteEntriesByIpOnInstance(instanceId: string, ip: string): Promise<BulkDeleteResult> {
     const instance = config.instances.find((candidate) => candidate.id === instanceId);
     const client = lapiClients.get(instanceId);
@@ -5894,6 +8270,123 @@ ${errorSummary}  Status: ${syncSummary.state}
     instanceRefreshTimers.set(instanceId, timer);
   }
 
+  function hasLapiConnectionChanged(current: CrowdsecInstanceConfig, next: CrowdsecInstanceConfig): boolean {
+    return JSON.stringify(getLapiConnectionOptions(current)) !== JSON.stringify(getLapiConnectionOptions(next));
+  }
+
+  /**
+   * Applies instances saved from Settings to the running app. Existing
+   * instance objects are updated in place because they are shared with the
+   * sync runtime. Changing the primary instance or switching between single
+   * and multi-instance mode changes the cache layout, so those wait for a
+   * restart.
+   */
+  async function applyInstanceConfig(next: CrowdsecInstanceConfig[]): Promise<{ restartRequired: boolean }> {
+    if (next[0].id !== primaryInstance.id || (next.length > 1) !== (config.instances.length > 1)) {
+      console.warn('Instance settings saved. The primary instance or instance mode changed; restart to apply them.');
+      return { restartRequired: true };
+    }
+
+    const current = new Map(config.instances.map((instance) => [instance.id, instance]));
+    const nextIds = new Set(next.map((instance) => instance.id));
+    const removed = config.instances.filter((instance) => !nextIds.has(instance.id)).map((instance) => instance.id);
+    const added: string[] = [];
+    const reconnected: string[] = [];
+    const instances = next.map((instance) => {
+      const existing = current.get(instance.id);
+      if (!existing) {
+        added.push(instance.id);
+        return instance;
+      }
+      if (hasLapiConnectionChanged(existing, instance)) reconnected.push(instance.id);
+      return Object.assign(existing, instance);
+    });
+    config.instances.splice(0, config.instances.length, ...instances);
+
+    for (const instanceId of removed) {
+      const timer = instanceRefreshTimers.get(instanceId);
+      if (timer) clearTimeout(timer);
+      instanceRefreshTimers.delete(instanceId);
+      await instanceRefreshPromises.get(instanceId)?.catch(() => undefined);
+      void lapiClients.get(instanceId)?.close().catch(() => undefined);
+      lapiClients.delete(instanceId);
+      instanceSyncStatuses.delete(instanceId);
+      instanceLastUpdates.delete(instanceId);
+      dashboardStatsScopeVersions.delete(instanceId);
+      initialHistorySyncs.delete(instanceId);
+      historicalInstanceSyncPending.delete(instanceId);
+      const deleted = await syncWorker.runExclusive(() => database.deleteInstanceSyncData(instanceId));
+      console.log(`Removed CrowdSec instance "${instanceId}" and ${deleted.alerts} cached alert(s).`);
+    }
+    for (const instance of config.instances) {
+      const previousUrl = database.getMeta(`crowdsec_instance_url:${instance.id}`)?.value;
+      if (previousUrl && previousUrl !== instance.lapiUrl) {
+        console.warn(`CrowdSec instance "${instance.id}" changed URL from ${previousUrl} to ${instance.lapiUrl}. Verify that the immutable ID still represents the same LAPI.`);
+      }
+      database.setMeta(`crowdsec_instance_url:${instance.id}`, instance.lapiUrl);
+    }
+    for (const instanceId of reconnected) {
+      lapiClients.get(instanceId)!.reconfigure(getLapiConnectionOptions(current.get(instanceId)!));
+    }
+    for (const instanceId of added) {
+      const instance = config.instances.find((candidate) => candidate.id === instanceId)!;
+      lapiClients.set(instanceId, createInstanceLapiClient(instance));
+      instanceSyncStatuses.set(instanceId, { isSyncing: false, progress: 0, message: '', startedAt: null, completedAt: null, state: 'idle', errors: [] });
+      instanceLastUpdates.set(instanceId, null);
+      dashboardStatsScopeVersions.set(instanceId, 0);
+    }
+
+    // Refresh intervals may have changed, so every secondary timer restarts.
+    if (instanceRefreshScheduled) {
+      for (const instance of config.instances.slice(1)) {
+        if (added.includes(instance.id)) continue;
+        const timer = instanceRefreshTimers.get(instance.id);
+        if (timer) clearTimeout(timer);
+        instanceRefreshTimers.delete(instance.id);
+        scheduleInstanceRefresh(instance.id);
+      }
+    }
+    if (removed.length > 0) {
+      await syncWorker.refreshDecisionDuplicateFlags(new Date().toISOString());
+      invalidateDashboardStatsCache();
+    }
+    const revision = new Date().toISOString();
+    publishCacheUpdate(revision, config.instances.map((instance) => instance.id));
+    for (const instanceId of added) void syncAddedInstance(instanceId);
+    for (const instanceId of reconnected) {
+      if (instanceId !== primaryInstance.id) void syncInstanceDelta(instanceId);
+    }
+    return { restartRequired: false };
+  }
+
+  async function syncAddedInstance(instanceId: string): Promise<void> {
+    const runtime = getInstanceSyncRuntime(instanceId);
+    try {
+      const summary = await withInstanceNetworkSlot(() => syncHistory(false, runtime));
+      await syncWorker.refreshDecisionDuplicateFlags(new Date().toISOString());
+      if (summary.state !== 'failed') instanceLastUpdates.set(instanceId, summary.syncedThrough);
+      runtime.client.updateStatus(summary.state === 'complete', summary.errors[0] ? { message: summary.errors[0] } : null);
+      invalidateDashboardStatsCache(instanceId);
+      const revision = new Date().toISOString();
+      cacheRefreshCompletedAt = revision;
+      publishCacheUpdate(revision, [instanceId]);
+    } catch (error: any) {
+      runtime.client.updateStatus(false, error);
+      Object.assign(runtime.status, {
+        isSyncing: false,
+        progress: 0,
+        completedAt: new Date().toISOString(),
+        state: 'failed',
+        errors: [error?.message || String(error)],
+        message: `${runtime.instanceName} sync failed: ${error?.message || error}`,
+      });
+      console.error(`[${runtime.instanceName}] Historical sync failed: ${error?.message || error}`);
+    }
+    if (instanceRefreshScheduled && config.instances.some((instance) => instance.id === instanceId)) {
+      scheduleInstanceRefresh(instanceId);
+    }
+  }
+
   if (options.startBackgroundTasks) {
     startBackgroundTasks();
   }
@@ -5908,9 +8401,13 @@ ${errorSummary}  Status: ${syncSummary.state}
     startBackgroundTasks,
     stopBackgroundTasks: () => {
       pendingAlertDeletionStopped = true;
+      geoIpBackfillStopped = true;
       stopRefreshScheduler();
       stopHeartbeatScheduler();
+      stopMetricsHistoryScheduler();
+      stopNotificationReportScheduler();
       clearPendingAlertDeletionTimeout();
+      instanceRefreshScheduled = false;
       for (const timer of instanceRefreshTimers.values()) clearTimeout(timer);
       instanceRefreshTimers.clear();
       historicalInstanceSyncPending.clear();
@@ -5926,19 +8423,24 @@ ${errorSummary}  Status: ${syncSummary.state}
       cacheUpdateListeners.add(listener);
       return () => cacheUpdateListeners.delete(listener);
     },
+    createLiveQuery,
   };
 
   function startBackgroundTasks(): void {
+    startMetricsHistoryScheduler();
+    void backfillGeoIpEnrichment();
     if (!lapiClient.hasAuthConfig()) {
       console.warn('Cache initialization skipped - CrowdSec LAPI authentication not configured');
       return;
     }
     startHeartbeatScheduler();
     startRefreshScheduler();
+    startNotificationReportScheduler();
     if (config.instances.length > 1 && !cache.isInitialized) {
       for (const instance of config.instances) historicalInstanceSyncPending.add(instance.id);
     }
     void ensureBootstrapReady('startup').then(() => {
+      instanceRefreshScheduled = true;
       for (const instance of config.instances.slice(1)) scheduleInstanceRefresh(instance.id);
     });
   }
@@ -6198,6 +8700,12 @@ function alertFieldCondition(
       return exact ? spaceSeparatedTextCondition('origins', value) : textCondition('LOWER(origins)', value);
     case 'decision':
       return alertDecisionCondition(value, now, simulationsEnabled);
+    case 'status':
+      return triageStatusCondition('alerts', value, exact);
+    case 'tag':
+      return annotationTagCondition('alerts', value, exact);
+    case 'note':
+      return annotationNoteCondition('alerts', value, exact);
     default:
       return { sql: '0 = 1', params: [] };
   }
@@ -6250,6 +8758,12 @@ function decisionFieldCondition(
       return textCondition('LOWER(machine)', value, exact);
     case 'origin':
       return textCondition('LOWER(origin)', value, exact);
+    case 'triage':
+      return triageStatusCondition('decisions', value, exact);
+    case 'tag':
+      return annotationTagCondition('decisions', value, exact);
+    case 'note':
+      return annotationNoteCondition('decisions', value, exact);
     default:
       return { sql: '0 = 1', params: [] };
   }
@@ -6308,6 +8822,9 @@ function alertEmptyFieldCondition(field: string, simulationsEnabled = true): Sql
         )`,
         params: [],
       };
+    case 'tag':
+    case 'note':
+      return annotationEmptyCondition('alerts', field);
     default:
       return { sql: '0 = 1', params: [] };
   }
@@ -6367,11 +8884,90 @@ function decisionEmptyFieldCondition(field: string): SqlCondition {
         machine: 'machine',
         origin: 'origin',
       }[field]);
+    case 'tag':
+    case 'note':
+      return annotationEmptyCondition('decisions', field);
     default:
       return { sql: '0 = 1', params: [] };
   }
 }
 
+function annotationRecordSql(tableName: SearchPageForSql, alias: string): string {
+  return `${alias}.kind = '${tableName === 'alerts' ? 'alert' : 'decision'}'
+    AND ${alias}.instance_id = ${tableName}.instance_id
+    AND ${alias}.upstream_id = ${tableName}.upstream_id`;
+}
+
+function triageStatusSql(tableName: SearchPageForSql): string {
+  return `COALESCE((
+    SELECT annotation.status FROM annotations annotation
+    WHERE ${annotationRecordSql(tableName, 'annotation')}
+  ), 'new')`;
+}
+
+function triageStatusCondition(tableName: SearchPageForSql, value: string, exact: boolean): SqlCondition {
+  return textCondition(triageStatusSql(tableName), normalizeTriageSearchValue(value), exact);
+}
+
+function annotationTagCondition(tableName: SearchPageForSql, value: string, exact: boolean): SqlCondition {
+  const condition = textCondition('annotation_tag.tag', value, exact);
+  return {
+    sql: `EXISTS (
+      SELECT 1 FROM annotation_tags annotation_tag
+      WHERE ${annotationRecordSql(tableName, 'annotation_tag')} AND ${condition.sql}
+    )`,
+    params: condition.params,
+  };
+}
+
+function annotationNoteCondition(tableName: SearchPageForSql, value: string, exact: boolean): SqlCondition {
+  const condition = textCondition('LOWER(TRIM(annotation_note.body))', value, exact);
+  return {
+    sql: `EXISTS (
+      SELECT 1 FROM annotation_notes annotation_note
+      WHERE ${annotationRecordSql(tableName, 'annotation_note')} AND ${condition.sql}
+    )`,
+    params: condition.params,
+  };
+}
+
+/** One facet row per tag, plus an empty row for each untagged record. */
+function annotationTagFacetRows(tableName: SearchPageForSql, where: SqlWhere): { sql: string; params: unknown[] } {
+  return {
+    sql: `
+      WITH filtered_records AS (
+        SELECT instance_id, upstream_id
+        FROM ${tableName}
+        ${where.toSql()}
+      )
+      SELECT annotation_tag.tag AS value
+      FROM filtered_records
+      JOIN annotation_tags annotation_tag
+        ON annotation_tag.kind = ?
+        AND annotation_tag.instance_id = filtered_records.instance_id
+        AND annotation_tag.upstream_id = filtered_records.upstream_id
+      UNION ALL
+      SELECT '' AS value
+      FROM filtered_records
+      WHERE NOT EXISTS (
+        SELECT 1 FROM annotation_tags annotation_tag
+        WHERE annotation_tag.kind = ?
+          AND annotation_tag.instance_id = filtered_records.instance_id
+          AND annotation_tag.upstream_id = filtered_records.upstream_id
+      )
+    `,
+    params: [...where.params, ...Array(2).fill(tableName === 'alerts' ? 'alert' : 'decision')],
+  };
+}
+
+function annotationEmptyCondition(tableName: SearchPageForSql, field: 'tag' | 'note'): SqlCondition {
+  const [table, alias] = field === 'tag' ? ['annotation_tags', 'annotation_tag'] : ['annotation_notes', 'annotation_note'];
+  return {
+    sql: `NOT EXISTS (SELECT 1 FROM ${table} ${alias} WHERE ${annotationRecordSql(tableName, alias)})`,
+    params: [],
+  };
+}
+
 function emptyTextCondition(columnSql: string): SqlCondition {
   return { sql: `COALESCE(TRIM(${columnSql}), '') = ''`, params: [] };
 }
@@ -6511,7 +9107,103 @@ function compileSearchNodeSql(
   };
 }
 
-type SearchPageForSql = 'alerts' | 'decisions';
+type SearchPageForSql = 'alerts' | 'decisions' | 'audit';
+
+// Audit details live in JSON columns. These subqueries expose the same
+// instance, IP and summary values the shared audit matchers read.
+const AUDIT_IP_VALUES_SQL = `
+  SELECT value FROM json_each(audit_log.summary_json, '$.ip') WHERE type = 'text' AND value <> ''
+  UNION ALL
+  SELECT value FROM json_each(audit_log.summary_json, '$.values') WHERE type = 'text' AND value <> ''
+`;
+const AUDIT_SUMMARY_VALUES_SQL = `
+  SELECT CASE type WHEN 'true' THEN 'true' WHEN 'false' THEN 'false' ELSE value END AS value
+  FROM json_tree(audit_log.summary_json)
+  WHERE atom IS NOT NULL
+`;
+
+function auditFieldCondition(field: string, value: string, exact = false): SqlCondition {
+  if (value.trim() === '') {
+    return auditEmptyFieldCondition(field);
+  }
+
+  switch (field) {
+    case 'id':
+      return { sql: 'CAST(id AS TEXT) = ?', params: [value.trim()] };
+    case 'user':
+      return textCondition('LOWER(username)', value, exact);
+    case 'method':
+      return textCondition('LOWER(auth_method)', value, exact);
+    case 'action':
+      return textCondition('LOWER(action)', value, exact);
+    case 'instance':
+      return auditInstanceCondition(value, exact);
+    case 'ip':
+      return auditIpCondition(value, exact);
+    case 'outcome':
+      return textCondition('LOWER(outcome)', value, true);
+    case 'date':
+      return textCondition('LOWER(created_at)', value, exact);
+    default:
+      return { sql: '0 = 1', params: [] };
+  }
+}
+
+function auditEmptyFieldCondition(field: string): SqlCondition {
+  switch (field) {
+    case 'user':
+      return emptyTextCondition('username');
+    case 'method':
+      return emptyTextCondition('auth_method');
+    case 'instance':
+      return { sql: 'json_array_length(instance_ids_json) = 0', params: [] };
+    case 'ip':
+      return { sql: `NOT EXISTS (${AUDIT_IP_VALUES_SQL})`, params: [] };
+    default:
+      return { sql: '0 = 1', params: [] };
+  }
+}
+
+function auditInstanceCondition(value: string, exact: boolean): SqlCondition {
+  const instance = textCondition('LOWER(audit_instance.value)', value, exact);
+  const result = textCondition("LOWER(json_extract(audit_result.value, '$.instance_name'))", value, exact);
+  return {
+    sql: `(EXISTS (SELECT 1 FROM json_each(audit_log.instance_ids_json) audit_instance WHERE ${instance.sql})
+      OR EXISTS (SELECT 1 FROM json_each(audit_log.results_json) audit_result WHERE ${result.sql}))`,
+    params: [...instance.params, ...result.params],
+  };
+}
+
+function auditIpCondition(value: string, exact: boolean): SqlCondition {
+  return exact
+    ? {
+      sql: `EXISTS (SELECT 1 FROM (${AUDIT_IP_VALUES_SQL}) audit_ip WHERE LOWER(audit_ip.value) = ?)`,
+      params: [value.trim().toLowerCase()],
+    }
+    : {
+      sql: `EXISTS (SELECT 1 FROM (${AUDIT_IP_VALUES_SQL}) audit_ip WHERE matches_ip_search_value(audit_ip.value, ?) = 1)`,
+      params: [value],
+    };
+}
+
+function auditFreeTextCondition(value: string): SqlCondition {
+  const summary = textCondition('LOWER(audit_summary.value)', value);
+  const error = textCondition("LOWER(json_extract(audit_result.value, '$.error'))", value);
+  const conditions = [
+    auditIpCondition(value, false),
+    textCondition('LOWER(username)', value),
+    textCondition('LOWER(auth_method)', value),
+    textCondition('LOWER(action)', value),
+    textCondition('LOWER(outcome)', value),
+    auditInstanceCondition(value, false),
+    { sql: `EXISTS (SELECT 1 FROM (${AUDIT_SUMMARY_VALUES_SQL}) audit_summary WHERE ${summary.sql})`, params: summary.params },
+    { sql: `EXISTS (SELECT 1 FROM json_each(audit_log.results_json) audit_result WHERE ${error.sql})`, params: error.params },
+  ];
+  return {
+    sql: conditions.map((condition) => `(${condition.sql})`).join(' OR '),
+    params: conditions.flatMap((condition) => condition.params),
+  };
+}
 
 function dateComparisonCondition(
   column: string,
@@ -6644,6 +9336,47 @@ function savePersistedConfig(database: CrowdsecDatabase, config: PersistedConfig
   }
 }
 
+const GENERAL_BACKUP_SETTINGS: Record<string, (value: string) => string> = {
+  [LANGUAGE_SETTING_KEY]: (value) => {
+    const normalized = normalizeLanguagePreference(value);
+    if (normalized !== value) throw new Error('Unsupported language');
+    return normalized;
+  },
+  refresh_interval_ms: (value) => {
+    if (!['0', '5000', '30000', '60000', '300000'].includes(value)) throw new Error('Unsupported refresh interval');
+    return value;
+  },
+  manual_refresh_enabled: parseBackupBoolean,
+  [METRICS_SIDEBAR_VISIBLE_META_KEY]: parseBackupBoolean,
+};
+
+function parseBackupBoolean(value: string): string {
+  if (value !== 'true' && value !== 'false') throw new Error('Expected true or false');
+  return value;
+}
+
+/** Dashboard preferences stored in application metadata. */
+function createGeneralSettingsBackup(database: CrowdsecDatabase): BackupParticipant {
+  return {
+    exportBackup: () => ({
+      settings: Object.fromEntries(Object.keys(GENERAL_BACKUP_SETTINGS).flatMap((key) => {
+        const value = database.getMeta(key)?.value;
+        return value === undefined || value === null ? [] : [[key, value]];
+      })),
+    }),
+    applyBackup: (payload, options) => {
+      for (const [key, normalize] of Object.entries(GENERAL_BACKUP_SETTINGS)) {
+        const value = payload.settings[key];
+        if (value === undefined) {
+          if (options.mode === 'replace') database.deleteMeta(key);
+          continue;
+        }
+        withBackupEntry('Setting', key, () => database.setMeta(key, normalize(value)));
+      }
+    },
+  };
+}
+
 function resolveNotificationSecretKey(database: CrowdsecDatabase, configuredKey?: string): string {
   const trimmedConfiguredKey = configuredKey?.trim();
   if (trimmedConfiguredKey) {
@@ -6671,65 +9404,6 @@ function lookbackHours(duration: string): number {
   return value / 60;
 }
 
-function parseSimulationBoolean(value: unknown): boolean | null {
-  if (value === true || value === false) {
-    return value;
-  }
-
-  if (typeof value !== 'string') {
-    return null;
-  }
-
-  const normalized = value.trim().toLowerCase();
-  if (['1', 'true', 'yes', 'on'].includes(normalized)) {
-    return true;
-  }
-
-  if (['0', 'false', 'no', 'off'].includes(normalized)) {
-    return false;
-  }
-
-  return null;
-}
-
-function hasSimulationMarker(value: unknown): boolean {
-  if (typeof value !== 'string') {
-    return false;
-  }
-
-  const normalized = value.trim().toLowerCase();
-  return normalized.startsWith('(simul)') || normalized.includes('simulated');
-}
-
-function normalizeAlertSimulated(alert: Pick<AlertRecord, 'simulated'> | null | undefined): boolean {
-  const explicit = parseSimulationBoolean(alert?.simulated);
-  if (explicit !== null) {
-    return explicit;
-  }
-
-  return false;
-}
-
-function normalizeDecisionSimulated(
-  decision: Pick<AlertDecision, 'simulated'> | (AlertDecision & Record<string, unknown>),
-  alert?: Pick<AlertRecord, 'simulated'> | null,
-): boolean {
-  const explicit = parseSimulationBoolean(decision.simulated);
-  if (explicit !== null) {
-    return explicit;
-  }
-
-  if (
-    hasSimulationMarker((decision as Record<string, unknown>).type) ||
-    hasSimulationMarker((decision as Record<string, unknown>).action) ||
-    hasSimulationMarker((decision as Record<string, unknown>).decisions)
-  ) {
-    return true;
-  }
-
-  return normalizeAlertSimulated(alert);
-}
-
 function isAlertSimulated(alert: AlertRecord): boolean {
   if (normalizeAlertSimulated(alert)) {
     return true;
@@ -6763,44 +9437,6 @@ function applySimulationModeToAlert(alert: AlertRecord, simulationsEnabled: bool
   return alertWithSimulation;
 }
 
-  function toDecisionListItem(
-  decision: AlertDecision & Record<string, unknown>,
-  includeExpired: boolean,
-): DecisionListItem {
-  const expired = includeExpired
-    ? Boolean(decision.stop_at && new Date(String(decision.stop_at)) < new Date())
-    : false;
-
-  return {
-    id: decision.id,
-    instance_id: typeof decision.instance_id === 'string' ? decision.instance_id : undefined,
-    instance_name: typeof decision.instance_name === 'string' ? decision.instance_name : undefined,
-    created_at: String(decision.created_at || ''),
-    machine: typeof decision.machine === 'string' ? decision.machine : undefined,
-    scenario: typeof decision.scenario === 'string' ? decision.scenario : undefined,
-    value: typeof decision.value === 'string' ? decision.value : undefined,
-    expired,
-    is_duplicate: decision.is_duplicate === true,
-    simulated: normalizeDecisionSimulated(decision),
-    detail: {
-      origin: typeof decision.origin === 'string' ? decision.origin : 'manual',
-      type: typeof decision.type === 'string' ? decision.type : undefined,
-      reason: typeof decision.scenario === 'string' ? decision.scenario : undefined,
-      action: typeof decision.type === 'string' ? decision.type : undefined,
-      country: typeof decision.country === 'string' ? decision.country : 'Unknown',
-      region: typeof decision.region === 'string' ? decision.region : undefined,
-      city: typeof decision.city === 'string' ? decision.city : undefined,
-      as: typeof decision.as === 'string' ? decision.as : 'Unknown',
-      events_count: typeof decision.events_count === 'number' ? decision.events_count : 0,
-      duration: typeof decision.duration === 'string' ? decision.duration : 'N/A',
-      expiration: typeof decision.stop_at === 'string' ? decision.stop_at : undefined,
-      alert_id: decision.alert_id as string | number | undefined,
-      target: typeof decision.target === 'string' ? decision.target : null,
-      simulated: normalizeDecisionSimulated(decision),
-    },
-  };
-}
-
 function markDuplicateDecisions(decisions: DecisionListItem[]): DecisionListItem[] {
   const primaryMap = new Map<string, { id: string | number; expirationMs: number; numericId: number }>();
 
@@ -6878,6 +9514,239 @@ function toPaginatedResponse<T>(
   };
 }
 
+type ExportCursor = { createdAt: string; id: string | number };
+type ExportRequest = { format: ExportFormat; columns: TableColumnDefinition[] };
+
+function getExportRequest(context: HonoContext, table: TableColumnPreferenceTable): ExportRequest | { error: string } {
+  const format = (context.req.query('format') || 'csv') as ExportFormat;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `Invalid export format. Must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+
+  const definitions = TABLE_COLUMN_DEFINITIONS[table];
+  const requestedColumns = String(context.req.query('columns') || '')
+    .split(',')
+    .map((column) => column.trim())
+    .filter(Boolean);
+  if (requestedColumns.length === 0) {
+    return { format, columns: definitions.filter((column) => column.defaultVisible) };
+  }
+  const columns: TableColumnDefinition[] = [];
+  for (const columnId of requestedColumns) {
+    const definition = definitions.find((column) => column.id === columnId);
+    if (!definition) return { error: `Unknown ${table} column: ${columnId}` };
+    if (!columns.includes(definition)) columns.push(definition);
+  }
+  return { format, columns };
+}
+
+function getNextExportCursor(rows: Array<{ created_at: string; internal_id?: string | number }>): ExportCursor | null {
+  const last = rows.at(-1);
+  return rows.length === EXPORT_BATCH_SIZE && last?.internal_id !== undefined
+    ? { createdAt: last.created_at, id: last.internal_id }
+    : null;
+}
+
+// Rows are read in keyset-paginated batches as the client consumes the body, so
+// large exports never hold the full result set in memory.
+function createExportResponse(
+  table: TableColumnPreferenceTable,
+  request: ExportRequest,
+  readBatch: (cursor: ExportCursor | null) => Promise<{ records: Array<Record<string, string | number | null>>; cursor: ExportCursor | null }>,
+): Response {
+  const serializer = createExportSerializer(request.format, request.columns);
+  const encoder = new TextEncoder();
+  let cursor: ExportCursor | null = null;
+  let started = false;
+  let index = 0;
+  const body = new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      if (!started) {
+        started = true;
+        controller.enqueue(encoder.encode(serializer.start()));
+        return;
+      }
+      try {
+        const batch = await readBatch(cursor);
+        const chunk = batch.records.map((record) => serializer.row(record, index++)).join('');
+        if (chunk) controller.enqueue(encoder.encode(chunk));
+        cursor = batch.cursor;
+        if (!cursor) {
+          controller.enqueue(encoder.encode(serializer.end()));
+          controller.close();
+        }
+      } catch (error: any) {
+        console.error(`Error streaming ${table} export:`, error?.message || error);
+        controller.error(error);
+      }
+    },
+  });
+  const filename = `${table}-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${serializer.extension}`;
+  return new Response(body, {
+    headers: {
+      'Content-Type': serializer.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+function normalizeDecisionTarget(
+  rawValue: string | undefined,
+  requestedScope: DecisionScope | undefined,
+): { scope: DecisionScope; value: string } | { error: string } {
+  const value = typeof rawValue === 'string' ? rawValue.trim() : '';
+  if (!value) return { error: 'Decision value is required' };
+  if (requestedScope !== undefined && !DECISION_SCOPES.includes(requestedScope)) {
+    return { error: `Invalid decision scope. Must be one of: ${DECISION_SCOPES.join(', ')}` };
+  }
+
+  const scope = requestedScope ?? (value.includes('/') ? 'range' : 'ip');
+  switch (scope) {
+    case 'ip':
+      return !value.includes('/') && (IPV4_RE.test(value) || IPV6_RE.test(value))
+        ? { scope, value }
+        : { error: 'Invalid IP address format' };
+    case 'range':
+      return value.includes('/') && (IPV4_RE.test(value) || IPV6_RE.test(value))
+        ? { scope, value }
+        : { error: 'Invalid IP range format. Use CIDR notation such as "192.0.2.0/24"' };
+    case 'country':
+      return /^[a-z]{2}$/i.test(value)
+        ? { scope, value: value.toUpperCase() }
+        : { error: 'Invalid country code. Use a two-letter ISO 3166 code such as "DE"' };
+    case 'as': {
+      const match = /^(?:AS)?(\d{1,10})$/i.exec(value);
+      return match
+        ? { scope, value: match[1] }
+        : { error: 'Invalid AS number. Use digits such as "64496" or "AS64496"' };
+    }
+  }
+}
+
+function toAuditIdSummary(ids: string[]): Record<string, AuditSummaryValue> {
+  return { count: ids.length, ids: ids.slice(0, AUDIT_SUMMARY_LIST_LIMIT) };
+}
+
+function toAuditSettingSummary(setting: { id?: unknown; name?: unknown; type?: unknown }): Record<string, AuditSummaryValue> {
+  return { id: String(setting.id ?? ''), name: String(setting.name ?? ''), type: String(setting.type ?? '') };
+}
+
+function normalizeLapiAllowlists(instance: { id: string; name: string }, payload: unknown): Allowlist[] {
+  const toText = (value: unknown) => (typeof value === 'string' && value ? value : null);
+  return (Array.isArray(payload) ? payload : [])
+    .filter((entry): entry is Record<string, unknown> => Boolean(entry) && typeof entry === 'object' && typeof entry.name === 'string')
+    .map((entry) => ({
+      instance_id: instance.id,
+      instance_name: instance.name,
+      name: String(entry.name),
+      description: toText(entry.description),
+      created_at: toText(entry.created_at),
+      updated_at: toText(entry.updated_at),
+      console_managed: entry.console_managed === true,
+      items: (Array.isArray(entry.items) ? entry.items : [])
+        .filter((item): item is Record<string, unknown> => Boolean(item) && typeof item === 'object' && typeof item.value === 'string')
+        .map((item) => ({
+          value: String(item.value),
+          description: toText(item.description),
+          created_at: toText(item.created_at),
+          expiration: toText(item.expiration),
+        })),
+    }));
+}
+
+function getAllowlistErrorMessage(
+  error: { status?: number; message?: string; response?: { status?: number; data?: unknown } },
+  operation: 'read' | 'write',
+): string {
+  const status = error?.status ?? error?.response?.status;
+  // LAPI only serves GET allowlist routes, so a write answered with 404 hit a missing route rather
+  // than a missing allowlist; those changes have to go through cscli.
+  if (operation === 'write' && (status === 404 || status === 405 || status === 501)) {
+    return 'This CrowdSec LAPI does not support changing allowlists; use `cscli allowlists` instead';
+  }
+  if (status === 404) return 'This CrowdSec LAPI does not expose allowlists; use `cscli allowlists` instead';
+  const data = error?.response?.data;
+  const message = data && typeof data === 'object' && typeof (data as { message?: unknown }).message === 'string'
+    ? (data as { message: string }).message
+    : null;
+  return message || error?.message || String(error);
+}
+
+function toAnnotation(row: AnnotationRow | null, tags: string[], notes: AnnotationNote[]): Annotation {
+  return {
+    status: TRIAGE_STATUSES.includes(row?.status as TriageStatus) ? row!.status as TriageStatus : 'new',
+    tags,
+    notes,
+    updated_at: row?.updated_at ?? null,
+    updated_by: row?.updated_by ?? null,
+  };
+}
+
+function toAnnotationNote(row: AnnotationNoteRow): AnnotationNote {
+  return { id: Number(row.id), author: row.author ?? null, body: row.body, created_at: row.created_at };
+}
+
+/** Lower-cases and de-duplicates tags so `tag=` searches and facets match regardless of case. */
+function normalizeAnnotationTags(tags: unknown): string[] | { error: string } {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    return { error: 'tags must be an array of strings' };
+  }
+  const normalized = [...new Set((tags as string[]).map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > ANNOTATION_MAX_TAGS) {
+    return { error: `At most ${ANNOTATION_MAX_TAGS} tags are allowed` };
+  }
+  const invalid = normalized.find((tag) => !ANNOTATION_TAG_PATTERN.test(tag));
+  if (invalid) {
+    return { error: `Invalid tag: ${invalid}. Tags are up to 40 letters, digits, or . _ : / - characters` };
+  }
+  return normalized;
+}
+
+function toAuditResult(result: { instance_id: string; instance_name: string; success: boolean; error?: string }): AuditInstanceResult {
+  return {
+    instance_id: result.instance_id,
+    instance_name: result.instance_name,
+    success: result.success,
+    ...(result.error ? { error: result.error } : {}),
+  };
+}
+
+function toAuditDeleteResult(instance: { id: string; name: string }, result: BulkDeleteResult): AuditInstanceResult {
+  return toAuditResult({
+    instance_id: instance.id,
+    instance_name: instance.name,
+    success: result.failed.length === 0,
+    ...(result.failed.length > 0 ? { error: `${result.failed.length} item(s) failed` } : {}),
+  });
+}
+
+function toAuditErrorResult(instance: { id: string; name: string }, error: AnyError): AuditInstanceResult {
+  return { instance_id: instance.id, instance_name: instance.name, success: false, error: error?.message || String(error) };
+}
+
+function auditEntryFromRow(row: AuditLogRow): AuditLogEntry {
+  const parse = <T>(value: string, fallback: T): T => {
+    try {
+      return JSON.parse(value) as T;
+    } catch {
+      return fallback;
+    }
+  };
+  return {
+    id: Number(row.id),
+    created_at: row.created_at,
+    user_id: row.user_id === null ? null : Number(row.user_id),
+    username: row.username,
+    auth_method: row.auth_method,
+    action: row.action as AuditAction,
+    instances: parse<string[]>(row.instance_ids_json, []),
+    summary: parse<Record<string, AuditSummaryValue>>(row.summary_json, {}),
+    outcome: row.outcome as AuditOutcome,
+    results: parse<AuditInstanceResult[]>(row.results_json, []),
+  };
+}
+
 function getAlertListFilters(context: HonoContext, timeZone: string | null): AlertListFilters {
   return getAlertListFiltersFromValues((key) => context.req.query(key), timeZone);
 }
@@ -6975,7 +9844,11 @@ function getDecisionListFiltersFromValues(readValue: (key: string) => string | u
   };
 }
 
-function getDashboardStatsFilters(context: HonoContext, timeZone: string | null): DashboardStatsFilters {
+function getDashboardStatsFilters(context: HonoContext, timeZone: string | null, lookbackDays: number): DashboardStatsFilters {
+  const requestedRangeDays = Number.parseInt(context.req.query('range_days') || '', 10);
+  const rangeDays = Number.isFinite(requestedRangeDays)
+    ? Math.max(lookbackDays, Math.min(requestedRangeDays, DASHBOARD_MAX_RANGE_DAYS))
+    : lookbackDays;
   return {
     instanceId: context.req.query('instance') || 'all',
     country: context.req.query('country') || '',
@@ -6986,7 +9859,9 @@ function getDashboardStatsFilters(context: HonoContext, timeZone: string | null)
     dateStart: context.req.query('dateStart') || '',
     dateEnd: context.req.query('dateEnd') || '',
     simulation: parseDashboardSimulationFilter(context.req.query('simulation')),
-    granularity: context.req.query('granularity') === 'hour' ? 'hour' : 'day',
+    // Ranges beyond the lookback are charted from rollups, which are only bucketed by day.
+    granularity: context.req.query('granularity') === 'hour' && rangeDays === lookbackDays ? 'hour' : 'day',
+    rangeDays,
     timezoneOffsetMinutes: parseTimezoneOffset(context),
     timeZone: getEffectiveRequestTimeZone(context, timeZone),
   };
@@ -7015,6 +9890,15 @@ function createDashboardStatsAccumulator(): DashboardStatsAccumulator {
   };
 }
 
+function addDashboardRollupTotals(totals: DashboardStatsTotals, rollups: DashboardRollupRecords): DashboardStatsTotals {
+  const next = { ...totals };
+  for (const alert of rollups.alerts) {
+    next.alerts += alert.count ?? 1;
+    if (alert.simulated) next.simulatedAlerts += alert.count ?? 1;
+  }
+  return next;
+}
+
 function createDashboardDecisionAccumulator(): DashboardDecisionAccumulator {
   return {
     decisions: 0,
@@ -7057,7 +9941,13 @@ function matchesDashboardDecisionFilters(
 ): boolean {
   if (filters.ip && !matchesIpSearchValue(decision.value, filters.ip)) return false;
 
-  if (requiresDashboardAlertIpJoin(filters) && (!decision.value || !alertIps.has(decision.value))) {
+  if (decision.count !== undefined) {
+    // Rollups no longer know the alerting IPs, so match on the decision's own dimensions.
+    if (filters.target) return false;
+    if (filters.country && decision.country !== filters.country) return false;
+    if (filters.scenario && decision.scenario !== filters.scenario) return false;
+    if (filters.as && decision.asName !== filters.as) return false;
+  } else if (requiresDashboardAlertIpJoin(filters) && (!decision.value || !alertIps.has(decision.value))) {
     return false;
   }
 
@@ -7090,38 +9980,39 @@ function matchesDashboardDateRange(isoString: string, filters: DashboardStatsFil
 }
 
 function addDashboardAlert(accumulator: DashboardStatsAccumulator, alert: DashboardAlertStatsRecord, filters: DashboardStatsFilters): void {
-  accumulator.alerts += 1;
+  const weight = alert.count ?? 1;
+  accumulator.alerts += weight;
 
   const bucketMap = alert.simulated ? accumulator.simulatedAlertBuckets : accumulator.liveAlertBuckets;
-  incrementCount(bucketMap, getDashboardBucketKey(alert.createdAt, filters));
+  incrementCount(bucketMap, getDashboardBucketKey(alert.createdAt, filters), weight);
 
   if (alert.simulated) {
-    accumulator.simulatedAlerts += 1;
+    accumulator.simulatedAlerts += weight;
   } else {
-    accumulator.liveAlerts += 1;
+    accumulator.liveAlerts += weight;
   }
 
   if (alert.country && alert.country !== 'Unknown') {
     const current = accumulator.countries.get(alert.country) || { count: 0, liveCount: 0, simulatedCount: 0 };
-    current.count += 1;
+    current.count += weight;
     if (alert.simulated) {
-      current.simulatedCount += 1;
+      current.simulatedCount += weight;
     } else {
-      current.liveCount += 1;
+      current.liveCount += weight;
     }
     accumulator.countries.set(alert.country, current);
   }
 
   if (alert.scenario) {
-    incrementCount(accumulator.scenarios, alert.scenario);
+    incrementCount(accumulator.scenarios, alert.scenario, weight);
   }
 
   if (alert.asName && alert.asName !== 'Unknown') {
-    incrementCount(accumulator.asNames, alert.asName);
+    incrementCount(accumulator.asNames, alert.asName, weight);
   }
 
   if (alert.target && alert.target !== 'Unknown' && alert.target !== 'N/A') {
-    incrementCount(accumulator.targets, alert.target);
+    incrementCount(accumulator.targets, alert.target, weight);
   }
 }
 
@@ -7133,7 +10024,7 @@ function addDashboardDecision(
 ): void {
   const bucketMap = decision.simulated ? accumulator.simulatedDecisionBuckets : accumulator.liveDecisionBuckets;
   const bucketKey = getDashboardBucketKey(decision.createdAt, filters);
-  incrementCount(bucketMap, bucketKey);
+  incrementCount(bucketMap, bucketKey, decision.count ?? 1);
   if (isActive) {
     const activeBucketMap = decision.simulated
       ? accumulator.activeSimulatedDecisionBuckets
@@ -7168,18 +10059,19 @@ function addDashboardDecisionCountry(
     activeLiveDecisionCount: 0,
     activeSimulatedDecisionCount: 0,
   };
+  const weight = decision.count ?? 1;
   if (decision.simulated) {
-    current.simulatedDecisionCount += 1;
-    if (isActive) current.activeSimulatedDecisionCount += 1;
+    current.simulatedDecisionCount += weight;
+    if (isActive) current.activeSimulatedDecisionCount += weight;
   } else {
-    current.liveDecisionCount += 1;
-    if (isActive) current.activeLiveDecisionCount += 1;
+    current.liveDecisionCount += weight;
+    if (isActive) current.activeLiveDecisionCount += weight;
   }
   accumulator.countries.set(countryCode, current);
 }
 
-function incrementCount(map: Map<string, number>, key: string): void {
-  map.set(key, (map.get(key) || 0) + 1);
+function incrementCount(map: Map<string, number>, key: string, amount = 1): void {
+  map.set(key, (map.get(key) || 0) + amount);
 }
 
 function topDashboardEntries(map: Map<string, number>, limit = 10): DashboardStatListItem[] {
@@ -7230,10 +10122,10 @@ function dashboardWorldMapData(
 function dashboardBuckets(
   counts: Map<string, number>,
   filters: DashboardStatsFilters,
-  lookbackDays: number,
+  rangeDays: number,
   ignoreDateRange = false,
 ): DashboardStatsBucket[] {
-  const bucketKeys = getDashboardBucketKeys(filters, lookbackDays, ignoreDateRange);
+  const bucketKeys = getDashboardBucketKeys(filters, rangeDays, ignoreDateRange);
   return bucketKeys.map((date) => ({
     date,
     count: counts.get(date) || 0,
@@ -7243,7 +10135,7 @@ function dashboardBuckets(
 
 function getDashboardBucketKeys(
   filters: DashboardStatsFilters,
-  lookbackDays: number,
+  rangeDays: number,
   ignoreDateRange: boolean,
 ): string[] {
   const keys: string[] = [];
@@ -7256,7 +10148,7 @@ function getDashboardBucketKeys(
     let startKey = useExplicitRange ? filters.dateStart : endKey;
     if (!useExplicitRange) {
       const startWallDate = parseDashboardWallKey(endKey);
-      startWallDate.setUTCDate(startWallDate.getUTCDate() - (lookbackDays - 1));
+      startWallDate.setUTCDate(startWallDate.getUTCDate() - (rangeDays - 1));
       startWallDate.setUTCHours(0, 0, 0, 0);
       startKey = formatDashboardClientBucketKey(startWallDate, 'hour');
     }
@@ -7283,7 +10175,7 @@ function getDashboardBucketKeys(
   let cursor = new Date(Date.UTC(
     end.getUTCFullYear(),
     end.getUTCMonth(),
-    end.getUTCDate() - (lookbackDays - 1),
+    end.getUTCDate() - (rangeDays - 1),
     0,
     0,
     0,
@@ -0,0 +1,452 @@
+import crypto from 'node:crypto';
+import {
+  BACKUP_SECTIONS,
+  type BackupImportMode,
+  type BackupPreviewResponse,
+  type BackupSection,
+  type BackupSectionDiff,
+  type NotificationChannel,
+  type NotificationReport,
+  type NotificationRule,
+} from '../shared/contracts';
+import type { CrowdsecDatabase } from './database';
+import type { DatabaseWrite } from './sync-worker-client';
+
+export const BACKUP_FORMAT = 'crowdsec-web-ui-backup';
+export const BACKUP_VERSION = 1;
+
+const BACKUP_KDF = { N: 16384, r: 8, p: 1 } as const;
+const MAX_PASSPHRASE_LENGTH = 1024;
+
+export type BackupErrorCode =
+  | 'INVALID_BACKUP'
+  | 'UNSUPPORTED_BACKUP_VERSION'
+  | 'BACKUP_PASSPHRASE_REQUIRED'
+  | 'BACKUP_PASSPHRASE_INVALID'
+  | 'BACKUP_REJECTED';
+
+export class BackupError extends Error {
+  readonly code: BackupErrorCode;
+
+  constructor(message: string, code: BackupErrorCode) {
+    super(message);
+    this.name = 'BackupError';
+    this.code = code;
+  }
+}
+
+export interface BackupPasskey {
+  credential_id: string;
+  public_key: string;
+  sign_count: number;
+  transports: string | null;
+  name: string | null;
+}
+
+export interface BackupUser {
+  username: string;
+  role: 'admin' | 'read-only';
+  auth_provider: 'password' | 'oidc';
+  oidc_issuer: string | null;
+  oidc_subject: string | null;
+  disabled: boolean;
+  /** Only present in bundles that include secrets. */
+  password_hash?: string | null;
+  /** Plain TOTP seed, re-encrypted with the target host's key on import. Only present with secrets. */
+  totp_secret?: string | null;
+  passkeys: BackupPasskey[];
+}
+
+export interface BackupSavedSearch {
+  id: string;
+  owner: string | null;
+  page: string;
+  name: string;
+  query: string;
+  date_start: string | null;
+  date_end: string | null;
+  instance: string;
+  columns: string[];
+  shared: boolean;
+}
+
+export type BackupNotificationChannel = Omit<NotificationChannel, 'configured_secrets' | 'created_at' | 'updated_at'>;
+
+export type BackupNotificationRule = Omit<NotificationRule, 'created_at' | 'updated_at'>;
+
+export type BackupNotificationReport = Pick<
+  NotificationReport,
+  'id' | 'name' | 'enabled' | 'frequency' | 'send_time' | 'time_zone' | 'instance_id' | 'channel_ids'
+>;
+
+export interface BackupPayload {
+  settings: Record<string, string>;
+  users: BackupUser[];
+  saved_searches: BackupSavedSearch[];
+  notification_channels: BackupNotificationChannel[];
+  notification_rules: BackupNotificationRule[];
+  notification_reports: BackupNotificationReport[];
+}
+
+interface BackupEncryption {
+  algorithm: 'aes-256-gcm';
+  kdf: 'scrypt';
+  salt: string;
+  n: number;
+  r: number;
+  p: number;
+  iv: string;
+  tag: string;
+}
+
+export interface BackupBundle {
+  format: typeof BACKUP_FORMAT;
+  version: number;
+  created_at: string;
+  app_version: string;
+  includes_secrets: boolean;
+  encryption: BackupEncryption | null;
+  /** The payload itself, or its base64url ciphertext when the bundle is encrypted. */
+  payload: BackupPayload | string;
+}
+
+export interface OpenedBackup {
+  created_at: string;
+  app_version: string;
+  encrypted: boolean;
+  includes_secrets: boolean;
+  payload: BackupPayload;
+}
+
+export interface BackupApplyOptions {
+  mode: BackupImportMode;
+  includesSecrets: boolean;
+  /** Account running the import; it is never deleted, demoted or disabled. */
+  actingUsername: string | null;
+}
+
+/**
+ * A component that owns part of the backup. Participants apply their
+ * sections synchronously so a whole import runs in one SQLite transaction.
+ */
+export interface BackupParticipant {
+  exportBackup: (includeSecrets: boolean) => Partial<BackupPayload>;
+  applyBackup: (payload: BackupPayload, options: BackupApplyOptions) => void;
+}
+
+export interface BackupService {
+  exportBundle: (passphrase?: string) => Promise<BackupBundle>;
+  previewBundle: (bundle: unknown, passphrase: string | undefined, mode: BackupImportMode, actingUsername: string | null) => Promise<BackupPreviewResponse>;
+  importBundle: (bundle: unknown, passphrase: string | undefined, mode: BackupImportMode, actingUsername: string | null) => Promise<BackupPreviewResponse>;
+}
+
+function emptyPayload(): BackupPayload {
+  return {
+    settings: {},
+    users: [],
+    saved_searches: [],
+    notification_channels: [],
+    notification_rules: [],
+    notification_reports: [],
+  };
+}
+
+function scryptKey(passphrase: string, salt: Buffer, params: { N: number; r: number; p: number }): Promise<Buffer> {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, 32, params, (error, key) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(key);
+    });
+  });
+}
+
+// Binds the unencrypted header to the ciphertext so it cannot be edited unnoticed.
+function headerAad(bundle: Pick<BackupBundle, 'version' | 'created_at' | 'app_version' | 'includes_secrets'>): Buffer {
+  return Buffer.from(JSON.stringify([BACKUP_FORMAT, bundle.version, bundle.created_at, bundle.app_version, bundle.includes_secrets]), 'utf8');
+}
+
+function normalizePassphrase(passphrase: unknown): string | undefined {
+  if (passphrase === undefined || passphrase === null || passphrase === '') return undefined;
+  if (typeof passphrase !== 'string' || passphrase.length > MAX_PASSPHRASE_LENGTH) {
+    throw new BackupError('Invalid backup passphrase', 'INVALID_BACKUP');
+  }
+  return passphrase;
+}
+
+export async function sealBackup(
+  payload: BackupPayload,
+  options: { appVersion: string; passphrase?: string; now?: Date },
+): Promise<BackupBundle> {
+  const passphrase = normalizePassphrase(options.passphrase);
+  const header = {
+    version: BACKUP_VERSION,
+    created_at: (options.now ?? new Date()).toISOString(),
+    app_version: options.appVersion,
+    includes_secrets: Boolean(passphrase),
+  };
+  if (!passphrase) {
+    return { format: BACKUP_FORMAT, ...header, encryption: null, payload };
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = await scryptKey(passphrase, salt, BACKUP_KDF);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(headerAad(header));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return {
+    format: BACKUP_FORMAT,
+    ...header,
+    encryption: {
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64url'),
+      n: BACKUP_KDF.N,
+      r: BACKUP_KDF.r,
+      p: BACKUP_KDF.p,
+      iv: iv.toString('base64url'),
+      tag: cipher.getAuthTag().toString('base64url'),
+    },
+    payload: data.toString('base64url'),
+  };
+}
+
+function asRecord(value: unknown): Record<string, unknown> | null {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value as Record<string, unknown> : null;
+}
+
+function readPayload(value: unknown): BackupPayload {
+  const record = asRecord(value);
+  if (!record) throw new BackupError('Backup payload is not an object', 'INVALID_BACKUP');
+
+  const payload = emptyPayload();
+  const settings = record.settings === undefined ? {} : asRecord(record.settings);
+  if (!settings || Object.values(settings).some((entry) => typeof entry !== 'string')) {
+    throw new BackupError('Backup settings must map keys to strings', 'INVALID_BACKUP');
+  }
+  payload.settings = settings as Record<string, string>;
+
+  const lists: Array<[Exclude<BackupSection, 'settings'>, 'username' | 'id']> = [
+    ['users', 'username'],
+    ['saved_searches', 'id'],
+    ['notification_channels', 'id'],
+    ['notification_rules', 'id'],
+    ['notification_reports', 'id'],
+  ];
+  for (const [section, keyField] of lists) {
+    const entries = record[section] === undefined ? [] : record[section];
+    if (!Array.isArray(entries)) throw new BackupError(`Backup section ${section} must be a list`, 'INVALID_BACKUP');
+    const seen = new Set<string>();
+    for (const entry of entries) {
+      const key = asRecord(entry)?.[keyField];
+      if (typeof key !== 'string' || !key.trim()) {
+        throw new BackupError(`Every ${section} entry needs a ${keyField}`, 'INVALID_BACKUP');
+      }
+      if (seen.has(key)) throw new BackupError(`Duplicate ${section} entry: ${key}`, 'INVALID_BACKUP');
+      seen.add(key);
+    }
+    (payload[section] as unknown[]) = entries;
+  }
+  return payload;
+}
+
+export async function openBackup(input: unknown, passphraseInput?: unknown): Promise<OpenedBackup> {
+  const bundle = asRecord(input);
+  if (!bundle || bundle.format !== BACKUP_FORMAT) {
+    throw new BackupError('This file is not a CrowdSec Web UI backup', 'INVALID_BACKUP');
+  }
+  if (typeof bundle.version !== 'number' || !Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new BackupError('Backup version is missing', 'INVALID_BACKUP');
+  }
+  if (bundle.version > BACKUP_VERSION) {
+    throw new BackupError(`Backup version ${bundle.version} is newer than this release supports`, 'UNSUPPORTED_BACKUP_VERSION');
+  }
+  const header = {
+    version: bundle.version,
+    created_at: typeof bundle.created_at === 'string' ? bundle.created_at : '',
+    app_version: typeof bundle.app_version === 'string' ? bundle.app_version : '',
+    includes_secrets: bundle.includes_secrets === true,
+  };
+
+  const encryption = asRecord(bundle.encryption);
+  if (!encryption) {
+    // Secrets never leave the host without a passphrase, so a plain bundle claiming them was edited.
+    if (header.includes_secrets) throw new BackupError('Unencrypted backups cannot include secrets', 'INVALID_BACKUP');
+    return { ...header, encrypted: false, payload: readPayload(bundle.payload) };
+  }
+
+  const passphrase = normalizePassphrase(passphraseInput);
+  if (!passphrase) throw new BackupError('This backup is encrypted; enter its passphrase', 'BACKUP_PASSPHRASE_REQUIRED');
+  if (encryption.algorithm !== 'aes-256-gcm' || encryption.kdf !== 'scrypt' || typeof bundle.payload !== 'string') {
+    throw new BackupError('Unsupported backup encryption', 'INVALID_BACKUP');
+  }
+  const kdf = { N: Number(encryption.n), r: Number(encryption.r), p: Number(encryption.p) };
+  if (kdf.N !== BACKUP_KDF.N || kdf.r !== BACKUP_KDF.r || kdf.p !== BACKUP_KDF.p) {
+    throw new BackupError('Unsupported backup encryption', 'INVALID_BACKUP');
+  }
+
+  let plaintext: string;
+  try {
+    const key = await scryptKey(passphrase, Buffer.from(String(encryption.salt || ''), 'base64url'), kdf);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(String(encryption.iv || ''), 'base64url'));
+    decipher.setAAD(headerAad(header));
+    decipher.setAuthTag(Buffer.from(String(encryption.tag || ''), 'base64url'));
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(bundle.payload, 'base64url')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch {
+    throw new BackupError('The passphrase is wrong or the backup is damaged', 'BACKUP_PASSPHRASE_INVALID');
+  }
+
+  let payload: unknown;
+  try {
+    payload = JSON.parse(plaintext);
+  } catch {
+    throw new BackupError('Backup payload is not valid JSON', 'INVALID_BACKUP');
+  }
+  return { ...header, encrypted: true, payload: readPayload(payload) };
+}
+
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const record = asRecord(value);
+  if (record) {
+    return `{${Object.keys(record)
+      .filter((key) => record[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(record[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function isSameBackupEntry(left: unknown, right: unknown): boolean {
+  return stableStringify(left) === stableStringify(right);
+}
+
+function sectionEntries(payload: BackupPayload, section: BackupSection): Array<{ key: string; label: string; value: unknown }> {
+  if (section === 'settings') {
+    return Object.entries(payload.settings).map(([key, value]) => ({ key, label: key, value }));
+  }
+  if (section === 'users') {
+    return payload.users.map((user) => ({ key: user.username, label: user.username, value: user }));
+  }
+  return (payload[section] as Array<{ id: string; name?: unknown }>).map((entry) => ({
+    key: entry.id,
+    label: typeof entry.name === 'string' && entry.name ? entry.name : entry.id,
+    value: entry,
+  }));
+}
+
+/** Compares the incoming payload with the current state; both must be exported with the same secrets setting. */
+export function diffBackup(
+  current: BackupPayload,
+  incoming: BackupPayload,
+  mode: BackupImportMode,
+): Record<BackupSection, BackupSectionDiff> {
+  const result = {} as Record<BackupSection, BackupSectionDiff>;
+  for (const section of BACKUP_SECTIONS) {
+    const existing = new Map(sectionEntries(current, section).map((entry) => [entry.key, entry]));
+    const diff: BackupSectionDiff = { added: [], changed: [], removed: [], unchanged: 0 };
+    const incomingKeys = new Set<string>();
+    for (const entry of sectionEntries(incoming, section)) {
+      incomingKeys.add(entry.key);
+      const previous = existing.get(entry.key);
+      if (!previous) diff.added.push(entry.label);
+      else if (isSameBackupEntry(previous.value, entry.value)) diff.unchanged += 1;
+      else diff.changed.push(entry.label);
+    }
+    for (const entry of existing.values()) {
+      if (incomingKeys.has(entry.key)) continue;
+      if (mode === 'replace') diff.removed.push(entry.label);
+      else diff.unchanged += 1;
+    }
+    result[section] = diff;
+  }
+  return result;
+}
+
+export function parseBackupImportMode(value: unknown): BackupImportMode | null {
+  return value === 'merge' || value === 'replace' ? value : null;
+}
+
+/** Runs one entry's import and names the entry in any error it raises. */
+export function withBackupEntry(label: string, name: unknown, apply: () => void): void {
+  try {
+    apply();
+  } catch (error) {
+    throw new BackupError(`${label} "${String(name ?? '')}": ${error instanceof Error ? error.message : String(error)}`, 'BACKUP_REJECTED');
+  }
+}
+
+const ROLLBACK = Symbol('backup-preview-rollback');
+
+export function createBackupService(options: {
+  database: CrowdsecDatabase;
+  appVersion: string;
+  participants: BackupParticipant[];
+  writeDatabase?: DatabaseWrite;
+}): BackupService {
+  const { database, appVersion, participants } = options;
+  const writeDatabase: DatabaseWrite = options.writeDatabase ?? (async (operation) => operation());
+
+  function exportPayload(includeSecrets: boolean): BackupPayload {
+    return participants.reduce<BackupPayload>((payload, participant) => {
+      const part = participant.exportBackup(includeSecrets);
+      return { ...payload, ...part, settings: { ...payload.settings, ...part.settings } };
+    }, emptyPayload());
+  }
+
+  async function apply(
+    input: unknown,
+    passphrase: string | undefined,
+    mode: BackupImportMode,
+    actingUsername: string | null,
+    commit: boolean,
+  ): Promise<BackupPreviewResponse> {
+    const opened = await openBackup(input, passphrase);
+    return writeDatabase(() => {
+      const sections = diffBackup(exportPayload(opened.includes_secrets), opened.payload, mode);
+      // The acting account survives a replace import, so it is not listed as removed.
+      if (actingUsername && sections.users.removed.includes(actingUsername)) {
+        sections.users.removed = sections.users.removed.filter((username) => username !== actingUsername);
+        sections.users.unchanged += 1;
+      }
+      const applyOptions: BackupApplyOptions = { mode, includesSecrets: opened.includes_secrets, actingUsername };
+      // Previews run the same import and roll it back, so they report the errors a real import would hit.
+      try {
+        database.transaction(() => {
+          for (const participant of participants) participant.applyBackup(opened.payload, applyOptions);
+          if (!commit) throw ROLLBACK;
+        })(undefined);
+      } catch (error) {
+        if (error !== ROLLBACK) {
+          throw error instanceof BackupError
+            ? error
+            : new BackupError(error instanceof Error ? error.message : String(error), 'BACKUP_REJECTED');
+        }
+      }
+      return {
+        created_at: opened.created_at,
+        app_version: opened.app_version,
+        encrypted: opened.encrypted,
+        includes_secrets: opened.includes_secrets,
+        mode,
+        sections,
+      };
+    });
+  }
+
+  return {
+    exportBundle: async (passphrase) => sealBackup(
+      exportPayload(Boolean(normalizePassphrase(passphrase))),
+      { appVersion, passphrase },
+    ),
+    previewBundle: (bundle, passphrase, mode, actingUsername) => apply(bundle, passphrase, mode, actingUsername, false),
+    importBundle: (bundle, passphrase, mode, actingUsername) => apply(bundle, passphrase, mode, actingUsername, true),
+  };
+}
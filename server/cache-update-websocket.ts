@@ -1,12 +1,15 @@
 import type { IncomingMessage } from 'node:http';
 import type { Duplex } from 'node:stream';
 import { WebSocket, WebSocketServer } from 'ws';
+import type { LiveServerMessage, LiveStream } from '../shared/contracts';
 import type { AppController } from './app';
+import { parseLiveClientMessage, type LiveChangeSet, type LiveQuery } from './live-updates';
 
 const AUTH_TIMEOUT_MS = 5_000;
 const HEARTBEAT_INTERVAL_MS = 30_000;
+const MAX_CLIENT_MESSAGE_BYTES = 16 * 1024;
 
-type AliveWebSocket = WebSocket & { isAlive: boolean };
+type AliveWebSocket = WebSocket & { isAlive: boolean; liveQueries: Map<LiveStream, LiveQuery> };
 
 export interface CacheUpdateWebSocketController {
   close: () => void;
@@ -22,14 +25,18 @@ export function attachCacheUpdateWebSocket(
   controller: AppController,
 ): CacheUpdateWebSocketController {
   const socketPath = `${controller.config.basePath}/api/cache-updates`;
-  const webSocketServer = new WebSocketServer({ noServer: true, perMessageDeflate: false });
+  const webSocketServer = new WebSocketServer({ noServer: true, perMessageDeflate: false, maxPayload: MAX_CLIENT_MESSAGE_BYTES });
 
   webSocketServer.on('connection', (socket) => {
     const aliveSocket = socket as AliveWebSocket;
     aliveSocket.isAlive = true;
+    aliveSocket.liveQueries = new Map();
     socket.on('pong', () => {
       aliveSocket.isAlive = true;
     });
+    socket.on('message', (data) => {
+      handleLiveMessage(aliveSocket, controller, String(data));
+    });
 
     socket.send(JSON.stringify({
       type: 'ready',
@@ -37,11 +44,17 @@ export function attachCacheUpdateWebSocket(
     }));
   });
 
-  const unsubscribe = controller.subscribeCacheUpdates((updatedAt, instanceIds) => {
+  const unsubscribe = controller.subscribeCacheUpdates((updatedAt, instanceIds, changes) => {
     const payload = JSON.stringify({ type: 'cache-updated', updated_at: updatedAt, instance_ids: instanceIds });
     for (const socket of webSocketServer.clients) {
       if (socket.readyState === WebSocket.OPEN) socket.send(payload);
     }
+    if (changes.size === 0 && !changes.truncated) return;
+    for (const socket of webSocketServer.clients) {
+      for (const [stream, query] of (socket as AliveWebSocket).liveQueries) {
+        void sendLiveRows(socket as AliveWebSocket, stream, query, updatedAt, changes);
+      }
+    }
   });
 
   const heartbeat = setInterval(() => {
@@ -93,6 +106,47 @@ export function attachCacheUpdateWebSocket(
   };
 }
 
+function handleLiveMessage(socket: AliveWebSocket, controller: AppController, raw: string): void {
+  const message = parseLiveClientMessage(raw);
+  if ('error' in message) {
+    sendMessage(socket, { type: 'subscription-error', stream: message.stream, error: message.error });
+    return;
+  }
+  if (message.type === 'unsubscribe') {
+    socket.liveQueries.delete(message.stream);
+    return;
+  }
+  const query = controller.createLiveQuery(message.stream, message.filters);
+  if ('error' in query) {
+    socket.liveQueries.delete(message.stream);
+    sendMessage(socket, { type: 'subscription-error', stream: message.stream, error: query.error });
+    return;
+  }
+  socket.liveQueries.set(message.stream, query);
+  sendMessage(socket, { type: 'subscribed', stream: message.stream });
+}
+
+async function sendLiveRows(
+  socket: AliveWebSocket,
+  stream: LiveStream,
+  query: LiveQuery,
+  updatedAt: string,
+  changes: LiveChangeSet,
+): Promise<void> {
+  try {
+    const result = await query(changes);
+    // The subscription may have been replaced while the query was running.
+    if (socket.liveQueries.get(stream) !== query || (result.rows.length === 0 && !result.truncated)) return;
+    sendMessage(socket, { type: 'live-rows', stream, updated_at: updatedAt, ...result } as LiveServerMessage);
+  } catch (error) {
+    console.error(`Live ${stream} update failed:`, error instanceof Error ? error.message : error);
+  }
+}
+
+function sendMessage(socket: WebSocket, message: LiveServerMessage): void {
+  if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+}
+
 function isExpectedSocketPath(requestUrl: string | undefined, host: string, expectedPath: string): boolean {
   try {
     return new URL(requestUrl || '/', `http://${host}`).pathname === expectedPath;
@@ -1,9 +1,10 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { isMap, isSeq, parse as parseYaml, parseDocument as parseYamlDocument, stringify as stringifyYaml } from 'yaml';
-import type { RuntimeConfig } from './config';
+import type { MetricsEndpointConfig, RuntimeConfig } from './config';
 import { ConfigurationEnvironmentError } from './config-error';
-import { parseInstancesConfig, type CrowdsecInstanceConfig } from './instances-config';
+import type { GeoIpConfig } from './geoip';
+import { parseInstancesConfig, parsePrometheusAuth, type CrowdsecInstanceConfig } from './instances-config';
 
 type UnknownRecord = Record<string, unknown>;
 type ConfigPath = readonly (string | number)[];
@@ -11,7 +12,9 @@ type ConfigPath = readonly (string | number)[];
 export interface ParsedConfigFile {
   environment: NodeJS.ProcessEnv;
   instances: CrowdsecInstanceConfig[];
+  metricsEndpoint: MetricsEndpointConfig;
   sqliteWalEnabled: boolean;
+  geoIp: GeoIpConfig;
   updateCheckEnabled?: boolean;
 }
 
@@ -44,7 +47,7 @@ export const DEPRECATED_CONFIG_ENV = [
   'CROWDSEC_PROMETHEUS_REQUEST_TIMEOUT', 'CROWDSEC_SIMULATIONS_ENABLED', 'CROWDSEC_LOOKBACK_PERIOD',
   'CROWDSEC_REFRESH_INTERVAL', 'CROWDSEC_MANUAL_REFRESH_ENABLED', 'CROWDSEC_IDLE_REFRESH_INTERVAL',
   'CROWDSEC_IDLE_THRESHOLD', 'CROWDSEC_LAPI_REQUEST_TIMEOUT', 'CROWDSEC_BOUNCER_PROPAGATION_DELAY',
-  'CROWDSEC_HEARTBEAT_INTERVAL', 'CROWDSEC_ALERT_SYNC_CHUNK', 'CROWDSEC_ALERT_SYNC_MIN_CHUNK',
+  'CROWDSEC_HEARTBEAT_INTERVAL', 'CROWDSEC_METRICS_HISTORY_INTERVAL', 'CROWDSEC_ALERT_SYNC_CHUNK', 'CROWDSEC_ALERT_SYNC_MIN_CHUNK',
   'CROWDSEC_RECONCILE_WINDOW', 'CROWDSEC_RECONCILE_RECENT_AGE', 'CROWDSEC_RECONCILE_RECENT_INTERVAL',
   'CROWDSEC_RECONCILE_ACTIVE_INTERVAL', 'CROWDSEC_RECONCILE_OLD_INTERVAL',
   'CROWDSEC_RECONCILE_WINDOWS_PER_REFRESH', 'CROWDSEC_BOOTSTRAP_RETRY_DELAY',
@@ -161,17 +164,33 @@ export function parseApplicationConfig(parsed: unknown, sourceEnv: NodeJS.Proces
   }
 
   const server = section(root, 'server');
-  knownKeys(server, ['port', 'basePath'], 'server');
+  knownKeys(server, ['port', 'basePath', 'metrics'], 'server');
   setInteger(env, server, 'port', 'PORT', 'server');
   setString(env, server, 'basePath', 'BASE_PATH', 'server', true);
+  const metrics = section(server, 'metrics');
+  knownKeys(metrics, ['enabled', 'auth'], 'server.metrics');
+  const metricsEndpoint: MetricsEndpointConfig = {
+    enabled: metrics.enabled === undefined ? false : boolean(metrics.enabled, 'server.metrics.enabled'),
+    auth: parsePrometheusAuth(metrics.auth, sourceEnv, 'server.metrics.auth'),
+  };
+  if (metricsEndpoint.enabled && metricsEndpoint.auth.type === 'none') {
+    throw new Error('Configuration error: server.metrics.auth must use basic or bearer credentials when server.metrics.enabled is true.');
+  }
 
   const storage = section(root, 'storage');
-  knownKeys(storage, ['dataDir', 'geonamesDir', 'walEnabled'], 'storage');
+  knownKeys(storage, ['dataDir', 'geonamesDir', 'walEnabled', 'auditRetention', 'geoip'], 'storage');
   setString(env, storage, 'dataDir', 'DB_DIR', 'storage');
   setString(env, storage, 'geonamesDir', 'GEONAMES_DUMP_DIR', 'storage');
+  setDuration(env, storage, 'auditRetention', 'AUDIT_LOG_RETENTION', 'storage', true);
   const sqliteWalEnabled = storage.walEnabled === undefined
     ? true
     : boolean(storage.walEnabled, 'storage.walEnabled');
+  const geoip = storage.geoip === undefined ? {} : record(storage.geoip, 'storage.geoip');
+  knownKeys(geoip, ['cityFile', 'asnFile'], 'storage.geoip');
+  const geoIp: GeoIpConfig = {
+    ...(geoip.cityFile === undefined ? {} : { cityFile: string(geoip.cityFile, 'storage.geoip.cityFile') }),
+    ...(geoip.asnFile === undefined ? {} : { asnFile: string(geoip.asnFile, 'storage.geoip.asnFile') }),
+  };
 
   const ui = section(root, 'ui');
   knownKeys(ui, ['timeZone', 'timeFormat', 'readOnly'], 'ui');
@@ -231,6 +250,7 @@ export function parseApplicationConfig(parsed: unknown, sourceEnv: NodeJS.Proces
     idleRefreshInterval: 'CROWDSEC_IDLE_REFRESH_INTERVAL', idleThreshold: 'CROWDSEC_IDLE_THRESHOLD',
     requestTimeout: 'CROWDSEC_LAPI_REQUEST_TIMEOUT', bouncerPropagationDelay: 'CROWDSEC_BOUNCER_PROPAGATION_DELAY',
     metricsRequestTimeout: 'CROWDSEC_PROMETHEUS_REQUEST_TIMEOUT', heartbeatInterval: 'CROWDSEC_HEARTBEAT_INTERVAL',
+    metricsHistoryInterval: 'CROWDSEC_METRICS_HISTORY_INTERVAL',
     alertSyncChunk: 'CROWDSEC_ALERT_SYNC_CHUNK', alertSyncMinChunk: 'CROWDSEC_ALERT_SYNC_MIN_CHUNK',
     reconcileWindow: 'CROWDSEC_RECONCILE_WINDOW', reconcileRecentAge: 'CROWDSEC_RECONCILE_RECENT_AGE',
     reconcileRecentInterval: 'CROWDSEC_RECONCILE_RECENT_INTERVAL', reconcileActiveInterval: 'CROWDSEC_RECONCILE_ACTIVE_INTERVAL',
@@ -239,7 +259,7 @@ export function parseApplicationConfig(parsed: unknown, sourceEnv: NodeJS.Proces
   knownKeys(sync, [...Object.keys(syncKeys), 'manualRefreshEnabled', 'reconcileWindowsPerRefresh', 'bootstrapRetryEnabled'], 'crowdsec.sync');
   const zeroDurationKeys = new Set([
     'refreshInterval', 'idleRefreshInterval', 'idleThreshold', 'bouncerPropagationDelay',
-    'heartbeatInterval', 'bootstrapRetryDelay',
+    'heartbeatInterval', 'metricsHistoryInterval', 'bootstrapRetryDelay',
   ]);
   for (const [key, envName] of Object.entries(syncKeys)) {
     setDuration(env, sync, key, envName, 'crowdsec.sync', zeroDurationKeys.has(key));
@@ -251,7 +271,9 @@ export function parseApplicationConfig(parsed: unknown, sourceEnv: NodeJS.Proces
   return {
     environment: env,
     instances: parseInstancesConfig({ instances: root.instances }, sourceEnv),
+    metricsEndpoint,
     sqliteWalEnabled,
+    geoIp,
     updateCheckEnabled,
   };
 }
@@ -293,8 +315,11 @@ const INITIAL_CONFIG_HEADER = [
 
 export const CONFIG_KEY_ORDER = new Map<string, readonly string[]>([
   ['', ['server', 'storage', 'ui', 'updates', 'auth', 'notifications', 'crowdsec', 'instances']],
-  ['server', ['port', 'basePath']],
-  ['storage', ['dataDir', 'geonamesDir', 'walEnabled']],
+  ['server', ['port', 'basePath', 'metrics']],
+  ['server.metrics', ['enabled', 'auth']],
+  ['server.metrics.auth', ['type', 'username', 'password', 'token']],
+  ['storage', ['dataDir', 'geonamesDir', 'walEnabled', 'auditRetention', 'geoip']],
+  ['storage.geoip', ['cityFile', 'asnFile']],
   ['ui', ['timeZone', 'timeFormat', 'readOnly']],
   ['updates', ['enabled']],
   ['auth', ['enabled', 'sessionSecret', 'totpSecret', 'totpSeed', 'oidc']],
@@ -306,7 +331,7 @@ export const CONFIG_KEY_ORDER = new Map<string, readonly string[]>([
   ['crowdsec.sync', [
     'lookback', 'refreshInterval', 'manualRefreshEnabled', 'idleRefreshInterval', 'idleThreshold',
     'requestTimeout', 'bouncerPropagationDelay', 'metricsRequestTimeout', 'heartbeatInterval',
-    'alertSyncChunk', 'alertSyncMinChunk', 'reconcileWindow', 'reconcileRecentAge',
+    'metricsHistoryInterval', 'alertSyncChunk', 'alertSyncMinChunk', 'reconcileWindow', 'reconcileRecentAge',
     'reconcileRecentInterval', 'reconcileActiveInterval', 'reconcileOldInterval',
     'reconcileWindowsPerRefresh', 'bootstrapRetryDelay', 'bootstrapRetryEnabled',
   ]],
@@ -417,6 +442,7 @@ const LEGACY_GENERATED_CONFIG_PATHS = [
   ['CROWDSEC_BOUNCER_PROPAGATION_DELAY', ['crowdsec', 'sync', 'bouncerPropagationDelay']],
   ['CROWDSEC_PROMETHEUS_REQUEST_TIMEOUT', ['crowdsec', 'sync', 'metricsRequestTimeout']],
   ['CROWDSEC_HEARTBEAT_INTERVAL', ['crowdsec', 'sync', 'heartbeatInterval']],
+  ['CROWDSEC_METRICS_HISTORY_INTERVAL', ['crowdsec', 'sync', 'metricsHistoryInterval']],
   ['CROWDSEC_ALERT_SYNC_CHUNK', ['crowdsec', 'sync', 'alertSyncChunk']],
   ['CROWDSEC_ALERT_SYNC_MIN_CHUNK', ['crowdsec', 'sync', 'alertSyncMinChunk']],
   ['CROWDSEC_RECONCILE_WINDOW', ['crowdsec', 'sync', 'reconcileWindow']],
@@ -486,6 +512,7 @@ export function generateApplicationConfig(env: NodeJS.ProcessEnv, config: Runtim
       dataDir: config.dbDir,
       geonamesDir: config.geonamesDumpDir,
       walEnabled: config.sqliteWalEnabled,
+      auditRetention: duration(config.auditLogRetentionMs),
     },
     ui: { timeZone: config.timeZone || 'browser', timeFormat: config.timeFormat, readOnly: config.readOnly },
     auth: {
@@ -536,6 +563,7 @@ export function generateApplicationConfig(env: NodeJS.ProcessEnv, config: Runtim
         bouncerPropagationDelay: duration(config.bouncerPropagationDelayMs),
         metricsRequestTimeout: duration(config.prometheusRequestTimeoutMs),
         heartbeatInterval: duration(config.heartbeatIntervalMs),
+        metricsHistoryInterval: duration(config.metricsHistoryIntervalMs),
         alertSyncChunk: duration(config.alertSyncChunkMs),
         alertSyncMinChunk: duration(config.alertSyncMinChunkMs),
         reconcileWindow: duration(config.reconcileWindowMs),
@@ -567,9 +595,15 @@ const CONFIG_SECTION_ENV = [
 const CONFIG_VALUE_ENV = [
   ['CONFIG_SERVER_PORT', ['server', 'port']],
   ['CONFIG_SERVER_BASE_PATH', ['server', 'basePath']],
+  ['CONFIG_SERVER_METRICS_ENABLED', ['server', 'metrics', 'enabled']],
+  ['CONFIG_SERVER_METRICS_AUTH_TYPE', ['server', 'metrics', 'auth', 'type']],
+  ['CONFIG_SERVER_METRICS_AUTH_USERNAME', ['server', 'metrics', 'auth', 'username']],
   ['CONFIG_STORAGE_DATA_DIR', ['storage', 'dataDir']],
   ['CONFIG_STORAGE_GEONAMES_DIR', ['storage', 'geonamesDir']],
   ['CONFIG_STORAGE_WAL_ENABLED', ['storage', 'walEnabled']],
+  ['CONFIG_STORAGE_AUDIT_RETENTION', ['storage', 'auditRetention']],
+  ['CONFIG_STORAGE_GEOIP_CITY_FILE', ['storage', 'geoip', 'cityFile']],
+  ['CONFIG_STORAGE_GEOIP_ASN_FILE', ['storage', 'geoip', 'asnFile']],
   ['CONFIG_UI_TIME_ZONE', ['ui', 'timeZone']],
   ['CONFIG_UI_TIME_FORMAT', ['ui', 'timeFormat']],
   ['CONFIG_UI_READ_ONLY', ['ui', 'readOnly']],
@@ -601,6 +635,7 @@ const CONFIG_VALUE_ENV = [
   ['CONFIG_CROWDSEC_SYNC_BOUNCER_PROPAGATION_DELAY', ['crowdsec', 'sync', 'bouncerPropagationDelay']],
   ['CONFIG_CROWDSEC_SYNC_METRICS_REQUEST_TIMEOUT', ['crowdsec', 'sync', 'metricsRequestTimeout']],
   ['CONFIG_CROWDSEC_SYNC_HEARTBEAT_INTERVAL', ['crowdsec', 'sync', 'heartbeatInterval']],
+  ['CONFIG_CROWDSEC_SYNC_METRICS_HISTORY_INTERVAL', ['crowdsec', 'sync', 'metricsHistoryInterval']],
   ['CONFIG_CROWDSEC_SYNC_ALERT_SYNC_CHUNK', ['crowdsec', 'sync', 'alertSyncChunk']],
   ['CONFIG_CROWDSEC_SYNC_ALERT_SYNC_MIN_CHUNK', ['crowdsec', 'sync', 'alertSyncMinChunk']],
   ['CONFIG_CROWDSEC_SYNC_RECONCILE_WINDOW', ['crowdsec', 'sync', 'reconcileWindow']],
@@ -614,6 +649,8 @@ const CONFIG_VALUE_ENV = [
 ] as const;
 
 const CONFIG_SECRET_ENV = [
+  ['CONFIG_SERVER_METRICS_AUTH_PASSWORD', ['server', 'metrics', 'auth', 'password']],
+  ['CONFIG_SERVER_METRICS_AUTH_TOKEN', ['server', 'metrics', 'auth', 'token']],
   ['CONFIG_AUTH_SESSION_SECRET', ['auth', 'sessionSecret']],
   ['CONFIG_AUTH_TOTP_SECRET', ['auth', 'totpSecret']],
   ['CONFIG_AUTH_TOTP_SEED', ['auth', 'totpSeed']],
@@ -1203,6 +1240,11 @@ function initialExplicitConfigPaths(env: NodeJS.ProcessEnv, document: UnknownRec
 }
 
 function initialConfigReference(document: UnknownRecord): UnknownRecord {
+  const server = record(document.server, 'server');
+  const serverMetrics = server.metrics === undefined ? {} : record(server.metrics, 'server.metrics');
+  const serverMetricsAuth = serverMetrics.auth === undefined ? {} : record(serverMetrics.auth, 'server.metrics.auth');
+  const storage = record(document.storage, 'storage');
+  const geoIp = storage.geoip === undefined ? {} : record(storage.geoip, 'storage.geoip');
   const auth = record(document.auth, 'auth');
   const oidc = record(auth.oidc, 'auth.oidc');
   const notifications = record(document.notifications, 'notifications');
@@ -1289,6 +1331,28 @@ function initialConfigReference(document: UnknownRecord): UnknownRecord {
 
   return {
     ...document,
+    server: {
+      ...server,
+      metrics: {
+        enabled: false,
+        ...serverMetrics,
+        auth: {
+          type: 'bearer',
+          username: 'prometheus',
+          password: { file: '/run/secrets/web_ui_metrics_password' },
+          token: { file: '/run/secrets/web_ui_metrics_token' },
+          ...serverMetricsAuth,
+        },
+      },
+    },
+    storage: {
+      ...storage,
+      geoip: {
+        cityFile: '/app/geoip/GeoLite2-City.mmdb',
+        asnFile: '/app/geoip/GeoLite2-ASN.mmdb',
+        ...geoIp,
+      },
+    },
     auth: {
       enabled: 'auto',
       sessionSecret: { env: 'AUTH_SECRET' },
@@ -1509,3 +1573,25 @@ export function persistApplicationConfig(file: string, yaml: string): void {
     throw new Error(`Configuration error: failed to persist CONFIG_ overrides at "${file}": ${message}`);
   }
 }
+
+export function saveApplicationConfigInstances(file: string, instances: unknown[]): void {
+  let yamlDocument;
+  try {
+    yamlDocument = parseYamlDocument(fs.readFileSync(file, 'utf8'));
+    if (yamlDocument.errors.length > 0) throw yamlDocument.errors[0];
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Configuration error: failed to read CONFIG_FILE at "${file}": ${message}`);
+  }
+  // Only the instances collection is replaced, so comments and the layout of
+  // every other section survive the round trip.
+  const node = yamlDocument.createNode(instances);
+  useBlockCollectionStyle(node);
+  yamlDocument.setIn(['instances'], node);
+  try {
+    fs.writeFileSync(file, yamlDocument.toString({ lineWidth: 0 }), { encoding: 'utf8', mode: 0o600 });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Configuration error: failed to save instances at "${file}": ${message}`);
+  }
+}
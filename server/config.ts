@@ -16,7 +16,13 @@ import {
 } from './config-file';
 import { ConfigurationEnvironmentError, ConfigurationLoadError, isConfigurationError } from './config-error';
 import { resolveSecretEnv } from './env-secrets';
-import { hasLegacyConnectionEnvironment, loadInstancesConfig, type CrowdsecInstanceConfig } from './instances-config';
+import type { GeoIpConfig } from './geoip';
+import {
+  hasLegacyConnectionEnvironment,
+  loadInstancesConfig,
+  type CrowdsecInstanceConfig,
+  type PrometheusAuthConfig,
+} from './instances-config';
 
 export type AlertFilterMode = 'default' | 'new' | 'legacy';
 export type TimeFormat = 'browser' | '12h' | '24h';
@@ -38,6 +44,11 @@ export interface DashboardAuthConfig {
   oidcUnmatchedRole: OidcUnmatchedRole;
 }
 
+export interface MetricsEndpointConfig {
+  enabled: boolean;
+  auth: PrometheusAuthConfig;
+}
+
 export interface RuntimeConfig {
   port: number;
   basePath: string;
@@ -67,6 +78,7 @@ export interface RuntimeConfig {
   prometheusUrl?: string;
   prometheusRequestTimeoutMs: number;
   heartbeatIntervalMs: number;
+  metricsHistoryIntervalMs: number;
   alertSyncChunkMs: number;
   alertSyncMinChunkMs: number;
   reconcileWindowMs: number;
@@ -87,6 +99,8 @@ export interface RuntimeConfig {
   dbDir: string;
   geonamesDumpDir: string;
   sqliteWalEnabled: boolean;
+  auditLogRetentionMs: number;
+  geoIp: GeoIpConfig;
   notificationSecretKey?: string;
   notificationAllowPrivateAddresses: boolean;
   notificationDebugPayloads: boolean;
@@ -94,7 +108,11 @@ export interface RuntimeConfig {
   timeFormat: TimeFormat;
   readOnly: boolean;
   dashboardAuth: DashboardAuthConfig;
+  metricsEndpoint: MetricsEndpointConfig;
   instances: CrowdsecInstanceConfig[];
+  // Set when the configuration came from the application YAML, which instance
+  // settings are written back to. Secret references resolve against env.
+  configSource?: { file: string; env: NodeJS.ProcessEnv };
 }
 
 export function parseTimeZone(value: string | undefined): string | null {
@@ -399,6 +417,7 @@ function createRuntimeConfigFromEnvironment(env: NodeJS.ProcessEnv): RuntimeConf
     prometheusUrl: env.CROWDSEC_PROMETHEUS_URL?.trim() || undefined,
     prometheusRequestTimeoutMs: parsePositiveIntervalEnv(env.CROWDSEC_PROMETHEUS_REQUEST_TIMEOUT, '5s'),
     heartbeatIntervalMs: parseRefreshInterval(env.CROWDSEC_HEARTBEAT_INTERVAL || '30s'),
+    metricsHistoryIntervalMs: parseRefreshInterval(env.CROWDSEC_METRICS_HISTORY_INTERVAL || '1m'),
     alertSyncChunkMs: parsePositiveIntervalEnv(env.CROWDSEC_ALERT_SYNC_CHUNK, '12h'),
     alertSyncMinChunkMs: parsePositiveIntervalEnv(env.CROWDSEC_ALERT_SYNC_MIN_CHUNK, '15m'),
     reconcileWindowMs: parsePositiveIntervalEnv(env.CROWDSEC_RECONCILE_WINDOW, '1h'),
@@ -421,6 +440,8 @@ function createRuntimeConfigFromEnvironment(env: NodeJS.ProcessEnv): RuntimeConf
     dbDir: env.DB_DIR || '/app/data',
     geonamesDumpDir: env.GEONAMES_DUMP_DIR || path.resolve(process.cwd(), 'geonames'),
     sqliteWalEnabled: true,
+    auditLogRetentionMs: parseNonNegativeIntervalEnv(env.AUDIT_LOG_RETENTION, '365d'),
+    geoIp: {},
     notificationSecretKey,
     notificationAllowPrivateAddresses: parseBooleanEnv(env.NOTIFICATION_ALLOW_PRIVATE_ADDRESSES, true),
     notificationDebugPayloads: parseBooleanEnv(env.NOTIFICATION_DEBUG_PAYLOADS, false),
@@ -428,6 +449,7 @@ function createRuntimeConfigFromEnvironment(env: NodeJS.ProcessEnv): RuntimeConf
     timeFormat: parseTimeFormat(resolveRenamedEnv(env, 'TIME_FORMAT', 'CROWDSEC_TIME_FORMAT')),
     readOnly: parseBooleanEnv(env.PERMISSION_READ_ONLY, false),
     dashboardAuth: parseDashboardAuthConfig(env),
+    metricsEndpoint: { enabled: false, auth: { type: 'none' } },
     instances: [],
   };
 
@@ -488,7 +510,9 @@ function warnDeprecatedEnvironment(
 function createRuntimeConfigFromParsedConfig(parsed: ParsedConfigFile): RuntimeConfig {
   const runtimeConfig = createRuntimeConfigFromEnvironment(parsed.environment);
   runtimeConfig.instances = parsed.instances;
+  runtimeConfig.metricsEndpoint = parsed.metricsEndpoint;
   runtimeConfig.sqliteWalEnabled = parsed.sqliteWalEnabled;
+  runtimeConfig.geoIp = parsed.geoIp;
   const primaryInstance = parsed.instances[0];
   runtimeConfig.crowdsecUrl = primaryInstance.lapiUrl;
   runtimeConfig.crowdsecAuth = primaryInstance.lapiAuth.mode === 'mtls'
@@ -628,6 +652,7 @@ export function createRuntimeConfig(
 
     warnDeprecatedEnvironment(env, { configFile, migrated });
     const runtimeConfig = createRuntimeConfigFromParsedConfig(parsedConfig || loadApplicationConfig(configFile, env));
+    runtimeConfig.configSource = { file: configFile, env };
     console.log(`Loaded application configuration from ${configFile}.`);
     return runtimeConfig;
   } catch (error) {
@@ -5,12 +5,21 @@ import { fileURLToPath } from 'node:url';
 import BetterSqlite3 from 'better-sqlite3';
 import type { AlertDecision, AlertRecord } from '../shared/contracts';
 import { matchesIpSearchValue } from '../shared/search';
+import {
+  enrichAlertRecord,
+  enrichDecisionRecord,
+  serializeGeoEnrichedFields,
+  stripAlertGeoEnrichment,
+  stripDecisionGeoEnrichment,
+  type GeoIpLookup,
+} from './geoip';
 import { deriveAlertIndexValues, deriveAlertIndexValuesFromRecord, deriveDecisionIndexValues, deriveDecisionIndexValuesFromRecord } from './record-index';
 import {
   ALERT_RECORD_COLUMNS,
   DECISION_RECORD_COLUMNS,
   alertFromRow,
   alertMetadataFingerprint,
+  decisionFromRow,
   parseAlertPayload,
   parseDecisionPayload,
   serializeAlertExtras,
@@ -38,7 +47,7 @@ type Database = {
 
 const MODULE_DIR = path.dirname(fileURLToPath(import.meta.url));
 const DECISION_DUPLICATE_RANK_VERSION = '2';
-
+const GEOIP_SIGNATURE_META_KEY = 'geoip_enrichment_signature';
 const SYNC_SECONDARY_INDEX_NAMES = [
   'idx_alerts_created_at',
   'idx_alerts_country',
@@ -169,6 +178,7 @@ export interface DatabaseOptions {
   dbDir?: string;
   dbPath?: string;
   walEnabled?: boolean;
+  geoIp?: GeoIpLookup | null;
 }
 
 type RowWithRawData = { raw_data: string; created_at?: string; stop_at?: string; alert_id?: string | number | null };
@@ -204,6 +214,7 @@ type JsonRow = {
   type?: string;
   enabled?: number;
   config_json?: string;
+  delivery_json?: string;
   severity?: string;
   channel_ids_json?: string;
   rule_id?: string;
@@ -215,12 +226,25 @@ type JsonRow = {
   metadata_json?: string;
   deliveries_json?: string;
   dedupe_key?: string;
+  escalation_channel_id?: string | null;
+  escalate_at?: string | null;
+  notification_id?: string;
+  channel_id?: string;
+  queued_at?: string;
+  release_at?: string;
   incident_key?: string;
   first_seen_at?: string;
   last_seen_at?: string;
   resolved_at?: string | null;
   published_at?: string;
   fetched_at?: string;
+  frequency?: string;
+  send_time?: string;
+  time_zone?: string;
+  instance_id?: string;
+  last_run_at?: string | null;
+  last_sent_at?: string | null;
+  last_error?: string | null;
 };
 
 export interface AuthUserRow {
@@ -235,6 +259,7 @@ export interface AuthUserRow {
   oidc_issuer: string | null;
   oidc_subject: string | null;
   session_version: number;
+  disabled: number;
   created_at: string;
   updated_at: string;
 }
@@ -246,6 +271,18 @@ export interface OidcUserUpsertParams {
   subject: string;
 }
 
+export interface AuthUserRestoreParams {
+  username: string;
+  role: 'admin' | 'read-only';
+  authProvider: 'password' | 'oidc';
+  oidcIssuer: string | null;
+  oidcSubject: string | null;
+  disabled: boolean;
+  passwordHash?: string | null;
+  /** Encrypted TOTP seed; null turns TOTP off. */
+  totpSecret?: string | null;
+}
+
 export interface WebAuthnCredentialRow {
   id: number;
   user_id: number;
@@ -257,11 +294,165 @@ export interface WebAuthnCredentialRow {
   created_at: string;
 }
 
+export interface ApiTokenRow {
+  id: number;
+  user_id: number;
+  name: string;
+  token_hash: string;
+  token_prefix: string;
+  scope: 'admin' | 'read-only';
+  created_at: string;
+  expires_at: string | null;
+  last_used_at: string | null;
+}
+
+export interface AuditLogRow {
+  id: number;
+  created_at: string;
+  user_id: number | null;
+  username: string | null;
+  auth_method: string | null;
+  action: string;
+  instance_ids_json: string;
+  summary_json: string;
+  outcome: string;
+  results_json: string;
+}
+
+export interface SavedSearchRow {
+  id: string;
+  user_id: number | null;
+  owner_username: string | null;
+  page: string;
+  name: string;
+  query: string;
+  date_start: string | null;
+  date_end: string | null;
+  instance: string;
+  columns_json: string;
+  shared: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface MetricsHistoryRow {
+  scraped_at: string;
+  counters_json: string;
+}
+
+export type AnnotationKind = 'alert' | 'decision';
+
+export interface DecisionPresenceRow {
+  value: string;
+  scope: string | null;
+  instance_id: string;
+  type: string | null;
+  origin: string | null;
+  scenario: string | null;
+  upstream_id: string | null;
+  created_at: string;
+  stop_at: string;
+}
+
+export interface IncidentCandidateAlertRow {
+  instance_id: string;
+  upstream_id: string;
+  created_at: string;
+  source_ip: string | null;
+  source_value: string | null;
+  source_scope: string | null;
+  source_range: string | null;
+  source_as_number: string | null;
+  as_name: string | null;
+  simulated: number;
+}
+
+export interface IncidentLinkRow {
+  instance_id: string;
+  upstream_id: string;
+  /** Null marks an alert that was looked at but cannot be grouped, so it is not fetched again. */
+  incident_id: number | null;
+  created_at: string;
+}
+
+export interface IncidentRow {
+  id: number;
+  kind: string;
+  value: string;
+  label: string | null;
+  status: string;
+  assignee: string | null;
+  updated_at: string | null;
+  updated_by: string | null;
+  first_seen: string;
+  last_seen: string;
+  alert_count: number;
+  event_count: number;
+  source_count: number;
+  scenarios: string | null;
+  targets: string | null;
+  instances: string | null;
+}
+
+export interface IncidentListFilters {
+  statuses?: string[];
+  assignee?: string;
+}
+
+export interface AnnotationRow {
+  status: string;
+  updated_at: string;
+  updated_by: string | null;
+}
+
+export interface AnnotationNoteRow {
+  id: number;
+  author: string | null;
+  body: string;
+  created_at: string;
+}
+
+export interface AnnotationWriteParams {
+  kind: AnnotationKind;
+  instanceId: string;
+  upstreamId: string;
+  status?: string;
+  tags?: string[];
+  updatedAt: string;
+  updatedBy: string | null;
+}
+
+export interface SavedSearchWriteParams {
+  id: string;
+  userId: number | null;
+  page: string;
+  name: string;
+  query: string;
+  dateStart: string | null;
+  dateEnd: string | null;
+  instance: string;
+  columns: string[];
+  shared: boolean;
+}
+
+export interface AuditLogInsertParams {
+  userId: number | null;
+  username: string | null;
+  authMethod: string | null;
+  action: string;
+  instanceIds: string[];
+  summary: Record<string, unknown>;
+  outcome: string;
+  results: unknown[];
+}
+
 export class CrowdsecDatabase {
   public readonly db: Database;
   public readonly dbPath: string;
   public readonly searchIndexAvailable: boolean;
   private searchIndexUpdatesDeferred = false;
+  private readonly geoIp: GeoIpLookup | null;
+  private geoIpBackfillCursor: { table: 'alerts' | 'decisions'; after: string | number | null } | null = null;
   private decisionDuplicateFlagsDirty = true;
   private decisionDuplicateFlagsInitialized = false;
   private lastDecisionDuplicateRefreshAt: string | null = null;
@@ -302,6 +493,11 @@ export class CrowdsecDatabase {
   private readonly updateAuthUserTotpLastStepStatement: any;
   private readonly createOidcUserStatement: any;
   private readonly updateOidcUserStatement: any;
+  private readonly listAuthUsersStatement: any;
+  private readonly countEnabledAdminsStatement: any;
+  private readonly updateAuthUserRoleStatement: any;
+  private readonly updateAuthUserDisabledStatement: any;
+  private readonly revokeAuthUserSessionsStatement: any;
   private readonly listWebAuthnCredentialsByUserStatement: any;
   private readonly countWebAuthnCredentialsStatement: any;
   private readonly createWebAuthnCredentialStatement: any;
@@ -309,6 +505,18 @@ export class CrowdsecDatabase {
   private readonly updateWebAuthnCredentialCounterStatement: any;
   private readonly renameWebAuthnCredentialStatement: any;
   private readonly deleteWebAuthnCredentialStatement: any;
+  private readonly listApiTokensByUserStatement: any;
+  private readonly createApiTokenStatement: any;
+  private readonly getApiTokenByHashStatement: any;
+  private readonly touchApiTokenStatement: any;
+  private readonly deleteApiTokenStatement: any;
+  private readonly insertAuditLogStatement: any;
+  private readonly pruneAuditLogStatement: any;
+  private readonly listSavedSearchesStatement: any;
+  private readonly getSavedSearchByIdStatement: any;
+  private readonly insertSavedSearchStatement: any;
+  private readonly updateSavedSearchStatement: any;
+  private readonly deleteSavedSearchStatement: any;
   private readonly listNotificationChannelsStatement: any;
   private readonly getNotificationChannelByIdStatement: any;
   private readonly upsertNotificationChannelStatement: any;
@@ -317,6 +525,10 @@ export class CrowdsecDatabase {
   private readonly getNotificationRuleByIdStatement: any;
   private readonly upsertNotificationRuleStatement: any;
   private readonly deleteNotificationRuleStatement: any;
+  private readonly listNotificationReportsStatement: any;
+  private readonly getNotificationReportByIdStatement: any;
+  private readonly upsertNotificationReportStatement: any;
+  private readonly deleteNotificationReportStatement: any;
   private readonly listNotificationsPageStatement: any;
   private readonly countNotificationsStatement: any;
   private readonly listNotificationIdsStatement: any;
@@ -331,8 +543,18 @@ export class CrowdsecDatabase {
   private readonly markAllNotificationsReadStatement: any;
   private readonly deleteReadNotificationsStatement: any;
   private readonly countUnreadNotificationsStatement: any;
+  private readonly updateNotificationDeliveriesStatement: any;
+  private readonly listDueNotificationEscalationsStatement: any;
+  private readonly markNotificationEscalatedStatement: any;
+  private readonly enqueueNotificationDeliveryStatement: any;
+  private readonly listQueuedNotificationDeliveriesStatement: any;
+  private readonly deleteQueuedNotificationDeliveryStatement: any;
+  private readonly pruneNotificationDeliveryQueueStatement: any;
   private readonly getCveCacheEntryStatement: any;
   private readonly upsertCveCacheEntryStatement: any;
+  private readonly insertMetricsHistorySampleStatement: any;
+  private readonly listMetricsHistorySamplesStatement: any;
+  private readonly pruneMetricsHistoryStatement: any;
   private readonly deleteAlertSearchIndexStatement: any | null;
   private readonly insertAlertSearchIndexStatement: any | null;
   private readonly deleteDecisionSearchIndexStatement: any | null;
@@ -344,6 +566,7 @@ export class CrowdsecDatabase {
     const resolvedPath = resolveDatabasePath(options);
     this.dbPath = resolvedPath;
     this.db = openDatabase(resolvedPath, options.walEnabled ?? true);
+    this.geoIp = options.geoIp ?? null;
     const freshDatabase = isDatabaseFresh(this.db);
     this.searchIndexAvailable = initSchema(this.db, freshDatabase);
     this.loadDecisionDuplicateRefreshState();
@@ -354,13 +577,13 @@ export class CrowdsecDatabase {
         id, instance_id, upstream_id, uuid, created_at, start_at, stop_at, scenario, record_scenario, reason,
         source_ip, source_value, source_scope, source_range, source_as_number, source_extra_data,
         message, machine_id, machine_alias, events_count, extra_data, metadata_hash, raw_data,
-        latitude, longitude, country, country_name, region, city, as_name, target, machine, meta_search, origins, simulated, search_text
+        latitude, longitude, country, country_name, region, city, as_name, target, machine, meta_search, origins, simulated, geo_enriched, search_text
       )
       VALUES (
         $internal_id, $instance_id, $id, $uuid, $created_at, $start_at, $stop_at, $scenario, $record_scenario, $reason,
         $source_ip, $source_value, $source_scope, $source_range, $source_as_number, $source_extra_data,
         $message, $machine_id, $machine_alias, $events_count, $extra_data, $metadata_hash, NULL,
-        $latitude, $longitude, $country, $country_name, $region, $city, $as_name, $target, $machine, $meta_search, $origins, $simulated, $search_text
+        $latitude, $longitude, $country, $country_name, $region, $city, $as_name, $target, $machine, $meta_search, $origins, $simulated, $geo_enriched, $search_text
       )
       ON CONFLICT(instance_id, upstream_id) DO UPDATE SET
         uuid = excluded.uuid,
@@ -395,6 +618,7 @@ export class CrowdsecDatabase {
         meta_search = excluded.meta_search,
         origins = excluded.origins,
         simulated = excluded.simulated,
+        geo_enriched = excluded.geo_enriched,
         search_text = excluded.search_text
       WHERE alerts.uuid IS NOT excluded.uuid
         OR alerts.created_at IS NOT excluded.created_at
@@ -428,6 +652,7 @@ export class CrowdsecDatabase {
         OR alerts.meta_search IS NOT excluded.meta_search
         OR alerts.origins IS NOT excluded.origins
         OR alerts.simulated IS NOT excluded.simulated
+        OR alerts.geo_enriched IS NOT excluded.geo_enriched
         OR alerts.search_text IS NOT excluded.search_text
     `);
 
@@ -474,11 +699,11 @@ export class CrowdsecDatabase {
     this.insertDecisionStatement = this.db.query(`
       INSERT INTO decisions (
         id, instance_id, upstream_id, uuid, alert_id, alert_upstream_id, created_at, stop_at, value, type, origin, scenario, duration, scope, extra_data, raw_data,
-        country, country_name, region, city, as_name, target, machine, simulated, search_text, is_duplicate
+        country, country_name, region, city, as_name, target, machine, simulated, geo_enriched, search_text, is_duplicate
       )
       VALUES (
         $internal_id, $instance_id, $id, $uuid, $internal_alert_id, $alert_id, $created_at, $stop_at, $value, $type, $origin, $scenario, $duration, $scope, $extra_data, NULL,
-        $country, $country_name, $region, $city, $as_name, $target, $machine, $simulated, $search_text, 0
+        $country, $country_name, $region, $city, $as_name, $target, $machine, $simulated, $geo_enriched, $search_text, 0
       )
       ON CONFLICT(instance_id, upstream_id) DO UPDATE SET
         uuid = excluded.uuid,
@@ -501,6 +726,7 @@ export class CrowdsecDatabase {
         target = excluded.target,
         machine = excluded.machine,
         simulated = excluded.simulated,
+        geo_enriched = excluded.geo_enriched,
         search_text = excluded.search_text,
         is_duplicate = 0
       WHERE decisions.uuid IS NOT excluded.uuid
@@ -523,6 +749,7 @@ export class CrowdsecDatabase {
         OR decisions.target IS NOT excluded.target
         OR decisions.machine IS NOT excluded.machine
         OR decisions.simulated IS NOT excluded.simulated
+        OR decisions.geo_enriched IS NOT excluded.geo_enriched
         OR decisions.search_text IS NOT excluded.search_text
     `);
 
@@ -541,6 +768,7 @@ export class CrowdsecDatabase {
         target = $target,
         machine = $machine,
         simulated = $simulated,
+        geo_enriched = $geo_enriched,
         search_text = $search_text
       WHERE id = $id
     `);
@@ -631,6 +859,28 @@ export class CrowdsecDatabase {
           updated_at = $updated_at
       WHERE id = $id
     `);
+    this.listAuthUsersStatement = this.db.query('SELECT * FROM auth_users ORDER BY username COLLATE NOCASE, id');
+    this.countEnabledAdminsStatement = this.db.query(`
+      SELECT COUNT(*) as count FROM auth_users
+      WHERE role = 'admin' AND disabled = 0
+    `);
+    this.updateAuthUserRoleStatement = this.db.query(`
+      UPDATE auth_users
+      SET role = $role, updated_at = $updated_at
+      WHERE id = $id
+    `);
+    this.updateAuthUserDisabledStatement = this.db.query(`
+      UPDATE auth_users
+      SET disabled = $disabled,
+          session_version = session_version + 1,
+          updated_at = $updated_at
+      WHERE id = $id
+    `);
+    this.revokeAuthUserSessionsStatement = this.db.query(`
+      UPDATE auth_users
+      SET session_version = session_version + 1, updated_at = $updated_at
+      WHERE id = $id
+    `);
     this.listWebAuthnCredentialsByUserStatement = this.db.query(`
       SELECT * FROM webauthn_credentials
       WHERE user_id = $user_id
@@ -658,38 +908,110 @@ export class CrowdsecDatabase {
       WHERE id = $id AND user_id = $user_id
     `);
     this.deleteWebAuthnCredentialStatement = this.db.query('DELETE FROM webauthn_credentials WHERE id = $id AND user_id = $user_id');
+    this.listApiTokensByUserStatement = this.db.query(`
+      SELECT * FROM api_tokens
+      WHERE user_id = $user_id
+      ORDER BY created_at DESC, id DESC
+    `);
+    this.createApiTokenStatement = this.db.query(`
+      INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scope, created_at, expires_at)
+      VALUES ($user_id, $name, $token_hash, $token_prefix, $scope, $created_at, $expires_at)
+    `);
+    this.getApiTokenByHashStatement = this.db.query('SELECT * FROM api_tokens WHERE token_hash = $token_hash');
+    this.touchApiTokenStatement = this.db.query(`
+      UPDATE api_tokens
+      SET last_used_at = $last_used_at
+      WHERE id = $id
+    `);
+    this.deleteApiTokenStatement = this.db.query('DELETE FROM api_tokens WHERE id = $id AND user_id = $user_id');
+    this.insertAuditLogStatement = this.db.query(`
+      INSERT INTO audit_log (
+        created_at, user_id, username, auth_method, action, instance_ids_json, summary_json, outcome, results_json
+      )
+      VALUES ($created_at, $user_id, $username, $auth_method, $action, $instance_ids_json, $summary_json, $outcome, $results_json)
+    `);
+    this.pruneAuditLogStatement = this.db.query('DELETE FROM audit_log WHERE created_at < $cutoff');
+    this.listSavedSearchesStatement = this.db.query(`
+      SELECT saved_searches.*, auth_users.username AS owner_username
+      FROM saved_searches
+      LEFT JOIN auth_users ON auth_users.id = saved_searches.user_id
+      WHERE saved_searches.user_id IS $user_id OR saved_searches.shared = 1
+      ORDER BY saved_searches.page ASC, saved_searches.name COLLATE NOCASE ASC, saved_searches.created_at ASC
+    `);
+    this.getSavedSearchByIdStatement = this.db.query(`
+      SELECT saved_searches.*, auth_users.username AS owner_username
+      FROM saved_searches
+      LEFT JOIN auth_users ON auth_users.id = saved_searches.user_id
+      WHERE saved_searches.id = $id
+    `);
+    this.insertSavedSearchStatement = this.db.query(`
+      INSERT INTO saved_searches (
+        id, user_id, page, name, query, date_start, date_end, instance, columns_json, shared, created_at, updated_at
+      )
+      VALUES ($id, $user_id, $page, $name, $query, $date_start, $date_end, $instance, $columns_json, $shared, $created_at, $updated_at)
+    `);
+    this.updateSavedSearchStatement = this.db.query(`
+      UPDATE saved_searches
+      SET name = $name, query = $query, date_start = $date_start, date_end = $date_end, instance = $instance,
+        columns_json = $columns_json, shared = $shared, updated_at = $updated_at
+      WHERE id = $id
+    `);
+    this.deleteSavedSearchStatement = this.db.query('DELETE FROM saved_searches WHERE id = $id');
     this.listNotificationChannelsStatement = this.db.query(`
-      SELECT id, created_at, updated_at, name, type, enabled, config_json
+      SELECT id, created_at, updated_at, name, type, enabled, config_json, delivery_json
       FROM notification_channels
       ORDER BY created_at DESC
     `);
     this.getNotificationChannelByIdStatement = this.db.query(`
-      SELECT id, created_at, updated_at, name, type, enabled, config_json
+      SELECT id, created_at, updated_at, name, type, enabled, config_json, delivery_json
       FROM notification_channels
       WHERE id = $id
     `);
     this.upsertNotificationChannelStatement = this.db.query(`
-      INSERT OR REPLACE INTO notification_channels (id, created_at, updated_at, name, type, enabled, config_json)
-      VALUES ($id, $created_at, $updated_at, $name, $type, $enabled, $config_json)
+      INSERT OR REPLACE INTO notification_channels (id, created_at, updated_at, name, type, enabled, config_json, delivery_json)
+      VALUES ($id, $created_at, $updated_at, $name, $type, $enabled, $config_json, $delivery_json)
     `);
     this.deleteNotificationChannelStatement = this.db.query('DELETE FROM notification_channels WHERE id = $id');
     this.listNotificationRulesStatement = this.db.query(`
-      SELECT id, created_at, updated_at, name, type, enabled, severity, channel_ids_json, config_json
+      SELECT id, created_at, updated_at, name, type, enabled, severity, channel_ids_json, config_json, delivery_json
       FROM notification_rules
       ORDER BY created_at DESC
     `);
     this.getNotificationRuleByIdStatement = this.db.query(`
-      SELECT id, created_at, updated_at, name, type, enabled, severity, channel_ids_json, config_json
+      SELECT id, created_at, updated_at, name, type, enabled, severity, channel_ids_json, config_json, delivery_json
       FROM notification_rules
       WHERE id = $id
     `);
     this.upsertNotificationRuleStatement = this.db.query(`
       INSERT OR REPLACE INTO notification_rules (
-        id, created_at, updated_at, name, type, enabled, severity, channel_ids_json, config_json
+        id, created_at, updated_at, name, type, enabled, severity, channel_ids_json, config_json, delivery_json
       )
-      VALUES ($id, $created_at, $updated_at, $name, $type, $enabled, $severity, $channel_ids_json, $config_json)
+      VALUES ($id, $created_at, $updated_at, $name, $type, $enabled, $severity, $channel_ids_json, $config_json, $delivery_json)
     `);
     this.deleteNotificationRuleStatement = this.db.query('DELETE FROM notification_rules WHERE id = $id');
+    this.listNotificationReportsStatement = this.db.query(`
+      SELECT id, created_at, updated_at, name, enabled, frequency, send_time, time_zone, instance_id, channel_ids_json,
+        last_run_at, last_sent_at, last_error
+      FROM notification_reports
+      ORDER BY created_at DESC
+    `);
+    this.getNotificationReportByIdStatement = this.db.query(`
+      SELECT id, created_at, updated_at, name, enabled, frequency, send_time, time_zone, instance_id, channel_ids_json,
+        last_run_at, last_sent_at, last_error
+      FROM notification_reports
+      WHERE id = $id
+    `);
+    this.upsertNotificationReportStatement = this.db.query(`
+      INSERT OR REPLACE INTO notification_reports (
+        id, created_at, updated_at, name, enabled, frequency, send_time, time_zone, instance_id, channel_ids_json,
+        last_run_at, last_sent_at, last_error
+      )
+      VALUES (
+        $id, $created_at, $updated_at, $name, $enabled, $frequency, $send_time, $time_zone, $instance_id, $channel_ids_json,
+        $last_run_at, $last_sent_at, $last_error
+      )
+    `);
+    this.deleteNotificationReportStatement = this.db.query('DELETE FROM notification_reports WHERE id = $id');
     this.listNotificationsPageStatement = this.db.query(`
       SELECT id, created_at, updated_at, rule_id, rule_name, rule_type, severity, title, message, read_at, metadata_json, deliveries_json, dedupe_key
       FROM notifications
@@ -704,10 +1026,12 @@ export class CrowdsecDatabase {
     `);
     this.insertNotificationStatement = this.db.query(`
       INSERT OR IGNORE INTO notifications (
-        id, created_at, updated_at, rule_id, rule_name, rule_type, severity, title, message, read_at, metadata_json, deliveries_json, dedupe_key
+        id, created_at, updated_at, rule_id, rule_name, rule_type, severity, title, message, read_at, metadata_json, deliveries_json, dedupe_key,
+        escalation_channel_id, escalate_at
       )
       VALUES (
-        $id, $created_at, $updated_at, $rule_id, $rule_name, $rule_type, $severity, $title, $message, $read_at, $metadata_json, $deliveries_json, $dedupe_key
+        $id, $created_at, $updated_at, $rule_id, $rule_name, $rule_type, $severity, $title, $message, $read_at, $metadata_json, $deliveries_json, $dedupe_key,
+        $escalation_channel_id, $escalate_at
       )
     `);
     this.listNotificationIncidentsByRuleStatement = this.db.query(`
@@ -739,6 +1063,38 @@ export class CrowdsecDatabase {
     `);
     this.deleteReadNotificationsStatement = this.db.query('DELETE FROM notifications WHERE read_at IS NOT NULL');
     this.countUnreadNotificationsStatement = this.db.query('SELECT COUNT(*) as count FROM notifications WHERE read_at IS NULL');
+    this.updateNotificationDeliveriesStatement = this.db.query('UPDATE notifications SET deliveries_json = $deliveries_json WHERE id = $id');
+    this.listDueNotificationEscalationsStatement = this.db.query(`
+      SELECT id, created_at, rule_id, rule_name, rule_type, severity, title, message, metadata_json, deliveries_json, escalation_channel_id, escalate_at
+      FROM notifications
+      WHERE escalate_at IS NOT NULL AND escalate_at <= $now AND escalated_at IS NULL AND read_at IS NULL
+      ORDER BY escalate_at ASC
+    `);
+    this.markNotificationEscalatedStatement = this.db.query(`
+      UPDATE notifications
+      SET escalated_at = $escalated_at, deliveries_json = $deliveries_json
+      WHERE id = $id
+    `);
+    this.enqueueNotificationDeliveryStatement = this.db.query(`
+      INSERT OR REPLACE INTO notification_delivery_queue (notification_id, channel_id, queued_at, release_at)
+      VALUES ($notification_id, $channel_id, $queued_at, $release_at)
+    `);
+    this.listQueuedNotificationDeliveriesStatement = this.db.query(`
+      SELECT q.notification_id, q.channel_id, q.queued_at, q.release_at,
+        n.rule_id, n.rule_name, n.rule_type, n.severity, n.title, n.message, n.metadata_json, n.deliveries_json
+      FROM notification_delivery_queue q
+      JOIN notifications n ON n.id = q.notification_id
+      ORDER BY q.queued_at ASC, n.created_at ASC
+    `);
+    this.deleteQueuedNotificationDeliveryStatement = this.db.query(`
+      DELETE FROM notification_delivery_queue
+      WHERE notification_id = $notification_id AND channel_id = $channel_id
+    `);
+    this.pruneNotificationDeliveryQueueStatement = this.db.query(`
+      DELETE FROM notification_delivery_queue
+      WHERE notification_id NOT IN (SELECT id FROM notifications)
+        OR channel_id NOT IN (SELECT id FROM notification_channels)
+    `);
     this.getCveCacheEntryStatement = this.db.query(`
       SELECT id, published_at, fetched_at
       FROM cve_cache
@@ -748,6 +1104,20 @@ export class CrowdsecDatabase {
       INSERT OR REPLACE INTO cve_cache (id, published_at, fetched_at)
       VALUES ($id, $published_at, $fetched_at)
     `);
+    this.insertMetricsHistorySampleStatement = this.db.query(`
+      INSERT OR REPLACE INTO metrics_history (instance_id, endpoint_id, scraped_at, counters_json)
+      VALUES ($instance_id, $endpoint_id, $scraped_at, $counters_json)
+    `);
+    this.listMetricsHistorySamplesStatement = this.db.query(`
+      SELECT scraped_at, counters_json
+      FROM metrics_history
+      WHERE instance_id = $instance_id AND endpoint_id = $endpoint_id AND scraped_at >= $since
+      ORDER BY scraped_at ASC
+    `);
+    this.pruneMetricsHistoryStatement = this.db.query(`
+      DELETE FROM metrics_history
+      WHERE scraped_at < $before
+    `);
     this.deleteAlertSearchIndexStatement = this.searchIndexAvailable
       ? this.db.prepare('DELETE FROM alerts_fts WHERE alert_id = ?')
       : null;
@@ -895,7 +1265,8 @@ export class CrowdsecDatabase {
     const tombstoneId = `${instanceId}\u0000${params.$id}`;
     if (this.alertDeletionTombstones.has(tombstoneId) || (instanceId === 'default' && this.alertDeletionTombstones.has(String(params.$id)))) return false;
     const rawData = params.$raw_data || '{}';
-    const alert = params.$record || parseAlertPayload(rawData);
+    const upstreamAlert = params.$record || parseAlertPayload(rawData);
+    const alert = upstreamAlert ? enrichAlertRecord(upstreamAlert, this.geoIp) : null;
     const source = alert?.source || null;
     const fallback = {
       createdAt: params.$created_at,
@@ -903,8 +1274,8 @@ export class CrowdsecDatabase {
       sourceIp: params.$source_ip,
       message: params.$message,
     };
-    const index = params.$record
-      ? deriveAlertIndexValuesFromRecord(params.$record, fallback)
+    const index = alert
+      ? deriveAlertIndexValuesFromRecord(alert, fallback)
       : deriveAlertIndexValues(rawData, fallback);
     const { $record, $raw_data: _rawData, ...dbParams } = params;
     const result = this.insertAlertStatement.run({
@@ -926,7 +1297,8 @@ export class CrowdsecDatabase {
       $machine_alias: readOptionalString(alert?.machine_alias),
       $events_count: typeof alert?.events_count === 'number' ? alert.events_count : null,
       $extra_data: serializeAlertExtras(alert),
-      $metadata_hash: alertMetadataFingerprint(alert),
+      // Fingerprint what LAPI sent so local enrichment never looks like an upstream change.
+      $metadata_hash: alertMetadataFingerprint(upstreamAlert),
       $scenario: index.scenario ?? params.$scenario,
       $source_ip: index.sourceIp ?? params.$source_ip,
       $latitude: index.latitude,
@@ -941,6 +1313,7 @@ export class CrowdsecDatabase {
       $meta_search: index.metaSearch,
       $origins: index.origins,
       $simulated: index.simulated,
+      $geo_enriched: serializeGeoEnrichedFields(source?.geo_enriched),
       $search_text: index.searchText,
     });
     if (result.changes > 0) {
@@ -1026,6 +1399,16 @@ export class CrowdsecDatabase {
     return (this.countDecisionsStatement.get() as CountRow).count;
   }
 
+  countActiveDecisionsByGroup(now: string, includeSimulated: boolean): Array<{ instance_id: string; type: string; origin: string; count: number }> {
+    return this.db.prepare(`
+      SELECT instance_id, COALESCE(type, '') AS type, COALESCE(origin, '') AS origin, COUNT(*) AS count
+      FROM decisions
+      WHERE stop_at > ? AND (? = 1 OR simulated = 0)
+      GROUP BY instance_id, 2, 3
+      ORDER BY instance_id, 2, 3
+    `).all(now, includeSimulated ? 1 : 0) as Array<{ instance_id: string; type: string; origin: string; count: number }>;
+  }
+
   deleteOldAlerts(cutoff: string): number {
     let changes = 0;
     const selectOldAlerts = this.db.prepare('SELECT id FROM alerts WHERE created_at < ? LIMIT 900');
@@ -1044,7 +1427,8 @@ export class CrowdsecDatabase {
     if (this.alertDeletionTombstones.has(tombstoneId) || (instanceId === 'default' && this.alertDeletionTombstones.has(String(params.$alert_id)))) return false;
     if (this.alertDeletionTombstones.has(String(params.$alert_id))) return false;
     const rawData = params.$raw_data || '{}';
-    const decision = params.$record || parseDecisionPayload(rawData);
+    const upstreamDecision = params.$record || parseDecisionPayload(rawData);
+    const decision = upstreamDecision ? enrichDecisionRecord(upstreamDecision, this.geoIp) : null;
     const fallback = {
       value: params.$value,
       type: params.$type,
@@ -1079,6 +1463,7 @@ export class CrowdsecDatabase {
       $target: index.target,
       $machine: index.machine,
       $simulated: index.simulated,
+      $geo_enriched: serializeGeoEnrichedFields(decision?.geo_enriched),
       $search_text: index.searchText,
     });
     if (result.changes > 0) {
@@ -1116,7 +1501,8 @@ export class CrowdsecDatabase {
   updateDecision(params: DecisionUpdateParams): void {
     const existing = this.getDecisionById(params.$id);
     if (existing) this.markDecisionDuplicateKey(existing.value, existing.simulated);
-    const decision = parseDecisionPayload(params.$raw_data);
+    const payload = parseDecisionPayload(params.$raw_data);
+    const decision = payload ? enrichDecisionRecord(stripDecisionGeoEnrichment(payload), this.geoIp) : null;
     const fallback = existing ? {
       value: existing.value,
       type: existing.type,
@@ -1140,12 +1526,168 @@ export class CrowdsecDatabase {
       $target: index.target,
       $machine: index.machine,
       $simulated: index.simulated,
+      $geo_enriched: serializeGeoEnrichedFields(decision?.geo_enriched),
       $search_text: index.searchText,
     });
     this.markDecisionDuplicateKey(existing?.value ?? readOptionalString(decision?.value), index.simulated);
     this.upsertDecisionSearchIndex(params.$id, index.searchText);
   }
 
+  // Re-derives cached geo and AS fields after the configured GeoIP databases
+  // change, including when enrichment is switched off. Each call handles one
+  // batch so sync writes can interleave; done is reported once every candidate
+  // row has been visited and the new database signature is recorded.
+  backfillGeoIpEnrichment(batchSize = 500): { done: boolean; updated: number } {
+    const signature = this.geoIp ? this.geoIp.signature : '';
+    if (signature === null || (this.getMeta(GEOIP_SIGNATURE_META_KEY)?.value || '') === signature) {
+      this.geoIpBackfillCursor = null;
+      return { done: true, updated: 0 };
+    }
+
+    const cursor = this.geoIpBackfillCursor || { table: 'alerts', after: null };
+    const lookupEnabled = this.geoIp ? 1 : 0;
+    const backfill = this.db.transaction(() => (cursor.table === 'alerts'
+      ? this.backfillAlertGeoIpBatch(cursor.after, lookupEnabled, batchSize)
+      : this.backfillDecisionGeoIpBatch(cursor.after, lookupEnabled, batchSize)));
+    const { last, updated } = backfill() as { last: string | number | null; updated: number };
+
+    if (last !== null) {
+      this.geoIpBackfillCursor = { table: cursor.table, after: last };
+      return { done: false, updated };
+    }
+    if (cursor.table === 'alerts') {
+      this.geoIpBackfillCursor = { table: 'decisions', after: null };
+      return { done: false, updated };
+    }
+    this.geoIpBackfillCursor = null;
+    this.setMeta(GEOIP_SIGNATURE_META_KEY, signature);
+    return { done: true, updated };
+  }
+
+  private backfillAlertGeoIpBatch(after: string | number | null, lookupEnabled: number, batchSize: number): { last: number | null; updated: number } {
+    const rows = this.db.query(`
+      SELECT ${ALERT_RECORD_COLUMNS}
+      FROM alerts
+      WHERE ($after IS NULL OR alerts.id > $after)
+        AND (
+          alerts.geo_enriched IS NOT NULL
+          OR ($lookup_enabled = 1 AND (alerts.source_scope IS NULL OR lower(alerts.source_scope) = 'ip') AND (
+            alerts.country IS NULL OR alerts.region IS NULL OR alerts.city IS NULL
+            OR alerts.latitude IS NULL OR alerts.longitude IS NULL OR alerts.as_name IS NULL
+          ))
+        )
+      ORDER BY alerts.id
+      LIMIT $limit
+    `).all({ $after: after, $lookup_enabled: lookupEnabled, $limit: batchSize }) as AlertDataRow[];
+    const update = this.db.query(`
+      UPDATE alerts SET
+        latitude = $latitude,
+        longitude = $longitude,
+        country = $country,
+        country_name = $country_name,
+        region = $region,
+        city = $city,
+        as_name = $as_name,
+        source_as_number = $source_as_number,
+        geo_enriched = $geo_enriched,
+        search_text = $search_text
+      WHERE id = $id AND (
+        latitude IS NOT $latitude OR longitude IS NOT $longitude OR country IS NOT $country
+        OR region IS NOT $region OR city IS NOT $city OR as_name IS NOT $as_name
+        OR source_as_number IS NOT $source_as_number OR geo_enriched IS NOT $geo_enriched
+        OR search_text IS NOT $search_text
+      )
+    `);
+
+    let updated = 0;
+    for (const row of rows) {
+      const alert = enrichAlertRecord(stripAlertGeoEnrichment(alertFromRow(row)), this.geoIp);
+      const source = alert.source || null;
+      const index = deriveAlertIndexValuesFromRecord(alert, {
+        createdAt: row.created_at,
+        scenario: row.scenario,
+        sourceIp: row.source_ip,
+        message: row.message,
+      });
+      const internalId = Number(row.internal_id);
+      const result = update.run({
+        $id: internalId,
+        $latitude: index.latitude,
+        $longitude: index.longitude,
+        $country: index.country,
+        $country_name: index.countryName,
+        $region: index.region,
+        $city: index.city,
+        $as_name: index.asName,
+        $source_as_number: source?.as_number === undefined || source?.as_number === null ? null : String(source.as_number),
+        $geo_enriched: serializeGeoEnrichedFields(source?.geo_enriched),
+        $search_text: index.searchText,
+      });
+      if (result.changes > 0) {
+        this.upsertAlertSearchIndex(internalId, index.searchText);
+        updated += 1;
+      }
+    }
+    return { last: rows.length < batchSize ? null : Number(rows[rows.length - 1].internal_id), updated };
+  }
+
+  private backfillDecisionGeoIpBatch(after: string | number | null, lookupEnabled: number, batchSize: number): { last: string | null; updated: number } {
+    const rows = this.db.query(`
+      SELECT ${DECISION_RECORD_COLUMNS}
+      FROM decisions
+      WHERE ($after IS NULL OR decisions.id > $after)
+        AND (
+          decisions.geo_enriched IS NOT NULL
+          OR ($lookup_enabled = 1 AND (decisions.scope IS NULL OR lower(decisions.scope) = 'ip') AND (
+            decisions.country IS NULL OR decisions.region IS NULL OR decisions.city IS NULL OR decisions.as_name IS NULL
+          ))
+        )
+      ORDER BY decisions.id
+      LIMIT $limit
+    `).all({ $after: after, $lookup_enabled: lookupEnabled, $limit: batchSize }) as DecisionDataRow[];
+    const update = this.db.query(`
+      UPDATE decisions SET
+        country = $country,
+        country_name = $country_name,
+        region = $region,
+        city = $city,
+        as_name = $as_name,
+        geo_enriched = $geo_enriched,
+        search_text = $search_text
+      WHERE id = $id AND (
+        country IS NOT $country OR region IS NOT $region OR city IS NOT $city OR as_name IS NOT $as_name
+        OR geo_enriched IS NOT $geo_enriched OR search_text IS NOT $search_text
+      )
+    `);
+
+    let updated = 0;
+    for (const row of rows) {
+      const decision = enrichDecisionRecord(stripDecisionGeoEnrichment(decisionFromRow(row)), this.geoIp);
+      const index = deriveDecisionIndexValuesFromRecord(decision, {
+        value: row.value,
+        type: row.type,
+        origin: row.origin,
+        scenario: row.scenario,
+      });
+      const internalId = String(row.internal_id);
+      const result = update.run({
+        $id: internalId,
+        $country: index.country,
+        $country_name: index.countryName,
+        $region: index.region,
+        $city: index.city,
+        $as_name: index.asName,
+        $geo_enriched: serializeGeoEnrichedFields(decision.geo_enriched),
+        $search_text: index.searchText,
+      });
+      if (result.changes > 0) {
+        this.upsertDecisionSearchIndex(internalId, index.searchText);
+        updated += 1;
+      }
+    }
+    return { last: rows.length < batchSize ? null : String(rows[rows.length - 1].internal_id), updated };
+  }
+
   getAllDecisions(): DecisionDataRow[] {
     return this.getAllDecisionsStatement.all() as DecisionDataRow[];
   }
@@ -1203,6 +1745,50 @@ export class CrowdsecDatabase {
     return cleanup(cutoff);
   }
 
+  /**
+   * Folds the alerts and decisions that fall out of the sync lookback into the
+   * statistics rollups and deletes them in one transaction, so a row is either
+   * still cached or counted in a rollup, never both. Hourly rollups for days
+   * before `hourlyRollupCutoff` are dropped; the daily table keeps them.
+   */
+  cleanupOldData(cutoff: string, hourlyRollupCutoff: string): { alerts: number; decisions: number } {
+    const cleanup = this.db.transaction(() => {
+      for (const [table, bucketLength] of [['stats_rollups_hourly', 13], ['stats_rollups_daily', 10]] as const) {
+        const upsert = `
+          ON CONFLICT(bucket, kind, instance_id, scenario, country, as_name, origin, simulated)
+          DO UPDATE SET count = count + excluded.count
+        `;
+        this.db.prepare(`
+          INSERT INTO ${table} (bucket, kind, instance_id, scenario, country, as_name, origin, simulated, count)
+          SELECT substr(created_at, 1, ${bucketLength}), 'alert', instance_id, COALESCE(scenario, ''), COALESCE(country, ''),
+            COALESCE(as_name, ''), COALESCE(origins, ''), simulated, COUNT(*)
+          FROM alerts
+          WHERE created_at < ?
+          GROUP BY 1, 3, 4, 5, 6, 7, 8
+          ${upsert}
+        `).run(cutoff);
+        this.db.prepare(`
+          INSERT INTO ${table} (bucket, kind, instance_id, scenario, country, as_name, origin, simulated, count)
+          SELECT substr(created_at, 1, ${bucketLength}), 'decision', instance_id, COALESCE(scenario, ''), COALESCE(country, ''),
+            COALESCE(as_name, ''), COALESCE(origin, ''), simulated, COUNT(*)
+          FROM decisions
+          WHERE stop_at < ?
+          GROUP BY 1, 3, 4, 5, 6, 7, 8
+          ${upsert}
+        `).run(cutoff);
+      }
+      this.db.prepare('DELETE FROM stats_rollups_hourly WHERE bucket < ?').run(hourlyRollupCutoff.slice(0, 10));
+      this.pruneIncidents(cutoff);
+
+      return {
+        alerts: this.deleteOldAlerts(cutoff),
+        decisions: this.deleteOldDecisions(cutoff),
+      };
+    });
+
+    return cleanup();
+  }
+
   deleteDecision(id: string | number): void {
     const existing = this.getDecisionById(id);
     if (existing) this.markDecisionDuplicateKey(existing.value, existing.simulated);
@@ -1220,6 +1806,16 @@ export class CrowdsecDatabase {
     return { alerts, decisions };
   }
 
+  /** Drops every cached alert and decision of an instance that was removed from the configuration. */
+  deleteInstanceSyncData(instanceId: string): { alerts: number; decisions: number } {
+    const alertIds = (this.db.prepare('SELECT id FROM alerts WHERE instance_id = ?').all(instanceId) as Array<{ id: number }>)
+      .map((row) => row.id);
+    const deleted = this.deleteCachedAlerts(alertIds);
+    const decisionIds = (this.db.prepare('SELECT id FROM decisions WHERE instance_id = ?').all(instanceId) as Array<{ id: string }>)
+      .map((row) => row.id);
+    return { alerts: deleted.alerts, decisions: deleted.decisions + this.deleteCachedDecisions(decisionIds) };
+  }
+
   deleteCachedDecisions(ids: Array<string | number>): number {
     const normalizedIds = ids.map(String);
     this.markDecisionDuplicateKeysByIds(normalizedIds);
@@ -1373,6 +1969,28 @@ export class CrowdsecDatabase {
     return (this.getActiveDecisionByValueStatement.get({ $value: value, $now: now }) as DecisionDataRow | null) || null;
   }
 
+  getActiveDecisionInstancesByValues(values: string[], now: string): Map<string, Set<string>> {
+    const result = new Map<string, Set<string>>();
+    const uniqueValues = Array.from(new Set(values));
+    const chunkSize = 900;
+    for (let offset = 0; offset < uniqueValues.length; offset += chunkSize) {
+      const chunk = uniqueValues.slice(offset, offset + chunkSize);
+      const placeholders = chunk.map(() => '?').join(',');
+      const rows = this.db.prepare(`
+        SELECT DISTINCT value, instance_id
+        FROM decisions
+        WHERE value IN (${placeholders}) AND stop_at > ? AND simulated = 0
+      `).all(...chunk, now) as Array<{ value: string; instance_id: string }>;
+      for (const row of rows) {
+        const instances = result.get(row.value) || new Set<string>();
+        instances.add(row.instance_id);
+        result.set(row.value, instances);
+      }
+    }
+
+    return result;
+  }
+
   deleteAlert(id: string | number): void {
     this.deleteAlertStatement.run({ $id: id });
     this.deleteAlertSearchIndex(id);
@@ -1699,6 +2317,10 @@ export class CrowdsecDatabase {
     this.setMetaStatement.run(key, value);
   }
 
+  deleteMeta(key: string): void {
+    this.db.prepare('DELETE FROM meta WHERE key = ?').run(key);
+  }
+
   isAuthMigrationDefaultDisabled(): boolean {
     return this.getMeta('auth_existing_install_default_disabled')?.value === 'true';
   }
@@ -1809,6 +2431,103 @@ export class CrowdsecDatabase {
     return this.getAuthUserById(user.id)!;
   }
 
+  /**
+   * Creates or updates the account named in a restored backup. Omitted
+   * password and TOTP values keep what the account already has.
+   */
+  restoreAuthUser(params: AuthUserRestoreParams): AuthUserRow {
+    const now = new Date().toISOString();
+    const existing = this.getAuthUserByUsername(params.username);
+    const passwordHash = params.passwordHash === undefined ? existing?.password_hash ?? null : params.passwordHash;
+    const totpSecret = params.totpSecret === undefined ? existing?.totp_secret ?? null : params.totpSecret;
+    const totpEnabled = params.totpSecret === undefined ? existing?.totp_enabled ?? 0 : params.totpSecret ? 1 : 0;
+    if (!existing) {
+      const result = this.db.prepare(`
+        INSERT INTO auth_users (
+          username, password_hash, totp_secret, totp_enabled, role, auth_provider,
+          oidc_issuer, oidc_subject, disabled, created_at, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        params.username,
+        passwordHash,
+        totpSecret,
+        totpEnabled,
+        params.role,
+        params.authProvider,
+        params.oidcIssuer,
+        params.oidcSubject,
+        params.disabled ? 1 : 0,
+        now,
+        now,
+      ) as { lastInsertRowid?: number | bigint };
+      return this.getAuthUserById(Number(result.lastInsertRowid))!;
+    }
+
+    this.db.prepare(`
+      UPDATE auth_users
+      SET password_hash = ?,
+          totp_secret = ?,
+          totp_enabled = ?,
+          totp_last_step = CASE WHEN totp_secret IS ? THEN totp_last_step ELSE NULL END,
+          role = ?,
+          auth_provider = ?,
+          oidc_issuer = ?,
+          oidc_subject = ?,
+          disabled = ?,
+          updated_at = ?
+      WHERE id = ?
+    `).run(
+      passwordHash,
+      totpSecret,
+      totpEnabled,
+      totpSecret,
+      params.role,
+      params.authProvider,
+      params.oidcIssuer,
+      params.oidcSubject,
+      params.disabled ? 1 : 0,
+      now,
+      existing.id,
+    );
+    return this.getAuthUserById(existing.id)!;
+  }
+
+  deleteAuthUser(id: number): boolean {
+    return this.db.prepare('DELETE FROM auth_users WHERE id = ?').run(id).changes > 0;
+  }
+
+  listAuthUsers(): AuthUserRow[] {
+    return this.listAuthUsersStatement.all() as AuthUserRow[];
+  }
+
+  countEnabledAdmins(): number {
+    return (this.countEnabledAdminsStatement.get() as CountRow).count;
+  }
+
+  updateAuthUserRole(id: number, role: 'admin' | 'read-only'): boolean {
+    return this.updateAuthUserRoleStatement.run({
+      $id: id,
+      $role: role,
+      $updated_at: new Date().toISOString(),
+    }).changes > 0;
+  }
+
+  updateAuthUserDisabled(id: number, disabled: boolean): boolean {
+    return this.updateAuthUserDisabledStatement.run({
+      $id: id,
+      $disabled: disabled ? 1 : 0,
+      $updated_at: new Date().toISOString(),
+    }).changes > 0;
+  }
+
+  revokeAuthUserSessions(id: number): boolean {
+    return this.revokeAuthUserSessionsStatement.run({
+      $id: id,
+      $updated_at: new Date().toISOString(),
+    }).changes > 0;
+  }
+
   listWebAuthnCredentialsByUser(userId: number): WebAuthnCredentialRow[] {
     return this.listWebAuthnCredentialsByUserStatement.all({ $user_id: userId }) as WebAuthnCredentialRow[];
   }
@@ -1853,6 +2572,114 @@ export class CrowdsecDatabase {
     return this.deleteWebAuthnCredentialStatement.run({ $id: id, $user_id: userId }).changes > 0;
   }
 
+  listApiTokensByUser(userId: number): ApiTokenRow[] {
+    return this.listApiTokensByUserStatement.all({ $user_id: userId }) as ApiTokenRow[];
+  }
+
+  createApiToken(params: {
+    userId: number;
+    name: string;
+    tokenHash: string;
+    tokenPrefix: string;
+    scope: 'admin' | 'read-only';
+    expiresAt: string | null;
+  }): number {
+    const result = this.createApiTokenStatement.run({
+      $user_id: params.userId,
+      $name: params.name,
+      $token_hash: params.tokenHash,
+      $token_prefix: params.tokenPrefix,
+      $scope: params.scope,
+      $created_at: new Date().toISOString(),
+      $expires_at: params.expiresAt,
+    }) as { lastInsertRowid?: number | bigint };
+    return Number(result.lastInsertRowid);
+  }
+
+  getApiTokenByHash(tokenHash: string): ApiTokenRow | null {
+    return (this.getApiTokenByHashStatement.get({ $token_hash: tokenHash }) as ApiTokenRow | null) || null;
+  }
+
+  touchApiToken(id: number, lastUsedAt: string): void {
+    this.touchApiTokenStatement.run({ $id: id, $last_used_at: lastUsedAt });
+  }
+
+  deleteApiToken(id: number, userId: number): boolean {
+    return this.deleteApiTokenStatement.run({ $id: id, $user_id: userId }).changes > 0;
+  }
+
+  insertAuditLog(params: AuditLogInsertParams): number {
+    const result = this.insertAuditLogStatement.run({
+      $created_at: new Date().toISOString(),
+      $user_id: params.userId,
+      $username: params.username,
+      $auth_method: params.authMethod,
+      $action: params.action,
+      $instance_ids_json: JSON.stringify(params.instanceIds),
+      $summary_json: JSON.stringify(params.summary),
+      $outcome: params.outcome,
+      $results_json: JSON.stringify(params.results),
+    }) as { lastInsertRowid?: number | bigint };
+    return Number(result.lastInsertRowid);
+  }
+
+  pruneAuditLog(cutoff: string): number {
+    return this.pruneAuditLogStatement.run({ $cutoff: cutoff }).changes;
+  }
+
+  listSavedSearches(userId: number | null): SavedSearchRow[] {
+    return this.listSavedSearchesStatement.all({ $user_id: userId }) as SavedSearchRow[];
+  }
+
+  listAllSavedSearches(): SavedSearchRow[] {
+    return this.db.prepare(`
+      SELECT saved_searches.*, auth_users.username AS owner_username
+      FROM saved_searches
+      LEFT JOIN auth_users ON auth_users.id = saved_searches.user_id
+      ORDER BY saved_searches.page ASC, saved_searches.name COLLATE NOCASE ASC, saved_searches.created_at ASC
+    `).all() as SavedSearchRow[];
+  }
+
+  getSavedSearchById(id: string): SavedSearchRow | null {
+    return (this.getSavedSearchByIdStatement.get({ $id: id }) as SavedSearchRow | null) || null;
+  }
+
+  insertSavedSearch(params: SavedSearchWriteParams): void {
+    const now = new Date().toISOString();
+    this.insertSavedSearchStatement.run({
+      $id: params.id,
+      $user_id: params.userId,
+      $page: params.page,
+      $name: params.name,
+      $query: params.query,
+      $date_start: params.dateStart,
+      $date_end: params.dateEnd,
+      $instance: params.instance,
+      $columns_json: JSON.stringify(params.columns),
+      $shared: params.shared ? 1 : 0,
+      $created_at: now,
+      $updated_at: now,
+    });
+  }
+
+  updateSavedSearch(params: SavedSearchWriteParams): boolean {
+    return this.updateSavedSearchStatement.run({
+      $id: params.id,
+      $name: params.name,
+      $query: params.query,
+      $date_start: params.dateStart,
+      $date_end: params.dateEnd,
+      $instance: params.instance,
+      $columns_json: JSON.stringify(params.columns),
+      $shared: params.shared ? 1 : 0,
+      $updated_at: new Date().toISOString(),
+    }).changes > 0;
+  }
+
+  deleteSavedSearch(id: string): boolean {
+    return this.deleteSavedSearchStatement.run({ $id: id }).changes > 0;
+  }
+
   listNotificationChannels(): JsonRow[] {
     return this.listNotificationChannelsStatement.all() as JsonRow[];
   }
@@ -1869,9 +2696,11 @@ export class CrowdsecDatabase {
     $type: string;
     $enabled: number;
     $config_json: string;
+    $delivery_json?: string;
   }): void {
     this.upsertNotificationChannelStatement.run({
       ...params,
+      $delivery_json: params.$delivery_json ?? '{}',
       $created_at: normalizeIsoTimestamp(params.$created_at),
       $updated_at: normalizeIsoTimestamp(params.$updated_at),
     });
@@ -1899,9 +2728,11 @@ export class CrowdsecDatabase {
     $severity: string;
     $channel_ids_json: string;
     $config_json: string;
+    $delivery_json?: string;
   }): void {
     this.upsertNotificationRuleStatement.run({
       ...params,
+      $delivery_json: params.$delivery_json ?? '{}',
       $created_at: normalizeIsoTimestamp(params.$created_at),
       $updated_at: normalizeIsoTimestamp(params.$updated_at),
     });
@@ -1911,6 +2742,36 @@ export class CrowdsecDatabase {
     this.deleteNotificationRuleStatement.run({ $id: id });
   }
 
+  listNotificationReports(): JsonRow[] {
+    return this.listNotificationReportsStatement.all() as JsonRow[];
+  }
+
+  getNotificationReportById(id: string): JsonRow | null {
+    return (this.getNotificationReportByIdStatement.get({ $id: id }) as JsonRow | null) || null;
+  }
+
+  upsertNotificationReport(params: {
+    $id: string;
+    $created_at: string;
+    $updated_at: string;
+    $name: string;
+    $enabled: number;
+    $frequency: string;
+    $send_time: string;
+    $time_zone: string;
+    $instance_id: string;
+    $channel_ids_json: string;
+    $last_run_at: string | null;
+    $last_sent_at: string | null;
+    $last_error: string | null;
+  }): void {
+    this.upsertNotificationReportStatement.run(params);
+  }
+
+  deleteNotificationReport(id: string): void {
+    this.deleteNotificationReportStatement.run({ $id: id });
+  }
+
   listNotificationsPage(page: number, pageSize: number): JsonRow[] {
     const safePage = Math.max(1, page);
     const safePageSize = Math.max(1, pageSize);
@@ -1946,9 +2807,13 @@ export class CrowdsecDatabase {
     $metadata_json: string;
     $deliveries_json: string;
     $dedupe_key: string;
+    $escalation_channel_id?: string | null;
+    $escalate_at?: string | null;
   }): boolean {
     return this.insertNotificationStatement.run({
       ...params,
+      $escalation_channel_id: params.$escalation_channel_id ?? null,
+      $escalate_at: params.$escalate_at == null ? null : normalizeIsoTimestamp(params.$escalate_at),
       $created_at: normalizeIsoTimestamp(params.$created_at),
       $updated_at: normalizeIsoTimestamp(params.$updated_at),
       $read_at: params.$read_at === null ? null : normalizeIsoTimestamp(params.$read_at),
@@ -2040,6 +2905,58 @@ export class CrowdsecDatabase {
     return (this.countUnreadNotificationsStatement.get() as CountRow).count;
   }
 
+  countNotificationDeliveries(): Array<{ channel_type: string; status: string; count: number }> {
+    return this.db.prepare(`
+      SELECT COALESCE(json_extract(delivery.value, '$.channel_type'), '') AS channel_type,
+             COALESCE(json_extract(delivery.value, '$.status'), '') AS status,
+             COUNT(*) AS count
+      FROM notifications, json_each(notifications.deliveries_json) AS delivery
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `).all() as Array<{ channel_type: string; status: string; count: number }>;
+  }
+
+  updateNotificationDeliveries(id: string, deliveriesJson: string): void {
+    this.updateNotificationDeliveriesStatement.run({ $id: id, $deliveries_json: normalizeTimestampJson(deliveriesJson) });
+  }
+
+  listDueNotificationEscalations(now: string): JsonRow[] {
+    return this.listDueNotificationEscalationsStatement.all({ $now: normalizeIsoTimestamp(now) }) as JsonRow[];
+  }
+
+  markNotificationEscalated(id: string, escalatedAt: string, deliveriesJson: string): void {
+    this.markNotificationEscalatedStatement.run({
+      $id: id,
+      $escalated_at: normalizeIsoTimestamp(escalatedAt),
+      $deliveries_json: normalizeTimestampJson(deliveriesJson),
+    });
+  }
+
+  enqueueNotificationDelivery(params: {
+    $notification_id: string;
+    $channel_id: string;
+    $queued_at: string;
+    $release_at: string;
+  }): void {
+    this.enqueueNotificationDeliveryStatement.run({
+      ...params,
+      $queued_at: normalizeIsoTimestamp(params.$queued_at),
+      $release_at: normalizeIsoTimestamp(params.$release_at),
+    });
+  }
+
+  listQueuedNotificationDeliveries(): JsonRow[] {
+    return this.listQueuedNotificationDeliveriesStatement.all() as JsonRow[];
+  }
+
+  deleteQueuedNotificationDelivery(notificationId: string, channelId: string): void {
+    this.deleteQueuedNotificationDeliveryStatement.run({ $notification_id: notificationId, $channel_id: channelId });
+  }
+
+  pruneNotificationDeliveryQueue(): number {
+    return this.pruneNotificationDeliveryQueueStatement.run().changes;
+  }
+
   getCveCacheEntry(id: string): JsonRow | null {
     return (this.getCveCacheEntryStatement.get({ $id: id }) as JsonRow | null) || null;
   }
@@ -2052,6 +2969,227 @@ export class CrowdsecDatabase {
     });
   }
 
+  insertMetricsHistorySample(instanceId: string, endpointId: string, scrapedAt: string, countersJson: string): void {
+    this.insertMetricsHistorySampleStatement.run({
+      $instance_id: instanceId,
+      $endpoint_id: endpointId,
+      $scraped_at: normalizeIsoTimestamp(scrapedAt),
+      $counters_json: countersJson,
+    });
+  }
+
+  listMetricsHistorySamples(instanceId: string, endpointId: string, since: string): MetricsHistoryRow[] {
+    return this.listMetricsHistorySamplesStatement.all({
+      $instance_id: instanceId,
+      $endpoint_id: endpointId,
+      $since: normalizeIsoTimestamp(since),
+    }) as MetricsHistoryRow[];
+  }
+
+  pruneMetricsHistory(before: string): number {
+    return this.pruneMetricsHistoryStatement.run({ $before: normalizeIsoTimestamp(before) }).changes;
+  }
+
+  getAnnotation(kind: AnnotationKind, instanceId: string, upstreamId: string): {
+    row: AnnotationRow | null;
+    tags: string[];
+    notes: AnnotationNoteRow[];
+  } {
+    const row = this.db.prepare(`
+      SELECT status, updated_at, updated_by FROM annotations
+      WHERE kind = ? AND instance_id = ? AND upstream_id = ?
+    `).get(kind, instanceId, upstreamId) as AnnotationRow | undefined;
+    const tags = (this.db.prepare(`
+      SELECT tag FROM annotation_tags
+      WHERE kind = ? AND instance_id = ? AND upstream_id = ?
+      ORDER BY tag ASC
+    `).all(kind, instanceId, upstreamId) as Array<{ tag: string }>).map((tagRow) => tagRow.tag);
+    const notes = this.db.prepare(`
+      SELECT id, author, body, created_at FROM annotation_notes
+      WHERE kind = ? AND instance_id = ? AND upstream_id = ?
+      ORDER BY created_at ASC, id ASC
+    `).all(kind, instanceId, upstreamId) as AnnotationNoteRow[];
+    return { row: row || null, tags, notes };
+  }
+
+  saveAnnotation(params: AnnotationWriteParams): void {
+    const save = this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO annotations (kind, instance_id, upstream_id, status, updated_at, updated_by)
+        VALUES (?, ?, ?, COALESCE(?, 'new'), ?, ?)
+        ON CONFLICT(kind, instance_id, upstream_id) DO UPDATE SET
+          status = COALESCE(?, annotations.status),
+          updated_at = excluded.updated_at,
+          updated_by = excluded.updated_by
+      `).run(
+        params.kind,
+        params.instanceId,
+        params.upstreamId,
+        params.status ?? null,
+        params.updatedAt,
+        params.updatedBy,
+        params.status ?? null,
+      );
+      if (!params.tags) return;
+      this.db.prepare('DELETE FROM annotation_tags WHERE kind = ? AND instance_id = ? AND upstream_id = ?')
+        .run(params.kind, params.instanceId, params.upstreamId);
+      const insertTag = this.db.prepare(`
+        INSERT OR IGNORE INTO annotation_tags (kind, instance_id, upstream_id, tag)
+        VALUES (?, ?, ?, ?)
+      `);
+      for (const tag of params.tags) {
+        insertTag.run(params.kind, params.instanceId, params.upstreamId, tag);
+      }
+    });
+    save();
+  }
+
+  insertAnnotationNote(params: Omit<AnnotationWriteParams, 'status' | 'tags'> & { body: string }): number {
+    this.saveAnnotation(params);
+    const result = this.db.prepare(`
+      INSERT INTO annotation_notes (kind, instance_id, upstream_id, author, body, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(params.kind, params.instanceId, params.upstreamId, params.updatedBy, params.body, params.updatedAt) as {
+      lastInsertRowid?: number | bigint;
+    };
+    return Number(result.lastInsertRowid);
+  }
+
+  deleteAnnotationNote(kind: AnnotationKind, instanceId: string, upstreamId: string, noteId: number): boolean {
+    return this.db.prepare(`
+      DELETE FROM annotation_notes
+      WHERE id = ? AND kind = ? AND instance_id = ? AND upstream_id = ?
+    `).run(noteId, kind, instanceId, upstreamId).changes > 0;
+  }
+
+  // One row per value and instance: the active decision that lasts longest.
+  listActiveDecisionPresence(now: string, values?: string[]): DecisionPresenceRow[] {
+    const query = (filter: string, params: unknown[]) => this.db.prepare(`
+      SELECT value, scope, instance_id, type, origin, scenario, upstream_id, created_at, MAX(stop_at) AS stop_at
+      FROM decisions
+      WHERE stop_at > ? AND simulated = 0 AND value IS NOT NULL AND id NOT LIKE 'dup\\_%' ESCAPE '\\'${filter}
+      GROUP BY value, instance_id
+      ORDER BY value ASC, instance_id ASC
+    `).all(now, ...params) as DecisionPresenceRow[];
+    if (!values) return query('', []);
+
+    const rows: DecisionPresenceRow[] = [];
+    const uniqueValues = Array.from(new Set(values));
+    const chunkSize = 900;
+    for (let offset = 0; offset < uniqueValues.length; offset += chunkSize) {
+      const chunk = uniqueValues.slice(offset, offset + chunkSize);
+      rows.push(...query(` AND value IN (${chunk.map(() => '?').join(',')})`, chunk));
+    }
+    return rows;
+  }
+
+  listDecisionMirrorCandidates(instanceIds: string[], origin: string, excludedScenario: string, since: string, now: string): DecisionPresenceRow[] {
+    if (instanceIds.length === 0) return [];
+    return this.db.prepare(`
+      SELECT value, scope, instance_id, type, origin, scenario, upstream_id, created_at, stop_at
+      FROM decisions
+      WHERE instance_id IN (${instanceIds.map(() => '?').join(',')})
+        AND origin = ? AND COALESCE(scenario, '') != ? AND created_at >= ? AND stop_at > ?
+        AND simulated = 0 AND value IS NOT NULL AND upstream_id IS NOT NULL
+        AND id NOT LIKE 'dup\\_%' ESCAPE '\\'
+      ORDER BY created_at ASC
+    `).all(...instanceIds, origin, excludedScenario, since, now) as DecisionPresenceRow[];
+  }
+
+  listDecisionMirrorTargets(sourceInstanceId: string, sourceUpstreamId: string): string[] {
+    return (this.db.prepare(`
+      SELECT target_instance_id FROM decision_mirrors
+      WHERE source_instance_id = ? AND source_upstream_id = ?
+    `).all(sourceInstanceId, sourceUpstreamId) as Array<{ target_instance_id: string }>)
+      .map((row) => row.target_instance_id);
+  }
+
+  recordDecisionMirror(source: DecisionPresenceRow, targetInstanceId: string, mirroredAt: string): void {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO decision_mirrors (
+        source_instance_id, source_upstream_id, target_instance_id, value, source_stop_at, mirrored_at
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(source.instance_id, source.upstream_id, targetInstanceId, source.value, source.stop_at, mirroredAt);
+  }
+
+  // Mirror records are only needed until their source decision expires. The
+  // stop time is copied so a cache clear cannot make a record look stale.
+  pruneDecisionMirrors(now: string): number {
+    return this.db.prepare('DELETE FROM decision_mirrors WHERE source_stop_at <= ?').run(now).changes;
+  }
+
+  listUncorrelatedIncidentAlerts(limit: number): IncidentCandidateAlertRow[] {
+    return this.db.prepare(`
+      SELECT instance_id, upstream_id, created_at, source_ip, source_value, source_scope, source_range,
+        source_as_number, as_name, simulated
+      FROM alerts
+      WHERE upstream_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM incident_alerts
+        WHERE incident_alerts.instance_id = alerts.instance_id AND incident_alerts.upstream_id = alerts.upstream_id
+      )
+      ORDER BY created_at ASC, id ASC
+      LIMIT ?
+    `).all(limit) as IncidentCandidateAlertRow[];
+  }
+
+  // The newest incident for a group that is still being worked on; closed
+  // incidents never take new alerts.
+  findOpenIncidentWindow(groupKey: string): { id: number; first_seen: string; last_seen: string } | null {
+    return (this.db.prepare(`
+      SELECT incidents.id, MIN(incident_alerts.created_at) AS first_seen, MAX(incident_alerts.created_at) AS last_seen
+      FROM incidents
+      JOIN incident_alerts ON incident_alerts.incident_id = incidents.id
+      WHERE incidents.group_key = ? AND incidents.status NOT IN ('resolved', 'false_positive')
+      GROUP BY incidents.id
+      ORDER BY last_seen DESC
+      LIMIT 1
+    `).get(groupKey) as { id: number; first_seen: string; last_seen: string } | undefined) || null;
+  }
+
+  createIncident(incident: { groupKey: string; kind: string; value: string; label: string | null; createdAt: string }): number {
+    const result = this.db.prepare(`
+      INSERT INTO incidents (group_key, kind, value, label, status, created_at)
+      VALUES (?, ?, ?, ?, 'new', ?)
+    `).run(incident.groupKey, incident.kind, incident.value, incident.label, incident.createdAt);
+    return Number(result.lastInsertRowid);
+  }
+
+  linkIncidentAlerts(links: IncidentLinkRow[]): void {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO incident_alerts (instance_id, upstream_id, incident_id, created_at)
+      VALUES (?, ?, ?, ?)
+    `);
+    for (const link of links) insert.run(link.instance_id, link.upstream_id, link.incident_id, link.created_at);
+  }
+
+  updateIncident(id: number, update: { status?: string; assignee?: string | null; updatedAt: string; updatedBy: string | null }): boolean {
+    return this.db.prepare(`
+      UPDATE incidents SET
+        status = COALESCE(?, status),
+        assignee = CASE WHEN ? THEN ? ELSE assignee END,
+        updated_at = ?,
+        updated_by = ?
+      WHERE id = ?
+    `).run(
+      update.status ?? null,
+      update.assignee === undefined ? 0 : 1,
+      update.assignee ?? null,
+      update.updatedAt,
+      update.updatedBy,
+      id,
+    ).changes > 0;
+  }
+
+  // Links outlive their alerts so a cache clear and resync keeps incidents,
+  // their status and assignee; they are dropped with the retention window.
+  pruneIncidents(cutoff: string): number {
+    this.db.prepare('DELETE FROM incident_alerts WHERE created_at < ?').run(cutoff);
+    return this.db.prepare(`
+      DELETE FROM incidents
+      WHERE NOT EXISTS (SELECT 1 FROM incident_alerts WHERE incident_alerts.incident_id = incidents.id)
+    `).run().changes;
+  }
+
   transaction<T>(callback: (value: T) => void): (value: T) => void {
     return this.db.transaction(callback);
   }
@@ -2310,6 +3448,7 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
       meta_search TEXT,
       origins TEXT,
       simulated INTEGER NOT NULL DEFAULT 0,
+      geo_enriched TEXT,
       search_text TEXT
       , UNIQUE(instance_id, upstream_id)
       , UNIQUE(instance_id, uuid)
@@ -2342,6 +3481,7 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
       target TEXT,
       machine TEXT,
       simulated INTEGER NOT NULL DEFAULT 0,
+      geo_enriched TEXT,
       search_text TEXT,
       is_duplicate INTEGER NOT NULL DEFAULT 0
       , UNIQUE(instance_id, upstream_id)
@@ -2369,6 +3509,7 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
       oidc_issuer TEXT,
       oidc_subject TEXT,
       session_version INTEGER NOT NULL DEFAULT 1,
+      disabled INTEGER NOT NULL DEFAULT 0,
       created_at TEXT NOT NULL,
       updated_at TEXT NOT NULL
     );
@@ -2389,6 +3530,55 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
     CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id ON webauthn_credentials(user_id);
   `;
 
+  const createApiTokensTable = `
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES auth_users(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scope TEXT NOT NULL DEFAULT 'read-only',
+      created_at TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+  `;
+
+  const createAuditLogTable = `
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      user_id INTEGER,
+      username TEXT,
+      auth_method TEXT,
+      action TEXT NOT NULL,
+      instance_ids_json TEXT NOT NULL,
+      summary_json TEXT NOT NULL,
+      outcome TEXT NOT NULL,
+      results_json TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+  `;
+
+  const createSavedSearchesTable = `
+    CREATE TABLE IF NOT EXISTS saved_searches (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER REFERENCES auth_users(id) ON DELETE CASCADE,
+      page TEXT NOT NULL,
+      name TEXT NOT NULL,
+      query TEXT NOT NULL DEFAULT '',
+      date_start TEXT,
+      date_end TEXT,
+      instance TEXT NOT NULL DEFAULT 'all',
+      columns_json TEXT NOT NULL DEFAULT '[]',
+      shared INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
+  `;
+
   const createNotificationChannelsTable = `
     CREATE TABLE IF NOT EXISTS notification_channels (
       id TEXT PRIMARY KEY,
@@ -2397,7 +3587,8 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
       name TEXT NOT NULL,
       type TEXT NOT NULL,
       enabled INTEGER NOT NULL DEFAULT 1,
-      config_json TEXT NOT NULL
+      config_json TEXT NOT NULL,
+      delivery_json TEXT NOT NULL DEFAULT '{}'
     );
   `;
 
@@ -2411,7 +3602,26 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
       enabled INTEGER NOT NULL DEFAULT 1,
       severity TEXT NOT NULL,
       channel_ids_json TEXT NOT NULL,
-      config_json TEXT NOT NULL
+      config_json TEXT NOT NULL,
+      delivery_json TEXT NOT NULL DEFAULT '{}'
+    );
+  `;
+
+  const createNotificationReportsTable = `
+    CREATE TABLE IF NOT EXISTS notification_reports (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      name TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      frequency TEXT NOT NULL,
+      send_time TEXT NOT NULL,
+      time_zone TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      channel_ids_json TEXT NOT NULL,
+      last_run_at TEXT,
+      last_sent_at TEXT,
+      last_error TEXT
     );
   `;
 
@@ -2429,13 +3639,27 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
       read_at TEXT,
       metadata_json TEXT NOT NULL,
       deliveries_json TEXT NOT NULL,
-      dedupe_key TEXT NOT NULL
+      dedupe_key TEXT NOT NULL,
+      escalation_channel_id TEXT,
+      escalate_at TEXT,
+      escalated_at TEXT
     );
     CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at);
     CREATE INDEX IF NOT EXISTS idx_notifications_read_at ON notifications(read_at);
     CREATE INDEX IF NOT EXISTS idx_notifications_rule_id ON notifications(rule_id);
   `;
 
+  const createNotificationDeliveryQueueTable = `
+    CREATE TABLE IF NOT EXISTS notification_delivery_queue (
+      notification_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      queued_at TEXT NOT NULL,
+      release_at TEXT NOT NULL,
+      PRIMARY KEY (notification_id, channel_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_delivery_queue_channel_id ON notification_delivery_queue(channel_id);
+  `;
+
   const createNotificationIncidentsTable = `
     CREATE TABLE IF NOT EXISTS notification_incidents (
       rule_id TEXT NOT NULL,
@@ -2457,6 +3681,109 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
     );
   `;
 
+  // Hourly buckets are UTC hour prefixes (YYYY-MM-DDTHH) and daily buckets UTC
+  // dates, so both sort and compare as plain strings.
+  const createStatsRollupTables = ['stats_rollups_hourly', 'stats_rollups_daily'].map((table) => `
+    CREATE TABLE IF NOT EXISTS ${table} (
+      bucket TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      scenario TEXT NOT NULL DEFAULT '',
+      country TEXT NOT NULL DEFAULT '',
+      as_name TEXT NOT NULL DEFAULT '',
+      origin TEXT NOT NULL DEFAULT '',
+      simulated INTEGER NOT NULL DEFAULT 0,
+      count INTEGER NOT NULL,
+      PRIMARY KEY (bucket, kind, instance_id, scenario, country, as_name, origin, simulated)
+    );
+  `).join('');
+
+  // One row per scrape of a metrics endpoint; rows hold cumulative counters and
+  // are pruned after a week by the metrics history scheduler.
+  const createMetricsHistoryTable = `
+    CREATE TABLE IF NOT EXISTS metrics_history (
+      instance_id TEXT NOT NULL,
+      endpoint_id TEXT NOT NULL,
+      scraped_at TEXT NOT NULL,
+      counters_json TEXT NOT NULL,
+      PRIMARY KEY (instance_id, endpoint_id, scraped_at)
+    );
+    CREATE INDEX IF NOT EXISTS idx_metrics_history_scraped_at ON metrics_history(scraped_at);
+  `;
+
+  // Triage annotations are local-only. They are keyed by the upstream record
+  // rather than the cache row, so clearSyncData() and resyncs leave them intact.
+  const createAnnotationTables = `
+    CREATE TABLE IF NOT EXISTS annotations (
+      kind TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      upstream_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'new',
+      updated_at TEXT NOT NULL,
+      updated_by TEXT,
+      PRIMARY KEY (kind, instance_id, upstream_id)
+    );
+    CREATE TABLE IF NOT EXISTS annotation_tags (
+      kind TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      upstream_id TEXT NOT NULL,
+      tag TEXT NOT NULL,
+      PRIMARY KEY (kind, instance_id, upstream_id, tag)
+    );
+    CREATE INDEX IF NOT EXISTS idx_annotation_tags_tag ON annotation_tags(kind, tag);
+    CREATE TABLE IF NOT EXISTS annotation_notes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      instance_id TEXT NOT NULL,
+      upstream_id TEXT NOT NULL,
+      author TEXT,
+      body TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_annotation_notes_record ON annotation_notes(kind, instance_id, upstream_id);
+  `;
+
+  // Remembers which peer received a copy of a mirrored decision, so a copy
+  // that is later deleted on the peer is not pushed again on the next sync.
+  const createDecisionMirrorsTable = `
+    CREATE TABLE IF NOT EXISTS decision_mirrors (
+      source_instance_id TEXT NOT NULL,
+      source_upstream_id TEXT NOT NULL,
+      target_instance_id TEXT NOT NULL,
+      value TEXT NOT NULL,
+      source_stop_at TEXT NOT NULL,
+      mirrored_at TEXT NOT NULL,
+      PRIMARY KEY (source_instance_id, source_upstream_id, target_instance_id)
+    );
+  `;
+
+  // Alerts are linked by instance and upstream ID, like annotations, so
+  // incidents survive a cache clear and resync.
+  const createIncidentTables = `
+    CREATE TABLE IF NOT EXISTS incidents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      group_key TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      value TEXT NOT NULL,
+      label TEXT,
+      status TEXT NOT NULL DEFAULT 'new',
+      assignee TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      updated_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_incidents_group_key ON incidents(group_key, status);
+    CREATE TABLE IF NOT EXISTS incident_alerts (
+      instance_id TEXT NOT NULL,
+      upstream_id TEXT NOT NULL,
+      incident_id INTEGER,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (instance_id, upstream_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_incident_alerts_incident ON incident_alerts(incident_id);
+    CREATE INDEX IF NOT EXISTS idx_incident_alerts_created_at ON incident_alerts(created_at);
+  `;
+
   const createPendingAlertDeletionsTable = `
     CREATE TABLE IF NOT EXISTS pending_alert_deletions (
       alert_id TEXT PRIMARY KEY,
@@ -2481,12 +3808,23 @@ function initSchema(db: Database, freshDatabase: boolean): boolean {
   `);
   db.exec(createAuthUsersTable);
   db.exec(createWebAuthnCredentialsTable);
+  db.exec(createApiTokensTable);
+  db.exec(createAuditLogTable);
+  db.exec(createSavedSearchesTable);
   db.exec(createNotificationChannelsTable);
   db.exec(createNotificationRulesTable);
+  db.exec(createNotificationReportsTable);
   db.exec(createNotificationsTable);
+  migrateNotificationDeliveryColumns(db);
   db.exec(createNotificationIncidentsTable);
+  db.exec(createNotificationDeliveryQueueTable);
   db.exec(createCveCacheTable);
   db.exec(createPendingAlertDeletionsTable);
+  db.exec(createStatsRollupTables);
+  db.exec(createMetricsHistoryTable);
+  db.exec(createAnnotationTables);
+  db.exec(createDecisionMirrorsTable);
+  db.exec(createIncidentTables);
 
   const tableInfo = db.query('PRAGMA table_info(decisions)').all() as Array<{ name: string; type: string }>;
   const idColumn = tableInfo.find((column) => column.name === 'id');
@@ -2761,6 +4099,7 @@ function migrateRecordIndexColumns(db: Database): void {
     ['meta_search', 'TEXT'],
     ['origins', 'TEXT'],
     ['simulated', 'INTEGER NOT NULL DEFAULT 0'],
+    ['geo_enriched', 'TEXT'],
     ['search_text', 'TEXT'],
   ]);
   ensureColumns(db, 'decisions', [
@@ -2775,6 +4114,7 @@ function migrateRecordIndexColumns(db: Database): void {
     ['target', 'TEXT'],
     ['machine', 'TEXT'],
     ['simulated', 'INTEGER NOT NULL DEFAULT 0'],
+    ['geo_enriched', 'TEXT'],
     ['search_text', 'TEXT'],
     ['is_duplicate', 'INTEGER NOT NULL DEFAULT 0'],
   ]);
@@ -3301,6 +4641,9 @@ function migrateAuthUsersTable(db: Database): void {
   if (!columns.some((column) => column.name === 'session_version')) {
     db.exec('ALTER TABLE auth_users ADD COLUMN session_version INTEGER NOT NULL DEFAULT 1');
   }
+  if (!columns.some((column) => column.name === 'disabled')) {
+    db.exec('ALTER TABLE auth_users ADD COLUMN disabled INTEGER NOT NULL DEFAULT 0');
+  }
   db.exec(`
     CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_users_oidc_identity
     ON auth_users(oidc_issuer, oidc_subject)
@@ -3308,6 +4651,16 @@ function migrateAuthUsersTable(db: Database): void {
   `);
 }
 
+function migrateNotificationDeliveryColumns(db: Database): void {
+  ensureColumns(db, 'notification_channels', [['delivery_json', "TEXT NOT NULL DEFAULT '{}'"]]);
+  ensureColumns(db, 'notification_rules', [['delivery_json', "TEXT NOT NULL DEFAULT '{}'"]]);
+  ensureColumns(db, 'notifications', [
+    ['escalation_channel_id', 'TEXT'],
+    ['escalate_at', 'TEXT'],
+    ['escalated_at', 'TEXT'],
+  ]);
+}
+
 function migrateNotificationRulesTable(db: Database, createNotificationRulesTable: string): void {
   const columns = db.query('PRAGMA table_info(notification_rules)').all() as Array<{ name: string }>;
   if (!columns.some((column) => column.name === 'cooldown_minutes')) {
@@ -3483,6 +4836,9 @@ function normalizeIncidentKeyForSeed(ruleId: string, ruleType: string, dedupeKey
   if (ruleType === 'alert-spike') {
     return normalized.startsWith('spike:') ? 'spike:active' : null;
   }
+  if (ruleType === 'search-threshold') {
+    return normalized.startsWith('search:') ? 'search:active' : null;
+  }
   if (ruleType === 'new-cve') {
     return normalized.startsWith('cve:') ? normalized : null;
   }
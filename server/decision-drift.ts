@@ -0,0 +1,283 @@
+import type {
+  DecisionDriftItem,
+  DecisionDriftResponse,
+  DecisionMirrorPolicy,
+  InstanceOperationResult,
+  PropagateDecisionsResponse,
+  UpdateDecisionMirrorPolicyRequest,
+} from '../shared/contracts';
+import type { CrowdsecDatabase, DecisionPresenceRow } from './database';
+import { PROPAGATED_DECISION_SCENARIO, type LapiClient, type PropagatedDecisionInput } from './lapi';
+import type { DatabaseWrite } from './sync-worker-client';
+
+export const DECISION_MIRROR_POLICY_KEY = 'decision_mirror_policy';
+export const DECISION_DRIFT_MAX_ITEMS = 1_000;
+export const DECISION_PROPAGATE_MAX_VALUES = 500;
+
+// Community blocklists are subscribed per instance through the Central API, so
+// a difference there is expected and only shown when that origin is requested.
+const COMMUNITY_DECISION_ORIGINS = new Set(['CAPI', 'lists']);
+const MIRRORED_DECISION_ORIGIN = 'cscli';
+const DEFAULT_MIRROR_POLICY: DecisionMirrorPolicy = { enabled: false, instance_ids: [], enabled_at: null };
+
+interface DriftInstance {
+  id: string;
+  name: string;
+}
+
+interface PlannedDecision {
+  source: DecisionPresenceRow;
+  entry: PropagatedDecisionInput;
+}
+
+interface PushOutcome {
+  response: PropagateDecisionsResponse;
+  pushed: Map<string, PlannedDecision[]>;
+}
+
+export interface DecisionDriftServiceOptions {
+  database: CrowdsecDatabase;
+  /** Read on every call so instances added, renamed or removed from Settings are picked up. */
+  getInstances: () => DriftInstance[];
+  lapiClients: Map<string, LapiClient>;
+  writeDatabase: DatabaseWrite;
+  refreshInstance: (instanceId: string) => Promise<void>;
+}
+
+export interface DecisionDriftService {
+  listDrift(filters?: { origin?: string }): DecisionDriftResponse;
+  propagate(values: string[]): Promise<PropagateDecisionsResponse>;
+  getPolicy(): DecisionMirrorPolicy;
+  updatePolicy(input: UpdateDecisionMirrorPolicyRequest): Promise<DecisionMirrorPolicy | { error: string }>;
+  mirrorNewDecisions(): Promise<PropagateDecisionsResponse | null>;
+}
+
+function groupPresenceByValue(rows: DecisionPresenceRow[]): Map<string, DecisionPresenceRow[]> {
+  const groups = new Map<string, DecisionPresenceRow[]>();
+  for (const row of rows) {
+    const group = groups.get(row.value) || [];
+    group.push(row);
+    groups.set(row.value, group);
+  }
+  return groups;
+}
+
+function toPropagatedDecision(source: DecisionPresenceRow, nowMs: number): PropagatedDecisionInput | null {
+  const remainingMs = Date.parse(source.stop_at) - nowMs;
+  if (!(remainingMs >= 1_000)) return null;
+  return {
+    value: source.value,
+    scope: source.scope || (source.value.includes('/') ? 'range' : 'ip'),
+    type: source.type || 'ban',
+    duration: `${Math.ceil(remainingMs / 1_000)}s`,
+  };
+}
+
+function longestLasting(rows: DecisionPresenceRow[]): DecisionPresenceRow {
+  return rows.reduce((best, row) => (row.stop_at > best.stop_at ? row : best));
+}
+
+export function buildDecisionDrift(
+  rows: DecisionPresenceRow[],
+  instances: DriftInstance[],
+  origin?: string,
+): Omit<DecisionDriftResponse, 'instances'> {
+  const origins = Array.from(new Set(rows.map((row) => row.origin).filter((value): value is string => !!value)))
+    .sort((left, right) => left.localeCompare(right));
+  if (instances.length < 2) return { origins, items: [], total: 0 };
+
+  const instanceIds = instances.map((instance) => instance.id);
+  const items: DecisionDriftItem[] = [];
+  for (const [value, presence] of groupPresenceByValue(rows)) {
+    const matches = origin
+      ? presence.some((row) => row.origin === origin)
+      : presence.some((row) => !COMMUNITY_DECISION_ORIGINS.has(row.origin || ''));
+    if (!matches) continue;
+    const presentIds = new Set(presence.map((row) => row.instance_id));
+    const missing = instanceIds.filter((instanceId) => !presentIds.has(instanceId));
+    if (missing.length === 0) continue;
+    items.push({
+      value,
+      scope: longestLasting(presence).scope,
+      present_on: presence.map((row) => ({
+        instance_id: row.instance_id,
+        type: row.type,
+        origin: row.origin,
+        scenario: row.scenario,
+        stop_at: row.stop_at,
+      })),
+      missing_on: missing,
+    });
+  }
+  return { origins, items: items.slice(0, DECISION_DRIFT_MAX_ITEMS), total: items.length };
+}
+
+export function parseDecisionMirrorPolicy(raw: string | null | undefined, instanceIds: string[]): DecisionMirrorPolicy {
+  if (!raw) return { ...DEFAULT_MIRROR_POLICY };
+  try {
+    const parsed = JSON.parse(raw) as Partial<DecisionMirrorPolicy>;
+    const configured = new Set(instanceIds);
+    return {
+      enabled: parsed.enabled === true,
+      instance_ids: Array.isArray(parsed.instance_ids)
+        ? parsed.instance_ids.filter((instanceId): instanceId is string => typeof instanceId === 'string' && configured.has(instanceId))
+        : [],
+      enabled_at: typeof parsed.enabled_at === 'string' ? parsed.enabled_at : null,
+    };
+  } catch {
+    return { ...DEFAULT_MIRROR_POLICY };
+  }
+}
+
+export function createDecisionDriftService(options: DecisionDriftServiceOptions): DecisionDriftService {
+  const { database, getInstances, lapiClients, writeDatabase, refreshInstance } = options;
+  const getInstanceIds = (): string[] => getInstances().map((instance) => instance.id);
+  let mirroringPromise: Promise<PropagateDecisionsResponse | null> | null = null;
+
+  return {
+    listDrift,
+    propagate,
+    getPolicy,
+    updatePolicy,
+    mirrorNewDecisions,
+  };
+
+  function listDrift(filters: { origin?: string } = {}): DecisionDriftResponse {
+    const rows = database.listActiveDecisionPresence(new Date().toISOString());
+    const instances = getInstances();
+    return { instances, ...buildDecisionDrift(rows, instances, filters.origin) };
+  }
+
+  async function propagate(values: string[]): Promise<PropagateDecisionsResponse> {
+    const nowMs = Date.now();
+    const rows = database.listActiveDecisionPresence(new Date(nowMs).toISOString(), values);
+    const instanceIds = getInstanceIds();
+    const plan = new Map<string, PlannedDecision[]>();
+    for (const presence of groupPresenceByValue(rows).values()) {
+      const source = longestLasting(presence);
+      const entry = toPropagatedDecision(source, nowMs);
+      if (!entry) continue;
+      const presentIds = new Set(presence.map((row) => row.instance_id));
+      for (const instanceId of instanceIds) {
+        if (presentIds.has(instanceId)) continue;
+        plan.set(instanceId, [...(plan.get(instanceId) || []), { source, entry }]);
+      }
+    }
+    return (await pushDecisions(plan, 'propagated to missing instances')).response;
+  }
+
+  function getPolicy(): DecisionMirrorPolicy {
+    return parseDecisionMirrorPolicy(database.getMeta(DECISION_MIRROR_POLICY_KEY)?.value, getInstanceIds());
+  }
+
+  async function updatePolicy(input: UpdateDecisionMirrorPolicyRequest): Promise<DecisionMirrorPolicy | { error: string }> {
+    if (typeof input?.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    if (!Array.isArray(input.instance_ids) || input.instance_ids.some((instanceId) => typeof instanceId !== 'string')) {
+      return { error: 'instance_ids must be a list of instance IDs' };
+    }
+    const instanceIds = getInstanceIds();
+    const selected = Array.from(new Set(input.instance_ids));
+    const unknown = selected.find((instanceId) => !instanceIds.includes(instanceId));
+    if (unknown) return { error: `Unknown instance: ${unknown}` };
+    if (input.enabled && selected.length < 2) {
+      return { error: 'Select at least two instances to mirror decisions between' };
+    }
+
+    const previous = getPolicy();
+    const sameInstances = previous.instance_ids.length === selected.length
+      && selected.every((instanceId) => previous.instance_ids.includes(instanceId));
+    // Only decisions created after the policy took its current shape are
+    // mirrored; existing drift is resolved explicitly with propagate().
+    const enabledAt = !input.enabled
+      ? null
+      : previous.enabled && sameInstances && previous.enabled_at
+        ? previous.enabled_at
+        : new Date().toISOString();
+    const policy: DecisionMirrorPolicy = {
+      enabled: input.enabled,
+      instance_ids: instanceIds.filter((instanceId) => selected.includes(instanceId)),
+      enabled_at: enabledAt,
+    };
+    await writeDatabase(() => database.setMeta(DECISION_MIRROR_POLICY_KEY, JSON.stringify(policy)));
+    return policy;
+  }
+
+  function mirrorNewDecisions(): Promise<PropagateDecisionsResponse | null> {
+    // A run refreshes its targets, which triggers another run; that one finds
+    // nothing new, so overlapping calls can simply be skipped.
+    if (mirroringPromise) return Promise.resolve(null);
+    mirroringPromise = runMirroring().finally(() => {
+      mirroringPromise = null;
+    });
+    return mirroringPromise;
+  }
+
+  async function runMirroring(): Promise<PropagateDecisionsResponse | null> {
+    const policy = getPolicy();
+    if (!policy.enabled || !policy.enabled_at || policy.instance_ids.length < 2) return null;
+
+    const nowMs = Date.now();
+    const now = new Date(nowMs).toISOString();
+    await writeDatabase(() => database.pruneDecisionMirrors(now));
+    const candidates = database.listDecisionMirrorCandidates(
+      policy.instance_ids,
+      MIRRORED_DECISION_ORIGIN,
+      PROPAGATED_DECISION_SCENARIO,
+      policy.enabled_at,
+      now,
+    );
+    if (candidates.length === 0) return null;
+
+    const active = database.getActiveDecisionInstancesByValues(candidates.map((candidate) => candidate.value), now);
+    const plan = new Map<string, PlannedDecision[]>();
+    const planned = new Set<string>();
+    for (const source of candidates) {
+      const entry = toPropagatedDecision(source, nowMs);
+      if (!entry) continue;
+      const mirroredTo = database.listDecisionMirrorTargets(source.instance_id, source.upstream_id!);
+      for (const targetId of policy.instance_ids) {
+        const key = `${targetId}\u0000${source.value}`;
+        if (
+          targetId === source.instance_id
+          || active.get(source.value)?.has(targetId)
+          || mirroredTo.includes(targetId)
+          || planned.has(key)
+        ) continue;
+        planned.add(key);
+        plan.set(targetId, [...(plan.get(targetId) || []), { source, entry }]);
+      }
+    }
+    if (plan.size === 0) return null;
+
+    const outcome = await pushDecisions(plan, 'mirrored manual decision');
+    await writeDatabase(() => {
+      for (const [targetId, decisions] of outcome.pushed) {
+        for (const { source } of decisions) database.recordDecisionMirror(source, targetId, now);
+      }
+    });
+    return outcome.response;
+  }
+
+  async function pushDecisions(plan: Map<string, PlannedDecision[]>, reason: string): Promise<PushOutcome> {
+    const instanceNames = new Map(getInstances().map((instance) => [instance.id, instance.name]));
+    const pushed = new Map<string, PlannedDecision[]>();
+    const results: InstanceOperationResult[] = await Promise.all(Array.from(plan, async ([instanceId, decisions]) => {
+      const instanceName = instanceNames.get(instanceId) || instanceId;
+      try {
+        await lapiClients.get(instanceId)!.addPropagatedDecisions(decisions.map((decision) => decision.entry), reason);
+        pushed.set(instanceId, decisions);
+        // The write already succeeded; a failed refresh is picked up by the next sync.
+        await refreshInstance(instanceId).catch((error) => {
+          console.error(`[decisions] Refresh after propagation failed. Instance: ${instanceName}.`, error);
+        });
+        console.log(`[decisions] Propagated ${decisions.length} decision(s) (${reason}). Instance: ${instanceName}.`);
+        return { instance_id: instanceId, instance_name: instanceName, success: true, result: { propagated: decisions.length } };
+      } catch (error: any) {
+        return { instance_id: instanceId, instance_name: instanceName, success: false, error: error?.message || String(error) };
+      }
+    }));
+    const succeeded = results.filter((result) => result.success).length;
+    const propagated = Array.from(pushed.values()).reduce((total, decisions) => total + decisions.length, 0);
+    return { response: { results, succeeded, failed: results.length - succeeded, propagated }, pushed };
+  }
+}
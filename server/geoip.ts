@@ -0,0 +1,423 @@
+import fs from 'node:fs';
+import net from 'node:net';
+import type { AlertDecision, AlertRecord, AlertSource } from '../shared/contracts';
+
+const METADATA_MARKER = Buffer.from('\xAB\xCD\xEFMaxMind.com', 'latin1');
+const METADATA_SEARCH_BYTES = 128 * 1024;
+const DATA_SECTION_SEPARATOR_BYTES = 16;
+const LOOKUP_CACHE_LIMIT = 4096;
+
+export interface GeoIpConfig {
+  cityFile?: string;
+  asnFile?: string;
+}
+
+export interface GeoIpLocation {
+  country?: string;
+  region?: string;
+  city?: string;
+  latitude?: number;
+  longitude?: number;
+  asName?: string;
+  asNumber?: number;
+}
+
+export interface GeoIpLookup {
+  // Identifies the configured files and their builds so stored enrichment can
+  // be refreshed when a database is replaced. Null while a configured file is
+  // unreadable, because the cached rows cannot be re-derived safely then.
+  signature: string | null;
+  lookup: (ip: string) => GeoIpLocation | null;
+}
+
+interface MmdbMetadata {
+  node_count: number;
+  record_size: number;
+  ip_version: number;
+  database_type?: string;
+  build_epoch?: number;
+}
+
+// Minimal reader for the MaxMind DB format used by GeoLite2 and DB-IP files.
+// Only the decoder types those databases actually contain are supported.
+export class MmdbReader {
+  readonly metadata: MmdbMetadata;
+  private readonly buffer: Buffer;
+  private readonly nodeByteSize: number;
+  private readonly dataSectionStart: number;
+  private ipv4StartNode: number | null = null;
+
+  constructor(buffer: Buffer) {
+    this.buffer = buffer;
+    const searchStart = Math.max(0, buffer.length - METADATA_SEARCH_BYTES);
+    const markerIndex = buffer.lastIndexOf(METADATA_MARKER);
+    if (markerIndex < searchStart) {
+      throw new Error('MaxMind DB metadata section not found');
+    }
+    const metadataStart = markerIndex + METADATA_MARKER.length;
+    const [metadata] = this.decode(metadataStart, metadataStart);
+    if (!isMetadata(metadata)) {
+      throw new Error('MaxMind DB metadata is incomplete');
+    }
+    if (![24, 28, 32].includes(metadata.record_size)) {
+      throw new Error(`Unsupported MaxMind DB record size ${metadata.record_size}`);
+    }
+    this.metadata = metadata;
+    this.nodeByteSize = metadata.record_size / 4;
+    this.dataSectionStart = this.nodeByteSize * metadata.node_count + DATA_SECTION_SEPARATOR_BYTES;
+  }
+
+  static open(file: string): MmdbReader {
+    return new MmdbReader(fs.readFileSync(file));
+  }
+
+  get(ip: string): unknown {
+    const address = parseIpAddress(ip);
+    if (!address) return null;
+    if (address.length === 16 && this.metadata.ip_version === 4) return null;
+
+    const { node_count: nodeCount } = this.metadata;
+    let node = address.length === 4 && this.metadata.ip_version === 6 ? this.findIpv4StartNode() : 0;
+    for (let bit = 0; bit < address.length * 8 && node < nodeCount; bit += 1) {
+      node = this.readNode(node, (address[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    if (node <= nodeCount) return null;
+
+    const offset = this.dataSectionStart + (node - nodeCount) - DATA_SECTION_SEPARATOR_BYTES;
+    if (offset >= this.buffer.length) throw new Error('MaxMind DB search tree points outside the data section');
+    return this.decode(offset, this.dataSectionStart)[0];
+  }
+
+  private findIpv4StartNode(): number {
+    if (this.ipv4StartNode !== null) return this.ipv4StartNode;
+    let node = 0;
+    for (let bit = 0; bit < 96 && node < this.metadata.node_count; bit += 1) {
+      node = this.readNode(node, 0);
+    }
+    this.ipv4StartNode = node;
+    return node;
+  }
+
+  private readNode(node: number, index: number): number {
+    const base = node * this.nodeByteSize;
+    const buffer = this.buffer;
+    switch (this.metadata.record_size) {
+      case 24:
+        return buffer.readUIntBE(base + index * 3, 3);
+      case 28: {
+        const middle = buffer[base + 3];
+        return index === 0
+          ? ((middle & 0xF0) >> 4) * 0x1000000 + buffer.readUIntBE(base, 3)
+          : (middle & 0x0F) * 0x1000000 + buffer.readUIntBE(base + 4, 3);
+      }
+      default:
+        return buffer.readUInt32BE(base + index * 4);
+    }
+  }
+
+  private decode(offset: number, pointerBase: number): [unknown, number] {
+    const buffer = this.buffer;
+    const control = buffer[offset++];
+    let type = control >> 5;
+
+    if (type === 1) {
+      const pointerSize = ((control >> 3) & 0x3) + 1;
+      const prefix = control & 0x7;
+      let pointer: number;
+      if (pointerSize === 1) pointer = prefix * 0x100 + buffer[offset];
+      else if (pointerSize === 2) pointer = prefix * 0x10000 + buffer.readUInt16BE(offset) + 2048;
+      else if (pointerSize === 3) pointer = prefix * 0x1000000 + buffer.readUIntBE(offset, 3) + 526336;
+      else pointer = buffer.readUInt32BE(offset);
+      return [this.decode(pointerBase + pointer, pointerBase)[0], offset + pointerSize];
+    }
+
+    if (type === 0) type = 7 + buffer[offset++];
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + buffer[offset++];
+    } else if (size === 30) {
+      size = 285 + buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + buffer.readUIntBE(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case 2:
+        return [buffer.toString('utf8', offset, offset + size), offset + size];
+      case 3:
+        return [buffer.readDoubleBE(offset), offset + size];
+      case 4:
+        return [buffer.subarray(offset, offset + size), offset + size];
+      case 5:
+      case 6:
+      case 9:
+      case 10:
+        return [readUnsigned(buffer, offset, size), offset + size];
+      case 7: {
+        const map: Record<string, unknown> = {};
+        for (let index = 0; index < size; index += 1) {
+          const [key, valueOffset] = this.decode(offset, pointerBase);
+          const [value, nextOffset] = this.decode(valueOffset, pointerBase);
+          map[String(key)] = value;
+          offset = nextOffset;
+        }
+        return [map, offset];
+      }
+      case 8: {
+        const value = readUnsigned(buffer, offset, size);
+        return [size === 4 ? value | 0 : value, offset + size];
+      }
+      case 11: {
+        const array: unknown[] = [];
+        for (let index = 0; index < size; index += 1) {
+          const [value, nextOffset] = this.decode(offset, pointerBase);
+          array.push(value);
+          offset = nextOffset;
+        }
+        return [array, offset];
+      }
+      case 14:
+        return [size !== 0, offset];
+      case 15:
+        return [buffer.readFloatBE(offset), offset + size];
+      default:
+        throw new Error(`Unsupported MaxMind DB data type ${type}`);
+    }
+  }
+}
+
+function isMetadata(value: unknown): value is MmdbMetadata {
+  const metadata = value as Partial<MmdbMetadata> | null;
+  return Boolean(metadata)
+    && Number.isSafeInteger(metadata?.node_count)
+    && Number.isSafeInteger(metadata?.record_size)
+    && (metadata?.ip_version === 4 || metadata?.ip_version === 6);
+}
+
+function readUnsigned(buffer: Buffer, offset: number, size: number): number {
+  let value = 0;
+  for (let index = 0; index < size; index += 1) {
+    value = value * 256 + buffer[offset + index];
+  }
+  return value;
+}
+
+function parseIpAddress(value: string): Uint8Array | null {
+  const trimmed = value.trim();
+  const version = net.isIP(trimmed);
+  if (version === 4) return Uint8Array.from(trimmed.split('.').map(Number));
+  if (version !== 6) return null;
+
+  let address = trimmed.split('%')[0].toLowerCase();
+  const bytes = new Uint8Array(16);
+  const embeddedIpv4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embeddedIpv4) {
+    const [a, b, c, d] = embeddedIpv4[1].split('.').map(Number);
+    address = `${address.slice(0, -embeddedIpv4[1].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail === undefined || tail === '' ? [] : tail.split(':');
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  groups.forEach((group, index) => {
+    const word = Number.parseInt(group, 16);
+    bytes[index * 2] = word >> 8;
+    bytes[index * 2 + 1] = word & 0xff;
+  });
+  return bytes;
+}
+
+function readPath(value: unknown, ...path: Array<string | number>): unknown {
+  let current = value;
+  for (const key of path) {
+    if (!current || typeof current !== 'object') return undefined;
+    current = (current as Record<string | number, unknown>)[key];
+  }
+  return current;
+}
+
+function readText(value: unknown): string | undefined {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+function readNumber(value: unknown): number | undefined {
+  return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+}
+
+function toGeoIpLocation(record: unknown): GeoIpLocation {
+  const country = readText(readPath(record, 'country', 'iso_code'))?.toUpperCase();
+  return {
+    country: country && /^[A-Z]{2}$/.test(country) ? country : undefined,
+    region: readText(readPath(record, 'subdivisions', 0, 'names', 'en')),
+    city: readText(readPath(record, 'city', 'names', 'en')),
+    latitude: readNumber(readPath(record, 'location', 'latitude')),
+    longitude: readNumber(readPath(record, 'location', 'longitude')),
+    asName: readText(readPath(record, 'autonomous_system_organization')),
+    asNumber: readNumber(readPath(record, 'autonomous_system_number')),
+  };
+}
+
+function mergeLocations(locations: GeoIpLocation[]): GeoIpLocation | null {
+  const merged: GeoIpLocation = {};
+  for (const location of locations) {
+    for (const [key, value] of Object.entries(location) as Array<[keyof GeoIpLocation, string | number | undefined]>) {
+      if (value !== undefined && merged[key] === undefined) (merged as Record<string, unknown>)[key] = value;
+    }
+  }
+  return Object.keys(merged).length > 0 ? merged : null;
+}
+
+export function createGeoIpLookup(
+  config: GeoIpConfig,
+  warn: (message: string) => void = (message) => console.warn(message),
+): GeoIpLookup | null {
+  const files = [config.cityFile, config.asnFile].filter((file): file is string => Boolean(file));
+  if (files.length === 0) return null;
+
+  const readers: MmdbReader[] = [];
+  const signatures: string[] = [];
+  let complete = true;
+  for (const file of files) {
+    try {
+      const reader = MmdbReader.open(file);
+      readers.push(reader);
+      signatures.push(`${file}@${reader.metadata.database_type || 'unknown'}:${reader.metadata.build_epoch ?? 0}`);
+    } catch (error) {
+      complete = false;
+      const reason = error instanceof Error ? error.message : String(error);
+      warn(`GeoIP database "${file}" could not be loaded; records from it will not be enriched: ${reason}`);
+    }
+  }
+
+  const cache = new Map<string, GeoIpLocation | null>();
+  return {
+    signature: complete ? signatures.join('|') : null,
+    lookup(ip: string): GeoIpLocation | null {
+      if (readers.length === 0) return null;
+      const cached = cache.get(ip);
+      if (cached !== undefined) return cached;
+
+      let location: GeoIpLocation | null = null;
+      try {
+        location = mergeLocations(readers.map((reader) => toGeoIpLocation(reader.get(ip))));
+      } catch (error) {
+        const reason = error instanceof Error ? error.message : String(error);
+        warn(`GeoIP lookup for ${ip} failed: ${reason}`);
+      }
+      if (cache.size >= LOOKUP_CACHE_LIMIT) cache.delete(cache.keys().next().value as string);
+      cache.set(ip, location);
+      return location;
+    },
+  };
+}
+
+type DecisionRecord = AlertDecision & Record<string, unknown>;
+
+// Field names recorded in geo_enriched use each record's own property names
+// so the API can mark exactly the values that did not come from CrowdSec.
+const ALERT_SOURCE_FIELDS = [
+  ['cn', 'country'],
+  ['region', 'region'],
+  ['city', 'city'],
+  ['latitude', 'latitude'],
+  ['longitude', 'longitude'],
+  ['as_name', 'asName'],
+  ['as_number', 'asNumber'],
+] as const satisfies ReadonlyArray<readonly [keyof AlertSource, keyof GeoIpLocation]>;
+
+const DECISION_FIELDS = [
+  ['country', 'country'],
+  ['region', 'region'],
+  ['city', 'city'],
+  ['as', 'asName'],
+] as const satisfies ReadonlyArray<readonly [string, keyof GeoIpLocation]>;
+
+export function parseGeoEnrichedFields(value: unknown): string[] {
+  const fields = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return fields.flatMap((field) => typeof field === 'string' && field.trim() ? [field.trim()] : []);
+}
+
+export function serializeGeoEnrichedFields(value: unknown): string | null {
+  const fields = parseGeoEnrichedFields(value);
+  return fields.length > 0 ? fields.join(',') : null;
+}
+
+function isIpScope(scope: unknown): boolean {
+  return typeof scope !== 'string' || !scope.trim() || scope.trim().toLowerCase() === 'ip';
+}
+
+function isMissing(value: unknown): boolean {
+  return value === undefined || value === null || (typeof value === 'string' && !value.trim());
+}
+
+function fillMissing<T extends Record<string, unknown>>(
+  target: T,
+  fields: ReadonlyArray<readonly [string, keyof GeoIpLocation]>,
+  location: GeoIpLocation,
+  enriched: string[],
+): boolean {
+  let changed = false;
+  for (const [field, key] of fields) {
+    const value = location[key];
+    if (value === undefined || !isMissing(target[field]) || enriched.includes(field)) continue;
+    (target as Record<string, unknown>)[field] = value;
+    enriched.push(field);
+    changed = true;
+  }
+  return changed;
+}
+
+export function enrichAlertRecord(alert: AlertRecord, geoIp: GeoIpLookup | null | undefined): AlertRecord {
+  const source = alert.source;
+  if (!geoIp || !source || !isIpScope(source.scope)) return alert;
+  const ip = readText(source.ip) || readText(source.value);
+  const location = ip ? geoIp.lookup(ip) : null;
+  if (!location) return alert;
+
+  const enriched = parseGeoEnrichedFields(source.geo_enriched);
+  const nextSource: AlertSource = { ...source };
+  if (!fillMissing(nextSource as Record<string, unknown>, ALERT_SOURCE_FIELDS, location, enriched)) return alert;
+  nextSource.geo_enriched = enriched;
+  return { ...alert, source: nextSource };
+}
+
+export function enrichDecisionRecord<T extends DecisionRecord>(decision: T, geoIp: GeoIpLookup | null | undefined): T {
+  if (!geoIp || !isIpScope(decision.scope)) return decision;
+  const ip = readText(decision.value);
+  const location = ip ? geoIp.lookup(ip) : null;
+  if (!location) return decision;
+
+  const enriched = parseGeoEnrichedFields(decision.geo_enriched);
+  const next: T = { ...decision };
+  if (!fillMissing(next, DECISION_FIELDS, location, enriched)) return decision;
+  (next as DecisionRecord).geo_enriched = enriched;
+  return next;
+}
+
+// Removes previously enriched values so a record can be re-derived against the
+// current databases, or left as CrowdSec supplied it when GeoIP is disabled.
+export function stripAlertGeoEnrichment(alert: AlertRecord): AlertRecord {
+  const source = alert.source;
+  if (!source || source.geo_enriched === undefined) return alert;
+  const nextSource: AlertSource = { ...source };
+  for (const field of parseGeoEnrichedFields(source.geo_enriched)) {
+    delete (nextSource as Record<string, unknown>)[field];
+  }
+  delete nextSource.geo_enriched;
+  return { ...alert, source: nextSource };
+}
+
+export function stripDecisionGeoEnrichment<T extends DecisionRecord>(decision: T): T {
+  if (decision.geo_enriched === undefined) return decision;
+  const next: T = { ...decision };
+  for (const field of parseGeoEnrichedFields(decision.geo_enriched)) {
+    delete (next as Record<string, unknown>)[field];
+    if (field === 'country') delete next.country_name;
+  }
+  delete (next as Record<string, unknown>).geo_enriched;
+  return next;
+}
@@ -0,0 +1,364 @@
+import {
+  INCIDENT_GROUP_BY,
+  TRIAGE_STATUSES,
+  type IncidentGroupBy,
+  type IncidentGroupKind,
+  type IncidentListResponse,
+  type IncidentSettings,
+  type IncidentSummary,
+  type TriageStatus,
+  type UpdateIncidentRequest,
+} from '../shared/contracts';
+import type { CrowdsecDatabase, IncidentCandidateAlertRow, IncidentLinkRow, IncidentListFilters, IncidentRow } from './database';
+import { ALERT_RECORD_COLUMNS, type NormalizedAlertRow } from './normalized-record';
+import type { DatabaseQueryWorker } from './query-worker-client';
+import type { DatabaseWrite } from './sync-worker-client';
+
+export const INCIDENT_SETTINGS_KEY = 'incident_settings';
+export const INCIDENT_ALERT_LIMIT = 200;
+export const INCIDENT_ACTION_MAX_SOURCES = 500;
+export const INCIDENT_ASSIGNEE_MAX_LENGTH = 128;
+
+const INCIDENT_CORRELATION_BATCH_SIZE = 1_000;
+const INCIDENT_WINDOW_MINUTES_MIN = 5;
+const INCIDENT_WINDOW_MINUTES_MAX = 7 * 24 * 60;
+const DEFAULT_INCIDENT_SETTINGS: IncidentSettings = { group_by: 'source', window_minutes: 60 };
+// Incident totals are read from the alerts still cached, so deleted alerts
+// drop out of the timeline and counts.
+const INCIDENT_JOIN = `incidents
+  JOIN incident_alerts ON incident_alerts.incident_id = incidents.id
+  JOIN alerts ON alerts.instance_id = incident_alerts.instance_id AND alerts.upstream_id = incident_alerts.upstream_id`;
+const INCIDENT_COLUMNS = `incidents.id, incidents.kind, incidents.value, incidents.label, incidents.status, incidents.assignee,
+  incidents.updated_at, incidents.updated_by,
+  MIN(alerts.created_at) AS first_seen, MAX(alerts.created_at) AS last_seen, COUNT(*) AS alert_count,
+  COALESCE(SUM(alerts.events_count), 0) AS event_count,
+  COUNT(DISTINCT COALESCE(NULLIF(alerts.source_value, ''), alerts.source_ip)) AS source_count,
+  GROUP_CONCAT(DISTINCT NULLIF(TRIM(alerts.scenario), '')) AS scenarios,
+  GROUP_CONCAT(DISTINCT NULLIF(TRIM(alerts.target), '')) AS targets,
+  GROUP_CONCAT(DISTINCT alerts.instance_id) AS instances`;
+
+interface IncidentGroup {
+  key: string;
+  kind: IncidentGroupKind;
+  value: string;
+  label: string | null;
+}
+
+interface OpenIncident {
+  id: number;
+  firstMs: number;
+  lastMs: number;
+}
+
+export interface IncidentServiceOptions {
+  database: CrowdsecDatabase;
+  writeDatabase: DatabaseWrite;
+  queryWorker?: Pick<DatabaseQueryWorker, 'all' | 'get'>;
+}
+
+export interface IncidentDetailRecord {
+  incident: IncidentSummary;
+  sources: string[];
+  alertRows: NormalizedAlertRow[];
+  alertsTruncated: boolean;
+}
+
+export interface IncidentService {
+  getSettings(): IncidentSettings;
+  updateSettings(input: Partial<IncidentSettings> | null): Promise<IncidentSettings | { error: string }>;
+  correlate(): Promise<number>;
+  list(filters: IncidentListFilters, page: number, pageSize: number): Promise<IncidentListResponse>;
+  get(id: number): Promise<IncidentDetailRecord | null>;
+  update(id: number, input: UpdateIncidentRequest | null, updatedBy: string | null): Promise<IncidentSummary | { error: string; status: 400 | 404 }>;
+  listSources(id: number): Promise<Array<{ instance_id: string; value: string; scope: string }> | null>;
+}
+
+/**
+ * Picks the incident an alert belongs to. Only IP and range sources are
+ * grouped; grouping by AS falls back to the source when LAPI sent no AS number.
+ */
+export function getIncidentGroup(row: IncidentCandidateAlertRow, groupBy: IncidentGroupBy): IncidentGroup | null {
+  if (row.simulated) return null;
+  const scope = (row.source_scope || 'ip').toLowerCase();
+  const value = scope === 'range'
+    ? row.source_value || row.source_range
+    : scope === 'ip' ? row.source_ip || row.source_value : null;
+  if (!value) return null;
+
+  const asNumber = row.source_as_number?.trim();
+  if (groupBy === 'as' && asNumber) {
+    return { key: `as:${asNumber}`, kind: 'as', value: asNumber, label: row.as_name || null };
+  }
+  const kind = scope === 'range' ? 'range' : 'ip';
+  return { key: `${kind}:${value}`, kind, value, label: row.as_name || null };
+}
+
+export function parseIncidentSettings(raw: string | null | undefined): IncidentSettings {
+  if (!raw) return { ...DEFAULT_INCIDENT_SETTINGS };
+  try {
+    const parsed = JSON.parse(raw) as Partial<IncidentSettings>;
+    return {
+      group_by: INCIDENT_GROUP_BY.includes(parsed.group_by as IncidentGroupBy) ? parsed.group_by as IncidentGroupBy : DEFAULT_INCIDENT_SETTINGS.group_by,
+      window_minutes: Number.isInteger(parsed.window_minutes)
+        && parsed.window_minutes! >= INCIDENT_WINDOW_MINUTES_MIN
+        && parsed.window_minutes! <= INCIDENT_WINDOW_MINUTES_MAX
+        ? parsed.window_minutes!
+        : DEFAULT_INCIDENT_SETTINGS.window_minutes,
+    };
+  } catch {
+    return { ...DEFAULT_INCIDENT_SETTINGS };
+  }
+}
+
+function splitList(value: string | null): string[] {
+  return value ? value.split(',').filter(Boolean).sort((left, right) => left.localeCompare(right)) : [];
+}
+
+function toIncidentSummary(row: IncidentRow): IncidentSummary {
+  return {
+    id: Number(row.id),
+    kind: row.kind as IncidentGroupKind,
+    value: row.value,
+    label: row.label,
+    status: TRIAGE_STATUSES.includes(row.status as TriageStatus) ? row.status as TriageStatus : 'new',
+    assignee: row.assignee,
+    first_seen: row.first_seen,
+    last_seen: row.last_seen,
+    alert_count: Number(row.alert_count) || 0,
+    event_count: Number(row.event_count) || 0,
+    source_count: Number(row.source_count) || 0,
+    scenarios: splitList(row.scenarios),
+    targets: splitList(row.targets),
+    instances: splitList(row.instances),
+    updated_at: row.updated_at,
+    updated_by: row.updated_by,
+  };
+}
+
+export function createIncidentService(options: IncidentServiceOptions): IncidentService {
+  const { database, writeDatabase } = options;
+  // Incident pages aggregate over every linked alert, so the app reads them
+  // through the query worker. Tests that pass none read the main handle.
+  const queryWorker = options.queryWorker || {
+    all: async <T>(sql: string, params: unknown[] = []) => database.db.prepare(sql).all(...params) as T[],
+    get: async <T>(sql: string, params: unknown[] = []) => database.db.prepare(sql).get(...params) as T,
+  };
+  let correlationPromise: Promise<number> | null = null;
+
+  return {
+    getSettings,
+    updateSettings,
+    correlate,
+    list,
+    get,
+    update,
+    listSources,
+  };
+
+  function getSettings(): IncidentSettings {
+    return parseIncidentSettings(database.getMeta(INCIDENT_SETTINGS_KEY)?.value);
+  }
+
+  async function updateSettings(input: Partial<IncidentSettings> | null): Promise<IncidentSettings | { error: string }> {
+    const current = getSettings();
+    const groupBy = input?.group_by ?? current.group_by;
+    const windowMinutes = input?.window_minutes ?? current.window_minutes;
+    if (!INCIDENT_GROUP_BY.includes(groupBy)) {
+      return { error: `group_by must be one of: ${INCIDENT_GROUP_BY.join(', ')}` };
+    }
+    if (!Number.isInteger(windowMinutes) || windowMinutes < INCIDENT_WINDOW_MINUTES_MIN || windowMinutes > INCIDENT_WINDOW_MINUTES_MAX) {
+      return { error: `window_minutes must be a whole number between ${INCIDENT_WINDOW_MINUTES_MIN} and ${INCIDENT_WINDOW_MINUTES_MAX}` };
+    }
+    const settings: IncidentSettings = { group_by: groupBy, window_minutes: windowMinutes };
+    await writeDatabase(() => database.setMeta(INCIDENT_SETTINGS_KEY, JSON.stringify(settings)));
+    return settings;
+  }
+
+  function correlate(): Promise<number> {
+    // Every sync triggers a run; one that starts while another is still
+    // working would only find the alerts the first one is about to link.
+    if (correlationPromise) return correlationPromise;
+    correlationPromise = runCorrelation().finally(() => {
+      correlationPromise = null;
+    });
+    return correlationPromise;
+  }
+
+  async function runCorrelation(): Promise<number> {
+    const settings = getSettings();
+    let linked = 0;
+    for (;;) {
+      const processed = await writeDatabase(() => {
+        let count = 0;
+        database.transaction(() => {
+          count = correlateBatch(settings);
+        })(undefined);
+        return count;
+      });
+      linked += processed;
+      if (processed < INCIDENT_CORRELATION_BATCH_SIZE) return linked;
+    }
+  }
+
+  function correlateBatch(settings: IncidentSettings): number {
+    const rows = database.listUncorrelatedIncidentAlerts(INCIDENT_CORRELATION_BATCH_SIZE);
+    const windowMs = settings.window_minutes * 60_000;
+    const createdAt = new Date().toISOString();
+    const openIncidents = new Map<string, OpenIncident | null>();
+    const links: IncidentLinkRow[] = [];
+
+    for (const row of rows) {
+      const group = getIncidentGroup(row, settings.group_by);
+      const createdMs = Date.parse(row.created_at);
+      if (!group || !Number.isFinite(createdMs)) {
+        links.push({ instance_id: row.instance_id, upstream_id: row.upstream_id, incident_id: null, created_at: row.created_at });
+        continue;
+      }
+
+      let incident = openIncidents.get(group.key);
+      if (incident === undefined) {
+        const window = database.findOpenIncidentWindow(group.key);
+        incident = window ? { id: Number(window.id), firstMs: Date.parse(window.first_seen), lastMs: Date.parse(window.last_seen) } : null;
+      }
+      // The window slides in both directions because secondary instances can
+      // deliver older alerts after newer ones were already grouped.
+      if (!incident || createdMs < incident.firstMs - windowMs || createdMs > incident.lastMs + windowMs) {
+        incident = {
+          id: database.createIncident({ groupKey: group.key, kind: group.kind, value: group.value, label: group.label, createdAt }),
+          firstMs: createdMs,
+          lastMs: createdMs,
+        };
+      } else {
+        incident.firstMs = Math.min(incident.firstMs, createdMs);
+        incident.lastMs = Math.max(incident.lastMs, createdMs);
+      }
+      openIncidents.set(group.key, incident);
+      links.push({ instance_id: row.instance_id, upstream_id: row.upstream_id, incident_id: incident.id, created_at: row.created_at });
+    }
+
+    database.linkIncidentAlerts(links);
+    return rows.length;
+  }
+
+  async function list(filters: IncidentListFilters, page: number, pageSize: number): Promise<IncidentListResponse> {
+    const conditions: string[] = [];
+    const params: unknown[] = [];
+    if (filters.statuses && filters.statuses.length > 0) {
+      conditions.push(`incidents.status IN (${filters.statuses.map(() => '?').join(',')})`);
+      params.push(...filters.statuses);
+    }
+    if (filters.assignee !== undefined) {
+      conditions.push(filters.assignee ? 'incidents.assignee = ?' : 'incidents.assignee IS NULL');
+      if (filters.assignee) params.push(filters.assignee);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // The window count rides along with the page, so only a page past the end
+    // and the unfiltered total need a separate count.
+    const rows = await queryWorker.all<IncidentRow & { total: number }>(`
+      SELECT ${INCIDENT_COLUMNS}, COUNT(*) OVER () AS total
+      FROM ${INCIDENT_JOIN}
+      ${where}
+      GROUP BY incidents.id
+      ORDER BY last_seen DESC, incidents.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, pageSize, (page - 1) * pageSize]);
+    const total = rows.length > 0 ? Number(rows[0].total) : page > 1 ? await countIncidents(where, params) : 0;
+    const unfilteredTotal = where ? await countIncidents('', []) : total;
+    const data = rows.map(toIncidentSummary);
+    return {
+      data,
+      pagination: {
+        page,
+        page_size: pageSize,
+        total,
+        total_pages: Math.ceil(total / pageSize),
+        unfiltered_total: unfilteredTotal,
+      },
+      selectable_ids: data.map((incident) => incident.id),
+      settings: getSettings(),
+    };
+  }
+
+  async function countIncidents(where: string, params: unknown[]): Promise<number> {
+    const row = await queryWorker.get<{ count: number }>(`SELECT COUNT(DISTINCT incidents.id) AS count FROM ${INCIDENT_JOIN} ${where}`, params);
+    return Number(row?.count) || 0;
+  }
+
+  async function readIncident(id: number): Promise<IncidentRow | null> {
+    return (await queryWorker.get<IncidentRow | undefined>(`
+      SELECT ${INCIDENT_COLUMNS}
+      FROM ${INCIDENT_JOIN}
+      WHERE incidents.id = ?
+      GROUP BY incidents.id
+    `, [id])) || null;
+  }
+
+  function readIncidentSources(id: number): Promise<Array<{ instance_id: string; value: string; scope: string | null }>> {
+    return queryWorker.all(`
+      SELECT DISTINCT alerts.instance_id, COALESCE(NULLIF(alerts.source_value, ''), alerts.source_ip) AS value, alerts.source_scope AS scope
+      FROM ${INCIDENT_JOIN}
+      WHERE incidents.id = ? AND COALESCE(NULLIF(alerts.source_value, ''), alerts.source_ip) IS NOT NULL
+      ORDER BY value ASC
+    `, [id]);
+  }
+
+  async function get(id: number): Promise<IncidentDetailRecord | null> {
+    const row = await readIncident(id);
+    if (!row) return null;
+    const [alertRows, sources] = await Promise.all([
+      queryWorker.all<NormalizedAlertRow>(`
+        SELECT ${ALERT_RECORD_COLUMNS}
+        FROM alerts
+        WHERE (instance_id, upstream_id) IN (SELECT instance_id, upstream_id FROM incident_alerts WHERE incident_id = ?)
+        ORDER BY created_at DESC, id DESC
+        LIMIT ?
+      `, [id, INCIDENT_ALERT_LIMIT + 1]),
+      readIncidentSources(id),
+    ]);
+    return {
+      incident: toIncidentSummary(row),
+      sources: Array.from(new Set(sources.map((source) => source.value))),
+      alertRows: alertRows.slice(0, INCIDENT_ALERT_LIMIT),
+      alertsTruncated: alertRows.length > INCIDENT_ALERT_LIMIT,
+    };
+  }
+
+  async function update(
+    id: number,
+    input: UpdateIncidentRequest | null,
+    updatedBy: string | null,
+  ): Promise<IncidentSummary | { error: string; status: 400 | 404 }> {
+    if (!input || (input.status === undefined && input.assignee === undefined)) {
+      return { error: 'status or assignee is required', status: 400 };
+    }
+    if (input.status !== undefined && !TRIAGE_STATUSES.includes(input.status)) {
+      return { error: `status must be one of: ${TRIAGE_STATUSES.join(', ')}`, status: 400 };
+    }
+    if (input.assignee !== undefined && input.assignee !== null && typeof input.assignee !== 'string') {
+      return { error: 'assignee must be a username or null', status: 400 };
+    }
+    const assignee = typeof input.assignee === 'string' ? input.assignee.trim() || null : input.assignee;
+    if (assignee && assignee.length > INCIDENT_ASSIGNEE_MAX_LENGTH) {
+      return { error: `assignee is limited to ${INCIDENT_ASSIGNEE_MAX_LENGTH} characters`, status: 400 };
+    }
+
+    const updated = await writeDatabase(() => database.updateIncident(id, {
+      status: input.status,
+      assignee,
+      updatedAt: new Date().toISOString(),
+      updatedBy,
+    }));
+    const row = updated ? await readIncident(id) : null;
+    return row ? toIncidentSummary(row) : { error: 'Incident not found', status: 404 };
+  }
+
+  async function listSources(id: number): Promise<Array<{ instance_id: string; value: string; scope: string }> | null> {
+    if (!await readIncident(id)) return null;
+    return (await readIncidentSources(id)).map((source) => ({
+      instance_id: source.instance_id,
+      value: source.value,
+      scope: (source.scope || '').toLowerCase() === 'range' || source.value.includes('/') ? 'range' : 'ip',
+    }));
+  }
+}
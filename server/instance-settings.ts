@@ -0,0 +1,289 @@
+import {
+  INSTANCE_SYNC_OVERRIDE_KEYS,
+  type ConfigSecretValue,
+  type InstanceConnectionTestResponse,
+  type InstanceConnectionTestStep,
+  type InstanceLapiAuthSettings,
+  type InstanceMetricsAuthSettings,
+  type InstanceMetricsSettings,
+  type InstanceSettings,
+  type InstancesSettingsResponse,
+  type UpdateInstancesSettingsRequest,
+  type UpdateInstancesSettingsResponse,
+} from '../shared/contracts';
+import { readApplicationConfig, saveApplicationConfigInstances } from './config-file';
+import { parseInstancesConfig, type CrowdsecInstanceConfig } from './instances-config';
+import type { LapiClient } from './lapi';
+import { fetchCrowdsecMetrics, type FetchCrowdsecMetricsOptions } from './metrics';
+import { STORED_SECRET_SENTINEL } from './notifications/providers';
+
+// The sample query only proves that alerts can be read; it is not a sync.
+const CONNECTION_TEST_ALERT_WINDOW = '1h';
+
+type UnknownRecord = Record<string, unknown>;
+
+export interface InstanceSettingsServiceOptions {
+  source: { file: string; env: NodeJS.ProcessEnv };
+  createClient: (instance: CrowdsecInstanceConfig) => LapiClient;
+  metricsFetchImpl?: FetchCrowdsecMetricsOptions['fetchImpl'];
+  metricsTimeoutMs: number;
+  /** Hot-applies validated instances that were already saved; reports whether a restart is still needed. */
+  applyInstances: (instances: CrowdsecInstanceConfig[]) => Promise<{ restartRequired: boolean }>;
+}
+
+export interface InstanceSettingsService {
+  getSettings(): InstancesSettingsResponse;
+  updateSettings(input: UpdateInstancesSettingsRequest): Promise<UpdateInstancesSettingsResponse | { error: string }>;
+  testConnection(input: InstanceSettings): Promise<InstanceConnectionTestResponse | { error: string }>;
+}
+
+function asRecord(value: unknown): UnknownRecord {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value as UnknownRecord : {};
+}
+
+function text(value: unknown): string {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+function compact(value: UnknownRecord): UnknownRecord | undefined {
+  const entries = Object.entries(value).filter(([, item]) => item !== undefined && item !== '');
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+function redactSecret(value: unknown): ConfigSecretValue {
+  if (typeof value === 'string') return value ? STORED_SECRET_SENTINEL : '';
+  const reference = asRecord(value);
+  if (typeof reference.env === 'string') return { env: reference.env };
+  if (typeof reference.file === 'string') return { file: reference.file };
+  return '';
+}
+
+function restoreSecret(value: unknown, saved: unknown): unknown {
+  return value === STORED_SECRET_SENTINEL || value === '' || value === undefined ? saved : value;
+}
+
+function toTlsSettings(value: unknown): InstanceMetricsSettings['tls'] {
+  const tls = asRecord(value);
+  return compact({ caFile: tls.caFile, certFile: tls.certFile, keyFile: tls.keyFile }) as InstanceMetricsSettings['tls'];
+}
+
+// Mirrors the type inference of parseInstancesConfig for entries written without an explicit type.
+function toLapiAuthSettings(value: unknown): InstanceLapiAuthSettings {
+  const auth = asRecord(value);
+  const type = auth.type ?? (auth.certFile !== undefined || auth.keyFile !== undefined
+    ? 'mtls'
+    : auth.username !== undefined || auth.password !== undefined ? 'password' : 'none');
+  if (type === 'password') return { type, username: text(auth.username), password: redactSecret(auth.password) };
+  if (type === 'mtls') return { type, certFile: text(auth.certFile), keyFile: text(auth.keyFile) };
+  return { type: 'none' };
+}
+
+function toMetricsAuthSettings(value: unknown): InstanceMetricsAuthSettings {
+  const auth = asRecord(value);
+  const type = auth.type ?? (auth.token !== undefined
+    ? 'bearer'
+    : auth.username !== undefined || auth.password !== undefined ? 'basic' : 'none');
+  if (type === 'basic') return { type, username: text(auth.username), password: redactSecret(auth.password) };
+  if (type === 'bearer') return { type, token: redactSecret(auth.token) };
+  return { type: 'none' };
+}
+
+function toInstanceSettings(raw: unknown, index: number): InstanceSettings {
+  const entry = asRecord(raw);
+  const lapi = asRecord(entry.lapi);
+  const sync = asRecord(entry.sync);
+  const lapiTls = compact({ caFile: asRecord(lapi.tls).caFile });
+  return {
+    id: entry.id === undefined ? String(index) : text(entry.id),
+    name: entry.name === undefined ? `Instance ${index}` : text(entry.name),
+    ...(entry.icon !== undefined ? { icon: text(entry.icon) } : {}),
+    lapi: {
+      url: text(lapi.url),
+      auth: toLapiAuthSettings(lapi.auth),
+      ...(lapiTls ? { tls: { caFile: text(lapiTls.caFile) } } : {}),
+    },
+    metrics: (Array.isArray(entry.metrics) ? entry.metrics : []).map((rawEndpoint: unknown, endpointIndex: number) => {
+      const endpoint = asRecord(rawEndpoint);
+      const tls = toTlsSettings(endpoint.tls);
+      return {
+        id: endpoint.id === undefined ? String(endpointIndex) : text(endpoint.id),
+        name: endpoint.name === undefined ? `Metrics ${endpointIndex}` : text(endpoint.name),
+        url: text(endpoint.url),
+        auth: toMetricsAuthSettings(endpoint.auth),
+        ...(tls ? { tls } : {}),
+        ...(endpoint.requestTimeout !== undefined ? { requestTimeout: text(endpoint.requestTimeout) } : {}),
+      };
+    }),
+    sync: Object.fromEntries(INSTANCE_SYNC_OVERRIDE_KEYS
+      .filter((key) => sync[key] !== undefined)
+      .map((key) => [key, sync[key] as string | number | boolean])),
+  };
+}
+
+function toLapiAuthEntry(value: unknown, saved: unknown): UnknownRecord {
+  const auth = asRecord(value);
+  const savedAuth = asRecord(saved);
+  if (auth.type === 'password') {
+    return { type: 'password', username: auth.username, password: restoreSecret(auth.password, savedAuth.password) };
+  }
+  if (auth.type === 'mtls') return { type: 'mtls', certFile: auth.certFile, keyFile: auth.keyFile };
+  return { type: auth.type ?? 'none' };
+}
+
+function toMetricsAuthEntry(value: unknown, saved: unknown): UnknownRecord {
+  const auth = asRecord(value);
+  const savedAuth = asRecord(saved);
+  if (auth.type === 'basic') {
+    return { type: 'basic', username: auth.username, password: restoreSecret(auth.password, savedAuth.password) };
+  }
+  if (auth.type === 'bearer') return { type: 'bearer', token: restoreSecret(auth.token, savedAuth.token) };
+  return { type: auth.type ?? 'none' };
+}
+
+function toSyncEntry(value: unknown, label: string): UnknownRecord | undefined {
+  const sync = asRecord(value);
+  const unsupported = Object.keys(sync).find((key) => !(INSTANCE_SYNC_OVERRIDE_KEYS as readonly string[]).includes(key));
+  if (unsupported) throw new Error(`Configuration error: ${label}.sync.${unsupported} is not a supported sync override.`);
+  return compact(Object.fromEntries(INSTANCE_SYNC_OVERRIDE_KEYS.map((key) => [
+    key,
+    typeof sync[key] === 'string' ? (sync[key] as string).trim() : sync[key],
+  ])));
+}
+
+/**
+ * Converts settings back into an `instances:` entry. Secrets sent back as
+ * "(stored)" or left empty keep the saved entry's value, matched by instance
+ * and metrics endpoint ID.
+ */
+function toConfigEntry(value: unknown, index: number, saved: Map<string, UnknownRecord>): UnknownRecord {
+  const entry = asRecord(value);
+  const savedEntry = saved.get(text(entry.id)) || {};
+  const savedLapi = asRecord(savedEntry.lapi);
+  const savedMetrics = Array.isArray(savedEntry.metrics) ? savedEntry.metrics.map(asRecord) : [];
+  const label = `instances[${index}]`;
+  if (entry.metrics !== undefined && !Array.isArray(entry.metrics)) {
+    throw new Error(`Configuration error: ${label}.metrics must be an array.`);
+  }
+  const lapi = asRecord(entry.lapi);
+  const metrics = Array.isArray(entry.metrics) ? entry.metrics.map(asRecord) : [];
+  return {
+    id: entry.id,
+    name: entry.name,
+    ...compact({
+      icon: entry.icon,
+      lapi: compact({
+        url: lapi.url,
+        auth: toLapiAuthEntry(lapi.auth, savedLapi.auth),
+        tls: compact({ caFile: asRecord(lapi.tls).caFile }),
+      }),
+      metrics: metrics.length > 0
+        ? metrics.map((endpoint) => compact({
+            id: endpoint.id,
+            name: endpoint.name,
+            url: endpoint.url,
+            auth: toMetricsAuthEntry(endpoint.auth, asRecord(savedMetrics.find((candidate) => text(candidate.id) === text(endpoint.id))?.auth)),
+            tls: toTlsSettings(endpoint.tls),
+            requestTimeout: endpoint.requestTimeout,
+          }))
+        : undefined,
+      sync: toSyncEntry(entry.sync, label),
+    }),
+  };
+}
+
+async function runStep(operation: () => Promise<Partial<InstanceConnectionTestStep> | void>): Promise<Omit<InstanceConnectionTestStep, 'step'>> {
+  const startedAt = Date.now();
+  try {
+    const result = await operation();
+    return { ...(result || {}), success: true, duration_ms: Date.now() - startedAt };
+  } catch (error) {
+    return { success: false, duration_ms: Date.now() - startedAt, error: errorMessage(error) };
+  }
+}
+
+export function createInstanceSettingsService(options: InstanceSettingsServiceOptions): InstanceSettingsService {
+  const { source, createClient, metricsFetchImpl, metricsTimeoutMs, applyInstances } = options;
+
+  return {
+    getSettings,
+    updateSettings,
+    testConnection,
+  };
+
+  function readSavedEntries(): unknown[] {
+    const root = asRecord(readApplicationConfig(source.file));
+    return Array.isArray(root.instances) ? root.instances : [];
+  }
+
+  function readSavedEntriesById(): Map<string, UnknownRecord> {
+    return new Map(readSavedEntries().map((raw, index) => {
+      const entry = asRecord(raw);
+      return [entry.id === undefined ? String(index) : text(entry.id), entry];
+    }));
+  }
+
+  function getSettings(): InstancesSettingsResponse {
+    return { instances: readSavedEntries().map(toInstanceSettings), config_file: source.file };
+  }
+
+  async function updateSettings(input: UpdateInstancesSettingsRequest): Promise<UpdateInstancesSettingsResponse | { error: string }> {
+    if (!Array.isArray(input?.instances)) return { error: 'instances must be a list of instances' };
+    const saved = readSavedEntriesById();
+    let entries: UnknownRecord[];
+    let instances: CrowdsecInstanceConfig[];
+    try {
+      entries = input.instances.map((entry, index) => toConfigEntry(entry, index, saved));
+      instances = parseInstancesConfig({ instances: entries }, source.env);
+    } catch (error) {
+      return { error: errorMessage(error) };
+    }
+    saveApplicationConfigInstances(source.file, entries);
+    const { restartRequired } = await applyInstances(instances);
+    return { ...getSettings(), restart_required: restartRequired };
+  }
+
+  async function testConnection(input: InstanceSettings): Promise<InstanceConnectionTestResponse | { error: string }> {
+    let instance: CrowdsecInstanceConfig;
+    try {
+      [instance] = parseInstancesConfig({ instances: [toConfigEntry(input, 0, readSavedEntriesById())] }, source.env);
+    } catch (error) {
+      return { error: errorMessage(error) };
+    }
+
+    const client = createClient(instance);
+    const steps: InstanceConnectionTestStep[] = [];
+    try {
+      const login = await runStep(async () => {
+        if (!await client.login(`connection test: ${instance.name}`)) {
+          throw new Error(client.getStatus().lastError || 'Authentication failed');
+        }
+      });
+      steps.push({ step: 'login', ...login });
+      steps.push(login.success
+        ? { step: 'alerts', ...await runStep(async () => ({ alerts: (await client.fetchAlerts(CONNECTION_TEST_ALERT_WINDOW)).length })) }
+        : { step: 'alerts', success: false, skipped: true, duration_ms: 0 });
+      for (const endpoint of instance.prometheus) {
+        steps.push({
+          step: 'metrics',
+          target: endpoint.id,
+          ...await runStep(async () => {
+            await fetchCrowdsecMetrics({
+              url: endpoint.url,
+              timeoutMs: endpoint.requestTimeoutMs || metricsTimeoutMs,
+              auth: endpoint.auth,
+              tls: endpoint.tls,
+              fetchImpl: metricsFetchImpl,
+            });
+          }),
+        });
+      }
+    } finally {
+      await client.close().catch(() => undefined);
+    }
+    return { success: steps.every((step) => step.success), steps };
+  }
+}
@@ -202,7 +202,7 @@ function parseLapiAuth(value: unknown, env: NodeJS.ProcessEnv, label: string): {
   throw new Error(`Configuration error: ${label}.type must be none, password, or mtls.`);
 }
 
-function parsePrometheusAuth(value: unknown, env: NodeJS.ProcessEnv, label: string): PrometheusAuthConfig {
+export function parsePrometheusAuth(value: unknown, env: NodeJS.ProcessEnv, label: string): PrometheusAuthConfig {
   if (value === undefined) return { type: 'none' };
   const input = record(value, label);
   const hasBasicCredentials = input.username !== undefined || input.password !== undefined;
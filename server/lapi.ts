@@ -1,7 +1,7 @@
 import fs from 'node:fs';
 import os from 'node:os';
 import { Agent, fetch as undiciFetch, type Dispatcher } from 'undici';
-import type { LapiStatus } from '../shared/contracts';
+import type { DecisionScope, LapiStatus } from '../shared/contracts';
 import type { CrowdsecAuthConfig } from './auth';
 
 export type LapiRequestInit = RequestInit & {
@@ -121,18 +121,62 @@ function detectMachineInfo(): MachineInfo {
   };
 }
 
+export interface ReplacementDecision {
+  value: string;
+  scope: string;
+  type: string;
+  duration: string;
+  scenario: string;
+  origin: string;
+  simulated: boolean;
+  source?: Record<string, unknown>;
+}
+
+export interface PropagatedDecisionInput {
+  value: string;
+  scope: string;
+  type: string;
+  duration: string;
+}
+
+// Copies pushed to peer instances carry their own scenario, so they are never
+// picked up again as sources for automatic mirroring.
+export const PROPAGATED_DECISION_SCENARIO = 'manual/web-ui-propagate';
+export const INCIDENT_DECISION_SCENARIO = 'manual/web-ui-incident';
+
+export interface AllowlistItemInput {
+  value: string;
+  description?: string;
+  expiration?: string;
+}
+
+function createTlsDispatcher(auth: CrowdsecAuthConfig, tls: LapiClientOptions['tls']): Dispatcher | undefined {
+  const certFile = tls?.certFile || (auth.mode === 'mtls' ? auth.certPath : undefined);
+  const keyFile = tls?.keyFile || (auth.mode === 'mtls' ? auth.keyPath : undefined);
+  const caFile = tls?.caFile || (auth.mode === 'mtls' ? auth.caCertPath : undefined);
+  return certFile || keyFile || caFile
+    ? new Agent({
+        connect: {
+          ...(keyFile ? { key: fs.readFileSync(keyFile) } : {}),
+          ...(certFile ? { cert: fs.readFileSync(certFile) } : {}),
+          ...(caFile ? { ca: fs.readFileSync(caFile) } : {}),
+        },
+      })
+    : undefined;
+}
+
 export class LapiClient {
-  private readonly crowdsecUrl: string;
-  private readonly auth: CrowdsecAuthConfig;
+  private crowdsecUrl: string;
+  private auth: CrowdsecAuthConfig;
   private readonly simulationsEnabled: boolean;
   private readonly version: string;
   private readonly machineInfo: MachineInfo;
   private readonly startupTimestamp: number;
-  private readonly requestTimeoutMs: number;
+  private requestTimeoutMs: number;
   private readonly fetchImpl: FetchLike;
-  private readonly dispatcher?: Dispatcher;
+  private dispatcher?: Dispatcher;
 
-  public readonly lookbackPeriod: string;
+  public lookbackPeriod: string;
   private requestToken: string | null = null;
   private loginPromise: Promise<boolean> | null = null;
   private readonly lapiStatus: LapiStatus = {
@@ -156,19 +200,27 @@ export class LapiClient {
         input as Parameters<typeof undiciFetch>[0],
         init as Parameters<typeof undiciFetch>[1],
       ) as unknown as Promise<Response>);
-    const tls = options.tls;
-    const certFile = tls?.certFile || (this.auth.mode === 'mtls' ? this.auth.certPath : undefined);
-    const keyFile = tls?.keyFile || (this.auth.mode === 'mtls' ? this.auth.keyPath : undefined);
-    const caFile = tls?.caFile || (this.auth.mode === 'mtls' ? this.auth.caCertPath : undefined);
-    this.dispatcher = certFile || keyFile || caFile
-      ? new Agent({
-          connect: {
-            ...(keyFile ? { key: fs.readFileSync(keyFile) } : {}),
-            ...(certFile ? { cert: fs.readFileSync(certFile) } : {}),
-            ...(caFile ? { ca: fs.readFileSync(caFile) } : {}),
-          },
-        })
-      : undefined;
+    this.dispatcher = createTlsDispatcher(this.auth, options.tls);
+  }
+
+  /**
+   * Points the client at a changed LAPI connection without losing its status
+   * history. The current token belongs to the old connection and is dropped.
+   */
+  reconfigure(options: Pick<LapiClientOptions, 'crowdsecUrl' | 'auth' | 'lookbackPeriod' | 'requestTimeoutMs' | 'tls'>): void {
+    const dispatcher = createTlsDispatcher(options.auth, options.tls);
+    void this.dispatcher?.close().catch(() => undefined);
+    this.crowdsecUrl = options.crowdsecUrl;
+    this.auth = options.auth;
+    this.lookbackPeriod = options.lookbackPeriod;
+    this.requestTimeoutMs = options.requestTimeoutMs || 30_000;
+    this.dispatcher = dispatcher;
+    this.requestToken = null;
+  }
+
+  /** Releases the TLS connection pool of a client that is no longer used. */
+  async close(): Promise<void> {
+    await this.dispatcher?.close();
   }
 
   updateStatus(isConnected: boolean, error: { message?: string } | null = null): void {
@@ -417,7 +469,13 @@ export class LapiClient {
     return response.data;
   }
 
-  async addDecision(ip: string, type: string, duration: string, reason = 'Manual decision from Web UI'): Promise<unknown> {
+  async addDecision(
+    value: string,
+    type: string,
+    duration: string,
+    reason = 'Manual decision from Web UI',
+    scope: DecisionScope = 'ip',
+  ): Promise<unknown> {
     const now = new Date().toISOString();
     const payload = [
       {
@@ -434,17 +492,191 @@ export class LapiClient {
         scenario_hash: '',
         scenario_version: '',
         source: {
-          scope: 'ip',
-          value: ip,
+          scope,
+          value,
         },
         decisions: [
           {
             type,
             duration,
-            value: ip,
+            value,
             origin: 'cscli',
             scenario: 'manual/web-ui',
-            scope: 'ip',
+            scope,
+          },
+        ],
+      },
+    ];
+
+    const response = await this.fetchLapi('/v1/alerts', {
+      method: 'POST',
+      body: payload,
+    });
+
+    return response.data;
+  }
+
+  async addDecisions(
+    entries: Array<{ value: string; scope: DecisionScope }>,
+    type: string,
+    duration: string,
+    reason = 'Blocklist import from Web UI',
+  ): Promise<unknown> {
+    const now = new Date().toISOString();
+    const payload = [
+      {
+        scenario: 'manual/web-ui-import',
+        campaign_name: 'manual/web-ui-import',
+        message: `Blocklist import from Web UI: ${reason}`,
+        events_count: entries.length,
+        start_at: now,
+        stop_at: now,
+        capacity: 0,
+        leakspeed: '0',
+        simulated: false,
+        events: [],
+        scenario_hash: '',
+        scenario_version: '',
+        source: {
+          scope: 'web-ui/import',
+          value: `${entries.length} values`,
+        },
+        decisions: entries.map((entry) => ({
+          type,
+          duration,
+          value: entry.value,
+          origin: 'cscli',
+          scenario: 'manual/web-ui-import',
+          scope: entry.scope,
+        })),
+      },
+    ];
+
+    const response = await this.fetchLapi('/v1/alerts', {
+      method: 'POST',
+      body: payload,
+    });
+
+    return response.data;
+  }
+
+  async addPropagatedDecisions(entries: PropagatedDecisionInput[], reason: string): Promise<unknown> {
+    const now = new Date().toISOString();
+    const payload = [
+      {
+        scenario: PROPAGATED_DECISION_SCENARIO,
+        campaign_name: PROPAGATED_DECISION_SCENARIO,
+        message: `Propagated from Web UI: ${reason}`,
+        events_count: entries.length,
+        start_at: now,
+        stop_at: now,
+        capacity: 0,
+        leakspeed: '0',
+        simulated: false,
+        events: [],
+        scenario_hash: '',
+        scenario_version: '',
+        source: {
+          scope: 'web-ui/propagate',
+          value: `${entries.length} values`,
+        },
+        decisions: entries.map((entry) => ({
+          type: entry.type,
+          duration: entry.duration,
+          value: entry.value,
+          origin: 'cscli',
+          scenario: PROPAGATED_DECISION_SCENARIO,
+          scope: entry.scope,
+        })),
+      },
+    ];
+
+    const response = await this.fetchLapi('/v1/alerts', {
+      method: 'POST',
+      body: payload,
+    });
+
+    return response.data;
+  }
+
+  async addIncidentDecisions(
+    incidentId: number,
+    entries: Array<{ value: string; scope: DecisionScope }>,
+    type: string,
+    duration: string,
+    reason: string,
+  ): Promise<unknown> {
+    const now = new Date().toISOString();
+    const payload = [
+      {
+        scenario: INCIDENT_DECISION_SCENARIO,
+        campaign_name: INCIDENT_DECISION_SCENARIO,
+        message: `Incident #${incidentId} from Web UI: ${reason}`,
+        events_count: entries.length,
+        start_at: now,
+        stop_at: now,
+        capacity: 0,
+        leakspeed: '0',
+        simulated: false,
+        events: [],
+        scenario_hash: '',
+        scenario_version: '',
+        source: {
+          scope: 'web-ui/incident',
+          value: `${entries.length} values`,
+        },
+        decisions: entries.map((entry) => ({
+          type,
+          duration,
+          value: entry.value,
+          origin: 'cscli',
+          scenario: INCIDENT_DECISION_SCENARIO,
+          scope: entry.scope,
+        })),
+      },
+    ];
+
+    const response = await this.fetchLapi('/v1/alerts', {
+      method: 'POST',
+      body: payload,
+    });
+
+    return response.data;
+  }
+
+  // LAPI has no update endpoint, so an edit posts a replacement alert that keeps the original
+  // scenario, origin, and simulation mode. The caller deletes the old decision once the replacement
+  // is accepted, and deletes the returned alert again if that fails.
+  async addReplacementDecision(decisionId: string | number, replacement: ReplacementDecision): Promise<unknown> {
+    const now = new Date().toISOString();
+    const payload = [
+      {
+        scenario: replacement.scenario,
+        campaign_name: replacement.scenario,
+        message: `Decision ${decisionId} edited from Web UI`,
+        events_count: 1,
+        start_at: now,
+        stop_at: now,
+        capacity: 0,
+        leakspeed: '0',
+        simulated: replacement.simulated,
+        events: [],
+        scenario_hash: '',
+        scenario_version: '',
+        source: {
+          ...replacement.source,
+          scope: replacement.scope,
+          value: replacement.value,
+        },
+        decisions: [
+          {
+            type: replacement.type,
+            duration: replacement.duration,
+            value: replacement.value,
+            origin: replacement.origin,
+            scenario: replacement.scenario,
+            scope: replacement.scope,
+            simulated: replacement.simulated,
           },
         ],
       },
@@ -463,6 +695,40 @@ export class LapiClient {
     return response.data;
   }
 
+  async getAllowlists(): Promise<unknown> {
+    const response = await this.fetchLapi('/v1/allowlists?with_content=true');
+    return response.data;
+  }
+
+  async createAllowlist(name: string, description = ''): Promise<unknown> {
+    const response = await this.fetchLapi('/v1/allowlists', {
+      method: 'POST',
+      body: { name, description },
+    });
+    return response.data;
+  }
+
+  async deleteAllowlist(name: string): Promise<unknown> {
+    const response = await this.fetchLapi(`/v1/allowlists/${encodeURIComponent(name)}`, { method: 'DELETE' });
+    return response.data;
+  }
+
+  async addAllowlistItems(name: string, items: AllowlistItemInput[]): Promise<unknown> {
+    const response = await this.fetchLapi(`/v1/allowlists/${encodeURIComponent(name)}/items`, {
+      method: 'POST',
+      body: { items },
+    });
+    return response.data;
+  }
+
+  async removeAllowlistItems(name: string, values: string[]): Promise<unknown> {
+    const response = await this.fetchLapi(`/v1/allowlists/${encodeURIComponent(name)}/items`, {
+      method: 'DELETE',
+      body: { values },
+    });
+    return response.data;
+  }
+
   async deleteAlert(alertId: string | number): Promise<unknown> {
     const response = await this.fetchLapi(`/v1/alerts/${alertId}`, { method: 'DELETE' });
     return response.data;
@@ -0,0 +1,88 @@
+import type { DecisionListItem, LiveClientMessage, LiveStream, SlimAlert } from '../shared/contracts';
+
+// Beyond this many changed rows (a bootstrap or full resync) subscribers are
+// told to reload instead of receiving the rows.
+export const LIVE_CHANGE_LIMIT = 5_000;
+export const LIVE_ROWS_LIMIT = 200;
+const LIVE_FILTER_MAX_LENGTH = 2_000;
+
+const LIVE_STREAMS = new Set<LiveStream>(['alerts', 'decisions']);
+
+/** Upstream alert and decision IDs written by sync since the last cache update, per instance. */
+export interface LiveChangeSet {
+  alerts: Map<string, Set<string>>;
+  decisions: Map<string, Set<string>>;
+  size: number;
+  truncated: boolean;
+}
+
+export type LiveQueryResult =
+  | { rows: SlimAlert[]; truncated: boolean }
+  | { rows: DecisionListItem[]; truncated: boolean };
+
+export type LiveQuery = (changes: LiveChangeSet) => Promise<LiveQueryResult>;
+
+export function createLiveChangeSet(): LiveChangeSet {
+  return { alerts: new Map(), decisions: new Map(), size: 0, truncated: false };
+}
+
+export function recordLiveChanges(
+  changes: LiveChangeSet,
+  stream: LiveStream,
+  instanceId: string,
+  upstreamIds: Iterable<string | number>,
+): void {
+  if (changes.truncated) return;
+  const byInstance = changes[stream];
+  const ids = byInstance.get(instanceId) || new Set<string>();
+  byInstance.set(instanceId, ids);
+  for (const id of upstreamIds) {
+    const key = String(id);
+    if (ids.has(key)) continue;
+    if (changes.size >= LIVE_CHANGE_LIMIT) {
+      changes.truncated = true;
+      changes.alerts.clear();
+      changes.decisions.clear();
+      return;
+    }
+    ids.add(key);
+    changes.size += 1;
+  }
+}
+
+export function getLiveChangeKeys(changes: LiveChangeSet, stream: LiveStream): Array<[string, string]> {
+  const keys: Array<[string, string]> = [];
+  for (const [instanceId, ids] of changes[stream]) {
+    for (const id of ids) keys.push([instanceId, id]);
+  }
+  return keys;
+}
+
+export function parseLiveClientMessage(raw: string): LiveClientMessage | { error: string; stream: LiveStream | null } {
+  let message: unknown;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return { error: 'Message must be JSON', stream: null };
+  }
+  if (!message || typeof message !== 'object') return { error: 'Message must be an object', stream: null };
+  const { type, stream, filters } = message as Record<string, unknown>;
+  if (!LIVE_STREAMS.has(stream as LiveStream)) return { error: 'stream must be alerts or decisions', stream: null };
+  const liveStream = stream as LiveStream;
+  if (type === 'unsubscribe') return { type, stream: liveStream };
+  if (type !== 'subscribe') return { error: 'type must be subscribe or unsubscribe', stream: liveStream };
+
+  const values: Record<string, string> = {};
+  if (filters !== undefined) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      return { error: 'filters must be an object', stream: liveStream };
+    }
+    for (const [key, value] of Object.entries(filters)) {
+      if (typeof value !== 'string' || value.length > LIVE_FILTER_MAX_LENGTH) {
+        return { error: `filters.${key} must be a string`, stream: liveStream };
+      }
+      values[key] = value;
+    }
+  }
+  return { type, stream: liveStream, filters: values };
+}
@@ -0,0 +1,78 @@
+import crypto from 'node:crypto';
+import type { PrometheusAuthConfig } from './instances-config';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export interface MetricFamily {
+  name: string;
+  help: string;
+  type: 'gauge' | 'counter';
+  samples: Array<{ labels?: Record<string, string>; value: number }>;
+}
+
+function escapeHelp(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Renders metric families in the Prometheus text exposition format.
+ * Families without samples still emit HELP and TYPE so dashboards can
+ * discover them before the first value appears.
+ */
+export function renderPrometheusText(families: readonly MetricFamily[]): string {
+  const lines: string[] = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels || {})
+        .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+        .join(',');
+      lines.push(`${family.name}${labels ? `{${labels}}` : ''} ${formatValue(sample.value)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function safeEqual(actual: string, expected: string): boolean {
+  const actualDigest = crypto.createHash('sha256').update(actual).digest();
+  const expectedDigest = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(actualDigest, expectedDigest);
+}
+
+export function isMetricsRequestAuthorized(authorization: string | undefined, auth: PrometheusAuthConfig): boolean {
+  if (auth.type === 'none' || !authorization) return false;
+  const match = authorization.match(/^(\S+)\s+(.+)$/);
+  if (!match) return false;
+  const scheme = match[1].toLowerCase();
+  const credentials = match[2].trim();
+
+  if (auth.type === 'bearer') {
+    return scheme === 'bearer' && safeEqual(credentials, auth.token);
+  }
+  if (scheme !== 'basic') return false;
+  const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator < 0) return false;
+  // Compare both parts so a wrong username costs the same as a wrong password.
+  const usernameMatches = safeEqual(decoded.slice(0, separator), auth.username);
+  const passwordMatches = safeEqual(decoded.slice(separator + 1), auth.password);
+  return usernameMatches && passwordMatches;
+}
+
+export function toTimestampSeconds(value: string | null | undefined): number | null {
+  if (!value) return null;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed / 1_000 : null;
+}
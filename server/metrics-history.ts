@@ -0,0 +1,161 @@
+import type {
+  CrowdsecMetricsHistoryPoint,
+  CrowdsecMetricsHistoryRange,
+  CrowdsecMetricsResponse,
+} from '../shared/contracts';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const METRICS_HISTORY_RETENTION_MS = 7 * 24 * HOUR_MS;
+
+export const METRICS_HISTORY_RANGE_WINDOWS: Record<CrowdsecMetricsHistoryRange, { durationMs: number; stepMs: number }> = {
+  '1h': { durationMs: HOUR_MS, stepMs: 60 * 1000 },
+  '6h': { durationMs: 6 * HOUR_MS, stepMs: 5 * 60 * 1000 },
+  '24h': { durationMs: 24 * HOUR_MS, stepMs: 15 * 60 * 1000 },
+  '7d': { durationMs: 7 * 24 * HOUR_MS, stepMs: 2 * HOUR_MS },
+};
+
+/** Raw cumulative counters kept for every scrape; rates are derived on read. */
+export interface MetricsHistoryCounters {
+  linesRead: number;
+  parsed: number;
+  parseFailures: number;
+  bucketPours: number;
+  appsecRequests: number;
+  appsecBlocked: number;
+  bouncers: Record<string, number>;
+  lapiRoutes: Record<string, { requests: number; seconds: number }>;
+}
+
+export interface MetricsHistorySample {
+  scrapedAt: string;
+  counters: MetricsHistoryCounters;
+}
+
+interface MetricsHistoryBucket {
+  seconds: number;
+  linesRead: number;
+  parsed: number;
+  parseFailures: number;
+  bucketPours: number;
+  appsecRequests: number;
+  appsecBlocked: number;
+  bouncers: Map<string, { seconds: number; requests: number }>;
+  lapiRoutes: Map<string, { requests: number; seconds: number }>;
+}
+
+export function toMetricsHistoryCounters(metrics: CrowdsecMetricsResponse): MetricsHistoryCounters {
+  const { totals } = metrics;
+  return {
+    linesRead: totals.linesRead ?? totals.parserProcessed,
+    parsed: totals.parserProcessed || totals.parserOk + totals.parserKo,
+    parseFailures: totals.parserKo,
+    bucketPours: totals.bucketPoured,
+    appsecRequests: totals.appsecRequests,
+    appsecBlocked: totals.appsecBlocked,
+    bouncers: Object.fromEntries(metrics.bouncers.map((bouncer) => [bouncer.name, bouncer.requests])),
+    lapiRoutes: Object.fromEntries((metrics.lapiRoutes || []).map((route) => [
+      `${route.method} ${route.route}`,
+      { requests: route.requests, seconds: (route.averageSeconds ?? 0) * route.requests },
+    ])),
+  };
+}
+
+/**
+ * Prometheus counters restart from zero when CrowdSec restarts, so a drop is
+ * read as a reset and the current value is the increase since that restart.
+ */
+function counterIncrease(previous: number, current: number): number {
+  return current >= previous ? current - previous : current;
+}
+
+function createBucket(): MetricsHistoryBucket {
+  return {
+    seconds: 0,
+    linesRead: 0,
+    parsed: 0,
+    parseFailures: 0,
+    bucketPours: 0,
+    appsecRequests: 0,
+    appsecBlocked: 0,
+    bouncers: new Map(),
+    lapiRoutes: new Map(),
+  };
+}
+
+function addSamplePair(bucket: MetricsHistoryBucket, previous: MetricsHistoryCounters, current: MetricsHistoryCounters, seconds: number): void {
+  bucket.seconds += seconds;
+  bucket.linesRead += counterIncrease(previous.linesRead, current.linesRead);
+  bucket.parsed += counterIncrease(previous.parsed, current.parsed);
+  bucket.parseFailures += counterIncrease(previous.parseFailures, current.parseFailures);
+  bucket.bucketPours += counterIncrease(previous.bucketPours, current.bucketPours);
+  bucket.appsecRequests += counterIncrease(previous.appsecRequests, current.appsecRequests);
+  bucket.appsecBlocked += counterIncrease(previous.appsecBlocked, current.appsecBlocked);
+
+  // Per-bouncer and per-route lists are capped, so a key that only just entered
+  // the list has no usable baseline and is skipped for this pair.
+  for (const [name, requests] of Object.entries(current.bouncers)) {
+    const previousRequests = previous.bouncers[name];
+    if (previousRequests === undefined) continue;
+    const entry = bucket.bouncers.get(name) || { seconds: 0, requests: 0 };
+    entry.seconds += seconds;
+    entry.requests += counterIncrease(previousRequests, requests);
+    bucket.bouncers.set(name, entry);
+  }
+
+  for (const [route, totals] of Object.entries(current.lapiRoutes)) {
+    const previousTotals = previous.lapiRoutes[route];
+    if (!previousTotals) continue;
+    const reset = totals.requests < previousTotals.requests;
+    const entry = bucket.lapiRoutes.get(route) || { requests: 0, seconds: 0 };
+    entry.requests += reset ? totals.requests : totals.requests - previousTotals.requests;
+    entry.seconds += reset ? totals.seconds : Math.max(0, totals.seconds - previousTotals.seconds);
+    bucket.lapiRoutes.set(route, entry);
+  }
+}
+
+function ratio(numerator: number, denominator: number): number | null {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Turns stored cumulative scrapes into per-bucket rates. Each scrape pair is
+ * attributed to the bucket its later scrape falls in, and rates divide the summed
+ * increases by the summed elapsed time so uneven scrape spacing averages out.
+ */
+export function buildMetricsHistoryPoints(
+  samples: MetricsHistorySample[],
+  range: CrowdsecMetricsHistoryRange,
+  nowMs: number,
+): CrowdsecMetricsHistoryPoint[] {
+  const { durationMs, stepMs } = METRICS_HISTORY_RANGE_WINDOWS[range];
+  const endMs = Math.floor(nowMs / stepMs) * stepMs + stepMs;
+  const startMs = endMs - durationMs;
+  const buckets = Array.from({ length: Math.round(durationMs / stepMs) }, createBucket);
+  const ordered = samples
+    .map((sample) => ({ time: Date.parse(sample.scrapedAt), counters: sample.counters }))
+    .filter((sample) => Number.isFinite(sample.time))
+    .sort((left, right) => left.time - right.time);
+
+  for (let index = 1; index < ordered.length; index += 1) {
+    const previous = ordered[index - 1];
+    const current = ordered[index];
+    const bucketIndex = Math.floor((current.time - startMs) / stepMs);
+    if (bucketIndex < 0 || bucketIndex >= buckets.length || current.time <= previous.time) continue;
+    addSamplePair(buckets[bucketIndex], previous.counters, current.counters, (current.time - previous.time) / 1000);
+  }
+
+  return buckets.map((bucket, index) => ({
+    time: new Date(startMs + index * stepMs).toISOString(),
+    linesPerSecond: ratio(bucket.linesRead, bucket.seconds),
+    parseFailureRate: ratio(bucket.parseFailures, bucket.parsed),
+    bucketPoursPerSecond: ratio(bucket.bucketPours, bucket.seconds),
+    appsecBlockRate: ratio(bucket.appsecBlocked, bucket.appsecRequests),
+    bouncerRequestsPerSecond: Object.fromEntries(Array.from(bucket.bouncers.entries())
+      .filter(([, entry]) => entry.seconds > 0)
+      .map(([name, entry]) => [name, entry.requests / entry.seconds])),
+    lapiRouteLatencySeconds: Object.fromEntries(Array.from(bucket.lapiRoutes.entries())
+      .filter(([, entry]) => entry.requests > 0)
+      .map(([route, entry]) => [route, entry.seconds / entry.requests])),
+  }));
+}
@@ -498,6 +498,7 @@ export function summarizeCrowdsecMetrics(samples: PrometheusSample[]): CrowdsecM
   const parserProcessed = metric(samples, 'cs_parser_hits_total').reduce((sum, sample) => sum + sample.value, 0);
   const parserTimingCount = metric(samples, 'cs_parsing_time_seconds_count').reduce((sum, sample) => sum + sample.value, 0);
   const parserTimingSum = metric(samples, 'cs_parsing_time_seconds_sum').reduce((sum, sample) => sum + sample.value, 0);
+  const acquisitionSamples = ACQUISITION_SOURCE_METRICS.flatMap((acquisitionMetric) => metric(samples, acquisitionMetric.name));
 
   const bouncers = aggregateApiEntities(
     metric(samples, 'cs_lapi_bouncer_requests_total'),
@@ -521,6 +522,8 @@ export function summarizeCrowdsecMetrics(samples: PrometheusSample[]): CrowdsecM
       parserKo,
       parserSuccessRate: successRate(parserOk, parserKo, parserProcessed),
       parserAverageSeconds: parserTimingCount > 0 ? parserTimingSum / parserTimingCount : null,
+      linesRead: acquisitionSamples.length > 0 ? acquisitionSamples.reduce((sum, sample) => sum + sample.value, 0) : null,
+      bucketPoured: metric(samples, 'cs_bucket_poured_total').reduce((sum, sample) => sum + sample.value, 0),
       whitelistHits: whitelists.reduce((sum, whitelist) => sum + whitelist.hits, 0),
       whitelisted: whitelists.reduce((sum, whitelist) => sum + whitelist.whitelisted, 0),
     },
@@ -1,5 +1,6 @@
 import crypto from 'node:crypto';
 import type { AlertDecision, AlertRecord, AlertSource } from '../shared/contracts';
+import { parseGeoEnrichedFields } from './geoip';
 
 export type NormalizedAlertRow = {
   id: string | number;
@@ -31,6 +32,7 @@ export type NormalizedAlertRow = {
   target?: string | null;
   meta_search?: string | null;
   simulated?: number | boolean | null;
+  geo_enriched?: string | null;
   extra_data?: string | null;
   metadata_hash?: string | null;
 };
@@ -43,7 +45,7 @@ const NORMALIZED_ALERT_KEYS = new Set([
 
 const NORMALIZED_SOURCE_KEYS = new Set([
   'ip', 'value', 'cn', 'as_name', 'as_number', 'scope', 'latitude',
-  'longitude', 'city', 'region', 'range',
+  'longitude', 'city', 'region', 'range', 'geo_enriched',
 ]);
 
 export const ALERT_RECORD_COLUMNS = [
@@ -51,7 +53,7 @@ export const ALERT_RECORD_COLUMNS = [
   'source_ip', 'source_value', 'source_scope', 'source_range', 'source_as_number',
   'source_extra_data', 'message', 'machine_id', 'machine_alias', 'events_count',
   'latitude', 'longitude', 'country', 'region', 'city', 'as_name', 'target',
-  'meta_search', 'simulated', 'extra_data', 'metadata_hash',
+  'meta_search', 'simulated', 'geo_enriched', 'extra_data', 'metadata_hash',
 ].join(', ');
 
 export type NormalizedDecisionRow = {
@@ -76,6 +78,7 @@ export type NormalizedDecisionRow = {
   target?: string | null;
   machine?: string | null;
   simulated?: number | boolean | null;
+  geo_enriched?: string | null;
   extra_data?: string | null;
 };
 
@@ -100,6 +103,7 @@ const NORMALIZED_DECISION_KEYS = new Set([
   'target',
   'machine',
   'simulated',
+  'geo_enriched',
   'expired',
   'is_duplicate',
 ]);
@@ -126,6 +130,7 @@ export const DECISION_RECORD_COLUMNS = [
   'target',
   'machine',
   'simulated',
+  'geo_enriched',
   'extra_data',
 ].join(', ');
 
@@ -195,6 +200,7 @@ export function alertFromRow(row: NormalizedAlertRow): AlertRecord {
   assignDefined(source, 'region', row.region);
   assignDefined(source, 'city', row.city);
   assignDefined(source, 'as_name', row.as_name);
+  if (row.geo_enriched) source.geo_enriched = parseGeoEnrichedFields(row.geo_enriched);
   if (Object.keys(source).length > 0) alert.source = source;
   return alert;
 }
@@ -244,6 +250,7 @@ export function decisionFromRow(row: NormalizedDecisionRow): AlertDecision & Rec
   assignDefined(decision, 'as', row.as_name);
   assignDefined(decision, 'target', row.target);
   assignDefined(decision, 'machine', row.machine);
+  if (row.geo_enriched) decision.geo_enriched = parseGeoEnrichedFields(row.geo_enriched);
   return decision;
 }
 
@@ -1,42 +1,73 @@
 import { isIP } from 'node:net';
-import type {
-  AlertDecision,
-  AlertMetaValue,
-  AlertSpikeRuleConfig,
-  ApplicationUpdateRuleConfig,
-  AlertRecord,
-  AlertThresholdRuleConfig,
-  IpBanRuleConfig,
-  LapiAvailabilityRuleConfig,
-  LapiStatus,
-  NewAlertDecisionRuleConfig,
-  NewCveRuleConfig,
-  NotificationChannel,
-  NotificationChannelType,
-  NotificationDeliveryResult,
-  NotificationFilter,
-  NotificationItem,
-  NotificationListResponse,
-  NotificationRule,
-  NotificationRuleConfig,
-  NotificationRuleType,
-  NotificationSeverity,
-  NotificationSettingsResponse,
-  UpsertNotificationChannelRequest,
-  UpsertNotificationRuleRequest,
+import {
+  ALERT_ANOMALY_DIMENSIONS,
+  type AlertAnomalyDimension,
+  type AlertAnomalyRuleConfig,
+  type AlertDecision,
+  type AlertMetaValue,
+  type AlertSpikeRuleConfig,
+  type ApplicationUpdateRuleConfig,
+  type AlertRecord,
+  type AlertThresholdRuleConfig,
+  type DashboardStatsResponse,
+  type IpBanRuleConfig,
+  type LapiAvailabilityRuleConfig,
+  type LapiStatus,
+  type NewAlertDecisionRuleConfig,
+  type NewCveRuleConfig,
+  type NotificationChannel,
+  type NotificationChannelType,
+  type NotificationDeliveryResult,
+  type NotificationFilter,
+  type NotificationItem,
+  type NotificationListResponse,
+  type NotificationReport,
+  type NotificationRule,
+  type NotificationRuleConfig,
+  type NotificationRuleType,
+  type NotificationSeverity,
+  type NotificationSettingsResponse,
+  type SearchThresholdRuleConfig,
+  type TableColumnPreferenceTable,
+  type UpsertNotificationChannelRequest,
+  type UpsertNotificationReportRequest,
+  type UpsertNotificationRuleRequest,
 } from '../shared/contracts';
-import { CrowdsecDatabase } from './database';
+import { compileAlertSearch, compileDecisionSearch } from '../shared/search';
+import { CrowdsecDatabase, type SavedSearchRow } from './database';
 import type { MqttPublishConfig } from './notifications/mqtt-client';
 import {
   getNotificationProvider,
+  getNotificationProviderTypes,
   type NotificationProviderPayload,
 } from './notifications/providers';
 import type { NotificationOutboundGuard } from './notifications/outbound-guard';
 import type { NotificationSecretStore } from './notifications/secret-store';
+import {
+  getQuietHoursEnd,
+  normalizeDigestInput,
+  normalizeEscalationInput,
+  normalizeQuietHoursInput,
+  parseChannelDeliveryOptions,
+  parseRuleDeliveryOptions,
+} from './notifications/schedule';
+import {
+  getLatestReportRun,
+  getNextReportRun,
+  getReportPeriods,
+  normalizeReportScheduleInput,
+  renderReport,
+  summarizeReportStats,
+  type ReportPeriod,
+  type ReportStatsQuery,
+} from './notifications/report';
+import type { SmtpAttachment } from './smtp';
 import type { UpdateChecker } from './update-check';
 import { getServerTranslator, type Translator } from './i18n';
 import type { TimeFormat } from './config';
 import { formatDateTime } from './utils/date-time';
+import { toSlimAlert } from './utils/alerts';
+import { toDecisionListItem } from './utils/decisions';
 import {
   ALERT_RECORD_COLUMNS,
   DECISION_RECORD_COLUMNS,
@@ -47,10 +78,35 @@ import {
 } from './normalized-record';
 import type { DatabaseQueryWorker } from './query-worker-client';
 import type { DatabaseWrite } from './sync-worker-client';
+import { withBackupEntry, type BackupApplyOptions, type BackupPayload } from './backup';
 
 type FetchLike = (input: string | URL | Request, init?: RequestInit) => Promise<Response>;
 type RuleConfigInput = NotificationRuleConfig | Record<string, AlertMetaValue>;
 
+const SEARCH_FEATURES = { machineEnabled: true, originEnabled: true };
+const DIGEST_MAX_LISTED_NOTIFICATIONS = 20;
+const SEVERITY_RANK: Record<NotificationSeverity, number> = { info: 0, warning: 1, critical: 2 };
+// Search rules decide about simulation themselves (for example with `-sim:true`).
+const SEARCH_RULE_FILTERS: NotificationFilter = { include_simulated: true };
+const WEEK_MS = 7 * 24 * 60 * 60_000;
+const ANOMALY_MAX_WINDOW_MINUTES = 24 * 60;
+const ANOMALY_MAX_BASELINE_WEEKS = 12;
+const ANOMALY_DIMENSION_COLUMNS: Record<AlertAnomalyDimension, { value: string; label: string | null }> = {
+  country: { value: 'country', label: 'country_name' },
+  scenario: { value: 'scenario', label: null },
+  as: { value: 'source_as_number', label: 'as_name' },
+  target: { value: 'target', label: null },
+  instance: { value: 'instance_id', label: null },
+};
+// Alerts that age out of the sync lookback are only kept as hourly statistics
+// rollups, which have no target or AS number column.
+const ANOMALY_ROLLUP_COLUMNS: Partial<Record<AlertAnomalyDimension, string>> = {
+  country: 'country',
+  scenario: 'scenario',
+  instance: 'instance_id',
+};
+const HOUR_MS = 60 * 60_000;
+
 export interface NotificationServiceOptions {
   database: CrowdsecDatabase;
   queryWorker?: Pick<DatabaseQueryWorker, 'all' | 'get'>;
@@ -67,6 +123,10 @@ export interface NotificationServiceOptions {
   timeFormat?: TimeFormat;
   instanceAware?: boolean;
   instances?: ReadonlyArray<{ id: string; name: string }>;
+  /** Builds the dashboard statistics a scheduled report summarizes; reports cannot be sent without it. */
+  buildReportStats?: (query: ReportStatsQuery) => Promise<DashboardStatsResponse>;
+  /** How long alerts stay cached before cleanup folds them into the statistics rollups. */
+  alertRetentionMs?: number;
 }
 
 interface NotificationCandidate {
@@ -76,6 +136,19 @@ interface NotificationCandidate {
   metadata: Record<string, AlertMetaValue>;
   incidentStartedAt?: string;
   severity?: NotificationSeverity;
+  html?: string;
+  attachments?: SmtpAttachment[];
+}
+
+interface DimensionCount {
+  count: number;
+  label: string | null;
+  instances: Set<string>;
+}
+
+interface StoredNotificationReport extends NotificationReport {
+  /** Scheduled run the report last handled; runs at or before it are not sent again. */
+  last_run_at: string | null;
 }
 
 interface NotificationIncidentState {
@@ -88,7 +161,19 @@ interface NotificationIncidentState {
 interface NotificationDeliveryRuleContext {
   id: string;
   name: string;
-  type: NotificationRuleType | 'test';
+  type: NotificationRuleType | 'test' | 'report';
+}
+
+interface QueuedNotificationDelivery {
+  notificationId: string;
+  queuedAt: string;
+  releaseAt: string;
+  rule: NotificationDeliveryRuleContext;
+  severity: NotificationSeverity;
+  title: string;
+  message: string;
+  metadata: Record<string, AlertMetaValue>;
+  deliveries: NotificationDeliveryResult[];
 }
 
 interface NotificationDeliveryError extends Error {
@@ -106,6 +191,11 @@ export interface NotificationService {
   createRule: (input: UpsertNotificationRuleRequest) => Promise<NotificationRule>;
   updateRule: (id: string, input: UpsertNotificationRuleRequest) => Promise<NotificationRule>;
   deleteRule: (id: string) => Promise<void>;
+  createReport: (input: UpsertNotificationReportRequest) => Promise<NotificationReport>;
+  updateReport: (id: string, input: UpsertNotificationReportRequest) => Promise<NotificationReport>;
+  deleteReport: (id: string) => Promise<void>;
+  sendReport: (id: string, now?: Date) => Promise<NotificationReport>;
+  sendDueReports: (now?: Date) => Promise<void>;
   deleteNotification: (id: string) => Promise<boolean>;
   deleteNotifications: (ids: string[]) => Promise<number>;
   deleteReadNotifications: () => Promise<number>;
@@ -114,6 +204,8 @@ export interface NotificationService {
   markAllNotificationsRead: () => Promise<number>;
   testChannel: (id: string) => Promise<void>;
   evaluateRules: (now?: Date) => Promise<void>;
+  exportBackup: (includeSecrets: boolean) => Pick<BackupPayload, 'notification_channels' | 'notification_rules' | 'notification_reports'>;
+  applyBackup: (payload: BackupPayload, options: BackupApplyOptions) => void;
 }
 
 export function createNotificationService(options: NotificationServiceOptions): NotificationService {
@@ -131,9 +223,17 @@ export function createNotificationService(options: NotificationServiceOptions):
   const outboundGuard = options.outboundGuard;
   const secretStore = options.secretStore;
   const debugPayloads = options.debugPayloads === true;
+  const alertRetentionMs = options.alertRetentionMs;
   const instanceAware = options.instanceAware === true;
-  const instanceNames = new Map((options.instances || []).map((instance) => [instance.id, instance.name]));
-  const instanceOrder = new Map((options.instances || []).map((instance, index) => [instance.id, index]));
+  // Looked up on use because instances can be renamed, added or reordered from Settings.
+  const configuredInstances = options.instances || [];
+  const instanceName = (instanceId: string): string | undefined => configuredInstances.find((instance) => instance.id === instanceId)?.name;
+  const instanceOrder = (instanceId: string): number => {
+    const index = configuredInstances.findIndex((instance) => instance.id === instanceId);
+    return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+  };
+  const defaultTimeZone = options.timeZone || 'UTC';
+  const buildReportStats = options.buildReportStats;
 
   return {
     listSettings,
@@ -144,6 +244,11 @@ export function createNotificationService(options: NotificationServiceOptions):
     createRule,
     updateRule,
     deleteRule,
+    createReport,
+    updateReport,
+    deleteReport,
+    sendReport,
+    sendDueReports,
     deleteNotification,
     deleteNotifications,
     deleteReadNotifications,
@@ -152,10 +257,12 @@ export function createNotificationService(options: NotificationServiceOptions):
     markAllNotificationsRead,
     testChannel,
     evaluateRules,
+    exportBackup,
+    applyBackup,
   };
 
   function listSettings(): NotificationSettingsResponse {
-    return { channels: loadChannels(true), rules: loadRules() };
+    return { channels: loadChannels(true), rules: loadRules(), reports: loadReports().map(toPublicReport) };
   }
 
   function listNotifications(page = 1, pageSize = 50): NotificationListResponse {
@@ -213,15 +320,26 @@ export function createNotificationService(options: NotificationServiceOptions):
       database.deleteNotificationChannel(id);
 
       for (const rule of loadRules()) {
-        if (!rule.channel_ids.includes(id)) {
+        if (!rule.channel_ids.includes(id) && rule.escalation?.channel_id !== id) {
           continue;
         }
         saveRule({
           ...rule,
           channel_ids: rule.channel_ids.filter((value) => value !== id),
+          escalation: rule.escalation?.channel_id === id ? null : rule.escalation,
           updated_at: new Date().toISOString(),
         });
       }
+
+      for (const report of loadReports()) {
+        if (report.channel_ids.includes(id)) {
+          saveReport({
+            ...report,
+            channel_ids: report.channel_ids.filter((value) => value !== id),
+            updated_at: new Date().toISOString(),
+          });
+        }
+      }
     });
   }
 
@@ -255,6 +373,193 @@ export function createNotificationService(options: NotificationServiceOptions):
     });
   }
 
+  async function createReport(input: UpsertNotificationReportRequest): Promise<NotificationReport> {
+    const now = new Date().toISOString();
+    const report = normalizeReportInput(input, null, crypto.randomUUID(), now);
+    await writeDatabase(() => saveReport(report));
+    return toPublicReport(report);
+  }
+
+  async function updateReport(id: string, input: UpsertNotificationReportRequest): Promise<NotificationReport> {
+    const existing = getStoredReport(id);
+    if (!existing) {
+      throw new Error('Notification report not found');
+    }
+
+    const report = normalizeReportInput(input, existing, id, existing.created_at);
+    await writeDatabase(() => saveReport(report));
+    return toPublicReport(report);
+  }
+
+  async function deleteReport(id: string): Promise<void> {
+    await writeDatabase(() => database.deleteNotificationReport(id));
+  }
+
+  function exportBackup(includeSecrets: boolean): Pick<BackupPayload, 'notification_channels' | 'notification_rules' | 'notification_reports'> {
+    return {
+      notification_channels: loadChannels(!includeSecrets).map((channel) => ({
+        id: channel.id,
+        name: channel.name,
+        type: channel.type,
+        enabled: channel.enabled,
+        config: channel.config,
+        quiet_hours: channel.quiet_hours,
+        digest: channel.digest,
+      })),
+      notification_rules: loadRules().map(({ created_at: _createdAt, updated_at: _updatedAt, ...rule }) => rule),
+      notification_reports: loadReports().map((report) => ({
+        id: report.id,
+        name: report.name,
+        enabled: report.enabled,
+        frequency: report.frequency,
+        send_time: report.send_time,
+        time_zone: report.time_zone,
+        instance_id: report.instance_id,
+        channel_ids: report.channel_ids,
+      })),
+    };
+  }
+
+  /**
+   * Restores destinations, rules and reports from a backup. Runs synchronously
+   * inside the caller's transaction. Masked secrets keep the stored value, the
+   * same way they do when a destination is edited in the UI.
+   */
+  function applyBackup(payload: BackupPayload, options: BackupApplyOptions): void {
+    const now = new Date().toISOString();
+    if (options.mode === 'replace') {
+      const reportIds = new Set(payload.notification_reports.map((report) => report.id));
+      const ruleIds = new Set(payload.notification_rules.map((rule) => rule.id));
+      const channelIds = new Set(payload.notification_channels.map((channel) => channel.id));
+      for (const report of loadReports()) {
+        if (!reportIds.has(report.id)) database.deleteNotificationReport(report.id);
+      }
+      for (const rule of loadRules()) {
+        if (ruleIds.has(rule.id)) continue;
+        database.deleteNotificationIncidentsByRule(rule.id);
+        database.deleteNotificationRule(rule.id);
+      }
+      for (const channel of loadChannels(false)) {
+        if (!channelIds.has(channel.id)) database.deleteNotificationChannel(channel.id);
+      }
+    }
+
+    for (const entry of payload.notification_channels) {
+      withBackupEntry('Notification destination', entry.name, () => {
+        const existing = getStoredChannel(entry.id);
+        saveChannel(normalizeChannelInput(entry, existing, entry.id, existing?.created_at ?? now));
+      });
+    }
+    for (const entry of payload.notification_rules) {
+      withBackupEntry('Notification rule', entry.name, () => {
+        const existing = getStoredRule(entry.id);
+        const rule = normalizeRuleInput(entry, existing, entry.id, existing?.created_at ?? now);
+        saveRule(rule);
+        if (existing && shouldResetIncidentState(existing, rule)) {
+          database.deleteNotificationIncidentsByRule(rule.id);
+        }
+      });
+    }
+    for (const entry of payload.notification_reports) {
+      withBackupEntry('Notification report', entry.name, () => {
+        const existing = getStoredReport(entry.id);
+        saveReport(normalizeReportInput(entry, existing, entry.id, existing?.created_at ?? now));
+      });
+    }
+  }
+
+  /** Sends the report for the most recently completed period right away, without moving its schedule. */
+  async function sendReport(id: string, now = new Date()): Promise<NotificationReport> {
+    const existing = getStoredReport(id);
+    if (!existing) {
+      throw new Error('Notification report not found');
+    }
+
+    const report = await deliverReport(existing, getLatestReportRun(existing, now), existing.last_run_at);
+    if (report.last_error) {
+      throw new Error(report.last_error);
+    }
+    return toPublicReport(report);
+  }
+
+  async function sendDueReports(now = new Date()): Promise<void> {
+    for (const report of loadReports()) {
+      if (!report.enabled) continue;
+      const run = getLatestReportRun(report, now);
+      // Runs that were due before the report was created or last handled are not caught up on.
+      if (run.getTime() <= Date.parse(report.last_run_at || report.created_at)) continue;
+      await deliverReport(report, run, run.toISOString());
+    }
+  }
+
+  async function deliverReport(
+    report: StoredNotificationReport,
+    run: Date,
+    lastRunAt: string | null,
+  ): Promise<StoredNotificationReport> {
+    const t = getServerTranslator(database);
+    let lastSentAt = report.last_sent_at;
+    let lastError: string | null = null;
+    try {
+      if (!buildReportStats) {
+        throw new Error('Scheduled reports are not available');
+      }
+      const channels = report.channel_ids
+        .map((channelId) => getStoredChannel(channelId))
+        .filter((channel): channel is NotificationChannel => channel !== null && channel.enabled);
+      if (channels.length === 0) {
+        throw new Error('The report has no enabled email destination');
+      }
+
+      const periods = getReportPeriods(report, run);
+      const loadStats = (period: ReportPeriod) => buildReportStats({
+        instanceId: report.instance_id,
+        dateStart: period.start,
+        dateEnd: period.end,
+        timeZone: report.time_zone,
+      });
+      const current = await loadStats(periods.current);
+      const previous = await loadStats(periods.previous);
+      const rendered = renderReport({
+        name: report.name,
+        scope: report.instance_id === 'all'
+          ? t('server.reports.allInstances')
+          : instanceName(report.instance_id) || report.instance_id,
+        timeZone: report.time_zone,
+        period: periods.current,
+        previousPeriod: periods.previous,
+        generatedAt: formatDateTime(new Date(), report.time_zone, options.timeFormat ?? 'browser'),
+        ...summarizeReportStats(current, previous),
+      }, t);
+
+      const failures: string[] = [];
+      for (const channel of channels) {
+        const result = await sendToChannel(channel, {
+          title: rendered.subject,
+          message: rendered.text,
+          metadata: { kind: 'report', report_id: report.id },
+          dedupeKey: `report:${report.id}:${periods.current.start}`,
+          html: rendered.html,
+          attachments: [{ filename: rendered.filename, contentType: 'text/csv; charset=utf-8', content: rendered.csv }],
+        }, 'info', { id: report.id, name: report.name, type: 'report' });
+        if (result.status === 'failed') {
+          failures.push(`${channel.name}: ${result.error || 'Unknown error'}`);
+        }
+      }
+      if (failures.length < channels.length) {
+        lastSentAt = new Date().toISOString();
+      }
+      lastError = failures.length > 0 ? failures.join('; ') : null;
+    } catch (error) {
+      lastError = error instanceof Error ? error.message : 'Unknown error';
+      console.warn(`Scheduled report "${report.name}" failed: ${lastError}`);
+    }
+
+    const next = { ...report, last_run_at: lastRunAt, last_sent_at: lastSentAt, last_error: lastError };
+    await writeDatabase(() => saveReport(next));
+    return next;
+  }
+
   function deleteNotification(id: string): Promise<boolean> {
     return writeDatabase(() => database.deleteNotification(id));
   }
@@ -308,10 +613,15 @@ export function createNotificationService(options: NotificationServiceOptions):
 
   async function evaluateRules(now = new Date()): Promise<void> {
     const rules = loadRules().filter((rule) => rule.enabled);
-    if (rules.length === 0) {
-      return;
+    if (rules.length > 0) {
+      await evaluateEnabledRules(rules, now);
     }
+    // Held deliveries and escalations fall due with time, even once their rule has been disabled.
+    await sendDueEscalations(now);
+    await flushDeliveryQueue(now);
+  }
 
+  async function evaluateEnabledRules(rules: NotificationRule[], now: Date): Promise<void> {
     const activeChannels = loadChannels(false).filter((channel) => channel.enabled);
     const timestamp = now.toISOString();
     const t = getServerTranslator(database);
@@ -344,16 +654,33 @@ export function createNotificationService(options: NotificationServiceOptions):
           continue;
         }
 
+        const notificationId = crypto.randomUUID();
         const deliveries: NotificationDeliveryResult[] = [];
+        const queuedDeliveries: Array<{ channelId: string; releaseAt: Date }> = [];
         const candidateSeverity = candidate.severity || rule.severity;
         for (const channel of activeChannels.filter((item) => rule.channel_ids.includes(item.id))) {
+          const releaseAt = getDeliveryReleaseAt(rule, channel, now);
+          if (releaseAt) {
+            queuedDeliveries.push({ channelId: channel.id, releaseAt });
+            deliveries.push({
+              channel_id: channel.id,
+              channel_name: channel.name,
+              channel_type: channel.type,
+              status: 'queued',
+              attempted_at: timestamp,
+            });
+            continue;
+          }
           deliveries.push(await sendToChannel(channel, candidate, candidateSeverity, rule));
         }
 
+        const escalateAt = rule.escalation && candidateSeverity === 'critical'
+          ? new Date(now.getTime() + rule.escalation.after_minutes * 60_000).toISOString()
+          : null;
         const incidentStartedAt = candidate.incidentStartedAt || timestamp;
         await writeDatabase(() => {
           database.insertNotification({
-            $id: crypto.randomUUID(),
+            $id: notificationId,
             $created_at: timestamp,
             $updated_at: timestamp,
             $rule_id: rule.id,
@@ -366,7 +693,17 @@ export function createNotificationService(options: NotificationServiceOptions):
             $metadata_json: JSON.stringify(candidate.metadata),
             $deliveries_json: JSON.stringify(deliveries),
             $dedupe_key: candidate.dedupeKey,
+            $escalation_channel_id: escalateAt ? rule.escalation?.channel_id : null,
+            $escalate_at: escalateAt,
           });
+          for (const queued of queuedDeliveries) {
+            database.enqueueNotificationDelivery({
+              $notification_id: notificationId,
+              $channel_id: queued.channelId,
+              $queued_at: timestamp,
+              $release_at: queued.releaseAt.toISOString(),
+            });
+          }
           database.upsertNotificationIncident({
             $rule_id: rule.id,
             $incident_key: candidate.dedupeKey,
@@ -379,6 +716,127 @@ export function createNotificationService(options: NotificationServiceOptions):
     }
   }
 
+  async function sendDueEscalations(now: Date): Promise<void> {
+    const rows = database.listDueNotificationEscalations(now.toISOString());
+    if (rows.length === 0) {
+      return;
+    }
+
+    const channels = new Map(loadChannels(false).map((channel) => [channel.id, channel]));
+    const t = getServerTranslator(database);
+    for (const row of rows) {
+      const deliveries = parseJsonArray<NotificationDeliveryResult>(row.deliveries_json);
+      const channel = channels.get(String(row.escalation_channel_id));
+      // Escalations skip the destination's quiet hours and digest: they are the "wake someone up" path.
+      if (channel?.enabled) {
+        const minutes = Math.round((Date.parse(String(row.escalate_at)) - Date.parse(String(row.created_at))) / 60_000);
+        const result = await sendToChannel(channel, {
+          dedupeKey: `escalation:${row.id}`,
+          title: t('server.notifications.escalation.title', { title: String(row.title) }),
+          message: t('server.notifications.escalation.message', { message: String(row.message), minutes }),
+          metadata: parseJsonRecord(row.metadata_json),
+        }, normalizeSeverity(row.severity), {
+          id: String(row.rule_id),
+          name: String(row.rule_name),
+          type: normalizeRuleType(row.rule_type),
+        });
+        deliveries.push({ ...result, escalation: true });
+      }
+      await writeDatabase(() => database.markNotificationEscalated(String(row.id), now.toISOString(), JSON.stringify(deliveries)));
+    }
+  }
+
+  async function flushDeliveryQueue(now: Date): Promise<void> {
+    await writeDatabase(() => database.pruneNotificationDeliveryQueue());
+    const queue = new Map<string, QueuedNotificationDelivery[]>();
+    for (const row of database.listQueuedNotificationDeliveries()) {
+      const channelId = String(row.channel_id);
+      const entries = queue.get(channelId) || [];
+      entries.push({
+        notificationId: String(row.notification_id),
+        queuedAt: String(row.queued_at),
+        releaseAt: String(row.release_at),
+        rule: { id: String(row.rule_id), name: String(row.rule_name), type: normalizeRuleType(row.rule_type) },
+        severity: normalizeSeverity(row.severity),
+        title: String(row.title),
+        message: String(row.message),
+        metadata: parseJsonRecord(row.metadata_json),
+        deliveries: parseJsonArray<NotificationDeliveryResult>(row.deliveries_json),
+      });
+      queue.set(channelId, entries);
+    }
+    if (queue.size === 0) {
+      return;
+    }
+
+    const channels = new Map(loadChannels(false).map((channel) => [channel.id, channel]));
+    const timestamp = now.toISOString();
+    const t = getServerTranslator(database);
+    for (const [channelId, entries] of queue) {
+      const channel = channels.get(channelId);
+      if (!channel) {
+        continue;
+      }
+
+      let result: NotificationDeliveryResult;
+      let sent = entries;
+      if (!channel.enabled) {
+        result = {
+          channel_id: channel.id,
+          channel_name: channel.name,
+          channel_type: channel.type,
+          status: 'skipped',
+          attempted_at: timestamp,
+          error: 'Destination was disabled before the held notification was sent',
+        };
+      } else {
+        if (getQuietHoursEnd(channel.quiet_hours, now)) {
+          continue;
+        }
+        sent = entries.filter((entry) => Date.parse(entry.releaseAt) <= now.getTime());
+        if (sent.length === 0) {
+          continue;
+        }
+        if (channel.digest && Date.parse(sent[0].queuedAt) + channel.digest.interval_minutes * 60_000 > now.getTime()) {
+          continue;
+        }
+        const [first] = sent;
+        result = sent.length === 1
+          ? await sendToChannel(channel, { dedupeKey: first.notificationId, ...first }, first.severity, first.rule)
+          : await sendToChannel(channel, buildDigestCandidate(sent, t), getHighestSeverity(sent));
+      }
+
+      await writeDatabase(() => {
+        for (const entry of sent) {
+          const deliveries = entry.deliveries.map((delivery) => (
+            delivery.channel_id === channel.id && delivery.status === 'queued' ? result : delivery
+          ));
+          database.updateNotificationDeliveries(entry.notificationId, JSON.stringify(deliveries));
+          database.deleteQueuedNotificationDelivery(entry.notificationId, channel.id);
+        }
+      });
+    }
+  }
+
+  function buildDigestCandidate(entries: QueuedNotificationDelivery[], t: Translator): NotificationCandidate {
+    const lines = entries
+      .slice(0, DIGEST_MAX_LISTED_NOTIFICATIONS)
+      .map((entry) => `- ${entry.title}`);
+    if (entries.length > DIGEST_MAX_LISTED_NOTIFICATIONS) {
+      lines.push(t('server.notifications.digest.more', { count: entries.length - DIGEST_MAX_LISTED_NOTIFICATIONS }));
+    }
+    return {
+      dedupeKey: `digest:${entries[0].notificationId}`,
+      title: t('server.notifications.digest.title', { count: entries.length }),
+      message: lines.join('\n'),
+      metadata: {
+        kind: 'digest',
+        notification_count: entries.length,
+        notification_ids: entries.map((entry) => entry.notificationId),
+      },
+    };
+  }
+
   function dedupeCandidates(candidates: NotificationCandidate[]): NotificationCandidate[] {
     const seenKeys = new Set<string>();
     return candidates.filter((candidate) => {
@@ -411,6 +869,15 @@ export function createNotificationService(options: NotificationServiceOptions):
     return database.listNotificationRules().map(hydrateRule);
   }
 
+  function getStoredReport(id: string): StoredNotificationReport | null {
+    const row = database.getNotificationReportById(id);
+    return row ? hydrateReport(row) : null;
+  }
+
+  function loadReports(): StoredNotificationReport[] {
+    return database.listNotificationReports().map(hydrateReport);
+  }
+
   function loadActiveIncidents(ruleId: string): Map<string, NotificationIncidentState> {
     return new Map(
       database
@@ -436,6 +903,7 @@ export function createNotificationService(options: NotificationServiceOptions):
     type?: string;
     enabled?: number;
     config_json?: string;
+    delivery_json?: string;
   }): NotificationChannel {
     const type = normalizeChannelType(row.type);
     const provider = getNotificationProvider(type);
@@ -452,6 +920,7 @@ export function createNotificationService(options: NotificationServiceOptions):
       enabled: row.enabled === 1,
       config,
       configured_secrets: configuredSecrets,
+      ...parseChannelDeliveryOptions(row.delivery_json),
       created_at: String(row.created_at),
       updated_at: String(row.updated_at),
     };
@@ -467,6 +936,7 @@ export function createNotificationService(options: NotificationServiceOptions):
     severity?: string;
     channel_ids_json?: string;
     config_json?: string;
+    delivery_json?: string;
   }): NotificationRule {
     const type = normalizeRuleType(row.type);
     return {
@@ -477,6 +947,39 @@ export function createNotificationService(options: NotificationServiceOptions):
       severity: normalizeSeverity(row.severity),
       channel_ids: parseJsonArray<string>(row.channel_ids_json).filter((value): value is string => typeof value === 'string'),
       config: normalizeRuleConfig(type, parseJsonRecord(row.config_json)),
+      ...parseRuleDeliveryOptions(row.delivery_json),
+      created_at: String(row.created_at),
+      updated_at: String(row.updated_at),
+    };
+  }
+
+  function hydrateReport(row: {
+    id?: string;
+    created_at?: string;
+    updated_at?: string;
+    name?: string;
+    enabled?: number;
+    frequency?: string;
+    send_time?: string;
+    time_zone?: string;
+    instance_id?: string;
+    channel_ids_json?: string;
+    last_run_at?: string | null;
+    last_sent_at?: string | null;
+    last_error?: string | null;
+  }): StoredNotificationReport {
+    const schedule = normalizeReportScheduleInput(row, defaultTimeZone);
+    return {
+      id: String(row.id),
+      name: String(row.name),
+      enabled: row.enabled === 1,
+      ...schedule,
+      instance_id: String(row.instance_id || 'all'),
+      channel_ids: parseJsonArray<string>(row.channel_ids_json).filter((value): value is string => typeof value === 'string'),
+      last_run_at: row.last_run_at ?? null,
+      last_sent_at: row.last_sent_at ?? null,
+      last_error: row.last_error ?? null,
+      next_run_at: getNextReportRun(schedule, new Date()).toISOString(),
       created_at: String(row.created_at),
       updated_at: String(row.updated_at),
     };
@@ -492,6 +995,7 @@ export function createNotificationService(options: NotificationServiceOptions):
       $type: channel.type,
       $enabled: channel.enabled ? 1 : 0,
       $config_json: secretStore.serializeConfig(channel.config, provider.getConfiguredSecrets(channel.config).length > 0),
+      $delivery_json: JSON.stringify({ quiet_hours: channel.quiet_hours, digest: channel.digest }),
     });
   }
 
@@ -506,6 +1010,25 @@ export function createNotificationService(options: NotificationServiceOptions):
       $severity: rule.severity,
       $channel_ids_json: JSON.stringify(rule.channel_ids),
       $config_json: JSON.stringify(rule.config),
+      $delivery_json: JSON.stringify({ quiet_hours: rule.quiet_hours, escalation: rule.escalation }),
+    });
+  }
+
+  function saveReport(report: StoredNotificationReport): void {
+    database.upsertNotificationReport({
+      $id: report.id,
+      $created_at: report.created_at,
+      $updated_at: report.updated_at,
+      $name: report.name,
+      $enabled: report.enabled ? 1 : 0,
+      $frequency: report.frequency,
+      $send_time: report.send_time,
+      $time_zone: report.time_zone,
+      $instance_id: report.instance_id,
+      $channel_ids_json: JSON.stringify(report.channel_ids),
+      $last_run_at: report.last_run_at,
+      $last_sent_at: report.last_sent_at,
+      $last_error: report.last_error,
     });
   }
 
@@ -540,6 +1063,11 @@ export function createNotificationService(options: NotificationServiceOptions):
       enabled: input.enabled !== false,
       config,
       configured_secrets: provider.getConfiguredSecrets(config),
+      // Omitted delivery options keep their stored value so older API clients do not clear them.
+      quiet_hours: input.quiet_hours === undefined
+        ? existing?.quiet_hours ?? null
+        : normalizeQuietHoursInput(input.quiet_hours, defaultTimeZone),
+      digest: input.digest === undefined ? existing?.digest ?? null : normalizeDigestInput(input.digest),
       created_at: createdAt,
       updated_at: new Date().toISOString(),
     };
@@ -568,6 +1096,35 @@ export function createNotificationService(options: NotificationServiceOptions):
       }
     }
 
+    const config = normalizeRuleConfig(type, input.config);
+    if (type === 'search-threshold') {
+      validateSearchRuleQuery(config as SearchThresholdRuleConfig);
+    }
+    if (type === 'alert-anomaly') {
+      validateAnomalyRuleConfig(config as AlertAnomalyRuleConfig, alertRetentionMs);
+    }
+    const savedSearchId = (config as { filters?: NotificationFilter }).filters?.saved_search_id;
+    if (savedSearchId) {
+      const savedSearch = database.getSavedSearchById(savedSearchId);
+      if (!savedSearch) {
+        throw new Error(`Unknown saved search: ${savedSearchId}`);
+      }
+      const page = getRuleSavedSearchPage(type, config);
+      if (!page) {
+        throw new Error('Saved search filters require a rule that watches either alerts or decisions');
+      }
+      if (savedSearch.page !== page) {
+        throw new Error(`Saved search "${savedSearch.name}" filters ${savedSearch.page}, but this rule watches ${page}`);
+      }
+    }
+
+    const escalation = input.escalation === undefined
+      ? existing?.escalation ?? null
+      : normalizeEscalationInput(input.escalation);
+    if (escalation && !knownChannels.has(escalation.channel_id)) {
+      throw new Error(`Unknown escalation destination: ${escalation.channel_id}`);
+    }
+
     return {
       id,
       name,
@@ -575,16 +1132,79 @@ export function createNotificationService(options: NotificationServiceOptions):
       enabled: input.enabled !== false,
       severity: normalizeSeverity(input.severity),
       channel_ids: channelIds,
-      config: normalizeRuleConfig(type, input.config),
+      config,
+      quiet_hours: input.quiet_hours === undefined
+        ? existing?.quiet_hours ?? null
+        : normalizeQuietHoursInput(input.quiet_hours, defaultTimeZone),
+      escalation,
       created_at: createdAt,
       updated_at: new Date().toISOString(),
     };
   }
 
+  function normalizeReportInput(
+    input: UpsertNotificationReportRequest,
+    existing: StoredNotificationReport | null,
+    id: string,
+    createdAt: string,
+  ): StoredNotificationReport {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new Error('Report name is required');
+    }
+
+    const schedule = normalizeReportScheduleInput(input, defaultTimeZone);
+    const instanceId = typeof input.instance_id === 'string' && input.instance_id.trim() ? input.instance_id.trim() : 'all';
+    if (instanceId !== 'all' && instanceName(instanceId) === undefined) {
+      throw new Error(`Unknown instance: ${instanceId}`);
+    }
+
+    const channelIds = Array.isArray(input.channel_ids)
+      ? [...new Set(input.channel_ids.filter((value): value is string => typeof value === 'string' && value.trim().length > 0))]
+      : [];
+    if (channelIds.length === 0) {
+      throw new Error('Select at least one email destination for the report');
+    }
+    const channels = new Map(loadChannels(false).map((channel) => [channel.id, channel]));
+    for (const channelId of channelIds) {
+      const channel = channels.get(channelId);
+      if (!channel) {
+        throw new Error(`Unknown notification channel: ${channelId}`);
+      }
+      if (channel.type !== 'email') {
+        throw new Error(`Reports can only be sent to email destinations, but "${channel.name}" is ${channel.type}`);
+      }
+    }
+
+    const now = new Date();
+    const scheduleChanged = !existing
+      || existing.frequency !== schedule.frequency
+      || existing.send_time !== schedule.send_time
+      || existing.time_zone !== schedule.time_zone;
+    return {
+      id,
+      name,
+      enabled: input.enabled !== false,
+      ...schedule,
+      instance_id: instanceId,
+      channel_ids: channelIds,
+      // A new schedule starts with the next run instead of sending one that fell due before the change.
+      last_run_at: scheduleChanged ? now.toISOString() : existing.last_run_at,
+      last_sent_at: existing?.last_sent_at ?? null,
+      last_error: existing?.last_error ?? null,
+      next_run_at: getNextReportRun(schedule, now).toISOString(),
+      created_at: createdAt,
+      updated_at: now.toISOString(),
+    };
+  }
+
   async function evaluateRule(rule: NotificationRule, now: Date, t: Translator): Promise<NotificationCandidate[]> {
     if (rule.type === 'alert-spike') {
       return evaluateAlertSpikeRule(rule, now, t);
     }
+    if (rule.type === 'alert-anomaly') {
+      return evaluateAlertAnomalyRule(rule, now, t);
+    }
     if (rule.type === 'alert-threshold') {
       return evaluateAlertThresholdRule(rule, now, t);
     }
@@ -600,6 +1220,9 @@ export function createNotificationService(options: NotificationServiceOptions):
     if (rule.type === 'ip-ban') {
       return evaluateIpBanRule(rule, now, t);
     }
+    if (rule.type === 'search-threshold') {
+      return evaluateSearchThresholdRule(rule, now, t);
+    }
     return evaluateNewCveRule(rule, now, t);
   }
 
@@ -642,6 +1265,91 @@ export function createNotificationService(options: NotificationServiceOptions):
     }, [...currentAlertCounts.keys()])];
   }
 
+  // Compares each dimension value with the same window in previous weeks, so the baseline follows hour-of-week
+  // seasonality. Alerts past the sync lookback are counted from the hourly rollups where the dimension and
+  // filters allow it. Only weeks the local history fully covers count towards the baseline.
+  async function evaluateAlertAnomalyRule(rule: NotificationRule, now: Date, t: Translator): Promise<NotificationCandidate[]> {
+    const config = normalizeRuleConfig('alert-anomaly', rule.config);
+    const windowMs = config.window_minutes * 60_000;
+    const currentStart = now.getTime() - windowMs;
+    const useRollups = usesAnomalyRollups(config);
+    const baselineWeeks = await getAvailableBaselineWeeks(new Date(currentStart), config.baseline_weeks, useRollups);
+    if (baselineWeeks === 0) {
+      return [];
+    }
+
+    const countBetween = async (start: Date, end: Date) => {
+      const counts = await countAlertsByDimensionBetween(config.dimension, start, end, config.filters);
+      if (useRollups) await addRolledUpAlertsByDimension(counts, config.dimension, start, end, config.filters);
+      return counts;
+    };
+    const current = await countBetween(new Date(currentStart), now);
+    const samples: Array<Map<string, DimensionCount>> = [];
+    for (let week = 1; week <= baselineWeeks; week += 1) {
+      const offset = week * WEEK_MS;
+      samples.push(await countBetween(new Date(currentStart - offset), new Date(now.getTime() - offset)));
+    }
+    const knownValues = config.notify_new_values
+      ? await countBetween(new Date(currentStart - baselineWeeks * WEEK_MS), new Date(currentStart))
+      : null;
+
+    const dimensionLabel = t(`server.notifications.alertAnomaly.dimensions.${config.dimension}`);
+    const candidates: NotificationCandidate[] = [];
+    for (const [value, observed] of current) {
+      // Rolled-up hours are prorated, so the current window can hold a fraction when the lookback is shorter.
+      observed.count = Math.round(observed.count);
+      if (observed.count < config.minimum_alerts) continue;
+
+      const counts = samples.map((sample) => sample.get(value)?.count ?? 0);
+      const mean = counts.reduce((total, count) => total + count, 0) / counts.length;
+      const deviation = Math.sqrt(counts.reduce((total, count) => total + (count - mean) ** 2, 0) / counts.length);
+      // Sparse values rarely vary between weeks; a Poisson-like floor keeps one extra alert from counting as a deviation.
+      const spread = Math.max(deviation, Math.sqrt(mean), 1);
+      const expectedMin = Math.max(0, Math.floor(mean - config.sensitivity * spread));
+      const expectedMax = Math.ceil(mean + config.sensitivity * spread);
+      const firstSeen = knownValues !== null && !knownValues.has(value);
+      if (!firstSeen && observed.count <= expectedMax) continue;
+
+      const label = config.dimension === 'instance' ? instanceName(value) || null : observed.label;
+      const displayValue = label && label !== value ? `${label} (${value})` : value;
+      candidates.push(withInstanceContext({
+        dedupeKey: `anomaly:${config.dimension}:${encodeURIComponent(value)}`,
+        title: t('server.notifications.alertAnomaly.title', { ruleName: rule.name, dimension: dimensionLabel, value: displayValue }),
+        message: firstSeen
+          ? t('server.notifications.alertAnomaly.newValueMessage', {
+            dimension: dimensionLabel,
+            value: displayValue,
+            count: observed.count,
+            minutes: config.window_minutes,
+            weeks: baselineWeeks,
+          })
+          : t('server.notifications.alertAnomaly.message', {
+            dimension: dimensionLabel,
+            value: displayValue,
+            count: observed.count,
+            minutes: config.window_minutes,
+            expectedMin,
+            expectedMax,
+            weeks: baselineWeeks,
+          }),
+        metadata: {
+          dimension: config.dimension,
+          value,
+          label,
+          first_seen: firstSeen,
+          observed_count: observed.count,
+          expected_mean: Math.round(mean * 10) / 10,
+          expected_min: expectedMin,
+          expected_max: expectedMax,
+          baseline_weeks: baselineWeeks,
+          window_minutes: config.window_minutes,
+          filters: toMetaRecord(config.filters),
+        },
+      }, [...observed.instances]));
+    }
+    return candidates;
+  }
+
   async function evaluateAlertThresholdRule(rule: NotificationRule, now: Date, t: Translator): Promise<NotificationCandidate[]> {
     const config = normalizeRuleConfig('alert-threshold', rule.config);
     const windowMs = config.window_minutes * 60_000;
@@ -669,6 +1377,53 @@ export function createNotificationService(options: NotificationServiceOptions):
     }, [...alertCounts.keys()])];
   }
 
+  async function evaluateSearchThresholdRule(rule: NotificationRule, now: Date, t: Translator): Promise<NotificationCandidate[]> {
+    const config = normalizeRuleConfig('search-threshold', rule.config);
+    const windowStart = new Date(now.getTime() - config.window_minutes * 60_000);
+    const counts = new Map<string, number>();
+    const countMatch = (instanceId: unknown) => {
+      const key = String(instanceId || 'default');
+      counts.set(key, (counts.get(key) || 0) + 1);
+    };
+
+    if (config.event_type === 'alert') {
+      const matches = compileAlertQuery(config.query);
+      if (!matches) return [];
+      for (const alert of await getAlertsBetween(windowStart, now, SEARCH_RULE_FILTERS)) {
+        if (matches(alert)) countMatch(alert.instance_id);
+      }
+    } else {
+      const matches = compileDecisionQuery(config.query);
+      if (!matches) return [];
+      for (const decision of await getDecisionsBetween(windowStart, now, SEARCH_RULE_FILTERS)) {
+        if (matches(decision)) countMatch(decision.instance_id);
+      }
+    }
+
+    const matchedCount = sumCounts(counts);
+    if (matchedCount < config.threshold) {
+      return [];
+    }
+
+    return [withInstanceContext({
+      dedupeKey: 'search:active',
+      title: t('server.notifications.searchThreshold.title', { ruleName: rule.name }),
+      message: t(
+        config.event_type === 'alert'
+          ? 'server.notifications.searchThreshold.alertsMessage'
+          : 'server.notifications.searchThreshold.decisionsMessage',
+        { count: matchedCount, query: config.query, minutes: config.window_minutes, threshold: config.threshold },
+      ),
+      metadata: {
+        event_type: config.event_type,
+        query: config.query,
+        matched_count: matchedCount,
+        threshold: config.threshold,
+        window_minutes: config.window_minutes,
+      },
+    }, [...counts.keys()])];
+  }
+
   async function evaluateNewAlertDecisionRule(rule: NotificationRule, now: Date, t: Translator): Promise<NotificationCandidate[]> {
     const config = normalizeRuleConfig('new-alert-decision', rule.config);
     const windowStart = new Date(now.getTime() - config.window_minutes * 60_000);
@@ -702,6 +1457,7 @@ export function createNotificationService(options: NotificationServiceOptions):
             uuid: typeof alert.uuid === 'string' ? alert.uuid : null,
             scenario,
             source,
+            country: alert.source?.cn || null,
             target,
             created_at: alert.created_at,
             message: description,
@@ -747,6 +1503,7 @@ export function createNotificationService(options: NotificationServiceOptions):
             alert_id: typeof decision.alert_id === 'string' || typeof decision.alert_id === 'number' ? decision.alert_id : null,
             type: decisionType,
             value,
+            country: typeof decision.country === 'string' ? decision.country : null,
             scenario,
             target,
             origin: typeof decision.origin === 'string' ? decision.origin : null,
@@ -835,6 +1592,7 @@ export function createNotificationService(options: NotificationServiceOptions):
             decision_id: decisionId,
             value,
             type: normalizeDecisionType(decision),
+            country: typeof decision.country === 'string' ? decision.country : null,
             origin,
             scenario,
             target,
@@ -933,6 +1691,15 @@ export function createNotificationService(options: NotificationServiceOptions):
   }
 
   async function countAlertsByInstanceBetween(start: Date, end: Date, filters?: NotificationFilter): Promise<Map<string, number>> {
+    if (filters?.saved_search_id) {
+      const counts = new Map<string, number>();
+      for (const alert of await getAlertsBetween(start, end, filters)) {
+        const instanceId = String(alert.instance_id || 'default');
+        counts.set(instanceId, (counts.get(instanceId) || 0) + 1);
+      }
+      return counts;
+    }
+
     const condition = buildNotificationDataCondition('alerts', start, end, filters);
     const rows = await queryWorker.all<{ instance_id: string; count: number }>(
       `SELECT instance_id, COUNT(*) AS count FROM alerts WHERE ${condition.sql} GROUP BY instance_id`,
@@ -941,6 +1708,93 @@ export function createNotificationService(options: NotificationServiceOptions):
     return new Map(rows.map((row) => [String(row.instance_id || 'default'), Number(row.count || 0)]));
   }
 
+  async function countAlertsByDimensionBetween(
+    dimension: AlertAnomalyDimension,
+    start: Date,
+    end: Date,
+    filters?: NotificationFilter,
+  ): Promise<Map<string, DimensionCount>> {
+    const counts = new Map<string, DimensionCount>();
+    const add = (value: unknown, label: unknown, instanceId: unknown, count: number) => {
+      const key = typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : '';
+      if (!key) return;
+      const entry = counts.get(key) ?? { count: 0, label: null, instances: new Set<string>() };
+      entry.count += count;
+      entry.label ??= typeof label === 'string' && label.trim() ? label.trim() : null;
+      entry.instances.add(String(instanceId || 'default'));
+      counts.set(key, entry);
+    };
+
+    if (filters?.saved_search_id) {
+      for (const alert of await getAlertsBetween(start, end, filters)) {
+        const instanceId = String(alert.instance_id || 'default');
+        if (dimension === 'country') add(alert.source?.cn, null, instanceId, 1);
+        else if (dimension === 'as') add(alert.source?.as_number, alert.source?.as_name, instanceId, 1);
+        else if (dimension === 'instance') add(instanceId, null, instanceId, 1);
+        else add(alert[dimension], null, instanceId, 1);
+      }
+      return counts;
+    }
+
+    const columns = ANOMALY_DIMENSION_COLUMNS[dimension];
+    const condition = buildNotificationDataCondition('alerts', start, end, filters);
+    const rows = await queryWorker.all<{ value: string | null; label: string | null; instance_id: string; count: number }>(
+      `SELECT ${columns.value} AS value, ${columns.label ? `MAX(${columns.label})` : 'NULL'} AS label, instance_id, COUNT(*) AS count
+       FROM alerts WHERE ${condition.sql} GROUP BY ${columns.value}, instance_id`,
+      condition.params,
+    );
+    for (const row of rows) {
+      add(row.value, row.label, row.instance_id, Number(row.count || 0));
+    }
+    return counts;
+  }
+
+  // Rollup buckets cover whole UTC hours, so each one is weighted by how much of its hour falls inside the range.
+  async function addRolledUpAlertsByDimension(
+    counts: Map<string, DimensionCount>,
+    dimension: AlertAnomalyDimension,
+    start: Date,
+    end: Date,
+    filters?: NotificationFilter,
+  ): Promise<void> {
+    const column = ANOMALY_ROLLUP_COLUMNS[dimension];
+    if (!column) return;
+    const clauses = ["kind = 'alert'", 'bucket >= ?', 'bucket <= ?', `${column} != ''`];
+    const params: unknown[] = [start.toISOString().slice(0, 13), new Date(end.getTime() - 1).toISOString().slice(0, 13)];
+    if (filters?.include_simulated !== true) clauses.push('simulated = 0');
+    if (filters?.scenario) {
+      clauses.push("LOWER(scenario) LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeSqlLike(filters.scenario.toLowerCase())}%`);
+    }
+    const rows = await queryWorker.all<{ bucket: string; value: string; instance_id: string; count: number }>(
+      `SELECT bucket, ${column} AS value, instance_id, SUM(count) AS count
+       FROM stats_rollups_hourly WHERE ${clauses.join(' AND ')} GROUP BY bucket, ${column}, instance_id`,
+      params,
+    );
+    for (const row of rows) {
+      const bucketStart = Date.parse(`${row.bucket}:00:00.000Z`);
+      const overlap = Math.min(end.getTime(), bucketStart + HOUR_MS) - Math.max(start.getTime(), bucketStart);
+      if (!(overlap > 0)) continue;
+      const key = String(row.value).trim();
+      const entry = counts.get(key) ?? { count: 0, label: null, instances: new Set<string>() };
+      entry.count += Number(row.count || 0) * overlap / HOUR_MS;
+      entry.instances.add(String(row.instance_id || 'default'));
+      counts.set(key, entry);
+    }
+  }
+
+  async function getAvailableBaselineWeeks(windowStart: Date, requestedWeeks: number, useRollups: boolean): Promise<number> {
+    const row = await queryWorker.get<{ oldest: string | null }>('SELECT MIN(created_at) AS oldest FROM alerts');
+    let oldest = row?.oldest ? Date.parse(row.oldest) : NaN;
+    if (useRollups) {
+      const rollup = await queryWorker.get<{ bucket: string | null }>("SELECT MIN(bucket) AS bucket FROM stats_rollups_hourly WHERE kind = 'alert'");
+      const rolledUpSince = rollup?.bucket ? Date.parse(`${rollup.bucket}:00:00.000Z`) : NaN;
+      if (Number.isFinite(rolledUpSince) && !(oldest <= rolledUpSince)) oldest = rolledUpSince;
+    }
+    if (!Number.isFinite(oldest)) return 0;
+    return Math.max(0, Math.min(requestedWeeks, Math.floor((windowStart.getTime() - oldest) / WEEK_MS)));
+  }
+
   function sumCounts(counts: Map<string, number>): number {
     return [...counts.values()].reduce((total, count) => total + count, 0);
   }
@@ -956,12 +1810,12 @@ export function createNotificationService(options: NotificationServiceOptions):
     const namesById = new Map<string, string>();
     for (const instance of instances) {
       const id = typeof instance === 'string' ? instance : instance.id;
-      const name = typeof instance === 'string' ? instanceNames.get(id) || id : instance.name;
+      const name = typeof instance === 'string' ? instanceName(id) || id : instance.name;
       if (!namesById.has(id)) namesById.set(id, name);
     }
     const orderedInstances = [...namesById.entries()].sort(([leftId], [rightId]) => {
-      const leftOrder = instanceOrder.get(leftId) ?? Number.MAX_SAFE_INTEGER;
-      const rightOrder = instanceOrder.get(rightId) ?? Number.MAX_SAFE_INTEGER;
+      const leftOrder = instanceOrder(leftId);
+      const rightOrder = instanceOrder(rightId);
       return leftOrder - rightOrder || leftId.localeCompare(rightId);
     });
     if (orderedInstances.length === 0) {
@@ -982,6 +1836,7 @@ export function createNotificationService(options: NotificationServiceOptions):
 
   async function getAlertsBetween(start: Date, end: Date, filters?: NotificationFilter): Promise<AlertRecord[]> {
     const condition = buildNotificationDataCondition('alerts', start, end, filters);
+    const matchesSavedSearch = getAlertSavedSearchPredicate(filters);
     const alerts: AlertRecord[] = [];
     let lastId: number | null = null;
     while (true) {
@@ -995,7 +1850,7 @@ export function createNotificationService(options: NotificationServiceOptions):
       if (rows.length === 0) break;
       for (const row of rows) {
         const alert = alertFromRow(row);
-        if (matchesAlertFilters(alert, filters)) alerts.push(alert);
+        if (matchesAlertFilters(alert, filters) && matchesSavedSearch(alert)) alerts.push(alert);
       }
       lastId = Number(rows[rows.length - 1].id);
     }
@@ -1009,6 +1864,7 @@ export function createNotificationService(options: NotificationServiceOptions):
     options: { activeAt?: Date } = {},
   ): Promise<Array<AlertDecision & Record<string, unknown>>> {
     const condition = buildNotificationDataCondition('decisions', start, end, filters, options.activeAt);
+    const matchesSavedSearch = getDecisionSavedSearchPredicate(filters);
     const decisions: Array<AlertDecision & Record<string, unknown>> = [];
     let lastRowId = 0;
     while (true) {
@@ -1022,13 +1878,53 @@ export function createNotificationService(options: NotificationServiceOptions):
       if (rows.length === 0) break;
       for (const row of rows) {
         const decision = decisionFromRow(row);
-        if (matchesDecisionFilters(decision, filters)) decisions.push(decision);
+        if (matchesDecisionFilters(decision, filters) && matchesSavedSearch(decision)) decisions.push(decision);
       }
       lastRowId = rows[rows.length - 1].rowid;
     }
     return decisions;
   }
 
+  // Returns null for queries that no longer compile so callers can skip matching instead of failing evaluation.
+  function compileAlertQuery(query: string): ((alert: AlertRecord) => boolean) | null {
+    const compiled = compileAlertSearch(query, SEARCH_FEATURES, { timeZone: options.timeZone ?? undefined });
+    return compiled.ok ? (alert) => compiled.predicate(toSlimAlert(alert)) : null;
+  }
+
+  function compileDecisionQuery(query: string): ((decision: AlertDecision & Record<string, unknown>) => boolean) | null {
+    const compiled = compileDecisionSearch(query, SEARCH_FEATURES, { timeZone: options.timeZone ?? undefined });
+    return compiled.ok ? (decision) => compiled.predicate(toDecisionListItem(decision, true)) : null;
+  }
+
+  function getAlertSavedSearchPredicate(filters?: NotificationFilter): (alert: AlertRecord) => boolean {
+    const savedSearch = getSavedSearchFilter(filters, 'alerts');
+    if (savedSearch === undefined) return () => true;
+    const matches = savedSearch ? compileAlertQuery(savedSearch.query) : null;
+    if (!savedSearch || !matches) return () => false;
+    return (alert) => matchesSavedSearchInstance(savedSearch, alert.instance_id) && matches(alert);
+  }
+
+  function getDecisionSavedSearchPredicate(
+    filters?: NotificationFilter,
+  ): (decision: AlertDecision & Record<string, unknown>) => boolean {
+    const savedSearch = getSavedSearchFilter(filters, 'decisions');
+    if (savedSearch === undefined) return () => true;
+    const matches = savedSearch ? compileDecisionQuery(savedSearch.query) : null;
+    if (!savedSearch || !matches) return () => false;
+    return (decision) => matchesSavedSearchInstance(savedSearch, decision.instance_id) && matches(decision);
+  }
+
+  // Returns undefined when the rule has no saved search filter and null when the referenced search is gone
+  // (for example because its owner was deleted), in which case the rule must not match anything.
+  function getSavedSearchFilter(
+    filters: NotificationFilter | undefined,
+    page: TableColumnPreferenceTable,
+  ): SavedSearchRow | null | undefined {
+    if (!filters?.saved_search_id) return undefined;
+    const savedSearch = database.getSavedSearchById(filters.saved_search_id);
+    return savedSearch?.page === page ? savedSearch : null;
+  }
+
   function buildNotificationDataCondition(
     table: 'alerts' | 'decisions',
     start: Date,
@@ -1115,6 +2011,8 @@ export function createNotificationService(options: NotificationServiceOptions):
         rule_id: rule?.id || null,
         rule_name: rule?.name || null,
         rule_type: rule?.type || null,
+        html: candidate.html,
+        attachments: candidate.attachments,
       };
       await provider.send(channel, payload, {
         fetchImpl,
@@ -1151,9 +2049,11 @@ export function createNotificationService(options: NotificationServiceOptions):
     const deliveryError = error instanceof Error ? error as NotificationDeliveryError : null;
     const contextLabel = rule?.type === 'test'
       ? 'test notification'
-      : rule
-        ? `rule "${rule.name}" (${rule.type})`
-        : 'notification';
+      : rule?.type === 'report'
+        ? `report "${rule.name}"`
+        : rule
+          ? `rule "${rule.name}" (${rule.type})`
+          : 'notification';
     const details: string[] = [];
     if (deliveryError?.status) {
       details.push(`status=${deliveryError.status}`);
@@ -1173,10 +2073,12 @@ export function createNotificationService(options: NotificationServiceOptions):
 }
 
 function normalizeRuleConfig(type: 'alert-spike', config: RuleConfigInput): AlertSpikeRuleConfig;
+function normalizeRuleConfig(type: 'alert-anomaly', config: RuleConfigInput): AlertAnomalyRuleConfig;
 function normalizeRuleConfig(type: 'alert-threshold', config: RuleConfigInput): AlertThresholdRuleConfig;
 function normalizeRuleConfig(type: 'new-alert-decision', config: RuleConfigInput): NewAlertDecisionRuleConfig;
 function normalizeRuleConfig(type: 'new-cve', config: RuleConfigInput): NewCveRuleConfig;
 function normalizeRuleConfig(type: 'ip-ban', config: RuleConfigInput): IpBanRuleConfig;
+function normalizeRuleConfig(type: 'search-threshold', config: RuleConfigInput): SearchThresholdRuleConfig;
 function normalizeRuleConfig(type: 'application-update', config: RuleConfigInput): ApplicationUpdateRuleConfig;
 function normalizeRuleConfig(type: 'lapi-availability', config: RuleConfigInput): LapiAvailabilityRuleConfig;
 function normalizeRuleConfig(type: NotificationRuleType, config: RuleConfigInput): NotificationRuleConfig;
@@ -1195,6 +2097,20 @@ function normalizeRuleConfig(type: NotificationRuleType, config: RuleConfigInput
     };
   }
 
+  if (type === 'alert-anomaly') {
+    return {
+      dimension: ALERT_ANOMALY_DIMENSIONS.includes(safeConfig.dimension as AlertAnomalyDimension)
+        ? safeConfig.dimension as AlertAnomalyDimension
+        : 'country',
+      window_minutes: normalizePositiveNumber(safeConfig.window_minutes, 60),
+      baseline_weeks: normalizePositiveNumber(safeConfig.baseline_weeks, 4),
+      sensitivity: normalizePositiveNumber(safeConfig.sensitivity, 3),
+      minimum_alerts: normalizePositiveNumber(safeConfig.minimum_alerts, 5),
+      notify_new_values: safeConfig.notify_new_values !== false,
+      filters,
+    };
+  }
+
   if (type === 'alert-threshold') {
     return {
       window_minutes: normalizePositiveNumber(safeConfig.window_minutes, 60),
@@ -1222,6 +2138,15 @@ function normalizeRuleConfig(type: NotificationRuleType, config: RuleConfigInput
     };
   }
 
+  if (type === 'search-threshold') {
+    return {
+      event_type: safeConfig.event_type === 'decision' ? 'decision' : 'alert',
+      query: typeof safeConfig.query === 'string' ? safeConfig.query.trim() : '',
+      window_minutes: normalizePositiveNumber(safeConfig.window_minutes, 10),
+      threshold: normalizePositiveNumber(safeConfig.threshold, 50),
+    };
+  }
+
   if (type === 'lapi-availability') {
     return {
       outage_threshold_seconds: normalizePositiveNumber(safeConfig.outage_threshold_seconds, 60),
@@ -1235,6 +2160,76 @@ function normalizeRuleConfig(type: NotificationRuleType, config: RuleConfigInput
   };
 }
 
+// Quiet hours on the rule carry a release time; the destination's own quiet hours and digest are rechecked when flushing.
+function getDeliveryReleaseAt(rule: NotificationRule, channel: NotificationChannel, now: Date): Date | null {
+  const ruleQuietHoursEnd = getQuietHoursEnd(rule.quiet_hours, now);
+  if (!ruleQuietHoursEnd && !channel.digest && !getQuietHoursEnd(channel.quiet_hours, now)) {
+    return null;
+  }
+  return ruleQuietHoursEnd ?? now;
+}
+
+function getHighestSeverity(entries: Array<{ severity: NotificationSeverity }>): NotificationSeverity {
+  return entries.reduce<NotificationSeverity>(
+    (highest, entry) => (SEVERITY_RANK[entry.severity] > SEVERITY_RANK[highest] ? entry.severity : highest),
+    'info',
+  );
+}
+
+function validateSearchRuleQuery(config: SearchThresholdRuleConfig): void {
+  if (!config.query) {
+    throw new Error('Search query is required');
+  }
+  const compiled = config.event_type === 'alert'
+    ? compileAlertSearch(config.query, SEARCH_FEATURES)
+    : compileDecisionSearch(config.query, SEARCH_FEATURES);
+  if (!compiled.ok) {
+    throw new Error(`Invalid search query at character ${compiled.error.position + 1}: ${compiled.error.message}`);
+  }
+}
+
+function validateAnomalyRuleConfig(config: AlertAnomalyRuleConfig, alertRetentionMs?: number): void {
+  if (config.window_minutes > ANOMALY_MAX_WINDOW_MINUTES) {
+    throw new Error(`Anomaly windows are limited to ${ANOMALY_MAX_WINDOW_MINUTES} minutes`);
+  }
+  if (config.baseline_weeks > ANOMALY_MAX_BASELINE_WEEKS) {
+    throw new Error(`Anomaly baselines are limited to ${ANOMALY_MAX_BASELINE_WEEKS} weeks`);
+  }
+  const requiredMs = config.baseline_weeks * WEEK_MS + config.window_minutes * 60_000;
+  if (alertRetentionMs !== undefined && !usesAnomalyRollups(config) && alertRetentionMs < requiredMs) {
+    throw new Error(
+      'Anomaly rules by AS or target, or filtered by target, IP, or saved search, learn only from cached alerts; '
+      + `the sync lookback (${Math.floor(alertRetentionMs / HOUR_MS)}h) must cover ${config.baseline_weeks} week(s) `
+      + `plus the ${config.window_minutes}-minute window`,
+    );
+  }
+}
+
+// The rollups only keep the dimension columns, scenario, and simulation flag,
+// so other filters need the cached alerts themselves.
+function usesAnomalyRollups(config: AlertAnomalyRuleConfig): boolean {
+  const filters = config.filters;
+  return ANOMALY_ROLLUP_COLUMNS[config.dimension] !== undefined
+    && !filters?.target
+    && !filters?.saved_search_id
+    && !(filters?.values && filters.values.length > 0);
+}
+
+function getRuleSavedSearchPage(type: NotificationRuleType, config: NotificationRuleConfig): TableColumnPreferenceTable | null {
+  if (type === 'alert-spike' || type === 'alert-anomaly' || type === 'alert-threshold' || type === 'new-cve') return 'alerts';
+  if (type === 'ip-ban') return 'decisions';
+  if (type === 'new-alert-decision') {
+    const eventType = (config as NewAlertDecisionRuleConfig).event_type;
+    if (eventType === 'alert') return 'alerts';
+    if (eventType === 'decision') return 'decisions';
+  }
+  return null;
+}
+
+function matchesSavedSearchInstance(savedSearch: SavedSearchRow, instanceId: unknown): boolean {
+  return savedSearch.instance === 'all' || String(instanceId || 'default') === savedSearch.instance;
+}
+
 function toMetaRecord(filters?: NotificationFilter): Record<string, unknown> {
   return filters ? { ...filters } : {};
 }
@@ -1247,7 +2242,8 @@ function normalizeFilters(filters: NotificationFilter | undefined): Notification
   const scenario = typeof rawFilters.scenario === 'string' ? rawFilters.scenario.trim() : '';
   const target = typeof rawFilters.target === 'string' ? rawFilters.target.trim() : '';
   const values = normalizeIpRangeFilterValues(rawFilters.values);
-  if (!scenario && !target && filters.include_simulated !== true && values.length === 0) {
+  const savedSearchId = typeof rawFilters.saved_search_id === 'string' ? rawFilters.saved_search_id.trim() : '';
+  if (!scenario && !target && filters.include_simulated !== true && values.length === 0 && !savedSearchId) {
     return undefined;
   }
   return {
@@ -1255,6 +2251,7 @@ function normalizeFilters(filters: NotificationFilter | undefined): Notification
     target: target || undefined,
     include_simulated: filters.include_simulated === true,
     values: values.length > 0 ? values : undefined,
+    saved_search_id: savedSearchId || undefined,
   };
 }
 
@@ -1329,18 +2326,26 @@ function extractCveIds(alert: AlertRecord): string[] {
   return [...values];
 }
 
+function toPublicReport(report: StoredNotificationReport): NotificationReport {
+  const { last_run_at: _lastRunAt, ...publicReport } = report;
+  return publicReport;
+}
+
 function normalizeChannelType(value: unknown): NotificationChannelType {
-  if (value === 'ntfy' || value === 'gotify' || value === 'email' || value === 'mqtt' || value === 'webhook') return value;
+  const types: string[] = getNotificationProviderTypes();
+  if (typeof value === 'string' && types.includes(value)) return value as NotificationChannelType;
   throw new Error('Invalid notification channel type');
 }
 
 function normalizeRuleType(value: unknown): NotificationRuleType {
   if (
     value === 'alert-spike' ||
+    value === 'alert-anomaly' ||
     value === 'alert-threshold' ||
     value === 'new-alert-decision' ||
     value === 'new-cve' ||
     value === 'ip-ban' ||
+    value === 'search-threshold' ||
     value === 'application-update' ||
     value === 'lapi-availability'
   ) return value;
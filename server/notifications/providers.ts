@@ -6,7 +6,7 @@ import type {
   NotificationSeverity,
 } from '../../shared/contracts';
 import { sendSmtpMail } from '../smtp';
-import type { SmtpTlsMode } from '../smtp';
+import type { SmtpAttachment, SmtpTlsMode } from '../smtp';
 import { publishMqttNotification, type MqttPublishConfig } from './mqtt-client';
 import { renderTemplate, validateTemplate } from './webhook-template';
 
@@ -25,7 +25,10 @@ export interface NotificationProviderPayload {
   channel_type: NotificationChannelType;
   rule_id: string | null;
   rule_name: string | null;
-  rule_type: NotificationRuleType | 'test' | null;
+  rule_type: NotificationRuleType | 'test' | 'report' | null;
+  /** Rich variants of `message` that only the email provider can deliver. */
+  html?: string;
+  attachments?: SmtpAttachment[];
 }
 
 export interface NotificationProviderContext {
@@ -557,6 +560,183 @@ async function sendWebhookRequest(
   }
 }
 
+const SEVERITY_COLORS: Record<NotificationSeverity, string> = {
+  info: '#2563eb',
+  warning: '#d97706',
+  critical: '#dc2626',
+};
+const SEVERITY_EMOJI: Record<NotificationSeverity, string> = {
+  info: '🔵',
+  warning: '🟠',
+  critical: '🔴',
+};
+const TEAMS_SEVERITY_COLORS: Record<NotificationSeverity, string> = {
+  info: 'Accent',
+  warning: 'Warning',
+  critical: 'Attention',
+};
+const DEFAULT_TELEGRAM_API_URL = 'https://api.telegram.org';
+
+interface ChatMessageDetails {
+  fields: Array<{ label: string; value: string }>;
+  link: string | null;
+}
+
+function metadataText(value: AlertMetaValue | undefined): string {
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' && value.trim() && value !== '—' ? value.trim() : '';
+}
+
+function truncateText(value: string, limit: number): string {
+  return value.length <= limit ? value : `${value.slice(0, limit - 1)}…`;
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeSlackText(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Alert and decision rules put the record's IP, country, and scenario in their metadata; other rules have none of them.
+function getChatMessageDetails(payload: NotificationProviderPayload, linkBaseUrl: string): ChatMessageDetails {
+  const { metadata } = payload;
+  const fields = [
+    { label: 'IP', value: metadataText(metadata.source) || metadataText(metadata.value) },
+    { label: 'Country', value: metadataText(metadata.country) },
+    { label: 'Scenario', value: metadataText(metadata.scenario) },
+    { label: 'Instance', value: metadataText(metadata.instance_name) },
+  ].filter((field) => field.value);
+
+  const alertId = metadataText(metadata.alert_id);
+  if (!linkBaseUrl || !alertId) {
+    return { fields, link: null };
+  }
+  const link = new URL(`${linkBaseUrl.replace(/\/+$/, '')}/alerts`);
+  link.searchParams.set('id', alertId);
+  const instanceId = metadataText(metadata.instance_id);
+  if (instanceId && instanceId !== 'default') {
+    link.searchParams.set('instance', instanceId);
+  }
+  return { fields, link: link.toString() };
+}
+
+function validateLinkBaseUrl(value: string): string | null {
+  return value ? validateHttpUrl(value, 'Link base URL') : null;
+}
+
+async function postChatJson(
+  url: string,
+  body: unknown,
+  label: string,
+  context: NotificationProviderContext,
+  method = 'POST',
+  headers: Record<string, string> = {},
+): Promise<void> {
+  const response = await context.fetchImpl(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    const responseSnippet = await readResponseSnippet(response);
+    throw new Error(responseSnippet
+      ? `${label} request failed with status ${response.status}: ${responseSnippet}`
+      : `${label} request failed with status ${response.status}`);
+  }
+}
+
+function buildSlackMessage(payload: NotificationProviderPayload, details: ChatMessageDetails): Record<string, unknown> {
+  return {
+    text: escapeSlackText(payload.title),
+    attachments: [{
+      fallback: escapeSlackText(`${payload.title}: ${payload.message}`),
+      color: SEVERITY_COLORS[payload.severity],
+      title: escapeSlackText(payload.title),
+      ...(details.link ? { title_link: details.link } : {}),
+      text: escapeSlackText(payload.message),
+      fields: details.fields.map((field) => ({ title: field.label, value: escapeSlackText(field.value), short: true })),
+      footer: payload.rule_name ? escapeSlackText(payload.rule_name) : undefined,
+      ts: Math.floor(Date.parse(payload.sent_at) / 1000),
+    }],
+  };
+}
+
+function buildDiscordMessage(payload: NotificationProviderPayload, details: ChatMessageDetails, username: string): Record<string, unknown> {
+  return {
+    ...(username ? { username } : {}),
+    allowed_mentions: { parse: [] },
+    embeds: [{
+      title: truncateText(payload.title, 256),
+      description: truncateText(payload.message, 4096),
+      color: Number.parseInt(SEVERITY_COLORS[payload.severity].slice(1), 16),
+      ...(details.link ? { url: details.link } : {}),
+      fields: details.fields.map((field) => ({ name: field.label, value: truncateText(field.value, 1024), inline: true })),
+      ...(payload.rule_name ? { footer: { text: truncateText(payload.rule_name, 2048) } } : {}),
+      timestamp: payload.sent_at,
+    }],
+  };
+}
+
+function buildTeamsMessage(payload: NotificationProviderPayload, details: ChatMessageDetails): Record<string, unknown> {
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        msteams: { width: 'Full' },
+        body: [
+          { type: 'TextBlock', text: payload.title, weight: 'Bolder', size: 'Medium', color: TEAMS_SEVERITY_COLORS[payload.severity], wrap: true },
+          { type: 'TextBlock', text: payload.message, wrap: true },
+          ...(details.fields.length > 0
+            ? [{ type: 'FactSet', facts: details.fields.map((field) => ({ title: field.label, value: field.value })) }]
+            : []),
+        ],
+        ...(details.link ? { actions: [{ type: 'Action.OpenUrl', title: 'Open alert', url: details.link }] } : {}),
+      },
+    }],
+  };
+}
+
+function buildTelegramText(payload: NotificationProviderPayload, details: ChatMessageDetails): string {
+  const lines = [
+    `${SEVERITY_EMOJI[payload.severity]} <b>${escapeHtml(payload.title)}</b>`,
+    escapeHtml(truncateText(payload.message, 3000)),
+  ];
+  if (details.fields.length > 0) {
+    lines.push('', ...details.fields.map((field) => `<b>${escapeHtml(field.label)}:</b> ${escapeHtml(field.value)}`));
+  }
+  if (details.link) {
+    lines.push('', `<a href="${escapeHtml(details.link)}">Open alert</a>`);
+  }
+  return lines.join('\n');
+}
+
+function buildMatrixMessage(payload: NotificationProviderPayload, details: ChatMessageDetails): Record<string, unknown> {
+  const plainLines = [payload.title, payload.message, ...details.fields.map((field) => `${field.label}: ${field.value}`)];
+  const htmlParts = [
+    `<h4><font data-mx-color="${SEVERITY_COLORS[payload.severity]}">${escapeHtml(payload.title)}</font></h4>`,
+    `<p>${escapeHtml(payload.message).replace(/\n/g, '<br>')}</p>`,
+  ];
+  if (details.fields.length > 0) {
+    htmlParts.push(`<ul>${details.fields.map((field) => `<li><b>${escapeHtml(field.label)}:</b> ${escapeHtml(field.value)}</li>`).join('')}</ul>`);
+  }
+  if (details.link) {
+    plainLines.push(details.link);
+    htmlParts.push(`<p><a href="${escapeHtml(details.link)}">Open alert</a></p>`);
+  }
+  return {
+    msgtype: payload.severity === 'info' ? 'm.notice' : 'm.text',
+    body: plainLines.join('\n'),
+    format: 'org.matrix.custom.html',
+    formatted_body: htmlParts.join(''),
+  };
+}
+
 function normalizeEmailTlsMode(value: unknown, legacySecure: unknown, legacyPort: unknown): SmtpTlsMode {
   if (value === 'plain' || value === 'starttls' || value === 'tls') {
     return value;
@@ -571,6 +751,51 @@ function normalizeEmailTlsMode(value: unknown, legacySecure: unknown, legacyPort
 }
 
 const providers: Record<NotificationChannelType, NotificationProvider> = {
+  discord: {
+    type: 'discord',
+    secretFields: ['discordWebhookUrl'],
+    getDefaultConfig() {
+      return {
+        discordWebhookUrl: '',
+        discordUsername: 'CrowdSec',
+        linkBaseUrl: '',
+      };
+    },
+    normalizeConfig(config, existingConfig) {
+      const raw = asRecord(config);
+      const existing = existingConfig ? this.normalizeConfig(existingConfig) : this.getDefaultConfig();
+      const incomingUrl = stringValue(raw.discordWebhookUrl);
+      return {
+        discordWebhookUrl: isStoredSecret(incomingUrl)
+          ? rawStringValue(existing.discordWebhookUrl)
+          : incomingUrl,
+        discordUsername: rawStringValue(raw.discordUsername, rawStringValue(existing.discordUsername)),
+        linkBaseUrl: stringValue(raw.linkBaseUrl, stringValue(existing.linkBaseUrl)),
+      };
+    },
+    maskConfig(config) {
+      return {
+        ...config,
+        discordWebhookUrl: maskSecret(rawStringValue(config.discordWebhookUrl)),
+      };
+    },
+    validateConfig(config) {
+      const normalized = this.normalizeConfig(config);
+      if (!stringValue(normalized.discordWebhookUrl)) return 'Discord webhook URL is required';
+      return validateHttpUrl(stringValue(normalized.discordWebhookUrl), 'Discord webhook URL')
+        || validateLinkBaseUrl(stringValue(normalized.linkBaseUrl));
+    },
+    async send(channel, payload, context) {
+      const config = this.normalizeConfig(channel.config);
+      const url = stringValue(config.discordWebhookUrl);
+      await context.assertUrlAllowed(url, 'Discord webhook URL');
+      const details = getChatMessageDetails(payload, stringValue(config.linkBaseUrl));
+      await postChatJson(url, buildDiscordMessage(payload, details, rawStringValue(config.discordUsername)), 'Discord', context);
+    },
+    getConfiguredSecrets(config) {
+      return rawStringValue(config.discordWebhookUrl) ? ['discordWebhookUrl'] : [];
+    },
+  },
   email: {
     type: 'email',
     secretFields: ['smtpPassword'],
@@ -658,6 +883,8 @@ const providers: Record<NotificationChannelType, NotificationProvider> = {
         to: recipients,
         subject: prefix ? `${prefix} ${subject}` : subject,
         text: payload.message,
+        html: payload.html,
+        attachments: payload.attachments,
       });
     },
     getConfiguredSecrets(config) {
@@ -736,6 +963,63 @@ const providers: Record<NotificationChannelType, NotificationProvider> = {
       return rawStringValue(config.gotifyToken) ? ['gotifyToken'] : [];
     },
   },
+  matrix: {
+    type: 'matrix',
+    secretFields: ['matrixAccessToken'],
+    getDefaultConfig() {
+      return {
+        matrixHomeserverUrl: '',
+        matrixAccessToken: '',
+        matrixRoomId: '',
+        linkBaseUrl: '',
+      };
+    },
+    normalizeConfig(config, existingConfig) {
+      const raw = asRecord(config);
+      const existing = existingConfig ? this.normalizeConfig(existingConfig) : this.getDefaultConfig();
+      const incomingToken = rawStringValue(raw.matrixAccessToken);
+      return {
+        matrixHomeserverUrl: stringValue(raw.matrixHomeserverUrl, stringValue(existing.matrixHomeserverUrl)),
+        matrixAccessToken: isStoredSecret(incomingToken)
+          ? rawStringValue(existing.matrixAccessToken)
+          : incomingToken,
+        matrixRoomId: stringValue(raw.matrixRoomId, stringValue(existing.matrixRoomId)),
+        linkBaseUrl: stringValue(raw.linkBaseUrl, stringValue(existing.linkBaseUrl)),
+      };
+    },
+    maskConfig(config) {
+      return {
+        ...config,
+        matrixAccessToken: maskSecret(rawStringValue(config.matrixAccessToken)),
+      };
+    },
+    validateConfig(config) {
+      const normalized = this.normalizeConfig(config);
+      if (!stringValue(normalized.matrixHomeserverUrl)) return 'Matrix homeserver URL is required';
+      const urlError = validateHttpUrl(stringValue(normalized.matrixHomeserverUrl), 'Matrix homeserver URL');
+      if (urlError) return urlError;
+      if (!stringValue(normalized.matrixAccessToken)) return 'Matrix access token is required';
+      if (!/^![^:\s]+:\S+$/.test(stringValue(normalized.matrixRoomId))) {
+        return 'Matrix room ID must look like !room:example.org';
+      }
+      return validateLinkBaseUrl(stringValue(normalized.linkBaseUrl));
+    },
+    async send(channel, payload, context) {
+      const config = this.normalizeConfig(channel.config);
+      const baseUrl = stringValue(config.matrixHomeserverUrl).replace(/\/+$/, '');
+      await context.assertUrlAllowed(baseUrl, 'Matrix homeserver URL');
+      const roomId = encodeURIComponent(stringValue(config.matrixRoomId));
+      // A fresh transaction ID per send; Matrix only uses it to drop retried duplicates.
+      const url = `${baseUrl}/_matrix/client/v3/rooms/${roomId}/send/m.room.message/${crypto.randomUUID()}`;
+      const details = getChatMessageDetails(payload, stringValue(config.linkBaseUrl));
+      await postChatJson(url, buildMatrixMessage(payload, details), 'Matrix', context, 'PUT', {
+        Authorization: `Bearer ${rawStringValue(config.matrixAccessToken)}`,
+      });
+    },
+    getConfiguredSecrets(config) {
+      return rawStringValue(config.matrixAccessToken) ? ['matrixAccessToken'] : [];
+    },
+  },
   mqtt: {
     type: 'mqtt',
     secretFields: ['password'],
@@ -908,6 +1192,146 @@ const providers: Record<NotificationChannelType, NotificationProvider> = {
       return secrets;
     },
   },
+  slack: {
+    type: 'slack',
+    secretFields: ['slackWebhookUrl'],
+    getDefaultConfig() {
+      return {
+        slackWebhookUrl: '',
+        linkBaseUrl: '',
+      };
+    },
+    normalizeConfig(config, existingConfig) {
+      const raw = asRecord(config);
+      const existing = existingConfig ? this.normalizeConfig(existingConfig) : this.getDefaultConfig();
+      const incomingUrl = stringValue(raw.slackWebhookUrl);
+      return {
+        slackWebhookUrl: isStoredSecret(incomingUrl)
+          ? rawStringValue(existing.slackWebhookUrl)
+          : incomingUrl,
+        linkBaseUrl: stringValue(raw.linkBaseUrl, stringValue(existing.linkBaseUrl)),
+      };
+    },
+    maskConfig(config) {
+      return {
+        ...config,
+        slackWebhookUrl: maskSecret(rawStringValue(config.slackWebhookUrl)),
+      };
+    },
+    validateConfig(config) {
+      const normalized = this.normalizeConfig(config);
+      if (!stringValue(normalized.slackWebhookUrl)) return 'Slack webhook URL is required';
+      return validateHttpUrl(stringValue(normalized.slackWebhookUrl), 'Slack webhook URL')
+        || validateLinkBaseUrl(stringValue(normalized.linkBaseUrl));
+    },
+    async send(channel, payload, context) {
+      const config = this.normalizeConfig(channel.config);
+      const url = stringValue(config.slackWebhookUrl);
+      await context.assertUrlAllowed(url, 'Slack webhook URL');
+      const details = getChatMessageDetails(payload, stringValue(config.linkBaseUrl));
+      await postChatJson(url, buildSlackMessage(payload, details), 'Slack', context);
+    },
+    getConfiguredSecrets(config) {
+      return rawStringValue(config.slackWebhookUrl) ? ['slackWebhookUrl'] : [];
+    },
+  },
+  teams: {
+    type: 'teams',
+    secretFields: ['teamsWebhookUrl'],
+    getDefaultConfig() {
+      return {
+        teamsWebhookUrl: '',
+        linkBaseUrl: '',
+      };
+    },
+    normalizeConfig(config, existingConfig) {
+      const raw = asRecord(config);
+      const existing = existingConfig ? this.normalizeConfig(existingConfig) : this.getDefaultConfig();
+      const incomingUrl = stringValue(raw.teamsWebhookUrl);
+      return {
+        teamsWebhookUrl: isStoredSecret(incomingUrl)
+          ? rawStringValue(existing.teamsWebhookUrl)
+          : incomingUrl,
+        linkBaseUrl: stringValue(raw.linkBaseUrl, stringValue(existing.linkBaseUrl)),
+      };
+    },
+    maskConfig(config) {
+      return {
+        ...config,
+        teamsWebhookUrl: maskSecret(rawStringValue(config.teamsWebhookUrl)),
+      };
+    },
+    validateConfig(config) {
+      const normalized = this.normalizeConfig(config);
+      if (!stringValue(normalized.teamsWebhookUrl)) return 'Teams webhook URL is required';
+      return validateHttpUrl(stringValue(normalized.teamsWebhookUrl), 'Teams webhook URL')
+        || validateLinkBaseUrl(stringValue(normalized.linkBaseUrl));
+    },
+    async send(channel, payload, context) {
+      const config = this.normalizeConfig(channel.config);
+      const url = stringValue(config.teamsWebhookUrl);
+      await context.assertUrlAllowed(url, 'Teams webhook URL');
+      const details = getChatMessageDetails(payload, stringValue(config.linkBaseUrl));
+      await postChatJson(url, buildTeamsMessage(payload, details), 'Teams', context);
+    },
+    getConfiguredSecrets(config) {
+      return rawStringValue(config.teamsWebhookUrl) ? ['teamsWebhookUrl'] : [];
+    },
+  },
+  telegram: {
+    type: 'telegram',
+    secretFields: ['telegramBotToken'],
+    getDefaultConfig() {
+      return {
+        telegramApiUrl: DEFAULT_TELEGRAM_API_URL,
+        telegramBotToken: '',
+        telegramChatId: '',
+        linkBaseUrl: '',
+      };
+    },
+    normalizeConfig(config, existingConfig) {
+      const raw = asRecord(config);
+      const existing = existingConfig ? this.normalizeConfig(existingConfig) : this.getDefaultConfig();
+      const incomingToken = rawStringValue(raw.telegramBotToken);
+      return {
+        telegramApiUrl: stringValue(raw.telegramApiUrl, stringValue(existing.telegramApiUrl) || DEFAULT_TELEGRAM_API_URL),
+        telegramBotToken: isStoredSecret(incomingToken)
+          ? rawStringValue(existing.telegramBotToken)
+          : incomingToken,
+        telegramChatId: stringValue(raw.telegramChatId, stringValue(existing.telegramChatId)),
+        linkBaseUrl: stringValue(raw.linkBaseUrl, stringValue(existing.linkBaseUrl)),
+      };
+    },
+    maskConfig(config) {
+      return {
+        ...config,
+        telegramBotToken: maskSecret(rawStringValue(config.telegramBotToken)),
+      };
+    },
+    validateConfig(config) {
+      const normalized = this.normalizeConfig(config);
+      const urlError = validateHttpUrl(stringValue(normalized.telegramApiUrl), 'Telegram API URL');
+      if (urlError) return urlError;
+      if (!stringValue(normalized.telegramBotToken)) return 'Telegram bot token is required';
+      if (!stringValue(normalized.telegramChatId)) return 'Telegram chat ID is required';
+      return validateLinkBaseUrl(stringValue(normalized.linkBaseUrl));
+    },
+    async send(channel, payload, context) {
+      const config = this.normalizeConfig(channel.config);
+      const baseUrl = stringValue(config.telegramApiUrl).replace(/\/+$/, '');
+      await context.assertUrlAllowed(baseUrl, 'Telegram API URL');
+      const details = getChatMessageDetails(payload, stringValue(config.linkBaseUrl));
+      await postChatJson(`${baseUrl}/bot${rawStringValue(config.telegramBotToken)}/sendMessage`, {
+        chat_id: stringValue(config.telegramChatId),
+        text: buildTelegramText(payload, details),
+        parse_mode: 'HTML',
+        link_preview_options: { is_disabled: true },
+      }, 'Telegram', context);
+    },
+    getConfiguredSecrets(config) {
+      return rawStringValue(config.telegramBotToken) ? ['telegramBotToken'] : [];
+    },
+  },
   webhook: {
     type: 'webhook',
     secretFields: ['auth', 'headers', 'body.fields'],
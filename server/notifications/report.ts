@@ -0,0 +1,320 @@
+import type {
+  DashboardStatListItem,
+  DashboardStatsBucket,
+  DashboardStatsResponse,
+  NotificationReport,
+  NotificationReportFrequency,
+} from '../../shared/contracts';
+import { NOTIFICATION_REPORT_FREQUENCIES } from '../../shared/contracts';
+import type { Translator } from '../i18n';
+import { getDateTimeKey, zonedDateTimeKeyToDate } from '../utils/date-time';
+import { toCsvCell } from '../utils/export';
+import { isValidTimeZone } from './schedule';
+
+const CLOCK_TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1_000;
+
+export type ReportSchedule = Pick<NotificationReport, 'frequency' | 'send_time' | 'time_zone'>;
+
+/** Inclusive range of `YYYY-MM-DD` days on the report's wall clock. */
+export interface ReportPeriod {
+  start: string;
+  end: string;
+}
+
+export interface ReportStatsQuery {
+  instanceId: string;
+  dateStart: string;
+  dateEnd: string;
+  timeZone: string;
+}
+
+export type ReportMetricKey = 'alerts' | 'decisions' | 'simulatedAlerts' | 'simulatedDecisions';
+export type ReportSectionKey = 'countries' | 'scenarios' | 'as' | 'targets';
+
+export interface ReportMetric {
+  key: ReportMetricKey;
+  current: number;
+  previous: number;
+}
+
+export interface ReportSectionRow {
+  label: string;
+  count: number;
+  /** Null when the entry fell outside the previous period's top list, so its count there is unknown. */
+  previous: number | null;
+}
+
+export interface ReportSection {
+  key: ReportSectionKey;
+  rows: ReportSectionRow[];
+}
+
+export interface ReportSummary {
+  name: string;
+  scope: string;
+  timeZone: string;
+  period: ReportPeriod;
+  previousPeriod: ReportPeriod;
+  generatedAt: string;
+  metrics: ReportMetric[];
+  sections: ReportSection[];
+}
+
+export interface RenderedReport {
+  subject: string;
+  text: string;
+  html: string;
+  csv: string;
+  filename: string;
+}
+
+export function normalizeReportScheduleInput(
+  value: { frequency?: unknown; send_time?: unknown; time_zone?: unknown },
+  fallbackTimeZone: string,
+): ReportSchedule {
+  if (!NOTIFICATION_REPORT_FREQUENCIES.includes(value.frequency as NotificationReportFrequency)) {
+    throw new Error(`Report frequency must be one of: ${NOTIFICATION_REPORT_FREQUENCIES.join(', ')}`);
+  }
+  if (typeof value.send_time !== 'string' || !CLOCK_TIME_RE.test(value.send_time)) {
+    throw new Error('Report send time must use the HH:MM format');
+  }
+  const timeZone = typeof value.time_zone === 'string' && value.time_zone.trim() ? value.time_zone.trim() : fallbackTimeZone;
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid report time zone: ${timeZone}`);
+  }
+  return { frequency: value.frequency as NotificationReportFrequency, send_time: value.send_time, time_zone: timeZone };
+}
+
+/** Returns the most recent scheduled send time at or before `now`. */
+export function getLatestReportRun(schedule: ReportSchedule, now: Date): Date {
+  const anchor = getAnchorDay(schedule.frequency, getDateTimeKey(now.toISOString(), false, 0, schedule.time_zone));
+  const run = getRunInstant(schedule, anchor);
+  return run <= now ? run : getRunInstant(schedule, shiftAnchorDay(schedule.frequency, anchor, -1));
+}
+
+/** Returns the first scheduled send time after `now`. */
+export function getNextReportRun(schedule: ReportSchedule, now: Date): Date {
+  const anchor = getAnchorDay(schedule.frequency, getDateTimeKey(now.toISOString(), false, 0, schedule.time_zone));
+  const run = getRunInstant(schedule, anchor);
+  return run > now ? run : getRunInstant(schedule, shiftAnchorDay(schedule.frequency, anchor, 1));
+}
+
+/**
+ * A run reports on the complete period that ended the day before it (the previous day, the
+ * previous Monday-to-Sunday week or the previous calendar month) and compares it with the
+ * period before that.
+ */
+export function getReportPeriods(schedule: ReportSchedule, run: Date): { current: ReportPeriod; previous: ReportPeriod } {
+  const runDay = getDateTimeKey(run.toISOString(), false, 0, schedule.time_zone);
+  const currentStart = shiftAnchorDay(schedule.frequency, runDay, -1);
+  return {
+    current: { start: currentStart, end: addDays(runDay, -1) },
+    previous: { start: shiftAnchorDay(schedule.frequency, runDay, -2), end: addDays(currentStart, -1) },
+  };
+}
+
+/** Counts how many days lie between the start of `period` and `now`, both inclusive. */
+export function getReportRangeDays(period: ReportPeriod, now: Date, timeZone: string): number {
+  const today = getDateTimeKey(now.toISOString(), false, 0, timeZone);
+  return Math.round((parseDay(today) - parseDay(period.start)) / DAY_MS) + 1;
+}
+
+export function summarizeReportStats(
+  current: DashboardStatsResponse,
+  previous: DashboardStatsResponse,
+): Pick<ReportSummary, 'metrics' | 'sections'> {
+  // The dashboard's decision totals only count active decisions, so sum the period's decision buckets instead.
+  const toMetrics = (stats: DashboardStatsResponse): Record<ReportMetricKey, number> => ({
+    alerts: stats.filteredTotals.alerts - stats.filteredTotals.simulatedAlerts,
+    decisions: sumBuckets(stats.series.decisionsHistory),
+    simulatedAlerts: stats.filteredTotals.simulatedAlerts,
+    simulatedDecisions: sumBuckets(stats.series.simulatedDecisionsHistory),
+  });
+  const currentMetrics = toMetrics(current);
+  const previousMetrics = toMetrics(previous);
+  const previousCountries = new Map(previous.allCountries.map((country) => [country.countryCode, country.count]));
+
+  return {
+    metrics: (['alerts', 'decisions', 'simulatedAlerts', 'simulatedDecisions'] as const).map((key) => ({
+      key,
+      current: currentMetrics[key],
+      previous: previousMetrics[key],
+    })),
+    sections: [
+      {
+        key: 'countries',
+        // The country list of the previous period is complete, so a missing country had no alerts.
+        rows: current.topCountries.map((entry) => ({
+          label: entry.label,
+          count: entry.count,
+          previous: previousCountries.get(entry.countryCode || entry.label) ?? 0,
+        })),
+      },
+      { key: 'scenarios', rows: compareTopEntries(current.topScenarios, previous.topScenarios) },
+      { key: 'as', rows: compareTopEntries(current.topAS, previous.topAS) },
+      { key: 'targets', rows: compareTopEntries(current.topTargets, previous.topTargets) },
+    ],
+  };
+}
+
+export function renderReport(summary: ReportSummary, t: Translator): RenderedReport {
+  const period = formatPeriod(summary.period);
+  const previousPeriod = formatPeriod(summary.previousPeriod);
+  const subject = t('server.reports.subject', { name: summary.name, period });
+  const metrics = summary.metrics.filter((metric) =>
+    (metric.key !== 'simulatedAlerts' && metric.key !== 'simulatedDecisions') || metric.current > 0 || metric.previous > 0);
+  const headerLines = [
+    t('server.reports.period', { period, timeZone: summary.timeZone }),
+    t('server.reports.comparedWith', { period: previousPeriod }),
+    t('server.reports.scope', { scope: summary.scope }),
+  ];
+  const footer = t('server.reports.footer', { timestamp: summary.generatedAt });
+
+  const text = [
+    subject,
+    '',
+    ...headerLines,
+    '',
+    ...metrics.map((metric) => `${t(`server.reports.metrics.${metric.key}`)}: ${metric.current} (${formatChange(metric.current, metric.previous, t)})`),
+    ...summary.sections.flatMap((section) => [
+      '',
+      t(`server.reports.sections.${section.key}`),
+      ...(section.rows.length === 0
+        ? [t('server.reports.noData')]
+        : section.rows.map((row) => `- ${row.label}: ${row.count} (${formatChange(row.count, row.previous, t)})`)),
+    ]),
+    '',
+    footer,
+  ].join('\n');
+
+  const cell = 'padding:6px 8px;border-bottom:1px solid #e5e7eb;';
+  const html = [
+    '<!DOCTYPE html>',
+    `<html><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+    '<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">',
+    '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:640px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">',
+    `<tr><td><h1 style="margin:0 0 8px;font-size:20px;">${escapeHtml(summary.name)}</h1>`,
+    ...headerLines.map((line) => `<p style="margin:0 0 4px;font-size:13px;color:#4b5563;">${escapeHtml(line)}</p>`),
+    '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="margin:20px 0;border-collapse:separate;border-spacing:8px 0;"><tr>',
+    ...metrics.map((metric) => [
+      '<td style="background:#f9fafb;border:1px solid #e5e7eb;border-radius:6px;padding:12px;text-align:center;">',
+      `<div style="font-size:12px;color:#6b7280;">${escapeHtml(t(`server.reports.metrics.${metric.key}`))}</div>`,
+      `<div style="font-size:24px;font-weight:bold;margin:4px 0;">${metric.current}</div>`,
+      `<div style="font-size:12px;color:${getChangeColor(metric.current, metric.previous)};">${escapeHtml(formatChange(metric.current, metric.previous, t))}</div>`,
+      '</td>',
+    ].join('')),
+    '</tr></table>',
+    ...summary.sections.map((section) => [
+      `<h2 style="margin:20px 0 8px;font-size:15px;">${escapeHtml(t(`server.reports.sections.${section.key}`))}</h2>`,
+      section.rows.length === 0
+        ? `<p style="margin:0;font-size:13px;color:#6b7280;">${escapeHtml(t('server.reports.noData'))}</p>`
+        : [
+          '<table width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;font-size:13px;">',
+          `<tr style="color:#6b7280;text-align:left;"><th style="${cell}">${escapeHtml(t('server.reports.columns.name'))}</th>`,
+          `<th style="${cell}text-align:right;">${escapeHtml(t('server.reports.columns.count'))}</th>`,
+          `<th style="${cell}text-align:right;">${escapeHtml(t('server.reports.columns.change'))}</th></tr>`,
+          ...section.rows.map((row) => [
+            `<tr><td style="${cell}">${escapeHtml(row.label)}</td>`,
+            `<td style="${cell}text-align:right;">${row.count}</td>`,
+            `<td style="${cell}text-align:right;color:${getChangeColor(row.count, row.previous)};">${escapeHtml(formatChange(row.count, row.previous, t))}</td></tr>`,
+          ].join('')),
+          '</table>',
+        ].join(''),
+    ].join('')),
+    `<p style="margin:24px 0 0;font-size:12px;color:#9ca3af;">${escapeHtml(footer)}</p>`,
+    '</td></tr></table></body></html>',
+  ].join('\n');
+
+  // The CSV is meant for spreadsheets, so it keeps stable English keys regardless of the UI language.
+  const csvRows: Array<Array<string | number | null>> = [
+    ['section', 'name', 'current', 'previous', 'change'],
+    ...summary.metrics.map((metric) => ['totals', metric.key, metric.current, metric.previous, metric.current - metric.previous]),
+    ...summary.sections.flatMap((section) => section.rows.map((row) => [
+      section.key,
+      row.label,
+      row.count,
+      row.previous,
+      row.previous === null ? null : row.count - row.previous,
+    ])),
+  ];
+
+  return {
+    subject,
+    text,
+    html,
+    csv: csvRows.map((row) => `${row.map((value) => toCsvCell(value)).join(',')}\r\n`).join(''),
+    filename: `crowdsec-report-${summary.period.start}_${summary.period.end}.csv`,
+  };
+}
+
+function compareTopEntries(current: DashboardStatListItem[], previous: DashboardStatListItem[]): ReportSectionRow[] {
+  const previousCounts = new Map(previous.map((entry) => [entry.label, entry.count]));
+  return current.map((entry) => ({ label: entry.label, count: entry.count, previous: previousCounts.get(entry.label) ?? null }));
+}
+
+function sumBuckets(buckets: DashboardStatsBucket[]): number {
+  return buckets.reduce((total, bucket) => total + bucket.count, 0);
+}
+
+function formatPeriod(period: ReportPeriod): string {
+  return period.start === period.end ? period.start : `${period.start} – ${period.end}`;
+}
+
+function formatChange(current: number, previous: number | null, t: Translator): string {
+  if (previous === null) return '–';
+  if (previous === 0) return current === 0 ? '±0' : t('server.reports.new');
+  const difference = current - previous;
+  const percent = Math.round((difference / previous) * 100);
+  const sign = difference > 0 ? '+' : difference < 0 ? '' : '±';
+  return `${sign}${difference} (${sign}${percent}%)`;
+}
+
+function getChangeColor(current: number, previous: number | null): string {
+  if (previous === null || current === previous) return '#6b7280';
+  // More alerts and decisions than before is the direction that needs attention.
+  return current > previous ? '#b91c1c' : '#15803d';
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function getAnchorDay(frequency: NotificationReportFrequency, day: string): string {
+  if (frequency === 'weekly') {
+    // Weeks start on Monday.
+    return addDays(day, -((new Date(parseDay(day)).getUTCDay() + 6) % 7));
+  }
+  return frequency === 'monthly' ? `${day.slice(0, 7)}-01` : day;
+}
+
+function shiftAnchorDay(frequency: NotificationReportFrequency, day: string, steps: number): string {
+  if (frequency === 'daily') return addDays(day, steps);
+  if (frequency === 'weekly') return addDays(day, steps * 7);
+  const date = new Date(parseDay(day));
+  date.setUTCMonth(date.getUTCMonth() + steps);
+  return formatDay(date.getTime());
+}
+
+function getRunInstant(schedule: ReportSchedule, day: string): Date {
+  const [hours, minutes] = schedule.send_time.split(':');
+  return new Date(zonedDateTimeKeyToDate(`${day}T${hours}`, schedule.time_zone).getTime() + Number(minutes) * 60_000);
+}
+
+function addDays(day: string, days: number): string {
+  return formatDay(parseDay(day) + days * DAY_MS);
+}
+
+function parseDay(day: string): number {
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date);
+}
+
+function formatDay(timestamp: number): string {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
@@ -0,0 +1,142 @@
+import type {
+  NotificationDigest,
+  NotificationEscalation,
+  NotificationQuietHours,
+} from '../../shared/contracts';
+import { getZonedMinutesOfDay } from '../utils/date-time';
+
+const CLOCK_TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MINUTES_PER_DAY = 24 * 60;
+
+export interface RuleDeliveryOptions {
+  quiet_hours: NotificationQuietHours | null;
+  escalation: NotificationEscalation | null;
+}
+
+export interface ChannelDeliveryOptions {
+  quiet_hours: NotificationQuietHours | null;
+  digest: NotificationDigest | null;
+}
+
+export function parseRuleDeliveryOptions(value: string | undefined): RuleDeliveryOptions {
+  const parsed = parseJsonObject(value);
+  return {
+    quiet_hours: readQuietHours(parsed.quiet_hours),
+    escalation: readEscalation(parsed.escalation),
+  };
+}
+
+export function parseChannelDeliveryOptions(value: string | undefined): ChannelDeliveryOptions {
+  const parsed = parseJsonObject(value);
+  return {
+    quiet_hours: readQuietHours(parsed.quiet_hours),
+    digest: readDigest(parsed.digest),
+  };
+}
+
+export function normalizeQuietHoursInput(value: unknown, fallbackTimeZone: string): NotificationQuietHours | null {
+  if (value === undefined || value === null) return null;
+  const quietHours = readQuietHours(value, fallbackTimeZone);
+  if (!quietHours) {
+    throw new Error('Quiet hours need different HH:MM start and end times and a valid IANA time zone');
+  }
+  return quietHours;
+}
+
+export function normalizeEscalationInput(value: unknown): NotificationEscalation | null {
+  if (value === undefined || value === null) return null;
+  const escalation = readEscalation(value);
+  if (!escalation) {
+    throw new Error('Escalation needs a destination and a positive number of minutes');
+  }
+  return escalation;
+}
+
+export function normalizeDigestInput(value: unknown): NotificationDigest | null {
+  if (value === undefined || value === null) return null;
+  const digest = readDigest(value);
+  if (!digest) {
+    throw new Error('Digest interval must be a positive number of minutes');
+  }
+  return digest;
+}
+
+/**
+ * Returns when the quiet hours that contain `now` end, or null outside quiet hours.
+ * The window is evaluated on the wall clock of its own time zone and may wrap past midnight.
+ */
+export function getQuietHoursEnd(quietHours: NotificationQuietHours | null, now: Date): Date | null {
+  if (!quietHours) return null;
+  const start = parseClockMinutes(quietHours.start);
+  const end = parseClockMinutes(quietHours.end);
+  const current = getZonedMinutesOfDay(now, quietHours.time_zone);
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inside) return null;
+
+  const minutesLeft = (end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const minuteStart = now.getTime() - (now.getTime() % 60_000);
+  const naiveEnd = minuteStart + minutesLeft * 60_000;
+  // A DST switch inside the window shifts the wall clock, so correct by how far the naive end drifted.
+  const drift = ((getZonedMinutesOfDay(new Date(naiveEnd), quietHours.time_zone) - end + MINUTES_PER_DAY * 1.5) % MINUTES_PER_DAY) - MINUTES_PER_DAY / 2;
+  const adjustedEnd = naiveEnd - drift * 60_000;
+  return new Date(adjustedEnd > now.getTime() ? adjustedEnd : naiveEnd);
+}
+
+function readQuietHours(value: unknown, fallbackTimeZone = 'UTC'): NotificationQuietHours | null {
+  if (!isRecord(value)) return null;
+  const { start, end } = value;
+  const timeZone = typeof value.time_zone === 'string' && value.time_zone.trim() ? value.time_zone.trim() : fallbackTimeZone;
+  if (typeof start !== 'string' || typeof end !== 'string' || !CLOCK_TIME_RE.test(start) || !CLOCK_TIME_RE.test(end)) {
+    return null;
+  }
+  if (start === end || !isValidTimeZone(timeZone)) return null;
+  return { start, end, time_zone: timeZone };
+}
+
+function readEscalation(value: unknown): NotificationEscalation | null {
+  if (!isRecord(value)) return null;
+  const channelId = typeof value.channel_id === 'string' ? value.channel_id.trim() : '';
+  const afterMinutes = readPositiveMinutes(value.after_minutes);
+  return channelId && afterMinutes ? { channel_id: channelId, after_minutes: afterMinutes } : null;
+}
+
+function readDigest(value: unknown): NotificationDigest | null {
+  if (!isRecord(value)) return null;
+  const intervalMinutes = readPositiveMinutes(value.interval_minutes);
+  return intervalMinutes ? { interval_minutes: intervalMinutes } : null;
+}
+
+function readPositiveMinutes(value: unknown): number | null {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 1 ? Math.round(numeric) : null;
+}
+
+function parseClockMinutes(value: string): number {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone }).format(new Date(0));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseJsonObject(value: string | undefined): Record<string, unknown> {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value) as unknown;
+    return isRecord(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
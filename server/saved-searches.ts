@@ -0,0 +1,183 @@
+import type {
+  SavedSearch,
+  TableColumnId,
+  TableColumnPreferenceTable,
+  UpsertSavedSearchRequest,
+} from '../shared/contracts';
+import { DEFAULT_TABLE_COLUMN_PREFERENCES, TABLE_COLUMN_DEFINITIONS } from '../shared/contracts';
+import { compileAlertSearch, compileDecisionSearch } from '../shared/search';
+import { withBackupEntry, type BackupParticipant } from './backup';
+import type { CrowdsecDatabase, SavedSearchRow, SavedSearchWriteParams } from './database';
+
+const SAVED_SEARCH_NAME_MAX_LENGTH = 100;
+const SAVED_SEARCH_QUERY_MAX_LENGTH = 4_000;
+const SAVED_SEARCH_DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}(:\d{2}){0,2})?$/;
+const SAVED_SEARCH_PAGES: TableColumnPreferenceTable[] = ['alerts', 'decisions'];
+
+export interface SavedSearchViewer {
+  userId: number | null;
+  canManageSettings: boolean;
+}
+
+export function normalizeSavedSearchInput(
+  input: UpsertSavedSearchRequest,
+  instanceIds: string[],
+): Omit<SavedSearchWriteParams, 'id' | 'userId'> | { error: string } {
+  const page = input.page;
+  if (!SAVED_SEARCH_PAGES.includes(page)) {
+    return { error: `Invalid saved search page. Must be one of: ${SAVED_SEARCH_PAGES.join(', ')}` };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: 'Saved search name is required' };
+  if (name.length > SAVED_SEARCH_NAME_MAX_LENGTH) {
+    return { error: `Saved search name must be at most ${SAVED_SEARCH_NAME_MAX_LENGTH} characters` };
+  }
+
+  const query = typeof input.query === 'string' ? input.query.trim() : '';
+  if (query.length > SAVED_SEARCH_QUERY_MAX_LENGTH) {
+    return { error: `Saved search query must be at most ${SAVED_SEARCH_QUERY_MAX_LENGTH} characters` };
+  }
+  const features = { machineEnabled: true, originEnabled: true };
+  const compiled = page === 'alerts' ? compileAlertSearch(query, features) : compileDecisionSearch(query, features);
+  if (!compiled.ok) {
+    return { error: `Invalid search query at character ${compiled.error.position + 1}: ${compiled.error.message}` };
+  }
+
+  const dateStart = normalizeSavedSearchDate(input.date_start);
+  const dateEnd = normalizeSavedSearchDate(input.date_end);
+  if (dateStart === undefined || dateEnd === undefined) {
+    return { error: 'Saved search dates must use YYYY-MM-DD or YYYY-MM-DDTHH' };
+  }
+
+  const instance = typeof input.instance === 'string' && input.instance.trim() ? input.instance.trim() : 'all';
+  if (instance !== 'all' && !instanceIds.includes(instance)) {
+    return { error: `Unknown instance: ${instance}` };
+  }
+
+  const columns = normalizeSavedSearchColumns(page, input.columns);
+  if ('error' in columns) return columns;
+
+  return {
+    page,
+    name,
+    query,
+    dateStart,
+    dateEnd,
+    instance,
+    columns: columns.columns,
+    shared: input.shared === true,
+  };
+}
+
+export function canEditSavedSearch(row: SavedSearchRow, viewer: SavedSearchViewer): boolean {
+  if (row.user_id === viewer.userId) return true;
+  // Settings managers can tidy up searches that other users shared with everyone.
+  return row.shared === 1 && viewer.canManageSettings;
+}
+
+export function toSavedSearch(row: SavedSearchRow, viewer: SavedSearchViewer): SavedSearch {
+  const page = row.page as TableColumnPreferenceTable;
+  return {
+    id: row.id,
+    page,
+    name: row.name,
+    query: row.query,
+    date_start: row.date_start,
+    date_end: row.date_end,
+    instance: row.instance,
+    columns: parseSavedSearchColumns(page, row.columns_json),
+    shared: row.shared === 1,
+    owner: row.owner_username,
+    editable: canEditSavedSearch(row, viewer),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/**
+ * Backs up every saved search, private ones included, keyed by ID and tied to
+ * its owner by username. Runs after users are restored so owners resolve.
+ */
+export function createSavedSearchBackup(database: CrowdsecDatabase, getInstanceIds: () => string[]): BackupParticipant {
+  return {
+    exportBackup: () => ({
+      saved_searches: database.listAllSavedSearches().map((row) => ({
+        id: row.id,
+        owner: row.owner_username,
+        page: row.page,
+        name: row.name,
+        query: row.query,
+        date_start: row.date_start,
+        date_end: row.date_end,
+        instance: row.instance,
+        columns: parseSavedSearchColumns(row.page as TableColumnPreferenceTable, row.columns_json),
+        shared: row.shared === 1,
+      })),
+    }),
+    applyBackup: (payload, options) => {
+      if (options.mode === 'replace') {
+        const ids = new Set(payload.saved_searches.map((entry) => entry.id));
+        for (const row of database.listAllSavedSearches()) {
+          if (!ids.has(row.id)) database.deleteSavedSearch(row.id);
+        }
+      }
+
+      for (const entry of payload.saved_searches) {
+        withBackupEntry('Saved search', entry.name, () => {
+          const input = normalizeSavedSearchInput(entry as unknown as UpsertSavedSearchRequest, getInstanceIds());
+          if ('error' in input) throw new Error(input.error);
+          let userId: number | null = null;
+          if (entry.owner) {
+            const owner = database.getAuthUserByUsername(entry.owner);
+            if (!owner) throw new Error(`Unknown owner: ${entry.owner}`);
+            userId = owner.id;
+          }
+
+          const existing = database.getSavedSearchById(entry.id);
+          if (existing && existing.user_id === userId) {
+            database.updateSavedSearch({ ...input, id: entry.id, userId });
+            return;
+          }
+          if (existing) database.deleteSavedSearch(entry.id);
+          database.insertSavedSearch({ ...input, id: entry.id, userId });
+        });
+      }
+    },
+  };
+}
+
+function normalizeSavedSearchDate(value: unknown): string | null | undefined {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || !SAVED_SEARCH_DATE_RE.test(value)) return undefined;
+  return value;
+}
+
+function normalizeSavedSearchColumns(
+  page: TableColumnPreferenceTable,
+  value: unknown,
+): { columns: TableColumnId[] } | { error: string } {
+  if (value === undefined || value === null) {
+    return { columns: [...DEFAULT_TABLE_COLUMN_PREFERENCES[page]] };
+  }
+  if (!Array.isArray(value)) return { error: 'Saved search columns must be an array' };
+
+  const validColumnIds = new Set(TABLE_COLUMN_DEFINITIONS[page].map((column) => column.id));
+  const columns: TableColumnId[] = [];
+  for (const column of value) {
+    if (typeof column !== 'string' || !validColumnIds.has(column as TableColumnId)) {
+      return { error: `Unknown ${page} column: ${String(column)}` };
+    }
+    if (!columns.includes(column as TableColumnId)) columns.push(column as TableColumnId);
+  }
+  return { columns };
+}
+
+function parseSavedSearchColumns(page: TableColumnPreferenceTable, value: string): TableColumnId[] {
+  try {
+    const parsed = normalizeSavedSearchColumns(page, JSON.parse(value));
+    return 'columns' in parsed ? parsed.columns : [...DEFAULT_TABLE_COLUMN_PREFERENCES[page]];
+  } catch {
+    return [...DEFAULT_TABLE_COLUMN_PREFERENCES[page]];
+  }
+}
@@ -1,3 +1,4 @@
+import { randomUUID } from 'node:crypto';
 import net from 'node:net';
 import tls from 'node:tls';
 
@@ -12,6 +13,20 @@ export interface SmtpMessage {
   to: string[];
   subject: string;
   text: string;
+  /** Sent as an HTML alternative to `text`, which stays the fallback for plain-text clients. */
+  html?: string;
+  attachments?: SmtpAttachment[];
+}
+
+export interface SmtpAttachment {
+  filename: string;
+  contentType: string;
+  content: string | Buffer;
+}
+
+interface MimeEntity {
+  headers: string[];
+  body: string;
 }
 
 export type SmtpTlsMode = 'plain' | 'starttls' | 'tls';
@@ -49,14 +64,15 @@ export async function sendSmtpMail(message: SmtpMessage): Promise<void> {
 
     await smtpCommand(socket, reader, 'DATA', [354]);
 
+    const entity = buildMimeEntity(message);
     const payload = [
       `From: ${message.from}`,
       `To: ${message.to.join(', ')}`,
       `Subject: ${message.subject}`,
-      'Content-Type: text/plain; charset="utf-8"',
+      ...entity.headers,
       'MIME-Version: 1.0',
       '',
-      dotStuff(message.text),
+      dotStuff(entity.body),
     ].join('\r\n');
 
     socket.write(`${payload}\r\n.\r\n`);
@@ -67,6 +83,51 @@ export async function sendSmtpMail(message: SmtpMessage): Promise<void> {
   }
 }
 
+function buildMimeEntity(message: SmtpMessage): MimeEntity {
+  const textPart: MimeEntity = { headers: ['Content-Type: text/plain; charset="utf-8"'], body: message.text };
+  const bodyPart = message.html
+    ? buildMultipart('alternative', [
+      textPart,
+      { headers: ['Content-Type: text/html; charset="utf-8"', 'Content-Transfer-Encoding: base64'], body: encodeBase64(message.html) },
+    ])
+    : textPart;
+  if (!message.attachments?.length) {
+    return bodyPart;
+  }
+
+  return buildMultipart('mixed', [
+    bodyPart,
+    ...message.attachments.map((attachment) => {
+      const filename = attachment.filename.replace(/["\r\n]/g, '');
+      return {
+        headers: [
+          `Content-Type: ${attachment.contentType}; name="${filename}"`,
+          `Content-Disposition: attachment; filename="${filename}"`,
+          'Content-Transfer-Encoding: base64',
+        ],
+        body: encodeBase64(attachment.content),
+      };
+    }),
+  ]);
+}
+
+function buildMultipart(subtype: 'alternative' | 'mixed', parts: MimeEntity[]): MimeEntity {
+  const boundary = `=_${subtype}_${randomUUID()}`;
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"`],
+    body: [
+      ...parts.flatMap((part) => [`--${boundary}`, ...part.headers, '', part.body]),
+      `--${boundary}--`,
+    ].join('\r\n'),
+  };
+}
+
+function encodeBase64(content: string | Buffer): string {
+  // Base64 keeps HTML and attachments within the SMTP line length limit.
+  const encoded = (typeof content === 'string' ? Buffer.from(content, 'utf8') : content).toString('base64');
+  return encoded.match(/.{1,76}/g)?.join('\r\n') ?? '';
+}
+
 function connectSmtp(
   host: string,
   port: number,
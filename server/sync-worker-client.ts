@@ -1,5 +1,6 @@
 import { Worker } from 'node:worker_threads';
 import type { AlertInsertParams, DecisionInsertParams, SearchIndexRebuildScope } from './database';
+import type { GeoIpConfig } from './geoip';
 
 export type DatabaseWrite = <T>(operation: () => T | Promise<T>) => Promise<T>;
 
@@ -24,7 +25,9 @@ type SyncWorkerRequest =
   | { type: 'begin-deferred-search-indexes'; dropSecondaryIndexes: boolean; clearSearchIndexes: boolean }
   | { type: 'rebuild-search-indexes'; scope?: SearchIndexRebuildScope }
   | { type: 'refresh-duplicate-flags'; now: string }
-  | { type: 'cleanup-old-data'; cutoff: string }
+  | { type: 'cleanup-old-data'; cutoff: string; hourlyRollupCutoff: string }
+  | { type: 'prune-audit-log'; cutoff: string }
+  | { type: 'backfill-geoip-enrichment' }
   | { type: 'clear-sync-data' };
 
 type SyncWorkerResponse = {
@@ -44,15 +47,17 @@ type PendingRequest = {
 export class DatabaseSyncWorker {
   private readonly dbPath: string;
   private readonly walEnabled: boolean;
+  private readonly geoIp: GeoIpConfig;
   private readonly timeoutMs: number;
   private worker: Worker | null = null;
   private nextId = 1;
   private readonly pending = new Map<number, PendingRequest>();
   private operationQueue: Promise<void> = Promise.resolve();
 
-  constructor(options: { dbPath: string; walEnabled?: boolean; timeoutMs?: number }) {
+  constructor(options: { dbPath: string; walEnabled?: boolean; geoIp?: GeoIpConfig; timeoutMs?: number }) {
     this.dbPath = options.dbPath;
     this.walEnabled = options.walEnabled ?? true;
+    this.geoIp = options.geoIp ?? {};
     this.timeoutMs = options.timeoutMs ?? 10 * 60_000;
   }
 
@@ -89,14 +94,22 @@ export class DatabaseSyncWorker {
     return this.execute({ type: 'refresh-duplicate-flags', now }, DUPLICATE_REFRESH_TIMEOUT_MS);
   }
 
-  cleanupOldData(cutoff: string): Promise<{ alerts: number; decisions: number }> {
-    return this.execute({ type: 'cleanup-old-data', cutoff });
+  cleanupOldData(cutoff: string, hourlyRollupCutoff: string): Promise<{ alerts: number; decisions: number }> {
+    return this.execute({ type: 'cleanup-old-data', cutoff, hourlyRollupCutoff });
+  }
+
+  pruneAuditLog(cutoff: string): Promise<number> {
+    return this.execute({ type: 'prune-audit-log', cutoff });
   }
 
   clearSyncData(): Promise<void> {
     return this.execute({ type: 'clear-sync-data' });
   }
 
+  backfillGeoIpEnrichment(): Promise<{ done: boolean; updated: number }> {
+    return this.execute({ type: 'backfill-geoip-enrichment' });
+  }
+
   runExclusive<T>(operation: () => T | Promise<T>): Promise<T> {
     const result = this.operationQueue.then(operation);
     this.operationQueue = result.then(() => undefined, () => undefined);
@@ -140,7 +153,7 @@ export class DatabaseSyncWorker {
     if (this.worker) return this.worker;
     const isTsRuntime = import.meta.url.endsWith('.ts');
     const worker = new Worker(new URL(`./sync-worker.${isTsRuntime ? 'ts' : 'js'}`, import.meta.url), {
-      workerData: { dbPath: this.dbPath, walEnabled: this.walEnabled },
+      workerData: { dbPath: this.dbPath, walEnabled: this.walEnabled, geoIp: this.geoIp },
       execArgv: isTsRuntime ? ['--import', 'tsx'] : [],
     });
     worker.on('message', (message: SyncWorkerResponse) => this.handleMessage(message));
@@ -1,5 +1,6 @@
 import { parentPort, workerData } from 'node:worker_threads';
 import { CrowdsecDatabase } from './database';
+import { createGeoIpLookup, type GeoIpConfig } from './geoip';
 import { installTimestampedConsole } from './logging';
 import type { SyncAlertMutation } from './sync-worker-client';
 
@@ -12,10 +13,11 @@ type WorkerRequest = {
 };
 
 installTimestampedConsole();
-const workerOptions = workerData as { dbPath: string; walEnabled?: boolean };
+const workerOptions = workerData as { dbPath: string; walEnabled?: boolean; geoIp?: GeoIpConfig };
 const database = new CrowdsecDatabase({
   dbPath: String(workerOptions.dbPath),
   walEnabled: workerOptions.walEnabled ?? true,
+  geoIp: createGeoIpLookup(workerOptions.geoIp || {}),
 });
 
 parentPort?.on('message', (message: WorkerRequest) => {
@@ -89,11 +91,13 @@ function execute(request: WorkerRequest['request']): unknown {
     return database.refreshDecisionDuplicateFlags(String(request.now));
   }
   if (request.type === 'cleanup-old-data') {
-    const cutoff = String(request.cutoff);
-    return {
-      alerts: database.deleteOldAlerts(cutoff),
-      decisions: database.deleteOldDecisions(cutoff),
-    };
+    return database.cleanupOldData(String(request.cutoff), String(request.hourlyRollupCutoff));
+  }
+  if (request.type === 'prune-audit-log') {
+    return database.pruneAuditLog(String(request.cutoff));
+  }
+  if (request.type === 'backfill-geoip-enrichment') {
+    return database.backfillGeoIpEnrichment();
   }
   if (request.type === 'clear-sync-data') {
     database.clearSyncData();
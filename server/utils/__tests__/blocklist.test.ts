@@ -0,0 +1,45 @@
+import { describe, expect, test } from 'vitest';
+import { detectBlocklistFormat, parseBlocklist } from '../blocklist';
+
+describe('blocklist parsing', () => {
+  test('detects JSON, CSV, and plain text lists', () => {
+    expect(detectBlocklistFormat(' ["1.2.3.4"]')).toBe('json');
+    expect(detectBlocklistFormat('# partner feed\nip,comment\n1.2.3.4,scanner')).toBe('csv');
+    expect(detectBlocklistFormat('1.2.3.4\n5.6.7.8')).toBe('text');
+  });
+
+  test('reads plain text lists with comments and trailing columns', () => {
+    expect(parseBlocklist('# DROP list\n1.2.3.0/24 ; SBL123\n\n5.6.7.8 scanner\n', 'text')).toEqual({
+      items: [
+        { position: 2, value: '1.2.3.0/24' },
+        { position: 4, value: '5.6.7.8' },
+      ],
+    });
+  });
+
+  test('uses a named CSV column when a header is present and the first column otherwise', () => {
+    expect(parseBlocklist('comment,"IP"\nscanner,"1.2.3.4"\n', 'csv')).toEqual({
+      items: [{ position: 2, value: '1.2.3.4' }],
+    });
+    expect(parseBlocklist('1.2.3.4;scanner\n5.6.7.8;bruteforce', 'csv')).toEqual({
+      items: [
+        { position: 1, value: '1.2.3.4' },
+        { position: 2, value: '5.6.7.8' },
+      ],
+    });
+  });
+
+  test('accepts JSON arrays of values or decision objects', () => {
+    expect(parseBlocklist('["1.2.3.4", {"ip": "5.6.7.8"}, {"value": "9.9.9.0/24"}, 42]', 'json')).toEqual({
+      items: [
+        { position: 1, value: '1.2.3.4' },
+        { position: 2, value: '5.6.7.8' },
+        { position: 3, value: '9.9.9.0/24' },
+        { position: 4, value: '' },
+      ],
+    });
+    expect(parseBlocklist('{"decisions": ["1.2.3.4"]}', 'json')).toEqual({ items: [{ position: 1, value: '1.2.3.4' }] });
+    expect(parseBlocklist('{not json', 'json')).toEqual({ error: 'Invalid JSON blocklist' });
+    expect(parseBlocklist('{"ip": "1.2.3.4"}', 'json')).toHaveProperty('error');
+  });
+});
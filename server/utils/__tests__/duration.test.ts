@@ -1,14 +1,28 @@
 import { describe, expect, test } from 'vitest';
+import { parseDuration } from '../../../shared/duration';
 import { parseGoDuration, toDuration } from '../duration';
 
 describe('duration helpers', () => {
   test('parseGoDuration handles mixed units and negatives', () => {
     expect(parseGoDuration('1h2m3s')).toBe(3_723_000);
     expect(parseGoDuration('-5m')).toBe(-300_000);
+    expect(parseGoDuration('3h59m58.5s')).toBe(14_398_500);
     expect(parseGoDuration(undefined)).toBe(0);
   });
 
   test('toDuration converts a timestamp delta to Go-style duration', () => {
     expect(toDuration(1_000, 3_723_000 + 1_000)).toBe('1h2m3s');
   });
+
+  test('parseDuration accepts compound Go durations and days', () => {
+    expect(parseDuration('90s')).toBe(90_000);
+    expect(parseDuration('7d')).toBe(604_800_000);
+    expect(parseDuration('1h30m')).toBe(5_400_000);
+    expect(parseDuration('4h0m0s')).toBe(14_400_000);
+    expect(parseDuration('1d12h')).toBe(129_600_000);
+    expect(parseDuration('250ms')).toBe(250);
+    expect(parseDuration('-5m')).toBeNull();
+    expect(parseDuration('4 hours')).toBeNull();
+    expect(parseDuration('')).toBeNull();
+  });
 });
@@ -0,0 +1,85 @@
+import type { DecisionImportFormat } from '../../shared/contracts';
+
+export interface BlocklistItem {
+  position: number;
+  value: string;
+}
+
+const CSV_VALUE_COLUMNS = ['value', 'ip', 'ip_address', 'address', 'range', 'cidr'];
+
+export function detectBlocklistFormat(content: string): DecisionImportFormat {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  const firstLine = trimmed.split(/\r?\n/).find((line) => line.trim() && !line.trim().startsWith('#')) || '';
+  return /[,;]/.test(firstLine) ? 'csv' : 'text';
+}
+
+export function parseBlocklist(
+  content: string,
+  format: DecisionImportFormat,
+): { items: BlocklistItem[] } | { error: string } {
+  switch (format) {
+    case 'text':
+      return { items: parseTextBlocklist(content) };
+    case 'csv':
+      return { items: parseCsvBlocklist(content) };
+    case 'json':
+      return parseJsonBlocklist(content);
+  }
+}
+
+function parseTextBlocklist(content: string): BlocklistItem[] {
+  const items: BlocklistItem[] = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    const value = line.replace(/[#;].*$/, '').trim().split(/\s+/)[0];
+    if (value) items.push({ position: index + 1, value });
+  });
+  return items;
+}
+
+function parseCsvBlocklist(content: string): BlocklistItem[] {
+  const items: BlocklistItem[] = [];
+  let column = 0;
+  let headerChecked = false;
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const cells = line.split(/[,;]/).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    if (!headerChecked) {
+      headerChecked = true;
+      const headerColumn = cells.findIndex((cell) => CSV_VALUE_COLUMNS.includes(cell.toLowerCase()));
+      if (headerColumn >= 0) {
+        column = headerColumn;
+        return;
+      }
+    }
+    const value = cells[column];
+    if (value) items.push({ position: index + 1, value });
+  });
+  return items;
+}
+
+function parseJsonBlocklist(content: string): { items: BlocklistItem[] } | { error: string } {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(content);
+  } catch {
+    return { error: 'Invalid JSON blocklist' };
+  }
+  const list = Array.isArray(parsed)
+    ? parsed
+    : parsed && typeof parsed === 'object' && Array.isArray((parsed as { decisions?: unknown }).decisions)
+      ? (parsed as { decisions: unknown[] }).decisions
+      : null;
+  if (!list) return { error: 'JSON blocklists must be an array of values or objects with a "value" or "ip" field' };
+
+  const items: BlocklistItem[] = [];
+  list.forEach((entry, index) => {
+    const value = typeof entry === 'string'
+      ? entry
+      : entry && typeof entry === 'object'
+        ? (entry as { value?: unknown }).value ?? (entry as { ip?: unknown }).ip
+        : undefined;
+    items.push({ position: index + 1, value: typeof value === 'string' ? value.trim() : String(value ?? '') });
+  });
+  return { items };
+}
@@ -113,6 +113,17 @@ export function getTimeZoneOffsetMs(date: Date, timeZone: string): number {
   return representedAsUtc - Math.floor(date.getTime() / 1_000) * 1_000;
 }
 
+export function getZonedMinutesOfDay(date: Date, timeZone: string): number {
+  const parts = new Intl.DateTimeFormat('en', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type: Intl.DateTimeFormatPartTypes) => Number(parts.find((entry) => entry.type === type)?.value || 0);
+  return part('hour') * 60 + part('minute');
+}
+
 function parseWallDateTimeKey(key: string): number {
   const [datePart, timePart] = key.split('T');
   const [year, month, day] = datePart.split('-').map(Number);
@@ -0,0 +1,99 @@
+import type { AlertDecision, AlertRecord, DecisionListItem } from '../../shared/contracts';
+
+export function toDecisionListItem(
+  decision: AlertDecision & Record<string, unknown>,
+  includeExpired: boolean,
+): DecisionListItem {
+  const expired = includeExpired
+    ? Boolean(decision.stop_at && new Date(String(decision.stop_at)) < new Date())
+    : false;
+
+  return {
+    id: decision.id,
+    instance_id: typeof decision.instance_id === 'string' ? decision.instance_id : undefined,
+    instance_name: typeof decision.instance_name === 'string' ? decision.instance_name : undefined,
+    created_at: String(decision.created_at || ''),
+    machine: typeof decision.machine === 'string' ? decision.machine : undefined,
+    scenario: typeof decision.scenario === 'string' ? decision.scenario : undefined,
+    value: typeof decision.value === 'string' ? decision.value : undefined,
+    expired,
+    is_duplicate: decision.is_duplicate === true,
+    simulated: normalizeDecisionSimulated(decision),
+    detail: {
+      origin: typeof decision.origin === 'string' ? decision.origin : 'manual',
+      type: typeof decision.type === 'string' ? decision.type : undefined,
+      reason: typeof decision.scenario === 'string' ? decision.scenario : undefined,
+      action: typeof decision.type === 'string' ? decision.type : undefined,
+      country: typeof decision.country === 'string' ? decision.country : 'Unknown',
+      region: typeof decision.region === 'string' ? decision.region : undefined,
+      city: typeof decision.city === 'string' ? decision.city : undefined,
+      as: typeof decision.as === 'string' ? decision.as : 'Unknown',
+      geo_enriched: Array.isArray(decision.geo_enriched) ? decision.geo_enriched as string[] : undefined,
+      events_count: typeof decision.events_count === 'number' ? decision.events_count : 0,
+      duration: typeof decision.duration === 'string' ? decision.duration : 'N/A',
+      expiration: typeof decision.stop_at === 'string' ? decision.stop_at : undefined,
+      alert_id: decision.alert_id as string | number | undefined,
+      target: typeof decision.target === 'string' ? decision.target : null,
+      simulated: normalizeDecisionSimulated(decision),
+    },
+  };
+}
+
+export function normalizeDecisionSimulated(
+  decision: Pick<AlertDecision, 'simulated'> | (AlertDecision & Record<string, unknown>),
+  alert?: Pick<AlertRecord, 'simulated'> | null,
+): boolean {
+  const explicit = parseSimulationBoolean(decision.simulated);
+  if (explicit !== null) {
+    return explicit;
+  }
+
+  if (
+    hasSimulationMarker((decision as Record<string, unknown>).type) ||
+    hasSimulationMarker((decision as Record<string, unknown>).action) ||
+    hasSimulationMarker((decision as Record<string, unknown>).decisions)
+  ) {
+    return true;
+  }
+
+  return normalizeAlertSimulated(alert);
+}
+
+export function normalizeAlertSimulated(alert: Pick<AlertRecord, 'simulated'> | null | undefined): boolean {
+  const explicit = parseSimulationBoolean(alert?.simulated);
+  if (explicit !== null) {
+    return explicit;
+  }
+
+  return false;
+}
+
+function parseSimulationBoolean(value: unknown): boolean | null {
+  if (value === true || value === false) {
+    return value;
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  if (['1', 'true', 'yes', 'on'].includes(normalized)) {
+    return true;
+  }
+
+  if (['0', 'false', 'no', 'off'].includes(normalized)) {
+    return false;
+  }
+
+  return null;
+}
+
+function hasSimulationMarker(value: unknown): boolean {
+  if (typeof value !== 'string') {
+    return false;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  return normalized.startsWith('(simul)') || normalized.includes('simulated');
+}
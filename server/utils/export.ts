@@ -0,0 +1,136 @@
+import type {
+  DecisionListItem,
+  ExportFormat,
+  SlimAlert,
+  TableColumnDefinition,
+  TableColumnId,
+} from '../../shared/contracts';
+import { resolveMachineName } from '../../shared/machine';
+import { getAlertSourceValue } from './alerts';
+
+type ExportValue = string | number | null;
+
+export interface ExportSerializer {
+  contentType: string;
+  extension: string;
+  start(): string;
+  row(record: Record<string, ExportValue>, index: number): string;
+  end(): string;
+}
+
+const CSV_FORMULA_PREFIX_RE = /^[=+\-@\t\r]/;
+
+export function createExportSerializer(format: ExportFormat, columns: TableColumnDefinition[]): ExportSerializer {
+  switch (format) {
+    case 'csv':
+      return {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => `${columns.map((column) => toCsvCell(column.label)).join(',')}\r\n`,
+        row: (record) => `${columns.map((column) => toCsvCell(record[column.id])).join(',')}\r\n`,
+        end: () => '',
+      };
+    case 'json':
+      return {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: () => '[',
+        row: (record, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(record)}`,
+        end: () => '\n]\n',
+      };
+    case 'ndjson':
+      return {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson',
+        start: () => '',
+        row: (record) => `${JSON.stringify(record)}\n`,
+        end: () => '',
+      };
+  }
+}
+
+export function toAlertExportRecord(alert: SlimAlert, columns: TableColumnId[]): Record<string, ExportValue> {
+  return Object.fromEntries(columns.map((column) => [column, getAlertExportValue(alert, column)]));
+}
+
+export function toDecisionExportRecord(decision: DecisionListItem, columns: TableColumnId[]): Record<string, ExportValue> {
+  return Object.fromEntries(columns.map((column) => [column, getDecisionExportValue(decision, column)]));
+}
+
+function getAlertExportValue(alert: SlimAlert, column: TableColumnId): ExportValue {
+  switch (column) {
+    case 'id':
+      return alert.id;
+    case 'instance':
+      return alert.instance_name || alert.instance_id || null;
+    case 'time':
+      return alert.created_at;
+    case 'scenario':
+      return alert.scenario || null;
+    case 'country':
+      return knownValue(alert.source?.cn);
+    case 'region':
+      return alert.source?.region || null;
+    case 'city':
+      return alert.source?.city || null;
+    case 'as':
+      return knownValue(alert.source?.as_name);
+    case 'source':
+      return getAlertSourceValue(alert.source) || null;
+    case 'machine':
+      return resolveMachineName(alert) || null;
+    case 'origin':
+      return alert.decision_summary?.origins.join(', ') || null;
+    case 'decisions':
+      return alert.decision_summary?.active_count ?? 0;
+    default:
+      return null;
+  }
+}
+
+function getDecisionExportValue(decision: DecisionListItem, column: TableColumnId): ExportValue {
+  switch (column) {
+    case 'id':
+      return decision.id;
+    case 'instance':
+      return decision.instance_name || decision.instance_id || null;
+    case 'time':
+      return decision.created_at;
+    case 'scenario':
+      return decision.detail.reason || null;
+    case 'country':
+      return knownValue(decision.detail.country);
+    case 'region':
+      return decision.detail.region || null;
+    case 'city':
+      return decision.detail.city || null;
+    case 'as':
+      return knownValue(decision.detail.as);
+    case 'source':
+      return decision.value || null;
+    case 'action':
+      return decision.detail.action || 'ban';
+    case 'expiration':
+      return decision.detail.expiration || null;
+    case 'machine':
+      return decision.machine || null;
+    case 'origin':
+      return decision.detail.origin || null;
+    case 'alert':
+      return decision.detail.alert_id ?? null;
+    default:
+      return null;
+  }
+}
+
+function knownValue(value: string | undefined): string | null {
+  return value && value !== 'Unknown' ? value : null;
+}
+
+export function toCsvCell(value: ExportValue | undefined): string {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Spreadsheet applications evaluate cells that start with these characters as formulas.
+  if (typeof value === 'string' && CSV_FORMULA_PREFIX_RE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -29,8 +29,8 @@ export type CommonFacetField =
   | 'target'
   | 'machine'
   | 'origin';
-export type AlertFacetField = CommonFacetField | 'decision';
-export type DecisionFacetField = CommonFacetField | 'alert' | 'action' | 'status';
+export type AlertFacetField = CommonFacetField | 'decision' | 'status' | 'tag';
+export type DecisionFacetField = CommonFacetField | 'alert' | 'action' | 'status' | 'triage' | 'tag';
 export type FacetField = AlertFacetField | DecisionFacetField;
 
 export interface FacetValue {
@@ -123,6 +123,37 @@ export const DEFAULT_TABLE_COLUMN_PREFERENCES: TableColumnPreferences = {
   decisions: [...DEFAULT_DECISION_TABLE_COLUMNS],
 };
 
+export type ExportFormat = 'csv' | 'json' | 'ndjson';
+
+export const EXPORT_FORMATS: ExportFormat[] = ['csv', 'json', 'ndjson'];
+
+export interface SavedSearch {
+  id: string;
+  page: TableColumnPreferenceTable;
+  name: string;
+  query: string;
+  date_start: string | null;
+  date_end: string | null;
+  instance: string;
+  columns: TableColumnId[];
+  shared: boolean;
+  owner: string | null;
+  editable: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface UpsertSavedSearchRequest {
+  page: TableColumnPreferenceTable;
+  name: string;
+  query?: string;
+  date_start?: string | null;
+  date_end?: string | null;
+  instance?: string;
+  columns?: TableColumnId[];
+  shared?: boolean;
+}
+
 export type AlertMetaValue =
   | string
   | number
@@ -187,6 +218,8 @@ export interface AlertSource {
   city?: string;
   region?: string;
   range?: string;
+  // Source fields filled from the local GeoIP databases rather than CrowdSec.
+  geo_enriched?: string[];
   [key: string]: unknown;
 }
 
@@ -264,6 +297,7 @@ export interface SlimAlert {
   decisions: SlimDecision[];
   decision_summary?: AlertDecisionSummary;
   simulated?: boolean;
+  annotation?: Annotation;
 }
 
 export interface DecisionListDetail {
@@ -275,6 +309,8 @@ export interface DecisionListDetail {
   city?: string;
   region?: string;
   as?: string;
+  // Detail fields filled from the local GeoIP databases rather than CrowdSec.
+  geo_enriched?: string[];
   events_count?: number;
   duration?: string;
   expiration?: string;
@@ -295,6 +331,7 @@ export interface DecisionListItem {
   is_duplicate: boolean;
   simulated?: boolean;
   detail: DecisionListDetail;
+  annotation?: Annotation;
 }
 
 export interface StatsAlert {
@@ -390,6 +427,57 @@ export interface DashboardStatsResponse {
   series: DashboardStatsSeries;
 }
 
+export interface IpProfileCount {
+  value: string;
+  count: number;
+}
+
+export interface IpProfileInstance {
+  instance_id: string;
+  instance_name: string;
+  alerts: number;
+  decisions: number;
+}
+
+export interface IpProfileLocation {
+  country: string | null;
+  country_name: string | null;
+  region: string | null;
+  city: string | null;
+  as_name: string | null;
+  as_number: string | null;
+  latitude: number | null;
+  longitude: number | null;
+}
+
+export interface IpProfileStats {
+  alert_count: number;
+  decision_count: number;
+  active_decision_count: number;
+  scenario_count: number;
+  active_days: number;
+  instance_count: number;
+  repeat_offender: boolean;
+}
+
+export interface IpProfileResponse {
+  value: string;
+  kind: 'ip' | 'range';
+  first_seen: string | null;
+  last_seen: string | null;
+  location: IpProfileLocation | null;
+  stats: IpProfileStats;
+  scenarios: IpProfileCount[];
+  targets: IpProfileCount[];
+  machines: IpProfileCount[];
+  instances: IpProfileInstance[];
+  alerts: SlimAlert[];
+  active_decisions: DecisionListItem[];
+  expired_decisions: DecisionListItem[];
+  alerts_truncated: boolean;
+  decisions_truncated: boolean;
+}
+
 export interface UpdateCheckResponse {
   update_available: boolean;
   reason?: string;
@@ -400,16 +488,32 @@ export interface UpdateCheckResponse {
   error?: string;
 }
 
-export type NotificationChannelType = 'ntfy' | 'gotify' | 'email' | 'mqtt' | 'webhook';
-export type NotificationRuleType = 'alert-spike' | 'alert-threshold' | 'new-alert-decision' | 'new-cve' | 'ip-ban' | 'application-update' | 'lapi-availability';
+export type NotificationChannelType = 'ntfy' | 'gotify' | 'email' | 'mqtt' | 'webhook' | 'slack' | 'discord' | 'teams' | 'telegram' | 'matrix';
+export type NotificationRuleType = 'alert-spike' | 'alert-anomaly' | 'alert-threshold' | 'new-alert-decision' | 'new-cve' | 'ip-ban' | 'search-threshold' | 'application-update' | 'lapi-availability';
 export type NotificationSeverity = 'info' | 'warning' | 'critical';
-export type NotificationDeliveryStatus = 'delivered' | 'failed' | 'skipped';
+export type NotificationDeliveryStatus = 'delivered' | 'failed' | 'skipped' | 'queued';
+
+export interface NotificationQuietHours {
+  start: string;
+  end: string;
+  time_zone: string;
+}
+
+export interface NotificationEscalation {
+  channel_id: string;
+  after_minutes: number;
+}
+
+export interface NotificationDigest {
+  interval_minutes: number;
+}
 
 export interface NotificationFilter {
   scenario?: string;
   target?: string;
   include_simulated?: boolean;
   values?: string[];
+  saved_search_id?: string;
 }
 
 export interface AlertSpikeRuleConfig {
@@ -419,6 +523,21 @@ export interface AlertSpikeRuleConfig {
   filters?: NotificationFilter;
 }
 
+export type AlertAnomalyDimension = 'country' | 'scenario' | 'as' | 'target' | 'instance';
+export const ALERT_ANOMALY_DIMENSIONS: AlertAnomalyDimension[] = ['country', 'scenario', 'as', 'target', 'instance'];
+
+export interface AlertAnomalyRuleConfig {
+  dimension: AlertAnomalyDimension;
+  window_minutes: number;
+  /** Number of previous weeks whose same hour-of-week window forms the baseline. */
+  baseline_weeks: number;
+  /** Standard deviations above the baseline mean an observed count must exceed. */
+  sensitivity: number;
+  minimum_alerts: number;
+  notify_new_values: boolean;
+  filters?: NotificationFilter;
+}
+
 export interface AlertThresholdRuleConfig {
   window_minutes: number;
   alert_threshold: number;
@@ -443,6 +562,13 @@ export interface IpBanRuleConfig {
   filters?: NotificationFilter;
 }
 
+export interface SearchThresholdRuleConfig {
+  event_type: Exclude<NewAlertDecisionEventType, 'both'>;
+  query: string;
+  window_minutes: number;
+  threshold: number;
+}
+
 export interface ApplicationUpdateRuleConfig {}
 
 export interface LapiAvailabilityRuleConfig {
@@ -452,10 +578,12 @@ export interface LapiAvailabilityRuleConfig {
 
 export type NotificationRuleConfig =
   | AlertSpikeRuleConfig
+  | AlertAnomalyRuleConfig
   | AlertThresholdRuleConfig
   | NewAlertDecisionRuleConfig
   | NewCveRuleConfig
   | IpBanRuleConfig
+  | SearchThresholdRuleConfig
   | ApplicationUpdateRuleConfig
   | LapiAvailabilityRuleConfig;
 
@@ -466,6 +594,8 @@ export interface NotificationChannel {
   enabled: boolean;
   config: Record<string, AlertMetaValue>;
   configured_secrets: string[];
+  quiet_hours: NotificationQuietHours | null;
+  digest: NotificationDigest | null;
   created_at: string;
   updated_at: string;
 }
@@ -478,6 +608,8 @@ export interface NotificationRule {
   severity: NotificationSeverity;
   channel_ids: string[];
   config: NotificationRuleConfig;
+  quiet_hours: NotificationQuietHours | null;
+  escalation: NotificationEscalation | null;
   created_at: string;
   updated_at: string;
 }
@@ -489,6 +621,7 @@ export interface NotificationDeliveryResult {
   status: NotificationDeliveryStatus;
   attempted_at: string;
   error?: string;
+  escalation?: boolean;
 }
 
 export interface NotificationItem {
@@ -509,9 +642,32 @@ export interface NotificationListResponse extends PaginatedResponse<Notification
   unread_count: number;
 }
 
+export type NotificationReportFrequency = 'daily' | 'weekly' | 'monthly';
+
+export const NOTIFICATION_REPORT_FREQUENCIES: NotificationReportFrequency[] = ['daily', 'weekly', 'monthly'];
+
+export interface NotificationReport {
+  id: string;
+  name: string;
+  enabled: boolean;
+  /** Daily reports cover the previous day, weekly reports go out on Mondays and monthly ones on the 1st. */
+  frequency: NotificationReportFrequency;
+  send_time: string;
+  time_zone: string;
+  /** Instance the report summarizes, or `all` for the combined view. */
+  instance_id: string;
+  channel_ids: string[];
+  last_sent_at: string | null;
+  last_error: string | null;
+  next_run_at: string;
+  created_at: string;
+  updated_at: string;
+}
+
 export interface NotificationSettingsResponse {
   channels: NotificationChannel[];
   rules: NotificationRule[];
+  reports: NotificationReport[];
 }
 
 export interface UpsertNotificationChannelRequest {
@@ -519,6 +675,8 @@ export interface UpsertNotificationChannelRequest {
   type: NotificationChannelType;
   enabled: boolean;
   config: Record<string, AlertMetaValue>;
+  quiet_hours?: NotificationQuietHours | null;
+  digest?: NotificationDigest | null;
 }
 
 export interface UpsertNotificationRuleRequest {
@@ -528,6 +686,18 @@ export interface UpsertNotificationRuleRequest {
   severity: NotificationSeverity;
   channel_ids: string[];
   config: NotificationRuleConfig;
+  quiet_hours?: NotificationQuietHours | null;
+  escalation?: NotificationEscalation | null;
+}
+
+export interface UpsertNotificationReportRequest {
+  name: string;
+  enabled: boolean;
+  frequency: NotificationReportFrequency;
+  send_time: string;
+  time_zone?: string;
+  instance_id?: string;
+  channel_ids: string[];
 }
 
 export interface ConfigResponse {
@@ -643,6 +813,8 @@ export interface CrowdsecMetricsResponse {
     parserKo: number;
     parserSuccessRate: number | null;
     parserAverageSeconds: number | null;
+    linesRead: number | null;
+    bucketPoured: number;
     whitelistHits: number;
     whitelisted: number;
   };
@@ -656,8 +828,41 @@ export interface CrowdsecMetricsResponse {
   appsecEngines?: CrowdsecMetricsAppsecEngine[];
 }
 
+export type CrowdsecMetricsHistoryRange = '1h' | '6h' | '24h' | '7d';
+
+export const CROWDSEC_METRICS_HISTORY_RANGES: CrowdsecMetricsHistoryRange[] = ['1h', '6h', '24h', '7d'];
+
+/**
+ * Rates derived from consecutive scrapes that ended inside the bucket starting
+ * at `time`. Values are null when the bucket holds no usable scrape pair or the
+ * ratio has no denominator.
+ */
+export interface CrowdsecMetricsHistoryPoint {
+  time: string;
+  linesPerSecond: number | null;
+  parseFailureRate: number | null;
+  bucketPoursPerSecond: number | null;
+  appsecBlockRate: number | null;
+  bouncerRequestsPerSecond: Record<string, number>;
+  lapiRouteLatencySeconds: Record<string, number>;
+}
+
+export interface CrowdsecMetricsHistoryResponse {
+  range: CrowdsecMetricsHistoryRange;
+  step_ms: number;
+  interval_ms: number;
+  samples: number;
+  points: CrowdsecMetricsHistoryPoint[];
+}
+
+export type DecisionScope = 'ip' | 'range' | 'country' | 'as';
+
+export const DECISION_SCOPES: DecisionScope[] = ['ip', 'range', 'country', 'as'];
+
 export interface AddDecisionRequest {
-  ip: string;
+  value?: string;
+  ip?: string;
+  decision_scope?: DecisionScope;
   duration?: string;
   reason?: string;
   type?: 'ban' | 'captcha';
@@ -665,6 +870,41 @@ export interface AddDecisionRequest {
   instance_id?: string;
 }
 
+export type DecisionImportFormat = 'text' | 'csv' | 'json';
+
+export interface ImportDecisionsRequest {
+  content: string;
+  format?: DecisionImportFormat | 'auto';
+  duration?: string;
+  reason?: string;
+  type?: 'ban' | 'captcha';
+  dry_run?: boolean;
+  scope?: 'all' | 'instance';
+  instance_id?: string;
+}
+
+export type DecisionImportEntryStatus = 'valid' | 'invalid' | 'duplicate' | 'already_banned';
+
+export interface DecisionImportEntry {
+  position: number;
+  value: string;
+  decision_scope?: DecisionScope;
+  status: DecisionImportEntryStatus;
+  banned_on?: string[];
+}
+
+export interface ImportDecisionsPreview {
+  format: DecisionImportFormat;
+  entries: DecisionImportEntry[];
+  counts: Record<DecisionImportEntryStatus, number>;
+}
+
+export interface ImportDecisionsResponse extends ImportDecisionsPreview {
+  results?: InstanceOperationResult[];
+  succeeded?: number;
+  failed?: number;
+}
+
 export interface RefreshIntervalRequest {
   interval: 'manual' | '0' | '5s' | '30s' | '1m' | '5m';
 }
@@ -674,6 +914,27 @@ export interface BulkDeleteRequest {
   refs?: InstanceEntityRef[];
 }
 
+export type DecisionDurationMode = 'set' | 'extend' | 'shorten';
+
+export interface EditDecisionsRequest {
+  ids?: Array<string | number>;
+  refs?: InstanceEntityRef[];
+  duration_mode?: DecisionDurationMode;
+  duration?: string;
+  type?: 'ban' | 'captcha';
+}
+
+export interface EditDecisionsFailure {
+  id: string;
+  error: string;
+}
+
+export interface EditDecisionsResult {
+  requested_decisions: number;
+  updated_decisions: number;
+  failed: EditDecisionsFailure[];
+}
+
 export interface CleanupByIpRequest {
   ip: string;
   scope?: 'all' | 'instance';
@@ -694,6 +955,347 @@ export interface MultiInstanceOperationResponse {
   failed: number;
 }
 
+export type LiveStream = 'alerts' | 'decisions';
+
+/**
+ * Sent by a client over the cache-updates socket. `filters` uses the query
+ * parameters of the matching paginated list endpoint (`q`, `instance`,
+ * `simulation`, `tz_offset`, `browser_tz`, ...). A new subscription for the
+ * same stream replaces the previous one.
+ */
+export type LiveClientMessage =
+  | { type: 'subscribe'; stream: LiveStream; filters: Record<string, string> }
+  | { type: 'unsubscribe'; stream: LiveStream };
+
+/** `truncated` means the change was too large to stream and the list should be reloaded. */
+export type LiveRowsMessage =
+  | { type: 'live-rows'; stream: 'alerts'; updated_at: string; rows: SlimAlert[]; truncated: boolean }
+  | { type: 'live-rows'; stream: 'decisions'; updated_at: string; rows: DecisionListItem[]; truncated: boolean };
+
+export type LiveServerMessage =
+  | { type: 'subscribed'; stream: LiveStream }
+  | { type: 'subscription-error'; stream: LiveStream | null; error: string }
+  | LiveRowsMessage;
+
+export interface DecisionDriftPresence {
+  instance_id: string;
+  type: string | null;
+  origin: string | null;
+  scenario: string | null;
+  stop_at: string;
+}
+
+export interface DecisionDriftItem {
+  value: string;
+  scope: string | null;
+  present_on: DecisionDriftPresence[];
+  missing_on: string[];
+}
+
+export interface DecisionDriftResponse {
+  instances: Array<{ id: string; name: string }>;
+  origins: string[];
+  items: DecisionDriftItem[];
+  total: number;
+}
+
+export interface PropagateDecisionsRequest {
+  values: string[];
+}
+
+export interface PropagateDecisionsResponse extends MultiInstanceOperationResponse {
+  propagated: number;
+}
+
+export interface DecisionMirrorPolicy {
+  enabled: boolean;
+  instance_ids: string[];
+  enabled_at: string | null;
+}
+
+export interface UpdateDecisionMirrorPolicyRequest {
+  enabled: boolean;
+  instance_ids: string[];
+}
+
+/** `source` groups by IP or range; `as` groups every source of one autonomous system. */
+export type IncidentGroupBy = 'source' | 'as';
+
+export const INCIDENT_GROUP_BY: IncidentGroupBy[] = ['source', 'as'];
+
+export type IncidentGroupKind = 'ip' | 'range' | 'as';
+
+export interface IncidentSettings {
+  group_by: IncidentGroupBy;
+  /** Alerts join an incident when they are at most this far from its first or last alert. */
+  window_minutes: number;
+}
+
+export interface IncidentSummary {
+  id: number;
+  kind: IncidentGroupKind;
+  value: string;
+  label: string | null;
+  status: TriageStatus;
+  assignee: string | null;
+  first_seen: string;
+  last_seen: string;
+  alert_count: number;
+  event_count: number;
+  source_count: number;
+  scenarios: string[];
+  targets: string[];
+  instances: string[];
+  updated_at: string | null;
+  updated_by: string | null;
+}
+
+export interface IncidentListResponse extends PaginatedResponse<IncidentSummary> {
+  settings: IncidentSettings;
+}
+
+export interface IncidentDetail extends IncidentSummary {
+  sources: string[];
+  alerts: SlimAlert[];
+  alerts_truncated: boolean;
+}
+
+export interface UpdateIncidentRequest {
+  status?: TriageStatus;
+  assignee?: string | null;
+}
+
+export type IncidentAction = 'ban' | 'cleanup';
+
+export interface IncidentActionRequest {
+  action: IncidentAction;
+  /** Only used by `ban`; defaults to `4h`. */
+  duration?: string;
+  type?: 'ban' | 'captcha';
+  reason?: string;
+}
+
+export interface IncidentActionResponse extends MultiInstanceOperationResponse {
+  sources: number;
+}
+
+/**
+ * A secret as written in the application YAML. Inline values are returned as
+ * "(stored)"; sending that or an empty string back keeps the saved value.
+ */
+export type ConfigSecretValue = string | { env: string } | { file: string };
+
+export type InstanceLapiAuthSettings =
+  | { type: 'none' }
+  | { type: 'password'; username: string; password: ConfigSecretValue }
+  | { type: 'mtls'; certFile: string; keyFile: string };
+
+export type InstanceMetricsAuthSettings =
+  | { type: 'none' }
+  | { type: 'basic'; username: string; password: ConfigSecretValue }
+  | { type: 'bearer'; token: ConfigSecretValue };
+
+export interface InstanceMetricsSettings {
+  id: string;
+  name: string;
+  url: string;
+  auth: InstanceMetricsAuthSettings;
+  tls?: { caFile?: string; certFile?: string; keyFile?: string };
+  requestTimeout?: string;
+}
+
+export const INSTANCE_SYNC_OVERRIDE_KEYS = [
+  'lookback',
+  'refreshInterval',
+  'idleRefreshInterval',
+  'idleThreshold',
+  'requestTimeout',
+  'heartbeatInterval',
+  'alertSyncChunk',
+  'alertSyncMinChunk',
+  'reconcileWindow',
+  'reconcileRecentAge',
+  'reconcileRecentInterval',
+  'reconcileActiveInterval',
+  'reconcileOldInterval',
+  'reconcileWindowsPerRefresh',
+  'bootstrapRetryDelay',
+  'bootstrapRetryEnabled',
+  'bouncerPropagationDelay',
+] as const;
+
+export type InstanceSyncOverrideKey = typeof INSTANCE_SYNC_OVERRIDE_KEYS[number];
+
+/** One `instances:` entry of the application YAML, using its keys. */
+export interface InstanceSettings {
+  id: string;
+  name: string;
+  icon?: string;
+  lapi: {
+    url: string;
+    auth: InstanceLapiAuthSettings;
+    tls?: { caFile?: string };
+  };
+  metrics: InstanceMetricsSettings[];
+  sync: Partial<Record<InstanceSyncOverrideKey, string | number | boolean>>;
+}
+
+export interface InstancesSettingsResponse {
+  instances: InstanceSettings[];
+  config_file: string;
+}
+
+export interface UpdateInstancesSettingsRequest {
+  instances: InstanceSettings[];
+}
+
+export interface UpdateInstancesSettingsResponse extends InstancesSettingsResponse {
+  /** Set when the change was saved but only takes effect after a restart. */
+  restart_required: boolean;
+}
+
+export type InstanceConnectionTestStepName = 'login' | 'alerts' | 'metrics';
+
+export interface InstanceConnectionTestStep {
+  step: InstanceConnectionTestStepName;
+  /** The metrics endpoint ID for metrics steps. */
+  target?: string;
+  success: boolean;
+  skipped?: boolean;
+  duration_ms: number;
+  /** Alerts returned by the sample query of the alerts step. */
+  alerts?: number;
+  error?: string;
+}
+
+export interface InstanceConnectionTestResponse {
+  success: boolean;
+  steps: InstanceConnectionTestStep[];
+}
+
+export interface AllowlistItem {
+  value: string;
+  description: string | null;
+  created_at: string | null;
+  expiration: string | null;
+}
+
+export interface Allowlist {
+  instance_id: string;
+  instance_name: string;
+  name: string;
+  description: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+  console_managed: boolean;
+  items: AllowlistItem[];
+}
+
+export interface AllowlistsResponse {
+  allowlists: Allowlist[];
+  errors: InstanceOperationResult[];
+}
+
+export interface CreateAllowlistRequest {
+  name: string;
+  description?: string;
+  scope?: 'all' | 'instance';
+  instance_id?: string;
+}
+
+export interface AddAllowlistItemsRequest {
+  values: string[];
+  description?: string;
+  expiration?: string;
+  cleanup?: boolean;
+  scope?: 'all' | 'instance';
+  instance_id?: string;
+}
+
+export interface RemoveAllowlistItemsRequest {
+  values: string[];
+  scope?: 'all' | 'instance';
+  instance_id?: string;
+}
+
+export type TriageStatus = 'new' | 'acknowledged' | 'false_positive' | 'resolved';
+
+export const TRIAGE_STATUSES: TriageStatus[] = ['new', 'acknowledged', 'false_positive', 'resolved'];
+
+export type AnnotationTarget = 'alert' | 'decision';
+
+export interface AnnotationNote {
+  id: number;
+  author: string | null;
+  body: string;
+  created_at: string;
+}
+
+/** Local-only triage data for one alert or decision; never sent to CrowdSec. */
+export interface Annotation {
+  status: TriageStatus;
+  tags: string[];
+  notes: AnnotationNote[];
+  updated_at: string | null;
+  updated_by: string | null;
+}
+
+export interface UpdateAnnotationRequest {
+  status?: TriageStatus;
+  tags?: string[];
+}
+
+export interface AddAnnotationNoteRequest {
+  body: string;
+}
+
+export type BackupImportMode = 'merge' | 'replace';
+
+export type BackupSection =
+  | 'settings'
+  | 'users'
+  | 'saved_searches'
+  | 'notification_channels'
+  | 'notification_rules'
+  | 'notification_reports';
+
+export const BACKUP_SECTIONS: BackupSection[] = [
+  'settings',
+  'users',
+  'saved_searches',
+  'notification_channels',
+  'notification_rules',
+  'notification_reports',
+];
+
+/** Entries are named by setting key, username or display name. `removed` is only filled for replace imports. */
+export interface BackupSectionDiff {
+  added: string[];
+  changed: string[];
+  removed: string[];
+  unchanged: number;
+}
+
+export interface BackupPreviewResponse {
+  created_at: string;
+  app_version: string;
+  encrypted: boolean;
+  /** Bundles exported without a passphrase leave out passwords, TOTP seeds and destination secrets. */
+  includes_secrets: boolean;
+  mode: BackupImportMode;
+  sections: Record<BackupSection, BackupSectionDiff>;
+}
+
+export interface ExportBackupRequest {
+  passphrase?: string;
+}
+
+export interface ImportBackupRequest {
+  bundle: unknown;
+  passphrase?: string;
+  mode: BackupImportMode;
+}
+
 export type DeleteResourceKind = 'alert' | 'decision';
 
 export interface BulkDeleteFailure {
@@ -715,3 +1317,65 @@ export interface BulkDeleteResult {
 export interface DeleteResult {
   message: string;
 }
+
+export type AuditAction =
+  | 'decision.create'
+  | 'decision.import'
+  | 'decision.update'
+  | 'decision.delete'
+  | 'decision.propagate'
+  | 'decision.mirror-policy.update'
+  | 'alert.delete'
+  | 'cleanup.by-ip'
+  | 'incident.update'
+  | 'incident.ban'
+  | 'incident.cleanup'
+  | 'incident.settings.update'
+  | 'allowlist.create'
+  | 'allowlist.update'
+  | 'allowlist.delete'
+  | 'annotation.update'
+  | 'cache.clear'
+  | 'notification-channel.create'
+  | 'notification-channel.update'
+  | 'notification-channel.delete'
+  | 'notification-rule.create'
+  | 'notification-rule.update'
+  | 'notification-rule.delete'
+  | 'notification-report.create'
+  | 'notification-report.update'
+  | 'notification-report.delete'
+  | 'backup.export'
+  | 'backup.import'
+  | 'instances.update'
+  | 'user.create'
+  | 'user.update'
+  | 'user.password-reset'
+  | 'user.sessions-revoke'
+  | 'token.create'
+  | 'token.revoke'
+  | 'auth.settings.update';
+
+export type AuditOutcome = 'success' | 'partial' | 'failure';
+
+export type AuditSummaryValue = string | number | boolean | string[] | null;
+
+export interface AuditInstanceResult {
+  instance_id: string;
+  instance_name: string;
+  success: boolean;
+  error?: string;
+}
+
+export interface AuditLogEntry {
+  id: number;
+  created_at: string;
+  user_id: number | null;
+  username: string | null;
+  auth_method: string | null;
+  action: AuditAction;
+  instances: string[];
+  summary: Record<string, AuditSummaryValue>;
+  outcome: AuditOutcome;
+  results: AuditInstanceResult[];
+}
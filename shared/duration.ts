@@ -0,0 +1,32 @@
+const DURATION_UNIT_MS: Record<string, number> = {
+  ns: 0.000_001,
+  us: 0.001,
+  µs: 0.001,
+  ms: 1,
+  s: 1_000,
+  m: 60_000,
+  h: 3_600_000,
+  d: 86_400_000,
+};
+
+const DURATION_PART = /(\d+(?:\.\d*)?|\.\d+)(ns|us|µs|ms|[smhd])/y;
+
+// Parses Go durations as LAPI reports them (`4h0m0s`, `3h59m58.8s`), plus the
+// `d` unit manual decisions accept. Returns null for anything else, including
+// negative values.
+export function parseDuration(value: string): number | null {
+  const source = value.trim();
+  if (!source) return null;
+
+  let totalMs = 0;
+  let index = 0;
+  while (index < source.length) {
+    DURATION_PART.lastIndex = index;
+    const match = DURATION_PART.exec(source);
+    if (!match) return null;
+    totalMs += Number(match[1]) * DURATION_UNIT_MS[match[2]];
+    index = DURATION_PART.lastIndex;
+  }
+
+  return Math.round(totalMs);
+}
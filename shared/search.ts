@@ -1,8 +1,8 @@
-import type { DecisionListItem, SlimAlert } from './contracts';
+import type { Annotation, AuditLogEntry, DecisionListItem, SlimAlert } from './contracts';
 import { resolveMachineName } from './machine';
 import { collectDistinctOrigins } from './origin';
 
-export type SearchPage = 'alerts' | 'decisions';
+export type SearchPage = 'alerts' | 'decisions' | 'audit';
 export type SearchBooleanOperator = 'AND' | 'OR';
 export type SearchComparisonOperator = '=' | '<>' | '<' | '>' | '<=' | '>=';
 type SearchFieldValueType = 'text' | 'date';
@@ -122,13 +122,19 @@ type SearchToken =
 type FieldMap = Map<string, SearchFieldDefinition>;
 type AlertMatcher = (alert: SlimAlert, value: string) => boolean;
 type DecisionMatcher = (decision: DecisionListItem, value: string) => boolean;
+type AuditMatcher = (entry: AuditLogEntry, value: string) => boolean;
 type AlertEmptyMatcher = (alert: SlimAlert) => boolean;
 type DecisionEmptyMatcher = (decision: DecisionListItem) => boolean;
+type AuditEmptyMatcher = (entry: AuditLogEntry) => boolean;
+type AnnotatedRecord = { annotation?: Annotation };
+type AnnotationMatcher = (record: AnnotatedRecord, value: string) => boolean;
 
 type AlertFieldMatcherMap = Record<string, AlertMatcher>;
 type DecisionFieldMatcherMap = Record<string, DecisionMatcher>;
+type AuditFieldMatcherMap = Record<string, AuditMatcher>;
 type AlertFieldEmptyMatcherMap = Record<string, AlertEmptyMatcher>;
 type DecisionFieldEmptyMatcherMap = Record<string, DecisionEmptyMatcher>;
+type AuditFieldEmptyMatcherMap = Record<string, AuditEmptyMatcher>;
 
 type SearchCompileSuccess<T> = {
   ok: true;
@@ -145,6 +151,7 @@ type SearchCompileFailure = {
 
 export type AlertSearchCompileResult = SearchCompileSuccess<SlimAlert> | SearchCompileFailure;
 export type DecisionSearchCompileResult = SearchCompileSuccess<DecisionListItem> | SearchCompileFailure;
+export type AuditSearchCompileResult = SearchCompileSuccess<AuditLogEntry> | SearchCompileFailure;
 
 const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
 
@@ -164,6 +171,9 @@ const alertFieldDefinitions: SearchFieldDefinition[] = [
   { name: 'machine', aliases: [], description: 'Machine alias or ID', descriptionKey: 'components.searchSyntax.fields.machine', availability: 'machine' },
   { name: 'origin', aliases: [], description: 'Decision origin', descriptionKey: 'components.searchSyntax.fields.origin', availability: 'origin' },
   { name: 'decision', aliases: ['decisions'], description: 'Related decision state (`active`, `expired`, or empty)', descriptionKey: 'components.searchSyntax.fields.alerts.decision' },
+  { name: 'status', aliases: ['triage'], description: 'Triage status (`new`, `acknowledged`, `false_positive`, or `resolved`)', descriptionKey: 'components.searchSyntax.fields.triage' },
+  { name: 'tag', aliases: ['tags'], description: 'Local tag', descriptionKey: 'components.searchSyntax.fields.tag' },
+  { name: 'note', aliases: ['notes'], description: 'Local note text', descriptionKey: 'components.searchSyntax.fields.note' },
 ];
 
 const decisionFieldDefinitions: SearchFieldDefinition[] = [
@@ -185,6 +195,20 @@ const decisionFieldDefinitions: SearchFieldDefinition[] = [
   { name: 'sim', aliases: ['simulation'], description: 'Simulation state (`live` or `simulated`)', descriptionKey: 'components.searchSyntax.fields.sim' },
   { name: 'machine', aliases: [], description: 'Machine alias or ID', descriptionKey: 'components.searchSyntax.fields.machine', availability: 'machine' },
   { name: 'origin', aliases: [], description: 'Decision origin', descriptionKey: 'components.searchSyntax.fields.origin', availability: 'origin' },
+  { name: 'triage', aliases: [], description: 'Triage status (`new`, `acknowledged`, `false_positive`, or `resolved`)', descriptionKey: 'components.searchSyntax.fields.triage' },
+  { name: 'tag', aliases: ['tags'], description: 'Local tag', descriptionKey: 'components.searchSyntax.fields.tag' },
+  { name: 'note', aliases: ['notes'], description: 'Local note text', descriptionKey: 'components.searchSyntax.fields.note' },
+];
+
+const auditFieldDefinitions: SearchFieldDefinition[] = [
+  { name: 'id', aliases: [], description: 'Exact audit entry ID', descriptionKey: 'components.searchSyntax.fields.audit.id' },
+  { name: 'user', aliases: ['username'], description: 'Username that made the change', descriptionKey: 'components.searchSyntax.fields.audit.user' },
+  { name: 'method', aliases: ['auth'], description: 'Sign-in method (`password`, `passkey`, `oidc`, or `token`)', descriptionKey: 'components.searchSyntax.fields.audit.method' },
+  { name: 'action', aliases: [], description: 'Recorded action such as `decision.delete`', descriptionKey: 'components.searchSyntax.fields.audit.action' },
+  { name: 'instance', aliases: [], description: 'CrowdSec instance name or ID' },
+  { name: 'ip', aliases: ['value'], description: 'IP or range named in the request', descriptionKey: 'components.searchSyntax.fields.audit.ip' },
+  { name: 'outcome', aliases: ['status'], description: 'Outcome (`success`, `partial`, or `failure`)', descriptionKey: 'components.searchSyntax.fields.audit.outcome' },
+  { name: 'date', aliases: ['created', 'created_at', 'time'], description: 'Entry date or ISO timestamp', descriptionKey: 'components.searchSyntax.fields.audit.date', valueType: 'date' },
 ];
 
 const fallbackAlertExamples: SearchHelpExample[] = [
@@ -195,6 +219,7 @@ const fallbackAlertExamples: SearchHelpExample[] = [
   { query: 'country:(germany OR france) AND -sim:simulated', description: 'Use grouping, boolean logic, and negation', descriptionKey: 'components.searchSyntax.examples.alerts.boolean' },
   { query: 'ip:1.2.3.4 AND target:ssh', description: 'Match a specific IP and target', descriptionKey: 'components.searchSyntax.examples.alerts.specificField' },
   { query: 'origin:""', description: 'Find alerts whose origin is empty', descriptionKey: 'components.searchSyntax.examples.alerts.emptyOrigin' },
+  { query: 'status:new AND -tag:scanner', description: 'Find untriaged alerts that are not tagged as scanners', descriptionKey: 'components.searchSyntax.examples.alerts.triage' },
 ];
 
 const fallbackDecisionExamples: SearchHelpExample[] = [
@@ -205,6 +230,15 @@ const fallbackDecisionExamples: SearchHelpExample[] = [
   { query: 'country:(germany OR france) AND -duplicate:true', description: 'Exclude duplicates while grouping countries', descriptionKey: 'components.searchSyntax.examples.decisions.boolean' },
   { query: 'target:ssh AND sim:live', description: 'Limit results to one target and simulation state', descriptionKey: 'components.searchSyntax.examples.decisions.simulation' },
   { query: 'origin:""', description: 'Find decisions whose origin is empty', descriptionKey: 'components.searchSyntax.examples.decisions.emptyOrigin' },
+  { query: 'triage:false_positive OR note:customer', description: 'Find decisions by triage status or note text', descriptionKey: 'components.searchSyntax.examples.decisions.triage' },
+];
+
+const fallbackAuditExamples: SearchHelpExample[] = [
+  { query: '203.0.113.7', description: 'Find every change that named an IP', descriptionKey: 'components.searchSyntax.examples.audit.freeText' },
+  { query: 'action:decision.delete AND user:alice', description: 'Find decisions removed by one user', descriptionKey: 'components.searchSyntax.examples.audit.userAction' },
+  { query: 'outcome:(partial OR failure)', description: 'Find changes that failed on at least one instance', descriptionKey: 'components.searchSyntax.examples.audit.outcome' },
+  { query: 'date>=2026-01-01 AND date<2026-04-01', description: 'Limit entries to a review period', descriptionKey: 'components.searchSyntax.examples.audit.dateRange' },
+  { query: 'method:token AND -action:cache.clear', description: 'Find automation changes and exclude one action', descriptionKey: 'components.searchSyntax.examples.audit.boolean' },
 ];
 
 const searchHelpOperators: SearchHelpOperatorDefinition[] = [
@@ -228,6 +262,7 @@ function getSearchHelpExamples(
   samples: SearchHelpSampleData | undefined,
   features: SearchFeatureFlags,
 ): SearchHelpExample[] {
+  if (page === 'audit') return fallbackAuditExamples;
   return page === 'alerts'
     ? buildAlertExamples(samples?.alerts, features.originEnabled === true)
     : buildDecisionExamples(samples?.decisions, features.originEnabled === true);
@@ -242,7 +277,7 @@ function buildAlertExamples(alerts: SlimAlert[] | undefined, includeOriginExampl
     buildSearchHelpExample(fallbackAlertExamples[4], findAlertBooleanExample(alerts)),
     buildSearchHelpExample(fallbackAlertExamples[5], findAlertSpecificFieldExample(alerts)),
   ];
-  return includeOriginExample ? [...examples, fallbackAlertExamples[6]] : examples;
+  return [...examples, ...(includeOriginExample ? [fallbackAlertExamples[6]] : []), fallbackAlertExamples[7]];
 }
 
 function buildDecisionExamples(decisions: DecisionListItem[] | undefined, includeOriginExample: boolean): SearchHelpExample[] {
@@ -254,7 +289,7 @@ function buildDecisionExamples(decisions: DecisionListItem[] | undefined, includ
     buildSearchHelpExample(fallbackDecisionExamples[4], findDecisionBooleanExample(decisions)),
     buildSearchHelpExample(fallbackDecisionExamples[5], findDecisionSimulationExample(decisions)),
   ];
-  return includeOriginExample ? [...examples, fallbackDecisionExamples[6]] : examples;
+  return [...examples, ...(includeOriginExample ? [fallbackDecisionExamples[6]] : []), fallbackDecisionExamples[7]];
 }
 
 function buildSearchHelpExample(fallbackExample: SearchHelpExample, query: string | null): SearchHelpExample {
@@ -536,6 +571,23 @@ function getNextUtcDateString(day: string): string | null {
   return new Date(timestamp + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
 }
 
+// Annotations are shared by alerts and decisions; records without one are
+// untriaged (`new`) and have no tags or notes.
+const annotationFieldMatchers: Record<'tag' | 'note', AnnotationMatcher> = {
+  tag: (record, value) => (record.annotation?.tags || []).some((tag) => includesNormalized(tag, value)),
+  note: (record, value) => (record.annotation?.notes || []).some((note) => includesNormalized(note.body, value)),
+};
+
+const annotationExactFieldMatchers: Record<'tag' | 'note', AnnotationMatcher> = {
+  tag: (record, value) => (record.annotation?.tags || []).some((tag) => equalsNormalized(tag, value)),
+  note: (record, value) => (record.annotation?.notes || []).some((note) => equalsNormalized(note.body, value)),
+};
+
+const annotationFieldEmptyMatchers: Record<'tag' | 'note', (record: AnnotatedRecord) => boolean> = {
+  tag: (record) => (record.annotation?.tags || []).length === 0,
+  note: (record) => (record.annotation?.notes || []).length === 0,
+};
+
 const alertFieldMatchers: AlertFieldMatcherMap = {
   id: (alert, value) => normalizeValue(alert.id) === normalizeValue(value),
   instance: (alert, value) => includesNormalized(`${alert.instance_id || ''} ${alert.instance_name || ''}`, value),
@@ -552,6 +604,8 @@ const alertFieldMatchers: AlertFieldMatcherMap = {
   machine: (alert, value) => includesNormalized(resolveMachineName(alert), value),
   origin: (alert, value) => collectDistinctOrigins(alert.decisions).some((origin) => includesNormalized(origin, value)),
   decision: (alert, value) => getAlertDecisionStates(alert).some((state) => includesNormalized(state, value)),
+  status: (alert, value) => matchesTriageStatus(alert, value, false),
+  ...annotationFieldMatchers,
 };
 
 const decisionFieldMatchers: DecisionFieldMatcherMap = {
@@ -573,6 +627,8 @@ const decisionFieldMatchers: DecisionFieldMatcherMap = {
   sim: (decision, value) => matchesSimulationTerm(decision.simulated === true, value),
   machine: (decision, value) => includesNormalized(decision.machine, value),
   origin: (decision, value) => includesNormalized(decision.detail.origin, value),
+  triage: (decision, value) => matchesTriageStatus(decision, value, false),
+  ...annotationFieldMatchers,
 };
 
 const alertExactFieldMatchers: AlertFieldMatcherMap = {
@@ -591,6 +647,8 @@ const alertExactFieldMatchers: AlertFieldMatcherMap = {
   machine: (alert, value) => equalsNormalized(resolveMachineName(alert), value),
   origin: (alert, value) => collectDistinctOrigins(alert.decisions).some((origin) => equalsNormalized(origin, value)),
   decision: (alert, value) => getAlertDecisionStates(alert).some((state) => equalsNormalized(state, value)),
+  status: (alert, value) => matchesTriageStatus(alert, value, true),
+  ...annotationExactFieldMatchers,
 };
 
 const decisionExactFieldMatchers: DecisionFieldMatcherMap = {
@@ -612,6 +670,8 @@ const decisionExactFieldMatchers: DecisionFieldMatcherMap = {
   sim: decisionFieldMatchers.sim,
   machine: (decision, value) => equalsNormalized(decision.machine, value),
   origin: (decision, value) => equalsNormalized(decision.detail.origin, value),
+  triage: (decision, value) => matchesTriageStatus(decision, value, true),
+  ...annotationExactFieldMatchers,
 };
 
 const alertFieldEmptyMatchers: AlertFieldEmptyMatcherMap = {
@@ -630,6 +690,8 @@ const alertFieldEmptyMatchers: AlertFieldEmptyMatcherMap = {
   machine: (alert) => isEmptyValue(resolveMachineName(alert)),
   origin: (alert) => collectDistinctOrigins(alert.decisions).length === 0,
   decision: (alert) => getAlertDecisionStates(alert).length === 0,
+  status: () => false,
+  ...annotationFieldEmptyMatchers,
 };
 
 const decisionFieldEmptyMatchers: DecisionFieldEmptyMatcherMap = {
@@ -651,6 +713,47 @@ const decisionFieldEmptyMatchers: DecisionFieldEmptyMatcherMap = {
   sim: () => false,
   machine: (decision) => isEmptyValue(decision.machine),
   origin: (decision) => isEmptyValue(decision.detail.origin),
+  triage: () => false,
+  ...annotationFieldEmptyMatchers,
+};
+
+const auditFieldMatchers: AuditFieldMatcherMap = {
+  id: (entry, value) => equalsNormalized(entry.id, value),
+  user: (entry, value) => includesNormalized(entry.username, value),
+  method: (entry, value) => includesNormalized(entry.auth_method, value),
+  action: (entry, value) => includesNormalized(entry.action, value),
+  instance: (entry, value) => getAuditInstanceValues(entry).some((candidate) => includesNormalized(candidate, value)),
+  ip: (entry, value) => getAuditIpValues(entry).some((candidate) => matchesIpSearchValue(candidate, value)),
+  outcome: (entry, value) => equalsNormalized(entry.outcome, value),
+  date: (entry, value) => includesNormalized(entry.created_at, value),
+};
+
+const auditExactFieldMatchers: AuditFieldMatcherMap = {
+  id: auditFieldMatchers.id,
+  user: (entry, value) => equalsNormalized(entry.username, value),
+  method: (entry, value) => equalsNormalized(entry.auth_method, value),
+  action: (entry, value) => equalsNormalized(entry.action, value),
+  instance: (entry, value) => getAuditInstanceValues(entry).some((candidate) => equalsNormalized(candidate, value)),
+  ip: (entry, value) => getAuditIpValues(entry).some((candidate) => equalsNormalized(candidate, value)),
+  outcome: auditFieldMatchers.outcome,
+  date: (entry, value) => equalsNormalized(entry.created_at, value),
+};
+
+const auditFieldEmptyMatchers: AuditFieldEmptyMatcherMap = {
+  id: () => false,
+  user: (entry) => isEmptyValue(entry.username),
+  method: (entry) => isEmptyValue(entry.auth_method),
+  action: () => false,
+  instance: (entry) => entry.instances.length === 0,
+  ip: (entry) => getAuditIpValues(entry).length === 0,
+  outcome: () => false,
+  date: () => false,
+};
+
+const searchHelpTitles: Record<SearchPage, string> = {
+  alerts: 'Alert Search Syntax',
+  decisions: 'Decision Search Syntax',
+  audit: 'Audit Log Search Syntax',
 };
 
 export function getSearchHelpDefinition(
@@ -660,8 +763,8 @@ export function getSearchHelpDefinition(
 ): SearchHelpDefinition {
   return {
     page,
-    title: page === 'alerts' ? 'Alert Search Syntax' : 'Decision Search Syntax',
-    titleKey: page === 'alerts' ? 'components.searchSyntax.alerts.title' : 'components.searchSyntax.decisions.title',
+    title: searchHelpTitles[page],
+    titleKey: `components.searchSyntax.${page}.title`,
     summary: 'Start with normal free-text search, then add exact phrases, field filters, and date comparisons only when you need them. Use `field:value` for broad matches, `=` / `<>` for exact field checks, and `date>=2026-03-24` style comparisons for time-based filters.',
     summaryKey: 'components.searchSyntax.summary',
     tips: [
@@ -746,6 +849,35 @@ export function compileDecisionSearch(
   };
 }
 
+export function compileAuditSearch(
+  query: string,
+  features: SearchFeatureFlags = {},
+  dateOptions: SearchDateOptions = {},
+): AuditSearchCompileResult {
+  const help = getSearchHelpDefinition('audit', features);
+  const fieldMap = getFieldMap('audit', features);
+  const parsed = parseQuery(query, fieldMap, dateOptions);
+  if (!parsed.ok) {
+    return { ok: false, error: parsed.error, help };
+  }
+
+  return {
+    ok: true,
+    ast: parsed.ast,
+    help,
+    predicate: (entry) => parsed.ast === null || evaluateNode(
+      parsed.ast,
+      entry,
+      auditFieldMatchers,
+      auditExactFieldMatchers,
+      auditFieldEmptyMatchers,
+      matchAuditFreeText,
+      undefined,
+      dateOptions,
+    ),
+  };
+}
+
 export function serializeSearchNode(node: SearchNode | null): string {
   return node ? serializeNode(node, 0) : '';
 }
@@ -1019,7 +1151,9 @@ export function analyzeSearchQuery(
 }
 
 function getFieldDefinitions(page: SearchPage, features: SearchFeatureFlags): SearchFieldDefinition[] {
-  const definitions = page === 'alerts' ? alertFieldDefinitions : decisionFieldDefinitions;
+  const definitions = page === 'alerts'
+    ? alertFieldDefinitions
+    : page === 'decisions' ? decisionFieldDefinitions : auditFieldDefinitions;
   return definitions.filter((definition) => isFieldAvailable(definition, features));
 }
 
@@ -1669,6 +1803,33 @@ function matchDecisionFreeText(decision: DecisionListItem, value: string): boole
   ].some((candidate) => includesNormalized(candidate, value));
 }
 
+function matchAuditFreeText(entry: AuditLogEntry, value: string): boolean {
+  return getAuditIpValues(entry).some((candidate) => matchesIpSearchValue(candidate, value)) || [
+    entry.username || '',
+    entry.auth_method || '',
+    entry.action,
+    entry.outcome,
+    ...getAuditInstanceValues(entry),
+    ...Object.values(entry.summary).flatMap((summaryValue) => (
+      Array.isArray(summaryValue) ? summaryValue : [summaryValue === null ? '' : String(summaryValue)]
+    )),
+    ...entry.results.map((result) => result.error || ''),
+  ].some((candidate) => includesNormalized(candidate, value));
+}
+
+function getAuditInstanceValues(entry: AuditLogEntry): string[] {
+  return [
+    ...entry.instances,
+    ...entry.results.map((result) => result.instance_name),
+  ];
+}
+
+function getAuditIpValues(entry: AuditLogEntry): string[] {
+  return [entry.summary.ip, entry.summary.values]
+    .flatMap((candidate) => (Array.isArray(candidate) ? candidate : [candidate]))
+    .filter((candidate): candidate is string => typeof candidate === 'string' && candidate !== '');
+}
+
 function normalizeComparisonOperator(value: Exclude<SearchComparatorTokenValue, ':'>): SearchComparisonOperator {
   return value === '=>' ? '>=' : value;
 }
@@ -1754,7 +1915,18 @@ export function matchesIpSearchValue(candidate: string | number | null | undefin
 }
 
 function includesNormalized(candidate: string | number | null | undefined, value: string): boolean {
-  return normalizeValue(candidate).includes(normalizeValue(value));
+  const normalizedCandidate = normalizeValue(candidate);
+  // Broad matches are already substring matches, so `*` only has to skip over
+  // the text between the pieces (`scenario:*ssh*`, `scenario:http*probing`).
+  let offset = 0;
+  return normalizeValue(value).split('*').every((part) => {
+    const index = normalizedCandidate.indexOf(part, offset);
+    if (index < 0) {
+      return false;
+    }
+    offset = index + part.length;
+    return true;
+  });
 }
 
 function equalsNormalized(candidate: string | number | null | undefined, value: string): boolean {
@@ -1768,6 +1940,17 @@ function normalizeValue(value: string | number | null | undefined): string {
   return String(value).trim().toLowerCase();
 }
 
+/** Accepts `false-positive` and `false positive` for the stored `false_positive`. */
+export function normalizeTriageSearchValue(value: string): string {
+  return value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+function matchesTriageStatus(record: AnnotatedRecord, value: string, exact: boolean): boolean {
+  const status = record.annotation?.status ?? 'new';
+  const normalized = normalizeTriageSearchValue(value);
+  return exact ? equalsNormalized(status, normalized) : includesNormalized(status, normalized);
+}
+
 function isEmptyValue(value: string | number | null | undefined): boolean {
   return normalizeValue(value) === '';
 }